@@ -11,6 +11,10 @@ const Dashboard = lazy(() => import("./pages/Dashboard"));
 const EditParameters = lazy(() => import("./components/EditParameters"));
 const RetirementPlanner = lazy(() => import("./components/RetirementPlanner"));
 const LiquidityDashboard = lazy(() => import("./components/LiquidityDashboard"));
+const NetWorthTracker = lazy(() => import("./components/NetWorthTracker"));
+const GoalTracker = lazy(() => import("./components/GoalTracker"));
+const Scenarios = lazy(() => import("./pages/Scenarios"));
+const Household = lazy(() => import("./pages/Household"));
 
 // Loading component for suspense fallback
 const LoadingFallback = () => (
@@ -106,6 +110,58 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/networth"
+              element={
+                <ProtectedRoute>
+                  <ErrorBoundary 
+                    componentName="NetWorthTracker"
+                    showDetails={process.env.NODE_ENV !== "production"}
+                  >
+                    <NetWorthTracker />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/goals"
+              element={
+                <ProtectedRoute>
+                  <ErrorBoundary 
+                    componentName="GoalTracker"
+                    showDetails={process.env.NODE_ENV !== "production"}
+                  >
+                    <GoalTracker />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/scenarios"
+              element={
+                <ProtectedRoute>
+                  <ErrorBoundary 
+                    componentName="Scenarios"
+                    showDetails={process.env.NODE_ENV !== "production"}
+                  >
+                    <Scenarios />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/household"
+              element={
+                <ProtectedRoute>
+                  <ErrorBoundary 
+                    componentName="Household"
+                    showDetails={process.env.NODE_ENV !== "production"}
+                  >
+                    <Household />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/retirement"
               element={
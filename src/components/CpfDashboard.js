@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useFinancial } from '../context/FinancialContext';
+import useFinancialCalculations from '../hooks/useFinancialCalculations';
 import CpfCalculator from '../components/CpfCalculator';
 import { EMPLOYEE_TYPE } from '../services/calculations/cpf';
 // import useUIPreferences from '../hooks/useUIPreferences';
@@ -28,56 +29,12 @@ const CpfDashboard = () => {
     bonusMonths: financialData.yearlyBonuses?.length || 0
   });
 
-  // Generate projection data for the CPF growth chart
-  const [projectionData, setProjectionData] = useState([]);
-  
-  // Generate projection data for the CPF growth chart - wrapped in useCallback to prevent infinite re-renders
-  const generateProjectionData = useCallback(() => {
-    const currentCpfBalance = financialData.personalInfo?.currentCpfBalance || 0;
-    const monthlyContribution = (
-      (financialData.income?.currentSalary * financialData.income?.cpfRate / 100) +
-      (financialData.income?.currentSalary * financialData.income?.employerCpfRate / 100)
-    );
-    const annualInterestRate = 0.04; // 4% average annual interest rate
-    
-    const projectionYears = 10;
-    const data = [];
-    
-    let projectedBalance = currentCpfBalance;
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
-    const currentMonth = currentDate.getMonth();
-    
-    // Generate projection points
-    for (let year = 0; year <= projectionYears; year++) {
-      for (let month = 0; month < 12; month++) {
-        // Skip past months in the current year
-        if (year === 0 && month < currentMonth) continue;
-        
-        // Add monthly contribution
-        projectedBalance += monthlyContribution;
-        
-        // Add monthly interest (compounded)
-        projectedBalance *= (1 + (annualInterestRate / 12));
-        
-        // Add to data array (one point per quarter to keep chart clean)
-        if (month % 3 === 0) {
-          const date = new Date(currentYear + year, month, 1);
-          const formattedDate = date.toLocaleDateString('en-US', { 
-            year: 'numeric', 
-            month: 'short'
-          });
-          
-          data.push({
-            date: formattedDate,
-            cpfBalance: Math.round(projectedBalance)
-          });
-        }
-      }
-    }
-    
-    setProjectionData(data);
-  }, [financialData.personalInfo?.currentCpfBalance, financialData.income?.currentSalary, financialData.income?.cpfRate, financialData.income?.employerCpfRate]);
+  // Per-account CPF balances from the main projection, for the next 10 years (one point per quarter)
+  const { projection } = useFinancialCalculations();
+  const projectionData = useMemo(
+    () => projection.slice(0, 121).filter((_, index) => index % 3 === 0),
+    [projection]
+  );
   
   // Effect to update local state when financial data changes
   useEffect(() => {
@@ -88,11 +45,8 @@ const CpfDashboard = () => {
         age: calculateAge() || prevData.age,
         bonusMonths: financialData.yearlyBonuses?.length || prevData.bonusMonths
       }));
-      
-      // Generate projection data for the chart
-      generateProjectionData();
     }
-  }, [financialData, calculateAge, generateProjectionData]);
+  }, [financialData, calculateAge]);
   
   // Handle changes in the calculator
   const handleCpfCalculatorChange = (updatedData) => {
@@ -110,9 +64,6 @@ const CpfDashboard = () => {
         employerCpfRate: localCpfData.employerRate * 100 || financialData.income?.employerCpfRate,
       }
     });
-    
-    // Regenerate projection data with the new values
-    generateProjectionData();
   };
 
   // Calculate projected CPF at age 55
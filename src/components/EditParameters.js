@@ -1,6 +1,7 @@
 import React, { useContext, useState, useRef } from "react";
 import { FinancialContext } from "../context/FinancialContext";
 import { useNavigate } from "react-router-dom";
+import DataTransfer from "./dashboard/DataTransfer";
 
 const EditParameters = () => {
 	const {
@@ -12,9 +13,6 @@ const EditParameters = () => {
 
 	const navigate = useNavigate();
 
-	// Use useRef to keep track of next id for salary adjustments
-	const nextSalaryAdjustmentId = useRef(1);
-
 	// Use useRef to keep track of next id for yearly bonuses
 	const nextYearlyBonusId = useRef(1);
 
@@ -24,32 +22,8 @@ const EditParameters = () => {
 	// Use useRef to keep track of next id for yearly expenses
 	const nextYearlyExpenseId = useRef(1);
 
-	// Initialize formData with proper structure for salary adjustments and yearly bonuses
+	// Initialize formData with proper structure for yearly bonuses
 	const initializeFormData = () => {
-		// Check if there are salary adjustments in the context
-		const salaryAdjustments = financialData.income.salaryAdjustments || [];
-
-		// If no salary adjustments but there's the old format data, migrate it
-		if (
-			salaryAdjustments.length === 0 &&
-			financialData.income.futureSalary
-		) {
-			salaryAdjustments.push({
-				id: nextSalaryAdjustmentId.current++,
-				month: financialData.income.salaryAdjustmentMonth || 1,
-				year:
-					financialData.income.salaryAdjustmentYear ||
-					new Date().getFullYear() + 1,
-				newSalary: financialData.income.futureSalary,
-			});
-		}
-
-		// Find the largest ID for salary adjustments to update the ref
-		if (salaryAdjustments.length > 0) {
-			const maxId = Math.max(...salaryAdjustments.map((adj) => adj.id));
-			nextSalaryAdjustmentId.current = maxId + 1;
-		}
-
 		// Check if there are yearly bonuses in the context
 		const yearlyBonuses = financialData.yearlyBonuses || [];
 
@@ -101,10 +75,6 @@ const EditParameters = () => {
 				cpfRate: String(financialData.income.cpfRate),
 				employerCpfRate: String(financialData.income.employerCpfRate),
 				salaryDay: String(financialData.income.salaryDay || 25),
-				salaryAdjustments: salaryAdjustments.map((adj) => ({
-					...adj,
-					newSalary: String(adj.newSalary),
-				})),
 			},
 			expenses: financialData.expenses.map((expense) => ({
 				...expense,
@@ -125,11 +95,6 @@ const EditParameters = () => {
 			amount: String(expense.amount),
 		})),
 			newExpense: { name: "", amount: "", dueDay: "15" },
-			newSalaryAdjustment: {
-				month: new Date().getMonth() + 1,
-				year: new Date().getFullYear() + 1,
-				newSalary: "",
-			},
 			newYearlyBonus: {
 				month: 12, // Default to December
 				year: new Date().getFullYear(),
@@ -226,75 +191,6 @@ const EditParameters = () => {
 		});
 	};
 
-	// Handle salary adjustment field changes
-	const handleSalaryAdjustmentChange = (index, field, value) => {
-		setFormData((prevData) => {
-			const newData = { ...prevData };
-			const updatedAdjustments = [...newData.income.salaryAdjustments];
-			updatedAdjustments[index] = {
-				...updatedAdjustments[index],
-				[field]: value,
-			};
-			newData.income.salaryAdjustments = updatedAdjustments;
-			return newData;
-		});
-	};
-
-	// Handle changes to new salary adjustment form
-	const handleNewSalaryAdjustmentChange = (field, value) => {
-		setFormData((prevData) => {
-			const newData = { ...prevData };
-			newData.newSalaryAdjustment = {
-				...newData.newSalaryAdjustment,
-				[field]: value,
-			};
-			return newData;
-		});
-	};
-
-	// Handle adding a new salary adjustment
-	const handleAddSalaryAdjustment = (e) => {
-		e.preventDefault();
-
-		const { month, year, newSalary } = formData.newSalaryAdjustment;
-
-		if (newSalary) {
-			const newAdjustment = {
-				id: nextSalaryAdjustmentId.current++,
-				month: parseInt(month),
-				year: parseInt(year),
-				newSalary: newSalary,
-			};
-
-			setFormData((prevData) => {
-				const newData = { ...prevData };
-				newData.income.salaryAdjustments = [
-					...newData.income.salaryAdjustments,
-					newAdjustment,
-				];
-				// Reset the new adjustment form
-				newData.newSalaryAdjustment = {
-					month: new Date().getMonth() + 1,
-					year: new Date().getFullYear() + 1,
-					newSalary: "",
-				};
-				return newData;
-			});
-		}
-	};
-
-	// Handle removing a salary adjustment
-	const handleRemoveSalaryAdjustment = (id) => {
-		setFormData((prevData) => {
-			const newData = { ...prevData };
-			newData.income.salaryAdjustments =
-				newData.income.salaryAdjustments.filter(
-					(adjustment) => adjustment.id !== id
-				);
-			return newData;
-		});
-	};
-
 	// Handle yearly bonus field changes
 	const handleYearlyBonusChange = (index, field, value) => {
 		setFormData((prevData) => {
@@ -497,13 +393,8 @@ const EditParameters = () => {
 				employerCpfRate:
 					parseFloat(formData.income.employerCpfRate) || 0,
 				salaryDay: parseInt(formData.income.salaryDay) || 25,
-				// Process salary adjustments
-				salaryAdjustments: formData.income.salaryAdjustments.map(
-					(adj) => ({
-						...adj,
-						newSalary: parseFloat(adj.newSalary) || 0,
-					})
-				),
+				// Salary events are edited on the Dashboard's Career tab
+				salaryAdjustments: financialData.income.salaryAdjustments || [],
 			},
 		};
 
@@ -839,298 +730,16 @@ const EditParameters = () => {
 										</div>
 									</div>
 
-									{/* Salary Adjustments Section */}
+									{/* Salary Timeline */}
 									<div className="md:col-span-2 mt-4">
-										<h4 className="font-medium text-blue-700 mb-3">
-											Future Salary Adjustments
+										<h4 className="font-medium text-blue-700 mb-1">
+											Future Salary Changes
 										</h4>
-
-										{/* Existing Salary Adjustments */}
-										{formData.income.salaryAdjustments &&
-										formData.income.salaryAdjustments
-											.length > 0 ? (
-											<div className="mb-4 overflow-x-auto">
-												<table className="w-full border-collapse">
-													<thead>
-														<tr className="bg-gray-50">
-															<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-																Date
-															</th>
-															<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-																New Salary (SGD)
-															</th>
-															<th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-																Actions
-															</th>
-														</tr>
-													</thead>
-													<tbody className="bg-white divide-y divide-gray-200">
-														{formData.income.salaryAdjustments.map(
-															(
-																adjustment,
-																index
-															) => (
-																<tr
-																	key={
-																		adjustment.id
-																	}
-																	className="hover:bg-gray-50"
-																>
-																	<td className="px-4 py-2">
-																		<div className="flex space-x-2">
-																			<select
-																				value={
-																					adjustment.month
-																				}
-																				onChange={(
-																					e
-																				) =>
-																					handleSalaryAdjustmentChange(
-																						index,
-																						"month",
-																						parseInt(
-																							e
-																								.target
-																								.value
-																						)
-																					)
-																				}
-																				className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-																			>
-																				{monthOptions.map(
-																					(
-																						month
-																					) => (
-																						<option
-																							key={
-																								month.value
-																							}
-																							value={
-																								month.value
-																							}
-																						>
-																							{
-																								month.label
-																							}
-																						</option>
-																					)
-																				)}
-																			</select>
-																			<select
-																				value={
-																					adjustment.year
-																				}
-																				onChange={(
-																					e
-																				) =>
-																					handleSalaryAdjustmentChange(
-																						index,
-																						"year",
-																						parseInt(
-																							e
-																								.target
-																								.value
-																						)
-																					)
-																				}
-																				className="w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-																			>
-																				{yearOptions.map(
-																					(
-																						year
-																					) => (
-																						<option
-																							key={
-																								year
-																							}
-																							value={
-																								year
-																							}
-																						>
-																							{
-																								year
-																							}
-																						</option>
-																					)
-																				)}
-																			</select>
-																		</div>
-																	</td>
-																	<td className="px-4 py-2 whitespace-nowrap">
-																		<div className="relative">
-																			<div className="absolute inset-y-0 left-0 pl-2 flex items-center pointer-events-none">
-																				<span className="text-gray-500">
-																					$
-																				</span>
-																			</div>
-																			<input
-																				type="text"
-																				value={
-																					adjustment.newSalary
-																				}
-																				onChange={(
-																					e
-																				) =>
-																					handleSalaryAdjustmentChange(
-																						index,
-																						"newSalary",
-																						e
-																							.target
-																							.value
-																					)
-																				}
-																				className="w-full pl-6 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-																			/>
-																		</div>
-																	</td>
-																	<td className="px-4 py-2">
-																		<button
-																			type="button"
-																			onClick={() =>
-																				handleRemoveSalaryAdjustment(
-																					adjustment.id
-																				)
-																			}
-																			className="px-2 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
-																		>
-																			<span className="md:hidden">
-																				✕
-																			</span>
-																			<span className="hidden md:inline">
-																				Remove
-																			</span>
-																		</button>
-																	</td>
-																</tr>
-															)
-														)}
-													</tbody>
-												</table>
-											</div>
-										) : (
-											<p className="text-sm text-gray-600 mb-4">
-												No future salary adjustments
-												added yet.
-											</p>
-										)}
-
-										{/* Add New Salary Adjustment */}
-										<div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
-											<h5 className="font-medium text-gray-700 mb-3">
-												Add New Salary Adjustment
-											</h5>
-											<div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-												<div className="grid grid-cols-2 gap-2 md:col-span-2">
-													<select
-														value={
-															formData
-																.newSalaryAdjustment
-																.month
-														}
-														onChange={(e) =>
-															handleNewSalaryAdjustmentChange(
-																"month",
-																parseInt(
-																	e.target
-																		.value
-																)
-															)
-														}
-														className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-													>
-														{monthOptions.map(
-															(month) => (
-																<option
-																	key={
-																		month.value
-																	}
-																	value={
-																		month.value
-																	}
-																>
-																	{
-																		month.label
-																	}
-																</option>
-															)
-														)}
-													</select>
-													<select
-														value={
-															formData
-																.newSalaryAdjustment
-																.year
-														}
-														onChange={(e) =>
-															handleNewSalaryAdjustmentChange(
-																"year",
-																parseInt(
-																	e.target
-																		.value
-																)
-															)
-														}
-														className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-													>
-														{yearOptions.map(
-															(year) => (
-																<option
-																	key={year}
-																	value={year}
-																>
-																	{year}
-																</option>
-															)
-														)}
-													</select>
-												</div>
-												<div className="relative">
-													<div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-														<span className="text-gray-500">
-															$
-														</span>
-													</div>
-													<input
-														type="text"
-														placeholder="New Salary"
-														value={
-															formData
-																.newSalaryAdjustment
-																.newSalary
-														}
-														onChange={(e) =>
-															handleNewSalaryAdjustmentChange(
-																"newSalary",
-																e.target.value
-															)
-														}
-														className="pl-8 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-													/>
-												</div>
-												<button
-													type="button"
-													onClick={
-														handleAddSalaryAdjustment
-													}
-													className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center justify-center md:col-span-3"
-												>
-													<svg
-														className="w-4 h-4 mr-1"
-														fill="none"
-														stroke="currentColor"
-														viewBox="0 0 24 24"
-													>
-														<path
-															strokeLinecap="round"
-															strokeLinejoin="round"
-															strokeWidth="2"
-															d="M12 6v6m0 0v6m0-6h6m-6 0H6"
-														/>
-													</svg>
-													Add Salary Adjustment
-												</button>
-											</div>
-										</div>
+										<p className="text-sm text-gray-600">
+											Raises, job changes, unpaid leave, part-time
+											work and career breaks are set on the
+											Dashboard's Career tab.
+										</p>
 									</div>
 								</div>
 							</div>
@@ -2354,6 +1963,12 @@ const EditParameters = () => {
 					</button>
 				</div>
 			</form>
+
+			{/* Export and import of the complete data */}
+			<div className="px-6 pb-6">
+				{/* The form holds the data from before an import, so leave it once one is applied */}
+				<DataTransfer onImport={() => navigate("/")} />
+			</div>
 		</div>
 	);
 };
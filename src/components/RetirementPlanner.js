@@ -14,6 +14,9 @@ import {
     LineChart,
     Line
 } from "recharts";
+import RetirementDrawdown from "./dashboard/RetirementDrawdown";
+import SrsAccount from "./dashboard/SrsAccount";
+import CpfTopUps from "./dashboard/CpfTopUps";
 
 const RetirementPlanner = () => {
     const { financialData, calculateAge } = useContext(FinancialContext);
@@ -646,6 +649,12 @@ const RetirementPlanner = () => {
                     </ul>
                 </div>
             </div>
+
+            <SrsAccount />
+
+            <CpfTopUps />
+
+            <RetirementDrawdown />
         </div>
     );
 };
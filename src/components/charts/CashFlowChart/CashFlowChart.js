@@ -58,10 +58,15 @@ const CashFlowChart = ({ chartData }) => {
               fill="#8884d8"
             />
             <Bar
-              dataKey="expenses"
+              dataKey="monthlyExpenses"
               name="Living Expenses"
               fill="#ff7300"
             />
+            <Bar
+              dataKey="incomeTax"
+              name="Income Tax"
+              fill="#FF4136"
+            />
             <Bar
               dataKey="monthlySavings"
               name="Cash Savings"
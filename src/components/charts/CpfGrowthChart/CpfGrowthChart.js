@@ -17,6 +17,7 @@ import useUIPreferences from "../../../hooks/useUIPreferences";
 /**
  * CpfGrowthChart Component
  * Displays a chart showing the growth of CPF savings over time
+ * When projection rows carry per-account balances, OA/SA/MA/RA are stacked
  * 
  * @param {Object} props - Component props
  * @param {Array} props.chartData - Filtered projection data points for the chart
@@ -29,6 +30,15 @@ const CpfGrowthChart = ({ chartData, cpfMilestone }) => {
   
   // Use the secondary color from the palette for CPF
   const cpfColor = colors[1]; // Using the secondary color from the palette
+
+  // Per-account series, shown when the projection provides them
+  const hasAccountBreakdown = chartData.some((point) => point.cpfOaBalance !== undefined);
+  const accountSeries = [
+    { dataKey: "cpfOaBalance", name: "Ordinary Account", color: colors[0] },
+    { dataKey: "cpfSaBalance", name: "Special Account", color: colors[1] },
+    { dataKey: "cpfMaBalance", name: "MediSave Account", color: colors[2] },
+    { dataKey: "cpfRaBalance", name: "Retirement Account", color: colors[3] }
+  ];
   
   return (
     <div className="bg-white rounded-lg shadow">
@@ -76,15 +86,30 @@ const CpfGrowthChart = ({ chartData, cpfMilestone }) => {
                   color: '#374151'
                 }}
               />
-              <Area
-                type="monotone"
-                dataKey="cpfBalance"
-                name="CPF Balance"
-                stroke={cpfColor}
-                fill={cpfColor}
-                fillOpacity={0.3}
-                activeDot={{ r: 6 }}
-              />
+              {hasAccountBreakdown ? (
+                accountSeries.map((series) => (
+                  <Area
+                    key={series.dataKey}
+                    type="monotone"
+                    dataKey={series.dataKey}
+                    name={series.name}
+                    stackId="cpf"
+                    stroke={series.color}
+                    fill={series.color}
+                    fillOpacity={0.4}
+                  />
+                ))
+              ) : (
+                <Area
+                  type="monotone"
+                  dataKey="cpfBalance"
+                  name="CPF Balance"
+                  stroke={cpfColor}
+                  fill={cpfColor}
+                  fillOpacity={0.3}
+                  activeDot={{ r: 6 }}
+                />
+              )}
               {cpfMilestone && (
                 <ReferenceLine
                   x={cpfMilestone.date}
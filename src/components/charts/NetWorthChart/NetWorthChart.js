@@ -1,8 +1,9 @@
-import React, { memo } from "react";
+import React, { memo, useMemo } from "react";
 import PropTypes from "prop-types";
 import {
   ComposedChart,
   Area,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -21,15 +22,32 @@ import { formatCurrency } from "../../../services/formatters/currencyFormatters"
  * @param {Object} props - Component props
  * @param {Array} props.chartData - Filtered projection data points for the chart
  * @param {Object} props.savingsGoalReachedMonth - Month when 100K savings goal is reached (or null)
+ * @param {Object} props.monteCarloResult - Monte Carlo bands and goal probability from useProjection (optional)
  * @returns {JSX.Element}
  */
-const NetWorthChart = ({ chartData, savingsGoalReachedMonth }) => {
+const NetWorthChart = ({ chartData, savingsGoalReachedMonth, monteCarloResult }) => {
+  // Attach P10-P90 net worth range and median to each chart point by date
+  const data = useMemo(() => {
+    if (!monteCarloResult || !Array.isArray(monteCarloResult.bands)) return chartData;
+
+    const bandsByDate = new Map(monteCarloResult.bands.map((band) => [band.date, band]));
+    return chartData.map((point) => {
+      const band = bandsByDate.get(point.date);
+      if (!band) return point;
+      return {
+        ...point,
+        netWorthRange: [band.totalNetWorth.p10, band.totalNetWorth.p90],
+        netWorthMedian: band.totalNetWorth.p50
+      };
+    });
+  }, [chartData, monteCarloResult]);
+
   return (
     <Card title="Net Worth Growth" titleColor="bg-blue-600">
       <div className="h-80">
         <ResponsiveContainer width="100%" height="100%">
           <ComposedChart
-            data={chartData}
+            data={data}
             margin={{
               top: 10,
               right: 10,
@@ -56,7 +74,13 @@ const NetWorthChart = ({ chartData, savingsGoalReachedMonth }) => {
                 offset: 10,
               }}
             />
-            <Tooltip formatter={(value) => formatCurrency(value)} />
+            <Tooltip
+              formatter={(value) =>
+                Array.isArray(value)
+                  ? `${formatCurrency(value[0])} – ${formatCurrency(value[1])}`
+                  : formatCurrency(value)
+              }
+            />
             <Legend />
             <Area
               yAxisId="left"
@@ -78,6 +102,28 @@ const NetWorthChart = ({ chartData, savingsGoalReachedMonth }) => {
               fillOpacity={0.3}
               activeDot={{ r: 6 }}
             />
+            {monteCarloResult && (
+              <Area
+                yAxisId="left"
+                type="monotone"
+                dataKey="netWorthRange"
+                name="Net Worth (P10–P90)"
+                stroke="none"
+                fill="#6366F1"
+                fillOpacity={0.15}
+              />
+            )}
+            {monteCarloResult && (
+              <Line
+                yAxisId="left"
+                type="monotone"
+                dataKey="netWorthMedian"
+                name="Net Worth (Median)"
+                stroke="#6366F1"
+                strokeDasharray="5 5"
+                dot={false}
+              />
+            )}
             {savingsGoalReachedMonth && (
               <ReferenceLine
                 yAxisId="left"
@@ -104,6 +150,15 @@ const NetWorthChart = ({ chartData, savingsGoalReachedMonth }) => {
               ? `You'll reach $100K in cash savings by ${savingsGoalReachedMonth.date}`
               : `Your cash savings will grow over the projection period`}
           </p>
+          {monteCarloResult && (
+            <p className="text-sm mt-1">
+              {`${monteCarloResult.goalProbability}% chance of reaching ${formatCurrency(monteCarloResult.goalAmount)} in cash savings`}
+              {monteCarloResult.goalDate
+                ? ` by ${monteCarloResult.goalDate.month}/${monteCarloResult.goalDate.year}`
+                : " within the projection"}
+              {` (${monteCarloResult.iterations.toLocaleString()} simulations)`}
+            </p>
+          )}
         </div>
       </div>
     </Card>
@@ -112,7 +167,14 @@ const NetWorthChart = ({ chartData, savingsGoalReachedMonth }) => {
 
 NetWorthChart.propTypes = {
   chartData: PropTypes.arrayOf(PropTypes.object).isRequired,
-  savingsGoalReachedMonth: PropTypes.object
+  savingsGoalReachedMonth: PropTypes.object,
+  monteCarloResult: PropTypes.shape({
+    iterations: PropTypes.number,
+    bands: PropTypes.arrayOf(PropTypes.object),
+    goalAmount: PropTypes.number,
+    goalDate: PropTypes.object,
+    goalProbability: PropTypes.number
+  })
 };
 
 export default memo(NetWorthChart);
\ No newline at end of file
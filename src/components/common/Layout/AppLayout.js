@@ -15,7 +15,7 @@ import SyncStatusIndicator from "../../common/SyncStatusIndicator";
 const AppLayout = ({ children }) => {
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const { isAuthenticated, currentUser, logout } = useAuth();
+  const { isAuthenticated, requiresSignIn, currentUser, logout } = useAuth();
   const { syncStatus } = useFinancial();
   // const navigate = useNavigate();
 
@@ -65,7 +65,47 @@ const AppLayout = ({ children }) => {
               >
                 Liquidity
               </Link>
+              <Link
+                to="/networth"
+                className={`px-4 py-2 rounded-md transition-colors ${
+                  location.pathname.endsWith("/networth")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+              >
+                Net Worth
+              </Link>
 
+              <Link
+                to="/goals"
+                className={`px-4 py-2 rounded-md transition-colors ${
+                  location.pathname.endsWith("/goals")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+              >
+                Goals
+              </Link>
+              <Link
+                to="/scenarios"
+                className={`px-4 py-2 rounded-md transition-colors ${
+                  location.pathname.endsWith("/scenarios")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+              >
+                Scenarios
+              </Link>
+              <Link
+                to="/household"
+                className={`px-4 py-2 rounded-md transition-colors ${
+                  location.pathname.endsWith("/household")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+              >
+                Household
+              </Link>
               <Link
                 to="/retirement"
                 className={`px-4 py-2 rounded-md transition-colors ${
@@ -86,7 +126,7 @@ const AppLayout = ({ children }) => {
               >
                 Edit Parameters
               </Link>
-              {isAuthenticated && (
+              {isAuthenticated && requiresSignIn && (
                 <button
                   onClick={handleLogout}
                   className="px-4 py-2 rounded-md transition-colors hover:bg-blue-800"
@@ -152,6 +192,54 @@ const AppLayout = ({ children }) => {
                 Liquidity
               </Link>
 
+              <Link
+                to="/networth"
+                className={`block px-4 py-2 my-1 rounded-md ${
+                  location.pathname.endsWith("/networth")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+                onClick={() => setMobileMenuOpen(false)}
+              >
+                Net Worth
+              </Link>
+
+              <Link
+                to="/goals"
+                className={`block px-4 py-2 my-1 rounded-md ${
+                  location.pathname.endsWith("/goals")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+                onClick={() => setMobileMenuOpen(false)}
+              >
+                Goals
+              </Link>
+
+              <Link
+                to="/scenarios"
+                className={`block px-4 py-2 my-1 rounded-md ${
+                  location.pathname.endsWith("/scenarios")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+                onClick={() => setMobileMenuOpen(false)}
+              >
+                Scenarios
+              </Link>
+
+              <Link
+                to="/household"
+                className={`block px-4 py-2 my-1 rounded-md ${
+                  location.pathname.endsWith("/household")
+                    ? "bg-blue-900"
+                    : "hover:bg-blue-800"
+                }`}
+                onClick={() => setMobileMenuOpen(false)}
+              >
+                Household
+              </Link>
+
               <Link
                 to="/retirement"
                 className={`block px-4 py-2 my-1 rounded-md ${
@@ -174,7 +262,7 @@ const AppLayout = ({ children }) => {
               >
                 Edit Parameters
               </Link>
-              {isAuthenticated && (
+              {isAuthenticated && requiresSignIn && (
                 <button
                   onClick={() => {
                     handleLogout();
@@ -237,7 +325,7 @@ const AppLayout = ({ children }) => {
         <p>Personal Financial Dashboard © {new Date().getFullYear()}</p>
         {isAuthenticated && (
           <div className="text-xs text-gray-500 mt-1">
-            <p>Logged in as: {currentUser?.email}</p>
+            {currentUser?.email && <p>Logged in as: {currentUser.email}</p>}
             {syncStatus && syncStatus.status === "synced" && (
               <p className="text-green-600">
                 Your data is synced across all your devices
@@ -2,15 +2,52 @@ import React, { useState } from "react";
 // import PropTypes from "prop-types";
 import { useFinancial } from "../../../context/FinancialContext";
 import { useAuth } from "../../../context/AuthContext";
+import { CONFLICT_RESOLUTION } from "../../../services/sync/syncEngine";
+
+/**
+ * Readable name for a top-level data field, e.g. "yearlyBonuses" -> "Yearly bonuses"
+ *
+ * @param {string} field - Field name
+ * @returns {string}
+ */
+const formatFieldName = (field) => {
+  const words = field.replace(/([A-Z])/g, " $1").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Short description of a conflicting value
+ *
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const describeValue = (value) => {
+  if (value === undefined || value === null) return "Removed";
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? "" : "s"}`;
+  if (typeof value === "object") {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+  return String(value);
+};
+
+/**
+ * Format an ISO time for display, or nothing without one
+ *
+ * @param {string|null} time - ISO time
+ * @returns {string}
+ */
+const formatChangeTime = (time) => (time ? new Date(time).toLocaleString() : "");
 
 /**
  * SyncStatusIndicator component displays the current sync status of the user's data
- * and provides a button to manually trigger synchronization
+ * and provides a button to manually trigger synchronization. When a field was changed both
+ * here and on another device, it lists the conflict so the user can choose which copy to keep.
  * 
  * @returns {JSX.Element}
  */
 const SyncStatusIndicator = () => {
-  const { syncStatus, forceSyncWithFirebase } = useFinancial();
+  const { syncStatus, forceSyncWithFirebase, resolveSyncConflict } = useFinancial();
   const { isAuthenticated } = useAuth();
   const [syncing, setSyncing] = useState(false);
   const [message, setMessage] = useState("");
@@ -78,6 +115,28 @@ const SyncStatusIndicator = () => {
           color: "text-yellow-500",
           text: "Local Only",
         };
+      case "offline":
+        return {
+          icon: (
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M18.364 5.636a9 9 0 010 12.728M5.636 18.364a9 9 0 010-12.728M3 3l18 18"></path>
+            </svg>
+          ),
+          color: "text-yellow-500",
+          text: syncStatus.pendingChanges
+            ? `Offline (${syncStatus.pendingChanges} unsynced change${syncStatus.pendingChanges === 1 ? "" : "s"})`
+            : "Offline",
+        };
+      case "conflict":
+        return {
+          icon: (
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"></path>
+            </svg>
+          ),
+          color: "text-orange-500",
+          text: "Conflicting Changes",
+        };
       case "error":
         return {
           icon: (
@@ -88,6 +147,16 @@ const SyncStatusIndicator = () => {
           color: "text-red-500",
           text: "Sync Error",
         };
+      case "unsupported":
+        return {
+          icon: (
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"></path>
+            </svg>
+          ),
+          color: "text-red-500",
+          text: "Update Required",
+        };
       case "loading":
         return {
           icon: (
@@ -139,6 +208,53 @@ const SyncStatusIndicator = () => {
         </div>
       )}
       
+      {syncStatus.status === "unsupported" && syncStatus.message && (
+        <p className="text-xs mt-1 text-red-500 max-w-xl text-center">
+          {syncStatus.message} Changes made now will not be saved.
+        </p>
+      )}
+
+      {syncStatus.status === "conflict" && syncStatus.conflicts && syncStatus.conflicts.length > 0 && (
+        <div className="mt-2 w-full max-w-xl bg-white border border-orange-200 rounded-md p-3 text-sm">
+          <p className="text-gray-700 mb-2">
+            These were changed on this device and on another one. Choose which version to keep.
+          </p>
+          <ul className="space-y-2">
+            {syncStatus.conflicts.map((conflict) => (
+              <li key={conflict.field} className="border-t border-gray-100 pt-2">
+                <p className="font-medium text-gray-800">{formatFieldName(conflict.field)}</p>
+                <div className="grid grid-cols-2 gap-2 mt-1">
+                  <div>
+                    <p className="text-xs text-gray-500">
+                      This device {formatChangeTime(conflict.localChangedAt)}
+                    </p>
+                    <p className="text-xs text-gray-700 break-all">{describeValue(conflict.localValue)}</p>
+                    <button
+                      onClick={() => resolveSyncConflict(conflict.field, CONFLICT_RESOLUTION.LOCAL)}
+                      className="mt-1 text-xs px-2 py-1 rounded bg-blue-500 text-white hover:bg-blue-600"
+                    >
+                      Keep this device's
+                    </button>
+                  </div>
+                  <div>
+                    <p className="text-xs text-gray-500">
+                      Other device {formatChangeTime(conflict.remoteUpdatedAt)}
+                    </p>
+                    <p className="text-xs text-gray-700 break-all">{describeValue(conflict.remoteValue)}</p>
+                    <button
+                      onClick={() => resolveSyncConflict(conflict.field, CONFLICT_RESOLUTION.REMOTE)}
+                      className="mt-1 text-xs px-2 py-1 rounded bg-gray-200 text-gray-800 hover:bg-gray-300"
+                    >
+                      Use other device's
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {isAuthenticated && (
         <button
           onClick={handleSync}
@@ -0,0 +1,255 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  VALUATION_LIMIT_STATUS,
+  VALUATION_LIMIT_STATUS_LABELS,
+  calculateHousingRefund
+} from "../../../services/calculations/cpf/cpf-housing";
+
+const STATUS_COLORS = {
+  [VALUATION_LIMIT_STATUS.WITHIN]: "text-green-700",
+  [VALUATION_LIMIT_STATUS.ABOVE_VALUATION_LIMIT]: "text-amber-700",
+  [VALUATION_LIMIT_STATUS.WITHDRAWAL_LIMIT_REACHED]: "text-red-600"
+};
+
+// Form values as strings, blank when there is no home yet
+const toForm = (usage) => ({
+  principalWithdrawn: usage ? String(usage.principalWithdrawn ?? 0) : "",
+  accruedInterest: usage ? String(usage.accruedInterest ?? 0) : "",
+  valuationLimit: usage && usage.valuationLimit ? String(usage.valuationLimit) : ""
+});
+
+/**
+ * CpfHousingUsage Component
+ * Ledger of CPF OA used for housing from a projection: OA used each year, accrued interest,
+ * the Valuation Limit flag and the refund to the OA if the latest property were sold in a given year
+ *
+ * @param {Object} props
+ * @param {Array} props.projection - Projection rows (with the purchase, on the Home Purchase tab)
+ * @returns {JSX.Element}
+ */
+const CpfHousingUsage = ({ projection }) => {
+  const { financialData, updateCpfHousing } = useFinancial();
+  const [form, setForm] = useState(() => toForm(financialData.cpfHousing));
+  const [formError, setFormError] = useState(null);
+  const [saleYear, setSaleYear] = useState("");
+  const [salePrice, setSalePrice] = useState("");
+
+  // Year-end rows (December, or the last month) with OA used during the year
+  const yearRows = useMemo(() => {
+    if (!Array.isArray(projection)) return [];
+    const byYear = projection.reduce((years, row) => {
+      const year = years[row.year] || { year: row.year, usedInYear: 0 };
+      year.usedInYear += (row.propertyPaidFromCpf || 0) + (row.loanPaidFromCpf || 0);
+      year.row = row;
+      return { ...years, [row.year]: year };
+    }, {});
+    return Object.values(byYear).filter(({ row }) => row.cpfHousingUsage && row.cpfHousingUsage.length > 0);
+  }, [projection]);
+
+  const selectedYear = yearRows.find((item) => String(item.year) === saleYear) || yearRows[yearRows.length - 1];
+
+  // Selling the latest property at year end
+  const sale = useMemo(() => {
+    if (!selectedYear) return null;
+    const { row } = selectedYear;
+    const property = row.cpfHousingUsage[row.cpfHousingUsage.length - 1];
+    const price = salePrice === "" ? row.propertyValue || null : parseFloat(salePrice) || 0;
+    return {
+      property,
+      price,
+      outstandingLoan: row.loanBalance || 0,
+      ...calculateHousingRefund(
+        { principalWithdrawn: property.principalWithdrawn, accruedInterest: property.accruedInterest, interestThisYear: 0 },
+        price ? { salePrice: price, outstandingLoan: row.loanBalance || 0 } : {}
+      )
+    };
+  }, [selectedYear, salePrice]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      updateCpfHousing({
+        principalWithdrawn: parseFloat(form.principalWithdrawn) || 0,
+        accruedInterest: parseFloat(form.accruedInterest) || 0,
+        valuationLimit: form.valuationLimit === "" ? null : parseFloat(form.valuationLimit)
+      });
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+    setFormError(null);
+  };
+
+  const handleClear = () => {
+    updateCpfHousing(null);
+    setForm(toForm(null));
+    setFormError(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="font-medium text-gray-900">CPF Housing Usage</h3>
+        <p className="text-sm text-gray-600">
+          OA used for a home is refunded to your OA with 2.5% accrued interest when you sell. OA use above the
+          Valuation Limit (the lower of price and valuation) needs the Basic Retirement Sum set aside, and stops at 120%
+          of it.
+        </p>
+      </div>
+
+      {/* Home already owned */}
+      <form onSubmit={handleSave} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <p className="text-sm font-medium text-gray-800">Home You Own Today</p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {[
+            ["principalWithdrawn", "OA Used to Date ($)"],
+            ["accruedInterest", "Accrued Interest ($)"],
+            ["valuationLimit", "Valuation Limit ($)"]
+          ].map(([name, label]) => (
+            <div key={name}>
+              <label htmlFor={`cpfHousing-${name}`} className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+              <input
+                id={`cpfHousing-${name}`}
+                type="number"
+                name={name}
+                min="0"
+                placeholder={name === "valuationLimit" ? "Price at purchase" : "0"}
+                value={form[name]}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          From your CPF housing withdrawal statement. Instalments paid from the OA are added to the latest property.
+        </p>
+        {formError && <p className="text-sm text-red-600">{formError}</p>}
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            Save
+          </button>
+          {financialData.cpfHousing && (
+            <button
+              type="button"
+              onClick={handleClear}
+              className="px-4 py-2 text-sm rounded-md text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </form>
+
+      {yearRows.length === 0 ? (
+        <p className="text-sm text-gray-500">No CPF OA is used for housing in this projection.</p>
+      ) : (
+        <>
+          {/* Hypothetical sale */}
+          <div className="border border-gray-200 rounded-lg p-4 space-y-3 text-sm">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="cpfHousingSaleYear" className="block text-xs font-medium text-gray-700 mb-1">Sell at End of</label>
+                <select
+                  id="cpfHousingSaleYear"
+                  value={selectedYear.year}
+                  onChange={(e) => setSaleYear(e.target.value)}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                >
+                  {yearRows.map(({ year }) => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="cpfHousingSalePrice" className="block text-xs font-medium text-gray-700 mb-1">Sale Price ($)</label>
+                <input
+                  id="cpfHousingSalePrice"
+                  type="number"
+                  min="0"
+                  placeholder={selectedYear.row.propertyValue ? String(Math.round(selectedYear.row.propertyValue)) : "Projected value"}
+                  value={salePrice}
+                  onChange={(e) => setSalePrice(e.target.value)}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            </div>
+            <p className="font-medium text-gray-900">{sale.property.name}</p>
+            <div className="flex justify-between">
+              <span className="text-gray-600">OA used</span>
+              <span>{formatCurrency(sale.principalWithdrawn)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Accrued interest</span>
+              <span>{formatCurrency(sale.accruedInterest)}</span>
+            </div>
+            <div className="flex justify-between font-medium border-t pt-1">
+              <span>Refund to OA</span>
+              <span>{formatCurrency(sale.refund)}</span>
+            </div>
+            {sale.cashProceeds !== null && (
+              <>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Outstanding loans</span>
+                  <span>{formatCurrency(sale.outstandingLoan)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Cash proceeds</span>
+                  <span>{formatCurrency(sale.cashProceeds)}</span>
+                </div>
+                {sale.refund < sale.refundDue && (
+                  <p className="text-xs text-gray-500">
+                    Sold at a loss: the refund is limited to the price less the loan, {formatCurrency(sale.refundDue - sale.refund)} below
+                    what was used with interest.
+                  </p>
+                )}
+              </>
+            )}
+            <p className={`text-xs ${STATUS_COLORS[sale.property.status]}`}>
+              {VALUATION_LIMIT_STATUS_LABELS[sale.property.status]}
+              {sale.property.valuationLimit ? ` (VL ${formatCurrency(sale.property.valuationLimit)})` : ""}
+            </p>
+          </div>
+
+          {/* Yearly ledger */}
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {["Year", "OA Used in Year", "OA Used to Date", "Accrued Interest", "Refund Due"].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-right first:text-left text-xs font-medium text-gray-500 uppercase">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {yearRows.map(({ year, usedInYear, row }) => (
+                  <tr key={year}>
+                    <td className="px-3 py-1.5 text-gray-900">{year}</td>
+                    <td className="px-3 py-1.5 text-right">{formatCurrency(usedInYear)}</td>
+                    <td className="px-3 py-1.5 text-right">{formatCurrency(row.cpfHousingWithdrawn)}</td>
+                    <td className="px-3 py-1.5 text-right">{formatCurrency(row.cpfHousingAccruedInterest)}</td>
+                    <td className="px-3 py-1.5 text-right font-medium">{formatCurrency(row.cpfHousingRefundDue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CpfHousingUsage;
@@ -0,0 +1 @@
+export { default } from './CpfHousingUsage';
\ No newline at end of file
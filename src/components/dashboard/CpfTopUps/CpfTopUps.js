@@ -0,0 +1,383 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { getTaxRules, TAX_RELIEF_TYPES } from "../../../services/calculations/taxCalculations";
+import { CPF_ACCOUNT } from "../../../services/calculations/cpf/cpf-policy";
+import {
+  CPF_TOPUP_RECIPIENT,
+  CPF_TOPUP_TARGET,
+  normalizeCpfTopUps,
+  optimiseCpfTopUps
+} from "../../../services/calculations/cpf/cpf-topups";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const ACCOUNT_LABELS = {
+  [CPF_ACCOUNT.SPECIAL]: "SA / RA",
+  [CPF_ACCOUNT.RETIREMENT]: "RA",
+  [CPF_ACCOUNT.MEDISAVE]: "MediSave"
+};
+
+const TARGET_LABELS = {
+  [CPF_TOPUP_TARGET.FULL]: "Full Retirement Sum (FRS)",
+  [CPF_TOPUP_TARGET.ENHANCED]: "Enhanced Retirement Sum (ERS)"
+};
+
+const createEmptyTopUp = () => ({
+  account: CPF_ACCOUNT.SPECIAL,
+  recipient: CPF_TOPUP_RECIPIENT.SELF,
+  amount: "",
+  month: 12,
+  year: new Date().getFullYear(),
+  recurring: false,
+  untilYear: "",
+  description: ""
+});
+
+/**
+ * CpfTopUps Component
+ * Scheduled cash top-ups to CPF and their tax relief, with a suggested yearly plan that reaches
+ * the FRS or ERS by 55 while claiming as much relief as possible
+ *
+ * @returns {JSX.Element}
+ */
+const CpfTopUps = () => {
+  const { financialData, addCpfTopUps, removeCpfTopUp } = useFinancial();
+  const { projection, taxAssessments, currentAge } = useFinancialCalculations();
+  const [form, setForm] = useState(createEmptyTopUp);
+  const [formError, setFormError] = useState(null);
+  const [target, setTarget] = useState(CPF_TOPUP_TARGET.FULL);
+  const [marginalRate, setMarginalRate] = useState("");
+
+  const topUps = useMemo(() => normalizeCpfTopUps(financialData.cpfTopUps), [financialData.cpfTopUps]);
+
+  // Default to the marginal rate of the latest projected Year of Assessment
+  const projectedMarginalRate = useMemo(() => {
+    const assessments = taxAssessments || [];
+    return assessments.length > 0 ? assessments[assessments.length - 1].marginalRate : 0;
+  }, [taxAssessments]);
+  const taxRate = marginalRate === "" ? projectedMarginalRate : parseFloat(marginalRate) || 0;
+
+  // Top-ups made this year are relieved in the following Year of Assessment
+  const reliefCap = getTaxRules(new Date().getFullYear() + 1).reliefCaps[TAX_RELIEF_TYPES.CPF_CASH_TOPUP];
+
+  // Plan from this month's SA/RA, with a year of the projection's SA contributions
+  const plan = useMemo(() => {
+    if (currentAge === null || currentAge === undefined || !projection || projection.length === 0) {
+      return null;
+    }
+    const firstYear = projection.slice(0, 12);
+    return optimiseCpfTopUps({
+      currentAge,
+      balances: {
+        [CPF_ACCOUNT.SPECIAL]: projection[0].cpfSaBalance || 0,
+        [CPF_ACCOUNT.RETIREMENT]: projection[0].cpfRaBalance || 0
+      },
+      annualSaContribution: firstYear.reduce(
+        (sum, row) => sum + (row.cpfAllocation?.[CPF_ACCOUNT.SPECIAL] || 0),
+        0
+      ) * 12 / firstYear.length,
+      target,
+      marginalTaxRate: taxRate
+    });
+  }, [currentAge, projection, target, taxRate]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      addCpfTopUps([{
+        account: form.account,
+        recipient: form.recipient,
+        amount: parseFloat(form.amount),
+        month: parseInt(form.month, 10),
+        year: parseInt(form.year, 10),
+        recurring: form.recurring,
+        untilYear: form.recurring && form.untilYear !== "" ? parseInt(form.untilYear, 10) : null,
+        ...(form.description.trim() ? { description: form.description.trim() } : {})
+      }]);
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+    setFormError(null);
+    setForm(createEmptyTopUp());
+  };
+
+  // Schedule the suggested plan as December top-ups
+  const handleSchedulePlan = () => {
+    addCpfTopUps(plan.years.map((row) => ({
+      account: row.account,
+      recipient: CPF_TOPUP_RECIPIENT.SELF,
+      amount: Math.round(row.topUp),
+      month: 12,
+      year: row.year,
+      recurring: false,
+      untilYear: null,
+      description: `${TARGET_LABELS[target]} plan`
+    })));
+  };
+
+  return (
+    <Card title="CPF Top-Ups" titleColor="bg-emerald-600">
+      <div className="space-y-6">
+        <p className="text-sm text-gray-600">
+          Cash top-ups to your SA (RA from 55) or to a family member's are each a tax relief of up to
+          {" "}{formatCurrency(reliefCap)} a year, and voluntary
+          MediSave contributions are relieved in full within the CPF Annual Limit. Top-ups stop at the FRS (ERS from
+          55) and the Basic Healthcare Sum, and cannot be withdrawn as cash.
+        </p>
+
+        {/* Scheduled top-ups */}
+        <div className="space-y-3">
+          <h3 className="font-medium text-gray-800">Scheduled Top-Ups</h3>
+          {topUps.length > 0 ? (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {topUps.map((topUp) => (
+                <li key={topUp.id} className="flex justify-between items-start gap-2 p-3">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {formatCurrency(topUp.amount)} to {topUp.recipient === CPF_TOPUP_RECIPIENT.FAMILY ? "a family member's " : ""}
+                      {ACCOUNT_LABELS[topUp.account]}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {MONTH_NAMES[topUp.month - 1]} {topUp.year}
+                      {topUp.recurring && `, every year${topUp.untilYear ? ` until ${topUp.untilYear}` : ""}`}
+                      {topUp.description && ` · ${topUp.description}`}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeCpfTopUp(topUp.id)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No top-ups scheduled.</p>
+          )}
+          <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+            <div>
+              <label htmlFor="topUpAccount" className="block text-xs font-medium text-gray-700 mb-1">Account</label>
+              <select
+                id="topUpAccount"
+                name="account"
+                value={form.account}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {[CPF_ACCOUNT.SPECIAL, CPF_ACCOUNT.MEDISAVE].map((account) => (
+                  <option key={account} value={account}>{ACCOUNT_LABELS[account]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="topUpRecipient" className="block text-xs font-medium text-gray-700 mb-1">For</label>
+              <select
+                id="topUpRecipient"
+                name="recipient"
+                value={form.recipient}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                <option value={CPF_TOPUP_RECIPIENT.SELF}>Myself</option>
+                <option value={CPF_TOPUP_RECIPIENT.FAMILY}>Family member</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="topUpAmount" className="block text-xs font-medium text-gray-700 mb-1">Amount ($)</label>
+              <input
+                id="topUpAmount"
+                type="number"
+                name="amount"
+                min="0"
+                value={form.amount}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="topUpMonth" className="block text-xs font-medium text-gray-700 mb-1">Month</label>
+              <select
+                id="topUpMonth"
+                name="month"
+                value={form.month}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="topUpYear" className="block text-xs font-medium text-gray-700 mb-1">Year</label>
+              <input
+                id="topUpYear"
+                type="number"
+                name="year"
+                value={form.year}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="topUpUntilYear" className="block text-xs font-medium text-gray-700 mb-1">Every Year Until</label>
+              <div className="flex items-center gap-2">
+                <input
+                  id="topUpRecurring"
+                  type="checkbox"
+                  name="recurring"
+                  checked={form.recurring}
+                  onChange={handleChange}
+                  aria-label="Repeat every year"
+                />
+                <input
+                  id="topUpUntilYear"
+                  type="number"
+                  name="untilYear"
+                  placeholder="No end"
+                  disabled={!form.recurring}
+                  value={form.untilYear}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            </div>
+            <div>
+              <label htmlFor="topUpDescription" className="block text-xs font-medium text-gray-700 mb-1">Note</label>
+              <input
+                id="topUpDescription"
+                type="text"
+                name="description"
+                placeholder="Optional"
+                value={form.description}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm rounded-md text-white bg-emerald-600 hover:bg-emerald-700"
+            >
+              Add Top-Up
+            </button>
+          </form>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+        </div>
+
+        {/* Suggested plan */}
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <h3 className="font-medium text-gray-800">Suggested Top-Up Plan</h3>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="topUpTarget" className="block text-xs font-medium text-gray-700 mb-1">Target at 55</label>
+              <select
+                id="topUpTarget"
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {Object.values(CPF_TOPUP_TARGET).map((value) => (
+                  <option key={value} value={value}>{TARGET_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="topUpMarginalRate" className="block text-xs font-medium text-gray-700 mb-1">Marginal Tax Rate (%)</label>
+              <input
+                id="topUpMarginalRate"
+                type="number"
+                min="0"
+                step="0.5"
+                placeholder={String(projectedMarginalRate)}
+                value={marginalRate}
+                onChange={(e) => setMarginalRate(e.target.value)}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+
+          {!plan ? (
+            <p className="text-sm text-gray-500">Add your birthday to plan top-ups by age.</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <div className="p-3 bg-emerald-50 rounded-lg">
+                  <p className="text-xs text-gray-600">Target at 55</p>
+                  <p className="text-lg font-semibold text-emerald-800">{formatCurrency(plan.targetAmount)}</p>
+                </div>
+                <div className="p-3 bg-emerald-50 rounded-lg">
+                  <p className="text-xs text-gray-600">Without Top-Ups</p>
+                  <p className="text-lg font-semibold text-emerald-800">{formatCurrency(plan.projectedWithoutTopUps)}</p>
+                </div>
+                <div className="p-3 bg-emerald-50 rounded-lg">
+                  <p className="text-xs text-gray-600">Total Top-Ups</p>
+                  <p className="text-lg font-semibold text-emerald-800">{formatCurrency(plan.totalTopUps)}</p>
+                </div>
+                <div className="p-3 bg-emerald-50 rounded-lg">
+                  <p className="text-xs text-gray-600">Tax Saved</p>
+                  <p className="text-lg font-semibold text-emerald-800">{formatCurrency(plan.totalTaxSaved)}</p>
+                  <p className="text-xs text-gray-500">{formatCurrency(plan.totalRelief)} relief at {taxRate}%</p>
+                </div>
+              </div>
+
+              {plan.years.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {["Year", "Age", "Account", "Top-Up", "Relief", "Tax Saved"].map((heading) => (
+                          <th key={heading} className="px-3 py-2 text-right first:text-left text-xs font-medium text-gray-500 uppercase">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-100">
+                      {plan.years.map((row) => (
+                        <tr key={row.year}>
+                          <td className="px-3 py-1.5 text-gray-900">{row.year}</td>
+                          <td className="px-3 py-1.5 text-right">{row.age}</td>
+                          <td className="px-3 py-1.5 text-right">{row.account}</td>
+                          <td className="px-3 py-1.5 text-right font-medium">{formatCurrency(row.topUp)}</td>
+                          <td className="px-3 py-1.5 text-right">{formatCurrency(row.relief)}</td>
+                          <td className="px-3 py-1.5 text-right text-gray-500">{formatCurrency(row.taxSaved)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {!plan.reachesTarget && (
+                    <p className="text-xs text-amber-700 mt-1">
+                      Top-ups are capped at the FRS before 55 and the ERS after, so the plan falls short of the target.
+                    </p>
+                  )}
+                  <button
+                    type="button"
+                    onClick={handleSchedulePlan}
+                    className="mt-3 px-4 py-2 text-sm rounded-md text-white bg-emerald-600 hover:bg-emerald-700"
+                  >
+                    Schedule This Plan
+                  </button>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500">You are on track to reach the target without top-ups.</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default CpfTopUps;
@@ -0,0 +1 @@
+export { default } from './CpfTopUps';
\ No newline at end of file
@@ -0,0 +1,234 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import {
+  DIFF_CHANGE,
+  createJsonExport,
+  buildExportSheets,
+  toCsv,
+  getExportFileName,
+  prepareImport
+} from "../../../services/export/dataExport";
+import { createXlsxWorkbook } from "../../../services/export/xlsxWriter";
+
+const CHANGE_STYLES = {
+  [DIFF_CHANGE.ADDED]: "text-green-700",
+  [DIFF_CHANGE.REMOVED]: "text-red-700",
+  [DIFF_CHANGE.CHANGED]: "text-amber-700"
+};
+
+// Save content as a file through a temporary link
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * DataTransfer Component
+ * Exports the complete financial data as versioned JSON, and expenses, bonuses, spending and
+ * the monthly projection as CSV or XLSX. Imports a JSON export after showing what it changes.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onImport] - Called after imported data replaces the current data
+ * @returns {JSX.Element}
+ */
+const DataTransfer = ({ onImport }) => {
+  const { financialData, defaultFinancialData, replaceFinancialData } = useFinancial();
+  const { projection } = useFinancialCalculations();
+
+  const [csvSheetId, setCsvSheetId] = useState("expenses");
+  const [preview, setPreview] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  const sheets = useMemo(
+    () => buildExportSheets(financialData, projection || []),
+    [financialData, projection]
+  );
+
+  const handleExportJson = () => {
+    downloadFile(createJsonExport(financialData), getExportFileName("financial-data", "json"), "application/json");
+  };
+
+  const handleExportCsv = () => {
+    const sheet = sheets.find((candidate) => candidate.id === csvSheetId);
+    downloadFile(toCsv(sheet), getExportFileName(sheet.name, "csv"), "text/csv;charset=utf-8");
+  };
+
+  const handleExportXlsx = () => {
+    downloadFile(
+      createXlsxWorkbook(sheets),
+      getExportFileName("financial-data", "xlsx"),
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+  };
+
+  // Read the selected file into a preview; nothing is replaced until confirmed
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setImportError(null);
+    try {
+      const text = await file.text();
+      setPreview({ fileName: file.name, ...prepareImport(text, financialData, defaultFinancialData) });
+    } catch (error) {
+      setPreview(null);
+      setImportError(error.message);
+    }
+  };
+
+  const handleConfirmImport = () => {
+    replaceFinancialData(preview.data);
+    setPreview(null);
+    if (onImport) onImport();
+  };
+
+  return (
+    <Card title="Export and Import" titleColor="bg-slate-700">
+      <div className="space-y-6">
+        {/* Export */}
+        <div>
+          <p className="text-sm text-gray-600 mb-3">
+            The JSON file is a complete backup that can be imported again. Spreadsheets hold your
+            expenses, bonuses, yearly expenses, upcoming spending and the month-by-month projection.
+          </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              type="button"
+              onClick={handleExportJson}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-800 text-white text-sm font-medium rounded-md"
+            >
+              Export JSON
+            </button>
+            <button
+              type="button"
+              onClick={handleExportXlsx}
+              className="px-4 py-2 bg-green-700 hover:bg-green-800 text-white text-sm font-medium rounded-md"
+            >
+              Export Excel (.xlsx)
+            </button>
+            <div className="flex items-center gap-2">
+              <select
+                value={csvSheetId}
+                onChange={(e) => setCsvSheetId(e.target.value)}
+                className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                {sheets.map((sheet) => (
+                  <option key={sheet.id} value={sheet.id}>
+                    {sheet.name} ({sheet.rows.length})
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={handleExportCsv}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-md"
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Import */}
+        <div>
+          <label className="inline-flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-md cursor-pointer">
+            Import JSON
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+          </label>
+          {importError && (
+            <p className="mt-2 text-sm text-red-600">{importError}</p>
+          )}
+        </div>
+
+        {/* Import preview */}
+        {preview && (
+          <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-3">
+            <div>
+              <h4 className="font-medium text-blue-900">{preview.fileName}</h4>
+              <p className="text-sm text-blue-800">
+                {preview.exportedAt && `Exported ${new Date(preview.exportedAt).toLocaleString()} · `}
+                {preview.migrated
+                  ? `Upgraded from data version ${preview.fromVersion}`
+                  : `Data version ${preview.fromVersion}`}
+              </p>
+            </div>
+
+            {preview.errors.length > 0 && (
+              <ul className="text-sm text-red-700 list-disc list-inside">
+                {preview.errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+
+            {preview.diff.length === 0 ? (
+              <p className="text-sm text-gray-700">The file matches your current data.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="py-1 pr-4">Section</th>
+                      <th className="py-1 pr-4">Current</th>
+                      <th className="py-1 pr-4">Imported</th>
+                      <th className="py-1">Changes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.diff.map((entry) => (
+                      <tr key={entry.field} className="border-t border-blue-100 align-top">
+                        <td className={`py-1 pr-4 font-medium ${CHANGE_STYLES[entry.change]}`}>{entry.field}</td>
+                        <td className="py-1 pr-4">{entry.current}</td>
+                        <td className="py-1 pr-4">{entry.incoming}</td>
+                        <td className="py-1 text-gray-600">
+                          {entry.details.length > 0 ? entry.details.join(", ") : entry.change}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <p className="text-xs text-gray-600">
+              Importing replaces all of your current data.
+            </p>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handleConfirmImport}
+                disabled={preview.errors.length > 0 || preview.diff.length === 0}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white text-sm font-medium rounded-md"
+              >
+                Replace My Data
+              </button>
+              <button
+                type="button"
+                onClick={() => setPreview(null)}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default DataTransfer;
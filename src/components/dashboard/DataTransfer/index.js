@@ -0,0 +1 @@
+export { default } from './DataTransfer';
\ No newline at end of file
@@ -1,19 +1,40 @@
-import React from "react";
+import React, { useState, useMemo } from "react";
 import PropTypes from "prop-types";
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from "recharts";
 import Card from "../../common/Card";
 import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { compareBudgetToActual } from "../../../services/transactions/categorization";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
 
 /**
  * ExpenseBreakdown Component
  * Displays a breakdown of monthly expenses with a table and pie chart visualization
+ * When imported transactions are available, budget is compared with actual spend for a chosen month
  *
  * @param {Object} props - Component props
  * @param {Array} props.expenseData - Array of expense objects with name and value
  * @param {number} props.totalExpenses - Sum of all expenses
+ * @param {Array} props.monthlyActuals - Actual spend per category per month, newest first (optional)
  * @returns {JSX.Element}
  */
-const ExpenseBreakdown = ({ expenseData, totalExpenses }) => {
+const ExpenseBreakdown = ({ expenseData, totalExpenses, monthlyActuals = [] }) => {
+  const [selectedMonthKey, setSelectedMonthKey] = useState(null);
+
+  // Default to the most recent imported month
+  const selectedMonth = monthlyActuals.find((month) => month.key === selectedMonthKey) || monthlyActuals[0] || null;
+  const hasActuals = Boolean(selectedMonth);
+
+  const comparisonRows = useMemo(
+    () => (selectedMonth
+      ? compareBudgetToActual(
+        expenseData.map((expense) => ({ name: expense.name, amount: expense.value })),
+        selectedMonth
+      )
+      : []),
+    [expenseData, selectedMonth]
+  );
+
   // Colors for pie chart
   const COLORS = [
     "#0088FE", "#00C49F", "#FFBB28", "#FF8042", "#8884d8", 
@@ -23,6 +44,25 @@ const ExpenseBreakdown = ({ expenseData, totalExpenses }) => {
 
   return (
     <Card title="Monthly Expense Breakdown">
+      {hasActuals && (
+        <div className="flex justify-end items-center mb-4">
+          <label htmlFor="actualsMonth" className="text-sm text-gray-600 mr-2">
+            Actual spend for
+          </label>
+          <select
+            id="actualsMonth"
+            value={selectedMonth.key}
+            onChange={(e) => setSelectedMonthKey(e.target.value)}
+            className="text-sm border border-gray-300 rounded-md py-1"
+          >
+            {monthlyActuals.map((month) => (
+              <option key={month.key} value={month.key}>
+                {MONTH_NAMES[month.month - 1]} {month.year}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {/* Expense Table */}
         <div className="overflow-x-auto">
@@ -33,21 +73,53 @@ const ExpenseBreakdown = ({ expenseData, totalExpenses }) => {
                   Category
                 </th>
                 <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Amount
+                  {hasActuals ? "Budget" : "Amount"}
                 </th>
+                {hasActuals && (
+                  <>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actual
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Variance
+                    </th>
+                  </>
+                )}
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {expenseData.map((expense, index) => (
-                <tr key={index} className="hover:bg-gray-50">
-                  <td className="px-4 py-3 text-sm text-gray-700">
-                    {expense.name}
-                  </td>
-                  <td className="px-4 py-3 text-sm text-gray-700 text-right">
-                    {formatCurrency(expense.value)}
-                  </td>
-                </tr>
-              ))}
+              {hasActuals
+                ? comparisonRows.map((row) => (
+                  <tr key={row.name} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {row.name}
+                      {!row.budgeted && (
+                        <span className="ml-1 text-xs text-gray-400">(no budget)</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                      {formatCurrency(row.budget)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                      {formatCurrency(row.actual)}
+                    </td>
+                    <td className={`px-4 py-3 text-sm text-right ${
+                      row.variance > 0 ? "text-red-600" : "text-green-600"
+                    }`}>
+                      {row.variance > 0 ? "+" : ""}{formatCurrency(row.variance)}
+                    </td>
+                  </tr>
+                ))
+                : expenseData.map((expense, index) => (
+                  <tr key={index} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {expense.name}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                      {formatCurrency(expense.value)}
+                    </td>
+                  </tr>
+                ))}
               <tr className="bg-blue-50">
                 <td className="px-4 py-3 text-sm font-medium text-blue-700">
                   Total
@@ -55,6 +127,19 @@ const ExpenseBreakdown = ({ expenseData, totalExpenses }) => {
                 <td className="px-4 py-3 text-sm font-medium text-blue-700 text-right">
                   {formatCurrency(totalExpenses)}
                 </td>
+                {hasActuals && (
+                  <>
+                    <td className="px-4 py-3 text-sm font-medium text-blue-700 text-right">
+                      {formatCurrency(selectedMonth.total)}
+                    </td>
+                    <td className={`px-4 py-3 text-sm font-medium text-right ${
+                      selectedMonth.total > totalExpenses ? "text-red-600" : "text-green-600"
+                    }`}>
+                      {selectedMonth.total > totalExpenses ? "+" : ""}
+                      {formatCurrency(selectedMonth.total - totalExpenses)}
+                    </td>
+                  </>
+                )}
               </tr>
             </tbody>
           </table>
@@ -100,7 +185,16 @@ ExpenseBreakdown.propTypes = {
       value: PropTypes.number.isRequired
     })
   ).isRequired,
-  totalExpenses: PropTypes.number.isRequired
+  totalExpenses: PropTypes.number.isRequired,
+  monthlyActuals: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      year: PropTypes.number.isRequired,
+      month: PropTypes.number.isRequired,
+      categories: PropTypes.object.isRequired,
+      total: PropTypes.number.isRequired
+    })
+  )
 };
 
 export default ExpenseBreakdown;
\ No newline at end of file
@@ -0,0 +1,329 @@
+import React, { useState, useMemo } from "react";
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from "recharts";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  calculatePortfolioMetrics,
+  calculateRebalancing
+} from "../../../services/calculations/investmentCalculations";
+import {
+  HOLDING_CLASSES,
+  HOLDING_LABELS,
+  getHoldingReturn,
+  validateHoldings,
+  holdingsToPortfolio
+} from "../../../services/calculations/holdings";
+
+const HOLDING_COLORS = {
+  CASH: "#0088FE",
+  SINGAPORE_BONDS: "#00C49F",
+  SINGAPORE_EQUITIES: "#FFBB28",
+  GLOBAL_EQUITIES: "#FF8042",
+  SINGAPORE_REITS: "#8884D8",
+  ROBO_ADVISOR: "#82CA9D"
+};
+
+/**
+ * One editable row per asset class, starting from the saved portfolio
+ * With nothing saved, all savings start in cash
+ */
+const createFormRows = (financialData) => {
+  const saved = financialData.portfolio || {};
+  const holdings = Array.isArray(saved.holdings) ? saved.holdings : [];
+  const targetAllocation = saved.targetAllocation || {};
+  const currentSavings = parseFloat(financialData.personalInfo?.currentSavings) || 0;
+
+  return HOLDING_CLASSES.map((assetClass) => {
+    const holding = holdings.find((item) => item.assetClass === assetClass);
+    const isCash = assetClass === "CASH";
+    return {
+      assetClass,
+      balance: holding ? holding.balance : (holdings.length === 0 && isCash ? currentSavings : 0),
+      contributionPercentage: holding ? holding.contributionPercentage : (holdings.length === 0 && isCash ? 100 : 0),
+      annualReturn: holding && typeof holding.annualReturn === "number" ? holding.annualReturn : "",
+      targetPercentage: targetAllocation[assetClass] !== undefined ? targetAllocation[assetClass] : ""
+    };
+  });
+};
+
+/**
+ * HoldingsManager Component
+ * Splits liquid savings across cash, SGS/T-bills, STI ETF, global equities, REITs and
+ * robo-advisors, sets where monthly savings go, and suggests trades to reach a target allocation
+ *
+ * @returns {JSX.Element}
+ */
+const HoldingsManager = () => {
+  const { financialData, updatePortfolio } = useFinancial();
+  const { projection } = useFinancialCalculations();
+  const [rows, setRows] = useState(() => createFormRows(financialData));
+  const [formError, setFormError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const savedHoldings = useMemo(
+    () => (Array.isArray(financialData.portfolio?.holdings) ? financialData.portfolio.holdings : []),
+    [financialData.portfolio]
+  );
+  const targetAllocation = useMemo(
+    () => financialData.portfolio?.targetAllocation || {},
+    [financialData.portfolio]
+  );
+
+  const handleChange = (assetClass, field, value) => {
+    setSaved(false);
+    setRows((prev) => prev.map((row) => (row.assetClass === assetClass ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    const holdings = rows
+      .map((row) => ({
+        assetClass: row.assetClass,
+        balance: parseFloat(row.balance) || 0,
+        contributionPercentage: parseFloat(row.contributionPercentage) || 0,
+        ...(row.annualReturn !== "" ? { annualReturn: parseFloat(row.annualReturn) } : {})
+      }))
+      .filter((holding) => holding.assetClass === "CASH" || holding.balance > 0 || holding.contributionPercentage > 0);
+    const target = rows.reduce(
+      (allocation, row) => (row.targetPercentage !== "" ? { ...allocation, [row.assetClass]: parseFloat(row.targetPercentage) || 0 } : allocation),
+      {}
+    );
+    const targetTotal = Object.values(target).reduce((sum, percentage) => sum + percentage, 0);
+
+    try {
+      validateHoldings(holdings);
+      if (Object.keys(target).length > 0 && Math.abs(targetTotal - 100) > 0.01) {
+        throw new Error("Target allocation must add up to 100%");
+      }
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+
+    updatePortfolio({ holdings, targetAllocation: target });
+    setFormError(null);
+    setSaved(true);
+  };
+
+  const totalBalance = savedHoldings.reduce((sum, holding) => sum + holding.balance, 0);
+
+  const metrics = useMemo(() => {
+    if (totalBalance <= 0) return null;
+    return calculatePortfolioMetrics(
+      savedHoldings.map((holding) => ({
+        assetClass: holding.assetClass,
+        percentage: (holding.balance / totalBalance) * 100
+      }))
+    );
+  }, [savedHoldings, totalBalance]);
+
+  const rebalancing = useMemo(
+    () => (Object.keys(targetAllocation).length > 0 ? calculateRebalancing(holdingsToPortfolio(savedHoldings), targetAllocation) : null),
+    [savedHoldings, targetAllocation]
+  );
+
+  // Projected holdings each January
+  const chartData = useMemo(
+    () =>
+      (projection || [])
+        .filter((row) => row.holdingBalances && row.monthIndex === 1)
+        .map((row) => ({
+          date: row.date,
+          ...Object.keys(row.holdingBalances).reduce(
+            (values, assetClass) => ({ ...values, [assetClass]: Math.round(row.holdingBalances[assetClass]) }),
+            {}
+          )
+        })),
+    [projection]
+  );
+
+  const contributionTotal = rows.reduce((sum, row) => sum + (parseFloat(row.contributionPercentage) || 0), 0);
+  const targetTotal = rows.reduce((sum, row) => sum + (parseFloat(row.targetPercentage) || 0), 0);
+
+  return (
+    <Card title="Investment Holdings" titleColor="bg-emerald-700">
+      <div className="space-y-6">
+        {totalBalance > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-emerald-50 p-4 rounded-lg">
+              <p className="text-sm text-emerald-800">Total Holdings</p>
+              <p className="text-2xl font-bold text-emerald-700">{formatCurrency(totalBalance)}</p>
+            </div>
+            {metrics && (
+              <>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <p className="text-sm text-gray-700">Expected Return</p>
+                  <p className="text-2xl font-bold text-gray-800">{metrics.expectedReturn}%</p>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <p className="text-sm text-gray-700">Volatility</p>
+                  <p className="text-2xl font-bold text-gray-800">{metrics.volatility}% <span className="text-sm font-normal">({metrics.riskLevel})</span></p>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <form onSubmit={handleSave} className="space-y-3">
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="py-2 pr-3">Holding</th>
+                  <th className="py-2 pr-3">Balance</th>
+                  <th className="py-2 pr-3">Monthly Savings (%)</th>
+                  <th className="py-2 pr-3">Return (%/yr)</th>
+                  <th className="py-2">Target (%)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.assetClass} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 font-medium text-gray-800">{HOLDING_LABELS[row.assetClass]}</td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="number"
+                        min="0"
+                        aria-label={`${HOLDING_LABELS[row.assetClass]} balance`}
+                        value={row.balance}
+                        onChange={(e) => handleChange(row.assetClass, "balance", e.target.value)}
+                        className="block w-32 text-sm border-gray-300 rounded-md"
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        aria-label={`${HOLDING_LABELS[row.assetClass]} share of monthly savings`}
+                        value={row.contributionPercentage}
+                        onChange={(e) => handleChange(row.assetClass, "contributionPercentage", e.target.value)}
+                        className="block w-24 text-sm border-gray-300 rounded-md"
+                      />
+                    </td>
+                    <td className="py-2 pr-3">
+                      <input
+                        type="number"
+                        step="0.1"
+                        aria-label={`${HOLDING_LABELS[row.assetClass]} expected return`}
+                        placeholder={String(getHoldingReturn({ assetClass: row.assetClass }))}
+                        value={row.annualReturn}
+                        onChange={(e) => handleChange(row.assetClass, "annualReturn", e.target.value)}
+                        className="block w-24 text-sm border-gray-300 rounded-md"
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        aria-label={`${HOLDING_LABELS[row.assetClass]} target allocation`}
+                        value={row.targetPercentage}
+                        onChange={(e) => handleChange(row.assetClass, "targetPercentage", e.target.value)}
+                        className="block w-24 text-sm border-gray-300 rounded-md"
+                      />
+                    </td>
+                  </tr>
+                ))}
+                <tr className="text-xs text-gray-500">
+                  <td className="py-2 pr-3">Total</td>
+                  <td className="py-2 pr-3">{formatCurrency(rows.reduce((sum, row) => sum + (parseFloat(row.balance) || 0), 0))}</td>
+                  <td className={`py-2 pr-3 ${contributionTotal !== 100 ? "text-red-600" : ""}`}>{contributionTotal}%</td>
+                  <td className="py-2 pr-3"></td>
+                  <td className={`py-2 ${targetTotal !== 0 && targetTotal !== 100 ? "text-red-600" : ""}`}>{targetTotal}%</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+          <div className="flex justify-between items-center">
+            <p className="text-xs text-gray-500">
+              Your savings balance becomes the total of these holdings. Leave a return blank to use the
+              asset class default. Spending comes out of cash first, then the most liquid holdings.
+            </p>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-emerald-600 hover:bg-emerald-700"
+            >
+              {saved ? "Saved" : "Save Holdings"}
+            </button>
+          </div>
+        </form>
+
+        {rebalancing && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h3 className="font-medium text-gray-900 mb-2">Rebalancing</h3>
+            {rebalancing.needsRebalancing ? (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b">
+                    <th className="py-1 pr-3">Holding</th>
+                    <th className="py-1 pr-3">Current</th>
+                    <th className="py-1 pr-3">Target</th>
+                    <th className="py-1">Trade</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rebalancing.recommendations.map((trade) => (
+                    <tr key={trade.assetClass} className="border-b border-gray-100">
+                      <td className="py-1 pr-3">{HOLDING_LABELS[trade.assetClass] || trade.assetClass}</td>
+                      <td className="py-1 pr-3">{trade.currentPercentage}%</td>
+                      <td className="py-1 pr-3">{trade.targetPercentage}%</td>
+                      <td className={`py-1 font-medium ${trade.action === "Buy" ? "text-green-700" : "text-red-600"}`}>
+                        {trade.action} {formatCurrency(trade.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="text-sm text-gray-600">Holdings are within 1% of the target allocation.</p>
+            )}
+          </div>
+        )}
+
+        {chartData.length > 0 && (
+          <div>
+            <h3 className="font-medium text-gray-900 mb-2">Projected Holdings</h3>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  {HOLDING_CLASSES.filter((assetClass) => chartData[0][assetClass] !== undefined).map((assetClass) => (
+                    <Area
+                      key={assetClass}
+                      type="monotone"
+                      dataKey={assetClass}
+                      name={HOLDING_LABELS[assetClass]}
+                      stackId="holdings"
+                      stroke={HOLDING_COLORS[assetClass]}
+                      fill={HOLDING_COLORS[assetClass]}
+                    />
+                  ))}
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default HoldingsManager;
@@ -0,0 +1 @@
+export { default } from './HoldingsManager';
\ No newline at end of file
@@ -0,0 +1,524 @@
+import React, { useState } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { EMPLOYEE_TYPE } from "../../../services/calculations/cpf/cpf-utilities";
+import {
+  PRIMARY_MEMBER_ID,
+  SHARED_OWNER,
+  getHouseholdMembers,
+  getItemShares,
+  validateHouseholdMember,
+  validateSplit
+} from "../../../services/calculations/household";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const EMPLOYEE_TYPE_LABELS = {
+  [EMPLOYEE_TYPE.SINGAPOREAN]: "Singapore Citizen",
+  [EMPLOYEE_TYPE.PR_FIRST_YEAR]: "PR (1st year)",
+  [EMPLOYEE_TYPE.PR_SECOND_YEAR]: "PR (2nd year)",
+  [EMPLOYEE_TYPE.PR_THIRD_YEAR_ONWARDS]: "PR (3rd year onwards)"
+};
+
+// Lists whose items can be personal or shared
+const COST_LISTS = [
+  { field: "expenses", label: "Monthly expense", updater: "updateExpense" },
+  { field: "yearlyExpenses", label: "Yearly expense", updater: "updateYearlyExpense" },
+  { field: "upcomingSpending", label: "Upcoming spending", updater: "updateUpcomingSpending" },
+  { field: "loans", label: "Loan", updater: "updateLoan" }
+];
+
+const createMemberForm = (member = null) => {
+  const today = new Date();
+  const personalInfo = member?.personalInfo || {};
+  const cpfAccounts = personalInfo.cpfAccounts || {};
+  return {
+    name: member?.name || "",
+    birthMonth: personalInfo.birthday?.month || 1,
+    birthYear: personalInfo.birthday?.year || today.getFullYear() - 30,
+    currentSalary: member?.income?.currentSalary ?? "",
+    employeeType: member?.income?.employeeType || EMPLOYEE_TYPE.SINGAPOREAN,
+    salaryDay: member?.income?.salaryDay || 25,
+    currentSavings: personalInfo.currentSavings ?? "",
+    currentCpfBalance: personalInfo.currentCpfBalance ?? "",
+    cpfOa: cpfAccounts.OA ?? "",
+    cpfSa: cpfAccounts.SA ?? "",
+    cpfMa: cpfAccounts.MA ?? "",
+    yearlyBonuses: Array.isArray(member?.yearlyBonuses) ? member.yearlyBonuses : [],
+    bonus: { amount: "", month: 12, year: today.getFullYear(), description: "" }
+  };
+};
+
+// Member fields from the form, in the same shape as personalInfo, income and yearlyBonuses
+const toMember = (form, member = null) => {
+  const hasAccountSplit = [form.cpfOa, form.cpfSa, form.cpfMa].some((value) => value !== "");
+  const cpfAccounts = hasAccountSplit
+    ? { OA: parseFloat(form.cpfOa) || 0, SA: parseFloat(form.cpfSa) || 0, MA: parseFloat(form.cpfMa) || 0, RA: 0 }
+    : null;
+
+  return {
+    name: form.name.trim(),
+    personalInfo: {
+      birthday: { month: parseInt(form.birthMonth), year: parseInt(form.birthYear) },
+      currentSavings: parseFloat(form.currentSavings) || 0,
+      currentCpfBalance: cpfAccounts
+        ? cpfAccounts.OA + cpfAccounts.SA + cpfAccounts.MA
+        : parseFloat(form.currentCpfBalance) || 0,
+      ...(cpfAccounts ? { cpfAccounts } : {})
+    },
+    income: {
+      ...member?.income,
+      currentSalary: parseFloat(form.currentSalary),
+      employeeType: form.employeeType,
+      salaryDay: parseInt(form.salaryDay) || 25,
+      salaryAdjustments: member?.income?.salaryAdjustments || []
+    },
+    yearlyBonuses: form.yearlyBonuses
+  };
+};
+
+// Split percentages for the form, from shares (0-1)
+const toPercentages = (shares) =>
+  Object.entries(shares).reduce(
+    (percentages, [id, share]) => ({ ...percentages, [id]: Math.round(share * 10000) / 100 }),
+    {}
+  );
+
+/**
+ * HouseholdManager Component
+ * Adds earners to the household, each with their own income, CPF and bonuses, and assigns
+ * expenses, spending and loans to one member or splits them between members
+ *
+ * @returns {JSX.Element}
+ */
+const HouseholdManager = () => {
+  const financial = useFinancial();
+  const {
+    financialData,
+    updateHousehold,
+    addHouseholdMember,
+    updateHouseholdMember,
+    removeHouseholdMember
+  } = financial;
+
+  const members = getHouseholdMembers(financialData);
+  const household = financialData.household || {};
+
+  const [editingId, setEditingId] = useState(null); // null: closed, "new": adding
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [defaultSplit, setDefaultSplit] = useState(null);
+  const [itemSplit, setItemSplit] = useState(null); // { field, id, split }
+  const [splitError, setSplitError] = useState(null);
+
+  const editingMember = members.find((member) => member.id === editingId && member.id !== PRIMARY_MEMBER_ID);
+
+  const openForm = (member = null) => {
+    setEditingId(member ? member.id : "new");
+    setForm(createMemberForm(member));
+    setFormError(null);
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+    setFormError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleBonusChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, bonus: { ...prev.bonus, [name]: value } }));
+  };
+
+  const handleAddBonus = () => {
+    const amount = parseFloat(form.bonus.amount);
+    if (!(amount > 0)) return;
+    setForm((prev) => ({
+      ...prev,
+      yearlyBonuses: [
+        ...prev.yearlyBonuses,
+        {
+          id: Date.now(),
+          amount,
+          month: parseInt(prev.bonus.month),
+          year: parseInt(prev.bonus.year),
+          description: prev.bonus.description.trim() || "Bonus"
+        }
+      ],
+      bonus: { ...prev.bonus, amount: "", description: "" }
+    }));
+  };
+
+  const handleSaveMember = (e) => {
+    e.preventDefault();
+    const member = toMember(form, editingMember);
+    try {
+      validateHouseholdMember(member);
+      if (editingMember) {
+        updateHouseholdMember(editingMember.id, member);
+      } else {
+        addHouseholdMember(member);
+      }
+      closeForm();
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handleSaveDefaultSplit = () => {
+    try {
+      validateSplit(defaultSplit);
+      updateHousehold({ defaultSplit });
+      setDefaultSplit(null);
+      setSplitError(null);
+    } catch (error) {
+      setSplitError(error.message);
+    }
+  };
+
+  const handleSaveItemSplit = () => {
+    const { updater } = COST_LISTS.find((list) => list.field === itemSplit.field);
+    try {
+      validateSplit(itemSplit.split);
+      financial[updater](itemSplit.id, { owner: SHARED_OWNER, split: itemSplit.split });
+      setItemSplit(null);
+      setSplitError(null);
+    } catch (error) {
+      setSplitError(error.message);
+    }
+  };
+
+  const handleOwnerChange = (updater, item, owner) => {
+    financial[updater](item.id, owner === SHARED_OWNER ? { owner } : { owner, split: null });
+  };
+
+  const costItems = COST_LISTS.flatMap(({ field, label, updater }) =>
+    (Array.isArray(financialData[field]) ? financialData[field] : []).map((item) => ({
+      field,
+      label,
+      updater,
+      item,
+      shares: getItemShares(financialData, item)
+    }))
+  );
+
+  const describeShares = (shares) =>
+    members
+      .filter((member) => shares[member.id] > 0)
+      .map((member) => `${member.name} ${Math.round(shares[member.id] * 1000) / 10}%`)
+      .join(" · ");
+
+  return (
+    <Card title="Household" titleColor="bg-teal-600">
+      <div className="space-y-6">
+        <p className="text-sm text-gray-600">
+          Add a partner or other earner to plan as a household. Each member has their own income,
+          CPF and bonuses; shared costs are split between members.
+        </p>
+
+        {/* Members */}
+        <div className="space-y-3">
+          <div className="p-3 border border-gray-200 rounded-lg flex flex-wrap items-center justify-between gap-3">
+            <label className="text-sm text-gray-700">
+              Your name
+              <input
+                type="text"
+                defaultValue={household.primaryName || "You"}
+                onBlur={(e) => updateHousehold({ primaryName: e.target.value.trim() || "You" })}
+                className="ml-2 px-2 py-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            <span className="text-sm text-gray-600">
+              {formatCurrency(members[0].income.currentSalary || 0)}/month · from Personal Info
+            </span>
+          </div>
+
+          {members.slice(1).map((member) => (
+            <div key={member.id} className="p-3 border border-gray-200 rounded-lg flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h4 className="font-medium text-gray-900">{member.name}</h4>
+                <p className="text-sm text-gray-600">
+                  Born {MONTH_NAMES[member.personalInfo.birthday.month - 1]} {member.personalInfo.birthday.year} ·{" "}
+                  {formatCurrency(member.income.currentSalary)}/month · CPF {formatCurrency(member.personalInfo.currentCpfBalance || 0)}
+                  {member.yearlyBonuses?.length > 0 && ` · ${member.yearlyBonuses.length} bonus${member.yearlyBonuses.length === 1 ? "" : "es"}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => openForm(member)}
+                  className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm rounded-md"
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeHouseholdMember(member.id)}
+                  className="px-3 py-1 bg-red-100 hover:bg-red-200 text-red-700 text-sm rounded-md"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {!form && (
+            <button
+              type="button"
+              onClick={() => openForm()}
+              className="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-sm font-medium rounded-md"
+            >
+              Add Member
+            </button>
+          )}
+        </div>
+
+        {/* Add / edit member */}
+        {form && (
+          <form onSubmit={handleSaveMember} className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <label className="text-sm text-gray-700">
+                Name
+                <input type="text" name="name" value={form.name} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+              <label className="text-sm text-gray-700">
+                Birth Month
+                <select name="birthMonth" value={form.birthMonth} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                  {MONTH_NAMES.map((name, index) => (
+                    <option key={name} value={index + 1}>{name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Birth Year
+                <input type="number" name="birthYear" value={form.birthYear} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+              <label className="text-sm text-gray-700">
+                Monthly Salary
+                <input type="number" min="0" name="currentSalary" value={form.currentSalary} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+              <label className="text-sm text-gray-700">
+                Residency
+                <select name="employeeType" value={form.employeeType} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md">
+                  {Object.entries(EMPLOYEE_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Salary Day
+                <input type="number" min="1" max="31" name="salaryDay" value={form.salaryDay} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+              <label className="text-sm text-gray-700">
+                Current Savings
+                <input type="number" min="0" name="currentSavings" value={form.currentSavings} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+              <label className="text-sm text-gray-700">
+                CPF Balance
+                <input type="number" min="0" name="currentCpfBalance" value={form.currentCpfBalance} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+              </label>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">CPF Accounts (optional, replaces the CPF balance)</h4>
+              <div className="grid grid-cols-3 gap-3">
+                {[["cpfOa", "OA"], ["cpfSa", "SA"], ["cpfMa", "MA"]].map(([name, label]) => (
+                  <label key={name} className="text-sm text-gray-700">
+                    {label}
+                    <input type="number" min="0" name={name} value={form[name]} onChange={handleChange} className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md" />
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Bonuses</h4>
+              {form.yearlyBonuses.map((bonus) => (
+                <div key={bonus.id} className="flex justify-between text-sm py-1">
+                  <span>{bonus.description} · {MONTH_NAMES[bonus.month - 1]} {bonus.year}</span>
+                  <span className="flex gap-3">
+                    {formatCurrency(bonus.amount)}
+                    <button
+                      type="button"
+                      onClick={() => setForm((prev) => ({ ...prev, yearlyBonuses: prev.yearlyBonuses.filter((entry) => entry.id !== bonus.id) }))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  </span>
+                </div>
+              ))}
+              <div className="flex flex-wrap gap-2 mt-2">
+                <input type="text" name="description" placeholder="Description" value={form.bonus.description} onChange={handleBonusChange} className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm" />
+                <input type="number" min="0" name="amount" placeholder="Amount" value={form.bonus.amount} onChange={handleBonusChange} className="w-28 px-3 py-2 border border-gray-300 rounded-md text-sm" />
+                <select name="month" value={form.bonus.month} onChange={handleBonusChange} className="px-2 py-2 border border-gray-300 rounded-md text-sm">
+                  {MONTH_NAMES.map((name, index) => (
+                    <option key={name} value={index + 1}>{name}</option>
+                  ))}
+                </select>
+                <input type="number" name="year" value={form.bonus.year} onChange={handleBonusChange} className="w-24 px-3 py-2 border border-gray-300 rounded-md text-sm" />
+                <button type="button" onClick={handleAddBonus} className="px-3 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm rounded-md">
+                  Add Bonus
+                </button>
+              </div>
+            </div>
+
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+            <div className="flex gap-2">
+              <button type="submit" className="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-sm font-medium rounded-md">
+                {editingMember ? "Save Member" : "Add Member"}
+              </button>
+              <button type="button" onClick={closeForm} className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-md">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {members.length > 1 && (
+          <>
+            {/* Default split */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium text-gray-900">Shared Cost Split</h4>
+                {!defaultSplit && (
+                  <button
+                    type="button"
+                    onClick={() => setDefaultSplit(toPercentages(getItemShares(financialData, {})))}
+                    className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm rounded-md"
+                  >
+                    Change
+                  </button>
+                )}
+              </div>
+              {defaultSplit ? (
+                <div className="flex flex-wrap items-end gap-3">
+                  {members.map((member) => (
+                    <label key={member.id} className="text-sm text-gray-700">
+                      {member.name} (%)
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={defaultSplit[member.id] ?? 0}
+                        onChange={(e) => setDefaultSplit((prev) => ({ ...prev, [member.id]: parseFloat(e.target.value) || 0 }))}
+                        className="mt-1 block w-24 px-3 py-2 border border-gray-300 rounded-md"
+                      />
+                    </label>
+                  ))}
+                  <button type="button" onClick={handleSaveDefaultSplit} className="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-sm font-medium rounded-md">
+                    Save
+                  </button>
+                  <button type="button" onClick={() => { setDefaultSplit(null); setSplitError(null); }} className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-md">
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-600">{describeShares(getItemShares(financialData, {}))}</p>
+              )}
+            </div>
+
+            {/* Cost assignment */}
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="py-2 pr-4">Item</th>
+                    <th className="py-2 pr-4">Paid by</th>
+                    <th className="py-2">Split</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {costItems.map(({ field, label, updater, item, shares }) => {
+                    const owner = item.owner && members.some((member) => member.id === item.owner) ? item.owner : SHARED_OWNER;
+                    const editingSplit = itemSplit && itemSplit.field === field && itemSplit.id === item.id;
+                    return (
+                      <tr key={`${field}-${item.id}`} className="border-t border-gray-200 align-top">
+                        <td className="py-2 pr-4">
+                          <div className="font-medium">{item.name || item.description}</div>
+                          <div className="text-xs text-gray-500">{label}</div>
+                        </td>
+                        <td className="py-2 pr-4">
+                          <select
+                            value={owner}
+                            onChange={(e) => handleOwnerChange(updater, item, e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-md"
+                          >
+                            <option value={SHARED_OWNER}>Shared</option>
+                            {members.map((member) => (
+                              <option key={member.id} value={member.id}>{member.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="py-2">
+                          {editingSplit ? (
+                            <div className="flex flex-wrap items-center gap-2">
+                              {members.map((member) => (
+                                <label key={member.id} className="text-xs text-gray-700">
+                                  {member.name}
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={itemSplit.split[member.id] ?? 0}
+                                    onChange={(e) => setItemSplit((prev) => ({
+                                      ...prev,
+                                      split: { ...prev.split, [member.id]: parseFloat(e.target.value) || 0 }
+                                    }))}
+                                    className="ml-1 w-16 px-2 py-1 border border-gray-300 rounded-md"
+                                  />
+                                  %
+                                </label>
+                              ))}
+                              <button type="button" onClick={handleSaveItemSplit} className="text-teal-700 hover:text-teal-900">Save</button>
+                              <button type="button" onClick={() => { setItemSplit(null); setSplitError(null); }} className="text-gray-600 hover:text-gray-800">Cancel</button>
+                            </div>
+                          ) : (
+                            <div className="flex flex-wrap gap-3">
+                              <span className="text-gray-600">{describeShares(shares)}</span>
+                              {owner === SHARED_OWNER && (
+                                <>
+                                  <button
+                                    type="button"
+                                    onClick={() => setItemSplit({ field, id: item.id, split: toPercentages(shares) })}
+                                    className="text-teal-700 hover:text-teal-900"
+                                  >
+                                    Custom split
+                                  </button>
+                                  {item.split && (
+                                    <button
+                                      type="button"
+                                      onClick={() => financial[updater](item.id, { split: null })}
+                                      className="text-gray-600 hover:text-gray-800"
+                                    >
+                                      Use household split
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {splitError && <p className="text-sm text-red-600">{splitError}</p>}
+          </>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default HouseholdManager;
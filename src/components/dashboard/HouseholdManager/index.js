@@ -0,0 +1 @@
+export { default } from './HouseholdManager';
\ No newline at end of file
@@ -0,0 +1,191 @@
+import React, { useState, useMemo, useEffect, useCallback } from "react";
+import {
+  LineChart,
+  Line,
+  ResponsiveContainer,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from "recharts";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  isHouseholdMode,
+  getHouseholdMembers,
+  getMemberFinancialData,
+  combineProjections
+} from "../../../services/calculations/household";
+import { buildScenarioChartData } from "../../../services/calculations/scenarios";
+
+const HOUSEHOLD_ID = "household";
+
+const LINE_COLORS = ["#4F46E5", "#10B981", "#F59E0B", "#EF4444", "#0EA5E9"];
+
+const CHART_FIELDS = [
+  { key: "totalNetWorth", label: "Net Worth" },
+  { key: "cashSavings", label: "Cash" },
+  { key: "cpfBalance", label: "CPF" }
+];
+
+// Rows of the summary table: [label, projection field, month index (null for the last month)]
+const SUMMARY_ROWS = [
+  ["Monthly salary now", "fullMonthlySalary", 0],
+  ["Monthly expenses now", "monthlyExpenses", 0],
+  ["Net worth in 5 years", "totalNetWorth", 59],
+  ["Net worth in 10 years", "totalNetWorth", 119],
+  ["Final cash", "cashSavings", null],
+  ["Final CPF", "cpfBalance", null],
+  ["Final net worth", "totalNetWorth", null]
+];
+
+/**
+ * Runs the full projection for one member and reports it to the household view
+ */
+const MemberProjection = ({ id, data, onResult }) => {
+  const { projection } = useFinancialCalculations(data);
+
+  useEffect(() => {
+    if (projection && projection.length > 0) onResult(id, projection);
+  }, [id, projection, onResult]);
+
+  return null;
+};
+
+/**
+ * HouseholdProjection Component
+ * Projects each household member on their own income, CPF and share of costs, and the
+ * household as the sum of the members
+ *
+ * @returns {JSX.Element}
+ */
+const HouseholdProjection = () => {
+  const { financialData } = useFinancial();
+  const [chartField, setChartField] = useState("totalNetWorth");
+  const [projections, setProjections] = useState({});
+
+  const members = useMemo(
+    () => getHouseholdMembers(financialData).map((member) => ({
+      id: member.id,
+      name: member.name,
+      data: getMemberFinancialData(financialData, member.id)
+    })),
+    [financialData]
+  );
+
+  const handleResult = useCallback((id, projection) => {
+    setProjections((prev) => ({ ...prev, [id]: projection }));
+  }, []);
+
+  const ready = members.every((member) => projections[member.id]);
+  const combined = useMemo(
+    () => (ready ? combineProjections(members.map((member) => projections[member.id])) : []),
+    [ready, members, projections]
+  );
+
+  if (!isHouseholdMode(financialData)) {
+    return (
+      <Card title="Household Projection" titleColor="bg-teal-600">
+        <p className="text-sm text-gray-500">Add a household member to see per-person and combined projections.</p>
+      </Card>
+    );
+  }
+
+  const columns = [
+    ...members.map((member) => ({ id: member.id, name: member.name, projection: projections[member.id] })),
+    { id: HOUSEHOLD_ID, name: "Household", projection: combined }
+  ];
+
+  const chartData = ready ? buildScenarioChartData(columns, chartField) : [];
+
+  const getValue = (projection, field, index) => {
+    if (!projection || projection.length === 0) return null;
+    const row = projection[index === null ? projection.length - 1 : Math.min(index, projection.length - 1)];
+    return row[field] || 0;
+  };
+
+  return (
+    <Card title="Household Projection" titleColor="bg-teal-600">
+      {members.map((member) => (
+        <MemberProjection key={member.id} id={member.id} data={member.data} onResult={handleResult} />
+      ))}
+
+      {!ready ? (
+        <p className="text-sm text-gray-500">Projecting household...</p>
+      ) : (
+        <div className="space-y-6">
+          <div>
+            <div className="flex gap-2 mb-3">
+              {CHART_FIELDS.map((field) => (
+                <button
+                  key={field.key}
+                  type="button"
+                  onClick={() => setChartField(field.key)}
+                  className={`px-3 py-1 text-sm rounded-md ${
+                    chartField === field.key
+                      ? "bg-teal-600 text-white"
+                      : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+                  }`}
+                >
+                  {field.label}
+                </button>
+              ))}
+            </div>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  {columns.map((column, index) => (
+                    <Line
+                      key={column.id}
+                      type="monotone"
+                      dataKey={column.id}
+                      name={column.name}
+                      stroke={column.id === HOUSEHOLD_ID ? "#111827" : LINE_COLORS[index % LINE_COLORS.length]}
+                      strokeWidth={column.id === HOUSEHOLD_ID ? 3 : 2}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 pr-4"></th>
+                  {columns.map((column) => (
+                    <th key={column.id} className="py-2 pr-4">{column.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {SUMMARY_ROWS.map(([label, field, index]) => (
+                  <tr key={label} className="border-t border-gray-200">
+                    <td className="py-2 pr-4 text-gray-600">{label}</td>
+                    {columns.map((column) => (
+                      <td key={column.id} className={`py-2 pr-4 ${column.id === HOUSEHOLD_ID ? "font-medium" : ""}`}>
+                        {formatCurrency(getValue(column.projection, field, index) || 0)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default HouseholdProjection;
@@ -0,0 +1 @@
+export { default } from './HouseholdProjection';
\ No newline at end of file
@@ -0,0 +1,477 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  LOAN_TYPE,
+  LOAN_TYPE_LABELS,
+  INTEREST_METHOD,
+  LOAN_PAYMENT_SOURCE,
+  HDB_CONCESSIONARY_RATE,
+  validateLoan,
+  generateAmortisationSchedule,
+  getLoanPositionForMonth,
+  summarizeLoan
+} from "../../../services/calculations/loans";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const isMortgage = (type) => type === LOAN_TYPE.HDB_MORTGAGE || type === LOAN_TYPE.BANK_MORTGAGE;
+
+// Typical starting terms for each loan type
+const LOAN_DEFAULTS = {
+  [LOAN_TYPE.HDB_MORTGAGE]: { annualRate: HDB_CONCESSIONARY_RATE, termYears: 25, interestMethod: INTEREST_METHOD.REDUCING, paymentSource: LOAN_PAYMENT_SOURCE.CPF_OA },
+  [LOAN_TYPE.BANK_MORTGAGE]: { annualRate: 3.0, termYears: 25, interestMethod: INTEREST_METHOD.REDUCING, paymentSource: LOAN_PAYMENT_SOURCE.CPF_OA },
+  [LOAN_TYPE.CAR]: { annualRate: 2.78, termYears: 7, interestMethod: INTEREST_METHOD.FLAT, paymentSource: LOAN_PAYMENT_SOURCE.CASH },
+  [LOAN_TYPE.STUDY]: { annualRate: 4.0, termYears: 10, interestMethod: INTEREST_METHOD.REDUCING, paymentSource: LOAN_PAYMENT_SOURCE.CASH },
+  [LOAN_TYPE.CREDIT_LINE]: { annualRate: 20.0, termYears: "", interestMethod: INTEREST_METHOD.REDUCING, paymentSource: LOAN_PAYMENT_SOURCE.CASH }
+};
+
+const createEmptyForm = (type = LOAN_TYPE.HDB_MORTGAGE) => {
+  const today = new Date();
+  return {
+    name: "",
+    type,
+    principal: "",
+    startMonth: today.getMonth() + 1,
+    startYear: today.getFullYear(),
+    monthlyPayment: "",
+    ...LOAN_DEFAULTS[type]
+  };
+};
+
+/**
+ * Group a schedule into calendar years for display
+ */
+const summarizeScheduleByYear = (schedule) =>
+  Object.values(
+    schedule.reduce((years, row) => {
+      const year = years[row.year] || { year: row.year, payment: 0, interest: 0, principal: 0, balance: 0 };
+      year.payment += row.payment;
+      year.interest += row.interest;
+      year.principal += row.principal;
+      year.balance = row.balance;
+      years[row.year] = year;
+      return years;
+    }, {})
+  );
+
+/**
+ * LoanManager Component
+ * Adds and edits mortgages, car loans, study loans and credit lines, shows their
+ * amortisation schedules and manages floating-rate resets
+ *
+ * @returns {JSX.Element}
+ */
+const LoanManager = () => {
+  const { financialData, addLoan, updateLoan, removeLoan } = useFinancial();
+  const [form, setForm] = useState(() => createEmptyForm());
+  const [formError, setFormError] = useState(null);
+  const [expandedLoanId, setExpandedLoanId] = useState(null);
+  const [newReset, setNewReset] = useState({ month: 1, year: new Date().getFullYear(), annualRate: "" });
+
+  const today = new Date();
+  const currentYear = today.getFullYear();
+  const currentMonth = today.getMonth() + 1;
+
+  const loanRows = useMemo(
+    () =>
+      (Array.isArray(financialData.loans) ? financialData.loans : []).map((loan) => {
+        try {
+          const schedule = generateAmortisationSchedule(loan);
+          return {
+            loan,
+            schedule,
+            summary: summarizeLoan(loan),
+            position: getLoanPositionForMonth(loan, schedule, currentYear, currentMonth)
+          };
+        } catch (error) {
+          return { loan, error: error.message };
+        }
+      }),
+    [financialData.loans, currentYear, currentMonth]
+  );
+
+  const totalBalance = loanRows.reduce((total, row) => total + (row.position ? row.position.balance : 0), 0);
+  const totalPayment = loanRows.reduce((total, row) => total + (row.position ? row.position.payment : 0), 0);
+
+  const handleTypeChange = (type) => {
+    setForm((prev) => ({ ...createEmptyForm(type), name: prev.name, principal: prev.principal }));
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const isCreditLine = form.type === LOAN_TYPE.CREDIT_LINE;
+    const loan = {
+      name: form.name.trim() || LOAN_TYPE_LABELS[form.type],
+      type: form.type,
+      principal: parseFloat(form.principal),
+      annualRate: parseFloat(form.annualRate),
+      termMonths: isCreditLine ? null : Math.round(parseFloat(form.termYears) * 12),
+      startMonth: parseInt(form.startMonth, 10),
+      startYear: parseInt(form.startYear, 10),
+      interestMethod: form.interestMethod,
+      paymentSource: isMortgage(form.type) ? form.paymentSource : LOAN_PAYMENT_SOURCE.CASH,
+      monthlyPayment: isCreditLine ? parseFloat(form.monthlyPayment) : null,
+      rateResets: []
+    };
+
+    try {
+      validateLoan(loan);
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+
+    addLoan(loan);
+    setFormError(null);
+    setForm(createEmptyForm(form.type));
+  };
+
+  const handleAddReset = (loan) => {
+    const annualRate = parseFloat(newReset.annualRate);
+    if (isNaN(annualRate) || annualRate < 0) return;
+
+    const reset = { month: parseInt(newReset.month, 10), year: parseInt(newReset.year, 10), annualRate };
+    updateLoan(loan.id, {
+      rateResets: [
+        ...(loan.rateResets || []).filter((item) => item.year !== reset.year || item.month !== reset.month),
+        reset
+      ].sort((a, b) => a.year - b.year || a.month - b.month)
+    });
+    setNewReset((prev) => ({ ...prev, annualRate: "" }));
+  };
+
+  const handleRemoveReset = (loan, reset) => {
+    updateLoan(loan.id, {
+      rateResets: (loan.rateResets || []).filter(
+        (item) => item.year !== reset.year || item.month !== reset.month
+      )
+    });
+  };
+
+  return (
+    <Card title="Loans & Mortgages" titleColor="bg-rose-700">
+      <div className="space-y-6">
+        {loanRows.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-rose-50 p-4 rounded-lg">
+              <p className="text-sm text-rose-800">Outstanding Balance</p>
+              <p className="text-2xl font-bold text-rose-700">{formatCurrency(totalBalance)}</p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-700">Instalments This Month</p>
+              <p className="text-2xl font-bold text-gray-800">{formatCurrency(totalPayment)}</p>
+            </div>
+          </div>
+        )}
+
+        {/* Existing loans */}
+        {loanRows.map(({ loan, schedule, summary, position, error }) => (
+          <div key={loan.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <div>
+                <h3 className="font-medium text-gray-900">{loan.name}</h3>
+                <p className="text-xs text-gray-500">
+                  {LOAN_TYPE_LABELS[loan.type]} · {formatCurrency(loan.principal)} at {loan.annualRate}%
+                  {loan.interestMethod === INTEREST_METHOD.FLAT && " flat"}
+                  {loan.termMonths ? ` · ${loan.termMonths / 12} years` : ""}
+                  {" "}· from {MONTH_NAMES[loan.startMonth - 1]} {loan.startYear}
+                  {loan.paymentSource === LOAN_PAYMENT_SOURCE.CPF_OA && " · paid from CPF OA"}
+                </p>
+              </div>
+              <div className="flex gap-3 text-xs">
+                {!error && (
+                  <button
+                    type="button"
+                    onClick={() => setExpandedLoanId(expandedLoanId === loan.id ? null : loan.id)}
+                    className="text-blue-600 hover:text-blue-800"
+                  >
+                    {expandedLoanId === loan.id ? "Hide Schedule" : "Schedule & Rates"}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removeLoan(loan.id)}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+
+            {error ? (
+              <p className="mt-2 text-sm text-red-600">{error}</p>
+            ) : (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-sm">
+                <div>
+                  <p className="text-gray-500 text-xs">Monthly Instalment</p>
+                  <p className="font-medium">{formatCurrency(summary.monthlyInstalment)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500 text-xs">Balance Now</p>
+                  <p className="font-medium text-rose-700">{formatCurrency(position.balance)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500 text-xs">Total Interest</p>
+                  <p className="font-medium">{formatCurrency(summary.totalInterest)}</p>
+                </div>
+                <div>
+                  <p className="text-gray-500 text-xs">Repaid By</p>
+                  <p className={`font-medium ${summary.repaid ? "" : "text-red-600"}`}>
+                    {summary.repaid && summary.endDate
+                      ? `${MONTH_NAMES[summary.endDate.month - 1]} ${summary.endDate.year}`
+                      : "Payment doesn't clear the balance"}
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {expandedLoanId === loan.id && !error && (
+              <div className="mt-4 space-y-4">
+                {/* Floating-rate resets */}
+                <div>
+                  <h4 className="text-sm font-medium text-gray-800 mb-2">Rate Changes</h4>
+                  {(loan.rateResets || []).length > 0 ? (
+                    <ul className="text-sm divide-y divide-gray-100 mb-2">
+                      {loan.rateResets.map((reset) => (
+                        <li key={`${reset.year}-${reset.month}`} className="flex justify-between py-1">
+                          <span>
+                            From {MONTH_NAMES[reset.month - 1]} {reset.year}: {reset.annualRate}%
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveReset(loan, reset)}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-xs text-gray-500 mb-2">
+                      No rate changes. Add one when a floating rate reprices or a lock-in period ends.
+                    </p>
+                  )}
+                  <div className="flex flex-wrap gap-2 items-center">
+                    <select
+                      value={newReset.month}
+                      onChange={(e) => setNewReset((prev) => ({ ...prev, month: e.target.value }))}
+                      className="text-sm border-gray-300 rounded-md"
+                    >
+                      {MONTH_NAMES.map((name, index) => (
+                        <option key={name} value={index + 1}>{name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={newReset.year}
+                      onChange={(e) => setNewReset((prev) => ({ ...prev, year: e.target.value }))}
+                      className="w-24 text-sm border-gray-300 rounded-md"
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      placeholder="Rate %"
+                      value={newReset.annualRate}
+                      onChange={(e) => setNewReset((prev) => ({ ...prev, annualRate: e.target.value }))}
+                      className="w-24 text-sm border-gray-300 rounded-md"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleAddReset(loan)}
+                      className="px-3 py-1.5 text-sm rounded-md text-white bg-rose-600 hover:bg-rose-700"
+                    >
+                      Add Rate Change
+                    </button>
+                  </div>
+                </div>
+
+                {/* Amortisation schedule by year */}
+                <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        {["Year", "Paid", "Interest", "Principal", "Balance"].map((heading) => (
+                          <th key={heading} className="px-3 py-2 text-right first:text-left text-xs font-medium text-gray-500 uppercase">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-100">
+                      {summarizeScheduleByYear(schedule).map((year) => (
+                        <tr key={year.year}>
+                          <td className="px-3 py-1.5 text-gray-900">{year.year}</td>
+                          <td className="px-3 py-1.5 text-right">{formatCurrency(year.payment)}</td>
+                          <td className="px-3 py-1.5 text-right text-red-600">{formatCurrency(year.interest)}</td>
+                          <td className="px-3 py-1.5 text-right">{formatCurrency(year.principal)}</td>
+                          <td className="px-3 py-1.5 text-right font-medium">{formatCurrency(year.balance)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+
+        {loanRows.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-2">No loans added</p>
+        )}
+
+        {/* Add loan */}
+        <form onSubmit={handleAdd} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <h3 className="font-medium text-gray-800">Add Loan</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="loanType" className="block text-xs font-medium text-gray-700 mb-1">Type</label>
+              <select
+                id="loanType"
+                value={form.type}
+                onChange={(e) => handleTypeChange(e.target.value)}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {Object.values(LOAN_TYPE).map((type) => (
+                  <option key={type} value={type}>{LOAN_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="loanName" className="block text-xs font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id="loanName"
+                type="text"
+                name="name"
+                placeholder={LOAN_TYPE_LABELS[form.type]}
+                value={form.name}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="loanPrincipal" className="block text-xs font-medium text-gray-700 mb-1">
+                {form.type === LOAN_TYPE.CREDIT_LINE ? "Amount Drawn" : "Loan Amount"}
+              </label>
+              <input
+                id="loanPrincipal"
+                type="number"
+                name="principal"
+                min="0"
+                value={form.principal}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="loanRate" className="block text-xs font-medium text-gray-700 mb-1">
+                Interest Rate (%{form.interestMethod === INTEREST_METHOD.FLAT ? " flat" : ""})
+              </label>
+              <input
+                id="loanRate"
+                type="number"
+                name="annualRate"
+                min="0"
+                step="0.01"
+                value={form.annualRate}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            {form.type === LOAN_TYPE.CREDIT_LINE ? (
+              <div>
+                <label htmlFor="loanMonthlyPayment" className="block text-xs font-medium text-gray-700 mb-1">Monthly Payment</label>
+                <input
+                  id="loanMonthlyPayment"
+                  type="number"
+                  name="monthlyPayment"
+                  min="0"
+                  value={form.monthlyPayment}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="loanTerm" className="block text-xs font-medium text-gray-700 mb-1">Term (years)</label>
+                <input
+                  id="loanTerm"
+                  type="number"
+                  name="termYears"
+                  min="0"
+                  step="0.5"
+                  value={form.termYears}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="loanStartMonth" className="block text-xs font-medium text-gray-700 mb-1">Start Month</label>
+              <select
+                id="loanStartMonth"
+                name="startMonth"
+                value={form.startMonth}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="loanStartYear" className="block text-xs font-medium text-gray-700 mb-1">Start Year</label>
+              <input
+                id="loanStartYear"
+                type="number"
+                name="startYear"
+                value={form.startYear}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            {isMortgage(form.type) && (
+              <div>
+                <label htmlFor="loanPaymentSource" className="block text-xs font-medium text-gray-700 mb-1">Paid From</label>
+                <select
+                  id="loanPaymentSource"
+                  name="paymentSource"
+                  value={form.paymentSource}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                >
+                  <option value={LOAN_PAYMENT_SOURCE.CPF_OA}>CPF OA, then cash</option>
+                  <option value={LOAN_PAYMENT_SOURCE.CASH}>Cash</option>
+                </select>
+              </div>
+            )}
+          </div>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+          <div className="flex justify-between items-center">
+            <p className="text-xs text-gray-500">
+              Instalments start the month after the loan starts. Enter the original loan amount; the
+              balance today is worked out from the schedule.
+            </p>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-rose-600 hover:bg-rose-700"
+            >
+              Add Loan
+            </button>
+          </div>
+        </form>
+      </div>
+    </Card>
+  );
+};
+
+export default LoanManager;
@@ -0,0 +1 @@
+export { default } from './LoanManager';
\ No newline at end of file
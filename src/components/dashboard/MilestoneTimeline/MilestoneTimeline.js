@@ -10,9 +10,9 @@ import PropTypes from "prop-types";
  * @returns {JSX.Element}
  */
 const MilestoneTimeline = ({ milestones = [] }) => {
-  // Filter out milestones with no date or timeRemaining
+  // Filter out milestones with no date, deadline or timeRemaining
   const timelineMilestones = milestones.filter(
-    (m) => m.date || (m.timeRemaining !== undefined && m.timeRemaining !== null)
+    (m) => m.date || m.deadline || (m.timeRemaining !== undefined && m.timeRemaining !== null)
   );
 
   // Sort milestones chronologically
@@ -84,6 +84,7 @@ const MilestoneTimeline = ({ milestones = [] }) => {
           const type = milestone.type || "custom";
           const colors = typeColors[type] || typeColors.custom;
           const isCompleted = milestone.complete;
+          const isOffTrack = milestone.onTrack === false && !isCompleted;
 
           return (
             <div
@@ -97,7 +98,7 @@ const MilestoneTimeline = ({ milestones = [] }) => {
               {/* Milestone point */}
               <div
                 className={`w-5 h-5 rounded-full shadow-sm z-10 ${
-                  isCompleted ? "bg-green-500" : colors.icon
+                  isCompleted ? "bg-green-500" : isOffTrack ? "bg-red-500" : colors.icon
                 }`}
               ></div>
 
@@ -107,6 +108,8 @@ const MilestoneTimeline = ({ milestones = [] }) => {
                   className={`text-xs p-2 rounded border ${
                     isCompleted
                       ? "bg-green-50 border-green-200 text-green-800"
+                      : isOffTrack
+                      ? "bg-red-50 border-red-200 text-red-800"
                       : `${colors.bg} ${colors.border} ${colors.text}`
                   }`}
                 >
@@ -127,6 +130,11 @@ const MilestoneTimeline = ({ milestones = [] }) => {
                         : `${milestone.timeRemaining}m`}
                     </div>
                   )}
+                  {milestone.deadline && (
+                    <div className="truncate" title={`Deadline: ${milestone.deadline}`}>
+                      Due {milestone.deadline}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -153,7 +161,9 @@ MilestoneTimeline.propTypes = {
       date: PropTypes.string,
       timeRemaining: PropTypes.number,
       complete: PropTypes.bool,
-      type: PropTypes.string
+      type: PropTypes.string,
+      deadline: PropTypes.string,
+      onTrack: PropTypes.bool
     })
   )
 };
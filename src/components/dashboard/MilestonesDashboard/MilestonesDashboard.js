@@ -1,10 +1,25 @@
-import React from "react";
+import React, { useState } from "react";
 import PropTypes from "prop-types";
 import Card from "../../common/Card";
 import { formatCurrency } from "../../../services/formatters/currencyFormatters";
 import { formatDate } from "../../../services/formatters/dateFormatters";
+import {
+  GOAL_BALANCE_TYPE,
+  GOAL_BALANCE_LABELS
+} from "../../../services/calculations/goalProjection";
 import MilestoneTimeline from "../MilestoneTimeline";
 
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const EMPTY_GOAL = {
+  name: "",
+  targetAmount: "",
+  balanceType: GOAL_BALANCE_TYPE.CASH,
+  deadlineMonth: "",
+  deadlineYear: "",
+  priority: 1
+};
+
 /**
  * MilestonesDashboard Component
  * Comprehensive view of financial milestones, goals, and progress
@@ -19,6 +34,9 @@ import MilestoneTimeline from "../MilestoneTimeline";
  * @param {number} props.currentAge - Current age
  * @param {number} props.retirementSavingsGoal - Target retirement savings amount
  * @param {number} props.currentRetirementSavings - Current retirement savings
+ * @param {Array} props.goalResults - Evaluated projection goals from useProjection (replaces the single savings goal)
+ * @param {Function} props.onAddGoal - Called with a new goal { name, targetAmount, balanceType, deadline, priority }
+ * @param {Function} props.onRemoveGoal - Called with the id of a goal to remove
  * @returns {JSX.Element}
  */
 const MilestonesDashboard = ({
@@ -30,8 +48,15 @@ const MilestonesDashboard = ({
   retirementAge = 65,
   currentAge,
   retirementSavingsGoal = 1000000,
-  currentRetirementSavings
+  currentRetirementSavings,
+  goalResults = [],
+  onAddGoal,
+  onRemoveGoal
 }) => {
+  const [showGoalForm, setShowGoalForm] = useState(false);
+  const [newGoal, setNewGoal] = useState(EMPTY_GOAL);
+
+
   // Calculate savings goal progress
   const savingsGoalProgress = Math.min(
     Math.round((currentLiquidCash / savingsGoal) * 100),
@@ -47,9 +72,30 @@ const MilestonesDashboard = ({
   // Calculate years to retirement
   const yearsToRetirement = retirementAge - currentAge;
 
+  // Projection goals, when provided, replace the single hard-coded savings goal
+  const goalMilestones = goalResults.map(goal => ({
+    id: `goal-${goal.id}`,
+    goalId: goal.id,
+    title: `${goal.name}: ${formatCurrency(goal.targetAmount)}`,
+    description: `${GOAL_BALANCE_LABELS[goal.balanceType]} · Priority ${goal.priority}`,
+    date: goal.reachedDate,
+    deadline: goal.deadline
+      ? `${MONTH_NAMES[goal.deadline.month - 1]} ${goal.deadline.year}`
+      : null,
+    timeRemaining: goal.monthsToReach,
+    complete: goal.complete,
+    progress: goal.progress,
+    type: "savings",
+    amount: goal.targetAmount,
+    current: goal.currentBalance,
+    onTrack: goal.onTrack,
+    shortfallAtDeadline: goal.shortfallAtDeadline,
+    monthlyShortfall: goal.monthlyShortfall
+  }));
+
   // Combine automatic and custom milestones
   const autoMilestones = [
-    {
+    ...(goalMilestones.length > 0 ? goalMilestones : [{
       id: "savings-goal",
       title: `Savings Goal: ${formatCurrency(savingsGoal)}`,
       description: "Reach your liquid cash savings goal",
@@ -60,7 +106,7 @@ const MilestonesDashboard = ({
       type: "savings",
       amount: savingsGoal,
       current: currentLiquidCash
-    },
+    }]),
     {
       id: "retirement",
       title: "Retirement",
@@ -86,6 +132,28 @@ const MilestonesDashboard = ({
       return (a.timeRemaining || Infinity) - (b.timeRemaining || Infinity);
     });
 
+  const handleGoalInputChange = (e) => {
+    const { name, value } = e.target;
+    setNewGoal(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddGoal = (e) => {
+    e.preventDefault();
+    if (!onAddGoal || !newGoal.name || !(parseFloat(newGoal.targetAmount) > 0)) return;
+
+    onAddGoal({
+      name: newGoal.name,
+      targetAmount: parseFloat(newGoal.targetAmount),
+      balanceType: newGoal.balanceType,
+      deadline: newGoal.deadlineMonth && newGoal.deadlineYear
+        ? { month: parseInt(newGoal.deadlineMonth), year: parseInt(newGoal.deadlineYear) }
+        : null,
+      priority: parseInt(newGoal.priority) || 1
+    });
+    setNewGoal(EMPTY_GOAL);
+    setShowGoalForm(false);
+  };
+
   return (
     <div className="space-y-6">
       <Card title="Financial Milestones" titleColor="bg-indigo-600">
@@ -116,14 +184,18 @@ const MilestonesDashboard = ({
                   <h3 className="font-medium text-gray-900">{milestone.title}</h3>
                   <p className="text-sm text-gray-600">{milestone.description}</p>
                 </div>
-                {milestone.complete ? (
+                {milestone.onTrack === false && !milestone.complete ? (
+                  <span className="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                    Off track
+                  </span>
+                ) : milestone.complete ? (
                   <span className="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
                     Completed
                   </span>
                 ) : (
                   <span className="px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
                     {milestone.timeRemaining
-                      ? `${Math.ceil(milestone.timeRemaining / 12)} years, ${milestone.timeRemaining % 12} months`
+                      ? `${Math.floor(milestone.timeRemaining / 12)} years, ${milestone.timeRemaining % 12} months`
                       : "In progress"}
                   </span>
                 )}
@@ -151,24 +223,127 @@ const MilestonesDashboard = ({
                 </div>
               )}
 
+              {/* Deadline and shortfall for projection goals */}
+              {milestone.deadline && (
+                <div className="mt-2 text-sm">
+                  <span className="text-gray-600">Deadline: {milestone.deadline}</span>
+                  {milestone.shortfallAtDeadline > 0 && (
+                    <>
+                      <span className="mx-2 text-gray-400">|</span>
+                      <span className="text-red-600">
+                        Short by {formatCurrency(milestone.shortfallAtDeadline)} at deadline
+                        ({formatCurrency(milestone.monthlyShortfall)}/month extra needed)
+                      </span>
+                    </>
+                  )}
+                </div>
+              )}
+
               {/* Show financial amounts for applicable milestones */}
               {(milestone.type === 'savings' || milestone.type === 'retirement') && milestone.current !== undefined && (
                 <div className="mt-2 text-sm">
                   <span className="text-gray-600">Current: {formatCurrency(milestone.current)}</span>
                   <span className="mx-2 text-gray-400">|</span>
                   <span className="text-gray-600">Target: {formatCurrency(milestone.amount)}</span>
+                  {milestone.goalId !== undefined && onRemoveGoal && (
+                    <button
+                      onClick={() => onRemoveGoal(milestone.goalId)}
+                      className="ml-3 text-xs text-red-600 hover:text-red-800"
+                    >
+                      Remove
+                    </button>
+                  )}
                 </div>
               )}
             </div>
           ))}
         </div>
 
+        {/* Add new goal form */}
+        {showGoalForm && onAddGoal && (
+          <form onSubmit={handleAddGoal} className="mt-6 p-4 border border-indigo-200 rounded-lg bg-indigo-50">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                type="text"
+                name="name"
+                value={newGoal.name}
+                onChange={handleGoalInputChange}
+                placeholder="Goal name"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <input
+                type="number"
+                name="targetAmount"
+                value={newGoal.targetAmount}
+                onChange={handleGoalInputChange}
+                placeholder="Target amount"
+                min="0"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <select
+                name="balanceType"
+                value={newGoal.balanceType}
+                onChange={handleGoalInputChange}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                {Object.values(GOAL_BALANCE_TYPE).map(type => (
+                  <option key={type} value={type}>{GOAL_BALANCE_LABELS[type]}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                name="priority"
+                value={newGoal.priority}
+                onChange={handleGoalInputChange}
+                placeholder="Priority (1 = highest)"
+                min="1"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+              <select
+                name="deadlineMonth"
+                value={newGoal.deadlineMonth}
+                onChange={handleGoalInputChange}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">No deadline</option>
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                name="deadlineYear"
+                value={newGoal.deadlineYear}
+                onChange={handleGoalInputChange}
+                placeholder="Deadline year"
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+              />
+            </div>
+            <div className="flex justify-end mt-3 space-x-2">
+              <button
+                type="button"
+                onClick={() => setShowGoalForm(false)}
+                className="px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-md"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-3 py-1.5 text-sm text-white bg-indigo-600 hover:bg-indigo-700 rounded-md"
+              >
+                Add Goal
+              </button>
+            </div>
+          </form>
+        )}
+
         {/* Add new milestone button */}
         <div className="mt-6">
           <button
+            onClick={() => setShowGoalForm(true)}
             className="w-full py-2 px-4 border border-indigo-300 bg-indigo-50 hover:bg-indigo-100 rounded-md text-indigo-600 font-medium transition-colors"
           >
-            + Add Custom Milestone
+            + Add Goal
           </button>
         </div>
       </Card>
@@ -198,7 +373,30 @@ MilestonesDashboard.propTypes = {
   retirementAge: PropTypes.number,
   currentAge: PropTypes.number,
   retirementSavingsGoal: PropTypes.number,
-  currentRetirementSavings: PropTypes.number
+  currentRetirementSavings: PropTypes.number,
+  goalResults: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      name: PropTypes.string.isRequired,
+      targetAmount: PropTypes.number.isRequired,
+      balanceType: PropTypes.string.isRequired,
+      deadline: PropTypes.shape({
+        month: PropTypes.number,
+        year: PropTypes.number
+      }),
+      priority: PropTypes.number,
+      reachedDate: PropTypes.string,
+      monthsToReach: PropTypes.number,
+      complete: PropTypes.bool,
+      progress: PropTypes.number,
+      currentBalance: PropTypes.number,
+      onTrack: PropTypes.bool,
+      shortfallAtDeadline: PropTypes.number,
+      monthlyShortfall: PropTypes.number
+    })
+  ),
+  onAddGoal: PropTypes.func,
+  onRemoveGoal: PropTypes.func
 };
 
 export default MilestonesDashboard;
\ No newline at end of file
@@ -0,0 +1,344 @@
+import React, { useState, useMemo, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  createProjectionBaseline,
+  findPredictedMonth,
+  validateMonthlyClose,
+  buildReconciliationLedger
+} from "../../../services/calculations/reconciliation";
+import {
+  categorizeTransactions,
+  calculateMonthlySpendByCategory
+} from "../../../services/transactions/categorization";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const parseOptionalAmount = (value) => (value === "" ? null : parseFloat(value));
+
+/**
+ * Variance cell: actual figure with the difference from the prediction underneath
+ * For spend, higher than predicted is bad; for balances it is good
+ */
+const VarianceCell = ({ comparison, higherIsBetter = true }) => {
+  if (comparison.actual === null) {
+    return <td className="px-3 py-2 text-sm text-gray-400 text-right">-</td>;
+  }
+
+  const isGood = comparison.variance === null || (comparison.variance >= 0) === higherIsBetter;
+  return (
+    <td className="px-3 py-2 text-sm text-right whitespace-nowrap">
+      <div className="text-gray-900">{formatCurrency(comparison.actual)}</div>
+      {comparison.variance !== null ? (
+        <div className={`text-xs ${isGood ? "text-green-600" : "text-red-600"}`}>
+          {comparison.variance >= 0 ? "+" : ""}{formatCurrency(comparison.variance)}
+          {comparison.variancePercent !== null && ` (${comparison.variancePercent}%)`}
+        </div>
+      ) : (
+        <div className="text-xs text-gray-400">no prediction</div>
+      )}
+    </td>
+  );
+};
+
+VarianceCell.propTypes = {
+  comparison: PropTypes.shape({
+    actual: PropTypes.number,
+    predicted: PropTypes.number,
+    variance: PropTypes.number,
+    variancePercent: PropTypes.number
+  }).isRequired,
+  higherIsBetter: PropTypes.bool
+};
+
+/**
+ * MonthlyClose Component
+ * Records actual month-end balances and spend, reconciles them against the
+ * projection baseline and offers to restart projections from the latest actuals
+ *
+ * @returns {JSX.Element}
+ */
+const MonthlyClose = () => {
+  const {
+    financialData,
+    saveMonthlyClose,
+    removeMonthlyClose,
+    setProjectionBaseline,
+    rebaselineFromClose
+  } = useFinancial();
+  const { projection } = useFinancialCalculations();
+
+  const today = new Date();
+  const [form, setForm] = useState({
+    month: today.getMonth() + 1,
+    year: today.getFullYear(),
+    cashBalance: "",
+    cpfBalance: "",
+    actualSpend: "",
+    notes: ""
+  });
+  const [formError, setFormError] = useState(null);
+
+  const baseline = financialData.projectionBaseline || null;
+  const ledger = useMemo(
+    () => buildReconciliationLedger(financialData.monthlyCloses),
+    [financialData.monthlyCloses]
+  );
+  const latestClose = ledger[0] || null;
+
+  // Actual spend from imported transactions, to prefill the close
+  const importedSpend = useMemo(() => {
+    const months = calculateMonthlySpendByCategory(
+      categorizeTransactions(financialData.transactions || [], financialData.categoryRules || [])
+    );
+    return months.find((month) => month.year === form.year && month.month === form.month) || null;
+  }, [financialData.transactions, financialData.categoryRules, form.year, form.month]);
+
+  // Capture a baseline the first time, and again once the projection has been
+  // regenerated after a re-baseline (the projection updates a render later)
+  const rebaselinePendingFrom = useRef(null);
+  useEffect(() => {
+    if (!projection || projection.length === 0) return;
+
+    if (rebaselinePendingFrom.current) {
+      if (rebaselinePendingFrom.current === projection) return;
+      rebaselinePendingFrom.current = null;
+      setProjectionBaseline(createProjectionBaseline(projection));
+      return;
+    }
+
+    if (!baseline) {
+      setProjectionBaseline(createProjectionBaseline(projection));
+    }
+  }, [projection, baseline, setProjectionBaseline]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: name === "month" || name === "year" ? parseInt(value, 10) : value
+    }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const close = {
+      year: form.year,
+      month: form.month,
+      cashBalance: parseOptionalAmount(form.cashBalance),
+      cpfBalance: parseOptionalAmount(form.cpfBalance),
+      actualSpend: parseOptionalAmount(form.actualSpend),
+      notes: form.notes
+    };
+
+    try {
+      validateMonthlyClose(close);
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+
+    // Freeze the prediction with the close so re-baselining later doesn't change its variance
+    const prediction = findPredictedMonth(close.year, close.month, baseline, projection);
+    saveMonthlyClose({
+      ...close,
+      predicted: prediction ? prediction.predicted : null,
+      predictedFrom: prediction ? prediction.source : null
+    });
+    setFormError(null);
+    setForm((prev) => ({ ...prev, cashBalance: "", cpfBalance: "", actualSpend: "", notes: "" }));
+  };
+
+  const handleRebaseline = (close) => {
+    rebaselinePendingFrom.current = projection;
+    rebaselineFromClose(close);
+  };
+
+  const canRebaseline = latestClose && latestClose.cashBalance !== null && latestClose.cpfBalance !== null;
+
+  return (
+    <Card title="Monthly Close & Reconciliation" titleColor="bg-slate-700">
+      <div className="space-y-6">
+        <p className="text-sm text-gray-600">
+          Record your actual balances and spend at the end of each month to see how reality
+          compares with the projection.
+          {baseline && (
+            <span className="text-gray-500">
+              {" "}Reconciling against the projection saved on{" "}
+              {new Date(baseline.createdAt).toLocaleDateString()}.
+            </span>
+          )}
+        </p>
+
+        {/* Close form */}
+        <form onSubmit={handleSave} className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 items-end">
+          <div>
+            <label htmlFor="closeMonth" className="block text-xs font-medium text-gray-700 mb-1">Month</label>
+            <select
+              id="closeMonth"
+              name="month"
+              value={form.month}
+              onChange={handleChange}
+              className="block w-full text-sm border-gray-300 rounded-md"
+            >
+              {MONTH_NAMES.map((name, index) => (
+                <option key={name} value={index + 1}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="closeYear" className="block text-xs font-medium text-gray-700 mb-1">Year</label>
+            <input
+              id="closeYear"
+              type="number"
+              name="year"
+              value={form.year}
+              onChange={handleChange}
+              className="block w-full text-sm border-gray-300 rounded-md"
+            />
+          </div>
+          <div>
+            <label htmlFor="closeCash" className="block text-xs font-medium text-gray-700 mb-1">Cash Balance</label>
+            <input
+              id="closeCash"
+              type="number"
+              name="cashBalance"
+              min="0"
+              step="0.01"
+              value={form.cashBalance}
+              onChange={handleChange}
+              className="block w-full text-sm border-gray-300 rounded-md"
+            />
+          </div>
+          <div>
+            <label htmlFor="closeCpf" className="block text-xs font-medium text-gray-700 mb-1">CPF Balance</label>
+            <input
+              id="closeCpf"
+              type="number"
+              name="cpfBalance"
+              min="0"
+              step="0.01"
+              value={form.cpfBalance}
+              onChange={handleChange}
+              className="block w-full text-sm border-gray-300 rounded-md"
+            />
+          </div>
+          <div>
+            <label htmlFor="closeSpend" className="block text-xs font-medium text-gray-700 mb-1">Actual Spend</label>
+            <input
+              id="closeSpend"
+              type="number"
+              name="actualSpend"
+              min="0"
+              step="0.01"
+              value={form.actualSpend}
+              onChange={handleChange}
+              className="block w-full text-sm border-gray-300 rounded-md"
+            />
+            {importedSpend && (
+              <button
+                type="button"
+                onClick={() => setForm((prev) => ({ ...prev, actualSpend: String(importedSpend.total) }))}
+                className="mt-1 text-xs text-blue-600 hover:text-blue-800"
+              >
+                Use imported {formatCurrency(importedSpend.total)}
+              </button>
+            )}
+          </div>
+          <div>
+            <button
+              type="submit"
+              className="w-full px-3 py-2 text-sm font-medium rounded-md text-white bg-slate-700 hover:bg-slate-800"
+            >
+              Close Month
+            </button>
+          </div>
+          <div className="col-span-2 md:col-span-3 lg:col-span-6">
+            <input
+              type="text"
+              name="notes"
+              placeholder="Notes (optional)"
+              value={form.notes}
+              onChange={handleChange}
+              className="block w-full text-sm border-gray-300 rounded-md"
+            />
+          </div>
+        </form>
+        {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+        {/* Re-baseline offer */}
+        {canRebaseline && (
+          <div className="flex flex-wrap justify-between items-center gap-3 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+            <p className="text-sm text-amber-800">
+              Projections start from the balances in your profile. Restart them from the{" "}
+              {MONTH_NAMES[latestClose.month - 1]} {latestClose.year} close
+              ({formatCurrency(latestClose.cashBalance)} cash, {formatCurrency(latestClose.cpfBalance)} CPF)?
+            </p>
+            <button
+              type="button"
+              onClick={() => handleRebaseline(latestClose)}
+              className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-amber-600 hover:bg-amber-700"
+            >
+              Re-baseline
+            </button>
+          </div>
+        )}
+
+        {/* Ledger */}
+        {ledger.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr className="bg-gray-50">
+                  {["Month", "Cash", "CPF", "Net Worth", "Spend", ""].map((heading, index) => (
+                    <th
+                      key={heading || index}
+                      className={`px-3 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider ${
+                        index === 0 ? "text-left" : "text-right"
+                      }`}
+                    >
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {ledger.map((close) => (
+                  <tr key={close.id}>
+                    <td className="px-3 py-2 text-sm text-gray-900 whitespace-nowrap">
+                      <div className="font-medium">{MONTH_NAMES[close.month - 1]} {close.year}</div>
+                      {close.notes && <div className="text-xs text-gray-500">{close.notes}</div>}
+                    </td>
+                    <VarianceCell comparison={close.variance.cash} />
+                    <VarianceCell comparison={close.variance.cpf} />
+                    <VarianceCell comparison={close.variance.netWorth} />
+                    <VarianceCell comparison={close.variance.spend} higherIsBetter={false} />
+                    <td className="px-3 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => removeMonthlyClose(close.id)}
+                        className="text-xs text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-2 text-xs text-gray-500">
+              Differences are actual minus projected for that month.
+            </p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-4">No months closed yet</p>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default MonthlyClose;
@@ -0,0 +1 @@
+export { default } from './MonthlyClose';
\ No newline at end of file
@@ -4,7 +4,7 @@ import Card from "../../common/Card";
 import { formatCurrency } from "../../../services/formatters/currencyFormatters";
 import ProjectionTable from "../ProjectionTable";
 import ProjectionSettings from "../ProjectionSettings";
-import { SavingsGrowthChart, NetWorthChart } from "../charts";
+import { SavingsGrowthChart, NetWorthChart } from "../../charts";
 
 /**
  * ProjectionDashboard Component
@@ -13,6 +13,7 @@ import { SavingsGrowthChart, NetWorthChart } from "../charts";
  * @param {Object} props - Component props
  * @param {Array} props.projectionData - Array of projection data points
  * @param {Object} props.savingsGoalReachedMonth - Month when savings goal is reached (or null)
+ * @param {Object} props.monteCarloResult - Monte Carlo bands from useProjection (optional)
  * @param {Object} props.currentValues - Current financial values
  * @param {Object} props.projectionSettings - Current projection settings
  * @param {Function} props.onUpdateSettings - Function to update projection settings
@@ -21,6 +22,7 @@ import { SavingsGrowthChart, NetWorthChart } from "../charts";
 const ProjectionDashboard = ({
   projectionData = [],
   savingsGoalReachedMonth,
+  monteCarloResult,
   currentValues,
   projectionSettings,
   onUpdateSettings
@@ -209,6 +211,7 @@ const ProjectionDashboard = ({
         <NetWorthChart
           chartData={filteredData}
           savingsGoalReachedMonth={savingsGoalReachedMonth}
+          monteCarloResult={monteCarloResult}
         />
 
         <SavingsGrowthChart
@@ -221,6 +224,7 @@ const ProjectionDashboard = ({
       <ProjectionTable 
         projectionData={filteredData}
         timeframe={timeframe} 
+        monteCarloResult={monteCarloResult}
       />
     </div>
   );
@@ -229,6 +233,7 @@ const ProjectionDashboard = ({
 ProjectionDashboard.propTypes = {
   projectionData: PropTypes.arrayOf(PropTypes.object).isRequired,
   savingsGoalReachedMonth: PropTypes.object,
+  monteCarloResult: PropTypes.object,
   currentValues: PropTypes.shape({
     salary: PropTypes.number,
     monthlySavings: PropTypes.number,
@@ -240,7 +245,6 @@ ProjectionDashboard.propTypes = {
     annualSalaryIncrease: PropTypes.number,
     annualExpenseIncrease: PropTypes.number,
     annualInvestmentReturn: PropTypes.number,
-    annualCpfInterestRate: PropTypes.number,
     projectionYears: PropTypes.number,
     bonusMonths: PropTypes.number,
     bonusAmount: PropTypes.number
@@ -1,6 +1,34 @@
 import React, { useState, useEffect } from "react";
 import PropTypes from "prop-types";
 import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { DEFAULT_MONTE_CARLO_SETTINGS } from "../../../services/calculations/monteCarlo";
+import {
+  TAX_PAYMENT_MODE,
+  TAX_RELIEF_TYPES,
+  TAX_RULES_SCHEDULE,
+  DEFAULT_TAX_PAYMENT_MONTH,
+  getTaxRules
+} from "../../../services/calculations/taxCalculations";
+import { DEFAULT_CPF_POLICY_ESCALATION_RATE } from "../../../services/calculations/cpf/cpf-policy";
+
+// Reliefs that can be claimed from the settings panel (earned income and CPF relief are automatic)
+const CLAIMABLE_RELIEFS = [
+  { type: TAX_RELIEF_TYPES.SPOUSE, label: "Spouse Relief ($)" },
+  { type: TAX_RELIEF_TYPES.QUALIFYING_CHILD, label: "Qualifying Child Relief ($)" },
+  { type: TAX_RELIEF_TYPES.PARENT, label: "Parent Relief ($)" },
+  { type: TAX_RELIEF_TYPES.NSman_SELF, label: "NSman Relief ($)" },
+  { type: TAX_RELIEF_TYPES.LIFE_INSURANCE, label: "Life Insurance Relief ($)" },
+  { type: TAX_RELIEF_TYPES.COURSE_FEES, label: "Course Fees Relief ($)" }
+];
+
+// Years of Assessment whose rules can be previewed: the first scheduled YA to next year's
+const FIRST_YEAR_OF_ASSESSMENT = TAX_RULES_SCHEDULE[0].fromYearOfAssessment;
+const YEARS_OF_ASSESSMENT = Array.from(
+  { length: new Date().getFullYear() + 2 - FIRST_YEAR_OF_ASSESSMENT },
+  (_, index) => FIRST_YEAR_OF_ASSESSMENT + index
+);
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
 
 /**
  * ProjectionSettings Component
@@ -19,6 +47,7 @@ const ProjectionSettings = ({
 }) => {
   const [settings, setSettings] = useState(currentSettings);
   const [hasChanged, setHasChanged] = useState(false);
+  const [rulesYear, setRulesYear] = useState(new Date().getFullYear());
 
   // Update local state when currentSettings change
   useEffect(() => {
@@ -41,6 +70,73 @@ const ProjectionSettings = ({
     }
   };
 
+  // Handle Monte Carlo option changes (stored under settings.monteCarlo)
+  const handleMonteCarloChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    const nextValue = type === "checkbox" ? checked : parseFloat(value);
+
+    if (type !== "checkbox" && isNaN(nextValue)) return;
+
+    setSettings(prev => ({
+      ...prev,
+      monteCarlo: {
+        ...DEFAULT_MONTE_CARLO_SETTINGS,
+        goalAmount: 100000,
+        ...prev.monteCarlo,
+        [name]: nextValue
+      }
+    }));
+    setHasChanged(true);
+  };
+
+  const monteCarlo = {
+    ...DEFAULT_MONTE_CARLO_SETTINGS,
+    goalAmount: 100000,
+    enabled: false,
+    ...settings.monteCarlo
+  };
+
+  // Income tax options (stored under settings.tax); tax is projected unless disabled
+  const tax = {
+    enabled: true,
+    paymentMode: TAX_PAYMENT_MODE.LUMP_SUM,
+    paymentMonth: DEFAULT_TAX_PAYMENT_MONTH,
+    reliefs: {},
+    ...settings.tax
+  };
+
+  const handleTaxChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    let nextValue = value;
+    if (type === "checkbox") {
+      nextValue = checked;
+    } else if (name === "paymentMonth") {
+      nextValue = parseInt(value, 10);
+    }
+
+    setSettings(prev => ({
+      ...prev,
+      tax: { ...tax, [name]: nextValue }
+    }));
+    setHasChanged(true);
+  };
+
+  const handleReliefChange = (e) => {
+    const { name, value } = e.target;
+    const amount = value === "" ? 0 : parseFloat(value);
+
+    if (isNaN(amount) || amount < 0) return;
+
+    setSettings(prev => ({
+      ...prev,
+      tax: { ...tax, reliefs: { ...tax.reliefs, [name]: amount } }
+    }));
+    setHasChanged(true);
+  };
+
+  // Rules of the Year of Assessment being previewed
+  const taxRules = getTaxRules(rulesYear);
+  const lapsedReliefs = CLAIMABLE_RELIEFS.filter((relief) => taxRules.reliefCaps[relief.type] === null);
 
   // Handle save button click
   const handleSave = () => {
@@ -54,7 +150,7 @@ const ProjectionSettings = ({
       annualSalaryIncrease: 3.0,
       annualExpenseIncrease: 2.0,
       annualInvestmentReturn: 4.0,
-      annualCpfInterestRate: 2.5,
+      cpfPolicyEscalation: DEFAULT_CPF_POLICY_ESCALATION_RATE,
       projectionYears: 30,
       bonusMonths: 2,
       bonusAmount: currentValues.salary || 0 // One month salary by default
@@ -128,59 +224,68 @@ const ProjectionSettings = ({
               Based on inflation, typically 1.5-3%
             </p>
           </div>
-        </div>
 
-        {/* Return Rates */}
-        <div className="space-y-4">
-          <h4 className="text-md font-medium text-gray-700">Return Rates</h4>
-          
           <div>
-            <label htmlFor="annualInvestmentReturn" className="block text-sm font-medium text-gray-700 mb-1">
-              Annual Investment Return (%)
+            <label htmlFor="cpfPolicyEscalation" className="block text-sm font-medium text-gray-700 mb-1">
+              CPF Ceilings & Sums Increase (%)
             </label>
             <div className="mt-1 relative rounded-md shadow-sm">
               <input
                 type="number"
-                name="annualInvestmentReturn"
-                id="annualInvestmentReturn"
+                name="cpfPolicyEscalation"
+                id="cpfPolicyEscalation"
                 className="focus:ring-indigo-500 focus:border-indigo-500 block w-full pl-3 pr-12 sm:text-sm border-gray-300 rounded-md"
-                value={settings.annualInvestmentReturn}
+                value={settings.cpfPolicyEscalation ?? DEFAULT_CPF_POLICY_ESCALATION_RATE}
                 onChange={handleChange}
                 step="0.1"
                 min="0"
-                max="20"
+                max="10"
               />
               <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
                 <span className="text-gray-500 sm:text-sm">%</span>
               </div>
             </div>
             <p className="mt-1 text-xs text-gray-500">
-              Conservative estimate: 4-6% per year
+              Yearly rise of the wage ceilings, BHS and retirement sums after the last announced year
             </p>
           </div>
+        </div>
+
+        {/* Return Rates */}
+        <div className="space-y-4">
+          <h4 className="text-md font-medium text-gray-700">Return Rates</h4>
           
           <div>
-            <label htmlFor="annualCpfInterestRate" className="block text-sm font-medium text-gray-700 mb-1">
-              Annual CPF Interest Rate (%)
+            <label htmlFor="annualInvestmentReturn" className="block text-sm font-medium text-gray-700 mb-1">
+              Annual Investment Return (%)
             </label>
             <div className="mt-1 relative rounded-md shadow-sm">
               <input
                 type="number"
-                name="annualCpfInterestRate"
-                id="annualCpfInterestRate"
+                name="annualInvestmentReturn"
+                id="annualInvestmentReturn"
                 className="focus:ring-indigo-500 focus:border-indigo-500 block w-full pl-3 pr-12 sm:text-sm border-gray-300 rounded-md"
-                value={settings.annualCpfInterestRate}
+                value={settings.annualInvestmentReturn}
                 onChange={handleChange}
                 step="0.1"
                 min="0"
-                max="10"
+                max="20"
               />
               <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
                 <span className="text-gray-500 sm:text-sm">%</span>
               </div>
             </div>
             <p className="mt-1 text-xs text-gray-500">
-              Standard CPF rate: 2.5-4% per year
+              Conservative estimate: 4-6% per year
+            </p>
+          </div>
+          
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              CPF Interest
+            </span>
+            <p className="text-sm text-gray-600">
+              Projected per account: OA 2.5%, SA/MA/RA 4%, plus extra interest on the first $60,000
             </p>
           </div>
         </div>
@@ -259,6 +364,164 @@ const ProjectionSettings = ({
         </div>
       </div>
 
+      {/* Monte Carlo Simulation */}
+      <div className="space-y-4 pt-4 border-t border-gray-200">
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            name="enabled"
+            id="monteCarloEnabled"
+            className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            checked={monteCarlo.enabled}
+            onChange={handleMonteCarloChange}
+          />
+          <label htmlFor="monteCarloEnabled" className="ml-2 text-md font-medium text-gray-700">
+            Monte Carlo Simulation
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">
+          Simulates many randomised paths for returns, salary growth and inflation and shows P10/P50/P90 ranges.
+          The same seed always gives the same result.
+        </p>
+
+        {monteCarlo.enabled && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[
+              { name: "iterations", label: "Simulations", step: "100", min: "100", max: "10000" },
+              { name: "seed", label: "Random Seed", step: "1", min: "0" },
+              { name: "goalAmount", label: "Cash Savings Goal ($)", step: "1000", min: "0" },
+              { name: "investmentReturnVolatility", label: "Return Volatility (%)", step: "0.5", min: "0", max: "50" },
+              { name: "salaryGrowthVolatility", label: "Salary Growth Volatility (%)", step: "0.5", min: "0", max: "20" },
+              { name: "inflationVolatility", label: "Inflation Volatility (%)", step: "0.1", min: "0", max: "10" }
+            ].map((field) => (
+              <div key={field.name}>
+                <label htmlFor={`monteCarlo-${field.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+                  {field.label}
+                </label>
+                <input
+                  type="number"
+                  name={field.name}
+                  id={`monteCarlo-${field.name}`}
+                  className="focus:ring-indigo-500 focus:border-indigo-500 block w-full pl-3 pr-3 sm:text-sm border-gray-300 rounded-md"
+                  value={monteCarlo[field.name]}
+                  onChange={handleMonteCarloChange}
+                  step={field.step}
+                  min={field.min}
+                  max={field.max}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Income Tax */}
+      <div className="space-y-4 pt-4 border-t border-gray-200">
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            name="enabled"
+            id="taxEnabled"
+            className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            checked={tax.enabled}
+            onChange={handleTaxChange}
+          />
+          <label htmlFor="taxEnabled" className="ml-2 text-md font-medium text-gray-700">
+            Income Tax
+          </label>
+        </div>
+        <p className="text-xs text-gray-500">
+          Tax on each calendar year's salary and bonuses is paid in the following Year of Assessment, under that YA's rates, relief caps and rebates, after CPF relief, SRS relief from your SRS account in the Retirement Planner, and the reliefs below.
+        </p>
+
+        {tax.enabled && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="taxPaymentMode" className="block text-sm font-medium text-gray-700 mb-1">
+                  Payment Method
+                </label>
+                <select
+                  name="paymentMode"
+                  id="taxPaymentMode"
+                  className="focus:ring-indigo-500 focus:border-indigo-500 block w-full pl-3 pr-3 sm:text-sm border-gray-300 rounded-md"
+                  value={tax.paymentMode}
+                  onChange={handleTaxChange}
+                >
+                  <option value={TAX_PAYMENT_MODE.LUMP_SUM}>Lump sum</option>
+                  <option value={TAX_PAYMENT_MODE.GIRO}>GIRO (12 monthly instalments)</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="taxPaymentMonth" className="block text-sm font-medium text-gray-700 mb-1">
+                  {tax.paymentMode === TAX_PAYMENT_MODE.GIRO ? "First Instalment Month" : "Payment Month"}
+                </label>
+                <select
+                  name="paymentMonth"
+                  id="taxPaymentMonth"
+                  className="focus:ring-indigo-500 focus:border-indigo-500 block w-full pl-3 pr-3 sm:text-sm border-gray-300 rounded-md"
+                  value={tax.paymentMonth}
+                  onChange={handleTaxChange}
+                >
+                  {MONTH_NAMES.map((name, index) => (
+                    <option key={name} value={index + 1}>{name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {CLAIMABLE_RELIEFS.map((relief) => (
+                <div key={relief.type}>
+                  <label htmlFor={`taxRelief-${relief.type}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {relief.label}
+                  </label>
+                  <input
+                    type="number"
+                    name={relief.type}
+                    id={`taxRelief-${relief.type}`}
+                    className="focus:ring-indigo-500 focus:border-indigo-500 block w-full pl-3 pr-3 sm:text-sm border-gray-300 rounded-md"
+                    value={tax.reliefs[relief.type] || 0}
+                    onChange={handleReliefChange}
+                    step="100"
+                    min="0"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="p-3 bg-gray-50 rounded-md border border-gray-200 text-sm text-gray-600 space-y-1">
+              <div className="flex items-center gap-2">
+                <label htmlFor="taxRulesYear" className="font-medium text-gray-700">Rules for YA</label>
+                <select
+                  id="taxRulesYear"
+                  className="focus:ring-indigo-500 focus:border-indigo-500 pl-2 pr-8 py-1 sm:text-sm border-gray-300 rounded-md"
+                  value={rulesYear}
+                  onChange={(e) => setRulesYear(parseInt(e.target.value, 10))}
+                >
+                  {YEARS_OF_ASSESSMENT.map((year) => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+                <span className="text-xs text-gray-500">(income earned in {rulesYear - 1})</span>
+              </div>
+              <p>
+                Top rate {taxRules.brackets[taxRules.brackets.length - 1].rate * 100}% above{" "}
+                {formatCurrency(taxRules.brackets[taxRules.brackets.length - 1].min)}; reliefs capped at{" "}
+                {formatCurrency(taxRules.totalReliefCap)} in total.
+              </p>
+              <p>
+                {taxRules.rebate
+                  ? `One-off rebate: ${taxRules.rebate.rate}% of tax, up to ${formatCurrency(taxRules.rebate.cap)}.`
+                  : "No one-off rebate."}
+                {lapsedReliefs.length > 0 &&
+                  ` Not available: ${lapsedReliefs.map((relief) => relief.label.replace(" ($)", "")).join(", ")}.`}
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Action buttons */}
       <div className="flex flex-wrap justify-end gap-3 pt-4 border-t border-gray-200">
         <button
@@ -290,10 +553,16 @@ ProjectionSettings.propTypes = {
     annualSalaryIncrease: PropTypes.number,
     annualExpenseIncrease: PropTypes.number,
     annualInvestmentReturn: PropTypes.number,
-    annualCpfInterestRate: PropTypes.number,
+    cpfPolicyEscalation: PropTypes.number,
     projectionYears: PropTypes.number,
     bonusMonths: PropTypes.number,
-    bonusAmount: PropTypes.number
+    bonusAmount: PropTypes.number,
+    tax: PropTypes.shape({
+      enabled: PropTypes.bool,
+      paymentMode: PropTypes.oneOf(Object.values(TAX_PAYMENT_MODE)),
+      paymentMonth: PropTypes.number,
+      reliefs: PropTypes.object
+    })
   }).isRequired,
   currentValues: PropTypes.shape({
     salary: PropTypes.number,
@@ -1,4 +1,4 @@
-import React, { useState, memo } from "react";
+import React, { useState, useMemo, memo } from "react";
 import PropTypes from "prop-types";
 import Card from "../../common/Card";
 import { formatCurrency } from "../../../services/formatters/currencyFormatters";
@@ -6,32 +6,44 @@ import { formatCurrency } from "../../../services/formatters/currencyFormatters"
 /**
  * ProjectionTable Component
  * Displays a detailed table of financial projections
+ * The Tax column totals income tax paid over each displayed period, so lump-sum
+ * payments are not lost when showing quarterly or yearly rows
  *
  * @param {Object} props - Component props
  * @param {Array} props.projectionData - Array of projection data points
  * @param {string} props.timeframe - Selected timeframe
+ * @param {Object} props.monteCarloResult - Monte Carlo bands and goal probability from useProjection (optional)
  * @returns {JSX.Element}
  */
-const ProjectionTable = ({ projectionData = [], timeframe }) => {
+const ProjectionTable = ({ projectionData = [], timeframe, monteCarloResult }) => {
   const [selectedDataPoint, setSelectedDataPoint] = useState(null);
   const [displayFrequency, setDisplayFrequency] = useState("quarterly"); // "monthly", "quarterly", "yearly"
 
-  // Filter data based on display frequency
-  const getFilteredTableData = () => {
-    if (displayFrequency === "monthly") {
-      return projectionData;
-    }
+  // Index Monte Carlo bands by date so each row can look up its percentile range
+  const bandsByDate = useMemo(() => {
+    if (!monteCarloResult || !Array.isArray(monteCarloResult.bands)) return null;
+    return new Map(monteCarloResult.bands.map((band) => [band.date, band]));
+  }, [monteCarloResult]);
 
-    if (displayFrequency === "yearly") {
-      return projectionData.filter((_, index) => index % 12 === 0);
-    }
+  // Months represented by each displayed row
+  const periodLength = displayFrequency === "monthly" ? 1 : displayFrequency === "yearly" ? 12 : 3;
 
-    // Quarterly - every 3 months
-    return projectionData.filter((_, index) => index % 3 === 0);
-  };
+  // Filter data based on display frequency (quarterly - every 3 months)
+  const getFilteredTableData = () =>
+    projectionData.filter((_, index) => index % periodLength === 0);
 
   const tableData = getFilteredTableData();
 
+  // Income tax paid over each displayed period, keyed by the row's date
+  const taxByPeriod = useMemo(() => {
+    const totals = new Map();
+    projectionData.forEach((dataPoint, index) => {
+      const periodStart = projectionData[index - (index % periodLength)];
+      totals.set(periodStart.date, (totals.get(periodStart.date) || 0) + (dataPoint.incomeTax || 0));
+    });
+    return totals;
+  }, [projectionData, periodLength]);
+
   // Calculate key metrics to highlight important changes
   const calculateRowMetrics = (dataPoint, index, data) => {
     if (index === 0) {
@@ -54,7 +66,7 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
         (prevDataPoint.totalNetWorth < 250000 && dataPoint.totalNetWorth >= 250000) ||
         (prevDataPoint.totalNetWorth < 500000 && dataPoint.totalNetWorth >= 500000) ||
         (prevDataPoint.totalNetWorth < 1000000 && dataPoint.totalNetWorth >= 1000000),
-      hasLargeIncome: dataPoint.monthlyIncome > prevDataPoint.monthlyIncome * 1.5, // Bonus months
+      hasLargeIncome: dataPoint.totalIncome > prevDataPoint.totalIncome * 1.5, // Bonus months
       netWorthChangePercentage
     };
   };
@@ -70,7 +82,17 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
           </h3>
           <p className="text-sm text-gray-600">
             Showing {displayFrequency} data points
+            {displayFrequency !== "monthly" && " (tax is the total paid in each period)"}
           </p>
+          {monteCarloResult && (
+            <p className="text-sm text-indigo-700">
+              {monteCarloResult.goalProbability}% probability of reaching{" "}
+              {formatCurrency(monteCarloResult.goalAmount)} cash savings
+              {monteCarloResult.goalDate
+                ? ` by ${monteCarloResult.goalDate.month}/${monteCarloResult.goalDate.year}`
+                : " within the projection"}
+            </p>
+          )}
         </div>
 
         {/* Display frequency selector */}
@@ -124,6 +146,9 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
               <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Expenses
               </th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Tax
+              </th>
               <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Savings
               </th>
@@ -136,6 +161,11 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
               <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Net Worth
               </th>
+              {bandsByDate && (
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Net Worth P10 / P50 / P90
+                </th>
+              )}
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
@@ -168,11 +198,16 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                     )}
                   </td>
                   <td className="px-4 py-3 text-sm text-gray-900 text-right">
-                    {formatCurrency(dataPoint.monthlyIncome || 0)}
+                    {formatCurrency(dataPoint.totalIncome || 0)}
                   </td>
                   <td className="px-4 py-3 text-sm text-gray-900 text-right">
                     {formatCurrency(dataPoint.monthlyExpenses || 0)}
                   </td>
+                  <td className="px-4 py-3 text-sm text-gray-900 text-right">
+                    {taxByPeriod.get(dataPoint.date)
+                      ? formatCurrency(taxByPeriod.get(dataPoint.date))
+                      : "-"}
+                  </td>
                   <td className="px-4 py-3 text-sm text-gray-900 text-right">
                     {formatCurrency(dataPoint.monthlySavings || 0)}
                   </td>
@@ -181,6 +216,17 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                   </td>
                   <td className="px-4 py-3 text-sm text-gray-900 text-right">
                     {formatCurrency(dataPoint.cpfBalance || 0)}
+                    {dataPoint.cpfOaBalance !== undefined && (
+                      <div className="text-xs text-gray-500 whitespace-nowrap">
+                        OA {formatCurrency(dataPoint.cpfOaBalance)}
+                        {" · "}
+                        {dataPoint.cpfRaBalance > 0
+                          ? `RA ${formatCurrency(dataPoint.cpfRaBalance)}`
+                          : `SA ${formatCurrency(dataPoint.cpfSaBalance || 0)}`}
+                        {" · "}
+                        MA {formatCurrency(dataPoint.cpfMaBalance || 0)}
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 py-3 text-sm font-medium text-right">
                     {formatCurrency(dataPoint.totalNetWorth || 0)}
@@ -197,6 +243,23 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                       </div>
                     )}
                   </td>
+                  {bandsByDate && (
+                    <td className="px-4 py-3 text-xs text-gray-700 text-right whitespace-nowrap">
+                      {bandsByDate.get(dataPoint.date) ? (
+                        <>
+                          {formatCurrency(bandsByDate.get(dataPoint.date).totalNetWorth.p10)}
+                          {" / "}
+                          <span className="font-medium">
+                            {formatCurrency(bandsByDate.get(dataPoint.date).totalNetWorth.p50)}
+                          </span>
+                          {" / "}
+                          {formatCurrency(bandsByDate.get(dataPoint.date).totalNetWorth.p90)}
+                        </>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                  )}
                 </tr>
               );
             })}
@@ -227,7 +290,7 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
               <div className="text-gray-800">
                 <div className="flex justify-between">
                   <span>Monthly Income:</span>
-                  <span>{formatCurrency(selectedDataPoint.monthlyIncome || 0)}</span>
+                  <span>{formatCurrency(selectedDataPoint.totalIncome || 0)}</span>
                 </div>
                 {selectedDataPoint.bonusAmount > 0 && (
                   <div className="flex justify-between text-green-600">
@@ -235,6 +298,18 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                     <span>{formatCurrency(selectedDataPoint.bonusAmount || 0)}</span>
                   </div>
                 )}
+                {selectedDataPoint.srsWithdrawal > 0 && (
+                  <div className="flex justify-between text-green-600">
+                    <span>SRS Withdrawal:</span>
+                    <span>{formatCurrency(selectedDataPoint.srsWithdrawal)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.srsPenalty > 0 && (
+                  <div className="pl-3 text-sm text-red-600 flex justify-between">
+                    <span>Early Withdrawal Penalty:</span>
+                    <span>-{formatCurrency(selectedDataPoint.srsPenalty)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span>Take-Home Pay:</span>
                   <span>{formatCurrency(selectedDataPoint.takeHomePay || 0)}</span>
@@ -243,6 +318,23 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                   <span>CPF Contribution:</span>
                   <span>{formatCurrency(selectedDataPoint.totalCpfContribution || 0)}</span>
                 </div>
+                {(selectedDataPoint.bonusCpfContribution > 0 || selectedDataPoint.bonusEmployerCpfContribution > 0) && (
+                  <div className="pl-3 text-sm text-gray-600">
+                    <div className="flex justify-between">
+                      <span>Bonus CPF (Employee):</span>
+                      <span>{formatCurrency(selectedDataPoint.bonusCpfContribution || 0)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Bonus CPF (Employer):</span>
+                      <span>{formatCurrency(selectedDataPoint.bonusEmployerCpfContribution || 0)}</span>
+                    </div>
+                    {selectedDataPoint.additionalWageSubjectToCpf < selectedDataPoint.bonusAmount && (
+                      <div className="text-xs text-gray-500">
+                        Only {formatCurrency(selectedDataPoint.additionalWageSubjectToCpf || 0)} of the bonus is within the AW ceiling
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
 
@@ -253,6 +345,42 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                   <span>Monthly Expenses:</span>
                   <span>{formatCurrency(selectedDataPoint.monthlyExpenses || 0)}</span>
                 </div>
+                {selectedDataPoint.incomeTax > 0 && (
+                  <div className="flex justify-between text-red-600">
+                    <span>Income Tax:</span>
+                    <span>{formatCurrency(selectedDataPoint.incomeTax)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.loanPayment > 0 && (
+                  <div className="flex justify-between">
+                    <span>Loan Instalments:</span>
+                    <span>{formatCurrency(selectedDataPoint.loanPayment)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.loanPaidFromCpf > 0 && (
+                  <div className="pl-3 text-sm text-gray-600 flex justify-between">
+                    <span>Paid from CPF OA:</span>
+                    <span>{formatCurrency(selectedDataPoint.loanPaidFromCpf)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.srsContribution > 0 && (
+                  <div className="flex justify-between">
+                    <span>SRS Contribution:</span>
+                    <span>{formatCurrency(selectedDataPoint.srsContribution)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.cpfTopUp > 0 && (
+                  <div className="flex justify-between">
+                    <span>CPF Top-Ups:</span>
+                    <span>{formatCurrency(selectedDataPoint.cpfTopUp)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.cpfTopUpFamily > 0 && (
+                  <div className="pl-3 text-sm text-gray-600 flex justify-between">
+                    <span>For family members:</span>
+                    <span>{formatCurrency(selectedDataPoint.cpfTopUpFamily)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-green-600 font-medium mt-1">
                   <span>Monthly Savings:</span>
                   <span>{formatCurrency(selectedDataPoint.monthlySavings || 0)}</span>
@@ -271,10 +399,60 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
                   <span>CPF Balance:</span>
                   <span>{formatCurrency(selectedDataPoint.cpfBalance || 0)}</span>
                 </div>
+                {selectedDataPoint.cpfOaBalance !== undefined && (
+                  <div className="pl-3 text-sm text-gray-600">
+                    {[
+                      ["Ordinary (OA)", selectedDataPoint.cpfOaBalance],
+                      ["Special (SA)", selectedDataPoint.cpfSaBalance],
+                      ["MediSave (MA)", selectedDataPoint.cpfMaBalance],
+                      ["Retirement (RA)", selectedDataPoint.cpfRaBalance]
+                    ].map(([label, balance]) => (
+                      <div key={label} className="flex justify-between">
+                        <span>{label}:</span>
+                        <span>{formatCurrency(balance || 0)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {selectedDataPoint.cpfHousingRefundDue > 0 && (
+                  <div className="pl-3 text-sm text-gray-600 flex justify-between">
+                    <span>OA housing refund due on sale:</span>
+                    <span>{formatCurrency(selectedDataPoint.cpfHousingRefundDue)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.srsBalance > 0 && (
+                  <div className="flex justify-between">
+                    <span>SRS Balance:</span>
+                    <span>{formatCurrency(selectedDataPoint.srsBalance)}</span>
+                  </div>
+                )}
+                {selectedDataPoint.loanBalance > 0 && (
+                  <div className="flex justify-between text-red-600">
+                    <span>Loans Outstanding:</span>
+                    <span>-{formatCurrency(selectedDataPoint.loanBalance)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between font-medium text-blue-700 mt-1">
                   <span>Total Net Worth:</span>
                   <span>{formatCurrency(selectedDataPoint.totalNetWorth || 0)}</span>
                 </div>
+                {bandsByDate && bandsByDate.get(selectedDataPoint.date) && (
+                  <div className="mt-2 text-xs text-indigo-700">
+                    {["cashSavings", "cpfBalance", "totalNetWorth"].map((field) => {
+                      const band = bandsByDate.get(selectedDataPoint.date)[field];
+                      return (
+                        <div key={field} className="flex justify-between">
+                          <span>
+                            {field === "cashSavings" ? "Cash" : field === "cpfBalance" ? "CPF" : "Net Worth"} P10–P90:
+                          </span>
+                          <span>
+                            {formatCurrency(band.p10)} – {formatCurrency(band.p90)}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -286,7 +464,13 @@ const ProjectionTable = ({ projectionData = [], timeframe }) => {
 
 ProjectionTable.propTypes = {
   projectionData: PropTypes.arrayOf(PropTypes.object).isRequired,
-  timeframe: PropTypes.string.isRequired
+  timeframe: PropTypes.string.isRequired,
+  monteCarloResult: PropTypes.shape({
+    bands: PropTypes.arrayOf(PropTypes.object),
+    goalAmount: PropTypes.number,
+    goalDate: PropTypes.object,
+    goalProbability: PropTypes.number
+  })
 };
 
 export default memo(ProjectionTable);
\ No newline at end of file
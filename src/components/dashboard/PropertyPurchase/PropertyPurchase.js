@@ -0,0 +1,431 @@
+import React, { useState, useMemo } from "react";
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from "recharts";
+import { useFinancial } from "../../../context/FinancialContext";
+import Card from "../../common/Card";
+import CpfHousingUsage from "../CpfHousingUsage";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import useProjection from "../../../hooks/useProjection";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { HDB_CONCESSIONARY_RATE, buildLoanSchedules, summarizeLoansForMonth } from "../../../services/calculations/loans";
+import { isHouseholdMode, getHouseholdIncome } from "../../../services/calculations/household";
+import {
+  PROPERTY_TYPE,
+  HOUSING_LOAN_SOURCE,
+  DEFAULT_BANK_RATE,
+  MSR_LIMIT,
+  TDSR_LIMIT,
+  planPropertyPurchase,
+  assessServicingRatios,
+  toProjectionPurchase,
+  getBalancesBeforeMonth
+} from "../../../services/calculations/propertyPurchase";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const createDefaultForm = () => {
+  const today = new Date();
+  return {
+    purchaseMonth: today.getMonth() + 1,
+    purchaseYear: today.getFullYear() + 1,
+    price: 600000,
+    propertyType: PROPERTY_TYPE.HDB,
+    loanSource: HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY,
+    interestRate: HDB_CONCESSIONARY_RATE,
+    loanTermYears: 25,
+    otherCosts: 3000,
+    oaToKeep: 0,
+    annualAppreciation: 2
+  };
+};
+
+/**
+ * PropertyPurchase Component
+ * "Buy a home" scenario: plans the purchase against the projected cash and CPF OA balances,
+ * then runs a forked projection with the down payment, OA usage and mortgage applied to
+ * compare net worth before and after, and the CPF OA housing usage it leads to
+ *
+ * @returns {JSX.Element}
+ */
+const PropertyPurchase = () => {
+  const { financialData } = useFinancial();
+  const { projection, projectionInputs, projectionSettings } = useFinancialCalculations();
+  const householdMode = isHouseholdMode(financialData);
+  const [form, setForm] = useState(createDefaultForm);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handlePropertyTypeChange = (propertyType) => {
+    // Private property can only be financed by a bank loan
+    setForm((prev) =>
+      propertyType === PROPERTY_TYPE.PRIVATE
+        ? { ...prev, propertyType, loanSource: HOUSING_LOAN_SOURCE.BANK, interestRate: DEFAULT_BANK_RATE }
+        : { ...prev, propertyType }
+    );
+  };
+
+  const handleLoanSourceChange = (loanSource) => {
+    setForm((prev) => ({
+      ...prev,
+      loanSource,
+      interestRate: loanSource === HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY ? HDB_CONCESSIONARY_RATE : DEFAULT_BANK_RATE
+    }));
+  };
+
+  const purchaseYear = parseInt(form.purchaseYear, 10);
+  const purchaseMonth = parseInt(form.purchaseMonth, 10);
+
+  // Balances going into the purchase month come from the live projection
+  const balances = useMemo(
+    () => getBalancesBeforeMonth(projection, purchaseYear, purchaseMonth),
+    [projection, purchaseYear, purchaseMonth]
+  );
+
+  const { plan, planError } = useMemo(() => {
+    if (!balances) {
+      return { plan: null, planError: "The purchase month needs to be within the projection" };
+    }
+    try {
+      return {
+        plan: planPropertyPurchase(
+          {
+            purchaseYear,
+            purchaseMonth,
+            price: parseFloat(form.price),
+            propertyType: form.propertyType,
+            loanSource: form.loanSource,
+            interestRate: parseFloat(form.interestRate) || 0,
+            loanTermYears: parseInt(form.loanTermYears, 10),
+            otherCosts: parseFloat(form.otherCosts) || 0,
+            oaToKeep: parseFloat(form.oaToKeep) || 0,
+            annualAppreciation: parseFloat(form.annualAppreciation) || 0
+          },
+          balances
+        ),
+        planError: null
+      };
+    } catch (error) {
+      return { plan: null, planError: error.message };
+    }
+  }, [balances, purchaseYear, purchaseMonth, form]);
+
+  // Forked projection: the live settings plus the purchase and its mortgage
+  const scenarioSettings = useMemo(() => {
+    if (!plan) return projectionSettings;
+    return {
+      ...projectionSettings,
+      monteCarlo: null,
+      loans: [...(projectionSettings?.loans || []), ...(plan.loan ? [plan.loan] : [])],
+      propertyPurchases: [toProjectionPurchase(plan)]
+    };
+  }, [projectionSettings, plan]);
+
+  const { projectionData: scenarioProjection } = useProjection(projectionInputs, scenarioSettings);
+
+  const purchaseRow = useMemo(
+    () => (projection || []).find((row) => row.year === purchaseYear && row.monthIndex === purchaseMonth),
+    [projection, purchaseYear, purchaseMonth]
+  );
+
+  // A household is assessed on every member's salary and all of its existing loans
+  const ratios = useMemo(() => {
+    if (!plan) return null;
+    if (householdMode) {
+      const householdLoans = summarizeLoansForMonth(buildLoanSchedules(financialData.loans), purchaseYear, purchaseMonth);
+      return assessServicingRatios(plan, getHouseholdIncome(financialData, purchaseYear, purchaseMonth), householdLoans.payment);
+    }
+    return assessServicingRatios(plan, projectionInputs?.salary, purchaseRow ? purchaseRow.loanPayment : 0);
+  }, [plan, householdMode, financialData, purchaseYear, purchaseMonth, projectionInputs, purchaseRow]);
+
+  // Yearly net worth points (each January and the last month) for both projections
+  const chartData = useMemo(() => {
+    if (!plan || !Array.isArray(projection) || !Array.isArray(scenarioProjection)) return [];
+    return projection
+      .map((row, index) => ({ row, scenarioRow: scenarioProjection[index], index }))
+      .filter(({ row, scenarioRow, index }) => scenarioRow && (row.monthIndex === 1 || index === projection.length - 1))
+      .map(({ row, scenarioRow }) => ({
+        date: row.date,
+        withoutPurchase: Math.round(row.totalNetWorth),
+        withPurchase: Math.round(scenarioRow.totalNetWorth),
+        cashWithPurchase: Math.round(scenarioRow.cashSavings)
+      }));
+  }, [plan, projection, scenarioProjection]);
+
+  const lowestCash = useMemo(() => {
+    if (!plan || !Array.isArray(scenarioProjection) || scenarioProjection.length === 0) return null;
+    return scenarioProjection.reduce(
+      (lowest, row) => (row.cashSavings < lowest.cashSavings ? row : lowest),
+      scenarioProjection[0]
+    );
+  }, [plan, scenarioProjection]);
+
+  const finalDifference = chartData.length > 0
+    ? chartData[chartData.length - 1].withPurchase - chartData[chartData.length - 1].withoutPurchase
+    : null;
+
+  const projectionYears = Array.isArray(projection) && projection.length > 0
+    ? Array.from(new Set(projection.map((row) => row.year)))
+    : [new Date().getFullYear()];
+
+  return (
+    <Card title="Home Purchase Scenario" titleColor="bg-indigo-700">
+      <div className="space-y-6">
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="purchaseMonth" className="block text-xs font-medium text-gray-700 mb-1">Purchase Month</label>
+              <select
+                id="purchaseMonth"
+                name="purchaseMonth"
+                value={form.purchaseMonth}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="purchaseYear" className="block text-xs font-medium text-gray-700 mb-1">Purchase Year</label>
+              <select
+                id="purchaseYear"
+                name="purchaseYear"
+                value={form.purchaseYear}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {projectionYears.map((year) => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="propertyPrice" className="block text-xs font-medium text-gray-700 mb-1">Price</label>
+              <input
+                id="propertyPrice"
+                type="number"
+                name="price"
+                min="0"
+                step="1000"
+                value={form.price}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="propertyType" className="block text-xs font-medium text-gray-700 mb-1">Property Type</label>
+              <select
+                id="propertyType"
+                value={form.propertyType}
+                onChange={(e) => handlePropertyTypeChange(e.target.value)}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                <option value={PROPERTY_TYPE.HDB}>HDB flat</option>
+                <option value={PROPERTY_TYPE.PRIVATE}>Private property</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="loanSource" className="block text-xs font-medium text-gray-700 mb-1">Loan</label>
+              <select
+                id="loanSource"
+                value={form.loanSource}
+                onChange={(e) => handleLoanSourceChange(e.target.value)}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {form.propertyType === PROPERTY_TYPE.HDB && (
+                  <option value={HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY}>HDB concessionary</option>
+                )}
+                <option value={HOUSING_LOAN_SOURCE.BANK}>Bank loan</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="interestRate" className="block text-xs font-medium text-gray-700 mb-1">Interest Rate (%)</label>
+              <input
+                id="interestRate"
+                type="number"
+                name="interestRate"
+                min="0"
+                step="0.01"
+                value={form.interestRate}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="loanTermYears" className="block text-xs font-medium text-gray-700 mb-1">Tenure (years)</label>
+              <input
+                id="loanTermYears"
+                type="number"
+                name="loanTermYears"
+                min="1"
+                max="30"
+                value={form.loanTermYears}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="annualAppreciation" className="block text-xs font-medium text-gray-700 mb-1">Appreciation (%/yr)</label>
+              <input
+                id="annualAppreciation"
+                type="number"
+                name="annualAppreciation"
+                step="0.1"
+                value={form.annualAppreciation}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="otherCosts" className="block text-xs font-medium text-gray-700 mb-1">Legal & Other Fees</label>
+              <input
+                id="otherCosts"
+                type="number"
+                name="otherCosts"
+                min="0"
+                value={form.otherCosts}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="oaToKeep" className="block text-xs font-medium text-gray-700 mb-1">CPF OA to Keep</label>
+              <input
+                id="oaToKeep"
+                type="number"
+                name="oaToKeep"
+                min="0"
+                value={form.oaToKeep}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            The down payment uses CPF OA first (above the 5% cash minimum for bank loans), and the mortgage
+            is paid from CPF OA, then cash. Balances at purchase come from your current projection.
+          </p>
+        </div>
+
+        {planError && <p className="text-sm text-red-600">{planError}</p>}
+
+        {plan && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div className="bg-indigo-50 p-4 rounded-lg">
+                <p className="text-sm text-indigo-800">Buyer's Stamp Duty</p>
+                <p className="text-xl font-bold text-indigo-700">{formatCurrency(plan.stampDuty)}</p>
+              </div>
+              <div className="bg-indigo-50 p-4 rounded-lg">
+                <p className="text-sm text-indigo-800">Down Payment ({100 - plan.ltvPercentage}%)</p>
+                <p className="text-xl font-bold text-indigo-700">{formatCurrency(plan.downPayment)}</p>
+              </div>
+              <div className="bg-indigo-50 p-4 rounded-lg">
+                <p className="text-sm text-indigo-800">Loan ({plan.ltvPercentage}% LTV)</p>
+                <p className="text-xl font-bold text-indigo-700">{formatCurrency(plan.loanAmount)}</p>
+              </div>
+              <div className="bg-indigo-50 p-4 rounded-lg">
+                <p className="text-sm text-indigo-800">Monthly Instalment</p>
+                <p className="text-xl font-bold text-indigo-700">{formatCurrency(plan.monthlyInstalment)}</p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div className="border border-gray-200 rounded-lg p-4 space-y-1">
+                <h3 className="font-medium text-gray-900 mb-2">Paying Upfront</h3>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">CPF OA at purchase</span>
+                  <span>{formatCurrency(balances.cpfOaBalance)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">From CPF OA</span>
+                  <span>{formatCurrency(plan.cpfOaUsed)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">From cash{plan.minimumCash > 0 ? ` (min ${formatCurrency(plan.minimumCash)})` : ""}</span>
+                  <span>{formatCurrency(plan.cashUpfront)}</span>
+                </div>
+                <div className="flex justify-between font-medium border-t pt-1">
+                  <span>Total upfront</span>
+                  <span>{formatCurrency(plan.totalUpfront)}</span>
+                </div>
+                {plan.cashShortfall > 0 && (
+                  <p className="text-red-600 text-xs pt-1">
+                    Projected cash of {formatCurrency(balances.cash)} is {formatCurrency(plan.cashShortfall)} short.
+                  </p>
+                )}
+              </div>
+              <div className="border border-gray-200 rounded-lg p-4 space-y-1">
+                <h3 className="font-medium text-gray-900 mb-2">Affordability</h3>
+                {householdMode && (
+                  <p className="text-xs text-gray-500">Using combined household income</p>
+                )}
+                {ratios && ratios.msr !== null ? (
+                  <>
+                    {ratios.passesMsr !== null && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">MSR (limit {MSR_LIMIT}%)</span>
+                        <span className={ratios.passesMsr ? "text-green-700" : "text-red-600"}>{ratios.msr}%</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">TDSR (limit {TDSR_LIMIT}%)</span>
+                      <span className={ratios.passesTdsr ? "text-green-700" : "text-red-600"}>{ratios.tdsr}%</span>
+                    </div>
+                  </>
+                ) : (
+                  <p className="text-gray-500">Add your salary to check servicing ratios.</p>
+                )}
+                {lowestCash && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Lowest cash ({lowestCash.date})</span>
+                    <span className={lowestCash.cashSavings < 0 ? "text-red-600" : ""}>{formatCurrency(lowestCash.cashSavings)}</span>
+                  </div>
+                )}
+                {finalDifference !== null && (
+                  <div className="flex justify-between font-medium border-t pt-1">
+                    <span>Net worth at end vs not buying</span>
+                    <span className={finalDifference < 0 ? "text-red-600" : "text-green-700"}>{formatCurrency(finalDifference)}</span>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {chartData.length > 0 && (
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" />
+                    <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                    <Tooltip formatter={(value) => formatCurrency(value)} />
+                    <Legend />
+                    <Line type="monotone" dataKey="withoutPurchase" name="Net Worth (no purchase)" stroke="#6B7280" dot={false} />
+                    <Line type="monotone" dataKey="withPurchase" name="Net Worth (with purchase)" stroke="#4F46E5" dot={false} />
+                    <Line type="monotone" dataKey="cashWithPurchase" name="Cash (with purchase)" stroke="#10B981" strokeDasharray="4 4" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </>
+        )}
+
+        <CpfHousingUsage projection={scenarioProjection} />
+      </div>
+    </Card>
+  );
+};
+
+export default PropertyPurchase;
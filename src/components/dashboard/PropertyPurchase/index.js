@@ -0,0 +1 @@
+export { default } from './PropertyPurchase';
\ No newline at end of file
@@ -0,0 +1,399 @@
+import React, { useState, useMemo } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from "recharts";
+import Card from "../../common/Card";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  CPF_LIFE_PLAN,
+  CPF_LIFE_PLAN_LABELS,
+  CPF_LIFE_PAYOUT_AGE,
+  WITHDRAWAL_STRATEGY,
+  WITHDRAWAL_STRATEGY_LABELS,
+  DEFAULT_DECUMULATION_SETTINGS,
+  getExpensesAtRetirement,
+  simulateDecumulation,
+  runDecumulationMonteCarlo
+} from "../../../services/calculations/decumulation";
+
+const MONTE_CARLO_ITERATIONS = 500;
+
+const PAYOUT_START_AGES = Array.from(
+  { length: CPF_LIFE_PAYOUT_AGE.LATEST - CPF_LIFE_PAYOUT_AGE.EARLIEST + 1 },
+  (_, index) => CPF_LIFE_PAYOUT_AGE.EARLIEST + index
+);
+
+/**
+ * Balances at the start of retirement from the live projection
+ * Without holdings, liquid savings count as investments, since the projection grew them at the investment return
+ */
+const getBalancesAtRetirement = (projection, currentAge, retirementAge, includeCpfOa) => {
+  if (!Array.isArray(projection) || projection.length === 0 || currentAge === null || currentAge === undefined) {
+    return null;
+  }
+
+  const monthIndex = Math.max(0, (retirementAge - currentAge) * 12 - 1);
+  const row = projection[Math.min(monthIndex, projection.length - 1)];
+  const liquidCash = row.holdingBalances ? row.holdingBalances.CASH : 0;
+
+  return {
+    date: row.date,
+    beyondProjection: monthIndex >= projection.length,
+    cash: Math.max(0, liquidCash + (includeCpfOa ? row.cpfOaBalance || 0 : 0)),
+    investments: Math.max(0, row.cashSavings - liquidCash),
+    raBalance: Math.max(0, row.cpfRaBalance || 0)
+  };
+};
+
+/**
+ * RetirementDrawdown Component
+ * Simulates retirement from the projected balances at retirement age: CPF LIFE payouts,
+ * withdrawals under a chosen strategy and inflating expenses, with the chance of running out
+ *
+ * @returns {JSX.Element}
+ */
+const RetirementDrawdown = () => {
+  const { projection, currentAge } = useFinancialCalculations();
+  const [form, setForm] = useState({
+    retirementAge: 65,
+    lifeExpectancy: DEFAULT_DECUMULATION_SETTINGS.lifeExpectancy,
+    monthlyExpensesToday: "",
+    inflationRate: DEFAULT_DECUMULATION_SETTINGS.inflationRate,
+    investmentReturn: DEFAULT_DECUMULATION_SETTINGS.investmentReturn,
+    cashReturn: DEFAULT_DECUMULATION_SETTINGS.cashReturn,
+    cpfLifePlan: CPF_LIFE_PLAN.STANDARD,
+    cpfLifeStartAge: CPF_LIFE_PAYOUT_AGE.EARLIEST,
+    strategy: WITHDRAWAL_STRATEGY.FOUR_PERCENT,
+    withdrawalRate: DEFAULT_DECUMULATION_SETTINGS.withdrawalRate,
+    monthlyWithdrawal: "",
+    otherMonthlyIncome: 0,
+    includeCpfOa: true
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const retirementAge = parseInt(form.retirementAge, 10) || 0;
+  const currentExpenses = projection && projection.length > 0 ? projection[0].monthlyExpenses : 0;
+
+  const balances = useMemo(
+    () => getBalancesAtRetirement(projection, currentAge, retirementAge, form.includeCpfOa),
+    [projection, currentAge, retirementAge, form.includeCpfOa]
+  );
+
+  const { params, simulation, monteCarlo, simulationError } = useMemo(() => {
+    if (!balances) {
+      return { simulationError: "Add your birthday and savings to simulate retirement" };
+    }
+
+    const inflationRate = parseFloat(form.inflationRate) || 0;
+    const expensesToday = form.monthlyExpensesToday !== "" ? parseFloat(form.monthlyExpensesToday) || 0 : currentExpenses;
+    const simulationParams = {
+      retirementAge,
+      lifeExpectancy: parseInt(form.lifeExpectancy, 10),
+      cash: balances.cash,
+      investments: balances.investments,
+      raBalance: balances.raBalance,
+      monthlyExpenses: getExpensesAtRetirement(expensesToday, inflationRate, retirementAge - currentAge),
+      inflationRate,
+      investmentReturn: parseFloat(form.investmentReturn) || 0,
+      cashReturn: parseFloat(form.cashReturn) || 0,
+      cpfLifePlan: form.cpfLifePlan,
+      cpfLifeStartAge: parseInt(form.cpfLifeStartAge, 10),
+      strategy: form.strategy,
+      withdrawalRate: parseFloat(form.withdrawalRate) || 0,
+      otherMonthlyIncome: parseFloat(form.otherMonthlyIncome) || 0,
+      ...(form.strategy === WITHDRAWAL_STRATEGY.FIXED && form.monthlyWithdrawal !== ""
+        ? { monthlyWithdrawal: parseFloat(form.monthlyWithdrawal) || 0 }
+        : {})
+    };
+
+    try {
+      return {
+        params: simulationParams,
+        simulation: simulateDecumulation(simulationParams),
+        monteCarlo: runDecumulationMonteCarlo(simulationParams, { iterations: MONTE_CARLO_ITERATIONS }),
+        simulationError: null
+      };
+    } catch (error) {
+      return { simulationError: error.message };
+    }
+  }, [balances, form, retirementAge, currentAge, currentExpenses]);
+
+  const chartData = useMemo(() => {
+    if (!simulation || !monteCarlo) return [];
+    return simulation.rows.map((row, index) => {
+      const band = monteCarlo.bands[index];
+      return {
+        age: row.age,
+        expected: Math.round(row.savings),
+        range: band ? [Math.round(band.savings.p10), Math.round(band.savings.p90)] : null,
+        median: band ? Math.round(band.savings.p50) : null
+      };
+    });
+  }, [simulation, monteCarlo]);
+
+  return (
+    <Card title="Retirement Drawdown" titleColor="bg-purple-700">
+      <div className="space-y-6">
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="drawdownRetirementAge" className="block text-xs font-medium text-gray-700 mb-1">Retirement Age</label>
+              <input
+                id="drawdownRetirementAge"
+                type="number"
+                name="retirementAge"
+                min="40"
+                max="80"
+                value={form.retirementAge}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="drawdownLifeExpectancy" className="block text-xs font-medium text-gray-700 mb-1">Plan Until Age</label>
+              <input
+                id="drawdownLifeExpectancy"
+                type="number"
+                name="lifeExpectancy"
+                min="60"
+                max="110"
+                value={form.lifeExpectancy}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="drawdownExpenses" className="block text-xs font-medium text-gray-700 mb-1">Monthly Spending (today's $)</label>
+              <input
+                id="drawdownExpenses"
+                type="number"
+                name="monthlyExpensesToday"
+                min="0"
+                placeholder={String(Math.round(currentExpenses))}
+                value={form.monthlyExpensesToday}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="drawdownOtherIncome" className="block text-xs font-medium text-gray-700 mb-1">Other Monthly Income</label>
+              <input
+                id="drawdownOtherIncome"
+                type="number"
+                name="otherMonthlyIncome"
+                min="0"
+                value={form.otherMonthlyIncome}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="drawdownPlan" className="block text-xs font-medium text-gray-700 mb-1">CPF LIFE Plan</label>
+              <select
+                id="drawdownPlan"
+                name="cpfLifePlan"
+                value={form.cpfLifePlan}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {Object.values(CPF_LIFE_PLAN).map((plan) => (
+                  <option key={plan} value={plan}>{CPF_LIFE_PLAN_LABELS[plan]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="drawdownPayoutAge" className="block text-xs font-medium text-gray-700 mb-1">Payouts Start At</label>
+              <select
+                id="drawdownPayoutAge"
+                name="cpfLifeStartAge"
+                value={form.cpfLifeStartAge}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {PAYOUT_START_AGES.map((age) => (
+                  <option key={age} value={age}>{age}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="drawdownStrategy" className="block text-xs font-medium text-gray-700 mb-1">Withdrawal Strategy</label>
+              <select
+                id="drawdownStrategy"
+                name="strategy"
+                value={form.strategy}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {Object.values(WITHDRAWAL_STRATEGY).map((strategy) => (
+                  <option key={strategy} value={strategy}>{WITHDRAWAL_STRATEGY_LABELS[strategy]}</option>
+                ))}
+              </select>
+            </div>
+            {form.strategy === WITHDRAWAL_STRATEGY.FIXED ? (
+              <div>
+                <label htmlFor="drawdownWithdrawal" className="block text-xs font-medium text-gray-700 mb-1">Monthly Withdrawal</label>
+                <input
+                  id="drawdownWithdrawal"
+                  type="number"
+                  name="monthlyWithdrawal"
+                  min="0"
+                  placeholder="Spending gap"
+                  value={form.monthlyWithdrawal}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            ) : (
+              <div>
+                <label htmlFor="drawdownRate" className="block text-xs font-medium text-gray-700 mb-1">Starting Withdrawal Rate (%)</label>
+                <input
+                  id="drawdownRate"
+                  type="number"
+                  name="withdrawalRate"
+                  min="0"
+                  step="0.1"
+                  value={form.withdrawalRate}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="drawdownInvestmentReturn" className="block text-xs font-medium text-gray-700 mb-1">Investment Return (%)</label>
+              <input
+                id="drawdownInvestmentReturn"
+                type="number"
+                name="investmentReturn"
+                step="0.1"
+                value={form.investmentReturn}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="drawdownCashReturn" className="block text-xs font-medium text-gray-700 mb-1">Cash Return (%)</label>
+              <input
+                id="drawdownCashReturn"
+                type="number"
+                name="cashReturn"
+                step="0.1"
+                value={form.cashReturn}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="drawdownInflation" className="block text-xs font-medium text-gray-700 mb-1">Inflation (%)</label>
+              <input
+                id="drawdownInflation"
+                type="number"
+                name="inflationRate"
+                step="0.1"
+                value={form.inflationRate}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  name="includeCpfOa"
+                  checked={form.includeCpfOa}
+                  onChange={handleChange}
+                  className="mr-2"
+                />
+                Withdraw CPF OA at retirement
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {simulationError && <p className="text-sm text-red-600">{simulationError}</p>}
+
+        {simulation && (
+          <>
+            <p className="text-sm text-gray-600">
+              Starting from projected balances in {balances.date}: {formatCurrency(balances.cash)} cash,{" "}
+              {formatCurrency(balances.investments)} investments and {formatCurrency(balances.raBalance)} in the
+              Retirement Account. Spending at retirement is {formatCurrency(params.monthlyExpenses)} a month.
+              {balances.beyondProjection && " Retirement is beyond the projection, so the last projected balances are used."}
+            </p>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div className="bg-purple-50 p-4 rounded-lg">
+                <p className="text-sm text-purple-800">CPF LIFE from {params.cpfLifeStartAge}</p>
+                <p className="text-xl font-bold text-purple-700">{formatCurrency(simulation.cpfLifePayout)}/mo</p>
+              </div>
+              <div className="bg-purple-50 p-4 rounded-lg">
+                <p className="text-sm text-purple-800">First-Year Withdrawal</p>
+                <p className="text-xl font-bold text-purple-700">{formatCurrency(simulation.initialMonthlyWithdrawal)}/mo</p>
+              </div>
+              <div className={`p-4 rounded-lg ${simulation.depletionAge !== null ? "bg-red-50" : "bg-green-50"}`}>
+                <p className="text-sm text-gray-700">Savings Last Until</p>
+                <p className={`text-xl font-bold ${simulation.depletionAge !== null ? "text-red-700" : "text-green-700"}`}>
+                  {simulation.depletionAge !== null ? `Age ${simulation.depletionAge}` : `Beyond ${params.lifeExpectancy}`}
+                </p>
+              </div>
+              <div className={`p-4 rounded-lg ${monteCarlo.probabilityOfDepletion > 10 ? "bg-red-50" : "bg-green-50"}`}>
+                <p className="text-sm text-gray-700">Chance of Running Out</p>
+                <p className={`text-xl font-bold ${monteCarlo.probabilityOfDepletion > 10 ? "text-red-700" : "text-green-700"}`}>
+                  {monteCarlo.probabilityOfDepletion}%
+                </p>
+                {monteCarlo.depletionAge && (
+                  <p className="text-xs text-gray-500">Typically at age {monteCarlo.depletionAge.p50}</p>
+                )}
+              </div>
+            </div>
+
+            {simulation.totalShortfall > 0 && (
+              <p className="text-sm text-amber-700">
+                Withdrawals, CPF LIFE and other income fall {formatCurrency(simulation.totalShortfall)} short of
+                expenses over retirement on the expected path.
+              </p>
+            )}
+
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="age" />
+                  <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                  <Tooltip
+                    formatter={(value) =>
+                      Array.isArray(value) ? `${formatCurrency(value[0])} - ${formatCurrency(value[1])}` : formatCurrency(value)
+                    }
+                    labelFormatter={(age) => `Age ${age}`}
+                  />
+                  <Legend />
+                  <Area type="monotone" dataKey="range" name="P10 - P90" stroke="none" fill="#DDD6FE" />
+                  <Line type="monotone" dataKey="median" name="Median" stroke="#7C3AED" dot={false} />
+                  <Line type="monotone" dataKey="expected" name="Expected returns" stroke="#6B7280" strokeDasharray="4 4" dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="text-xs text-gray-500">
+              Savings after withdrawals over {MONTE_CARLO_ITERATIONS} simulated paths with randomised returns and
+              inflation. CPF LIFE payouts are estimates; use the CPF LIFE Estimator for your exact figures.
+            </p>
+          </>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default RetirementDrawdown;
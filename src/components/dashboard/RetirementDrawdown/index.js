@@ -0,0 +1 @@
+export { default } from './RetirementDrawdown';
\ No newline at end of file
@@ -0,0 +1,297 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  SALARY_EVENT_TYPE,
+  SALARY_EVENT_TYPE_LABELS,
+  normalizeSalaryEvents
+} from "../../../services/calculations/salaryTimeline";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Form fields shown for each event type
+const EVENT_FIELDS = {
+  [SALARY_EVENT_TYPE.RAISE]: ["newSalary"],
+  [SALARY_EVENT_TYPE.JOB_CHANGE]: ["newSalary", "months"],
+  [SALARY_EVENT_TYPE.UNPAID_LEAVE]: ["months"],
+  [SALARY_EVENT_TYPE.PART_TIME]: ["percentage", "months"],
+  [SALARY_EVENT_TYPE.JOB_LOSS]: ["months", "severance", "newSalary"],
+  [SALARY_EVENT_TYPE.CAREER_BREAK]: ["months", "monthlyExpenses"]
+};
+
+const FIELD_LABELS = {
+  newSalary: "New Monthly Salary",
+  months: "Months",
+  percentage: "Pay (% of salary)",
+  severance: "Severance",
+  monthlyExpenses: "Monthly Expenses During Break"
+};
+
+// What each field means for the event type, shown as placeholder text
+const FIELD_HINTS = {
+  [SALARY_EVENT_TYPE.JOB_CHANGE]: { months: "Gap between jobs" },
+  [SALARY_EVENT_TYPE.PART_TIME]: { months: "Blank for good" },
+  [SALARY_EVENT_TYPE.JOB_LOSS]: { newSalary: "Blank to resume old salary" },
+  [SALARY_EVENT_TYPE.CAREER_BREAK]: { monthlyExpenses: "Blank for usual expenses" }
+};
+
+const createEmptyForm = (type = SALARY_EVENT_TYPE.RAISE) => {
+  const today = new Date();
+  return {
+    type,
+    month: today.getMonth() + 1,
+    year: today.getFullYear() + 1,
+    newSalary: "",
+    months: "",
+    percentage: type === SALARY_EVENT_TYPE.PART_TIME ? "60" : "",
+    severance: "",
+    monthlyExpenses: "",
+    description: ""
+  };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+/**
+ * One-line summary of a normalised salary event
+ */
+const describeEvent = (event) => {
+  switch (event.type) {
+    case SALARY_EVENT_TYPE.JOB_CHANGE:
+      return event.months > 0
+        ? `New job at ${formatCurrency(event.newSalary)} after a ${plural(event.months, "month")} gap`
+        : `New job at ${formatCurrency(event.newSalary)}`;
+    case SALARY_EVENT_TYPE.UNPAID_LEAVE:
+      return `${plural(event.months, "month")} of unpaid leave`;
+    case SALARY_EVENT_TYPE.PART_TIME:
+      return `Part-time at ${event.percentage}% of salary${event.months > 0 ? ` for ${plural(event.months, "month")}` : ""}`;
+    case SALARY_EVENT_TYPE.JOB_LOSS:
+      return [
+        `Out of work for ${plural(event.months, "month")}`,
+        event.severance > 0 ? `${formatCurrency(event.severance)} severance` : null,
+        event.newSalary !== null ? `then ${formatCurrency(event.newSalary)}` : null
+      ].filter(Boolean).join(", ");
+    case SALARY_EVENT_TYPE.CAREER_BREAK:
+      return event.monthlyExpenses !== null
+        ? `${plural(event.months, "month")} career break on ${formatCurrency(event.monthlyExpenses)} a month`
+        : `${plural(event.months, "month")} career break`;
+    default:
+      return `Salary becomes ${formatCurrency(event.newSalary)}`;
+  }
+};
+
+/**
+ * SalaryTimeline Component
+ * Dated salary events (raises, job changes, unpaid leave, part-time work, job loss and career
+ * breaks) that the projection applies month by month
+ *
+ * @returns {JSX.Element}
+ */
+const SalaryTimeline = () => {
+  const { financialData, addSalaryEvent, removeSalaryEvent } = useFinancial();
+  const { projection } = useFinancialCalculations();
+  const [form, setForm] = useState(() => createEmptyForm());
+  const [formError, setFormError] = useState(null);
+
+  const events = useMemo(
+    () => normalizeSalaryEvents(financialData.income?.salaryAdjustments),
+    [financialData.income]
+  );
+
+  // Projected months where the salary paid changes, up to five years out
+  const changes = useMemo(
+    () =>
+      (projection || []).slice(0, 60).filter((row, index, rows) =>
+        index > 0 && (
+          row.salaryEvents.length > 0 ||
+          row.severancePayment > 0 ||
+          row.salaryPayFactor !== rows[index - 1].salaryPayFactor
+        )
+      ),
+    [projection]
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const fields = EVENT_FIELDS[form.type];
+    const event = fields.reduce(
+      (result, field) => (form[field] === "" ? result : { ...result, [field]: parseFloat(form[field]) }),
+      {
+        type: form.type,
+        month: parseInt(form.month, 10),
+        year: parseInt(form.year, 10),
+        ...(form.description.trim() ? { description: form.description.trim() } : {})
+      }
+    );
+
+    try {
+      addSalaryEvent(event);
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+
+    setFormError(null);
+    setForm(createEmptyForm(form.type));
+  };
+
+  return (
+    <Card title="Career & Salary Timeline" titleColor="bg-indigo-600">
+      <div className="space-y-6">
+        <p className="text-sm text-gray-600">
+          The projection grows your salary at the annual salary increase. Each event below changes what you are
+          paid from its month onwards, and a new salary keeps growing from there.
+        </p>
+
+        {/* Existing events */}
+        {events.length > 0 ? (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {events.map((event) => (
+              <li key={event.id} className="flex flex-wrap justify-between items-start gap-2 p-3">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {MONTH_NAMES[event.month - 1]} {event.year} · {SALARY_EVENT_TYPE_LABELS[event.type]}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {describeEvent(event)}
+                    {event.description ? ` · ${event.description}` : ""}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeSalaryEvent(event.id)}
+                  className="text-xs text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-2">No salary events added</p>
+        )}
+
+        {/* Effect on the projection */}
+        {changes.length > 0 && (
+          <div className="overflow-x-auto">
+            <h3 className="font-medium text-gray-800 mb-2">Salary Paid in the Projection</h3>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {["Month", "Salary Paid", "Full Salary", "Severance"].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-right first:text-left text-xs font-medium text-gray-500 uppercase">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {changes.map((row) => (
+                  <tr key={row.date}>
+                    <td className="px-3 py-1.5 text-gray-900">{row.date}</td>
+                    <td className="px-3 py-1.5 text-right font-medium">{formatCurrency(row.monthlySalary)}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-500">{formatCurrency(row.fullMonthlySalary)}</td>
+                    <td className="px-3 py-1.5 text-right">
+                      {row.severancePayment > 0 ? formatCurrency(row.severancePayment) : "-"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Add event */}
+        <form onSubmit={handleAdd} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <h3 className="font-medium text-gray-800">Add Salary Event</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="salaryEventType" className="block text-xs font-medium text-gray-700 mb-1">Event</label>
+              <select
+                id="salaryEventType"
+                value={form.type}
+                onChange={(e) => setForm(createEmptyForm(e.target.value))}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {Object.values(SALARY_EVENT_TYPE).map((type) => (
+                  <option key={type} value={type}>{SALARY_EVENT_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="salaryEventMonth" className="block text-xs font-medium text-gray-700 mb-1">Month</label>
+              <select
+                id="salaryEventMonth"
+                name="month"
+                value={form.month}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="salaryEventYear" className="block text-xs font-medium text-gray-700 mb-1">Year</label>
+              <input
+                id="salaryEventYear"
+                type="number"
+                name="year"
+                value={form.year}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="salaryEventDescription" className="block text-xs font-medium text-gray-700 mb-1">Note</label>
+              <input
+                id="salaryEventDescription"
+                type="text"
+                name="description"
+                placeholder="Optional"
+                value={form.description}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            {EVENT_FIELDS[form.type].map((field) => (
+              <div key={field}>
+                <label htmlFor={`salaryEvent-${field}`} className="block text-xs font-medium text-gray-700 mb-1">
+                  {FIELD_LABELS[field]}
+                </label>
+                <input
+                  id={`salaryEvent-${field}`}
+                  type="number"
+                  name={field}
+                  min="0"
+                  step={field === "months" ? "1" : "0.01"}
+                  placeholder={FIELD_HINTS[form.type]?.[field] || ""}
+                  value={form[field]}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            ))}
+          </div>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            Add Event
+          </button>
+        </form>
+      </div>
+    </Card>
+  );
+};
+
+export default SalaryTimeline;
@@ -0,0 +1 @@
+export { default } from './SalaryTimeline';
\ No newline at end of file
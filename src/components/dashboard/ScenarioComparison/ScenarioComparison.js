@@ -0,0 +1,211 @@
+import React, { useState, useMemo, useEffect, useCallback } from "react";
+import {
+  LineChart,
+  Line,
+  ResponsiveContainer,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from "recharts";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  BASE_SCENARIO_ID,
+  getScenarioData,
+  summarizeScenarioProjection,
+  compareScenarioSummaries,
+  buildScenarioChartData
+} from "../../../services/calculations/scenarios";
+
+const LINE_COLORS = ["#6B7280", "#4F46E5", "#10B981", "#F59E0B", "#EF4444", "#0EA5E9"];
+
+const CHART_FIELDS = [
+  { key: "totalNetWorth", label: "Net Worth" },
+  { key: "cashSavings", label: "Cash" }
+];
+
+// Signed amount for the change columns, e.g. +$12,000
+const formatChange = (value) => (value > 0 ? `+${formatCurrency(value)}` : formatCurrency(value));
+
+const formatMonthsLater = (months) => {
+  if (months === null || months === 0) return null;
+  return months > 0 ? `${months} mo later` : `${-months} mo sooner`;
+};
+
+/**
+ * Runs the full projection for one scenario and reports it to the comparison
+ */
+const ScenarioProjection = ({ id, data, onResult }) => {
+  const { projection, savingsGoalResults, goalResults } = useFinancialCalculations(data);
+
+  useEffect(() => {
+    if (!projection || projection.length === 0) return;
+    onResult(id, {
+      projection,
+      summary: summarizeScenarioProjection(projection, { savingsGoalResults, goalResults })
+    });
+  }, [id, projection, savingsGoalResults, goalResults, onResult]);
+
+  return null;
+};
+
+/**
+ * ScenarioComparison Component
+ * Projects the base plan and each scenario side by side: a chart of net worth or cash, and a
+ * table of final net worth, lowest cash and goal dates compared with the base plan
+ *
+ * @returns {JSX.Element}
+ */
+const ScenarioComparison = () => {
+  const { financialData } = useFinancial();
+  const [chartField, setChartField] = useState("totalNetWorth");
+  const [results, setResults] = useState({});
+
+  const entries = useMemo(() => [
+    { id: BASE_SCENARIO_ID, name: "Base plan", data: getScenarioData(financialData, null) },
+    ...(Array.isArray(financialData.scenarios) ? financialData.scenarios : []).map((scenario) => ({
+      id: String(scenario.id),
+      name: scenario.name,
+      data: getScenarioData(financialData, scenario)
+    }))
+  ], [financialData]);
+
+  const handleResult = useCallback((id, result) => {
+    setResults((prev) => ({ ...prev, [id]: result }));
+  }, []);
+
+  const projected = entries.filter((entry) => results[entry.id]);
+  const hasBase = Boolean(results[BASE_SCENARIO_ID]);
+
+  const chartData = buildScenarioChartData(
+    projected.map((entry) => ({ id: entry.id, projection: results[entry.id].projection })),
+    chartField
+  );
+
+  const rows = hasBase
+    ? compareScenarioSummaries(projected.map((entry) => ({ id: entry.id, name: entry.name, ...results[entry.id].summary })))
+    : [];
+
+  // One column per goal, in the order they first appear
+  const goalColumns = rows.reduce((columns, row) => {
+    row.goals.forEach((goal) => {
+      if (!columns.some((column) => column.key === goal.key)) {
+        columns.push({ key: goal.key, name: goal.name });
+      }
+    });
+    return columns;
+  }, []);
+
+  return (
+    <Card title="Scenario Comparison" titleColor="bg-indigo-600">
+      {entries.map((entry) => (
+        <ScenarioProjection key={entry.id} id={entry.id} data={entry.data} onResult={handleResult} />
+      ))}
+
+      {entries.length === 1 ? (
+        <p className="text-sm text-gray-500">Add a scenario to compare it with your base plan.</p>
+      ) : !hasBase ? (
+        <p className="text-sm text-gray-500">Projecting scenarios...</p>
+      ) : (
+        <div className="space-y-6">
+          <div>
+            <div className="flex gap-2 mb-3">
+              {CHART_FIELDS.map((field) => (
+                <button
+                  key={field.key}
+                  type="button"
+                  onClick={() => setChartField(field.key)}
+                  className={`px-3 py-1 text-sm rounded-md ${
+                    chartField === field.key
+                      ? "bg-indigo-600 text-white"
+                      : "bg-gray-200 hover:bg-gray-300 text-gray-800"
+                  }`}
+                >
+                  {field.label}
+                </button>
+              ))}
+            </div>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis tickFormatter={(value) => formatCurrency(value)} width={90} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  {projected.map((entry, index) => (
+                    <Line
+                      key={entry.id}
+                      type="monotone"
+                      dataKey={entry.id}
+                      name={entry.name}
+                      stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                      strokeDasharray={entry.id === BASE_SCENARIO_ID ? "4 4" : undefined}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-2 pr-4">Scenario</th>
+                  <th className="py-2 pr-4">Final Net Worth</th>
+                  <th className="py-2 pr-4">Lowest Cash</th>
+                  {goalColumns.map((column) => (
+                    <th key={column.key} className="py-2 pr-4">{column.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.id} className="border-t border-gray-200 align-top">
+                    <td className="py-2 pr-4 font-medium">{row.name}</td>
+                    <td className="py-2 pr-4">
+                      {formatCurrency(row.finalNetWorth)}
+                      {row.id !== BASE_SCENARIO_ID && (
+                        <div className={`text-xs ${row.netWorthChange < 0 ? "text-red-600" : "text-green-600"}`}>
+                          {formatChange(row.netWorthChange)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={row.minimumCash < 0 ? "text-red-600" : ""}>
+                        {formatCurrency(row.minimumCash)}
+                      </span>
+                      <div className="text-xs text-gray-500">{row.minimumCashDate}</div>
+                    </td>
+                    {goalColumns.map((column) => {
+                      const goal = row.goals.find((candidate) => candidate.key === column.key);
+                      const change = goal && row.id !== BASE_SCENARIO_ID ? formatMonthsLater(goal.monthsLater) : null;
+                      return (
+                        <td key={column.key} className="py-2 pr-4">
+                          {goal ? goal.date || "Not reached" : "—"}
+                          {change && (
+                            <div className={`text-xs ${goal.monthsLater > 0 ? "text-red-600" : "text-green-600"}`}>
+                              {change}
+                            </div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1 @@
+export { default } from './ScenarioComparison';
\ No newline at end of file
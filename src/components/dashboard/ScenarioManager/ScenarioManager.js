@@ -0,0 +1,408 @@
+import React, { useState } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import {
+  createScenarioOverrides,
+  getScenarioData,
+  validateScenario
+} from "../../../services/calculations/scenarios";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Readable names for the sections a scenario can change
+const FIELD_LABELS = {
+  personalInfo: "Savings",
+  income: "Income",
+  expenses: "Expenses",
+  upcomingSpending: "One-time spending"
+};
+
+// Form values for a scenario, starting from the data it currently projects
+const createForm = (data, scenario = null) => {
+  const today = new Date();
+  return {
+    name: scenario ? scenario.name : "",
+    description: scenario ? scenario.description || "" : "",
+    currentSalary: data.income?.currentSalary ?? "",
+    currentSavings: data.personalInfo?.currentSavings ?? "",
+    expenses: Array.isArray(data.expenses) ? data.expenses : [],
+    expenseAmounts: (Array.isArray(data.expenses) ? data.expenses : []).reduce(
+      (amounts, expense) => ({ ...amounts, [expense.id]: expense.amount }),
+      {}
+    ),
+    // Added on top of the scenario's salary changes and spending when filled in
+    salaryChange: { newSalary: "", month: today.getMonth() + 1, year: today.getFullYear() + 1 },
+    spending: { name: "", amount: "", month: today.getMonth() + 1, year: today.getFullYear() + 1 }
+  };
+};
+
+// The scenario's data with the form applied
+const applyForm = (data, form) => {
+  const income = data.income || {};
+  const salaryAdjustments = Array.isArray(income.salaryAdjustments) ? income.salaryAdjustments : [];
+  const upcomingSpending = Array.isArray(data.upcomingSpending) ? data.upcomingSpending : [];
+  const newSalary = parseFloat(form.salaryChange.newSalary);
+  const spendingAmount = parseFloat(form.spending.amount);
+
+  return {
+    ...data,
+    income: {
+      ...income,
+      currentSalary: parseFloat(form.currentSalary) || 0,
+      salaryAdjustments: Number.isFinite(newSalary)
+        ? [
+            ...salaryAdjustments,
+            {
+              id: Date.now(),
+              month: parseInt(form.salaryChange.month),
+              year: parseInt(form.salaryChange.year),
+              newSalary,
+              description: form.name.trim()
+            }
+          ]
+        : salaryAdjustments
+    },
+    personalInfo: {
+      ...data.personalInfo,
+      currentSavings: parseFloat(form.currentSavings) || 0
+    },
+    expenses: (Array.isArray(data.expenses) ? data.expenses : []).map((expense) => ({
+      ...expense,
+      amount: parseFloat(form.expenseAmounts[expense.id]) || 0
+    })),
+    upcomingSpending: Number.isFinite(spendingAmount) && form.spending.name.trim()
+      ? [
+          ...upcomingSpending,
+          {
+            id: Date.now(),
+            name: form.spending.name.trim(),
+            amount: spendingAmount,
+            day: 1,
+            month: parseInt(form.spending.month),
+            year: parseInt(form.spending.year),
+            description: form.name.trim()
+          }
+        ]
+      : upcomingSpending
+  };
+};
+
+/**
+ * ScenarioManager Component
+ * Creates and edits named scenarios as changes to the base plan (salary, savings, expenses,
+ * salary changes and one-time spending), and promotes a scenario to be the new base plan
+ *
+ * @returns {JSX.Element}
+ */
+const ScenarioManager = () => {
+  const { financialData, addScenario, updateScenario, removeScenario, promoteScenario } = useFinancial();
+  const scenarios = Array.isArray(financialData.scenarios) ? financialData.scenarios : [];
+
+  const [editingId, setEditingId] = useState(null); // null: closed, "new": creating
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [promotingId, setPromotingId] = useState(null);
+
+  const editingScenario = scenarios.find((scenario) => scenario.id === editingId) || null;
+  const base = getScenarioData(financialData, null);
+  const baseExpenses = Array.isArray(base.expenses) ? base.expenses : [];
+  const promotingScenario = scenarios.find((scenario) => scenario.id === promotingId);
+
+  const openForm = (scenario = null) => {
+    setEditingId(scenario ? scenario.id : "new");
+    setForm(createForm(getScenarioData(financialData, scenario), scenario));
+    setFormError(null);
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+    setFormError(null);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const edited = applyForm(getScenarioData(financialData, editingScenario), form);
+    const scenario = {
+      name: form.name.trim(),
+      description: form.description.trim(),
+      overrides: createScenarioOverrides(base, edited)
+    };
+
+    try {
+      validateScenario(scenario);
+      if (editingScenario) {
+        updateScenario(editingScenario.id, scenario);
+      } else {
+        addScenario(scenario);
+      }
+      closeForm();
+    } catch (error) {
+      setFormError(error.message);
+    }
+  };
+
+  const handlePromote = () => {
+    promoteScenario(promotingId);
+    setPromotingId(null);
+  };
+
+  const setFormValue = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+  const setNestedValue = (group, key, value) =>
+    setForm((prev) => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+
+  return (
+    <Card title="Scenarios" titleColor="bg-indigo-600">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          A scenario keeps your base plan and records only what would change. Scenarios are
+          saved and synced with the rest of your data.
+        </p>
+
+        {scenarios.length === 0 && !form && (
+          <p className="text-sm text-gray-500">No scenarios yet.</p>
+        )}
+
+        {scenarios.map((scenario) => {
+          const changed = Object.keys(scenario.overrides || {});
+          return (
+            <div key={scenario.id} className="p-3 border border-gray-200 rounded-lg flex flex-wrap items-start justify-between gap-3">
+              <div>
+                <h4 className="font-medium text-gray-900">{scenario.name}</h4>
+                {scenario.description && (
+                  <p className="text-sm text-gray-600">{scenario.description}</p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  {changed.length > 0
+                    ? `Changes: ${changed.map((field) => FIELD_LABELS[field] || field).join(", ")}`
+                    : "Same as the base plan"}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => openForm(scenario)}
+                  className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm rounded-md"
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setPromotingId(scenario.id)}
+                  className="px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded-md"
+                >
+                  Make Base Plan
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeScenario(scenario.id)}
+                  className="px-3 py-1 bg-red-100 hover:bg-red-200 text-red-700 text-sm rounded-md"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          );
+        })}
+
+        {/* Promotion confirmation */}
+        {promotingScenario && (
+          <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg space-y-3">
+            <p className="text-sm text-indigo-900">
+              Make "{promotingScenario.name}" your base plan? Your current plan is kept as the
+              scenario "Before {promotingScenario.name}".
+            </p>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handlePromote}
+                className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-md"
+              >
+                Make Base Plan
+              </button>
+              <button
+                type="button"
+                onClick={() => setPromotingId(null)}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!form && (
+          <button
+            type="button"
+            onClick={() => openForm()}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-md"
+          >
+            New Scenario
+          </button>
+        )}
+
+        {/* Create / edit form */}
+        {form && (
+          <form onSubmit={handleSave} className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <label className="text-sm text-gray-700">
+                Name
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setFormValue("name", e.target.value)}
+                  placeholder="e.g. Job change 2027"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Description
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setFormValue("description", e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Current Monthly Salary
+                <input
+                  type="number"
+                  min="0"
+                  value={form.currentSalary}
+                  onChange={(e) => setFormValue("currentSalary", e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="text-sm text-gray-700">
+                Current Savings
+                <input
+                  type="number"
+                  min="0"
+                  value={form.currentSavings}
+                  onChange={(e) => setFormValue("currentSavings", e.target.value)}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+              </label>
+            </div>
+
+            {form.expenses.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Monthly Expenses</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {form.expenses.map((expense) => {
+                    const baseExpense = baseExpenses.find((candidate) => candidate.id === expense.id);
+                    return (
+                      <label key={expense.id} className="text-sm text-gray-700">
+                        {expense.name}
+                        <input
+                          type="number"
+                          min="0"
+                          value={form.expenseAmounts[expense.id] ?? ""}
+                          onChange={(e) =>
+                            setFormValue("expenseAmounts", { ...form.expenseAmounts, [expense.id]: e.target.value })
+                          }
+                          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md"
+                        />
+                        <span className="text-xs text-gray-500">
+                          {baseExpense ? `Base: ${formatCurrency(baseExpense.amount)}` : "Not in base plan"}
+                        </span>
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Add a Salary Change</h4>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="New salary"
+                    value={form.salaryChange.newSalary}
+                    onChange={(e) => setNestedValue("salaryChange", "newSalary", e.target.value)}
+                    className="w-32 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <select
+                    value={form.salaryChange.month}
+                    onChange={(e) => setNestedValue("salaryChange", "month", e.target.value)}
+                    className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    {MONTH_NAMES.map((name, index) => (
+                      <option key={name} value={index + 1}>{name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={form.salaryChange.year}
+                    onChange={(e) => setNestedValue("salaryChange", "year", e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                </div>
+              </div>
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Add One-time Spending</h4>
+                <div className="flex flex-wrap gap-2">
+                  <input
+                    type="text"
+                    placeholder="e.g. Condo down payment"
+                    value={form.spending.name}
+                    onChange={(e) => setNestedValue("spending", "name", e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Amount"
+                    value={form.spending.amount}
+                    onChange={(e) => setNestedValue("spending", "amount", e.target.value)}
+                    className="w-28 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                  <select
+                    value={form.spending.month}
+                    onChange={(e) => setNestedValue("spending", "month", e.target.value)}
+                    className="px-2 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    {MONTH_NAMES.map((name, index) => (
+                      <option key={name} value={index + 1}>{name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={form.spending.year}
+                    onChange={(e) => setNestedValue("spending", "year", e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-md"
+              >
+                {editingScenario ? "Save Scenario" : "Add Scenario"}
+              </button>
+              <button
+                type="button"
+                onClick={closeForm}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-medium rounded-md"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default ScenarioManager;
@@ -0,0 +1 @@
+export { default } from './ScenarioManager';
\ No newline at end of file
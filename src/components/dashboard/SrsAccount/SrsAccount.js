@@ -0,0 +1,369 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import useFinancialCalculations from "../../../hooks/useFinancialCalculations";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { TAX_RELIEF_TYPES } from "../../../services/calculations/taxCalculations";
+import {
+  SRS_CITIZENSHIP,
+  SRS_CITIZENSHIP_LABELS,
+  SRS_WITHDRAWAL_YEARS,
+  DEFAULT_SRS_ACCOUNT,
+  getSrsContributionCap,
+  normalizeSrsAccount,
+  projectSrsAccount
+} from "../../../services/calculations/srs";
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const ACCOUNT_FIELDS = [
+  { name: "balance", label: "Current Balance ($)" },
+  { name: "annualContribution", label: "Yearly Contribution ($)" },
+  { name: "annualReturn", label: "Investment Return (%)", step: "0.1" },
+  { name: "openedYear", label: "Year of First Contribution", placeholder: "This year" },
+  { name: "withdrawalStartAge", label: "Start Withdrawals at Age", placeholder: "Retirement age" }
+];
+
+// Form values as strings, blank for unset optional fields
+const toForm = (srs) => {
+  const account = { ...DEFAULT_SRS_ACCOUNT, ...srs };
+  return {
+    balance: String(account.balance ?? 0),
+    citizenship: account.citizenship,
+    annualContribution: String(account.annualContribution ?? 0),
+    contributionMonth: String(account.contributionMonth),
+    annualReturn: String(account.annualReturn ?? DEFAULT_SRS_ACCOUNT.annualReturn),
+    openedYear: account.openedYear === null || account.openedYear === undefined ? "" : String(account.openedYear),
+    withdrawalStartAge: account.withdrawalStartAge === null || account.withdrawalStartAge === undefined
+      ? ""
+      : String(account.withdrawalStartAge)
+  };
+};
+
+const createEmptyWithdrawal = () => ({
+  month: new Date().getMonth() + 1,
+  year: new Date().getFullYear(),
+  amount: "",
+  description: ""
+});
+
+/**
+ * SrsAccount Component
+ * Supplementary Retirement Scheme account: yearly contributions and their tax relief, the invested
+ * balance, and withdrawals spread over 10 years from the statutory retirement age
+ *
+ * @returns {JSX.Element}
+ */
+const SrsAccount = () => {
+  const { financialData, updateSrsAccount, addSrsWithdrawal, removeSrsWithdrawal } = useFinancial();
+  const { projection, taxAssessments, currentAge } = useFinancialCalculations();
+  const [form, setForm] = useState(() => toForm(financialData.srs));
+  const [withdrawalForm, setWithdrawalForm] = useState(createEmptyWithdrawal);
+  const [formError, setFormError] = useState(null);
+  const [withdrawalError, setWithdrawalError] = useState(null);
+
+  const account = useMemo(() => normalizeSrsAccount(financialData.srs), [financialData.srs]);
+  const plan = useMemo(
+    () => projectSrsAccount(financialData.srs, { currentAge }),
+    [financialData.srs, currentAge]
+  );
+
+  const withdrawalRows = plan.filter((row) => row.withdrawal > 0);
+  const balanceAtWithdrawal = plan.find((row) => row.age === account.withdrawalStartAge - 1)?.balance;
+  const totalContributions = plan.reduce((sum, row) => sum + row.contribution, 0);
+
+  // The first projected Year of Assessment with SRS relief, and the tax it saves at the marginal rate
+  const nextRelief = useMemo(() => {
+    const assessment = (taxAssessments || []).find(
+      (item) => item.reliefBreakdown?.[TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT] > 0
+    );
+    if (!assessment) return null;
+    const relief = assessment.reliefBreakdown[TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT];
+    return {
+      yearOfAssessment: assessment.yearOfAssessment,
+      relief,
+      marginalRate: assessment.marginalRate,
+      taxSaved: relief * assessment.marginalRate / 100
+    };
+  }, [taxAssessments]);
+
+  const lastProjectionRow = projection && projection.length > 0 ? projection[projection.length - 1] : null;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      updateSrsAccount({
+        balance: parseFloat(form.balance) || 0,
+        citizenship: form.citizenship,
+        annualContribution: parseFloat(form.annualContribution) || 0,
+        contributionMonth: parseInt(form.contributionMonth, 10),
+        annualReturn: parseFloat(form.annualReturn) || 0,
+        openedYear: form.openedYear === "" ? null : parseInt(form.openedYear, 10),
+        openedMonth: 1,
+        withdrawalStartAge: form.withdrawalStartAge === "" ? null : parseInt(form.withdrawalStartAge, 10)
+      });
+    } catch (error) {
+      setFormError(error.message);
+      return;
+    }
+    setFormError(null);
+  };
+
+  const handleWithdrawalChange = (e) => {
+    const { name, value } = e.target;
+    setWithdrawalForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddWithdrawal = (e) => {
+    e.preventDefault();
+    try {
+      addSrsWithdrawal({
+        month: parseInt(withdrawalForm.month, 10),
+        year: parseInt(withdrawalForm.year, 10),
+        amount: parseFloat(withdrawalForm.amount),
+        ...(withdrawalForm.description.trim() ? { description: withdrawalForm.description.trim() } : {})
+      });
+    } catch (error) {
+      setWithdrawalError(error.message);
+      return;
+    }
+    setWithdrawalError(null);
+    setWithdrawalForm(createEmptyWithdrawal());
+  };
+
+  return (
+    <Card title="Supplementary Retirement Scheme (SRS)" titleColor="bg-teal-600">
+      <div className="space-y-6">
+        <p className="text-sm text-gray-600">
+          Contributions of up to {formatCurrency(getSrsContributionCap(form.citizenship))} a year are a tax relief.
+          From the statutory retirement age when you first contributed ({account.retirementAge}), withdrawals are
+          penalty-free and only half of each is taxed, spread over {SRS_WITHDRAWAL_YEARS} years. Earlier withdrawals
+          are fully taxed and pay a 5% penalty.
+        </p>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div className="p-3 bg-teal-50 rounded-lg">
+            <p className="text-xs text-gray-600">Balance at {account.withdrawalStartAge}</p>
+            <p className="text-lg font-semibold text-teal-800">
+              {balanceAtWithdrawal !== undefined ? formatCurrency(balanceAtWithdrawal) : "-"}
+            </p>
+          </div>
+          <div className="p-3 bg-teal-50 rounded-lg">
+            <p className="text-xs text-gray-600">Contributions Until Then</p>
+            <p className="text-lg font-semibold text-teal-800">{formatCurrency(totalContributions)}</p>
+          </div>
+          <div className="p-3 bg-teal-50 rounded-lg">
+            <p className="text-xs text-gray-600">
+              {nextRelief ? `Tax Saved in YA ${nextRelief.yearOfAssessment}` : "Tax Saved"}
+            </p>
+            <p className="text-lg font-semibold text-teal-800">
+              {nextRelief ? formatCurrency(nextRelief.taxSaved) : "-"}
+            </p>
+            {nextRelief && (
+              <p className="text-xs text-gray-500">
+                {formatCurrency(nextRelief.relief)} relief at {nextRelief.marginalRate}%
+              </p>
+            )}
+          </div>
+          <div className="p-3 bg-teal-50 rounded-lg">
+            <p className="text-xs text-gray-600">
+              {lastProjectionRow ? `Balance in ${lastProjectionRow.date}` : "Projected Balance"}
+            </p>
+            <p className="text-lg font-semibold text-teal-800">
+              {lastProjectionRow ? formatCurrency(lastProjectionRow.srsBalance || 0) : "-"}
+            </p>
+          </div>
+        </div>
+
+        {/* Withdrawal plan */}
+        {withdrawalRows.length > 0 && (
+          <div className="overflow-x-auto">
+            <h3 className="font-medium text-gray-800 mb-2">Withdrawal Plan</h3>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {["Year", "Age", "Withdrawn", "Taxable", "Penalty", "Balance After"].map((heading) => (
+                    <th key={heading} className="px-3 py-2 text-right first:text-left text-xs font-medium text-gray-500 uppercase">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {withdrawalRows.map((row) => (
+                  <tr key={row.year}>
+                    <td className="px-3 py-1.5 text-gray-900">{row.year}</td>
+                    <td className="px-3 py-1.5 text-right">{row.age}</td>
+                    <td className="px-3 py-1.5 text-right font-medium">{formatCurrency(row.withdrawal)}</td>
+                    <td className="px-3 py-1.5 text-right">{formatCurrency(row.taxable)}</td>
+                    <td className="px-3 py-1.5 text-right">{row.penalty > 0 ? formatCurrency(row.penalty) : "-"}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-500">{formatCurrency(row.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {currentAge === null && (
+              <p className="text-xs text-gray-500 mt-1">Add your birthday to plan withdrawals by age.</p>
+            )}
+          </div>
+        )}
+
+        {/* Account settings */}
+        <form onSubmit={handleSave} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <h3 className="font-medium text-gray-800">Account</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <div>
+              <label htmlFor="srsCitizenship" className="block text-xs font-medium text-gray-700 mb-1">Account Holder</label>
+              <select
+                id="srsCitizenship"
+                name="citizenship"
+                value={form.citizenship}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {Object.values(SRS_CITIZENSHIP).map((citizenship) => (
+                  <option key={citizenship} value={citizenship}>{SRS_CITIZENSHIP_LABELS[citizenship]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="srsContributionMonth" className="block text-xs font-medium text-gray-700 mb-1">Contribute In</label>
+              <select
+                id="srsContributionMonth"
+                name="contributionMonth"
+                value={form.contributionMonth}
+                onChange={handleChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            {ACCOUNT_FIELDS.map((field) => (
+              <div key={field.name}>
+                <label htmlFor={`srs-${field.name}`} className="block text-xs font-medium text-gray-700 mb-1">
+                  {field.label}
+                </label>
+                <input
+                  id={`srs-${field.name}`}
+                  type="number"
+                  name={field.name}
+                  min="0"
+                  step={field.step || "1"}
+                  placeholder={field.placeholder || ""}
+                  value={form[field.name]}
+                  onChange={handleChange}
+                  className="block w-full text-sm border-gray-300 rounded-md"
+                />
+              </div>
+            ))}
+          </div>
+          {formError && <p className="text-sm text-red-600">{formError}</p>}
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm rounded-md text-white bg-teal-600 hover:bg-teal-700"
+          >
+            Save SRS Account
+          </button>
+        </form>
+
+        {/* Dated withdrawals */}
+        <div className="space-y-3">
+          <h3 className="font-medium text-gray-800">Other Withdrawals</h3>
+          {account.earlyWithdrawals.length > 0 ? (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {account.earlyWithdrawals.map((withdrawal) => (
+                <li key={withdrawal.id} className="flex justify-between items-start gap-2 p-3">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {MONTH_NAMES[withdrawal.month - 1]} {withdrawal.year} · {formatCurrency(withdrawal.amount)}
+                    </p>
+                    {withdrawal.description && <p className="text-xs text-gray-500">{withdrawal.description}</p>}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removeSrsWithdrawal(withdrawal.id)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">
+              No other withdrawals. Before age {account.retirementAge} they are fully taxed and pay a 5% penalty.
+            </p>
+          )}
+          <form onSubmit={handleAddWithdrawal} className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+            <div>
+              <label htmlFor="srsWithdrawalMonth" className="block text-xs font-medium text-gray-700 mb-1">Month</label>
+              <select
+                id="srsWithdrawalMonth"
+                name="month"
+                value={withdrawalForm.month}
+                onChange={handleWithdrawalChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="srsWithdrawalYear" className="block text-xs font-medium text-gray-700 mb-1">Year</label>
+              <input
+                id="srsWithdrawalYear"
+                type="number"
+                name="year"
+                value={withdrawalForm.year}
+                onChange={handleWithdrawalChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="srsWithdrawalAmount" className="block text-xs font-medium text-gray-700 mb-1">Amount ($)</label>
+              <input
+                id="srsWithdrawalAmount"
+                type="number"
+                name="amount"
+                min="0"
+                value={withdrawalForm.amount}
+                onChange={handleWithdrawalChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <div>
+              <label htmlFor="srsWithdrawalDescription" className="block text-xs font-medium text-gray-700 mb-1">Note</label>
+              <input
+                id="srsWithdrawalDescription"
+                type="text"
+                name="description"
+                placeholder="Optional"
+                value={withdrawalForm.description}
+                onChange={handleWithdrawalChange}
+                className="block w-full text-sm border-gray-300 rounded-md"
+              />
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 text-sm rounded-md text-white bg-teal-600 hover:bg-teal-700"
+            >
+              Add Withdrawal
+            </button>
+          </form>
+          {withdrawalError && <p className="text-sm text-red-600">{withdrawalError}</p>}
+        </div>
+      </div>
+    </Card>
+  );
+};
+
+export default SrsAccount;
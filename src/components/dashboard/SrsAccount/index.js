@@ -0,0 +1 @@
+export { default } from './SrsAccount';
\ No newline at end of file
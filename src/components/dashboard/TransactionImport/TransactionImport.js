@@ -0,0 +1,307 @@
+import React, { useState, useMemo } from "react";
+import { useFinancial } from "../../../context/FinancialContext";
+import Card from "../../common/Card";
+import { formatCurrency } from "../../../services/formatters/currencyFormatters";
+import { parseStatement, STATEMENT_FORMAT } from "../../../services/transactions/statementParsers";
+import {
+  UNCATEGORISED,
+  categorizeTransactions,
+  mergeTransactions,
+  isValidRulePattern
+} from "../../../services/transactions/categorization";
+
+const FORMAT_LABELS = {
+  [STATEMENT_FORMAT.DBS]: "DBS CSV",
+  [STATEMENT_FORMAT.OCBC]: "OCBC CSV",
+  [STATEMENT_FORMAT.UOB]: "UOB CSV",
+  [STATEMENT_FORMAT.OFX]: "OFX/QFX"
+};
+
+/**
+ * TransactionImport Component
+ * Imports bank statements (DBS/OCBC/UOB CSV, OFX/QFX), manages payee rules
+ * that map transactions to expense categories, and lists imported transactions
+ *
+ * @returns {JSX.Element}
+ */
+const TransactionImport = () => {
+  const {
+    financialData,
+    importTransactions,
+    setTransactionCategory,
+    clearTransactions,
+    addCategoryRule,
+    removeCategoryRule
+  } = useFinancial();
+
+  const [preview, setPreview] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [newRule, setNewRule] = useState({ pattern: "", category: "" });
+
+  const transactions = useMemo(
+    () => (Array.isArray(financialData.transactions) ? financialData.transactions : []),
+    [financialData.transactions]
+  );
+  const categoryRules = useMemo(
+    () => (Array.isArray(financialData.categoryRules) ? financialData.categoryRules : []),
+    [financialData.categoryRules]
+  );
+
+  // Budget categories come from the monthly expense entries
+  const categories = useMemo(
+    () => (Array.isArray(financialData.expenses) ? financialData.expenses.map((expense) => expense.name) : []),
+    [financialData.expenses]
+  );
+
+  const categorizedTransactions = useMemo(
+    () => categorizeTransactions(transactions, categoryRules),
+    [transactions, categoryRules]
+  );
+  const recentTransactions = useMemo(
+    () => [...categorizedTransactions].reverse().slice(0, 20),
+    [categorizedTransactions]
+  );
+  const uncategorisedCount = categorizedTransactions.filter(
+    (transaction) => transaction.category === UNCATEGORISED && transaction.amount < 0
+  ).length;
+
+  // Parse the selected file into a preview; nothing is saved until confirmed
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setImportError(null);
+    try {
+      const text = await file.text();
+      const parsed = parseStatement(text, file.name);
+      const merged = mergeTransactions(transactions, parsed.transactions);
+      setPreview({
+        fileName: file.name,
+        ...parsed,
+        added: merged.added,
+        duplicates: merged.duplicates,
+        categorized: categorizeTransactions(parsed.transactions, categoryRules)
+      });
+    } catch (error) {
+      setPreview(null);
+      setImportError(error.message);
+    }
+  };
+
+  const handleConfirmImport = () => {
+    importTransactions(preview.transactions);
+    setPreview(null);
+  };
+
+  const handleAddRule = (e) => {
+    e.preventDefault();
+    if (!isValidRulePattern(newRule.pattern) || !newRule.category.trim()) return;
+
+    addCategoryRule(newRule.pattern, newRule.category.trim());
+    setNewRule({ pattern: "", category: "" });
+  };
+
+  const newRuleInvalid = newRule.pattern !== "" && !isValidRulePattern(newRule.pattern);
+
+  return (
+    <Card title="Bank Transactions" titleColor="bg-teal-600">
+      <div className="space-y-6">
+        {/* File import */}
+        <div>
+          <p className="text-sm text-gray-600 mb-3">
+            Import DBS, OCBC or UOB CSV exports, or OFX/QFX files. Transactions are matched to your
+            expense categories by the rules below and compared with your budget.
+          </p>
+          <label className="inline-flex items-center px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white text-sm font-medium rounded-md cursor-pointer">
+            Choose Statement
+            <input
+              type="file"
+              accept=".csv,.ofx,.qfx"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+          </label>
+          {importError && (
+            <p className="mt-2 text-sm text-red-600">{importError}</p>
+          )}
+        </div>
+
+        {/* Import preview */}
+        {preview && (
+          <div className="p-4 bg-teal-50 border border-teal-200 rounded-lg space-y-3">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+              <div>
+                <h4 className="font-medium text-teal-900">{preview.fileName}</h4>
+                <p className="text-sm text-teal-800">
+                  {FORMAT_LABELS[preview.format]} · {preview.transactions.length} transactions ·{" "}
+                  {preview.added} new
+                  {preview.duplicates > 0 && ` · ${preview.duplicates} already imported`}
+                  {preview.skippedRows > 0 && ` · ${preview.skippedRows} rows skipped`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => setPreview(null)}
+                  className="px-3 py-1.5 text-sm rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={handleConfirmImport}
+                  disabled={preview.added === 0}
+                  className={`px-3 py-1.5 text-sm rounded-md text-white ${
+                    preview.added > 0 ? "bg-teal-600 hover:bg-teal-700" : "bg-teal-300 cursor-not-allowed"
+                  }`}
+                >
+                  Import {preview.added} Transactions
+                </button>
+              </div>
+            </div>
+            <div className="max-h-48 overflow-y-auto text-sm">
+              {preview.categorized.slice(0, 10).map((transaction) => (
+                <div key={transaction.id} className="flex justify-between py-1 border-b border-teal-100">
+                  <span className="text-gray-700 truncate mr-3">
+                    {transaction.date} · {transaction.description}
+                  </span>
+                  <span className="whitespace-nowrap">
+                    <span className="text-xs text-gray-500 mr-2">{transaction.category}</span>
+                    <span className={transaction.amount < 0 ? "text-red-600" : "text-green-600"}>
+                      {formatCurrency(transaction.amount)}
+                    </span>
+                  </span>
+                </div>
+              ))}
+              {preview.categorized.length > 10 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  and {preview.categorized.length - 10} more
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Category rules */}
+        <div>
+          <h3 className="text-md font-medium text-gray-800 mb-2">Category Rules</h3>
+          <p className="text-xs text-gray-500 mb-3">
+            Payee patterns are regular expressions matched against the description, ignoring case.
+            The first matching rule wins.
+          </p>
+          {categoryRules.length > 0 && (
+            <ul className="divide-y divide-gray-200 mb-3">
+              {categoryRules.map((rule) => (
+                <li key={rule.id} className="flex justify-between items-center py-2 text-sm">
+                  <span>
+                    <code className="px-1 bg-gray-100 rounded">{rule.pattern}</code>
+                    <span className="text-gray-500"> → </span>
+                    <span className="font-medium">{rule.category}</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeCategoryRule(rule.id)}
+                    className="text-red-600 hover:text-red-800 text-xs"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form onSubmit={handleAddRule} className="flex flex-wrap gap-2 items-start">
+            <div className="flex-1 min-w-[10rem]">
+              <input
+                type="text"
+                placeholder="e.g. grab|gojek"
+                value={newRule.pattern}
+                onChange={(e) => setNewRule((prev) => ({ ...prev, pattern: e.target.value }))}
+                className={`block w-full px-3 py-1.5 text-sm border rounded-md ${
+                  newRuleInvalid ? "border-red-400" : "border-gray-300"
+                }`}
+              />
+              {newRuleInvalid && (
+                <p className="text-xs text-red-600 mt-1">Invalid regular expression</p>
+              )}
+            </div>
+            <input
+              type="text"
+              list="transaction-categories"
+              placeholder="Category"
+              value={newRule.category}
+              onChange={(e) => setNewRule((prev) => ({ ...prev, category: e.target.value }))}
+              className="flex-1 min-w-[8rem] px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+            />
+            <datalist id="transaction-categories">
+              {categories.map((category) => (
+                <option key={category} value={category} />
+              ))}
+            </datalist>
+            <button
+              type="submit"
+              className="px-3 py-1.5 text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700"
+            >
+              Add Rule
+            </button>
+          </form>
+        </div>
+
+        {/* Imported transactions */}
+        {transactions.length > 0 && (
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-md font-medium text-gray-800">
+                Recent Transactions
+                <span className="ml-2 text-xs font-normal text-gray-500">
+                  {transactions.length} imported
+                  {uncategorisedCount > 0 && ` · ${uncategorisedCount} uncategorised`}
+                </span>
+              </h3>
+              <button
+                type="button"
+                onClick={clearTransactions}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Clear All
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {recentTransactions.map((transaction) => (
+                    <tr key={transaction.id}>
+                      <td className="px-2 py-2 text-gray-500 whitespace-nowrap">{transaction.date}</td>
+                      <td className="px-2 py-2 text-gray-700">{transaction.description}</td>
+                      <td className="px-2 py-2">
+                        <select
+                          value={transaction.manualCategory || ""}
+                          onChange={(e) => setTransactionCategory(transaction.id, e.target.value)}
+                          className="text-xs border border-gray-300 rounded-md py-1"
+                        >
+                          <option value="">
+                            {transaction.manualCategory ? "Use rules" : `${transaction.category} (rule)`}
+                          </option>
+                          {categories.map((category) => (
+                            <option key={category} value={category}>{category}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className={`px-2 py-2 text-right whitespace-nowrap ${
+                        transaction.amount < 0 ? "text-red-600" : "text-green-600"
+                      }`}>
+                        {formatCurrency(transaction.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default TransactionImport;
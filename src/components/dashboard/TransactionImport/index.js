@@ -0,0 +1 @@
+export { default } from './TransactionImport';
\ No newline at end of file
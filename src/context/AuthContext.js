@@ -1,16 +1,25 @@
 // src/context/AuthContext.js
 import React, { createContext, useState, useEffect, useContext } from "react";
 import { logoutUser, onAuthStateChange } from "../firebase/firebase";
+import { getStorageAdapter, getStorageConfig } from "../services/sync/storageAdapters";
 
 // Create the auth context
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
+	// Firestore needs a Firebase sign-in; the other storage backends use one configured user
+	const { requiresSignIn } = getStorageAdapter();
 	const [currentUser, setCurrentUser] = useState(null);
 	const [loading, setLoading] = useState(true);
 	const [authError, setAuthError] = useState(null);
 
 	useEffect(() => {
+		if (!requiresSignIn) {
+			setCurrentUser({ uid: getStorageConfig().userId, email: null });
+			setLoading(false);
+			return undefined;
+		}
+
 		console.log("Setting up auth state listener");
 		// Use the exported onAuthStateChange function
 		const unsubscribe = onAuthStateChange((user) => {
@@ -27,7 +36,7 @@ export const AuthProvider = ({ children }) => {
 			console.log("Cleaning up auth state listener");
 			unsubscribe();
 		};
-	}, []);
+	}, [requiresSignIn]);
 
 	// Logout function with improved error handling
 	const logout = async () => {
@@ -53,6 +62,7 @@ export const AuthProvider = ({ children }) => {
 	const value = {
 		currentUser,
 		isAuthenticated: !!currentUser,
+		requiresSignIn,
 		loading,
 		authError,
 		logout,
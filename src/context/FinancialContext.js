@@ -1,7 +1,27 @@
 // src/context/FinancialContext.js - Modified for better Firebase syncing
-import React, { createContext, useState, useEffect, useContext, useCallback, useMemo } from "react";
-import { saveFinancialData, loadFinancialData } from "../firebase/firebase";
+import React, { createContext, useState, useEffect, useContext, useCallback, useMemo, useRef } from "react";
 import { useAuth } from "./AuthContext";
+import { mergeTransactions } from "../services/transactions/categorization";
+import { getRebaselineValues } from "../services/calculations/reconciliation";
+import { createSyncEngine } from "../services/sync/syncEngine";
+import { isIndexedDbAvailable } from "../services/sync/stores";
+import { STORAGE_BACKEND, getStorageAdapter } from "../services/sync/storageAdapters";
+import { promoteScenario as promoteScenarioToBase, validateScenario } from "../services/calculations/scenarios";
+import { removeMemberFromData, validateHouseholdMember } from "../services/calculations/household";
+import { validateSalaryEvent } from "../services/calculations/salaryTimeline";
+import { DEFAULT_SRS_ACCOUNT, validateSrsAccount, validateSrsWithdrawal } from "../services/calculations/srs";
+import { validateCpfTopUp } from "../services/calculations/cpf/cpf-topups";
+import { validateCpfHousingUsage } from "../services/calculations/cpf/cpf-housing";
+import { DEFAULT_PROJECTION_GOALS } from "../services/calculations/goalProjection";
+import {
+	CURRENT_SCHEMA_VERSION,
+	getMigrationBackupKey,
+	getSchemaVersion,
+	migrateFinancialData,
+} from "../services/migrations/schemaMigrations";
+
+// Pause in editing before changes are synced to the storage backend
+const SYNC_DELAY_MS = 1000;
 
 // Create the context
 export const FinancialContext = createContext();
@@ -12,10 +32,12 @@ export const FinancialProvider = ({ children }) => {
 	const [syncStatus, setSyncStatus] = useState({
 		status: "idle",
 		lastSync: null,
+		conflicts: [], // Fields changed both here and on another device
 	});
 
 	// Initialize state with default values - memoized to prevent re-creation
 	const initialState = useMemo(() => ({
+		schemaVersion: CURRENT_SCHEMA_VERSION, // Shape of this data; see services/migrations
 		personalInfo: {
 			birthday: {
 				month: 9, // September
@@ -48,6 +70,19 @@ export const FinancialProvider = ({ children }) => {
 		],
 		yearlyExpenses: [],
 		upcomingSpending: [],
+		transactions: [], // Imported bank transactions
+		categoryRules: [], // Payee regex → expense category
+		monthlyCloses: [], // Actual month-end balances and spend
+		projectionBaseline: null, // Projection snapshot that closes are reconciled against
+		netWorthSnapshots: [], // Dated asset and liability balances
+		loans: [], // Mortgages, car and study loans, credit lines
+		portfolio: { holdings: [], targetAllocation: {} }, // Liquid savings by asset class
+		goals: [], // Savings goals with a funding source and monthly contribution
+		scenarios: [], // Named what-ifs stored as overrides on top of this data
+		household: { primaryName: "You", members: [], defaultSplit: {} }, // Other earners and how shared costs split
+		srs: DEFAULT_SRS_ACCOUNT, // Supplementary Retirement Scheme account
+		cpfTopUps: [], // Scheduled cash top-ups to CPF SA/RA and MediSave
+		cpfHousing: null, // CPF OA used so far for a home already owned
 		projectionSettings: {
 			rowsToDisplay: 36, // Default to 36 months (3 years)
 			enableIntraMonthAnalysis: true, // Enable detailed cash flow timing
@@ -55,268 +90,133 @@ export const FinancialProvider = ({ children }) => {
 		},
 	}), []);
 
-	// Function to migrate old data format to new format - memoized to prevent re-creation
-	const migrateData = useCallback((oldData) => {
-		if (!oldData) return initialState;
+	const [financialData, setFinancialData] = useState(initialState);
 
-		// Check if we need to migrate the expenses format from object to array
-		if (oldData && oldData.expenses && !Array.isArray(oldData.expenses)) {
-			console.log("Migrating expenses from object to array format");
+	// Sync engine for the signed-in user's document, or this device's data when signed out
+	const syncEngineRef = useRef(null);
+	const hasRemoteRef = useRef(false);
 
-			// Create array of expense objects from the old format
-			const migratedExpenses = [];
+	// Open the local store, starting from the remote or data saved before the local store existed
+	const loadSavedData = useCallback(async () => {
+		try {
+			setSyncStatus({ status: "loading", lastSync: null, conflicts: [] });
+			const storage = getStorageAdapter();
+			const indexedDbAvailable = isIndexedDbAvailable();
+			const remote = currentUser ? await storage.createRemote(currentUser.uid) : null;
+			const localStore = storage.createLocalStore();
+			const recordKey = currentUser ? `financialData:${currentUser.uid}` : "financialData:local";
+			const engine = createSyncEngine({ localStore, remote, key: recordKey });
 
-			// Handle old format with rental, food, transportation, entertainment as direct properties
-			if (typeof oldData.expenses.rental === "number") {
-				migratedExpenses.push({
-					id: 1,
-					name: "Rental",
-					amount: oldData.expenses.rental,
-				});
-			}
-			if (typeof oldData.expenses.food === "number") {
-				migratedExpenses.push({
-					id: 2,
-					name: "Food",
-					amount: oldData.expenses.food,
-				});
-			}
-			if (typeof oldData.expenses.transportation === "number") {
-				migratedExpenses.push({
-					id: 3,
-					name: "Transportation",
-					amount: oldData.expenses.transportation,
-				});
-			}
-			if (typeof oldData.expenses.entertainment === "number") {
-				migratedExpenses.push({
-					id: 4,
-					name: "Entertainment",
-					amount: oldData.expenses.entertainment,
+			const legacyData = localStorage.getItem("financialData");
+			const savedData = await engine.open(legacyData ? JSON.parse(legacyData) : initialState);
+
+			// Throws for data from a newer schema, which is left untouched
+			const migration = migrateFinancialData(savedData, initialState);
+			if (migration.applied.length > 0) {
+				console.log(`Migrating data from schema ${migration.fromVersion} to ${migration.toVersion}`);
+				// Keep the document as it was in case a migration gets something wrong
+				await localStore.write(getMigrationBackupKey(recordKey, migration.fromVersion), {
+					schemaVersion: migration.fromVersion,
+					backedUpAt: new Date().toISOString(),
+					data: savedData,
 				});
 			}
 
-			// Update the expenses property with the new array format
-			oldData.expenses =
-				migratedExpenses.length > 0
-					? migratedExpenses
-					: initialState.expenses;
-		}
-
-		// Add yearlyBonuses if it doesn't exist
-		if (!oldData.yearlyBonuses) {
-			oldData.yearlyBonuses = initialState.yearlyBonuses;
-		}
-
-		// Add yearlyExpenses if it doesn't exist
-		if (!oldData.yearlyExpenses) {
-			oldData.yearlyExpenses = initialState.yearlyExpenses;
-		}
-
-		// Add upcomingSpending if it doesn't exist
-		if (!oldData.upcomingSpending) {
-			oldData.upcomingSpending = initialState.upcomingSpending;
-		}
-
-		// Add projectionSettings if it doesn't exist
-		if (!oldData.projectionSettings) {
-			oldData.projectionSettings = initialState.projectionSettings;
-		}
-
-		// Add currentCpfBalance if it doesn't exist
-		if (
-			oldData &&
-			oldData.personalInfo &&
-			typeof oldData.personalInfo.currentCpfBalance === "undefined"
-		) {
-			oldData.personalInfo.currentCpfBalance =
-				initialState.personalInfo.currentCpfBalance;
-		}
-
-		// Add employeeType if it doesn't exist
-		if (
-			oldData &&
-			oldData.income &&
-			typeof oldData.income.employeeType === "undefined"
-		) {
-			oldData.income.employeeType = initialState.income.employeeType;
-		}
+			const data = migration.data;
+			engine.recordChange(data);
+			hasRemoteRef.current = remote !== null;
+			syncEngineRef.current = engine;
 
-		// Remove legacy salary adjustment fields (cleanup)
-		if (oldData && oldData.income) {
-			if (oldData.income.futureSalary !== undefined) {
-				delete oldData.income.futureSalary;
-			}
-			if (oldData.income.salaryAdjustmentMonth !== undefined) {
-				delete oldData.income.salaryAdjustmentMonth;
-			}
-			if (oldData.income.salaryAdjustmentYear !== undefined) {
-				delete oldData.income.salaryAdjustmentYear;
+			// The local store replaces the old single localStorage key
+			if (indexedDbAvailable && storage.backend !== STORAGE_BACKEND.MEMORY) {
+				localStorage.removeItem("financialData");
 			}
 
-			// Add salaryDay if it doesn't exist
-			if (typeof oldData.income.salaryDay === "undefined") {
-				oldData.income.salaryDay = initialState.income.salaryDay;
+			setSyncStatus({
+				status: remote ? "saving" : "local",
+				lastSync: null,
+				conflicts: [],
+			});
+			return data;
+		} catch (error) {
+			console.error("Error loading saved data:", error);
+			// Nothing is saved until the data loads, so defaults never overwrite it
+			syncEngineRef.current = null;
+			hasRemoteRef.current = false;
+			if (error.code === "unsupported_schema_version") {
+				setSyncStatus({ status: "unsupported", lastSync: null, conflicts: [], message: error.message });
+				return initialState;
 			}
+
+			// Clear potentially corrupted data
+			localStorage.removeItem("financialData");
+			setSyncStatus({ status: "error", lastSync: null, conflicts: [] });
+			return initialState;
 		}
+	}, [currentUser, initialState]);
 
-		// Migrate expenses to include dueDay if missing
-		if (oldData && oldData.expenses && Array.isArray(oldData.expenses)) {
-			oldData.expenses = oldData.expenses.map((expense, index) => ({
-				...expense,
-				dueDay: expense.dueDay !== undefined ? expense.dueDay :
-					(initialState.expenses[index]?.dueDay || 15) // Default to mid-month
-			}));
+	// Merge local changes with the remote, applying fields changed on other devices
+	const runSync = useCallback(async () => {
+		const engine = syncEngineRef.current;
+		if (!currentUser || !engine || !engine.getRecord()) {
+			return { success: false, error: "Not authenticated" };
+		}
+		if (!hasRemoteRef.current) {
+			return { success: false, error: "Data is only stored on this device" };
 		}
 
-		// Add new projection settings if missing
-		if (oldData && oldData.projectionSettings) {
-			if (typeof oldData.projectionSettings.enableIntraMonthAnalysis === "undefined") {
-				oldData.projectionSettings.enableIntraMonthAnalysis = initialState.projectionSettings.enableIntraMonthAnalysis;
-			}
-			if (typeof oldData.projectionSettings.minimumCashBuffer === "undefined") {
-				oldData.projectionSettings.minimumCashBuffer = initialState.projectionSettings.minimumCashBuffer;
-			}
-		} else if (oldData) {
-			// Initialize projectionSettings if it doesn't exist
-			oldData.projectionSettings = initialState.projectionSettings;
+		const pendingChanges = engine.getRecord().changeLog.length;
+		if (!navigator.onLine) {
+			setSyncStatus((prev) => ({ ...prev, status: "offline", pendingChanges }));
+			return { success: false, error: "You are offline; changes are saved on this device" };
 		}
 
-		// Ensure personalInfo date fields are objects with month and year
-		if (oldData && oldData.personalInfo) {
-			// Birthday
-			if (
-				oldData.personalInfo.birthday &&
-				typeof oldData.personalInfo.birthday === "string"
-			) {
-				try {
-					// Try to extract month and year if it's a string in format "Month Year"
-					const parts = oldData.personalInfo.birthday.split(" ");
-					if (parts.length === 2) {
-						const month = getMonthNumber(parts[0]);
-						const year = parseInt(parts[1]);
-						if (!isNaN(month) && !isNaN(year)) {
-							oldData.personalInfo.birthday = { month, year };
-						} else {
-							oldData.personalInfo.birthday =
-								initialState.personalInfo.birthday;
-						}
-					} else {
-						oldData.personalInfo.birthday =
-							initialState.personalInfo.birthday;
-					}
-				} catch (e) {
-					oldData.personalInfo.birthday =
-						initialState.personalInfo.birthday;
-				}
-			} else if (!oldData.personalInfo.birthday) {
-				oldData.personalInfo.birthday =
-					initialState.personalInfo.birthday;
-			}
+		try {
+			setSyncStatus((prev) => ({ ...prev, status: "saving", pendingChanges }));
+			const result = await engine.sync();
 
-			// Remove employmentStart field if it exists (cleanup)
-			if (oldData.personalInfo.employmentStart !== undefined) {
-				delete oldData.personalInfo.employmentStart;
+			// Another device has upgraded the data past what this version understands
+			if (getSchemaVersion(engine.getRecord().data) > CURRENT_SCHEMA_VERSION) {
+				syncEngineRef.current = null;
+				setSyncStatus({
+					status: "unsupported",
+					lastSync: null,
+					conflicts: [],
+					message: "This data was updated by a newer version of the app. Please update the app.",
+				});
+				return { success: false, error: "Data is from a newer version of the app" };
 			}
 
-			// Remove projectionStart field if it exists (cleanup - now auto-detected)
-			if (oldData.personalInfo.projectionStart !== undefined) {
-				delete oldData.personalInfo.projectionStart;
+			if (Object.keys(result.applied).length > 0) {
+				setFinancialData((prev) => ({ ...prev, ...result.applied }));
 			}
-		}
 
-		return oldData;
-	}, [initialState]);
-
-	// Get month number from month name
-	const getMonthNumber = (monthName) => {
-		const months = [
-			"January",
-			"February",
-			"March",
-			"April",
-			"May",
-			"June",
-			"July",
-			"August",
-			"September",
-			"October",
-			"November",
-			"December",
-		];
-		return (
-			months.findIndex((m) =>
-				monthName.toLowerCase().startsWith(m.toLowerCase())
-			) + 1 || 1
-		);
-	};
-
-	// Load data from Firebase or localStorage depending on authentication state
-	const loadSavedData = useCallback(async () => {
-		try {
-			setSyncStatus({ status: "loading", lastSync: null });
-			// First check if we're authenticated
-			if (currentUser) {
-				console.log(
-					"User is authenticated, trying to load from Firebase"
-				);
-				// Try to load from Firebase
-				const { data, error } = await loadFinancialData(
-					currentUser.uid
-				);
-				if (data) {
-					console.log("Successfully loaded data from Firebase");
-					setSyncStatus({
-						status: "synced",
-						lastSync: new Date().toISOString(),
-					});
-					return migrateData(data);
-				} else if (error) {
-					console.warn("Error loading from Firebase:", error);
-					// Fall back to localStorage
-					const localData = localStorage.getItem("financialData");
-					if (localData) {
-						console.log(
-							"Using localStorage data and syncing to Firebase"
-						);
-						const parsedData = JSON.parse(localData);
-						// Save the local data to Firebase for future use
-						await saveFinancialData(currentUser.uid, parsedData);
-						setSyncStatus({
-							status: "synced",
-							lastSync: new Date().toISOString(),
-						});
-						return migrateData(parsedData);
-					} else {
-						setSyncStatus({ status: "error", lastSync: null });
-					}
-				}
-			} else {
-				console.log("User not authenticated, using localStorage");
-				// Not authenticated, use localStorage
-				const savedData = localStorage.getItem("financialData");
-				if (savedData) {
-					setSyncStatus({ status: "local", lastSync: null });
-					return migrateData(JSON.parse(savedData));
-				}
+			if (result.status === "conflict") {
+				setSyncStatus((prev) => ({
+					status: "conflict",
+					lastSync: prev.lastSync,
+					conflicts: result.conflicts,
+					pendingChanges: result.pendingChanges,
+				}));
+				return { success: false, error: "Some changes conflict with another device" };
 			}
 
-			// If nothing found or error occurred, use initialState
-			console.log("No saved data found, using initial state");
-			setSyncStatus({ status: "new", lastSync: null });
-			return initialState;
+			setSyncStatus({
+				status: "synced",
+				lastSync: new Date().toISOString(),
+				conflicts: [],
+				pendingChanges: result.pendingChanges,
+			});
+			return { success: true, error: null };
 		} catch (error) {
-			console.error("Error loading saved data:", error);
-			// Clear potentially corrupted data
-			localStorage.removeItem("financialData");
-			setSyncStatus({ status: "error", lastSync: null });
-			return initialState;
-		} finally {
-			setIsLoading(false);
+			console.error("Error syncing data:", error);
+			setSyncStatus((prev) => ({
+				...prev,
+				status: navigator.onLine ? "error" : "offline",
+			}));
+			return { success: false, error: error.message };
 		}
-	}, [currentUser, initialState, migrateData]);
-
-	const [financialData, setFinancialData] = useState(initialState);
+	}, [currentUser]);
 
 	// Load data when component mounts or user changes
 	useEffect(() => {
@@ -324,50 +224,57 @@ export const FinancialProvider = ({ children }) => {
 		setIsLoading(true);
 		loadSavedData().then((data) => {
 			setFinancialData(data);
+			setIsLoading(false);
+			runSync();
 		});
-	}, [currentUser, loadSavedData]);
+	}, [currentUser, loadSavedData, runSync]);
 
-	// Save data whenever it changes
+	// Record every change in the local store, then sync after a pause in editing
 	useEffect(() => {
-		const saveData = async () => {
-			// Always save to localStorage as a fallback
-			localStorage.setItem(
-				"financialData",
-				JSON.stringify(financialData)
-			);
-			console.log("Saved data to localStorage");
-
-			// If authenticated, also save to Firebase
-			if (currentUser && !isLoading) {
-				try {
-					console.log("Saving data to Firebase");
-					setSyncStatus(prev => ({
-						status: "saving",
-						lastSync: prev.lastSync,
-					}));
-					await saveFinancialData(currentUser.uid, financialData);
-					console.log("Successfully saved data to Firebase");
-					setSyncStatus({
-						status: "synced",
-						lastSync: new Date().toISOString(),
-					});
-				} catch (error) {
-					console.error("Error saving to Firebase:", error);
-					setSyncStatus(prev => ({
-						status: "error",
-						lastSync: prev.lastSync,
-					}));
-				}
-			} else if (!currentUser) {
-				console.log("User not authenticated, data only saved locally");
-				setSyncStatus({ status: "local", lastSync: null });
+		const engine = syncEngineRef.current;
+		if (isLoading || !engine || !engine.getRecord()) {
+			return undefined;
+		}
+
+		engine.recordChange(financialData);
+		if (!currentUser || !hasRemoteRef.current || engine.getRecord().changeLog.length === 0) {
+			return undefined;
+		}
+
+		const timer = setTimeout(runSync, SYNC_DELAY_MS);
+		return () => clearTimeout(timer);
+	}, [financialData, currentUser, isLoading, runSync]);
+
+	// Changes made offline are synced when the connection comes back
+	useEffect(() => {
+		const handleOnline = () => runSync();
+		const handleOffline = () => {
+			if (hasRemoteRef.current) {
+				setSyncStatus((prev) => ({ ...prev, status: "offline" }));
 			}
 		};
+		window.addEventListener("online", handleOnline);
+		window.addEventListener("offline", handleOffline);
+		return () => {
+			window.removeEventListener("online", handleOnline);
+			window.removeEventListener("offline", handleOffline);
+		};
+	}, [runSync]);
 
-		if (!isLoading) {
-			saveData();
+	// Keep the local or remote value of a conflicting field, then sync again
+	const resolveSyncConflict = useCallback((field, resolution) => {
+		const engine = syncEngineRef.current;
+		if (!engine) {
+			return;
 		}
-	}, [financialData, currentUser, isLoading]); // Remove syncStatus.lastSync to prevent infinite loop
+
+		engine.resolveConflict(field, resolution);
+		setSyncStatus((prev) => ({
+			...prev,
+			conflicts: (prev.conflicts || []).filter((conflict) => conflict.field !== field),
+		}));
+		runSync();
+	}, [runSync]);
 
 	// Function to update financial data
 	const updateFinancialData = useCallback((newData) => {
@@ -377,6 +284,11 @@ export const FinancialProvider = ({ children }) => {
 		}));
 	}, []);
 
+	// Replace all data, e.g. from an import; fields missing from newData are removed
+	const replaceFinancialData = useCallback((newData) => {
+		setFinancialData(newData);
+	}, []);
+
 	// Function to update projection settings
 	const updateProjectionSettings = useCallback((settings) => {
 		setFinancialData((prev) => ({
@@ -579,6 +491,468 @@ export const FinancialProvider = ({ children }) => {
 		}));
 	}, []);
 
+	// Function to import parsed bank transactions, skipping ones already imported
+	const importTransactions = useCallback((transactions) => {
+		setFinancialData((prev) => ({
+			...prev,
+			transactions: mergeTransactions(
+				Array.isArray(prev.transactions) ? prev.transactions : [],
+				Array.isArray(transactions) ? transactions : []
+			).transactions,
+		}));
+	}, []);
+
+	// Function to remove an imported transaction
+	const removeTransaction = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			transactions: Array.isArray(prev.transactions)
+				? prev.transactions.filter((transaction) => transaction.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Function to override a transaction's category (null returns it to the rules)
+	const setTransactionCategory = useCallback((id, category) => {
+		setFinancialData((prev) => ({
+			...prev,
+			transactions: Array.isArray(prev.transactions)
+				? prev.transactions.map((transaction) =>
+						transaction.id === id
+							? { ...transaction, manualCategory: category || null }
+							: transaction
+				  )
+				: [],
+		}));
+	}, []);
+
+	// Function to remove all imported transactions
+	const clearTransactions = useCallback(() => {
+		setFinancialData((prev) => ({
+			...prev,
+			transactions: [],
+		}));
+	}, []);
+
+	// Function to add a categorisation rule
+	const addCategoryRule = useCallback((pattern, category) => {
+		const newRule = {
+			id: Date.now(),
+			pattern,
+			category,
+		};
+
+		setFinancialData((prev) => ({
+			...prev,
+			categoryRules: Array.isArray(prev.categoryRules)
+				? [...prev.categoryRules, newRule]
+				: [newRule],
+		}));
+	}, []);
+
+	// Function to remove a categorisation rule
+	const removeCategoryRule = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			categoryRules: Array.isArray(prev.categoryRules)
+				? prev.categoryRules.filter((rule) => rule.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Function to update an existing categorisation rule
+	const updateCategoryRule = useCallback((id, updates) => {
+		setFinancialData((prev) => ({
+			...prev,
+			categoryRules: Array.isArray(prev.categoryRules)
+				? prev.categoryRules.map((rule) =>
+						rule.id === id ? { ...rule, ...updates } : rule
+				  )
+				: [],
+		}));
+	}, []);
+
+	// Function to save a monthly close, replacing any earlier close for the same month
+	const saveMonthlyClose = useCallback((close) => {
+		setFinancialData((prev) => {
+			const closes = Array.isArray(prev.monthlyCloses) ? prev.monthlyCloses : [];
+			const existing = closes.find(
+				(item) => item.year === close.year && item.month === close.month
+			);
+			const savedClose = {
+				...close,
+				id: existing ? existing.id : Date.now(),
+				closedAt: new Date().toISOString(),
+			};
+
+			return {
+				...prev,
+				monthlyCloses: existing
+					? closes.map((item) => (item.id === existing.id ? savedClose : item))
+					: [...closes, savedClose],
+			};
+		});
+	}, []);
+
+	// Function to remove a monthly close
+	const removeMonthlyClose = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			monthlyCloses: Array.isArray(prev.monthlyCloses)
+				? prev.monthlyCloses.filter((close) => close.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Function to store the projection snapshot used for reconciliation
+	const setProjectionBaseline = useCallback((baseline) => {
+		setFinancialData((prev) => ({
+			...prev,
+			projectionBaseline: baseline,
+		}));
+	}, []);
+
+	// Function to restart projections from a close's actual balances
+	const rebaselineFromClose = useCallback((close) => {
+		const values = getRebaselineValues(close);
+		setFinancialData((prev) => ({
+			...prev,
+			personalInfo: {
+				...prev.personalInfo,
+				...values,
+			},
+		}));
+	}, []);
+
+	// Function to add a net worth snapshot, or update it when it has an id
+	const saveNetWorthSnapshot = useCallback((snapshot) => {
+		setFinancialData((prev) => {
+			const snapshots = Array.isArray(prev.netWorthSnapshots) ? prev.netWorthSnapshots : [];
+
+			return {
+				...prev,
+				netWorthSnapshots: snapshot.id && snapshots.some((item) => item.id === snapshot.id)
+					? snapshots.map((item) => (item.id === snapshot.id ? { ...snapshot } : item))
+					: [...snapshots, { ...snapshot, id: Date.now() }],
+			};
+		});
+	}, []);
+
+	// Function to remove a net worth snapshot
+	const removeNetWorthSnapshot = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			netWorthSnapshots: Array.isArray(prev.netWorthSnapshots)
+				? prev.netWorthSnapshots.filter((snapshot) => snapshot.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Function to add a loan
+	const addLoan = useCallback((loan) => {
+		setFinancialData((prev) => ({
+			...prev,
+			loans: Array.isArray(prev.loans)
+				? [...prev.loans, { ...loan, id: Date.now() }]
+				: [{ ...loan, id: Date.now() }],
+		}));
+	}, []);
+
+	// Function to update a loan
+	const updateLoan = useCallback((id, updates) => {
+		setFinancialData((prev) => ({
+			...prev,
+			loans: Array.isArray(prev.loans)
+				? prev.loans.map((loan) => (loan.id === id ? { ...loan, ...updates } : loan))
+				: [],
+		}));
+	}, []);
+
+	// Function to remove a loan
+	const removeLoan = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			loans: Array.isArray(prev.loans)
+				? prev.loans.filter((loan) => loan.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Function to add a savings goal
+	const addGoal = useCallback((goal) => {
+		setFinancialData((prev) => ({
+			...prev,
+			goals: Array.isArray(prev.goals)
+				? [...prev.goals, { ...goal, id: Date.now() }]
+				: [{ ...goal, id: Date.now() }],
+		}));
+	}, []);
+
+	// Function to update a savings goal
+	const updateGoal = useCallback((id, updates) => {
+		setFinancialData((prev) => ({
+			...prev,
+			goals: Array.isArray(prev.goals)
+				? prev.goals.map((goal) => (goal.id === id ? { ...goal, ...updates } : goal))
+				: [],
+		}));
+	}, []);
+
+	// Function to remove a savings goal
+	const removeGoal = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			goals: Array.isArray(prev.goals)
+				? prev.goals.filter((goal) => goal.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Function to add a projection goal (the default $100k goal is kept until removed)
+	const addProjectionGoal = useCallback((goal) => {
+		setFinancialData((prev) => {
+			const goals = prev.projectionSettings?.goals || DEFAULT_PROJECTION_GOALS;
+			return {
+				...prev,
+				projectionSettings: {
+					...prev.projectionSettings,
+					goals: [...goals, { ...goal, id: Date.now() }],
+				},
+			};
+		});
+	}, []);
+
+	// Function to remove a projection goal
+	const removeProjectionGoal = useCallback((id) => {
+		setFinancialData((prev) => {
+			const goals = prev.projectionSettings?.goals || DEFAULT_PROJECTION_GOALS;
+			return {
+				...prev,
+				projectionSettings: {
+					...prev.projectionSettings,
+					goals: goals.filter((goal) => goal.id !== id),
+				},
+			};
+		});
+	}, []);
+
+	// Function to add a named scenario; throws if it's invalid
+	const addScenario = useCallback((scenario) => {
+		validateScenario(scenario);
+		const newScenario = { ...scenario, id: Date.now(), createdAt: new Date().toISOString() };
+
+		setFinancialData((prev) => ({
+			...prev,
+			scenarios: Array.isArray(prev.scenarios)
+				? [...prev.scenarios, newScenario]
+				: [newScenario],
+		}));
+	}, []);
+
+	// Function to update a scenario's name, description or overrides
+	const updateScenario = useCallback((id, updates) => {
+		setFinancialData((prev) => ({
+			...prev,
+			scenarios: Array.isArray(prev.scenarios)
+				? prev.scenarios.map((scenario) =>
+						scenario.id === id ? { ...scenario, ...updates } : scenario
+				  )
+				: [],
+		}));
+	}, []);
+
+	// Function to remove a scenario
+	const removeScenario = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			scenarios: Array.isArray(prev.scenarios)
+				? prev.scenarios.filter((scenario) => scenario.id !== id)
+				: [],
+		}));
+	}, []);
+
+	// Make a scenario the base plan; the old base is kept as a "Before ..." scenario
+	const promoteScenario = useCallback((id) => {
+		setFinancialData((prev) =>
+			Array.isArray(prev.scenarios) && prev.scenarios.some((scenario) => scenario.id === id)
+				? promoteScenarioToBase(prev, id)
+				: prev
+		);
+	}, []);
+
+	// Function to update the household name or default split
+	const updateHousehold = useCallback((updates) => {
+		setFinancialData((prev) => ({
+			...prev,
+			household: { members: [], ...prev.household, ...updates },
+		}));
+	}, []);
+
+	// Function to add a household member; throws if it's invalid
+	const addHouseholdMember = useCallback((member) => {
+		validateHouseholdMember(member);
+		const newMember = { ...member, id: `member-${Date.now()}` };
+
+		setFinancialData((prev) => {
+			const household = { members: [], ...prev.household };
+			return {
+				...prev,
+				household: { ...household, members: [...household.members, newMember] },
+			};
+		});
+	}, []);
+
+	// Function to update a household member
+	const updateHouseholdMember = useCallback((id, updates) => {
+		setFinancialData((prev) => {
+			const household = { members: [], ...prev.household };
+			return {
+				...prev,
+				household: {
+					...household,
+					members: household.members.map((member) =>
+						member.id === id ? { ...member, ...updates } : member
+					),
+				},
+			};
+		});
+	}, []);
+
+	// Function to remove a household member; their personal items become shared
+	const removeHouseholdMember = useCallback((id) => {
+		setFinancialData((prev) => removeMemberFromData(prev, id));
+	}, []);
+
+	// Function to add a salary event (raise, job change, leave, part-time, job loss or break); throws if it's invalid
+	const addSalaryEvent = useCallback((event) => {
+		validateSalaryEvent(event);
+		const newEvent = { ...event, id: Date.now() };
+
+		setFinancialData((prev) => ({
+			...prev,
+			income: {
+				...prev.income,
+				salaryAdjustments: Array.isArray(prev.income?.salaryAdjustments)
+					? [...prev.income.salaryAdjustments, newEvent]
+					: [newEvent],
+			},
+		}));
+	}, []);
+
+	// Function to update a salary event
+	const updateSalaryEvent = useCallback((id, updates) => {
+		setFinancialData((prev) => ({
+			...prev,
+			income: {
+				...prev.income,
+				salaryAdjustments: Array.isArray(prev.income?.salaryAdjustments)
+					? prev.income.salaryAdjustments.map((event) =>
+							event.id === id ? { ...event, ...updates } : event
+					  )
+					: [],
+			},
+		}));
+	}, []);
+
+	// Function to remove a salary event
+	const removeSalaryEvent = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			income: {
+				...prev.income,
+				salaryAdjustments: Array.isArray(prev.income?.salaryAdjustments)
+					? prev.income.salaryAdjustments.filter((event) => event.id !== id)
+					: [],
+			},
+		}));
+	}, []);
+
+	// Function to update the SRS account; throws if the result is invalid
+	const updateSrsAccount = useCallback((updates) => {
+		validateSrsAccount({ ...DEFAULT_SRS_ACCOUNT, ...financialData.srs, ...updates });
+
+		setFinancialData((prev) => ({
+			...prev,
+			srs: { ...DEFAULT_SRS_ACCOUNT, ...prev.srs, ...updates },
+		}));
+	}, [financialData.srs]);
+
+	// Function to add a dated SRS withdrawal; throws if it's invalid
+	const addSrsWithdrawal = useCallback((withdrawal) => {
+		validateSrsWithdrawal(withdrawal);
+		const newWithdrawal = { ...withdrawal, id: Date.now() };
+
+		setFinancialData((prev) => {
+			const srs = { ...DEFAULT_SRS_ACCOUNT, ...prev.srs };
+			return {
+				...prev,
+				srs: { ...srs, earlyWithdrawals: [...(srs.earlyWithdrawals || []), newWithdrawal] },
+			};
+		});
+	}, []);
+
+	// Function to remove a dated SRS withdrawal
+	const removeSrsWithdrawal = useCallback((id) => {
+		setFinancialData((prev) => {
+			const srs = { ...DEFAULT_SRS_ACCOUNT, ...prev.srs };
+			return {
+				...prev,
+				srs: { ...srs, earlyWithdrawals: (srs.earlyWithdrawals || []).filter((withdrawal) => withdrawal.id !== id) },
+			};
+		});
+	}, []);
+
+	// Function to schedule CPF cash top-ups (one or a whole plan); throws if any is invalid
+	const addCpfTopUps = useCallback((topUps) => {
+		topUps.forEach(validateCpfTopUp);
+		const createdAt = Date.now();
+		const newTopUps = topUps.map((topUp, index) => ({ ...topUp, id: createdAt + index }));
+
+		setFinancialData((prev) => ({
+			...prev,
+			cpfTopUps: Array.isArray(prev.cpfTopUps) ? [...prev.cpfTopUps, ...newTopUps] : newTopUps,
+		}));
+	}, []);
+
+	// Function to remove a scheduled CPF top-up
+	const removeCpfTopUp = useCallback((id) => {
+		setFinancialData((prev) => ({
+			...prev,
+			cpfTopUps: Array.isArray(prev.cpfTopUps) ? prev.cpfTopUps.filter((topUp) => topUp.id !== id) : [],
+		}));
+	}, []);
+
+	// Function to set the CPF OA used so far for a home already owned (null clears it); throws if it's invalid
+	const updateCpfHousing = useCallback((usage) => {
+		if (usage) {
+			validateCpfHousingUsage(usage);
+		}
+
+		setFinancialData((prev) => ({
+			...prev,
+			cpfHousing: usage ? { ...usage } : null,
+		}));
+	}, []);
+
+	// Function to update investment holdings and the target allocation
+	// Liquid savings become the total of the holdings
+	const updatePortfolio = useCallback((updates) => {
+		setFinancialData((prev) => {
+			const portfolio = { holdings: [], targetAllocation: {}, ...prev.portfolio, ...updates };
+
+			return {
+				...prev,
+				portfolio,
+				personalInfo: updates.holdings
+					? {
+							...prev.personalInfo,
+							currentSavings: updates.holdings.reduce((total, holding) => total + holding.balance, 0),
+					  }
+					: prev.personalInfo,
+			};
+		});
+	}, []);
+
 	// Get month name
 	const getMonthName = useCallback((monthNumber) => {
 		const months = [
@@ -617,26 +991,11 @@ export const FinancialProvider = ({ children }) => {
 		return `${months[dateObj.month - 1] || "January"} ${dateObj.year}`;
 	}, []);
 
-	// Reset data to initial state (for troubleshooting)
+	// Reset data to initial state (for troubleshooting); the reset is synced like any other change
 	const resetData = useCallback(() => {
 		localStorage.removeItem("financialData");
 		setFinancialData(initialState);
-
-		if (currentUser) {
-			saveFinancialData(currentUser.uid, initialState)
-				.then(() => {
-					console.log("Data reset successful");
-					setSyncStatus({
-						status: "synced",
-						lastSync: new Date().toISOString(),
-					});
-				})
-				.catch((error) => {
-					console.error("Error resetting data:", error);
-					setSyncStatus({ status: "error", lastSync: null });
-				});
-		}
-	}, [initialState, currentUser]);
+	}, [initialState]);
 
 	// Force sync with Firebase (for manual sync button)
 	const forceSyncWithFirebase = useCallback(async () => {
@@ -645,25 +1004,15 @@ export const FinancialProvider = ({ children }) => {
 			return { success: false, error: "Not authenticated" };
 		}
 
-		try {
-			setSyncStatus(prev => ({ status: "saving", lastSync: prev.lastSync }));
-			await saveFinancialData(currentUser.uid, financialData);
-			setSyncStatus({
-				status: "synced",
-				lastSync: new Date().toISOString(),
-			});
-			return { success: true, error: null };
-		} catch (error) {
-			console.error("Force sync error:", error);
-			setSyncStatus(prev => ({ status: "error", lastSync: prev.lastSync }));
-			return { success: false, error: error.message };
-		}
-	}, [currentUser, financialData]);
+		return runSync();
+	}, [currentUser, runSync]);
 
 	// Memoize the context value to prevent unnecessary re-renders
 	const contextValue = useMemo(() => ({
 		financialData,
+		defaultFinancialData: initialState,
 		updateFinancialData,
+		replaceFinancialData,
 		updateProjectionSettings,
 		totalExpenses,
 		calculateAge,
@@ -679,15 +1028,57 @@ export const FinancialProvider = ({ children }) => {
 		addUpcomingSpending,
 		removeUpcomingSpending,
 		updateUpcomingSpending,
+		importTransactions,
+		removeTransaction,
+		setTransactionCategory,
+		clearTransactions,
+		addCategoryRule,
+		removeCategoryRule,
+		updateCategoryRule,
+		saveMonthlyClose,
+		removeMonthlyClose,
+		setProjectionBaseline,
+		rebaselineFromClose,
+		saveNetWorthSnapshot,
+		removeNetWorthSnapshot,
+		addLoan,
+		updateLoan,
+		removeLoan,
+		updatePortfolio,
+		addGoal,
+		updateGoal,
+		removeGoal,
+		addProjectionGoal,
+		removeProjectionGoal,
+		addScenario,
+		updateScenario,
+		removeScenario,
+		promoteScenario,
+		updateHousehold,
+		addHouseholdMember,
+		updateHouseholdMember,
+		removeHouseholdMember,
+		addSalaryEvent,
+		updateSalaryEvent,
+		removeSalaryEvent,
+		updateSrsAccount,
+		addSrsWithdrawal,
+		removeSrsWithdrawal,
+		addCpfTopUps,
+		removeCpfTopUp,
+		updateCpfHousing,
 		getMonthName,
 		formatDate,
 		resetData,
 		isLoading,
 		syncStatus,
 		forceSyncWithFirebase,
+		resolveSyncConflict,
 	}), [
 		financialData,
+		initialState,
 		updateFinancialData,
+		replaceFinancialData,
 		updateProjectionSettings,
 		totalExpenses,
 		calculateAge,
@@ -703,12 +1094,52 @@ export const FinancialProvider = ({ children }) => {
 		addUpcomingSpending,
 		removeUpcomingSpending,
 		updateUpcomingSpending,
+		importTransactions,
+		removeTransaction,
+		setTransactionCategory,
+		clearTransactions,
+		addCategoryRule,
+		removeCategoryRule,
+		updateCategoryRule,
+		saveMonthlyClose,
+		removeMonthlyClose,
+		setProjectionBaseline,
+		rebaselineFromClose,
+		saveNetWorthSnapshot,
+		removeNetWorthSnapshot,
+		addLoan,
+		updateLoan,
+		removeLoan,
+		updatePortfolio,
+		addGoal,
+		updateGoal,
+		removeGoal,
+		addProjectionGoal,
+		removeProjectionGoal,
+		addScenario,
+		updateScenario,
+		removeScenario,
+		promoteScenario,
+		updateHousehold,
+		addHouseholdMember,
+		updateHouseholdMember,
+		removeHouseholdMember,
+		addSalaryEvent,
+		updateSalaryEvent,
+		removeSalaryEvent,
+		updateSrsAccount,
+		addSrsWithdrawal,
+		removeSrsWithdrawal,
+		addCpfTopUps,
+		removeCpfTopUp,
+		updateCpfHousing,
 		getMonthName,
 		formatDate,
 		resetData,
 		isLoading,
 		syncStatus,
 		forceSyncWithFirebase,
+		resolveSyncConflict,
 	]);
 
 	// Provide the context value
@@ -9,7 +9,7 @@ import {
 	setPersistence,
 	browserLocalPersistence,
 } from "firebase/auth";
-import { getFirestore, doc, setDoc, getDoc } from "firebase/firestore";
+import { getFirestore, doc, getDoc, runTransaction } from "firebase/firestore";
 
 // Replace this with your own Firebase config
 // You'll get this from the Firebase console when you create a project
@@ -23,23 +23,37 @@ const firebaseConfig = {
 	measurementId: "G-P9F5FEFD4X",
 };
 
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-// const analytics = getAnalytics(app);
-const db = getFirestore(app);
+// Firebase is initialised on first use, so storage backends that don't use it
+// (see services/sync/storageAdapters.js) run without a Firebase project.
+// app, auth and db are exported as live bindings: they are set by the first getFirebase() call
+let services = null;
+let app = null;
+let auth = null;
+let db = null;
 
-// Set persistence to LOCAL to maintain the user session across page refreshes
-// This helps ensure the user stays logged in
-setPersistence(auth, browserLocalPersistence).catch((error) => {
-	console.error("Error setting auth persistence:", error);
-});
+export const getFirebase = () => {
+	if (!services) {
+		app = initializeApp(firebaseConfig);
+		auth = getAuth(app);
+		// const analytics = getAnalytics(app);
+		db = getFirestore(app);
+
+		// Set persistence to LOCAL to maintain the user session across page refreshes
+		// This helps ensure the user stays logged in
+		setPersistence(auth, browserLocalPersistence).catch((error) => {
+			console.error("Error setting auth persistence:", error);
+		});
+
+		services = { app, auth, db };
+	}
+	return services;
+};
 
 // Authentication functions with improved error handling
 export const loginWithEmail = async (email, password) => {
 	try {
 		const userCredential = await signInWithEmailAndPassword(
-			auth,
+			getFirebase().auth,
 			email,
 			password
 		);
@@ -53,7 +67,7 @@ export const loginWithEmail = async (email, password) => {
 
 export const logoutUser = async () => {
 	try {
-		await signOut(auth);
+		await signOut(getFirebase().auth);
 		console.log("Logout successful");
 		return { success: true, error: null };
 	} catch (error) {
@@ -62,42 +76,46 @@ export const logoutUser = async () => {
 	}
 };
 
-// Data persistence functions with improved error handling and logging
-export const saveFinancialData = async (userId, data) => {
-	try {
-		console.log(`Saving data for user ${userId}`);
-		await setDoc(doc(db, "userData", userId), { financialData: data });
-		console.log("Data saved successfully to Firebase");
-		return { success: true, error: null };
-	} catch (error) {
-		console.error("Error saving data to Firebase:", error);
-		return { success: false, error: error.message };
-	}
-};
+// Remote for the sync engine: the user's document with a version for conditional writes
+// Documents saved before versioning ({ financialData } only) load as version 0
+export const createFirestoreRemote = (userId) => {
+	const { db } = getFirebase();
+	const docRef = doc(db, "userData", userId);
 
-export const loadFinancialData = async (userId) => {
-	try {
-		console.log(`Loading data for user ${userId}`);
-		const docRef = doc(db, "userData", userId);
-		const docSnap = await getDoc(docRef);
+	const toSyncDocument = (stored) => ({
+		data: stored.financialData || {},
+		version: stored.version || 0,
+		updatedAt: stored.updatedAt || null,
+		fieldUpdatedAt: stored.fieldUpdatedAt || {},
+	});
 
-		if (docSnap.exists()) {
-			console.log("Data loaded successfully from Firebase");
-			return { data: docSnap.data().financialData, error: null };
-		} else {
-			console.log("No data found in Firebase");
-			return { data: null, error: "No data found" };
-		}
-	} catch (error) {
-		console.error("Error loading data from Firebase:", error);
-		return { data: null, error: error.message };
-	}
+	return {
+		load: async () => {
+			const docSnap = await getDoc(docRef);
+			return docSnap.exists() ? toSyncDocument(docSnap.data()) : null;
+		},
+		save: (document, expectedVersion) =>
+			runTransaction(db, async (transaction) => {
+				const docSnap = await transaction.get(docRef);
+				const currentVersion = docSnap.exists() ? docSnap.data().version || 0 : 0;
+				if (currentVersion !== expectedVersion) {
+					return { ok: false };
+				}
+
+				transaction.set(docRef, {
+					financialData: document.data,
+					version: document.version,
+					updatedAt: document.updatedAt,
+					fieldUpdatedAt: document.fieldUpdatedAt,
+				});
+				return { ok: true };
+			}),
+	};
 };
 
 // Export auth status listener for external use
 export const onAuthStateChange = (callback) => {
-	return onAuthStateChanged(auth, callback);
+	return onAuthStateChanged(getFirebase().auth, callback);
 };
 
-export { auth, db };
-export default app;
+export { auth, db, app as default };
@@ -140,4 +140,558 @@ describe('useProjection Hook', () => {
     // Projection should be regenerated
     expect(result.current.projectionData[0].monthlyIncome).toBe(8000); // Should use new salary
   });
+  it('should produce reproducible Monte Carlo bands for a fixed seed', () => {
+    const monteCarloSettings = {
+      ...sampleSettings,
+      projectionYears: 2,
+      monteCarlo: { enabled: true, iterations: 50, seed: 7, goalAmount: 60000 }
+    };
+
+    const first = renderHook(() => useProjection(sampleInitialData, monteCarloSettings));
+    const second = renderHook(() => useProjection(sampleInitialData, monteCarloSettings));
+
+    const { monteCarloResult } = first.result.current;
+    expect(monteCarloResult).not.toBeNull();
+    expect(monteCarloResult.iterations).toBe(50);
+    expect(monteCarloResult.bands).toHaveLength(first.result.current.projectionData.length);
+    expect(monteCarloResult.bands).toEqual(second.result.current.monteCarloResult.bands);
+
+    const lastBand = monteCarloResult.bands[monteCarloResult.bands.length - 1];
+    expect(lastBand.totalNetWorth.p10).toBeLessThanOrEqual(lastBand.totalNetWorth.p50);
+    expect(lastBand.totalNetWorth.p50).toBeLessThanOrEqual(lastBand.totalNetWorth.p90);
+    expect(monteCarloResult.goalProbability).toBeGreaterThanOrEqual(0);
+    expect(monteCarloResult.goalProbability).toBeLessThanOrEqual(100);
+  });
+  it('should project the full horizon and evaluate every goal', () => {
+    const goalSettings = {
+      ...sampleSettings,
+      projectionStartMonth: 1,
+      projectionStartYear: 2023,
+      goals: [
+        { id: 'cash', name: 'Emergency Fund', targetAmount: 60000, balanceType: 'cash', priority: 1 },
+        { id: 'nw', name: 'Net Worth', targetAmount: 10000000, balanceType: 'netWorth', priority: 2, deadline: { month: 12, year: 2024 } }
+      ]
+    };
+    const highSavingsData = { ...sampleInitialData, liquidCash: 90000 };
+
+    const { result } = renderHook(() => useProjection(highSavingsData, goalSettings));
+    const { projectionData, goalResults } = result.current;
+
+    // Goals reached early no longer cut the projection short
+    expect(projectionData).toHaveLength(goalSettings.projectionYears * 12);
+    expect(projectionData[0].cpfOaBalance).toBeGreaterThan(0);
+
+    expect(goalResults).toHaveLength(2);
+    expect(goalResults[0].id).toBe('cash');
+    expect(goalResults[0].complete).toBe(true);
+    expect(goalResults[1].onTrack).toBe(false);
+    expect(goalResults[1].shortfallAtDeadline).toBeGreaterThan(0);
+    expect(goalResults[1].monthlyShortfall).toBeGreaterThan(0);
+  });
+  it('should project CPF per account and open the RA at 55', () => {
+    const data = {
+      ...sampleInitialData,
+      currentAge: 54,
+      cpfAccounts: { OA: 60000, SA: 50000, MA: 40000, RA: 0 }
+    };
+    const cpfSettings = { ...sampleSettings, projectionYears: 2, projectionStartMonth: 1, projectionStartYear: 2023 };
+
+    const { result } = renderHook(() => useProjection(data, cpfSettings));
+    const { projectionData } = result.current;
+
+    projectionData.forEach((row) => {
+      expect(row.cpfOaBalance + row.cpfSaBalance + row.cpfMaBalance + row.cpfRaBalance)
+        .toBeCloseTo(row.cpfBalance, 2);
+    });
+
+    // Age 54 for the first year, 55 from month 13
+    expect(projectionData[11].cpfRaBalance).toBe(0);
+    expect(projectionData[11].cpfSaBalance).toBeGreaterThan(50000);
+    expect(projectionData[12].retirementAccountCreated).toBe(true);
+    expect(projectionData[12].cpfSaBalance).toBe(0);
+    expect(projectionData[12].cpfRaBalance).toBeGreaterThan(50000);
+  });
+  it('should deduct each year\'s income tax in the following Year of Assessment', () => {
+    const taxSettings = {
+      ...sampleSettings,
+      projectionYears: 3,
+      projectionStartMonth: 1,
+      projectionStartYear: 2023,
+      tax: { paymentMode: 'lump_sum', paymentMonth: 5 }
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, taxSettings));
+    const { projectionData, taxAssessments } = result.current;
+
+    const assessment2023 = taxAssessments.find(assessment => assessment.incomeYear === 2023);
+    expect(assessment2023.yearOfAssessment).toBe(2024);
+    expect(assessment2023.finalTax).toBeGreaterThan(0);
+
+    // Paid in May 2024 only
+    const may2024 = projectionData.find(row => row.year === 2024 && row.monthIndex === 5);
+    const june2024 = projectionData.find(row => row.year === 2024 && row.monthIndex === 6);
+    expect(may2024.incomeTax).toBeCloseTo(assessment2023.finalTax, 2);
+    expect(june2024.incomeTax).toBe(0);
+    expect(may2024.totalOutflow).toBeCloseTo(may2024.monthlyExpenses + may2024.cpfContribution + may2024.incomeTax, 2);
+  });
+  it('should spread income tax over 12 GIRO instalments', () => {
+    const baseSettings = { ...sampleSettings, projectionYears: 3, projectionStartMonth: 1, projectionStartYear: 2023 };
+
+    const lumpSumSettings = { ...baseSettings, tax: { paymentMode: 'lump_sum' } };
+    const giroSettings = { ...baseSettings, tax: { paymentMode: 'giro' } };
+    const noTaxSettings = { ...baseSettings, tax: { enabled: false } };
+
+    const { result: lumpSum } = renderHook(() => useProjection(sampleInitialData, lumpSumSettings));
+    const { result: giro } = renderHook(() => useProjection(sampleInitialData, giroSettings));
+    const { result: noTax } = renderHook(() => useProjection(sampleInitialData, noTaxSettings));
+
+    const giroRows = giro.current.projectionData.filter(row =>
+      (row.year === 2024 && row.monthIndex >= 5) || (row.year === 2025 && row.monthIndex <= 4)
+    );
+    const giroTotal = giroRows.reduce((sum, row) => sum + row.incomeTax, 0);
+    const lumpSumTax = lumpSum.current.taxAssessments.find(assessment => assessment.incomeYear === 2023).finalTax;
+
+    expect(giroRows.every(row => row.incomeTax > 0)).toBe(true);
+    expect(giroTotal).toBeCloseTo(lumpSumTax, 0);
+    expect(noTax.current.projectionData.every(row => row.incomeTax === 0)).toBe(true);
+    expect(noTax.current.projectionData[35].cashSavings)
+      .toBeGreaterThan(lumpSum.current.projectionData[35].cashSavings);
+  });
+  it('should apply Additional Wage CPF to bonuses within the yearly AW ceiling', () => {
+    // $6,000 OW all year leaves a $30,000 AW ceiling, shared by the February and December bonuses
+    const awSettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      projectionYears: 1,
+      projectionStartMonth: 1,
+      projectionStartYear: 2023,
+      bonusMonths: 2,
+      bonusAmount: 20000,
+      tax: { enabled: false }
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, awSettings));
+    const { projectionData } = result.current;
+    const february = projectionData[1];
+    const december = projectionData[11];
+
+    expect(february.additionalWageCeiling).toBe(30000);
+    expect(february.additionalWageSubjectToCpf).toBe(20000);
+    expect(february.bonusCpfContribution).toBe(4000);
+    expect(february.bonusEmployerCpfContribution).toBe(3400);
+    expect(december.additionalWageSubjectToCpf).toBe(10000);
+    expect(december.bonusCpfContribution).toBe(2000);
+
+    // Employee bonus CPF comes out of cash; both parts go into CPF
+    expect(february.monthlySavings).toBeCloseTo(
+      february.takeHomePay - february.monthlyExpenses + 20000 - 4000, 2
+    );
+    expect(february.totalCpfContribution).toBeCloseTo(1200 + 1020 + 4000 + 3400, 2);
+    expect(projectionData[2].bonusCpfContribution).toBe(0);
+  });
+
+  it('should pay loan instalments from cash or CPF OA and deduct balances from net worth', () => {
+    const loanSettings = {
+      ...sampleSettings,
+      projectionYears: 1,
+      projectionStartMonth: 1,
+      projectionStartYear: 2023,
+      tax: { enabled: false },
+      loans: [
+        {
+          id: 1,
+          type: 'car',
+          principal: 84000,
+          annualRate: 0,
+          termMonths: 84,
+          startYear: 2022,
+          startMonth: 12,
+          interestMethod: 'flat'
+        },
+        {
+          id: 2,
+          type: 'hdb_mortgage',
+          principal: 120000,
+          annualRate: 0,
+          termMonths: 120,
+          startYear: 2022,
+          startMonth: 12,
+          paymentSource: 'cpf_oa'
+        }
+      ]
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, loanSettings));
+    const [january] = result.current.projectionData;
+
+    expect(january.loanPayment).toBe(2000);
+    expect(january.loanPaidFromCpf).toBe(1000);
+    expect(january.loanPaidFromCash).toBe(1000);
+    expect(january.loanBalance).toBe(83000 + 119000);
+    expect(january.monthlySavings).toBeCloseTo(january.takeHomePay - january.monthlyExpenses - 1000, 2);
+    expect(january.totalNetWorth).toBeCloseTo(january.cashSavings + january.cpfBalance - 202000, 2);
+  });
+
+  it('should grow each holding at its own return and split savings between them', () => {
+    const holdingsSettings = {
+      ...sampleSettings,
+      projectionYears: 1,
+      projectionStartMonth: 3,
+      projectionStartYear: 2023,
+      tax: { enabled: false },
+      holdings: [
+        { assetClass: 'CASH', balance: 10000, contributionPercentage: 50, annualReturn: 0 },
+        { assetClass: 'GLOBAL_EQUITIES', balance: 40000, contributionPercentage: 50, annualReturn: 12 }
+      ]
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, holdingsSettings));
+    const [march] = result.current.projectionData;
+    const equityGrowth = 40000 * (Math.pow(1.12, 1 / 12) - 1);
+
+    expect(march.investmentReturn).toBeCloseTo(equityGrowth, 2);
+    expect(march.holdingBalances.CASH).toBeCloseTo(10000 + march.monthlySavings / 2, 2);
+    expect(march.holdingBalances.GLOBAL_EQUITIES).toBeCloseTo(40000 + equityGrowth + march.monthlySavings / 2, 2);
+    expect(march.cashSavings).toBeCloseTo(march.holdingBalances.CASH + march.holdingBalances.GLOBAL_EQUITIES, 2);
+  });
+
+  it('should pay property purchase outlays in the purchase month and add the property to net worth', () => {
+    const purchaseSettings = {
+      ...sampleSettings,
+      projectionYears: 1,
+      projectionStartMonth: 1,
+      projectionStartYear: 2023,
+      tax: { enabled: false },
+      propertyPurchases: [
+        { year: 2023, month: 3, price: 500000, cashOutlay: 20000, cpfOaOutlay: 30000, annualAppreciation: 12 },
+        { year: 2023, month: 6, price: 100000, cashOutlay: 0, cpfOaOutlay: 10000000, annualAppreciation: 0 }
+      ]
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, purchaseSettings));
+    const { projectionData } = result.current;
+    const [february, march, april, may, june] = projectionData.slice(1, 6);
+
+    expect(february.propertyValue).toBe(0);
+    expect(march.propertyPaidFromCash).toBe(20000);
+    expect(march.propertyPaidFromCpf).toBe(30000);
+    expect(march.monthlySavings).toBeCloseTo(march.takeHomePay - march.monthlyExpenses - 20000, 2);
+    expect(march.propertyValue).toBe(500000);
+    expect(april.propertyValue).toBeCloseTo(500000 * Math.pow(1.12, 1 / 12), 2);
+    expect(march.totalNetWorth).toBeCloseTo(march.cashSavings + march.cpfBalance + 500000, 2);
+
+    // OA outlay beyond the OA balance comes out of cash
+    const oaBeforeWithdrawal = june.cpfOaBalance + june.propertyPaidFromCpf;
+    expect(june.cpfOaBalance).toBe(0);
+    expect(june.propertyPaidFromCash).toBeCloseTo(10000000 - oaBeforeWithdrawal, 2);
+    expect(june.propertyValue).toBeCloseTo(may.propertyValue * Math.pow(1.12, 1 / 12) + 100000, 2);
+  });
+
+  it('should move savings goal contributions out of cash and the OA until each target is reached', () => {
+    const goalSettings = {
+      ...sampleSettings,
+      projectionYears: 1,
+      projectionStartMonth: 3,
+      projectionStartYear: 2023,
+      tax: { enabled: false },
+      goals: [{ id: 'cash', name: 'Emergency Fund', targetAmount: 48000, balanceType: 'cash', priority: 1 }],
+      savingsGoals: [
+        { id: 1, name: 'Holiday', targetAmount: 8000, currentAmount: 5000, fundingSource: 'cash', monthlyContribution: 1000, annualReturn: 0 },
+        { id: 2, name: 'Renovation', targetAmount: 100000, currentAmount: 0, fundingSource: 'cpf_oa', monthlyContribution: 500, annualReturn: 0 }
+      ]
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, goalSettings));
+    const [march, april, may, june] = result.current.projectionData;
+
+    // Money already earmarked for the cash goal is held outside cash savings
+    expect(march.investmentReturn).toBeCloseTo(45000 * (Math.pow(1.04, 1 / 12) - 1), 2);
+    expect(march.goalContributionsFromCash).toBe(1000);
+    expect(march.monthlySavings).toBeCloseTo(march.takeHomePay - march.monthlyExpenses - 1000, 2);
+    expect(march.goalBalances[1]).toBe(6000);
+    expect(april.goalBalances[1]).toBe(7000);
+    expect(may.goalBalances[1]).toBe(8000);
+    expect(june.goalContributionsFromCash).toBe(0);
+
+    expect(march.goalContributionsFromCpf).toBe(500);
+    expect(june.goalBalances[2]).toBe(2000);
+    expect(june.totalNetWorth).toBeCloseTo(june.cashSavings + june.cpfBalance + june.goalSavings, 2);
+
+    // A cash goal starts from cash savings on the same basis as the rows, not counting the earmarked $5,000
+    const [cashGoal] = result.current.goalResults;
+    expect(cashGoal.currentBalance).toBe(45000);
+    expect(cashGoal.complete).toBe(false);
+  });
+
+  it('should apply salary timeline events month by month', () => {
+    const timelineSettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      annualExpenseIncrease: 0,
+      projectionYears: 1,
+      projectionStartMonth: 3,
+      projectionStartYear: 2023,
+      bonusMonths: 0,
+      tax: { enabled: false },
+      salaryAdjustments: [
+        { id: 1, month: 4, year: 2023, newSalary: 7000 },
+        { id: 2, type: 'part_time', month: 5, year: 2023, percentage: 60, months: 1 },
+        { id: 3, type: 'career_break', month: 6, year: 2023, months: 2, monthlyExpenses: 1500 },
+        { id: 4, type: 'job_loss', month: 9, year: 2023, months: 1, severance: 10000, newSalary: 6500 }
+      ]
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, timelineSettings));
+    const [march, april, may, june, july, august, september, october] = result.current.projectionData;
+
+    expect(march.monthlySalary).toBe(6000);
+    expect(april.monthlySalary).toBe(7000);
+    expect(may.monthlySalary).toBe(4200);
+    expect(may.fullMonthlySalary).toBe(7000);
+    expect(may.salaryPayFactor).toBe(0.6);
+
+    // A career break pays nothing and can replace the usual expenses
+    expect(june.monthlySalary).toBe(0);
+    expect(june.cpfContribution).toBe(0);
+    expect(june.monthlyExpenses).toBe(1500);
+    expect(july.monthlySalary).toBe(0);
+    expect(august.monthlySalary).toBe(7000);
+    expect(august.monthlyExpenses).toBe(2000);
+
+    // Severance is added to savings in the month the job is lost, then the new job pays
+    expect(september.severancePayment).toBe(10000);
+    expect(september.monthlySavings).toBeCloseTo(10000 - 2000, 2);
+    expect(september.salaryEvents.map(event => event.id)).toEqual([4]);
+    expect(october.monthlySalary).toBe(6500);
+  });
+
+  it('should regenerate projection when the salary timeline changes', () => {
+    const timelineSettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      projectionYears: 1,
+      projectionStartMonth: 3,
+      projectionStartYear: 2023,
+      salaryAdjustments: [{ id: 1, month: 4, year: 2023, newSalary: 7000 }]
+    };
+    const { result, rerender } = renderHook(
+      ({ settings }) => useProjection(sampleInitialData, settings),
+      { initialProps: { settings: timelineSettings } }
+    );
+
+    expect(result.current.projectionData[1].monthlySalary).toBe(7000);
+
+    rerender({ settings: { ...timelineSettings, salaryAdjustments: [{ id: 1, month: 4, year: 2023, newSalary: 9000 }] } });
+
+    expect(result.current.projectionData[1].monthlySalary).toBe(9000);
+  });
+
+  it('should apply the CPF policy in force each month, escalated after the last scheduled year', () => {
+    const policySettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      projectionYears: 2,
+      projectionStartMonth: 12,
+      projectionStartYear: 2025,
+      bonusMonths: 0,
+      tax: { enabled: false }
+    };
+    const highEarner = { ...sampleInitialData, salary: 9000 };
+
+    const { result } = renderHook(() => useProjection(highEarner, policySettings));
+    const rows = result.current.projectionData;
+
+    // OW ceiling: $7,400 in 2025, $8,000 from 2026, then up 3.5% a year by default
+    expect(rows[0].cpfContribution).toBeCloseTo(7400 * 0.2, 2);
+    expect(rows[1].cpfContribution).toBeCloseTo(8000 * 0.2, 2);
+    expect(rows[13].cpfContribution).toBeCloseTo(8280 * 0.2, 2);
+
+    const flatSettings = { ...policySettings, cpfPolicyEscalation: 0 };
+    const { result: flat } = renderHook(() => useProjection(highEarner, flatSettings));
+    expect(flat.current.projectionData[13].cpfContribution).toBeCloseTo(8000 * 0.2, 2);
+  });
+
+  it('should project SRS contributions, withdrawals and their tax', () => {
+    const srsSettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      annualExpenseIncrease: 0,
+      projectionYears: 3,
+      projectionStartMonth: 1,
+      projectionStartYear: 2025,
+      bonusMonths: 0,
+      srs: {
+        balance: 100000,
+        annualContribution: 15300,
+        contributionMonth: 12,
+        annualReturn: 0,
+        openedYear: 2020,
+        earlyWithdrawals: [{ id: 1, year: 2025, month: 3, amount: 10000 }]
+      }
+    };
+    const srsData = { ...sampleInitialData, currentAge: 61 };
+
+    const { result } = renderHook(() => useProjection(srsData, srsSettings));
+    const rows = result.current.projectionData;
+
+    // Before the statutory retirement age (62 when opened in 2020) a withdrawal is fully taxed and pays 5%
+    expect(rows[2]).toMatchObject({ srsWithdrawal: 10000, srsTaxableWithdrawal: 10000, srsPenalty: 500, srsBalance: 90000 });
+    expect(rows[2].monthlySavings - rows[1].monthlySavings).toBeCloseTo(9500, 2);
+
+    // The December contribution comes out of cash
+    expect(rows[11]).toMatchObject({ srsContribution: 15300, srsBalance: 105300 });
+    expect(rows[10].monthlySavings - rows[11].monthlySavings).toBeCloseTo(15300, 2);
+
+    // From 62, a tenth of the balance is withdrawn, half taxable, and contributions stop
+    expect(rows[12]).toMatchObject({ srsWithdrawal: 10530, srsTaxableWithdrawal: 5265, srsPenalty: 0 });
+    expect(rows[23].srsContribution).toBe(0);
+    expect(rows[24].srsWithdrawal).toBeCloseTo(10530, 2);
+    expect(rows[12].totalNetWorth).toBeCloseTo(rows[12].cashSavings + rows[12].cpfBalance + rows[12].srsBalance, 2);
+
+    // Contributions are relieved in the following Year of Assessment; withdrawals add to assessable income
+    const ya2026 = result.current.taxAssessments.find(assessment => assessment.yearOfAssessment === 2026);
+    const ya2027 = result.current.taxAssessments.find(assessment => assessment.yearOfAssessment === 2027);
+    expect(ya2026.reliefBreakdown.supplementary_retirement).toBe(15300);
+    expect(ya2026.assessableIncome).toBe(82000);
+    expect(ya2027.assessableIncome).toBe(77265);
+    expect(ya2027.reliefBreakdown.supplementary_retirement).toBeUndefined();
+  });
+
+  it('should move scheduled CPF top-ups out of cash and claim their relief', () => {
+    const baseSettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      annualExpenseIncrease: 0,
+      projectionYears: 2,
+      projectionStartMonth: 1,
+      projectionStartYear: 2025,
+      bonusMonths: 0
+    };
+    const topUpSettings = {
+      ...baseSettings,
+      cpfTopUps: [
+        { id: 1, account: 'SA', amount: 10000, month: 3, year: 2025 },
+        { id: 2, account: 'SA', recipient: 'family', amount: 3000, month: 3, year: 2025 },
+        { id: 3, account: 'MA', amount: 50000, month: 6, year: 2025 }
+      ]
+    };
+    const topUpData = { ...sampleInitialData, currentAge: 40, cpfAccounts: { OA: 50000, SA: 100000, MA: 60000, RA: 0 } };
+
+    const { result: base } = renderHook(() => useProjection(topUpData, baseSettings));
+    const { result } = renderHook(() => useProjection(topUpData, topUpSettings));
+    const rows = result.current.projectionData;
+    const baseRows = base.current.projectionData;
+
+    // Own top-ups go into the SA; family top-ups only leave cash
+    expect(rows[2]).toMatchObject({ cpfTopUp: 13000, cpfTopUpFamily: 3000 });
+    expect(rows[2].cpfSaBalance - baseRows[2].cpfSaBalance).toBeCloseTo(10000, 2);
+    expect(baseRows[2].monthlySavings - rows[2].monthlySavings).toBeCloseTo(13000, 2);
+
+    // MediSave top-ups stop at the Basic Healthcare Sum
+    expect(rows[5].cpfTopUp).toBeGreaterThan(0);
+    expect(rows[5].cpfTopUp).toBeLessThan(50000);
+    expect(rows[5].cpfMaBalance).toBeCloseTo(75500, 2);
+
+    // Relief in the following YA: own top-ups capped at $8,000, family ones in full
+    const ya2026 = result.current.taxAssessments.find(assessment => assessment.yearOfAssessment === 2026);
+    expect(ya2026.reliefBreakdown.cpf_cash_topup).toBe(8000);
+    expect(ya2026.reliefBreakdown.cpf_cash_topup_family).toBe(3000);
+    expect(ya2026.reliefBreakdown.medisave_voluntary).toBeCloseTo(rows[5].cpfTopUp, 2);
+  });
+
+  it('should keep a ledger of OA used for housing with its accrued interest', () => {
+    const housingSettings = {
+      ...sampleSettings,
+      projectionYears: 2,
+      projectionStartMonth: 1,
+      projectionStartYear: 2025,
+      tax: { enabled: false },
+      propertyPurchases: [{ year: 2025, month: 3, price: 500000, cashOutlay: 25000, cpfOaOutlay: 100000, annualAppreciation: 0 }],
+      loans: [
+        { id: 1, type: 'hdb_mortgage', principal: 120000, annualRate: 0, termMonths: 120, startYear: 2025, startMonth: 3, paymentSource: 'cpf_oa' }
+      ]
+    };
+    const housingData = { ...sampleInitialData, cpfAccounts: { OA: 150000, SA: 20000, MA: 20000, RA: 0 } };
+
+    const { result } = renderHook(() => useProjection(housingData, housingSettings));
+    const rows = result.current.projectionData;
+
+    expect(rows[1].cpfHousingUsage).toEqual([]);
+    expect(rows[2].cpfHousingWithdrawn).toBe(100000);
+    expect(rows[2].cpfHousingUsage[0]).toMatchObject({ name: 'Property bought Mar 2025', valuationLimit: 500000, status: 'within' });
+
+    // April: interest on March's down payment, then the first instalment from the OA
+    expect(rows[3].loanPaidFromCpf).toBe(1000);
+    expect(rows[3].cpfHousingWithdrawn).toBe(101000);
+    expect(rows[3].cpfHousingAccruedInterest).toBeCloseTo(100000 * 0.025 / 12, 2);
+    expect(rows[12].cpfHousingRefundDue).toBeCloseTo(rows[12].cpfHousingWithdrawn + rows[12].cpfHousingAccruedInterest, 2);
+  });
+
+  it('should pay instalments in cash once a home reaches its Withdrawal Limit', () => {
+    const limitSettings = {
+      ...sampleSettings,
+      projectionYears: 1,
+      projectionStartMonth: 1,
+      projectionStartYear: 2025,
+      tax: { enabled: false },
+      cpfHousing: { principalWithdrawn: 599500, accruedInterest: 50000, valuationLimit: 500000 },
+      loans: [
+        { id: 1, type: 'hdb_mortgage', principal: 120000, annualRate: 0, termMonths: 120, startYear: 2024, startMonth: 12, paymentSource: 'cpf_oa' }
+      ]
+    };
+
+    const { result } = renderHook(() => useProjection(sampleInitialData, limitSettings));
+    const [january, february] = result.current.projectionData;
+
+    expect(january.loanPaidFromCpf).toBe(500);
+    expect(january.loanPaidFromCash).toBe(500);
+    expect(january.cpfHousingUsage[0]).toMatchObject({ name: 'Current home', status: 'withdrawal_limit_reached' });
+    expect(february.loanPaidFromCpf).toBe(0);
+    expect(february.loanPaidFromCash).toBe(1000);
+  });
+
+  it('should not take goal, SRS or top-up payments out of cash again in a current month already paid', () => {
+    // 28 March: this month's salary (paid on the 25th) and payments are already in the entered balances
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date(2025, 2, 28));
+
+    const baseSettings = {
+      ...sampleSettings,
+      annualSalaryIncrease: 0,
+      annualExpenseIncrease: 0,
+      projectionYears: 1,
+      projectionStartMonth: 3,
+      projectionStartYear: 2025,
+      bonusMonths: 0
+    };
+    const paidSettings = {
+      ...baseSettings,
+      savingsGoals: [
+        { id: 1, name: 'Holiday', targetAmount: 8000, currentAmount: 0, fundingSource: 'cash', monthlyContribution: 1000, annualReturn: 0 }
+      ],
+      srs: { balance: 20000, annualContribution: 15300, contributionMonth: 3, annualReturn: 0, openedYear: 2020 },
+      cpfTopUps: [{ id: 1, account: 'SA', amount: 10000, month: 3, year: 2025 }]
+    };
+    const paidData = { ...sampleInitialData, currentAge: 40, salaryDay: 25, cpfAccounts: { OA: 50000, SA: 100000, MA: 60000, RA: 0 } };
+
+    const { result: base } = renderHook(() => useProjection(paidData, baseSettings));
+    const { result } = renderHook(() => useProjection(paidData, paidSettings));
+    jest.useRealTimers();
+    const [march, april] = result.current.projectionData;
+    const [baseMarch] = base.current.projectionData;
+
+    expect(march.cashSavings).toBeCloseTo(baseMarch.cashSavings, 2);
+    expect(march.goalContributionsFromCash).toBe(0);
+    expect(march.goalBalances[1]).toBe(0);
+    expect(march).toMatchObject({ srsContribution: 15300, srsBalance: 20000, cpfTopUp: 10000 });
+    expect(march.cpfSaBalance).toBeCloseTo(baseMarch.cpfSaBalance, 2);
+
+    // Later months pay as usual
+    expect(april.goalContributionsFromCash).toBe(1000);
+
+    // Payments already made this year still earn relief in the following Year of Assessment
+    const ya2026 = result.current.taxAssessments.find(assessment => assessment.yearOfAssessment === 2026);
+    expect(ya2026.reliefBreakdown.supplementary_retirement).toBe(15300);
+    expect(ya2026.reliefBreakdown.cpf_cash_topup).toBe(8000);
+  });
 });
\ No newline at end of file
@@ -2,6 +2,8 @@ import { useCallback, useEffect, useMemo, useState } from 'react';
 import { 
   calculateCpfContributions, 
   estimateYearlyCpfContributions,
+  getOrdinaryWageSubjectToCpf,
+  getCpfPolicy,
   EMPLOYEE_TYPE 
 } from '../services/calculations/cpf';
 
@@ -36,37 +38,46 @@ const useCpfCalculator = (initialData = {}) => {
   // Memoized CPF calculations to prevent unnecessary recalculations
   const cpfResults = useMemo(() => {
     const { salary, age, employeeType, bonusMonths, annualBonusAmount } = cpfInputs;
+
+    // CPF rules in force this month
+    const today = new Date();
+    const policy = getCpfPolicy(today.getFullYear(), today.getMonth() + 1);
     
     // Calculate monthly CPF contributions
     const monthlyCpf = calculateCpfContributions(
       salary,
       employeeType,
-      age
+      age,
+      0,
+      0,
+      policy
     );
     
     // Calculate bonus CPF if applicable
     let bonusCpf = { employeeContribution: 0, employerContribution: 0, totalContribution: 0 };
     
     if (annualBonusAmount > 0) {
-      const yearToDateOW = Math.min(salary, 6000) * 12;
+      const yearToDateOW = getOrdinaryWageSubjectToCpf(salary, policy) * 12;
       bonusCpf = calculateCpfContributions(
         0,
         employeeType,
         age,
         annualBonusAmount,
-        yearToDateOW
+        yearToDateOW,
+        policy
       );
     } else if (bonusMonths > 0) {
       // Use bonus months if specific bonus amount not provided
       const bonusAmount = salary * bonusMonths;
-      const yearToDateOW = Math.min(salary, 6000) * 12;
+      const yearToDateOW = getOrdinaryWageSubjectToCpf(salary, policy) * 12;
       
       bonusCpf = calculateCpfContributions(
         0, 
         employeeType, 
         age, 
         bonusAmount, 
-        yearToDateOW
+        yearToDateOW,
+        policy
       );
     }
     
@@ -75,7 +86,8 @@ const useCpfCalculator = (initialData = {}) => {
       salary,
       employeeType,
       age,
-      bonusMonths
+      bonusMonths,
+      policy
     );
     
     return {
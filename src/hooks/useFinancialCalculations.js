@@ -5,17 +5,25 @@ import useMilestones from "./useMilestones";
 import useErrorHandler from "./useErrorHandler";
 import { safeGet, safeParseNumber, safeDivide, validateFinancialData } from "../utils/errors/ErrorUtils";
 import { getCpfRates, calculateCpfContributions, EMPLOYEE_TYPE } from "../services/calculations/cpf/cpf-utilities";
+import { getCpfPolicy, DEFAULT_CPF_POLICY_ESCALATION_RATE } from "../services/calculations/cpf/cpf-policy";
+import { buildLoanSchedules, summarizeLoansForMonth } from "../services/calculations/loans";
+import { evaluateSavingsGoals } from "../services/calculations/savingsGoals";
+import { getBaseSalaryForMonth } from "../services/calculations/salaryTimeline";
 
 /**
  * Enhanced useFinancialCalculations hook with dynamic current month detection
  * and manual current savings updates for better projections
  * 
+ * @param {Object} [scenarioData] - Financial data to project instead of the saved data, e.g. a
+ * named scenario (memoize it; a new object on every render reruns the projection)
  * @returns {Object} Financial calculation results and helper functions
  */
-const useFinancialCalculations = () => {
-  const { financialData, updateFinancialData } = useFinancial();
+const useFinancialCalculations = (scenarioData = null) => {
+  const { financialData: savedData, updateFinancialData } = useFinancial();
+  const financialData = scenarioData || savedData;
   const [expenseData, setExpenseData] = useState([]);
   const [upcomingEvents, setUpcomingEvents] = useState([]);
+  const [assetAllocationData, setAssetAllocationData] = useState([]);
   const [currentMonth, setCurrentMonth] = useState(null);
   const [projectionStartDate, setProjectionStartDate] = useState(null);
   
@@ -65,23 +73,9 @@ const useFinancialCalculations = () => {
 
     let currentSalary = safeParseNumber(income.currentSalary, 0);
     
-    // NEW LOGIC: Use the salaryAdjustments array if it exists and has entries
+    // NEW LOGIC: Use the salary timeline if it has entries; leave and breaks are applied by the projection
     if (income.salaryAdjustments && Array.isArray(income.salaryAdjustments) && income.salaryAdjustments.length > 0) {
-      const currentDate = new Date(currentMonth.year, currentMonth.month - 1, 1);
-      
-      // Sort salary adjustments by date to find the most recent applicable one
-      const applicableAdjustments = income.salaryAdjustments
-        .map(adj => ({
-          ...adj,
-          date: new Date(adj.year, adj.month - 1, 1),
-          newSalary: safeParseNumber(adj.newSalary, 0)
-        }))
-        .filter(adj => adj.date <= currentDate) // Only past or current adjustments
-        .sort((a, b) => b.date - a.date); // Sort by most recent first
-      
-      if (applicableAdjustments.length > 0) {
-        currentSalary = applicableAdjustments[0].newSalary;
-      }
+      currentSalary = getBaseSalaryForMonth(income, currentMonth.year, currentMonth.month);
     } 
     // FALLBACK: Only use old format if new format is empty or doesn't exist
     else if (income.salaryAdjustmentMonth && income.salaryAdjustmentYear && income.futureSalary) {
@@ -96,6 +90,25 @@ const useFinancialCalculations = () => {
     return currentSalary;
   };
 
+  // Calculate current age based on birthday and current month
+  const calculateCurrentAge = () => {
+    if (!financialData?.personalInfo?.birthday || !currentMonth) return null;
+    
+    const { month: birthMonth, year: birthYear } = financialData.personalInfo.birthday;
+    const currentYear = currentMonth.year;
+    const currentMonthNum = currentMonth.month;
+    
+    let age = currentYear - birthYear;
+    
+    // Adjust if birthday hasn't occurred yet this year
+    if (currentMonthNum < birthMonth || 
+        (currentMonthNum === birthMonth && currentMonth.day < 15)) {
+      age--;
+    }
+    
+    return age;
+  };
+
   // Get current values from financial data with enhanced logic
   const currentValues = useMemo(() => {
     if (!financialData || !currentMonth) return null;
@@ -110,13 +123,13 @@ const useFinancialCalculations = () => {
       // Get employee type (default to Singaporean)
       const employeeType = income.employeeType || EMPLOYEE_TYPE.SINGAPOREAN;
       
-      // Get age-appropriate CPF rates
+      // Get age-appropriate CPF rates under this month's CPF policy
       let employeeCpfRate = 20; // Default fallback
       let employerCpfRate = 17; // Default fallback
       
       try {
         if (currentAge !== null) {
-          const [empRate, emplRate] = getCpfRates(employeeType, currentAge);
+          const [empRate, emplRate] = getCpfRates(employeeType, currentAge, getCpfPolicy(currentMonth.year, currentMonth.month));
           employeeCpfRate = empRate * 100; // Convert to percentage
           employerCpfRate = emplRate * 100; // Convert to percentage
         }
@@ -135,13 +148,24 @@ const useFinancialCalculations = () => {
       // ENHANCED: Use the new getCurrentSalary function
       const currentSalary = getCurrentSalary(income, currentMonth);
 
+      // This month's loan instalments; those paid from CPF OA don't come out of savings
+      const currentLoans = summarizeLoansForMonth(
+        buildLoanSchedules(financialData.loans),
+        currentMonth.year,
+        currentMonth.month
+      );
+
       return {
         salary: currentSalary,
         cpfContributionRate: employeeCpfRate,
         employerCpfContributionRate: employerCpfRate,
         monthlyExpenses: totalMonthlyExpenses,
+        loanPayment: currentLoans.cashPayment,
+        loanBalance: currentLoans.balance,
         liquidCash: safeParseNumber(personalInfo.currentSavings, 0),
         cpfBalance: safeParseNumber(personalInfo.currentCpfBalance, 0),
+        // Optional per-account split { OA, SA, MA, RA }; otherwise estimated from the total
+        ...(personalInfo.cpfAccounts ? { cpfAccounts: personalInfo.cpfAccounts } : {}),
         salaryDay: safeParseNumber(income.salaryDay, 25), // Add salary day for timing calculations
         // Add projection timing info
         projectionStartMonth: currentMonth.month,
@@ -162,16 +186,40 @@ const useFinancialCalculations = () => {
       annualSalaryIncrease: 3.0, // 3% annual salary increase
       annualExpenseIncrease: 2.0, // 2% expense increase (inflation)
       annualInvestmentReturn: 4.0, // 4% investment return
-      annualCpfInterestRate: 2.5, // 2.5% CPF interest rate
+      cpfPolicyEscalation: DEFAULT_CPF_POLICY_ESCALATION_RATE, // Yearly rise of CPF ceilings and sums after the last scheduled year
       projectionYears: 30, // Project 30 years into the future
       bonusMonths: 2, // 2 months of bonus
       bonusAmount: currentValues?.salary || 0, // Default to 1 month of salary
       // Add current month context
       projectionStartMonth: currentMonth.month,
       projectionStartYear: currentMonth.year,
-      // ENHANCED: Use the new salary adjustments array
+      // ENHANCED: Use the new salary adjustments array (the salary timeline)
       yearlyBonuses: financialData?.yearlyBonuses || [],
-      salaryAdjustments: financialData?.income?.salaryAdjustments || []
+      salaryAdjustments: financialData?.income?.salaryAdjustments || [],
+      // Projection goals (falls back to the $100k cash goal when none are configured)
+      ...(Array.isArray(financialData?.projectionSettings?.goals)
+        ? { goals: financialData.projectionSettings.goals }
+        : {}),
+      // Monte Carlo bands and goal probability (off unless enabled in the projection settings)
+      ...(financialData?.projectionSettings?.monteCarlo
+        ? { monteCarlo: financialData.projectionSettings.monteCarlo }
+        : {}),
+      // Income tax payment mode and reliefs (tax is projected with no extra reliefs when unset)
+      ...(financialData?.projectionSettings?.tax
+        ? { tax: financialData.projectionSettings.tax }
+        : {}),
+      // Mortgages and other loans
+      loans: financialData?.loans || [],
+      // Liquid savings by asset class, each growing at its own return
+      holdings: financialData?.portfolio?.holdings || [],
+      // Savings goals funded from cash, CPF OA or a sub-account
+      savingsGoals: financialData?.goals || [],
+      // Supplementary Retirement Scheme account
+      srs: financialData?.srs || null,
+      // Scheduled cash top-ups to CPF
+      cpfTopUps: financialData?.cpfTopUps || [],
+      // CPF OA already used for a home owned today
+      cpfHousing: financialData?.cpfHousing || null
     };
   }, [currentMonth, currentValues, financialData]);
 
@@ -180,38 +228,30 @@ const useFinancialCalculations = () => {
     projectionData,
     savingsGoalReachedMonth,
     timeToSavingsGoal,
+    goalResults,
+    monteCarloResult,
+    taxAssessments,
+    getGoalProbability,
     settings: projectionSettings,
     updateSettings,
     error: projectionError
   } = useProjection(currentValues, defaultSettings);
 
+  // Savings goal completion and status against the projected goal balances
+  const savingsGoalResults = useMemo(() => evaluateSavingsGoals(projectionData, projectionSettings?.savingsGoals, {
+    projectionStartMonth: projectionSettings?.projectionStartMonth,
+    projectionStartYear: projectionSettings?.projectionStartYear
+  }), [projectionData, projectionSettings]);
+
   // Use our custom milestones hook
   const { milestones } = useMilestones([], {
     savingsGoalReachedMonth,
     timeToSavingsGoal,
+    goalResults,
     currentLiquidCash: currentValues?.liquidCash,
     currentAge: financialData?.personalInfo ? calculateCurrentAge() : null
   });
 
-  // Calculate current age based on birthday and current month
-  const calculateCurrentAge = () => {
-    if (!financialData?.personalInfo?.birthday || !currentMonth) return null;
-    
-    const { month: birthMonth, year: birthYear } = financialData.personalInfo.birthday;
-    const currentYear = currentMonth.year;
-    const currentMonthNum = currentMonth.month;
-    
-    let age = currentYear - birthYear;
-    
-    // Adjust if birthday hasn't occurred yet this year
-    if (currentMonthNum < birthMonth || 
-        (currentMonthNum === birthMonth && currentMonth.day < 15)) {
-      age--;
-    }
-    
-    return age;
-  };
-
   // Calculate current financial metrics
   const financialMetrics = useMemo(() => {
     if (!currentValues) return {};
@@ -503,9 +543,15 @@ const useFinancialCalculations = () => {
     
     // Projection data
     projection: projectionData,
+    projectionInputs: currentValues, // Inputs to useProjection, for forked scenario projections
     chartData: projectionData ? projectionData.slice(0, 60) : [], // First 5 years for charts
     savingsGoalReachedMonth,
     timeToSavingsGoal,
+    goalResults,
+    savingsGoalResults,
+    monteCarloResult,
+    getGoalProbability,
+    taxAssessments,
     
     // Asset details
     liquidCash: currentValues?.liquidCash || 0,
@@ -518,6 +564,7 @@ const useFinancialCalculations = () => {
     
     // Data for UI components
     expenseData,
+    assetAllocationData,
     upcomingEvents,
     milestones,
     
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from "react";
 import { v4 as uuidv4 } from "uuid";
+import { GOAL_BALANCE_LABELS } from "../services/calculations/goalProjection";
 
 /**
  * useMilestones hook
@@ -124,31 +125,57 @@ const useMilestones = (initialMilestones = [], projectionData = {}) => {
   }, [milestones, customMilestones, milestoneTypes]);
 
   // Auto-update system milestones when projection data changes
+  const {
+    savingsGoalReachedMonth,
+    timeToSavingsGoal,
+    goalResults,
+    currentLiquidCash,
+    currentAge
+  } = projectionData;
+
   useEffect(() => {
-    if (!projectionData.savingsGoalReachedMonth) {
+    const hasGoalResults = Array.isArray(goalResults) && goalResults.length > 0;
+    if (!savingsGoalReachedMonth && !hasGoalResults && !currentAge) {
       return;
     }
     
     const autoMilestones = [];
 
-    // Savings goal milestone
-    if (projectionData.savingsGoalReachedMonth) {
+    if (hasGoalResults) {
+      // One milestone per projection goal, in priority order
+      goalResults.forEach(goal => {
+        autoMilestones.push({
+          id: `system-goal-${goal.id}`,
+          title: goal.name,
+          description: `${GOAL_BALANCE_LABELS[goal.balanceType]} of $${goal.targetAmount.toLocaleString()}`,
+          date: goal.reachedDate,
+          timeRemaining: goal.monthsToReach,
+          complete: goal.complete,
+          progress: goal.progress,
+          type: "savings",
+          onTrack: goal.onTrack,
+          monthlyShortfall: goal.monthlyShortfall,
+          system: true
+        });
+      });
+    } else if (savingsGoalReachedMonth) {
+      // Savings goal milestone
       autoMilestones.push({
         id: "system-savings-goal",
         title: "Savings Goal Reached",
         description: "Reach your liquid cash savings goal of $100,000",
-        date: projectionData.savingsGoalReachedMonth.date,
-        timeRemaining: projectionData.timeToSavingsGoal,
-        complete: projectionData.timeToSavingsGoal <= 0,
-        progress: Math.min(100, (projectionData.currentLiquidCash / 100000) * 100),
+        date: savingsGoalReachedMonth.date,
+        timeRemaining: timeToSavingsGoal,
+        complete: timeToSavingsGoal <= 0,
+        progress: Math.min(100, (currentLiquidCash / 100000) * 100),
         type: "savings",
         system: true
       });
     }
     
     // Retirement milestone
-    if (projectionData.currentAge) {
-      const yearsToRetirement = 65 - projectionData.currentAge;
+    if (currentAge) {
+      const yearsToRetirement = 65 - currentAge;
       const monthsToRetirement = yearsToRetirement * 12;
       
       autoMilestones.push({
@@ -158,14 +185,14 @@ const useMilestones = (initialMilestones = [], projectionData = {}) => {
         date: null, // Would need to calculate based on current date + years
         timeRemaining: monthsToRetirement,
         complete: monthsToRetirement <= 0,
-        progress: Math.min(100, (projectionData.currentAge / 65) * 100),
+        progress: Math.min(100, (currentAge / 65) * 100),
         type: "retirement",
         system: true
       });
     }
     
     setMilestones(autoMilestones);
-  }, [projectionData]);
+  }, [savingsGoalReachedMonth, timeToSavingsGoal, goalResults, currentLiquidCash, currentAge]);
 
   return {
     milestones: filteredMilestones,
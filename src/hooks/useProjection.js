@@ -1,12 +1,86 @@
 import { useState, useEffect, useCallback, useMemo } from 'react';
 import useErrorHandler from './useErrorHandler';
 import { safeParseNumber, safeDivide, createFinancialError } from '../utils/errors/ErrorUtils';
-import { getCpfRates, EMPLOYEE_TYPE } from '../services/calculations/cpf/cpf-utilities';
+import {
+  getCpfRates,
+  getOrdinaryWageSubjectToCpf,
+  calculateAdditionalWageCpf,
+  EMPLOYEE_TYPE
+} from '../services/calculations/cpf/cpf-utilities';
+import { allocateCpfContributions, stepCpfAccounts, CPF_ACCOUNT } from '../services/calculations/cpf/cpf-allocation';
+import { getCpfPolicy, DEFAULT_CPF_POLICY_ESCALATION_RATE } from '../services/calculations/cpf/cpf-policy';
+import {
+  normalizeCpfTopUps,
+  getCpfTopUpsForMonth,
+  getCpfTopUpRoom,
+  CPF_TOPUP_RECIPIENT
+} from '../services/calculations/cpf/cpf-topups';
+import {
+  createHousingLedger,
+  withdrawForHousing,
+  accrueHousingInterest,
+  getValuationLimitStatus,
+  calculateHousingRefund
+} from '../services/calculations/cpf/cpf-housing';
+import { runMonteCarloSimulation, calculateProbabilityByMonth } from '../services/calculations/monteCarlo';
+import { evaluateGoals, DEFAULT_PROJECTION_GOALS, GOAL_BALANCE_TYPE } from '../services/calculations/goalProjection';
+import {
+  calculateYearOfAssessmentTax,
+  scheduleTaxPayments,
+  TAX_PAYMENT_MODE,
+  TAX_RELIEF_TYPES,
+  DEFAULT_TAX_PAYMENT_MONTH
+} from '../services/calculations/taxCalculations';
+import { buildLoanSchedules, summarizeLoansForMonth } from '../services/calculations/loans';
+import {
+  createHoldingsModel,
+  openHoldingBalances,
+  growHoldings,
+  applyHoldingsCashFlow
+} from '../services/calculations/holdings';
+import {
+  normalizeSavingsGoals,
+  sumGoalBalancesBySource,
+  stepSavingsGoals,
+  GOAL_FUNDING_SOURCE
+} from '../services/calculations/savingsGoals';
+import { getSalaryEventsForMonth } from '../services/calculations/salaryTimeline';
+import {
+  normalizeSrsAccount,
+  calculateSrsWithdrawal,
+  getSrsWithdrawalAmount,
+  getSrsWithdrawalsForMonth,
+  SRS_WITHDRAWAL_YEARS
+} from '../services/calculations/srs';
 
 /**
  * Enhanced useProjection hook with current month awareness
  * Automatically starts projections from the current month
  * Simplified to assume salary is received at the beginning of each month
+ * Set settings.monteCarlo.enabled to also simulate randomised paths and get P10/P50/P90 bands
+ * settings.goals lists the goals to track (see goalProjection); the full horizon is always projected
+ * CPF is projected per account (OA/SA/MA/RA) with tiered extra interest, BHS overflow and the RA at 55
+ * CPF rates, ceilings and sums are those in force each month (see cpf-policy); after the last scheduled
+ * year the dollar amounts rise by settings.cpfPolicyEscalation (% a year)
+ * Bonuses are Additional Wages: CPF applies up to the year's AW ceiling (102,000 less the year's OW subject to CPF)
+ * Income tax for each calendar year is paid in the following Year of Assessment (settings.tax)
+ * Loan instalments (settings.loans) are paid from cash or CPF OA, and outstanding balances reduce net worth
+ * Property purchases (settings.propertyPurchases) pay their upfront cash and CPF OA outlays in the purchase month;
+ * the property's value then appreciates and counts towards net worth
+ * OA used for housing is kept in a ledger per property (see cpf-housing), starting from settings.cpfHousing for a home
+ * already owned: OA instalments go against the latest property up to its Withdrawal Limit, and accrued interest and
+ * the refund due on a sale are reported each month
+ * With settings.holdings, liquid cash is split into holdings that each grow at their own return
+ * instead of annualInvestmentReturn; savings follow the contribution split and spending draws cash first
+ * Savings goals (settings.savingsGoals) set money aside from cash or CPF OA each month until their target is reached;
+ * goal balances leave cashSavings and cpfOaBalance but still count towards net worth
+ * settings.salaryAdjustments is the salary timeline (see salaryTimeline): raises and job changes set a new salary
+ * that keeps growing at annualSalaryIncrease, and leave, part-time, job loss and career breaks cut the pay
+ * settings.srs is the SRS account (see srs): contributions leave cash in their month and are a tax relief, the
+ * balance grows at its own return, and from withdrawalStartAge it is paid out over 10 yearly withdrawals, half of
+ * each taxable. Dated withdrawals before the statutory retirement age are fully taxable and pay a 5% penalty
+ * settings.cpfTopUps are scheduled cash top-ups (see cpf-topups): own top-ups go into the SA (RA from 55) or MediSave
+ * up to the account's room, family top-ups only leave cash, and each claims tax relief in the following YA
  * 
  * @param {Object} initialData - Initial financial data
  * @param {Object} initialSettings - Projection settings
@@ -22,6 +96,9 @@ const useProjection = (initialData, initialSettings) => {
   const [projectionData, setProjectionData] = useState([]);
   const [savingsGoalReachedMonth, setSavingsGoalReachedMonth] = useState(null);
   const [timeToSavingsGoal, setTimeToSavingsGoal] = useState('Not within projection');
+  const [goalResults, setGoalResults] = useState([]);
+  const [monteCarloResult, setMonteCarloResult] = useState(null);
+  const [taxAssessments, setTaxAssessments] = useState([]);
 
   // Setup error handler for this hook
   const { 
@@ -148,7 +225,6 @@ const useProjection = (initialData, initialSettings) => {
         annualSalaryIncrease = 3.0,
         annualExpenseIncrease = 2.0,
         annualInvestmentReturn = 4.0,
-        annualCpfInterestRate = 2.5,
         projectionYears = 30,
         bonusMonths = 2,
         bonusAmount = safeParseNumber(settings.bonusAmount || salary, salary),
@@ -156,31 +232,50 @@ const useProjection = (initialData, initialSettings) => {
         projectionStartYear = new Date().getFullYear(),
         yearlyBonuses = [],
         yearlyExpenses = [],
-        upcomingSpending = []
+        upcomingSpending = [],
+        goals = DEFAULT_PROJECTION_GOALS,
+        monteCarlo = null,
+        tax = null,
+        loans = [],
+        propertyPurchases = [],
+        holdings = [],
+        savingsGoals = [],
+        salaryAdjustments = [],
+        srs = null,
+        cpfTopUps = [],
+        cpfHousing = null,
+        cpfPolicyEscalation = DEFAULT_CPF_POLICY_ESCALATION_RATE
       } = settings;
 
+      // SRS account, if the user has one
+      const srsAccount = srs ? normalizeSrsAccount(srs) : null;
+      const srsMonthlyReturn = srsAccount ? Math.pow(1 + srsAccount.annualReturn / 100, 1 / 12) - 1 : 0;
+      const scheduledCpfTopUps = normalizeCpfTopUps(cpfTopUps);
+
+      // Income tax is on unless explicitly disabled
+      const taxEnabled = !tax || tax.enabled !== false;
+      const taxPaymentMode = (tax && tax.paymentMode) || TAX_PAYMENT_MODE.LUMP_SUM;
+      const taxPaymentMonth = (tax && tax.paymentMonth) || DEFAULT_TAX_PAYMENT_MONTH;
+      // With an SRS account, SRS relief comes from its contributions instead of a manual claim
+      const claimedReliefs = (tax && tax.reliefs) || {};
+      const taxOptions = {
+        reliefs: srsAccount
+          ? { ...claimedReliefs, [TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]: 0 }
+          : claimedReliefs,
+        donations: safeParseNumber(tax && tax.donations, 0),
+        rebate: safeParseNumber(tax && tax.rebate, 0),
+        srsCitizenship: srsAccount ? srsAccount.citizenship : undefined
+      };
+
       // Convert annual rates to monthly - Pre-calculated for performance
       const monthlySalaryIncrease = Math.pow(1 + annualSalaryIncrease / 100, 1 / 12) - 1;
       const monthlyExpenseIncrease = Math.pow(1 + annualExpenseIncrease / 100, 1 / 12) - 1;
       const monthlyInvestmentReturn = Math.pow(1 + annualInvestmentReturn / 100, 1 / 12) - 1;
-      const monthlyCpfInterestRate = Math.pow(1 + annualCpfInterestRate / 100, 1 / 12) - 1;
 
       // Pre-calculate multipliers for salary and expense growth (avoid repeated calculations)
       const salaryGrowthMultiplier = 1 + monthlySalaryIncrease;
       const expenseGrowthMultiplier = 1 + monthlyExpenseIncrease;
 
-      // Prepare projection array
-      const projection = [];
-      
-      // Set initial values
-      let currentSalary = safeParseNumber(salary);
-      let currentExpenses = safeParseNumber(monthlyExpenses);
-      let currentLiquidCash = safeParseNumber(liquidCash);
-      let currentCpfBalance = safeParseNumber(cpfBalance);
-
-      // Track milestone months
-      let savingsGoalIndex = null;
-      
       // Calculate projection for specified number of years (in months)
       const totalMonths = projectionYears * 12;
       
@@ -195,180 +290,731 @@ const useProjection = (initialData, initialSettings) => {
       const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
                           'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-      for (let month = 0; month < totalMonths; month++) {
-        // Calculate year and month using arithmetic (faster than Date constructor)
+      // Age used for CPF allocation; allocation brackets need a number
+      const allocationAge = data.currentAge !== undefined && data.currentAge !== null ? data.currentAge : 30;
+
+      // CPF rules in force in each projection month, escalated past the last scheduled year
+      const cpfPolicies = Array.from({ length: totalMonths }, (_, month) => {
         const totalMonthsFromStart = projectionStartMonth - 1 + month;
-        const year = projectionStartYear + Math.floor(totalMonthsFromStart / 12);
-        const monthIndex = totalMonthsFromStart % 12;
+        return getCpfPolicy(
+          projectionStartYear + Math.floor(totalMonthsFromStart / 12),
+          (totalMonthsFromStart % 12) + 1,
+          { escalationRate: cpfPolicyEscalation }
+        );
+      });
+      const startingCpfPolicy = getCpfPolicy(projectionStartYear, projectionStartMonth, { escalationRate: cpfPolicyEscalation });
+
+      // Opening account balances: use the stored split, otherwise assume the total follows the allocation rates
+      const openingSplit = allocateCpfContributions(100, allocationAge, 0, 0, startingCpfPolicy);
+      const initialCpfAccounts = data.cpfAccounts
+        ? {
+          [CPF_ACCOUNT.ORDINARY]: safeParseNumber(data.cpfAccounts[CPF_ACCOUNT.ORDINARY]),
+          [CPF_ACCOUNT.SPECIAL]: safeParseNumber(data.cpfAccounts[CPF_ACCOUNT.SPECIAL]),
+          [CPF_ACCOUNT.MEDISAVE]: safeParseNumber(data.cpfAccounts[CPF_ACCOUNT.MEDISAVE]),
+          [CPF_ACCOUNT.RETIREMENT]: safeParseNumber(data.cpfAccounts[CPF_ACCOUNT.RETIREMENT])
+        }
+        : {
+          [CPF_ACCOUNT.ORDINARY]: safeParseNumber(cpfBalance) * openingSplit[CPF_ACCOUNT.ORDINARY] / 100,
+          [CPF_ACCOUNT.SPECIAL]: safeParseNumber(cpfBalance) * openingSplit[CPF_ACCOUNT.SPECIAL] / 100,
+          [CPF_ACCOUNT.MEDISAVE]: safeParseNumber(cpfBalance) * openingSplit[CPF_ACCOUNT.MEDISAVE] / 100,
+          [CPF_ACCOUNT.RETIREMENT]: 0
+        };
+      const initialCpfBalance = Object.values(initialCpfAccounts).reduce((sum, balance) => sum + balance, 0);
+
+      // Loan schedules don't depend on sampled rates, so build them once for every path
+      const loanSchedules = buildLoanSchedules(loans);
+
+      // Per-class holdings replace the single investment return on liquid cash
+      const holdingsModel = Array.isArray(holdings) && holdings.length > 0 ? createHoldingsModel(holdings) : null;
+
+      // Savings goals with their funding source and monthly contribution
+      const fundedGoals = normalizeSavingsGoals(savingsGoals);
+      // Money already set aside for goals is held outside cash savings and the OA
+      const openingLiquidCash = safeParseNumber(liquidCash) - sumGoalBalancesBySource(fundedGoals, GOAL_FUNDING_SOURCE.CASH);
+      const openingOaBalance = initialCpfAccounts[CPF_ACCOUNT.ORDINARY] -
+        sumGoalBalancesBySource(fundedGoals, GOAL_FUNDING_SOURCE.CPF_OA);
+
+      // Salary events of each projection month, resolved once for every path
+      const salaryMonths = Array.from({ length: totalMonths }, (_, month) => {
+        const totalMonthsFromStart = projectionStartMonth - 1 + month;
+        return getSalaryEventsForMonth(
+          salaryAdjustments,
+          projectionStartYear + Math.floor(totalMonthsFromStart / 12),
+          (totalMonthsFromStart % 12) + 1
+        );
+      });
+
+      // Tax assessed per Year of Assessment on the deterministic path
+      let projectedTaxAssessments = [];
+
+      // Run one projection path. sampleRates (optional) returns randomised annual
+      // rates for each month, which is how Monte Carlo mode reuses this model.
+      const runProjectionPath = (sampleRates = null) => {
+        // Prepare projection array
+        const projection = [];
+      
+        // Set initial values
+        let currentSalary = safeParseNumber(salary);
+        let currentExpenses = safeParseNumber(monthlyExpenses);
+        let currentLiquidCash = openingLiquidCash;
+        let currentCpfAccounts = { ...initialCpfAccounts, [CPF_ACCOUNT.ORDINARY]: openingOaBalance };
+        let currentGoalBalances = fundedGoals.reduce((balances, goal) => ({
+          ...balances,
+          [goal.id]: goal.currentAmount
+        }), {});
+        let yearToDateMediSave = 0;
+        // Members with RA savings already had their RA created at 55
+        let retirementAccountOpened = initialCpfAccounts[CPF_ACCOUNT.RETIREMENT] > 0;
+        // Mandatory and voluntary contributions this calendar year, for the CPF Annual Limit
+        let cpfContributionsYearToDate = 0;
+        let ownedProperties = [];
+        let currentHoldings = holdingsModel ? openHoldingBalances(holdingsModel, currentLiquidCash) : null;
+        let currentSrsBalance = srsAccount ? srsAccount.balance : 0;
+        let housingLedgers = cpfHousing ? [createHousingLedger({ name: 'Current home', ...cpfHousing })] : [];
+        // Penalty-free withdrawal years already taken when the projection starts
+        let srsWithdrawalsTaken = srsAccount
+          ? Math.min(SRS_WITHDRAWAL_YEARS, Math.max(0, allocationAge - srsAccount.withdrawalStartAge))
+          : 0;
+
+        // Employment income, SRS, CPF and top-up relief per calendar year, and tax payments keyed by "year-month"
+        const taxableIncomeByYear = {};
+        const taxPaymentsByMonth = {};
+        const assessments = [];
+        const emptyTotals = () => ({
+          employmentIncome: 0,
+          employeeCpf: 0,
+          srsContributions: 0,
+          srsTaxableWithdrawals: 0,
+          cpfTopUps: { self: 0, family: 0, mediSave: 0 }
+        });
+        const recordTaxableIncome = (incomeYear, employmentIncome, employeeCpf) => {
+          const totals = taxableIncomeByYear[incomeYear] || emptyTotals();
+          totals.employmentIncome += employmentIncome;
+          totals.employeeCpf += employeeCpf;
+          taxableIncomeByYear[incomeYear] = totals;
+        };
+        const recordSrs = (incomeYear, contribution, taxableWithdrawal) => {
+          const totals = taxableIncomeByYear[incomeYear] || emptyTotals();
+          totals.srsContributions += contribution;
+          totals.srsTaxableWithdrawals += taxableWithdrawal;
+          taxableIncomeByYear[incomeYear] = totals;
+        };
+        const recordCpfTopUps = (incomeYear, topUps) => {
+          const totals = taxableIncomeByYear[incomeYear] || emptyTotals();
+          totals.cpfTopUps.self += topUps.self;
+          totals.cpfTopUps.family += topUps.family;
+          totals.cpfTopUps.mediSave += topUps.mediSave;
+          taxableIncomeByYear[incomeYear] = totals;
+        };
+        const assessYear = (incomeYear) => {
+          const totals = taxableIncomeByYear[incomeYear] || emptyTotals();
+          const assessment = calculateYearOfAssessmentTax(incomeYear, totals, taxOptions);
+          const payments = scheduleTaxPayments(
+            assessment.finalTax,
+            assessment.yearOfAssessment,
+            taxPaymentMode,
+            taxPaymentMonth
+          );
+          payments.forEach(payment => {
+            const key = `${payment.year}-${payment.month}`;
+            taxPaymentsByMonth[key] = (taxPaymentsByMonth[key] || 0) + payment.amount;
+          });
+          assessments.push({ ...assessment, paymentMode: taxPaymentMode, payments });
+        };
+
+        // Income before the projection starts is unknown, so assume the starting salary
+        const startingSalary = safeParseNumber(salary);
+        const startingOrdinaryWage = getOrdinaryWageSubjectToCpf(startingSalary, startingCpfPolicy);
+        const startingCpfRate = cpfContributionRate / 100;
+
+        // OW and AW subject to CPF so far in the current calendar year, for the AW ceiling
+        let ordinaryWageYearToDate = startingOrdinaryWage * (projectionStartMonth - 1);
+        let additionalWageYearToDate = 0;
+
+        // Tax: a full prior year (billed during the projection) and the elapsed months of this year
+        if (taxEnabled) {
+          recordTaxableIncome(projectionStartYear - 1, startingSalary * 12, startingOrdinaryWage * 12 * startingCpfRate);
+          assessYear(projectionStartYear - 1);
+          recordTaxableIncome(
+            projectionStartYear,
+            startingSalary * (projectionStartMonth - 1),
+            startingOrdinaryWage * (projectionStartMonth - 1) * startingCpfRate
+          );
+        }
+      
+        for (let month = 0; month < totalMonths; month++) {
+          // Calculate year and month using arithmetic (faster than Date constructor)
+          const totalMonthsFromStart = projectionStartMonth - 1 + month;
+          const year = projectionStartYear + Math.floor(totalMonthsFromStart / 12);
+          const monthIndex = totalMonthsFromStart % 12;
+          const salaryMonth = salaryMonths[month];
+          const cpfPolicy = cpfPolicies[month];
         
-        // Check for yearly bonuses first
-        const yearlyBonus = getBonusForMonth(year, monthIndex + 1, yearlyBonuses);
+          // Check for yearly bonuses first
+          const yearlyBonus = getBonusForMonth(year, monthIndex + 1, yearlyBonuses);
         
-        // Check if this is a traditional bonus month (typically December and February)
-        const isDecember = monthIndex === 11;
-        const isFebruary = monthIndex === 1;
-        const isTraditionalBonus = bonusMonths > 0 && (
-          (bonusMonths >= 1 && isDecember) || 
-          (bonusMonths >= 2 && isFebruary)
-        );
+          // Check if this is a traditional bonus month (typically December and February)
+          const isDecember = monthIndex === 11;
+          const isFebruary = monthIndex === 1;
+          const isTraditionalBonus = bonusMonths > 0 && (
+            (bonusMonths >= 1 && isDecember) || 
+            (bonusMonths >= 2 && isFebruary)
+          );
         
-        // Use yearly bonus if available, otherwise use traditional bonus
-        const monthBonusAmount = yearlyBonus > 0 ? yearlyBonus : 
-          (isTraditionalBonus ? bonusAmount : 0);
-        const isBonus = monthBonusAmount > 0;
-
-        // Check for upcoming spending this month
-        const upcomingSpendingData = getUpcomingSpendingForMonth(year, monthIndex + 1, 15, upcomingSpending);
-        const monthSpendingAmount = upcomingSpendingData.totalAmount;
-        const hasUpcomingSpending = monthSpendingAmount > 0;
-
-        // Check for yearly expenses this month
-        const yearlyExpenseData = getYearlyExpensesForMonthAndYear(year, monthIndex + 1, yearlyExpenses);
-        const monthYearlyExpenseAmount = yearlyExpenseData.totalAmount;
-        const hasYearlyExpense = monthYearlyExpenseAmount > 0;
-
-        // Increment salary and expenses with monthly increases using pre-calculated multipliers
-        if (month > 0) {
-          currentSalary *= salaryGrowthMultiplier;
-          currentExpenses *= expenseGrowthMultiplier;
-        }
+          // Use yearly bonus if available, otherwise use traditional bonus (cut like the salary)
+          const monthBonusAmount = yearlyBonus > 0 ? yearlyBonus : 
+            (isTraditionalBonus ? bonusAmount * salaryMonth.payFactor : 0);
+          const isBonus = monthBonusAmount > 0;
+
+          // Check for upcoming spending this month
+          const upcomingSpendingData = getUpcomingSpendingForMonth(year, monthIndex + 1, 15, upcomingSpending);
+          const monthSpendingAmount = upcomingSpendingData.totalAmount;
+          const hasUpcomingSpending = monthSpendingAmount > 0;
+
+          // Check for yearly expenses this month
+          const yearlyExpenseData = getYearlyExpensesForMonthAndYear(year, monthIndex + 1, yearlyExpenses);
+          const monthYearlyExpenseAmount = yearlyExpenseData.totalAmount;
+          const hasYearlyExpense = monthYearlyExpenseAmount > 0;
+
+          // Sample this month's rates in Monte Carlo mode, otherwise use the pre-calculated ones
+          const sampledRates = sampleRates ? sampleRates() : null;
+          const monthSalaryGrowthMultiplier = sampledRates
+            ? Math.pow(1 + sampledRates.annualSalaryIncrease / 100, 1 / 12)
+            : salaryGrowthMultiplier;
+          const monthExpenseGrowthMultiplier = sampledRates
+            ? Math.pow(1 + sampledRates.annualExpenseIncrease / 100, 1 / 12)
+            : expenseGrowthMultiplier;
+          const monthInvestmentReturn = sampledRates
+            ? Math.pow(1 + sampledRates.annualInvestmentReturn / 100, 1 / 12) - 1
+            : monthlyInvestmentReturn;
+
+          // Increment salary and expenses with monthly increases using pre-calculated multipliers
+          if (month > 0) {
+            currentSalary *= monthSalaryGrowthMultiplier;
+            currentExpenses *= monthExpenseGrowthMultiplier;
+          }
+
+          // A raise or new job this month resets the salary; leave, part-time and breaks cut what is paid
+          if (salaryMonth.newSalary !== null) {
+            currentSalary = salaryMonth.newSalary;
+          }
+          const paidSalary = currentSalary * salaryMonth.payFactor;
+          const monthExpenses = salaryMonth.monthlyExpenses !== null ? salaryMonth.monthlyExpenses : currentExpenses;
+          const severancePayment = salaryMonth.severance;
         
-        // Check if salary has already been received this month
-        const currentDate = new Date();
-        const isCurrentMonthProjection = month === 0 && isCurrentMonth;
-        const salaryDay = data.salaryDay || 25; // Default to 25th if not specified
-        const salaryAlreadyReceived = isCurrentMonthProjection && currentDate.getDate() > salaryDay;
+          // Check if salary has already been received this month
+          const currentDate = new Date();
+          const isCurrentMonthProjection = month === 0 && isCurrentMonth;
+          const salaryDay = data.salaryDay || 25; // Default to 25th if not specified
+          const salaryAlreadyReceived = isCurrentMonthProjection && currentDate.getDate() > salaryDay;
+          // This month's cash flows (salary, expenses, goal, SRS and top-up payments) are already in the entered balances
+          const monthAlreadyInBalance = isCurrentMonthProjection && salaryAlreadyReceived;
         
         
-        // For current month, don't add salary if already received
-        const effectiveSalary = (isCurrentMonthProjection && salaryAlreadyReceived) ? 0 : currentSalary;
+          // For current month, don't add salary if already received
+          const effectiveSalary = (isCurrentMonthProjection && salaryAlreadyReceived) ? 0 : paidSalary;
         
-        // Calculate age-based CPF contributions for this projection month
-        let monthCpfRate = cpfContributionRate / 100; // Default fallback
-        let monthEmployerCpfRate = employerCpfContributionRate / 100; // Default fallback
+          // Calculate age-based CPF contributions for this projection month
+          let monthCpfRate = cpfContributionRate / 100; // Default fallback
+          let monthEmployerCpfRate = employerCpfContributionRate / 100; // Default fallback
         
-        // Calculate age at this projection month (if birth year is available)
-        if (data.currentAge !== undefined && data.currentAge !== null) {
-          const monthsElapsed = month;
-          const currentAge = data.currentAge;
-          const projectedAge = currentAge + Math.floor(monthsElapsed / 12);
+          // Calculate age at this projection month (if birth year is available)
+          if (data.currentAge !== undefined && data.currentAge !== null) {
+            const monthsElapsed = month;
+            const currentAge = data.currentAge;
+            const projectedAge = currentAge + Math.floor(monthsElapsed / 12);
           
-          try {
-            const employeeType = data.employeeType || EMPLOYEE_TYPE.SINGAPOREAN;
-            const [empRate, emplRate] = getCpfRates(employeeType, projectedAge);
-            monthCpfRate = empRate;
-            monthEmployerCpfRate = emplRate;
-          } catch (error) {
-            // Use original rates as fallback
-            monthCpfRate = cpfContributionRate / 100;
-            monthEmployerCpfRate = employerCpfContributionRate / 100;
+            try {
+              const employeeType = data.employeeType || EMPLOYEE_TYPE.SINGAPOREAN;
+              const [empRate, emplRate] = getCpfRates(employeeType, projectedAge, cpfPolicy);
+              monthCpfRate = empRate;
+              monthEmployerCpfRate = emplRate;
+            } catch (error) {
+              // Use original rates as fallback
+              monthCpfRate = cpfContributionRate / 100;
+              monthEmployerCpfRate = employerCpfContributionRate / 100;
+            }
           }
-        }
-        
-        // Calculate CPF contributions based on age-appropriate rates
-        const cpfContribution = effectiveSalary * monthCpfRate;
-        const employerCpfContribution = effectiveSalary * monthEmployerCpfRate;
         
-        // Calculate take-home pay
-        const takeHomePay = effectiveSalary - cpfContribution;
+          // Calculate CPF contributions based on age-appropriate rates, on salary up to the OW ceiling
+          const ordinaryWageSubjectToCpf = getOrdinaryWageSubjectToCpf(effectiveSalary, cpfPolicy);
+          const cpfContribution = ordinaryWageSubjectToCpf * monthCpfRate;
+          const employerCpfContribution = ordinaryWageSubjectToCpf * monthEmployerCpfRate;
 
-        // Calculate monthly savings (take-home minus expenses, plus bonus, minus upcoming spending, minus yearly expenses)
-        const monthlySavings = takeHomePay - currentExpenses + monthBonusAmount - monthSpendingAmount - monthYearlyExpenseAmount;
+          // Bonuses are Additional Wages. The AW ceiling depends on the whole year's OW, so
+          // estimate it from OW to date plus the current salary for the rest of the year
+          if (monthIndex === 0) {
+            ordinaryWageYearToDate = 0;
+            additionalWageYearToDate = 0;
+          }
+          const monthOrdinaryWage = getOrdinaryWageSubjectToCpf(paidSalary, cpfPolicy);
+          ordinaryWageYearToDate += monthOrdinaryWage;
+          const estimatedOrdinaryWageForYear = ordinaryWageYearToDate + monthOrdinaryWage * (11 - monthIndex);
+          const bonusCpf = calculateAdditionalWageCpf(
+            monthBonusAmount,
+            [monthCpfRate, monthEmployerCpfRate],
+            estimatedOrdinaryWageForYear,
+            additionalWageYearToDate,
+            cpfPolicy
+          );
+          additionalWageYearToDate += bonusCpf.additionalWageSubjectToCpf;
+          const bonusCpfContribution = bonusCpf.employeeContribution;
+          const bonusEmployerCpfContribution = bonusCpf.employerContribution;
+          const totalCpfContribution = cpfContribution + employerCpfContribution +
+            bonusCpfContribution + bonusEmployerCpfContribution;
         
-        // Update cash savings with new savings plus investment returns
-        const investmentReturn = currentLiquidCash * monthlyInvestmentReturn;
+          // Calculate take-home pay
+          const takeHomePay = effectiveSalary - cpfContribution;
+
+          // Income tax billed for an earlier Year of Assessment falling due this month
+          const incomeTax = taxEnabled ? (taxPaymentsByMonth[`${year}-${monthIndex + 1}`] || 0) : 0;
+
+          // Loan instalments due this month; OA-funded instalments are settled after the CPF update
+          const loanMonth = summarizeLoansForMonth(loanSchedules, year, monthIndex + 1);
+
+          // Property bought this month: existing properties appreciate first, the new one is valued at its price
+          const monthPurchases = (Array.isArray(propertyPurchases) ? propertyPurchases : []).filter(purchase =>
+            purchase.year === year && purchase.month === monthIndex + 1
+          );
+          const propertyCashOutlay = monthPurchases.reduce((sum, purchase) => sum + safeParseNumber(purchase.cashOutlay), 0);
+          const propertyCpfOaOutlay = monthPurchases.reduce((sum, purchase) => sum + safeParseNumber(purchase.cpfOaOutlay), 0);
+          ownedProperties = ownedProperties
+            .map(property => ({ ...property, value: property.value * property.growthMultiplier }))
+            .concat(monthPurchases.map(purchase => ({
+              value: safeParseNumber(purchase.price),
+              growthMultiplier: Math.pow(1 + safeParseNumber(purchase.annualAppreciation) / 100, 1 / 12)
+            })));
+          const propertyValue = ownedProperties.reduce((sum, property) => sum + property.value, 0);
+
+          // Calculate monthly savings (take-home minus expenses, plus bonus and severance, minus upcoming spending, minus yearly expenses, minus tax, loans and property outlays)
+          let monthlySavings = takeHomePay - monthExpenses + monthBonusAmount - bonusCpfContribution + severancePayment -
+            monthSpendingAmount - monthYearlyExpenseAmount - incomeTax - loanMonth.cashPayment - propertyCashOutlay;
         
-        // Handle current month logic - don't double-count salary if already received
-        if (month === 0 && isCurrentMonth && salaryAlreadyReceived) {
-          // For current month when salary already received, only add investment returns
-          currentLiquidCash += investmentReturn;
-        } else {
-          // Normal case: add monthly savings plus investment returns
-          currentLiquidCash += monthlySavings + investmentReturn;
-        }
+          // Update cash savings with new savings plus investment returns
+          let investmentReturn;
+          if (currentHoldings) {
+            // Each holding earns its own return; Monte Carlo shifts non-cash returns by the sampled deviation
+            const growth = growHoldings(
+              currentHoldings,
+              holdingsModel,
+              sampledRates ? sampledRates.annualInvestmentReturn - annualInvestmentReturn : 0
+            );
+            currentHoldings = growth.balances;
+            investmentReturn = growth.totalReturn;
+          } else {
+            investmentReturn = currentLiquidCash * monthInvestmentReturn;
+          }
         
-        // Update CPF balance with new contributions plus interest
-        const cpfInterest = currentCpfBalance * monthlyCpfInterestRate;
-        currentCpfBalance += cpfContribution + employerCpfContribution + cpfInterest;
+          // Handle current month logic - don't double-count salary if already received
+          if (monthAlreadyInBalance) {
+            // For current month when salary already received, only add investment returns
+            currentLiquidCash += investmentReturn;
+          } else {
+            // Normal case: add monthly savings plus investment returns
+            currentLiquidCash += monthlySavings + investmentReturn;
+            if (currentHoldings) {
+              currentHoldings = applyHoldingsCashFlow(currentHoldings, monthlySavings, holdingsModel);
+            }
+          }
         
-        // Check if savings goal reached
-        if (currentLiquidCash >= 100000 && savingsGoalIndex === null) {
-          savingsGoalIndex = month;
-        }
+          // Update CPF accounts: allocation, RA at 55, tiered interest and BHS overflow
+          // The MediSave contribution ceiling resets every calendar year
+          if (monthIndex === 0) {
+            yearToDateMediSave = 0;
+          }
+          const cpfStep = stepCpfAccounts(
+            currentCpfAccounts,
+            totalCpfContribution,
+            allocationAge + Math.floor(month / 12),
+            yearToDateMediSave,
+            cpfPolicy,
+            retirementAccountOpened
+          );
+          currentCpfAccounts = cpfStep.balances;
+          yearToDateMediSave = cpfStep.yearToDateMediSaveContribution;
+          retirementAccountOpened = cpfStep.retirementAccountOpened;
+          cpfContributionsYearToDate = (monthIndex === 0 ? 0 : cpfContributionsYearToDate) + totalCpfContribution;
+          const cpfInterest = cpfStep.interest.totalInterest;
+
+          // Pay the OA share of a purchase, then OA-funded instalments, from the OA balance; any shortfall comes out of cash.
+          // Each purchase opens a housing ledger and instalments go against the latest one, up to its Withdrawal Limit
+          const availableOa = Math.max(0, currentCpfAccounts[CPF_ACCOUNT.ORDINARY]);
+          housingLedgers = housingLedgers.map(ledger => accrueHousingInterest(ledger, monthIndex + 1));
+          let propertyPaidFromCpf = 0;
+          for (const purchase of monthPurchases) {
+            const housingStep = withdrawForHousing(
+              createHousingLedger({ name: `Property bought ${monthNames[monthIndex]} ${year}`, valuationLimit: purchase.price }),
+              Math.min(safeParseNumber(purchase.cpfOaOutlay), availableOa - propertyPaidFromCpf)
+            );
+            housingLedgers = [...housingLedgers, housingStep.ledger];
+            propertyPaidFromCpf += housingStep.withdrawn;
+          }
+          let loanPaidFromCpf = 0;
+          if (loanMonth.cpfOaPayment > 0) {
+            const housingStep = withdrawForHousing(
+              housingLedgers.length > 0 ? housingLedgers[housingLedgers.length - 1] : createHousingLedger(),
+              Math.min(loanMonth.cpfOaPayment, availableOa - propertyPaidFromCpf)
+            );
+            housingLedgers = [...housingLedgers.slice(0, -1), housingStep.ledger];
+            loanPaidFromCpf = housingStep.withdrawn;
+          }
+          const housingUsage = housingLedgers.map(ledger => ({
+            name: ledger.name,
+            valuationLimit: ledger.valuationLimit,
+            status: getValuationLimitStatus(ledger),
+            ...calculateHousingRefund(ledger)
+          }));
+          const propertyCashTopUp = propertyCpfOaOutlay - propertyPaidFromCpf;
+          const loanCashTopUp = loanMonth.cpfOaPayment - loanPaidFromCpf;
+          if (propertyPaidFromCpf + loanPaidFromCpf > 0) {
+            currentCpfAccounts = {
+              ...currentCpfAccounts,
+              [CPF_ACCOUNT.ORDINARY]: currentCpfAccounts[CPF_ACCOUNT.ORDINARY] - propertyPaidFromCpf - loanPaidFromCpf
+            };
+          }
+          if (propertyCashTopUp + loanCashTopUp > 0) {
+            monthlySavings -= propertyCashTopUp + loanCashTopUp;
+            if (!monthAlreadyInBalance) {
+              currentLiquidCash -= propertyCashTopUp + loanCashTopUp;
+              if (currentHoldings) {
+                currentHoldings = applyHoldingsCashFlow(currentHoldings, -(propertyCashTopUp + loanCashTopUp), holdingsModel);
+              }
+            }
+          }
+          const loanPaidFromCash = loanMonth.cashPayment + loanCashTopUp;
+
+          // Move this month's goal contributions out of the OA and cash savings (sub-accounts are funded from savings).
+          // Goal balances entered after this month's contributions only grow
+          const goalStep = stepSavingsGoals(
+            currentGoalBalances,
+            monthAlreadyInBalance ? fundedGoals.map(goal => ({ ...goal, monthlyContribution: 0 })) : fundedGoals,
+            currentCpfAccounts[CPF_ACCOUNT.ORDINARY]
+          );
+          currentGoalBalances = goalStep.balances;
+          const goalContributionsFromCash = goalStep.contributions.cash + goalStep.contributions.subAccount;
+          const goalContributionsFromCpf = goalStep.contributions.cpfOa;
+          if (goalContributionsFromCpf > 0) {
+            currentCpfAccounts = {
+              ...currentCpfAccounts,
+              [CPF_ACCOUNT.ORDINARY]: currentCpfAccounts[CPF_ACCOUNT.ORDINARY] - goalContributionsFromCpf
+            };
+          }
+          if (goalContributionsFromCash > 0) {
+            monthlySavings -= goalContributionsFromCash;
+            currentLiquidCash -= goalContributionsFromCash;
+            if (currentHoldings) {
+              currentHoldings = applyHoldingsCashFlow(currentHoldings, -goalContributionsFromCash, holdingsModel);
+            }
+          }
+          const goalSavings = Object.values(currentGoalBalances).reduce((sum, balance) => sum + balance, 0);
+          const propertyPaidFromCash = propertyCashOutlay + propertyCashTopUp;
+
+          // SRS: the balance grows, then this month's withdrawals and contribution move cash in and out.
+          // Penalty-free withdrawals are taken each year from withdrawalStartAge, after which no more contributions are made
+          let srsContribution = 0;
+          let srsWithdrawal = { amount: 0, taxable: 0, penalty: 0, received: 0 };
+          if (srsAccount) {
+            const srsAge = allocationAge + Math.floor(month / 12);
+            currentSrsBalance *= 1 + srsMonthlyReturn;
+
+            const datedWithdrawal = calculateSrsWithdrawal(
+              Math.min(currentSrsBalance, getSrsWithdrawalsForMonth(srsAccount, year, monthIndex + 1)),
+              srsAge >= srsAccount.retirementAge
+            );
+            if (!monthAlreadyInBalance) {
+              currentSrsBalance -= datedWithdrawal.amount;
+            }
 
-        // Calculate net worth
-        const totalNetWorth = currentLiquidCash + currentCpfBalance;
+            const withdrawalYear = srsAge >= srsAccount.withdrawalStartAge && month % 12 === 0 &&
+              srsWithdrawalsTaken < SRS_WITHDRAWAL_YEARS;
+            const scheduledWithdrawal = calculateSrsWithdrawal(
+              withdrawalYear ? getSrsWithdrawalAmount(currentSrsBalance, srsWithdrawalsTaken) : 0,
+              true
+            );
+            if (withdrawalYear) {
+              srsWithdrawalsTaken += 1;
+              if (!monthAlreadyInBalance) {
+                currentSrsBalance -= scheduledWithdrawal.amount;
+              }
+            }
+
+            srsWithdrawal = {
+              amount: datedWithdrawal.amount + scheduledWithdrawal.amount,
+              taxable: datedWithdrawal.taxable + scheduledWithdrawal.taxable,
+              penalty: datedWithdrawal.penalty,
+              received: datedWithdrawal.received + scheduledWithdrawal.received
+            };
+            if (srsAge < srsAccount.withdrawalStartAge && monthIndex + 1 === srsAccount.contributionMonth) {
+              srsContribution = srsAccount.annualContribution;
+              if (!monthAlreadyInBalance) {
+                currentSrsBalance += srsContribution;
+              }
+            }
+
+            // Already-made contributions and withdrawals still count for this year's tax
+            const srsCashFlow = srsWithdrawal.received - srsContribution;
+            if (srsCashFlow !== 0 && !monthAlreadyInBalance) {
+              monthlySavings += srsCashFlow;
+              currentLiquidCash += srsCashFlow;
+              if (currentHoldings) {
+                currentHoldings = applyHoldingsCashFlow(currentHoldings, srsCashFlow, holdingsModel);
+              }
+            }
+            if (taxEnabled) {
+              recordSrs(year, srsContribution, srsWithdrawal.taxable);
+            }
+          }
+
+          // CPF top-ups due this month: own top-ups are credited up to the account's room, family top-ups only leave cash
+          const cpfTopUp = { self: 0, family: 0, mediSave: 0 };
+          for (const topUp of getCpfTopUpsForMonth(scheduledCpfTopUps, year, monthIndex + 1)) {
+            if (topUp.recipient === CPF_TOPUP_RECIPIENT.FAMILY) {
+              cpfTopUp.family += topUp.amount;
+              continue;
+            }
+            const { account, room } = getCpfTopUpRoom(
+              topUp.account,
+              currentCpfAccounts,
+              allocationAge + Math.floor(month / 12),
+              cpfPolicy,
+              cpfContributionsYearToDate
+            );
+            const credited = Math.min(topUp.amount, room);
+            if (credited <= 0) {
+              continue;
+            }
+            if (!monthAlreadyInBalance) {
+              currentCpfAccounts = { ...currentCpfAccounts, [account]: currentCpfAccounts[account] + credited };
+            }
+            if (account === CPF_ACCOUNT.MEDISAVE) {
+              cpfTopUp.mediSave += credited;
+              cpfContributionsYearToDate += credited;
+            } else {
+              cpfTopUp.self += credited;
+            }
+          }
+          const cpfTopUpPaid = cpfTopUp.self + cpfTopUp.family + cpfTopUp.mediSave;
+          if (cpfTopUpPaid > 0) {
+            monthlySavings -= cpfTopUpPaid;
+            // Top-ups already paid this month are in the entered cash and CPF balances but still earn relief
+            if (!monthAlreadyInBalance) {
+              currentLiquidCash -= cpfTopUpPaid;
+              if (currentHoldings) {
+                currentHoldings = applyHoldingsCashFlow(currentHoldings, -cpfTopUpPaid, holdingsModel);
+              }
+            }
+            if (taxEnabled) {
+              recordCpfTopUps(year, cpfTopUp);
+            }
+          }
 
-        // Format date consistently using pre-calculated month names (performance optimized)
-        const formattedDate = `${monthNames[monthIndex]} ${year}`;
+          const currentCpfBalance = currentCpfAccounts[CPF_ACCOUNT.ORDINARY] +
+            currentCpfAccounts[CPF_ACCOUNT.SPECIAL] +
+            currentCpfAccounts[CPF_ACCOUNT.MEDISAVE] +
+            currentCpfAccounts[CPF_ACCOUNT.RETIREMENT];
+
+          // Calculate net worth (property, goal savings and SRS count towards it, outstanding loans against it)
+          const loanBalance = loanMonth.balance;
+          const totalNetWorth = currentLiquidCash + currentCpfBalance + goalSavings + currentSrsBalance +
+            propertyValue - loanBalance;
+
+          // Format date consistently using pre-calculated month names (performance optimized)
+          const formattedDate = `${monthNames[monthIndex]} ${year}`;
         
-        // Calculate cash flow components for better analysis
-        const totalIncome = effectiveSalary + employerCpfContribution + monthBonusAmount;
-        const totalOutflow = currentExpenses + cpfContribution + monthSpendingAmount + monthYearlyExpenseAmount;
-        const netCashFlow = totalIncome - totalOutflow;
+          // Calculate cash flow components for better analysis
+          const totalIncome = effectiveSalary + employerCpfContribution + monthBonusAmount + bonusEmployerCpfContribution +
+            severancePayment + srsWithdrawal.received;
+          const totalOutflow = monthExpenses + cpfContribution + bonusCpfContribution +
+            monthSpendingAmount + monthYearlyExpenseAmount + incomeTax + loanPaidFromCash + propertyPaidFromCash +
+            srsContribution + cpfTopUpPaid;
+          const netCashFlow = totalIncome - totalOutflow;
+
+          // Tax is assessed on the salary earned this month, even if it was paid before the projection started.
+          // Severance is compensation for loss of employment, which isn't taxed
+          if (taxEnabled) {
+            recordTaxableIncome(
+              year,
+              paidSalary + monthBonusAmount,
+              monthOrdinaryWage * monthCpfRate + bonusCpfContribution
+            );
+            if (monthIndex === 11) {
+              assessYear(year);
+            }
+          }
         
-        // Add enhanced month data to projection
-        projection.push({
-          month: month + 1,
-          date: formattedDate,
+          // Add enhanced month data to projection
+          projection.push({
+            month: month + 1,
+            date: formattedDate,
           
-          // Income components
-          monthlySalary: effectiveSalary,
-          fullMonthlySalary: currentSalary,
-          bonusAmount: monthBonusAmount,
-          yearlyBonus: yearlyBonus,
-          isBonus,
-          totalIncome,
+            // Income components
+            monthlySalary: effectiveSalary,
+            fullMonthlySalary: currentSalary,
+            salaryPayFactor: salaryMonth.payFactor,
+            salaryEvents: salaryMonth.events,
+            severancePayment,
+            bonusAmount: monthBonusAmount,
+            yearlyBonus: yearlyBonus,
+            isBonus,
+            totalIncome,
           
-          // CPF components
-          cpfContribution,
-          employerCpfContribution,
-          totalCpfContribution: cpfContribution + employerCpfContribution,
+            // CPF components
+            cpfContribution,
+            employerCpfContribution,
+            ordinaryWageSubjectToCpf,
+
+            // CPF on bonuses (Additional Wages)
+            bonusCpfContribution,
+            bonusEmployerCpfContribution,
+            additionalWageSubjectToCpf: bonusCpf.additionalWageSubjectToCpf,
+            additionalWageCeiling: bonusCpf.ceiling,
+            totalCpfContribution,
+
+            // Income tax paid this month
+            incomeTax,
+
+            // Loan instalments and outstanding balance at month end
+            loanPayment: loanMonth.payment,
+            loanPaidFromCash,
+            loanPaidFromCpf,
+            loanInterest: loanMonth.interest,
+            loanBalance,
+
+            // Property purchase outlays this month and value of property owned at month end
+            propertyPaidFromCash,
+            propertyPaidFromCpf,
+            propertyValue,
+
+            // OA used for housing to date, its accrued interest and the refund due on a sale, per property and in total
+            cpfHousingWithdrawn: housingUsage.reduce((sum, usage) => sum + usage.principalWithdrawn, 0),
+            cpfHousingAccruedInterest: housingUsage.reduce((sum, usage) => sum + usage.accruedInterest, 0),
+            cpfHousingRefundDue: housingUsage.reduce((sum, usage) => sum + usage.refundDue, 0),
+            cpfHousingUsage: housingUsage,
+
+            // Savings goal contributions this month and goal balances at month end
+            goalContributionsFromCash,
+            goalContributionsFromCpf,
+            goalBalances: { ...currentGoalBalances },
+            goalSavings,
+
+            // SRS contribution and withdrawals this month (penalty deducted from what is received) and balance at month end
+            srsContribution,
+            srsWithdrawal: srsWithdrawal.amount,
+            srsTaxableWithdrawal: srsWithdrawal.taxable,
+            srsPenalty: srsWithdrawal.penalty,
+            srsBalance: currentSrsBalance,
+
+            // CPF top-ups paid this month (all cash out) and the part for family members
+            cpfTopUp: cpfTopUpPaid,
+            cpfTopUpFamily: cpfTopUp.family,
           
-          // Cash flow components
-          takeHomePay,
-          monthlyExpenses: currentExpenses,
-          monthlySavings,
-          monthlySavingsAdded: (month === 0 && isCurrentMonth && salaryAlreadyReceived) ? 0 : monthlySavings,
-          netCashFlow,
-          totalOutflow,
-
-          // Balances
-          cashSavings: currentLiquidCash,
-          cpfBalance: currentCpfBalance,
-          totalNetWorth,
+            // Cash flow components
+            takeHomePay,
+            monthlyExpenses: monthExpenses,
+            monthlySavings,
+            monthlySavingsAdded: monthAlreadyInBalance ? 0 : monthlySavings,
+            netCashFlow,
+            totalOutflow,
+
+            // Balances (cashSavings is all liquid savings; holdingBalances splits it by asset class)
+            cashSavings: currentLiquidCash,
+            holdingBalances: currentHoldings ? { ...currentHoldings } : null,
+            cpfBalance: currentCpfBalance,
+            cpfOaBalance: currentCpfAccounts[CPF_ACCOUNT.ORDINARY],
+            cpfSaBalance: currentCpfAccounts[CPF_ACCOUNT.SPECIAL],
+            cpfMaBalance: currentCpfAccounts[CPF_ACCOUNT.MEDISAVE],
+            cpfRaBalance: currentCpfAccounts[CPF_ACCOUNT.RETIREMENT],
+            cpfAllocation: {
+              [CPF_ACCOUNT.ORDINARY]: cpfStep.allocation[CPF_ACCOUNT.ORDINARY],
+              [CPF_ACCOUNT.SPECIAL]: cpfStep.allocation[CPF_ACCOUNT.SPECIAL],
+              [CPF_ACCOUNT.MEDISAVE]: cpfStep.allocation[CPF_ACCOUNT.MEDISAVE]
+            },
+            mediSaveOverflow: cpfStep.mediSaveOverflow,
+            retirementAccountCreated: cpfStep.retirementAccountCreated,
+            totalNetWorth,
           
-          // Returns and growth
-          investmentReturn,
-          cpfInterest,
+            // Returns and growth
+            investmentReturn,
+            cpfInterest,
           
-          // Timing analysis
-          isCurrentMonth: month === 0 && isCurrentMonth,
+            // Timing analysis
+            isCurrentMonth: month === 0 && isCurrentMonth,
           
-          // Upcoming spending data
-          upcomingSpendingAmount: monthSpendingAmount,
-          upcomingSpendingItems: upcomingSpendingData.items,
-          upcomingSpendingDescription: upcomingSpendingData.description,
-          hasUpcomingSpending,
-
-          // Yearly expenses data
-          yearlyExpenseAmount: monthYearlyExpenseAmount,
-          yearlyExpenseItems: yearlyExpenseData.items,
-          yearlyExpenseDescription: yearlyExpenseData.description,
-          hasYearlyExpense,
-
-          // Additional metadata
-          year,
-          monthIndex: monthIndex + 1,
-          projectionMonth: month + 1
-        });
-        
-        // Optional: Stop early if all milestones reached and we have enough data
-        if (savingsGoalIndex !== null && month > 60) {
-          break;
+            // Upcoming spending data
+            upcomingSpendingAmount: monthSpendingAmount,
+            upcomingSpendingItems: upcomingSpendingData.items,
+            upcomingSpendingDescription: upcomingSpendingData.description,
+            hasUpcomingSpending,
+
+            // Yearly expenses data
+            yearlyExpenseAmount: monthYearlyExpenseAmount,
+            yearlyExpenseItems: yearlyExpenseData.items,
+            yearlyExpenseDescription: yearlyExpenseData.description,
+            hasYearlyExpense,
+
+            // Additional metadata
+            year,
+            monthIndex: monthIndex + 1,
+            projectionMonth: month + 1
+          });
+        }
+
+        // Assessments are only reported for the deterministic path
+        if (!sampleRates) {
+          projectedTaxAssessments = assessments;
+        }
+
+        return projection;
+      };
+
+      const projection = runProjectionPath();
+
+      // Evaluate every goal over the full horizon
+      const goalResults = evaluateGoals(projection, goals, {
+        projectionStartMonth,
+        projectionStartYear,
+        annualInvestmentReturn,
+        // On the same basis as the rows: cash and OA exclude savings-goal balances, net worth includes them
+        startingBalances: {
+          [GOAL_BALANCE_TYPE.CASH]: openingLiquidCash,
+          [GOAL_BALANCE_TYPE.CPF_OA]: openingOaBalance,
+          [GOAL_BALANCE_TYPE.NET_WORTH]: safeParseNumber(liquidCash) + initialCpfBalance + (srsAccount ? srsAccount.balance : 0)
         }
+      });
+
+      // Legacy savings goal fields follow the highest-priority cash goal
+      const primaryCashGoal = goalResults.find(goal => goal.balanceType === GOAL_BALANCE_TYPE.CASH);
+      const savingsGoalIndex = primaryCashGoal ? primaryCashGoal.reachedIndex : null;
+
+      // Monte Carlo mode: re-run the same model with randomised returns, salary growth
+      // and inflation, then summarise the paths as percentile bands
+      let monteCarloResult = null;
+      if (monteCarlo && monteCarlo.enabled) {
+        const goalAmount = safeParseNumber(monteCarlo.goalAmount, 100000);
+        const simulation = runMonteCarloSimulation(
+          (sampleRates) => runProjectionPath(sampleRates),
+          { annualInvestmentReturn, annualSalaryIncrease, annualExpenseIncrease },
+          { ...monteCarlo, goalField: 'cashSavings', goalAmount }
+        );
+
+        // Deadline for the goal probability, defaulting to the end of the projection
+        const goalDeadlineIndex = monteCarlo.goalDate
+          ? (monteCarlo.goalDate.year - projectionStartYear) * 12 + (monteCarlo.goalDate.month - projectionStartMonth)
+          : totalMonths - 1;
+
+        monteCarloResult = {
+          iterations: simulation.iterations,
+          seed: simulation.seed,
+          bands: simulation.bands,
+          goalAmount,
+          goalDate: monteCarlo.goalDate || null,
+          goalProbability: goalDeadlineIndex < 0
+            ? 0
+            : calculateProbabilityByMonth(simulation.goalHitMonths, goalDeadlineIndex),
+          goalHitMonths: simulation.goalHitMonths
+        };
       }
-      
+
       // Set milestone information
       const savingsGoalReached = savingsGoalIndex !== null ? projection[savingsGoalIndex] : null;
 
@@ -397,6 +1043,12 @@ const useProjection = (initialData, initialSettings) => {
         projection,
         savingsGoalReachedMonth: savingsGoalReached,
         timeToSavingsGoal: formatTimeToMilestone(savingsGoalIndex),
+        goalResults: goalResults.map(goal => ({
+          ...goal,
+          timeToReach: formatTimeToMilestone(goal.reachedIndex)
+        })),
+        monteCarlo: monteCarloResult,
+        taxAssessments: projectedTaxAssessments,
         // Additional insights
         projectionMetadata: {
           projectionStartMonth,
@@ -420,12 +1072,12 @@ const useProjection = (initialData, initialSettings) => {
     data?.cpfBalance,
     data?.currentAge,
     data?.employeeType,
+    data?.cpfAccounts,
     
     // Key settings that affect calculation
     settings?.annualSalaryIncrease,
     settings?.annualExpenseIncrease,
     settings?.annualInvestmentReturn,
-    settings?.annualCpfInterestRate,
     settings?.projectionYears,
     settings?.bonusMonths,
     settings?.bonusAmount,
@@ -434,6 +1086,18 @@ const useProjection = (initialData, initialSettings) => {
     settings?.yearlyBonuses,
     settings?.yearlyExpenses,
     settings?.upcomingSpending,
+    settings?.goals,
+    settings?.monteCarlo,
+    settings?.tax,
+    settings?.loans,
+    settings?.propertyPurchases,
+    settings?.holdings,
+    settings?.savingsGoals,
+    settings?.salaryAdjustments,
+    settings?.srs,
+    settings?.cpfTopUps,
+    settings?.cpfHousing,
+    settings?.cpfPolicyEscalation,
 
     // Function dependencies (these are memoized)
     validateInputs,
@@ -456,6 +1120,9 @@ const useProjection = (initialData, initialSettings) => {
         setProjectionData(result.projection || []);
         setSavingsGoalReachedMonth(result.savingsGoalReachedMonth || null);
         setTimeToSavingsGoal(result.timeToSavingsGoal || 'Not within projection');
+        setGoalResults(result.goalResults || []);
+        setMonteCarloResult(result.monteCarlo || null);
+        setTaxAssessments(result.taxAssessments || []);
       }
     } catch (error) {
       handleError(error, { source: 'useEffect projection generator' });
@@ -464,6 +1131,9 @@ const useProjection = (initialData, initialSettings) => {
       setProjectionData([]);
       setSavingsGoalReachedMonth(null);
       setTimeToSavingsGoal('Not within projection');
+      setGoalResults([]);
+      setMonteCarloResult(null);
+      setTaxAssessments([]);
     }
   }, [data, settings, generateProjection, handleError]);
 
@@ -486,6 +1156,15 @@ const useProjection = (initialData, initialSettings) => {
     projectionData,
     savingsGoalReachedMonth,
     timeToSavingsGoal,
+
+    // Per-goal reach month, deadline shortfall and monthly shortfall
+    goalResults,
+
+    // Monte Carlo percentile bands (null unless settings.monteCarlo.enabled)
+    monteCarloResult,
+
+    // Income tax per Year of Assessment with its payment schedule
+    taxAssessments,
     
     // Settings management
     settings,
@@ -503,11 +1182,21 @@ const useProjection = (initialData, initialSettings) => {
         setProjectionData(result.projection);
         setSavingsGoalReachedMonth(result.savingsGoalReachedMonth);
         setTimeToSavingsGoal(result.timeToSavingsGoal);
+        setGoalResults(result.goalResults || []);
+        setMonteCarloResult(result.monteCarlo || null);
+        setTaxAssessments(result.taxAssessments || []);
       }
       return result;
     },
     
     // Utility methods
+    // Probability (0-100) of reaching the Monte Carlo goal amount by a given month/year
+    getGoalProbability: (month, year) => {
+      if (!monteCarloResult) return null;
+      const deadlineIndex = (year - settings.projectionStartYear) * 12 + (month - settings.projectionStartMonth);
+      return deadlineIndex < 0 ? 0 : calculateProbabilityByMonth(monteCarloResult.goalHitMonths, deadlineIndex);
+    },
+
     setProjectionStart: (month, year) => updateSettings({ 
       projectionStartMonth: month, 
       projectionStartYear: year 
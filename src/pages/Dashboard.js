@@ -1,4 +1,4 @@
-import React, { useContext, useState } from "react";
+import React, { useContext, useState, useMemo } from "react";
 import { FinancialContext } from "../context/FinancialContext";
 import ExpenseBreakdown from "../components/dashboard/ExpenseBreakdown";
 import { 
@@ -9,11 +9,28 @@ import {
 import Card from "../components/common/Card";
 import { formatCurrency, formatPercent } from "../services/formatters/currencyFormatters";
 import CpfDashboard from "../components/CpfDashboard";
+import ProjectionDashboard from "../components/dashboard/ProjectionDashboard";
+import MilestonesDashboard from "../components/dashboard/MilestonesDashboard";
 import CashFlowTiming from "../components/dashboard/CashFlowTiming";
 import UpcomingSpending from "../components/dashboard/UpcomingSpending";
+import TransactionImport from "../components/dashboard/TransactionImport";
+import MonthlyClose from "../components/dashboard/MonthlyClose";
+import LoanManager from "../components/dashboard/LoanManager";
+import PropertyPurchase from "../components/dashboard/PropertyPurchase";
+import HoldingsManager from "../components/dashboard/HoldingsManager";
+import SalaryTimeline from "../components/dashboard/SalaryTimeline";
 import YearlyExpenseBreakdown from "../components/charts/YearlyExpenseBreakdown";
 import ConsolidatedExpenseBreakdown from "../components/charts/ConsolidatedExpenseBreakdown";
 import useIntraMonthCashFlow from "../hooks/useIntraMonthCashFlow";
+import useFinancialCalculations from "../hooks/useFinancialCalculations";
+import {
+  categorizeTransactions,
+  calculateMonthlySpendByCategory
+} from "../services/transactions/categorization";
+import {
+  SALARY_EVENT_TYPE_LABELS,
+  normalizeSalaryEvents
+} from "../services/calculations/salaryTimeline";
 
 /**
  * Dashboard Page Component
@@ -24,7 +41,9 @@ import useIntraMonthCashFlow from "../hooks/useIntraMonthCashFlow";
 const Dashboard = () => {
   const {
     financialData,
-    updateProjectionSettings,
+    updateProjectionSettings: saveProjectionSettings,
+    addProjectionGoal,
+    removeProjectionGoal,
     totalExpenses,
     getMonthName,
   } = useContext(FinancialContext);
@@ -35,218 +54,29 @@ const Dashboard = () => {
   // Cash flow timing analysis
   const { cashFlowAnalysis, liquidityWarnings } = useIntraMonthCashFlow(financialData);
 
-  // State for projection rows to display
-  const [rowsToDisplay, setRowsToDisplay] = useState(
-    financialData.projectionSettings?.rowsToDisplay || 36
-  );
-
-  // Handle changing the number of rows to display
-  const handleRowsToDisplayChange = (e) => {
-    const value = parseInt(e.target.value);
-    setRowsToDisplay(value);
-    updateProjectionSettings({
-      rowsToDisplay: value,
-    });
-  };
-
-  // Calculate financial projection
-  const calculateProjection = () => {
-    const projection = [];
-
-    // Extract values from context
-    const { personalInfo, income, yearlyBonuses, upcomingSpending } = financialData;
-
-    // Initial values
-    let currentSavings = personalInfo.currentSavings;
-    let cpfBalance = personalInfo.currentCpfBalance || 0; // Use user-provided CPF balance
-    const birthYear = personalInfo.birthday.year;
-    const birthMonth = personalInfo.birthday.month;
-
-    // Parameters
-    let currentSalary = income.currentSalary;
-    const cpfRate = income.cpfRate / 100;
-    const employerCpfRate = income.employerCpfRate / 100;
-    const monthlyExpenses = totalExpenses;
-
-    // Calculate months - auto-detect current month
-    const currentDate = new Date();
-    let startMonth = currentDate.getMonth() + 1;
-    let startYear = currentDate.getFullYear();
-
-    // Get salary adjustments if available, or create from legacy data
-    const salaryAdjustments = income.salaryAdjustments || [];
-
-    // If using legacy format, convert to array format for compatibility
-    if (!income.salaryAdjustments && income.futureSalary) {
-      salaryAdjustments.push({
-        month: income.salaryAdjustmentMonth,
-        year: income.salaryAdjustmentYear,
-        newSalary: income.futureSalary,
-      });
-    }
-
-    // Sort salary adjustments by date
-    const sortedAdjustments = [...salaryAdjustments].sort((a, b) => {
-      if (a.year !== b.year) return a.year - b.year;
-      return a.month - b.month;
-    });
-
-    // Get yearly bonuses
-    const sortedBonuses = yearlyBonuses
-      ? [...yearlyBonuses].sort((a, b) => {
-          if (a.year !== b.year) return a.year - b.year;
-          return a.month - b.month;
-        })
-      : [];
-
-    // Track milestones
-    let savingsGoalReachedMonth = null; // This will now track only cash savings (excluding CPF)
-
-    // Generate projection for 60 months (5 years)
-    for (let month = 0; month < 60; month++) {
-      const currentMonth = ((startMonth + month - 1) % 12) + 1;
-      const currentYear =
-        startYear + Math.floor((startMonth + month - 1) / 12);
-      const monthYearStr = `${getMonthName(currentMonth).substring(
-        0,
-        3
-      )} ${currentYear}`;
-
-      // Calculate age
-      let ageYears = currentYear - birthYear;
-      let ageMonths = currentMonth - birthMonth;
-      if (ageMonths < 0) {
-        ageYears--;
-        ageMonths += 12;
-      }
-      const ageStr = `${ageYears}y ${ageMonths}m`;
-
-      // Check for salary adjustments
-      for (const adjustment of sortedAdjustments) {
-        if (
-          currentMonth === adjustment.month &&
-          currentYear === adjustment.year
-        ) {
-          currentSalary = adjustment.newSalary;
-          break;
-        }
-      }
-
-      // Calculate take-home pay
-      // const cpfContribution = currentSalary * cpfRate;
-      // const employerCpf = currentSalary * employerCpfRate;
-
-      // Check for yearly bonuses in this month
-      let bonusAmount = 0;
-      let bonusDescription = "";
-
-      for (const bonus of sortedBonuses) {
-        if (
-          currentMonth === bonus.month &&
-          currentYear === bonus.year
-        ) {
-          bonusAmount += bonus.amount;
-          bonusDescription = bonusDescription
-            ? `${bonusDescription}, ${bonus.description}`
-            : bonus.description;
-        }
-      }
-
-      // Check for upcoming spending in this month
-      let upcomingSpendingAmount = 0;
-      let upcomingSpendingDescription = "";
-
-      if (upcomingSpending && Array.isArray(upcomingSpending)) {
-        for (const spending of upcomingSpending) {
-          if (
-            currentMonth === spending.month &&
-            currentYear === spending.year
-          ) {
-            upcomingSpendingAmount += spending.amount;
-            upcomingSpendingDescription = upcomingSpendingDescription
-              ? `${upcomingSpendingDescription}, ${spending.name}`
-              : spending.name;
-          }
-        }
-      }
-
-      // Check if this is the current month and handle salary timing
-      const isCurrentMonthProjection = month === 0;
-      const salaryDay = income.salaryDay || 25; // Default to 25th if not specified
-      const salaryAlreadyReceived = isCurrentMonthProjection && currentDate.getDate() > salaryDay;
-      
-      // For current month, don't add salary if already received (it's in current savings)
-      const effectiveSalary = (isCurrentMonthProjection && salaryAlreadyReceived) ? 0 : currentSalary;
-      const effectiveTakeHomePay = effectiveSalary - (effectiveSalary * cpfRate);
-      const effectiveCpfContribution = effectiveSalary * cpfRate;
-      const effectiveEmployerCpf = effectiveSalary * employerCpfRate;
-      
-      // Calculate monthly savings (including any bonuses, minus upcoming spending)
-      const monthlySavings =
-        effectiveTakeHomePay - monthlyExpenses + bonusAmount - upcomingSpendingAmount;
-
-      // Update balances - use effective values for current month
-      cpfBalance += effectiveCpfContribution + effectiveEmployerCpf;
-      
-      // For current month, only add savings if salary hasn't been received yet
-      if (isCurrentMonthProjection && salaryAlreadyReceived) {
-        // Don't add monthly savings to avoid double-counting
-      } else {
-        currentSavings += monthlySavings;
-      }
-      
-      const totalNetWorth = currentSavings + cpfBalance;
-
-      // Record savings goal milestone - now only for cash savings (excluding CPF)
-      if (currentSavings >= 100000 && savingsGoalReachedMonth === null) {
-        savingsGoalReachedMonth = month;
-      }
+  // Projection (income tax, per-account CPF, loans, goals, salary timeline) from useProjection
+  const {
+    projection,
+    projectionInputs,
+    savingsGoalReachedMonth,
+    goalResults,
+    currentAge,
+    totalAssets,
+    takeHomePay = 0,
+    monteCarloResult,
+    taxAssessments,
+    projectionSettings,
+    updateProjectionSettings,
+  } = useFinancialCalculations();
 
-      // Create data point
-      projection.push({
-        month: month + 1,
-        date: monthYearStr,
-        age: ageStr,
-        monthlySalary: effectiveSalary, // Use effective salary for current month
-        monthlyIncome: effectiveSalary + bonusAmount, // Total income including bonus for table display
-        takeHomePay: effectiveTakeHomePay, // Use effective take-home for current month
-        monthlyExpenses: monthlyExpenses, // Match the expected field name
-        expenses: monthlyExpenses,
-        monthlySavings: monthlySavings,
-        bonusAmount: bonusAmount,
-        bonusDescription: bonusDescription,
-        upcomingSpendingAmount: upcomingSpendingAmount,
-        upcomingSpendingDescription: upcomingSpendingDescription,
-        hasUpcomingSpending: upcomingSpendingAmount > 0,
-        cpfContribution: effectiveCpfContribution, // Use effective CPF for current month
-        employerCpfContribution: effectiveEmployerCpf, // Use effective employer CPF for current month
-        totalCpfContribution: effectiveCpfContribution + effectiveEmployerCpf,
-        cpfBalance: cpfBalance,
-        cashSavings: currentSavings,
-        totalNetWorth: totalNetWorth,
-        milestone:
-          month === savingsGoalReachedMonth
-            ? "100K Cash Savings Goal"
-            : bonusAmount > 0
-            ? bonusDescription
-            : upcomingSpendingAmount > 0
-            ? `Spending: ${upcomingSpendingDescription}`
-            : null,
-      });
+  // Apply projection settings; the Monte Carlo options are also saved so the bands stay on
+  const handleProjectionSettingsUpdate = (settings) => {
+    updateProjectionSettings(settings);
+    if (settings.monteCarlo) {
+      saveProjectionSettings({ monteCarlo: settings.monteCarlo });
     }
-
-    return {
-      projection,
-      savingsGoalReachedMonth:
-        savingsGoalReachedMonth !== null
-          ? projection[savingsGoalReachedMonth]
-          : null,
-    };
   };
 
-  const { projection, savingsGoalReachedMonth } =
-    calculateProjection();
-
   // Expense breakdown for pie chart
   const expenseData = [
     ...financialData.expenses.map((expense) => ({
@@ -255,24 +85,42 @@ const Dashboard = () => {
     })),
   ];
 
-  // Extract summary data
-  const timeToSavingsGoal = savingsGoalReachedMonth
-    ? `${Math.floor(savingsGoalReachedMonth.month / 12)} years ${
-        savingsGoalReachedMonth.month % 12
-      } months`
-    : "Not within projection";
+  // Actual spend per category from imported bank transactions
+  const monthlyActuals = useMemo(
+    () => calculateMonthlySpendByCategory(
+      categorizeTransactions(financialData.transactions || [], financialData.categoryRules || [])
+    ),
+    [financialData.transactions, financialData.categoryRules]
+  );
 
-  // Current monthly income & expenses breakdown
-  const currentSalary = financialData.income.currentSalary;
-  const cpfContribution =
-    currentSalary * (financialData.income.cpfRate / 100);
-  const takeHomePay = currentSalary - cpfContribution;
+  // Current monthly income & expenses breakdown (this month's salary on the salary timeline)
   const monthlyExpenses = totalExpenses;
   const monthlySavings = takeHomePay - monthlyExpenses;
-  const savingsRate = monthlySavings / takeHomePay;
+  const savingsRate = takeHomePay > 0 ? monthlySavings / takeHomePay : 0;
+
+  // Yearly bonuses within the projection, shown alongside the goals
+  const bonusMilestones = (financialData.yearlyBonuses || [])
+    .map((bonus) => {
+      const bonusMonth = projection.find(
+        (p) => p.date === `${getMonthName(bonus.month).substring(0, 3)} ${bonus.year}`
+      );
+      return bonusMonth
+        ? {
+            id: `bonus-${bonus.id}`,
+            title: bonus.description,
+            description: `Bonus of ${formatCurrency(bonus.amount)}`,
+            date: bonusMonth.date,
+            timeRemaining: bonusMonth.month - 1,
+            complete: false,
+            type: "income",
+            amount: bonus.amount,
+          }
+        : null;
+    })
+    .filter(Boolean);
 
-  // Filtered data for charts (every 3 months)
-  const chartData = projection.filter((item, index) => index % 3 === 0);
+  // Filtered data for charts (first 5 years, every 3 months)
+  const chartData = projection.slice(0, 60).filter((item, index) => index % 3 === 0);
 
   // Calculate asset allocation percentages
   // const liquidCash = financialData.personalInfo.currentSavings;
@@ -313,29 +161,25 @@ const Dashboard = () => {
     },
   ];
 
-  // Find salary adjustments in next 3 months
-  if (financialData.income.salaryAdjustments) {
-    financialData.income.salaryAdjustments.forEach((adjustment) => {
-      const isUpcoming = nextThreeMonths.some(
-        (period) =>
-          period.month === adjustment.month &&
-          period.year === adjustment.year
-      );
+  // Find salary events in next 3 months
+  normalizeSalaryEvents(financialData.income.salaryAdjustments).forEach((event) => {
+    const isUpcoming = nextThreeMonths.some(
+      (period) =>
+        period.month === event.month &&
+        period.year === event.year
+    );
 
-      if (isUpcoming) {
-        upcomingEvents.push({
-          type: "Salary Adjustment",
-          date: `${getMonthName(adjustment.month)} ${
-            adjustment.year
-          }`,
-          amount: adjustment.newSalary,
-          description: `Salary changes to ${formatCurrency(
-            adjustment.newSalary
-          )}`,
-        });
-      }
-    });
-  }
+    if (isUpcoming) {
+      upcomingEvents.push({
+        type: SALARY_EVENT_TYPE_LABELS[event.type],
+        date: `${getMonthName(event.month)} ${event.year}`,
+        amount: event.newSalary !== null ? event.newSalary : event.severance,
+        description: event.description || (event.newSalary !== null
+          ? `Salary changes to ${formatCurrency(event.newSalary)}`
+          : SALARY_EVENT_TYPE_LABELS[event.type]),
+      });
+    }
+  });
 
   // Find bonuses in next 3 months
   if (financialData.yearlyBonuses) {
@@ -457,6 +301,56 @@ const Dashboard = () => {
         >
           CPF
         </button>
+        <button
+          className={`py-4 px-6 font-medium whitespace-nowrap flex-shrink-0 transition-colors ${
+            activeTab === "actuals"
+              ? "text-blue-600 border-b-2 border-blue-600 bg-blue-50"
+              : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
+          }`}
+          onClick={() => setActiveTab("actuals")}
+        >
+          Actuals
+        </button>
+        <button
+          className={`py-4 px-6 font-medium whitespace-nowrap flex-shrink-0 transition-colors ${
+            activeTab === "career"
+              ? "text-blue-600 border-b-2 border-blue-600 bg-blue-50"
+              : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
+          }`}
+          onClick={() => setActiveTab("career")}
+        >
+          Career
+        </button>
+        <button
+          className={`py-4 px-6 font-medium whitespace-nowrap flex-shrink-0 transition-colors ${
+            activeTab === "loans"
+              ? "text-blue-600 border-b-2 border-blue-600 bg-blue-50"
+              : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
+          }`}
+          onClick={() => setActiveTab("loans")}
+        >
+          Loans
+        </button>
+        <button
+          className={`py-4 px-6 font-medium whitespace-nowrap flex-shrink-0 transition-colors ${
+            activeTab === "home"
+              ? "text-blue-600 border-b-2 border-blue-600 bg-blue-50"
+              : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
+          }`}
+          onClick={() => setActiveTab("home")}
+        >
+          Home Purchase
+        </button>
+        <button
+          className={`py-4 px-6 font-medium whitespace-nowrap flex-shrink-0 transition-colors ${
+            activeTab === "investments"
+              ? "text-blue-600 border-b-2 border-blue-600 bg-blue-50"
+              : "text-gray-600 hover:text-blue-600 hover:bg-gray-50"
+          }`}
+          onClick={() => setActiveTab("investments")}
+        >
+          Investments
+        </button>
       </div>
 
       {/* Summary Tab */}
@@ -621,8 +515,12 @@ const Dashboard = () => {
           <ExpenseBreakdown
             expenseData={expenseData}
             totalExpenses={totalExpenses}
+            monthlyActuals={monthlyActuals}
           />
 
+          {/* Bank statement import and category rules */}
+          <TransactionImport />
+
           {/* Cash Flow Timing Analysis */}
           <CashFlowTiming 
             cashFlowAnalysis={cashFlowAnalysis}
@@ -690,6 +588,7 @@ const Dashboard = () => {
             <NetWorthChart
               chartData={chartData}
               savingsGoalReachedMonth={savingsGoalReachedMonth}
+              monteCarloResult={monteCarloResult}
             />
 
             {/* Savings Growth Chart */}
@@ -706,525 +605,105 @@ const Dashboard = () => {
 
       {/* Milestones Tab */}
       {activeTab === "milestones" && (
-        <div className="space-y-6">
-          <Card title="Key Financial Milestones">
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead>
-                  <tr className="bg-gray-50">
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Milestone
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Date
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Time to Achieve
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Age
-                    </th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      Savings at Milestone
-                    </th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  <tr className="hover:bg-gray-50">
-                    <td className="px-4 py-3 text-sm text-gray-700 font-medium">
-                      $100,000 Savings Achieved
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-700">
-                      {savingsGoalReachedMonth
-                        ? savingsGoalReachedMonth.date
-                        : "Not within projection"}
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-700">
-                      {timeToSavingsGoal}
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-700">
-                      {savingsGoalReachedMonth
-                        ? savingsGoalReachedMonth.age
-                        : "-"}
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-700">
-                      {savingsGoalReachedMonth
-                        ? formatCurrency(
-                            savingsGoalReachedMonth.cashSavings
-                          )
-                        : "-"}
-                    </td>
-                  </tr>
-
-                  {/* Yearly Bonuses as Milestones */}
-                  {financialData.yearlyBonuses &&
-                    financialData.yearlyBonuses.map(
-                      (bonus, index) => {
-                        // Find projection entry for this bonus
-                        const bonusMonth =
-                          projection.find((p) =>
-                            p.date.includes(
-                              `${getMonthName(
-                                bonus.month
-                              ).substring(
-                                0,
-                                3
-                              )} ${bonus.year}`
-                            )
-                          );
-
-                        if (!bonusMonth) return null;
-
-                        return (
-                          <tr
-                            key={`bonus-${index}`}
-                            className="hover:bg-gray-50 bg-green-50"
-                          >
-                            <td className="px-4 py-3 text-sm text-gray-700 font-medium">
-                              {bonus.description}
-                            </td>
-                            <td className="px-4 py-3 text-sm text-gray-700">
-                              {bonusMonth.date}
-                            </td>
-                            <td className="px-4 py-3 text-sm text-gray-700">
-                              {Math.floor(
-                                bonusMonth.month /
-                                  12
-                              )}{" "}
-                              years{" "}
-                              {bonusMonth.month %
-                                12}{" "}
-                              months
-                            </td>
-                            <td className="px-4 py-3 text-sm text-gray-700">
-                              {bonusMonth.age}
-                            </td>
-                            <td className="px-4 py-3 text-sm text-gray-700">
-                              {formatCurrency(
-                                bonus.amount
-                              )}
-                            </td>
-                          </tr>
-                        );
-                      }
-                    )}
-                </tbody>
-              </table>
-            </div>
-          </Card>
-
-          {/* Progress Towards Savings Goal */}
-          <Card title="Progress Towards $100K Cash Savings">
-              {savingsGoalReachedMonth && (
-                <div className="space-y-4">
-                  <div className="flex justify-between text-sm mb-1">
-                    <span className="text-gray-600">
-                      Starting Cash:{" "}
-                      <span className="font-medium">
-                        {formatCurrency(
-                          financialData.personalInfo
-                            .currentSavings
-                        )}
-                      </span>
-                    </span>
-                    <span className="text-gray-600">
-                      Goal:{" "}
-                      <span className="font-medium text-green-600">
-                        {formatCurrency(100000)}
-                      </span>
-                    </span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-4 overflow-hidden">
-                    <div
-                      className="bg-green-500 h-4 rounded-full transition-all duration-500 ease-out"
-                      style={{
-                        width: `${Math.min(
-                          100,
-                          (financialData.personalInfo
-                            .currentSavings /
-                            100000) *
-                            100
-                        )}%`,
-                      }}
-                    ></div>
-                  </div>
-                  <div className="p-4 bg-green-50 rounded-lg border border-green-200 mt-4">
-                    <div className="flex items-start">
-                      <svg
-                        className="h-5 w-5 text-green-500 mr-2 mt-0.5 flex-shrink-0"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth="2"
-                          d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
-                        ></path>
-                      </svg>
-                      <div>
-                        <p className="text-green-800 font-medium">
-                          Congratulations! You'll
-                          reach $100,000 in cash
-                          savings by{" "}
-                          <span className="font-bold">
-                            {
-                              savingsGoalReachedMonth.date
-                            }
-                          </span>{" "}
-                          at age{" "}
-                          {
-                            savingsGoalReachedMonth.age
-                          }
-                          .
-                        </p>
-                        <p className="mt-1 text-green-700">
-                          Total savings period:{" "}
-                          {timeToSavingsGoal} from{" "}
-                          {getMonthName(new Date().getMonth() + 1)}{" "}
-                          {new Date().getFullYear()}
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              )}
-              {!savingsGoalReachedMonth && (
-                <div className="space-y-4">
-                  <div className="flex justify-between text-sm mb-1">
-                    <span className="text-gray-600">
-                      Starting Cash:{" "}
-                      <span className="font-medium">
-                        {formatCurrency(
-                          financialData.personalInfo
-                            .currentSavings
-                        )}
-                      </span>
-                    </span>
-                    <span className="text-gray-600">
-                      Current:{" "}
-                      <span className="font-medium text-blue-600">
-                        {formatCurrency(
-                          projection[
-                            projection.length - 1
-                          ].cashSavings
-                        )}
-                      </span>
-                    </span>
-                  </div>
-                  <div className="w-full bg-gray-200 rounded-full h-4 overflow-hidden">
-                    <div
-                      className="bg-blue-500 h-4 rounded-full transition-all duration-500 ease-out"
-                      style={{
-                        width: `${Math.max(
-                          0,
-                          Math.min(
-                            100,
-                            (financialData
-                              .personalInfo
-                              .currentSavings /
-                              100000) *
-                              100
-                          )
-                        )}%`,
-                      }}
-                    ></div>
-                  </div>
-                  <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 mt-4">
-                    <div className="flex items-start">
-                      <svg
-                        className="h-5 w-5 text-blue-500 mr-2 mt-0.5 flex-shrink-0"
-                        fill="none"
-                        stroke="currentColor"
-                        viewBox="0 0 24 24"
-                      >
-                        <path
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                          strokeWidth="2"
-                          d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-                        ></path>
-                      </svg>
-                      <div>
-                        <p className="text-blue-800 font-medium">
-                          You're making progress, but
-                          you won't reach the $100,000
-                          cash savings goal within the
-                          5-year projection period.
-                        </p>
-                        <p className="mt-1 text-blue-700">
-                          Consider increasing your
-                          savings rate after paying
-                          off your loan to accelerate
-                          progress.
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              )}
-            </Card>
-        </div>
+        <MilestonesDashboard
+          milestones={bonusMilestones}
+          savingsGoalReachedMonth={savingsGoalReachedMonth}
+          currentLiquidCash={financialData.personalInfo.currentSavings}
+          currentAge={currentAge}
+          currentRetirementSavings={totalAssets}
+          goalResults={goalResults}
+          onAddGoal={addProjectionGoal}
+          onRemoveGoal={removeProjectionGoal}
+        />
       )}
 
-      {/* Projection Table Tab */}
-      {activeTab === "projection" && (
-        <Card title="Monthly Financial Projection">
-          {/* Rows to Display Control */}
-          <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-            <div className="flex flex-wrap items-center justify-between">
-              <div className="mr-4 mb-2 sm:mb-0">
-                <label
-                  htmlFor="rowsToDisplay"
-                  className="block text-sm font-medium text-blue-700 mb-1"
-                >
-                  Months to Display:
-                </label>
-                <select
-                  id="rowsToDisplay"
-                  value={rowsToDisplay}
-                  onChange={handleRowsToDisplayChange}
-                  className="w-32 px-3 py-2 border border-blue-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                >
-                  <option value={12}>
-                    12 months (1 year)
-                  </option>
-                  <option value={24}>
-                    24 months (2 years)
-                  </option>
-                  <option value={36}>
-                    36 months (3 years)
-                  </option>
-                  <option value={48}>
-                    48 months (4 years)
-                  </option>
-                  <option value={60}>
-                    60 months (5 years)
-                  </option>
-                </select>
-              </div>
-              <div className="flex items-center">
-                <div className="hidden sm:block text-blue-700 mr-2">
-                  <svg
-                    className="w-5 h-5"
-                    fill="none"
-                    stroke="currentColor"
-                    viewBox="0 0 24 24"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      strokeWidth="2"
-                      d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
-                    ></path>
-                  </svg>
-                </div>
-                <p className="text-sm text-blue-700">
-                  Showing {rowsToDisplay} months of financial
-                  projection data
-                </p>
-              </div>
-            </div>
-          </div>
+      {/* Projection Tab */}
+      {activeTab === "projection" && projectionInputs && (
+        <div className="space-y-6">
+          <ProjectionDashboard
+            projectionData={projection}
+            savingsGoalReachedMonth={savingsGoalReachedMonth}
+            monteCarloResult={monteCarloResult}
+            currentValues={projectionInputs}
+            projectionSettings={projectionSettings}
+            onUpdateSettings={handleProjectionSettingsUpdate}
+          />
 
-          <div className="overflow-x-auto -mx-4">
-            <div className="inline-block min-w-full align-middle p-4">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead>
-                  <tr className="bg-gray-50">
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Month
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Date
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Take-Home
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Expenses
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Bonus
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Upcoming Spending
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Monthly Savings
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      Cash Savings
-                    </th>
-                    <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
-                      CPF Balance
-                    </th>
-                  </tr>
-                </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  {projection
-                    .slice(0, rowsToDisplay)
-                    .map((month, index) => (
-                      <tr
-                        key={index}
-                        className={`${
-                          month.milestone
-                            ? "bg-green-50"
-                            : index % 2 === 0
-                            ? "bg-gray-50"
-                            : ""
-                        } hover:bg-blue-50 transition-colors`}
-                      >
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap">
-                          {month.month}
-                        </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap">
-                          {month.date}
-                        </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-green-600">
-                          {formatCurrency(
-                            month.takeHomePay
-                          )}
-                        </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-orange-600">
-                          {formatCurrency(
-                            month.expenses
-                          )}
+          {/* Income tax for each Year of Assessment in the projection */}
+          {taxAssessments.length > 0 && (
+            <Card title="Projected Income Tax" titleColor="bg-gray-700">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Year of Assessment
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Assessable Income
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Reliefs
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Chargeable Income
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Tax Payable
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Effective Rate
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {taxAssessments.map((assessment) => (
+                      <tr key={assessment.yearOfAssessment} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 text-sm text-gray-700 font-medium">
+                          YA {assessment.yearOfAssessment}
                         </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-purple-600">
-                          {month.bonusAmount > 0
-                            ? formatCurrency(
-                                month.bonusAmount
-                              )
-                            : "-"}
+                        <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                          {formatCurrency(assessment.assessableIncome)}
                         </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-red-600">
-                          {month.upcomingSpendingAmount > 0 ? (
-                            <div className="text-xs">
-                              <div>{formatCurrency(month.upcomingSpendingAmount)}</div>
-                              {month.upcomingSpendingDescription && (
-                                <div className="text-gray-500 font-normal truncate max-w-20" title={month.upcomingSpendingDescription}>
-                                  {month.upcomingSpendingDescription}
-                                </div>
-                              )}
-                            </div>
-                          ) : "-"}
+                        <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                          {formatCurrency(assessment.totalReliefs)}
                         </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-green-600">
-                          {formatCurrency(
-                            month.monthlySavings
-                          )}
+                        <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                          {formatCurrency(assessment.chargeableIncome)}
                         </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-green-600">
-                          {formatCurrency(
-                            month.cashSavings
-                          )}
+                        <td className="px-4 py-3 text-sm font-medium text-red-600 text-right">
+                          {formatCurrency(assessment.finalTax)}
                         </td>
-                        <td className="px-3 py-2 text-sm text-gray-700 whitespace-nowrap font-medium text-purple-600">
-                          {formatCurrency(
-                            month.cpfBalance
-                          )}
+                        <td className="px-4 py-3 text-sm text-gray-700 text-right">
+                          {formatPercent(assessment.effectiveRate / 100)}
                         </td>
                       </tr>
                     ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
-
-          {/* Show milestone information if available */}
-          {(savingsGoalReachedMonth ||
-            financialData.yearlyBonuses?.length > 0) && (
-            <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
-              <h3 className="font-medium text-blue-700 mb-2">
-                Key Milestones:
-              </h3>
-              <ul className="space-y-2">
-                {savingsGoalReachedMonth && (
-                  <li className="flex items-start">
-                    <svg
-                      className="h-5 w-5 text-green-500 mr-2 mt-0.5 flex-shrink-0"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
-                    >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth="2"
-                        d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
-                      ></path>
-                    </svg>
-                    <span>
-                      <span className="font-medium">
-                        $100K Savings Reached:
-                      </span>{" "}
-                      {savingsGoalReachedMonth.date}{" "}
-                      (Month{" "}
-                      {savingsGoalReachedMonth.month})
-                    </span>
-                  </li>
-                )}
-
-                {/* List bonuses as milestones */}
-                {financialData.yearlyBonuses &&
-                  financialData.yearlyBonuses.map(
-                    (bonus, index) => {
-                      // Find date for this bonus
-                      const bonusProjectionDate =
-                        projection.find((p) =>
-                          p.date.includes(
-                            `${getMonthName(
-                              bonus.month
-                            ).substring(0, 3)} ${
-                              bonus.year
-                            }`
-                          )
-                        )?.date;
-
-                      if (!bonusProjectionDate)
-                        return null;
-
-                      return (
-                        <li
-                          key={`bonus-milestone-${index}`}
-                          className="flex items-start"
-                        >
-                          <svg
-                            className="h-5 w-5 text-purple-500 mr-2 mt-0.5 flex-shrink-0"
-                            fill="none"
-                            stroke="currentColor"
-                            viewBox="0 0 24 24"
-                          >
-                            <path
-                              strokeLinecap="round"
-                              strokeLinejoin="round"
-                              strokeWidth="2"
-                              d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
-                            ></path>
-                          </svg>
-                          <span>
-                            <span className="font-medium">
-                              {bonus.description}:
-                            </span>{" "}
-                            {bonusProjectionDate} -{" "}
-                            {formatCurrency(
-                              bonus.amount
-                            )}
-                          </span>
-                        </li>
-                      );
-                    }
-                  )}
-              </ul>
-            </div>
+                  </tbody>
+                </table>
+              </div>
+            </Card>
           )}
-        </Card>
+        </div>
       )}
 
       {/* CPF Tab */}
       {activeTab === "cpf" && <CpfDashboard />}
+
+      {/* Actuals Tab */}
+      {activeTab === "actuals" && <MonthlyClose />}
+
+      {/* Career Tab */}
+      {activeTab === "career" && <SalaryTimeline />}
+
+      {/* Loans Tab */}
+      {activeTab === "loans" && <LoanManager />}
+
+      {/* Home Purchase Tab */}
+      {activeTab === "home" && <PropertyPurchase />}
+
+      {/* Investments Tab */}
+      {activeTab === "investments" && <HoldingsManager />}
     </div>
   );
 };
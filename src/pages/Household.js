@@ -0,0 +1,27 @@
+import React from "react";
+import HouseholdManager from "../components/dashboard/HouseholdManager";
+import HouseholdProjection from "../components/dashboard/HouseholdProjection";
+
+/**
+ * Household Page Component
+ * Household members, how shared costs split, and per-person and combined projections
+ *
+ * @returns {JSX.Element}
+ */
+const Household = () => (
+  <div className="bg-gray-50 rounded-lg max-w-7xl mx-auto">
+    {/* Header */}
+    <div className="bg-gradient-to-r from-teal-700 to-teal-500 text-white p-6 rounded-lg mb-8 shadow-md">
+      <h1 className="text-xl md:text-2xl lg:text-3xl font-bold text-center">
+        HOUSEHOLD
+      </h1>
+    </div>
+
+    <div className="space-y-8">
+      <HouseholdManager />
+      <HouseholdProjection />
+    </div>
+  </div>
+);
+
+export default Household;
@@ -0,0 +1,27 @@
+import React from "react";
+import ScenarioManager from "../components/dashboard/ScenarioManager";
+import ScenarioComparison from "../components/dashboard/ScenarioComparison";
+
+/**
+ * Scenarios Page Component
+ * Named what-if scenarios and their projections compared with the base plan
+ *
+ * @returns {JSX.Element}
+ */
+const Scenarios = () => (
+  <div className="bg-gray-50 rounded-lg max-w-7xl mx-auto">
+    {/* Header */}
+    <div className="bg-gradient-to-r from-indigo-700 to-indigo-500 text-white p-6 rounded-lg mb-8 shadow-md">
+      <h1 className="text-xl md:text-2xl lg:text-3xl font-bold text-center">
+        SCENARIOS
+      </h1>
+    </div>
+
+    <div className="space-y-8">
+      <ScenarioManager />
+      <ScenarioComparison />
+    </div>
+  </div>
+);
+
+export default Scenarios;
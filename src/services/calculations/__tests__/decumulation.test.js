@@ -0,0 +1,145 @@
+import {
+  CPF_LIFE_PLAN,
+  WITHDRAWAL_STRATEGY,
+  estimateCpfLifePayout,
+  getExpensesAtRetirement,
+  simulateDecumulation,
+  runDecumulationMonteCarlo
+} from '../decumulation';
+
+const baseParams = {
+  retirementAge: 65,
+  lifeExpectancy: 95,
+  cash: 100000,
+  investments: 900000,
+  raBalance: 300000,
+  monthlyExpenses: 5000,
+  investmentReturn: 5,
+  cashReturn: 0,
+  inflationRate: 0
+};
+
+describe('estimateCpfLifePayout', () => {
+  it('scales with the RA balance and plan', () => {
+    expect(estimateCpfLifePayout(300000, CPF_LIFE_PLAN.STANDARD, 65, 65)).toBe(1620);
+    expect(estimateCpfLifePayout(300000, CPF_LIFE_PLAN.BASIC, 65, 65)).toBe(1500);
+    expect(estimateCpfLifePayout(300000, CPF_LIFE_PLAN.ESCALATING, 65, 65)).toBe(1290);
+  });
+
+  it('grows the RA to 65 and raises payouts 7% a year when deferred', () => {
+    expect(estimateCpfLifePayout(100000, CPF_LIFE_PLAN.STANDARD, 63, 65)).toBeCloseTo(540 * 1.04 * 1.04, 2);
+    expect(estimateCpfLifePayout(100000, CPF_LIFE_PLAN.STANDARD, 65, 70)).toBeCloseTo(540 * Math.pow(1.07, 5), 2);
+  });
+
+  it('is zero without an RA', () => {
+    expect(estimateCpfLifePayout(0, CPF_LIFE_PLAN.STANDARD, 65, 65)).toBe(0);
+  });
+});
+
+describe('getExpensesAtRetirement', () => {
+  it('inflates today\'s expenses to retirement', () => {
+    expect(getExpensesAtRetirement(4000, 2, 10)).toBeCloseTo(4000 * Math.pow(1.02, 10), 2);
+  });
+});
+
+describe('simulateDecumulation', () => {
+  it('withdraws 4% of savings a year, from cash first', () => {
+    const result = simulateDecumulation(baseParams);
+    const [firstYear] = result.rows;
+
+    expect(result.initialMonthlyWithdrawal).toBeCloseTo(40000 / 12, 2);
+    expect(firstYear.withdrawal).toBeCloseTo(40000, 2);
+    expect(firstYear.cash).toBeCloseTo(60000, 2);
+    expect(firstYear.cpfLifePayout).toBeCloseTo(1620 * 12, 2);
+    expect(result.rows).toHaveLength(30);
+    expect(result.depletionAge).toBeNull();
+  });
+
+  it('reports the age savings run out under a fixed withdrawal', () => {
+    const result = simulateDecumulation({
+      ...baseParams,
+      cash: 120000,
+      investments: 0,
+      strategy: WITHDRAWAL_STRATEGY.FIXED,
+      monthlyWithdrawal: 1000
+    });
+
+    expect(result.depletionAge).toBe(75);
+    expect(result.rows[10].withdrawal).toBe(0);
+    expect(result.rows[10].shortfall).toBeCloseTo((5000 - 1620) * 12, 2);
+  });
+
+  it('defaults a fixed withdrawal to expenses not covered by CPF LIFE', () => {
+    const result = simulateDecumulation({ ...baseParams, strategy: WITHDRAWAL_STRATEGY.FIXED });
+
+    expect(result.initialMonthlyWithdrawal).toBe(5000 - 1620);
+    expect(result.rows[0].shortfall).toBeCloseTo(0, 2);
+  });
+
+  it('raises withdrawals and expenses with inflation', () => {
+    const result = simulateDecumulation({ ...baseParams, inflationRate: 3 });
+
+    expect(result.rows[1].withdrawal).toBeCloseTo(40000 * 1.03, 0);
+    expect(result.rows[1].expenses).toBeGreaterThan(result.rows[0].expenses);
+  });
+
+  it('escalates payouts on the Escalating plan and pays nothing before the start age', () => {
+    const result = simulateDecumulation({
+      ...baseParams,
+      retirementAge: 63,
+      cpfLifePlan: CPF_LIFE_PLAN.ESCALATING,
+      raBalance: 100000 / 1.04 / 1.04
+    });
+
+    expect(result.rows[0].cpfLifePayout).toBe(0);
+    expect(result.rows[2].cpfLifePayout).toBeCloseTo(430 * 12, 2);
+    expect(result.rows[3].cpfLifePayout).toBeCloseTo(430 * 1.02 * 12, 2);
+  });
+
+  it('cuts guardrail withdrawals when the withdrawal rate climbs', () => {
+    const result = simulateDecumulation({
+      ...baseParams,
+      cash: 0,
+      investments: 1000000,
+      investmentReturn: -20,
+      strategy: WITHDRAWAL_STRATEGY.GUARDRAILS
+    });
+
+    // After a losing year there's no inflation raise, and the rate is above 4.8% so it is cut 10%
+    expect(result.rows[1].withdrawal).toBeCloseTo(40000 * 0.9, 0);
+  });
+
+  it('rejects a payout start outside 65 to 70', () => {
+    expect(() => simulateDecumulation({ ...baseParams, cpfLifeStartAge: 71 }))
+      .toThrow('CPF LIFE payouts start between 65 and 70');
+  });
+});
+
+describe('runDecumulationMonteCarlo', () => {
+  it('reports the probability and age of running out', () => {
+    const risky = runDecumulationMonteCarlo(
+      { ...baseParams, cash: 0, investments: 400000, strategy: WITHDRAWAL_STRATEGY.FIXED, monthlyWithdrawal: 2500 },
+      { iterations: 200, seed: 7 }
+    );
+    const safe = runDecumulationMonteCarlo(
+      { ...baseParams, strategy: WITHDRAWAL_STRATEGY.FIXED, monthlyWithdrawal: 500 },
+      { iterations: 200, seed: 7 }
+    );
+
+    expect(risky.iterations).toBe(200);
+    expect(risky.probabilityOfDepletion).toBeGreaterThan(50);
+    expect(risky.depletionAge.p50).toBeGreaterThan(65);
+    expect(risky.depletionAge.p50).toBeLessThan(95);
+    expect(safe.probabilityOfDepletion).toBe(0);
+    expect(safe.depletionAge).toBeNull();
+    expect(safe.bands).toHaveLength(30);
+    expect(safe.bands[0]).toEqual({ age: 65, savings: expect.objectContaining({ p10: expect.any(Number), p50: expect.any(Number) }) });
+  });
+
+  it('is reproducible for a seed', () => {
+    const params = { ...baseParams, strategy: WITHDRAWAL_STRATEGY.GUARDRAILS };
+
+    expect(runDecumulationMonteCarlo(params, { iterations: 50, seed: 3 }))
+      .toEqual(runDecumulationMonteCarlo(params, { iterations: 50, seed: 3 }));
+  });
+});
@@ -0,0 +1,138 @@
+import {
+  GOAL_BALANCE_TYPE,
+  normalizeGoals,
+  getDeadlineIndex,
+  evaluateGoals
+} from '../goalProjection';
+
+// Linear projection starting Jan 2025: cash grows $1,000/month, OA $500/month
+const buildProjection = (months = 24) =>
+  Array.from({ length: months }, (_, i) => {
+    const cashSavings = 10000 + (i + 1) * 1000;
+    const cpfOaBalance = 20000 + (i + 1) * 500;
+    return {
+      month: i + 1,
+      date: `M${i + 1}`,
+      cashSavings,
+      cpfOaBalance,
+      cpfBalance: cpfOaBalance * 2,
+      totalNetWorth: cashSavings + cpfOaBalance * 2
+    };
+  });
+
+const options = {
+  projectionStartMonth: 1,
+  projectionStartYear: 2025,
+  annualInvestmentReturn: 0,
+  startingBalances: {
+    [GOAL_BALANCE_TYPE.CASH]: 10000,
+    [GOAL_BALANCE_TYPE.CPF_OA]: 20000,
+    [GOAL_BALANCE_TYPE.NET_WORTH]: 50000
+  }
+};
+
+describe('Projection Goals', () => {
+  describe('normalizeGoals', () => {
+    it('should drop invalid goals and sort by priority', () => {
+      const goals = normalizeGoals([
+        { id: 'a', name: 'Car', targetAmount: 30000, priority: 2 },
+        { id: 'b', name: 'Invalid', targetAmount: 0, priority: 1 },
+        { id: 'c', name: 'Emergency', targetAmount: 20000, priority: 1, balanceType: 'unknown' }
+      ]);
+
+      expect(goals.map((goal) => goal.id)).toEqual(['c', 'a']);
+      expect(goals[0].balanceType).toBe(GOAL_BALANCE_TYPE.CASH);
+    });
+
+    it('should break priority ties by earlier deadline', () => {
+      const goals = normalizeGoals([
+        { id: 'late', targetAmount: 1000, priority: 1, deadline: { month: 6, year: 2030 } },
+        { id: 'early', targetAmount: 1000, priority: 1, deadline: { month: 1, year: 2026 } }
+      ]);
+
+      expect(goals[0].id).toBe('early');
+    });
+  });
+
+  describe('getDeadlineIndex', () => {
+    it('should convert deadlines to projection month indices', () => {
+      expect(getDeadlineIndex({ month: 1, year: 2025 }, 1, 2025)).toBe(0);
+      expect(getDeadlineIndex({ month: 3, year: 2026 }, 10, 2025)).toBe(5);
+      expect(getDeadlineIndex(null, 1, 2025)).toBeNull();
+    });
+  });
+
+  describe('evaluateGoals', () => {
+    it('should report the first month each goal is reached', () => {
+      const [result] = evaluateGoals(
+        buildProjection(),
+        [{ id: 1, name: 'Cash', targetAmount: 15000, balanceType: GOAL_BALANCE_TYPE.CASH }],
+        options
+      );
+
+      expect(result.reachedIndex).toBe(4);
+      expect(result.reachedDate).toBe('M5');
+      expect(result.onTrack).toBe(true);
+      expect(result.progress).toBe(67);
+    });
+
+    it('should read the CPF OA and net worth balances', () => {
+      const results = evaluateGoals(
+        buildProjection(),
+        [
+          { id: 'oa', targetAmount: 25000, balanceType: GOAL_BALANCE_TYPE.CPF_OA, priority: 1 },
+          { id: 'nw', targetAmount: 60000, balanceType: GOAL_BALANCE_TYPE.NET_WORTH, priority: 2 }
+        ],
+        options
+      );
+
+      expect(results[0].reachedIndex).toBe(9);
+      expect(results[1].reachedIndex).toBe(4);
+    });
+
+    it('should calculate shortfall against a deadline', () => {
+      // Cash at Jun 2025 (index 5) is 16,000
+      const [result] = evaluateGoals(
+        buildProjection(),
+        [{ id: 1, targetAmount: 22000, deadline: { month: 6, year: 2025 } }],
+        options
+      );
+
+      expect(result.onTrack).toBe(false);
+      expect(result.reachedIndex).toBe(11);
+      expect(result.balanceAtDeadline).toBe(16000);
+      expect(result.shortfallAtDeadline).toBe(6000);
+      // Zero return: spread evenly across the six months to the deadline
+      expect(result.monthlyShortfall).toBeCloseTo(1000, 0);
+    });
+
+    it('should flag goals that are never reached within the horizon', () => {
+      const [result] = evaluateGoals(
+        buildProjection(12),
+        [{ id: 1, targetAmount: 500000, deadline: { month: 12, year: 2040 } }],
+        options
+      );
+
+      expect(result.reachedIndex).toBeNull();
+      expect(result.onTrack).toBe(false);
+      expect(result.deadlineBeyondProjection).toBe(true);
+      expect(result.shortfallAtDeadline).toBe(500000 - 22000);
+    });
+
+    it('should treat goals already met as complete', () => {
+      const [result] = evaluateGoals(
+        buildProjection(),
+        [{ id: 1, targetAmount: 5000, deadline: { month: 1, year: 2024 } }],
+        options
+      );
+
+      expect(result.complete).toBe(true);
+      expect(result.onTrack).toBe(true);
+      expect(result.shortfallAtDeadline).toBe(0);
+    });
+
+    it('should return an empty list without a projection', () => {
+      expect(evaluateGoals([], [{ targetAmount: 1000 }], options)).toEqual([]);
+    });
+  });
+});
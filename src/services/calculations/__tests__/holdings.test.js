@@ -0,0 +1,88 @@
+import {
+  getHoldingReturn,
+  validateHoldings,
+  createHoldingsModel,
+  openHoldingBalances,
+  growHoldings,
+  applyHoldingsCashFlow,
+  sumHoldings,
+  holdingsToPortfolio
+} from '../holdings';
+
+const holdings = [
+  { assetClass: 'CASH', balance: 20000, contributionPercentage: 20 },
+  { assetClass: 'GLOBAL_EQUITIES', balance: 50000, contributionPercentage: 60 },
+  { assetClass: 'SINGAPORE_BONDS', balance: 30000, contributionPercentage: 20, annualReturn: 3.5 }
+];
+
+describe('getHoldingReturn', () => {
+  it('uses the asset class default unless the holding overrides it', () => {
+    expect(getHoldingReturn(holdings[0])).toBe(1.5);
+    expect(getHoldingReturn(holdings[1])).toBe(8);
+    expect(getHoldingReturn(holdings[2])).toBe(3.5);
+  });
+});
+
+describe('validateHoldings', () => {
+  it('accepts holdings whose contributions add up to 100%', () => {
+    expect(() => validateHoldings(holdings)).not.toThrow();
+  });
+
+  it('rejects unsupported classes, negative balances and a partial split', () => {
+    expect(() => validateHoldings([{ assetClass: 'CPF_OA', balance: 0, contributionPercentage: 0 }]))
+      .toThrow('Asset class is not supported');
+    expect(() => validateHoldings([{ assetClass: 'CASH', balance: -1, contributionPercentage: 0 }]))
+      .toThrow('Cash balance must be zero or more');
+    expect(() => validateHoldings([{ assetClass: 'CASH', balance: 0, contributionPercentage: 50 }]))
+      .toThrow('Monthly contributions must add up to 100%');
+  });
+});
+
+describe('projection helpers', () => {
+  const model = createHoldingsModel(holdings);
+
+  it('opens with the recorded balances and puts any difference in cash', () => {
+    expect(openHoldingBalances(model, 100000)).toEqual({ CASH: 20000, GLOBAL_EQUITIES: 50000, SINGAPORE_BONDS: 30000 });
+    expect(openHoldingBalances(model, 90000).CASH).toBe(10000);
+  });
+
+  it('grows each holding at its own return', () => {
+    const { balances, totalReturn } = growHoldings({ CASH: 20000, GLOBAL_EQUITIES: 50000, SINGAPORE_BONDS: 30000 }, model);
+
+    expect(balances.CASH).toBeCloseTo(20000 * Math.pow(1.015, 1 / 12), 6);
+    expect(balances.GLOBAL_EQUITIES).toBeCloseTo(50000 * Math.pow(1.08, 1 / 12), 6);
+    expect(balances.SINGAPORE_BONDS).toBeCloseTo(30000 * Math.pow(1.035, 1 / 12), 6);
+    expect(totalReturn).toBeCloseTo(sumHoldings(balances) - 100000, 6);
+  });
+
+  it('shifts non-cash returns by a Monte Carlo adjustment', () => {
+    const { balances } = growHoldings({ CASH: 1000, GLOBAL_EQUITIES: 1000 }, model, -8);
+
+    expect(balances.CASH).toBeCloseTo(1000 * Math.pow(1.015, 1 / 12), 6);
+    expect(balances.GLOBAL_EQUITIES).toBeCloseTo(1000, 6);
+  });
+
+  it('splits savings by the contribution percentages', () => {
+    expect(applyHoldingsCashFlow({ CASH: 0, GLOBAL_EQUITIES: 0, SINGAPORE_BONDS: 0 }, 1000, model))
+      .toEqual({ CASH: 200, GLOBAL_EQUITIES: 600, SINGAPORE_BONDS: 200 });
+  });
+
+  it('sends all savings to cash when there is no split', () => {
+    const cashOnly = createHoldingsModel([{ assetClass: 'GLOBAL_EQUITIES', balance: 1000, contributionPercentage: 0 }]);
+
+    expect(applyHoldingsCashFlow({ CASH: 0, GLOBAL_EQUITIES: 1000 }, 500, cashOnly)).toEqual({ CASH: 500, GLOBAL_EQUITIES: 1000 });
+  });
+
+  it('spends cash first, then the most liquid holdings, then goes overdrawn', () => {
+    const balances = { CASH: 1000, GLOBAL_EQUITIES: 5000, SINGAPORE_BONDS: 2000 };
+
+    expect(applyHoldingsCashFlow(balances, -2500, model)).toEqual({ CASH: 0, GLOBAL_EQUITIES: 5000, SINGAPORE_BONDS: 500 });
+    expect(applyHoldingsCashFlow(balances, -9000, model)).toEqual({ CASH: -1000, GLOBAL_EQUITIES: 0, SINGAPORE_BONDS: 0 });
+  });
+});
+
+describe('holdingsToPortfolio', () => {
+  it('returns balances keyed by asset class', () => {
+    expect(holdingsToPortfolio(holdings)).toEqual({ CASH: 20000, GLOBAL_EQUITIES: 50000, SINGAPORE_BONDS: 30000 });
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  PRIMARY_MEMBER_ID,
+  SHARED_OWNER,
+  isHouseholdMode,
+  getHouseholdMembers,
+  validateHouseholdMember,
+  validateSplit,
+  getItemShares,
+  getMemberFinancialData,
+  combineProjections,
+  getHouseholdIncome,
+  removeMemberFromData
+} from '../household';
+
+const partner = {
+  id: 'member-1',
+  name: 'Alex',
+  personalInfo: { birthday: { month: 3, year: 1994 }, currentSavings: 8000, currentCpfBalance: 30000 },
+  income: { currentSalary: 5200, employeeType: 'singaporean', salaryDay: 28, salaryAdjustments: [] },
+  yearlyBonuses: [{ id: 1, year: 2026, month: 12, amount: 6000, description: 'Bonus' }]
+};
+
+const financialData = {
+  personalInfo: { birthday: { month: 9, year: 1996 }, currentSavings: 11000, currentCpfBalance: 15000 },
+  income: { currentSalary: 4800, salaryAdjustments: [{ id: 1, month: 7, year: 2026, newSalary: 5000 }] },
+  yearlyBonuses: [{ id: 1, year: 2025, month: 12, amount: 5000 }],
+  expenses: [
+    { id: 1, name: 'Rental', amount: 2000, dueDay: 1 },
+    { id: 2, name: 'Gym', amount: 80, dueDay: 5, owner: 'member-1' },
+    { id: 3, name: 'Groceries', amount: 600, dueDay: 15, split: { primary: 25, 'member-1': 75 } }
+  ],
+  upcomingSpending: [],
+  yearlyExpenses: [],
+  loans: [{ id: 7, name: 'HDB', principal: 400000, monthlyPayment: 1600 }],
+  portfolio: { holdings: [{ id: 1, amount: 11000 }] },
+  goals: [{ id: 1, name: 'Wedding' }],
+  household: { primaryName: 'Sam', members: [partner], defaultSplit: { primary: 40, 'member-1': 60 } }
+};
+
+describe('household members', () => {
+  it('lists the primary member first, from personalInfo and income', () => {
+    const members = getHouseholdMembers(financialData);
+
+    expect(isHouseholdMode(financialData)).toBe(true);
+    expect(members.map(member => [member.id, member.name])).toEqual([[PRIMARY_MEMBER_ID, 'Sam'], ['member-1', 'Alex']]);
+    expect(members[0].income).toBe(financialData.income);
+  });
+
+  it('treats data without members as a single person', () => {
+    const single = { ...financialData, household: { members: [] } };
+    expect(isHouseholdMode(single)).toBe(false);
+    expect(getHouseholdMembers(single)).toHaveLength(1);
+  });
+
+  it('validates members and splits', () => {
+    expect(() => validateHouseholdMember(partner)).not.toThrow();
+    expect(() => validateHouseholdMember({ ...partner, name: '' })).toThrow('name is required');
+    expect(() => validateHouseholdMember({ ...partner, personalInfo: { birthday: { month: 13, year: 1994 } } })).toThrow('Birthday');
+    expect(() => validateHouseholdMember({ ...partner, income: { currentSalary: -1 } })).toThrow('Salary');
+
+    expect(() => validateSplit({ primary: 40, 'member-1': 60 })).not.toThrow();
+    expect(() => validateSplit({ primary: 40, 'member-1': 50 })).toThrow('add up to 90%');
+    expect(() => validateSplit({ primary: 120, 'member-1': -20 })).toThrow('between 0% and 100%');
+  });
+});
+
+describe('getItemShares', () => {
+  it('gives personal items to their owner and splits shared ones', () => {
+    expect(getItemShares(financialData, financialData.expenses[1])).toEqual({ primary: 0, 'member-1': 1 });
+    expect(getItemShares(financialData, financialData.expenses[2])).toEqual({ primary: 0.25, 'member-1': 0.75 });
+    expect(getItemShares(financialData, financialData.expenses[0])).toEqual({ primary: 0.4, 'member-1': 0.6 });
+  });
+
+  it('splits evenly without a household split and treats unknown owners as shared', () => {
+    const data = { ...financialData, household: { members: [partner] } };
+    expect(getItemShares(data, { owner: 'member-gone' })).toEqual({ primary: 0.5, 'member-1': 0.5 });
+    expect(getItemShares(data, { owner: SHARED_OWNER })).toEqual({ primary: 0.5, 'member-1': 0.5 });
+  });
+});
+
+describe('getMemberFinancialData', () => {
+  it("gives the primary member their share and keeps the portfolio and goals", () => {
+    const data = getMemberFinancialData(financialData, PRIMARY_MEMBER_ID);
+
+    expect(data.household).toBeUndefined();
+    expect(data.income).toBe(financialData.income);
+    expect(data.expenses.map(expense => [expense.name, expense.amount])).toEqual([['Rental', 800], ['Groceries', 150]]);
+    expect(data.loans[0]).toMatchObject({ principal: 160000, monthlyPayment: 640 });
+    expect(data.portfolio).toBe(financialData.portfolio);
+    expect(data.goals).toBe(financialData.goals);
+  });
+
+  it("builds another member's data from their own income, CPF and bonuses", () => {
+    const data = getMemberFinancialData(financialData, 'member-1');
+
+    expect(data.personalInfo).toBe(partner.personalInfo);
+    expect(data.income).toBe(partner.income);
+    expect(data.yearlyBonuses).toBe(partner.yearlyBonuses);
+    expect(data.expenses.map(expense => [expense.name, expense.amount])).toEqual([['Rental', 1200], ['Gym', 80], ['Groceries', 450]]);
+    expect(data.loans[0]).toMatchObject({ principal: 240000, monthlyPayment: 960 });
+    expect(data.portfolio.holdings).toEqual([]);
+    expect(data.goals).toEqual([]);
+  });
+
+  it('refuses unknown members', () => {
+    expect(() => getMemberFinancialData(financialData, 'member-9')).toThrow('not found');
+  });
+});
+
+describe('combineProjections', () => {
+  it('adds amounts month by month and keeps the month fields', () => {
+    const combined = combineProjections([
+      [
+        { date: 'Jan 2026', year: 2026, monthIndex: 1, cashSavings: 1000, isBonus: false, upcomingSpendingItems: [{ id: 1 }], goalBalances: { 1: 50 } },
+        { date: 'Feb 2026', year: 2026, monthIndex: 2, cashSavings: 1500, isBonus: false, upcomingSpendingItems: [], goalBalances: { 1: 100 } }
+      ],
+      [
+        { date: 'Jan 2026', year: 2026, monthIndex: 1, cashSavings: 300, isBonus: true, upcomingSpendingItems: [{ id: 2 }], goalBalances: {} }
+      ]
+    ]);
+
+    expect(combined).toEqual([
+      {
+        date: 'Jan 2026',
+        year: 2026,
+        monthIndex: 1,
+        cashSavings: 1300,
+        isBonus: true,
+        upcomingSpendingItems: [{ id: 1 }, { id: 2 }],
+        goalBalances: { 1: 50 }
+      }
+    ]);
+    expect(combineProjections([])).toEqual([]);
+  });
+});
+
+describe('getHouseholdIncome', () => {
+  it("adds every member's salary for the month, after salary adjustments", () => {
+    expect(getHouseholdIncome(financialData, 2026, 6)).toBe(10000);
+    expect(getHouseholdIncome(financialData, 2026, 7)).toBe(10200);
+    expect(getHouseholdIncome({ ...financialData, household: { members: [] } }, 2026, 7)).toBe(5000);
+  });
+});
+
+describe('removeMemberFromData', () => {
+  it('removes the member, makes their items shared and drops their shares', () => {
+    const data = removeMemberFromData(financialData, 'member-1');
+
+    expect(data.household.members).toEqual([]);
+    expect(data.household.defaultSplit).toEqual({ primary: 40 });
+    expect(data.expenses[1].owner).toBe(SHARED_OWNER);
+    expect(data.expenses[2].split).toEqual({ primary: 25 });
+    expect(data.expenses[0]).toBe(financialData.expenses[0]);
+    expect(getMemberFinancialData(data, PRIMARY_MEMBER_ID).expenses.map(expense => expense.amount)).toEqual([2000, 80, 600]);
+  });
+});
@@ -4,6 +4,7 @@ import {
   calculateDollarCostAveraging,
   calculateGoalSavings,
   calculateRetirementCorpus,
+  calculateRebalancing,
   ASSET_CLASSES
 } from '../investmentCalculations';
 
@@ -249,6 +250,39 @@ describe('Investment Calculations', () => {
     });
   });
 
+  describe('calculateRebalancing', () => {
+    it('should suggest trades that move each class to its target', () => {
+      const result = calculateRebalancing(
+        { CASH: 50000, GLOBAL_EQUITIES: 30000, SINGAPORE_BONDS: 20000 },
+        { CASH: 20, GLOBAL_EQUITIES: 60, SINGAPORE_BONDS: 20 }
+      );
+
+      expect(result.totalPortfolioValue).toBe(100000);
+      expect(result.needsRebalancing).toBe(true);
+      expect(result.recommendations).toEqual([
+        expect.objectContaining({ assetClass: 'CASH', action: 'Sell', amount: 30000 }),
+        expect.objectContaining({ assetClass: 'GLOBAL_EQUITIES', action: 'Buy', amount: 30000 })
+      ]);
+      expect(result.totalRebalanceAmount).toBe(60000);
+    });
+
+    it('should sell classes that are held but not in the target', () => {
+      const result = calculateRebalancing({ CASH: 10000, SINGAPORE_REITS: 10000 }, { CASH: 100 });
+
+      expect(result.recommendations).toEqual(expect.arrayContaining([
+        expect.objectContaining({ assetClass: 'SINGAPORE_REITS', action: 'Sell', amount: 10000, targetPercentage: 0 }),
+        expect.objectContaining({ assetClass: 'CASH', action: 'Buy', amount: 10000 })
+      ]));
+    });
+
+    it('should not recommend trades for an empty portfolio', () => {
+      const result = calculateRebalancing({}, { CASH: 100 });
+
+      expect(result.needsRebalancing).toBe(false);
+      expect(result.recommendations).toEqual([]);
+    });
+  });
+
   describe('Performance and Caching', () => {
     it('should demonstrate memoization performance benefit', () => {
       const params = [10000, 500, 0.08, 10, 12];
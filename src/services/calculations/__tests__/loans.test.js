@@ -0,0 +1,161 @@
+import {
+  LOAN_TYPE,
+  INTEREST_METHOD,
+  LOAN_PAYMENT_SOURCE,
+  MAX_SCHEDULE_MONTHS,
+  calculateMonthlyInstalment,
+  validateLoan,
+  generateAmortisationSchedule,
+  getLoanPositionForMonth,
+  buildLoanSchedules,
+  summarizeLoansForMonth,
+  summarizeLoan
+} from '../loans';
+
+const bankMortgage = {
+  id: 1,
+  name: 'Condo',
+  type: LOAN_TYPE.BANK_MORTGAGE,
+  principal: 100000,
+  annualRate: 3,
+  termMonths: 120,
+  startYear: 2025,
+  startMonth: 1,
+  paymentSource: LOAN_PAYMENT_SOURCE.CPF_OA
+};
+
+const carLoan = {
+  id: 2,
+  name: 'Car',
+  type: LOAN_TYPE.CAR,
+  principal: 100000,
+  annualRate: 2.78,
+  termMonths: 84,
+  startYear: 2025,
+  startMonth: 1,
+  interestMethod: INTEREST_METHOD.FLAT
+};
+
+describe('Loan Amortisation', () => {
+  describe('calculateMonthlyInstalment', () => {
+    it('should match the annuity formula', () => {
+      // $500k HDB loan over 25 years at the 2.6% concessionary rate
+      expect(calculateMonthlyInstalment(500000, 2.6, 300)).toBe(2268.35);
+      expect(calculateMonthlyInstalment(120000, 0, 120)).toBe(1000);
+    });
+  });
+
+  describe('validateLoan', () => {
+    it('should reject incomplete loans', () => {
+      expect(() => validateLoan({ ...bankMortgage, type: 'payday' })).toThrow('not supported');
+      expect(() => validateLoan({ ...bankMortgage, principal: 0 })).toThrow('greater than zero');
+      expect(() => validateLoan({ ...bankMortgage, termMonths: null })).toThrow('whole number of months');
+      expect(() => validateLoan({ ...bankMortgage, type: LOAN_TYPE.CREDIT_LINE, termMonths: null })).toThrow('monthly payment');
+      expect(() => validateLoan(bankMortgage)).not.toThrow();
+    });
+  });
+
+  describe('generateAmortisationSchedule', () => {
+    it('should start instalments the month after disbursement and repay in full', () => {
+      const schedule = generateAmortisationSchedule(bankMortgage);
+
+      expect(schedule).toHaveLength(120);
+      expect(schedule[0]).toEqual({
+        period: 1,
+        year: 2025,
+        month: 2,
+        annualRate: 3,
+        payment: 965.61,
+        interest: 250,
+        principal: 715.61,
+        balance: 99284.39
+      });
+      expect(schedule[119]).toMatchObject({ year: 2035, month: 1, balance: 0 });
+    });
+
+    it('should re-amortise the balance over the remaining term after a rate reset', () => {
+      const schedule = generateAmortisationSchedule({
+        ...bankMortgage,
+        rateResets: [{ year: 2026, month: 2, annualRate: 4 }]
+      });
+      const balanceBeforeReset = schedule[11].balance;
+
+      expect(schedule[11].annualRate).toBe(3);
+      expect(schedule[12].annualRate).toBe(4);
+      expect(schedule[12].payment).toBe(calculateMonthlyInstalment(balanceBeforeReset, 4, 108));
+      expect(schedule).toHaveLength(120);
+      expect(schedule[119].balance).toBe(0);
+    });
+
+    it('should charge flat-rate interest on the original principal', () => {
+      const schedule = generateAmortisationSchedule(carLoan);
+
+      expect(schedule[0].interest).toBe(231.67);
+      expect(schedule[83].interest).toBe(231.67);
+      expect(schedule[0].payment).toBe(1422.15);
+      expect(schedule[83].balance).toBe(0);
+    });
+
+    it('should apply a credit line payment until the balance is cleared', () => {
+      const creditLine = {
+        type: LOAN_TYPE.CREDIT_LINE,
+        principal: 5000,
+        annualRate: 24,
+        monthlyPayment: 1000,
+        startYear: 2025,
+        startMonth: 1
+      };
+      const schedule = generateAmortisationSchedule(creditLine);
+
+      expect(schedule[0].interest).toBe(100);
+      expect(schedule[schedule.length - 1].balance).toBe(0);
+      expect(schedule.length).toBe(6);
+
+      const neverRepaid = summarizeLoan({ ...creditLine, monthlyPayment: 50 });
+      expect(neverRepaid.repaid).toBe(false);
+      expect(generateAmortisationSchedule({ ...creditLine, monthlyPayment: 50 })).toHaveLength(MAX_SCHEDULE_MONTHS);
+    });
+  });
+
+  describe('getLoanPositionForMonth', () => {
+    it('should return no balance before the loan and the principal in its start month', () => {
+      const schedule = generateAmortisationSchedule(bankMortgage);
+
+      expect(getLoanPositionForMonth(bankMortgage, schedule, 2024, 12)).toEqual({ payment: 0, interest: 0, balance: 0 });
+      expect(getLoanPositionForMonth(bankMortgage, schedule, 2025, 1)).toEqual({ payment: 0, interest: 0, balance: 100000 });
+      expect(getLoanPositionForMonth(bankMortgage, schedule, 2025, 2).payment).toBe(965.61);
+      expect(getLoanPositionForMonth(bankMortgage, schedule, 2040, 1).balance).toBe(0);
+    });
+  });
+
+  describe('summarizeLoansForMonth', () => {
+    it('should split payments by source and total the balances', () => {
+      const totals = summarizeLoansForMonth(buildLoanSchedules([bankMortgage, carLoan]), 2025, 2);
+
+      expect(totals).toEqual({
+        payment: 2387.76,
+        cashPayment: 1422.15,
+        cpfOaPayment: 965.61,
+        interest: 481.67,
+        balance: 99284.39 + 98809.52
+      });
+    });
+
+    it('should skip invalid loans', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(buildLoanSchedules([{ ...carLoan, principal: -1 }, bankMortgage])).toHaveLength(1);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('summarizeLoan', () => {
+    it('should report the instalment, total interest and end date', () => {
+      const summary = summarizeLoan(carLoan);
+
+      expect(summary.monthlyInstalment).toBe(1422.15);
+      expect(summary.totalInterest).toBeCloseTo(19460.28, 2);
+      expect(summary.endDate).toEqual({ year: 2032, month: 1 });
+      expect(summary.repaid).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import {
+  createSeededRandom,
+  createNormalSampler,
+  calculatePercentile,
+  aggregatePercentileBands,
+  calculateProbabilityByMonth,
+  runMonteCarloSimulation
+} from '../monteCarlo';
+
+describe('Monte Carlo Simulation', () => {
+  describe('createSeededRandom', () => {
+    it('should produce the same sequence for the same seed', () => {
+      const a = createSeededRandom(123);
+      const b = createSeededRandom(123);
+
+      const sequenceA = Array.from({ length: 5 }, () => a());
+      const sequenceB = Array.from({ length: 5 }, () => b());
+
+      expect(sequenceA).toEqual(sequenceB);
+    });
+
+    it('should produce different sequences for different seeds', () => {
+      const a = createSeededRandom(1);
+      const b = createSeededRandom(2);
+
+      expect(a()).not.toBe(b());
+    });
+
+    it('should return values in [0, 1)', () => {
+      const random = createSeededRandom(7);
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe('createNormalSampler', () => {
+    it('should have mean close to 0 and standard deviation close to 1', () => {
+      const normal = createNormalSampler(createSeededRandom(99));
+      const samples = Array.from({ length: 20000 }, () => normal());
+
+      const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+      const variance = samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / samples.length;
+
+      expect(mean).toBeCloseTo(0, 1);
+      expect(Math.sqrt(variance)).toBeCloseTo(1, 1);
+    });
+  });
+
+  describe('calculatePercentile', () => {
+    it('should interpolate between ranks', () => {
+      const values = [10, 20, 30, 40, 50];
+
+      expect(calculatePercentile(values, 0)).toBe(10);
+      expect(calculatePercentile(values, 50)).toBe(30);
+      expect(calculatePercentile(values, 100)).toBe(50);
+      expect(calculatePercentile(values, 10)).toBeCloseTo(14);
+    });
+
+    it('should handle empty input', () => {
+      expect(calculatePercentile([], 50)).toBe(0);
+    });
+  });
+
+  describe('aggregatePercentileBands', () => {
+    it('should compute per-month bands across paths', () => {
+      const paths = [1, 2, 3, 4, 5].map((n) => [
+        { date: 'Jan 2025', cashSavings: n * 100 },
+        { date: 'Feb 2025', cashSavings: n * 200 }
+      ]);
+
+      const bands = aggregatePercentileBands(paths, ['cashSavings']);
+
+      expect(bands).toHaveLength(2);
+      expect(bands[0].date).toBe('Jan 2025');
+      expect(bands[0].cashSavings.p50).toBe(300);
+      expect(bands[1].cashSavings.p10).toBe(280);
+      expect(bands[1].cashSavings.p90).toBe(920);
+    });
+  });
+
+  describe('calculateProbabilityByMonth', () => {
+    it('should count paths that reach the goal by the deadline', () => {
+      const hitMonths = [0, 5, 12, null];
+
+      expect(calculateProbabilityByMonth(hitMonths, 5)).toBe(50);
+      expect(calculateProbabilityByMonth(hitMonths, 12)).toBe(75);
+      expect(calculateProbabilityByMonth([], 12)).toBe(0);
+    });
+  });
+
+  describe('runMonteCarloSimulation', () => {
+    // Simple compounding path driven by the sampled investment return
+    const runPath = (sampleRates) => {
+      const path = [];
+      let balance = 1000;
+      for (let month = 0; month < 24; month++) {
+        const { annualInvestmentReturn } = sampleRates();
+        balance *= Math.pow(1 + annualInvestmentReturn / 100, 1 / 12);
+        path.push({ date: `M${month + 1}`, cashSavings: balance, cpfBalance: 0, totalNetWorth: balance });
+      }
+      return path;
+    };
+
+    it('should be reproducible for a given seed', () => {
+      const options = { iterations: 200, seed: 11, goalAmount: 1100 };
+      const first = runMonteCarloSimulation(runPath, { annualInvestmentReturn: 6 }, options);
+      const second = runMonteCarloSimulation(runPath, { annualInvestmentReturn: 6 }, options);
+
+      expect(first.bands).toEqual(second.bands);
+      expect(first.goalHitMonths).toEqual(second.goalHitMonths);
+    });
+
+    it('should produce ordered percentile bands', () => {
+      const result = runMonteCarloSimulation(
+        runPath,
+        { annualInvestmentReturn: 6 },
+        { iterations: 200, seed: 3 }
+      );
+
+      const lastBand = result.bands[result.bands.length - 1];
+      expect(result.iterations).toBe(200);
+      expect(result.bands).toHaveLength(24);
+      expect(lastBand.totalNetWorth.p10).toBeLessThan(lastBand.totalNetWorth.p50);
+      expect(lastBand.totalNetWorth.p50).toBeLessThan(lastBand.totalNetWorth.p90);
+    });
+
+    it('should collapse the bands when volatility is zero', () => {
+      const result = runMonteCarloSimulation(
+        runPath,
+        { annualInvestmentReturn: 6, annualSalaryIncrease: 0, annualExpenseIncrease: 0 },
+        { iterations: 20, investmentReturnVolatility: 0, salaryGrowthVolatility: 0, inflationVolatility: 0 }
+      );
+
+      const lastBand = result.bands[result.bands.length - 1];
+      expect(lastBand.cashSavings.p10).toBeCloseTo(lastBand.cashSavings.p90);
+      expect(lastBand.cashSavings.p50).toBeCloseTo(1000 * 1.06 * 1.06, 0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  calculateSnapshotTotals,
+  validateNetWorthSnapshot,
+  buildNetWorthHistory,
+  createSnapshotDraft
+} from '../netWorthHistory';
+
+const snapshot = (id, date, cash, mortgage = 0) => ({
+  id,
+  date,
+  assets: { cash, cpf: 50000 },
+  liabilities: { mortgage }
+});
+
+describe('Net Worth History', () => {
+  describe('calculateSnapshotTotals', () => {
+    it('should total assets and liabilities across categories', () => {
+      expect(calculateSnapshotTotals({
+        assets: { cash: 10000, cpf: 50000, property: 600000 },
+        liabilities: { mortgage: 400000, creditCards: 1500.5 }
+      })).toEqual({ totalAssets: 660000, totalLiabilities: 401500.5, netWorth: 258499.5 });
+    });
+  });
+
+  describe('validateNetWorthSnapshot', () => {
+    it('should reject invalid dates and negative amounts', () => {
+      expect(() => validateNetWorthSnapshot({ date: 'Jan 2025', assets: {} })).toThrow('valid date');
+      expect(() => validateNetWorthSnapshot({ date: '2025-01-31', assets: { cash: -1 } })).toThrow('Cash');
+      expect(() => validateNetWorthSnapshot(snapshot(1, '2025-01-31', 100))).not.toThrow();
+    });
+  });
+
+  describe('buildNetWorthHistory', () => {
+    it('should sort snapshots and compare with the previous month and year', () => {
+      const history = buildNetWorthHistory([
+        snapshot(3, '2025-02-27', 14000),
+        snapshot(1, '2024-02-15', 10000),
+        snapshot(2, '2025-01-28', 12000)
+      ]);
+
+      expect(history.map(entry => entry.id)).toEqual([1, 2, 3]);
+      expect(history[0].monthOverMonth).toBeNull();
+      expect(history[2].netWorth).toBe(64000);
+      expect(history[2].monthOverMonth).toEqual({ amount: 2000, percentage: 3.2, fromDate: '2025-01-28' });
+      expect(history[2].yearOverYear).toEqual({ amount: 4000, percentage: 6.7, fromDate: '2024-02-15' });
+      // January 2025 is more than a month after February 2024, so it compares with it
+      expect(history[1].monthOverMonth.fromDate).toBe('2024-02-15');
+      expect(history[1].yearOverYear).toBeNull();
+    });
+
+    it('should not compare two snapshots in the same month', () => {
+      const history = buildNetWorthHistory([
+        snapshot(1, '2025-03-01', 10000),
+        snapshot(2, '2025-03-31', 11000)
+      ]);
+
+      expect(history[1].monthOverMonth).toBeNull();
+    });
+  });
+
+  describe('createSnapshotDraft', () => {
+    it('should copy the latest snapshot and take cash and CPF from the profile', () => {
+      const draft = createSnapshotDraft({
+        personalInfo: { currentSavings: 20000, currentCpfBalance: 70000 },
+        netWorthSnapshots: [
+          { id: 1, date: '2025-01-31', assets: { cash: 1, cpf: 2, property: 500000 }, liabilities: { mortgage: 300000 } }
+        ]
+      }, '2025-02-28');
+
+      expect(draft).toEqual({
+        date: '2025-02-28',
+        assets: { cash: 20000, cpf: 70000, property: 500000 },
+        liabilities: { mortgage: 300000 },
+        notes: ''
+      });
+    });
+
+    it('should take liability balances from loan schedules', () => {
+      const draft = createSnapshotDraft({
+        personalInfo: {},
+        loans: [
+          { id: 1, type: 'hdb_mortgage', principal: 120000, annualRate: 0, termMonths: 120, startYear: 2025, startMonth: 1 },
+          { id: 2, type: 'car', principal: 84000, annualRate: 0, termMonths: 84, startYear: 2025, startMonth: 1, interestMethod: 'flat' }
+        ]
+      }, '2025-03-31');
+
+      expect(draft.liabilities).toEqual({ mortgage: 118000, carLoan: 82000 });
+    });
+  });
+});
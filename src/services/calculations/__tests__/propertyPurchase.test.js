@@ -0,0 +1,147 @@
+import {
+  PROPERTY_TYPE,
+  HOUSING_LOAN_SOURCE,
+  calculateBuyerStampDuty,
+  planPropertyPurchase,
+  assessServicingRatios,
+  toProjectionPurchase,
+  getBalancesBeforeMonth
+} from '../propertyPurchase';
+import { LOAN_TYPE, LOAN_PAYMENT_SOURCE, HDB_CONCESSIONARY_RATE, calculateMonthlyInstalment } from '../loans';
+import { analyzeHousingAffordability } from '../scenarioModeling';
+
+const hdbPurchase = {
+  purchaseYear: 2026,
+  purchaseMonth: 6,
+  price: 500000,
+  propertyType: PROPERTY_TYPE.HDB,
+  loanSource: HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY,
+  loanTermYears: 25,
+  otherCosts: 3000
+};
+
+const condoPurchase = {
+  purchaseYear: 2027,
+  purchaseMonth: 1,
+  price: 1000000,
+  propertyType: PROPERTY_TYPE.PRIVATE,
+  loanSource: HOUSING_LOAN_SOURCE.BANK,
+  loanTermYears: 30,
+  oaToKeep: 20000
+};
+
+describe('calculateBuyerStampDuty', () => {
+  it('applies each rate to its slice of the price', () => {
+    expect(calculateBuyerStampDuty(180000)).toBe(1800);
+    expect(calculateBuyerStampDuty(500000)).toBe(9600);
+    expect(calculateBuyerStampDuty(1000000)).toBe(24600);
+    expect(calculateBuyerStampDuty(1500000)).toBe(44600);
+    expect(calculateBuyerStampDuty(3500000)).toBe(149600);
+  });
+
+  it('is zero for no price', () => {
+    expect(calculateBuyerStampDuty(0)).toBe(0);
+  });
+});
+
+describe('planPropertyPurchase', () => {
+  it('pays an HDB down payment and stamp duty from CPF OA first', () => {
+    const plan = planPropertyPurchase(hdbPurchase, { cpfOaBalance: 200000, cash: 50000 });
+
+    expect(plan.loanAmount).toBe(375000);
+    expect(plan.downPayment).toBe(125000);
+    expect(plan.minimumCash).toBe(0);
+    expect(plan.stampDuty).toBe(9600);
+    expect(plan.cpfOaUsed).toBe(134600);
+    expect(plan.cashUpfront).toBe(3000);
+    expect(plan.cashShortfall).toBe(0);
+    expect(plan.monthlyInstalment).toBe(calculateMonthlyInstalment(375000, HDB_CONCESSIONARY_RATE, 300));
+    expect(plan.loan).toEqual(expect.objectContaining({
+      type: LOAN_TYPE.HDB_MORTGAGE,
+      principal: 375000,
+      annualRate: HDB_CONCESSIONARY_RATE,
+      termMonths: 300,
+      startYear: 2026,
+      startMonth: 6,
+      paymentSource: LOAN_PAYMENT_SOURCE.CPF_OA
+    }));
+  });
+
+  it('keeps the 5% cash minimum and the OA set aside on a bank loan', () => {
+    const plan = planPropertyPurchase(condoPurchase, { cpfOaBalance: 100000, cash: 50000 });
+
+    expect(plan.loan.type).toBe(LOAN_TYPE.BANK_MORTGAGE);
+    expect(plan.loan.annualRate).toBe(3);
+    expect(plan.minimumCash).toBe(50000);
+    expect(plan.cpfOaUsed).toBe(80000);
+    expect(plan.cashUpfront).toBe(194600);
+    expect(plan.cashShortfall).toBe(144600);
+  });
+
+  it('caps the loan-to-value at the limit', () => {
+    const plan = planPropertyPurchase({ ...hdbPurchase, ltvPercentage: 90 }, { cpfOaBalance: 0 });
+
+    expect(plan.ltvPercentage).toBe(75);
+    expect(plan.cashUpfront).toBe(125000 + 9600 + 3000);
+  });
+
+  it('rejects an HDB loan for private property', () => {
+    expect(() => planPropertyPurchase(
+      { ...condoPurchase, loanSource: HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY },
+      { cpfOaBalance: 0 }
+    )).toThrow('HDB concessionary loans are only available for HDB flats');
+  });
+});
+
+describe('assessServicingRatios', () => {
+  it('checks MSR only for HDB flats', () => {
+    const hdbPlan = planPropertyPurchase(hdbPurchase, { cpfOaBalance: 0 });
+    const condoPlan = planPropertyPurchase(condoPurchase, { cpfOaBalance: 0 });
+
+    const hdbRatios = assessServicingRatios(hdbPlan, 5000, 1000);
+    expect(hdbRatios.msr).toBeCloseTo(hdbPlan.monthlyInstalment / 50, 2);
+    expect(hdbRatios.passesMsr).toBe(false);
+    expect(hdbRatios.tdsr).toBeCloseTo((hdbPlan.monthlyInstalment + 1000) / 50, 2);
+    expect(hdbRatios.passesTdsr).toBe(true);
+
+    expect(assessServicingRatios(condoPlan, 10000).passesMsr).toBeNull();
+  });
+});
+
+describe('projection helpers', () => {
+  it('converts a plan into a projection purchase', () => {
+    const plan = planPropertyPurchase({ ...hdbPurchase, annualAppreciation: 2 }, { cpfOaBalance: 100000 });
+
+    expect(toProjectionPurchase(plan)).toEqual({
+      year: 2026,
+      month: 6,
+      price: 500000,
+      cashOutlay: 37600,
+      cpfOaOutlay: 100000,
+      annualAppreciation: 2
+    });
+  });
+
+  it('reads balances from the month before the purchase', () => {
+    const projection = [
+      { year: 2026, monthIndex: 5, cashSavings: 40000, cpfOaBalance: 90000 },
+      { year: 2026, monthIndex: 6, cashSavings: 45000, cpfOaBalance: 92000 }
+    ];
+
+    expect(getBalancesBeforeMonth(projection, 2026, 6)).toEqual({ cash: 40000, cpfOaBalance: 90000 });
+    expect(getBalancesBeforeMonth(projection, 2026, 5)).toEqual({ cash: 40000, cpfOaBalance: 90000 });
+    expect(getBalancesBeforeMonth(projection, 2030, 1)).toBeNull();
+  });
+});
+
+describe('analyzeHousingAffordability', () => {
+  it('uses progressive stamp duty and the actual OA balance', () => {
+    const analysis = analyzeHousingAffordability(
+      { propertyPrice: 600000 },
+      { monthlyIncome: 8000, monthlyExpenses: 3000, liquidCash: 100000, cpfBalance: 80000, cpfOaBalance: 30000 }
+    );
+
+    expect(analysis.upfrontCosts.stampDuty).toBe(12600);
+    expect(analysis.upfrontCosts.availableFunds).toBe(130000);
+  });
+});
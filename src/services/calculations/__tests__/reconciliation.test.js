@@ -0,0 +1,138 @@
+import {
+  BASELINE_MONTHS,
+  PREDICTION_SOURCE,
+  createProjectionBaseline,
+  findPredictedMonth,
+  validateMonthlyClose,
+  calculateCloseVariance,
+  buildReconciliationLedger,
+  getRebaselineValues
+} from '../reconciliation';
+
+const makeRow = (year, monthIndex, cashSavings, cpfBalance) => ({
+  year,
+  monthIndex,
+  cashSavings,
+  cpfBalance,
+  totalNetWorth: cashSavings + cpfBalance,
+  monthlyExpenses: 2000,
+  yearlyExpenseAmount: monthIndex === 6 ? 500 : 0,
+  upcomingSpendingAmount: 0
+});
+
+const projection = [
+  makeRow(2025, 5, 10000, 50000),
+  makeRow(2025, 6, 12000, 52000),
+  makeRow(2025, 7, 14000, 54000)
+];
+
+describe('Reconciliation', () => {
+  describe('createProjectionBaseline', () => {
+    it('should keep the reconciliation fields of the first months', () => {
+      const baseline = createProjectionBaseline(projection, 2, '2025-05-01T00:00:00.000Z');
+
+      expect(baseline.createdAt).toBe('2025-05-01T00:00:00.000Z');
+      expect(baseline.rows).toEqual([
+        { year: 2025, month: 5, cashSavings: 10000, cpfBalance: 50000, totalNetWorth: 60000, loanBalance: 0, spend: 2000 },
+        { year: 2025, month: 6, cashSavings: 12000, cpfBalance: 52000, totalNetWorth: 64000, loanBalance: 0, spend: 2500 }
+      ]);
+    });
+
+    it('should return null without a projection', () => {
+      expect(createProjectionBaseline([])).toBeNull();
+      expect(BASELINE_MONTHS).toBe(60);
+    });
+  });
+
+  describe('findPredictedMonth', () => {
+    it('should prefer the saved baseline over the live projection', () => {
+      const baseline = {
+        createdAt: '2025-01-01T00:00:00.000Z',
+        rows: [{ year: 2025, month: 6, cashSavings: 9000, cpfBalance: 51000, totalNetWorth: 60000, spend: 2100 }]
+      };
+
+      const fromBaseline = findPredictedMonth(2025, 6, baseline, projection);
+      expect(fromBaseline.source).toBe(PREDICTION_SOURCE.BASELINE);
+      expect(fromBaseline.predicted.cashSavings).toBe(9000);
+
+      const fromProjection = findPredictedMonth(2025, 7, baseline, projection);
+      expect(fromProjection.source).toBe(PREDICTION_SOURCE.PROJECTION);
+      expect(fromProjection.predicted.cashSavings).toBe(14000);
+
+      expect(findPredictedMonth(2030, 1, baseline, projection)).toBeNull();
+    });
+  });
+
+  describe('validateMonthlyClose', () => {
+    it('should reject invalid months and negative amounts', () => {
+      expect(() => validateMonthlyClose({ year: 2025, month: 13 })).toThrow('valid month');
+      expect(() => validateMonthlyClose({ year: 2025, month: 5, cashBalance: -1 })).toThrow('cashBalance');
+      expect(() => validateMonthlyClose({ year: 2025, month: 5, cashBalance: 100, cpfBalance: null })).not.toThrow();
+    });
+  });
+
+  describe('calculateCloseVariance', () => {
+    it('should compare actuals with the stored prediction', () => {
+      const { predicted } = findPredictedMonth(2025, 6, null, projection);
+      const variance = calculateCloseVariance({
+        year: 2025,
+        month: 6,
+        cashBalance: 11000,
+        cpfBalance: 52500,
+        actualSpend: 2750,
+        predicted
+      });
+
+      expect(variance.cash).toEqual({ actual: 11000, predicted: 12000, variance: -1000, variancePercent: -8.3 });
+      expect(variance.cpf.variance).toBe(500);
+      expect(variance.netWorth).toMatchObject({ actual: 63500, predicted: 64000, variance: -500 });
+      expect(variance.spend).toMatchObject({ variance: 250, variancePercent: 10 });
+    });
+
+    it('should deduct the scheduled loan balance from actual net worth', () => {
+      const variance = calculateCloseVariance({
+        year: 2025,
+        month: 6,
+        cashBalance: 12000,
+        cpfBalance: 52000,
+        predicted: { cashSavings: 12000, cpfBalance: 52000, totalNetWorth: 14000, loanBalance: 50000, spend: 0 }
+      });
+
+      expect(variance.netWorth).toMatchObject({ actual: 14000, variance: 0 });
+    });
+
+    it('should leave variance empty when there is no prediction or actual', () => {
+      const variance = calculateCloseVariance({ year: 2025, month: 6, cashBalance: 100, cpfBalance: null, predicted: null });
+
+      expect(variance.cash).toEqual({ actual: 100, predicted: null, variance: null, variancePercent: null });
+      expect(variance.netWorth.actual).toBeNull();
+    });
+  });
+
+  describe('buildReconciliationLedger', () => {
+    it('should sort closes newest first with their variance', () => {
+      const ledger = buildReconciliationLedger([
+        { id: 1, year: 2024, month: 12, cashBalance: 1, cpfBalance: 1 },
+        { id: 2, year: 2025, month: 2, cashBalance: 1, cpfBalance: 1 },
+        { id: 3, year: 2025, month: 1, cashBalance: 1, cpfBalance: 1 }
+      ]);
+
+      expect(ledger.map(close => close.key)).toEqual(['2025-02', '2025-01', '2024-12']);
+      expect(ledger[0].variance.cash.variance).toBeNull();
+    });
+  });
+
+  describe('getRebaselineValues', () => {
+    it('should map close balances to profile values', () => {
+      expect(getRebaselineValues({ cashBalance: 15000, cpfBalance: 60000 })).toEqual({
+        currentSavings: 15000,
+        currentCpfBalance: 60000,
+        cpfAccounts: null
+      });
+    });
+
+    it('should require both balances', () => {
+      expect(() => getRebaselineValues({ cashBalance: 15000, cpfBalance: null })).toThrow('cash and CPF');
+    });
+  });
+});
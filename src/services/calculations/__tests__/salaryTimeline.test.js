@@ -0,0 +1,86 @@
+import {
+  SALARY_EVENT_TYPE,
+  validateSalaryEvent,
+  normalizeSalaryEvents,
+  getSalaryEventsForMonth,
+  getBaseSalaryForMonth
+} from '../salaryTimeline';
+
+const events = [
+  { id: 5, type: SALARY_EVENT_TYPE.JOB_CHANGE, month: 1, year: 2028, newSalary: 9000, months: 2 },
+  { id: 1, month: 7, year: 2026, newSalary: '6500' },
+  { id: 2, type: SALARY_EVENT_TYPE.UNPAID_LEAVE, month: 11, year: 2026, months: 1 },
+  { id: 3, type: SALARY_EVENT_TYPE.PART_TIME, month: 3, year: 2027, percentage: 60 },
+  { id: 4, type: SALARY_EVENT_TYPE.CAREER_BREAK, month: 6, year: 2027, months: 3, monthlyExpenses: 1200 }
+];
+
+describe('validateSalaryEvent', () => {
+  it('accepts each event type with its fields', () => {
+    events.forEach(event => expect(() => validateSalaryEvent(event)).not.toThrow());
+    expect(() => validateSalaryEvent({ type: SALARY_EVENT_TYPE.JOB_LOSS, month: 2, year: 2027, months: 4, severance: 8000 })).not.toThrow();
+  });
+
+  it('rejects events missing what their type needs', () => {
+    expect(() => validateSalaryEvent({ type: 'sabbatical', month: 1, year: 2027 })).toThrow('Unknown salary event type');
+    expect(() => validateSalaryEvent({ month: 13, year: 2027, newSalary: 5000 })).toThrow('month and year');
+    expect(() => validateSalaryEvent({ type: SALARY_EVENT_TYPE.JOB_CHANGE, month: 1, year: 2027, months: 1 })).toThrow('new salary');
+    expect(() => validateSalaryEvent({ type: SALARY_EVENT_TYPE.UNPAID_LEAVE, month: 1, year: 2027, months: 0 })).toThrow('months without pay');
+    expect(() => validateSalaryEvent({ type: SALARY_EVENT_TYPE.PART_TIME, month: 1, year: 2027, percentage: 100 })).toThrow('Part-time');
+    expect(() => validateSalaryEvent({ type: SALARY_EVENT_TYPE.JOB_LOSS, month: 1, year: 2027, months: 2, severance: -1 })).toThrow('negative');
+  });
+});
+
+describe('normalizeSalaryEvents', () => {
+  it('sorts events, treats untyped entries as raises and parses amounts', () => {
+    const normalized = normalizeSalaryEvents([...events, { id: 9, month: 0, year: 2027 }]);
+
+    expect(normalized.map(event => event.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(normalized[0]).toMatchObject({ type: SALARY_EVENT_TYPE.RAISE, newSalary: 6500 });
+    expect(normalized[1]).toMatchObject({ newSalary: null, monthlyExpenses: null, severance: 0 });
+    expect(normalizeSalaryEvents(undefined)).toEqual([]);
+  });
+});
+
+describe('getSalaryEventsForMonth', () => {
+  it('sets a new salary in the month it takes effect', () => {
+    expect(getSalaryEventsForMonth(events, 2026, 7)).toMatchObject({ newSalary: 6500, payFactor: 1 });
+    expect(getSalaryEventsForMonth(events, 2026, 8)).toMatchObject({ newSalary: null, payFactor: 1, events: [] });
+  });
+
+  it('cuts pay during leave, part-time work and breaks, the lowest share winning', () => {
+    expect(getSalaryEventsForMonth(events, 2026, 11).payFactor).toBe(0);
+    expect(getSalaryEventsForMonth(events, 2026, 12).payFactor).toBe(1);
+    expect(getSalaryEventsForMonth(events, 2027, 3).payFactor).toBe(0.6);
+
+    const breakMonth = getSalaryEventsForMonth(events, 2027, 7);
+    expect(breakMonth).toMatchObject({ payFactor: 0, monthlyExpenses: 1200 });
+    expect(getSalaryEventsForMonth(events, 2027, 9)).toMatchObject({ payFactor: 0.6, monthlyExpenses: null });
+  });
+
+  it('pays no salary between jobs and starts the new salary after the gap', () => {
+    expect(getSalaryEventsForMonth(events, 2028, 1)).toMatchObject({ newSalary: null, payFactor: 0 });
+    expect(getSalaryEventsForMonth(events, 2028, 1).events.map(event => event.id)).toEqual([5]);
+    expect(getSalaryEventsForMonth(events, 2028, 3)).toMatchObject({ newSalary: 9000 });
+  });
+
+  it('pays severance when a job is lost and resumes the old salary unless a new one is set', () => {
+    const jobLoss = [{ type: SALARY_EVENT_TYPE.JOB_LOSS, month: 2, year: 2027, months: 3, severance: 8000 }];
+
+    expect(getSalaryEventsForMonth(jobLoss, 2027, 2)).toMatchObject({ severance: 8000, payFactor: 0 });
+    expect(getSalaryEventsForMonth(jobLoss, 2027, 4)).toMatchObject({ severance: 0, payFactor: 0 });
+    expect(getSalaryEventsForMonth(jobLoss, 2027, 5)).toMatchObject({ newSalary: null, payFactor: 1 });
+    expect(getSalaryEventsForMonth([{ ...jobLoss[0], newSalary: 5500 }], 2027, 5).newSalary).toBe(5500);
+  });
+});
+
+describe('getBaseSalaryForMonth', () => {
+  it('uses the latest new salary in force, ignoring pay cuts', () => {
+    const income = { currentSalary: 6000, salaryAdjustments: events };
+
+    expect(getBaseSalaryForMonth(income, 2026, 6)).toBe(6000);
+    expect(getBaseSalaryForMonth(income, 2026, 11)).toBe(6500);
+    expect(getBaseSalaryForMonth(income, 2028, 2)).toBe(6500);
+    expect(getBaseSalaryForMonth(income, 2028, 3)).toBe(9000);
+    expect(getBaseSalaryForMonth({ currentSalary: '4800' }, 2028, 3)).toBe(4800);
+  });
+});
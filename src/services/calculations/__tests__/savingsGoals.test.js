@@ -0,0 +1,135 @@
+import {
+  GOAL_FUNDING_SOURCE,
+  GOAL_STATUS,
+  GOAL_COLORS,
+  getDefaultGoalReturn,
+  validateSavingsGoal,
+  normalizeSavingsGoals,
+  sumGoalBalancesBySource,
+  stepSavingsGoals,
+  evaluateSavingsGoals
+} from '../savingsGoals';
+
+const baseGoal = {
+  name: 'Emergency Fund',
+  targetAmount: 12000,
+  currentAmount: 6000,
+  monthlyContribution: 500,
+  fundingSource: GOAL_FUNDING_SOURCE.CASH,
+  deadline: { month: 12, year: 2025 }
+};
+
+// Projection rows with a goal balance that grows by the contribution each month
+const buildRows = (goalId, opening, contribution, months) =>
+  Array.from({ length: months }, (_, index) => ({
+    date: `M${index + 1}`,
+    goalBalances: { [goalId]: opening + contribution * (index + 1) }
+  }));
+
+describe('getDefaultGoalReturn', () => {
+  it('uses the OA rate for CPF goals and the savings rate otherwise', () => {
+    expect(getDefaultGoalReturn(GOAL_FUNDING_SOURCE.CPF_OA)).toBe(2.5);
+    expect(getDefaultGoalReturn(GOAL_FUNDING_SOURCE.CASH)).toBe(1.5);
+    expect(getDefaultGoalReturn(GOAL_FUNDING_SOURCE.SUB_ACCOUNT)).toBe(1.5);
+  });
+});
+
+describe('validateSavingsGoal', () => {
+  it('accepts a complete goal', () => {
+    expect(() => validateSavingsGoal(baseGoal)).not.toThrow();
+    expect(() => validateSavingsGoal({ ...baseGoal, deadline: null })).not.toThrow();
+  });
+
+  it('rejects missing names, bad amounts, funding sources and dates', () => {
+    expect(() => validateSavingsGoal({ ...baseGoal, name: ' ' })).toThrow('Goal name is required');
+    expect(() => validateSavingsGoal({ ...baseGoal, targetAmount: 0 })).toThrow('Target amount');
+    expect(() => validateSavingsGoal({ ...baseGoal, monthlyContribution: -1 })).toThrow('Monthly contribution');
+    expect(() => validateSavingsGoal({ ...baseGoal, fundingSource: 'srs' })).toThrow('Funding source');
+    expect(() => validateSavingsGoal({ ...baseGoal, deadline: { month: 13, year: 2025 } })).toThrow('Target date');
+  });
+});
+
+describe('normalizeSavingsGoals', () => {
+  it('fills defaults, sorts by priority then deadline and assigns colours by position', () => {
+    const goals = normalizeSavingsGoals([
+      { id: 'a', name: 'Car', targetAmount: 30000, priority: 'low' },
+      { id: 'b', name: 'Wedding', targetAmount: 40000, priority: 'high', deadline: { month: 6, year: 2027 } },
+      { id: 'c', name: 'Holiday', targetAmount: 5000, priority: 'high', deadline: { month: 1, year: 2026 }, fundingSource: 'cpf_oa' },
+      { id: 'd', targetAmount: 0 }
+    ]);
+
+    expect(goals.map(goal => goal.id)).toEqual(['c', 'b', 'a']);
+    expect(goals.map(goal => goal.color)).toEqual(GOAL_COLORS.slice(0, 3));
+    expect(goals[2]).toMatchObject({ fundingSource: 'cash', currentAmount: 0, monthlyContribution: 0, annualReturn: 1.5 });
+    expect(goals[0].annualReturn).toBe(2.5);
+  });
+});
+
+describe('sumGoalBalancesBySource', () => {
+  it('totals the amounts already set aside from one source', () => {
+    const goals = normalizeSavingsGoals([
+      { ...baseGoal, id: 1 },
+      { ...baseGoal, id: 2, currentAmount: 1000 },
+      { ...baseGoal, id: 3, fundingSource: GOAL_FUNDING_SOURCE.CPF_OA }
+    ]);
+
+    expect(sumGoalBalancesBySource(goals, GOAL_FUNDING_SOURCE.CASH)).toBe(7000);
+    expect(sumGoalBalancesBySource(goals, GOAL_FUNDING_SOURCE.CPF_OA)).toBe(6000);
+  });
+});
+
+describe('stepSavingsGoals', () => {
+  it('grows each goal, contributes up to its target and limits OA contributions to the OA balance', () => {
+    const goals = normalizeSavingsGoals([
+      { id: 1, name: 'Nearly there', targetAmount: 1200, monthlyContribution: 500, fundingSource: 'cash', annualReturn: 0 },
+      { id: 2, name: 'Renovation', targetAmount: 50000, monthlyContribution: 800, fundingSource: 'cpf_oa', annualReturn: 0 },
+      { id: 3, name: 'Travel', targetAmount: 10000, monthlyContribution: 300, fundingSource: 'sub_account', annualReturn: 12 }
+    ]);
+
+    const step = stepSavingsGoals({ 1: 1000, 2: 0, 3: 1000 }, goals, 600);
+    const travelGrowth = 1000 * (Math.pow(1.12, 1 / 12) - 1);
+
+    expect(step.balances[1]).toBe(1200);
+    expect(step.balances[2]).toBe(600);
+    expect(step.balances[3]).toBeCloseTo(1000 + travelGrowth + 300, 6);
+    expect(step.contributions).toEqual({ cash: 200, cpfOa: 600, subAccount: 300 });
+    expect(step.growth).toBeCloseTo(travelGrowth, 6);
+  });
+});
+
+describe('evaluateSavingsGoals', () => {
+  const options = { projectionStartMonth: 1, projectionStartYear: 2025 };
+
+  it('reports the projected completion date and on-track status', () => {
+    const [result] = evaluateSavingsGoals(buildRows(1, 6000, 500, 24), [{ ...baseGoal, id: 1, annualReturn: 0 }], options);
+
+    expect(result.completionIndex).toBe(11);
+    expect(result.completionDate).toBe('M12');
+    expect(result.requiredMonthly).toBe(500);
+    expect(result.status).toBe(GOAL_STATUS.ON_TRACK);
+    expect(result.onTrack).toBe(true);
+    expect(result.progress).toBe(50);
+  });
+
+  it('is off track when the contribution is below what calculateGoalSavings requires', () => {
+    const goal = { ...baseGoal, id: 1, monthlyContribution: 300, annualReturn: 2 };
+    const [result] = evaluateSavingsGoals(buildRows(1, 6000, 300, 24), [goal], options);
+
+    expect(result.completionDate).toBe('M20');
+    expect(result.requiredMonthly).toBeGreaterThan(300);
+    expect(result.requiredMonthly).toBeLessThan(500);
+    expect(result.status).toBe(GOAL_STATUS.OFF_TRACK);
+  });
+
+  it('marks goals already at their target complete and goals without a deadline by completion', () => {
+    const results = evaluateSavingsGoals(buildRows(1, 0, 0, 12), [
+      { ...baseGoal, id: 1, currentAmount: 12000 },
+      { ...baseGoal, id: 2, deadline: null, monthlyContribution: 0 }
+    ], options);
+
+    expect(results[0].status).toBe(GOAL_STATUS.COMPLETE);
+    expect(results[1].status).toBe(GOAL_STATUS.OFF_TRACK);
+    expect(results[1].completionDate).toBeNull();
+    expect(results[1].requiredMonthly).toBeNull();
+  });
+});
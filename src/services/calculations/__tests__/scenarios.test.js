@@ -0,0 +1,179 @@
+import {
+  BASE_SCENARIO_ID,
+  applyScenarioOverrides,
+  createScenarioOverrides,
+  validateScenario,
+  getScenarioData,
+  promoteScenario,
+  summarizeScenarioProjection,
+  compareScenarioSummaries,
+  buildScenarioChartData
+} from '../scenarios';
+
+const base = {
+  schemaVersion: 6,
+  personalInfo: { birthday: { month: 9, year: 1996 }, currentSavings: 11000 },
+  income: { currentSalary: 4800, salaryDay: 25, salaryAdjustments: [] },
+  expenses: [
+    { id: 1, name: 'Rental', amount: 700, dueDay: 1 },
+    { id: 2, name: 'Food', amount: 600, dueDay: 15 }
+  ],
+  upcomingSpending: []
+};
+
+const jobChange = {
+  id: 10,
+  name: 'Job change 2027',
+  overrides: {
+    income: { currentSalary: 6000 },
+    expenses: [{ id: 1, name: 'Rental', amount: 900, dueDay: 1 }]
+  }
+};
+
+describe('applyScenarioOverrides', () => {
+  it('merges objects key by key and replaces lists', () => {
+    const result = applyScenarioOverrides(base, jobChange.overrides);
+
+    expect(result.income).toEqual({ currentSalary: 6000, salaryDay: 25, salaryAdjustments: [] });
+    expect(result.expenses).toEqual([{ id: 1, name: 'Rental', amount: 900, dueDay: 1 }]);
+    expect(result.personalInfo).toBe(base.personalInfo);
+    expect(base.income.currentSalary).toBe(4800);
+  });
+});
+
+describe('createScenarioOverrides', () => {
+  it('keeps only what differs, down to nested keys', () => {
+    const edited = {
+      ...base,
+      income: { ...base.income, currentSalary: 6000 },
+      personalInfo: { ...base.personalInfo },
+      upcomingSpending: [{ id: 5, name: 'Condo', amount: 50000, day: 1, month: 6, year: 2027 }],
+      schemaVersion: 7
+    };
+
+    expect(createScenarioOverrides(base, edited)).toEqual({
+      income: { currentSalary: 6000 },
+      upcomingSpending: edited.upcomingSpending
+    });
+  });
+
+  it('round-trips through applyScenarioOverrides', () => {
+    const edited = applyScenarioOverrides(base, jobChange.overrides);
+    expect(applyScenarioOverrides(base, createScenarioOverrides(base, edited))).toEqual(edited);
+  });
+});
+
+describe('validateScenario', () => {
+  it('requires a name and overrides that leave the scenario list alone', () => {
+    expect(() => validateScenario(jobChange)).not.toThrow();
+    expect(() => validateScenario({ ...jobChange, name: ' ' })).toThrow('name is required');
+    expect(() => validateScenario({ ...jobChange, name: 'Base' })).toThrow('base plan');
+    expect(() => validateScenario({ ...jobChange, overrides: [] })).toThrow('must be an object');
+    expect(() => validateScenario({ ...jobChange, overrides: { scenarios: [] } })).toThrow("can't override scenarios");
+  });
+});
+
+describe('getScenarioData', () => {
+  it('applies the overrides and leaves out the scenario list', () => {
+    const data = getScenarioData({ ...base, scenarios: [jobChange] }, jobChange);
+
+    expect(data.scenarios).toBeUndefined();
+    expect(data.income.currentSalary).toBe(6000);
+    expect(getScenarioData({ ...base, scenarios: [jobChange] }, null)).toEqual(base);
+  });
+});
+
+describe('promoteScenario', () => {
+  const other = { id: 11, name: 'Buy condo', overrides: { personalInfo: { currentSavings: 0 } } };
+  const financialData = { ...base, scenarios: [jobChange, other] };
+
+  it('makes the scenario the base and keeps the old base as a scenario', () => {
+    const promoted = promoteScenario(financialData, 10, '2026-01-01T00:00:00.000Z');
+
+    expect(promoted.income.currentSalary).toBe(6000);
+    expect(promoted.expenses).toHaveLength(1);
+    expect(promoted.scenarios.map(scenario => scenario.name)).toEqual(['Buy condo', 'Before Job change 2027']);
+
+    const previous = promoted.scenarios[1];
+    expect(previous).toMatchObject({ id: '10-previous', createdAt: '2026-01-01T00:00:00.000Z' });
+    expect(previous.overrides).toEqual({ income: { currentSalary: 4800 }, expenses: base.expenses });
+    expect(getScenarioData(promoted, previous)).toEqual(base);
+  });
+
+  it('refuses a scenario that does not exist', () => {
+    expect(() => promoteScenario(financialData, 99)).toThrow('Scenario not found');
+  });
+});
+
+describe('summarizeScenarioProjection', () => {
+  const projection = [
+    { date: 'Jan 2026', cashSavings: 5000, totalNetWorth: 20000 },
+    { date: 'Feb 2026', cashSavings: -250.4, totalNetWorth: 18000 },
+    { date: 'Mar 2026', cashSavings: 3000, totalNetWorth: 25000.126 }
+  ];
+
+  it('finds the final net worth, the lowest cash and the goal dates', () => {
+    const summary = summarizeScenarioProjection(projection, {
+      savingsGoalResults: [{ id: 1, name: 'Emergency Fund', completionIndex: 2, completionDate: 'Mar 2026' }],
+      goalResults: [{ id: 'savings-goal', name: '$100K cash', reachedIndex: null, reachedDate: null }]
+    });
+
+    expect(summary).toEqual({
+      finalNetWorth: 25000.13,
+      finalDate: 'Mar 2026',
+      minimumCash: -250.4,
+      minimumCashDate: 'Feb 2026',
+      goals: [
+        { key: 'savings-1', name: 'Emergency Fund', index: 2, date: 'Mar 2026' },
+        { key: 'projection-savings-goal', name: '$100K cash', index: null, date: null }
+      ]
+    });
+  });
+
+  it('returns an empty summary without a projection', () => {
+    expect(summarizeScenarioProjection(null)).toMatchObject({ finalNetWorth: 0, goals: [] });
+  });
+});
+
+describe('compareScenarioSummaries', () => {
+  it('compares each scenario with the base plan', () => {
+    const rows = compareScenarioSummaries([
+      {
+        id: BASE_SCENARIO_ID,
+        name: 'Base plan',
+        finalNetWorth: 500000,
+        minimumCash: 4000,
+        goals: [{ key: 'savings-1', index: 12 }, { key: 'savings-2', index: null }]
+      },
+      {
+        id: '10',
+        name: 'Job change 2027',
+        finalNetWorth: 560000,
+        minimumCash: 1500,
+        goals: [{ key: 'savings-1', index: 9 }, { key: 'savings-2', index: 30 }, { key: 'savings-3', index: 5 }]
+      }
+    ]);
+
+    expect(rows[0]).toMatchObject({ netWorthChange: 0, minimumCashChange: 0 });
+    expect(rows[1]).toMatchObject({ netWorthChange: 60000, minimumCashChange: -2500 });
+    expect(rows[1].goals.map(goal => goal.monthsLater)).toEqual([-3, null, null]);
+  });
+});
+
+describe('buildScenarioChartData', () => {
+  it('samples every step months and always includes the last month', () => {
+    const months = (count, offset) => Array.from({ length: count }, (_, index) => ({
+      date: `M${index}`,
+      totalNetWorth: index + offset
+    }));
+
+    expect(buildScenarioChartData([
+      { id: 'base', projection: months(5, 0) },
+      { id: '10', projection: months(3, 100) }
+    ], 'totalNetWorth', 2)).toEqual([
+      { date: 'M0', base: 0, 10: 100 },
+      { date: 'M2', base: 2, 10: 102 },
+      { date: 'M4', base: 4 }
+    ]);
+  });
+});
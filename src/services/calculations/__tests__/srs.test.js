@@ -0,0 +1,102 @@
+import {
+  SRS_CITIZENSHIP,
+  getStatutoryRetirementAge,
+  validateSrsAccount,
+  validateSrsWithdrawal,
+  normalizeSrsAccount,
+  calculateSrsWithdrawal,
+  getSrsWithdrawalAmount,
+  projectSrsAccount
+} from '../srs';
+
+const account = {
+  balance: 100000,
+  annualContribution: 15300,
+  annualReturn: 0,
+  openedYear: 2020,
+  earlyWithdrawals: []
+};
+
+describe('getStatutoryRetirementAge', () => {
+  it('uses the age in force in the month', () => {
+    expect(getStatutoryRetirementAge(2022, 6)).toBe(62);
+    expect(getStatutoryRetirementAge(2022, 7)).toBe(63);
+    expect(getStatutoryRetirementAge(2026, 6)).toBe(63);
+    expect(getStatutoryRetirementAge(2026, 7)).toBe(64);
+  });
+});
+
+describe('validateSrsAccount', () => {
+  it('caps contributions by citizenship', () => {
+    expect(() => validateSrsAccount(account)).not.toThrow();
+    expect(() => validateSrsAccount({ ...account, annualContribution: 15301 })).toThrow('capped at $15,300');
+    expect(() => validateSrsAccount({ ...account, citizenship: SRS_CITIZENSHIP.FOREIGNER, annualContribution: 35700 })).not.toThrow();
+  });
+
+  it('rejects negative amounts, early penalty-free withdrawals and invalid dated withdrawals', () => {
+    expect(() => validateSrsAccount({ ...account, balance: -1 })).toThrow('negative');
+    expect(() => validateSrsAccount({ ...account, withdrawalStartAge: 60 })).toThrow('statutory retirement age (62)');
+    expect(() => validateSrsAccount({ ...account, earlyWithdrawals: [{ year: 2027, month: 1, amount: 0 }] })).toThrow('more than 0');
+    expect(() => validateSrsWithdrawal({ year: 2027, month: 13, amount: 500 })).toThrow('month and year');
+  });
+});
+
+describe('normalizeSrsAccount', () => {
+  it('caps the contribution, resolves the retirement age and sorts withdrawals', () => {
+    const normalized = normalizeSrsAccount({
+      ...account,
+      annualContribution: '20000',
+      withdrawalStartAge: 65,
+      earlyWithdrawals: [{ id: 2, year: 2028, month: 1, amount: '500' }, { id: 1, year: 2027, month: 6, amount: 800 }]
+    });
+
+    expect(normalized.annualContribution).toBe(15300);
+    expect(normalized.retirementAge).toBe(62);
+    expect(normalized.withdrawalStartAge).toBe(65);
+    expect(normalized.earlyWithdrawals.map(withdrawal => withdrawal.id)).toEqual([1, 2]);
+    expect(normalized.earlyWithdrawals[1].amount).toBe(500);
+  });
+
+  it('uses today for an account without an opening year', () => {
+    const normalized = normalizeSrsAccount(undefined, new Date(2027, 0, 1));
+
+    expect(normalized.balance).toBe(0);
+    expect(normalized.retirementAge).toBe(64);
+    expect(normalized.withdrawalStartAge).toBe(64);
+  });
+});
+
+describe('SRS withdrawals', () => {
+  it('taxes half of penalty-free withdrawals, and all of an early one plus a 5% penalty', () => {
+    expect(calculateSrsWithdrawal(40000, true)).toEqual({ amount: 40000, taxable: 20000, penalty: 0, received: 40000 });
+    expect(calculateSrsWithdrawal(10000, false)).toEqual({ amount: 10000, taxable: 10000, penalty: 500, received: 9500 });
+  });
+
+  it('spreads the balance over the years left and empties it in the 10th', () => {
+    expect(getSrsWithdrawalAmount(100000, 0)).toBe(10000);
+    expect(getSrsWithdrawalAmount(50000, 9)).toBe(50000);
+    expect(getSrsWithdrawalAmount(0, 3)).toBe(0);
+  });
+});
+
+describe('projectSrsAccount', () => {
+  it('contributes until the retirement age, then withdraws over 10 years', () => {
+    const rows = projectSrsAccount(account, { currentAge: 60, startYear: 2030 });
+
+    expect(rows.map(row => row.age)).toEqual([60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71]);
+    expect(rows[1]).toMatchObject({ year: 2031, contribution: 15300, withdrawal: 0, balance: 130600 });
+    expect(rows[2]).toMatchObject({ contribution: 0, withdrawal: 13060, taxable: 6530, penalty: 0 });
+    expect(rows[11].withdrawal).toBeCloseTo(13060, 2);
+    expect(rows[11].balance).toBeCloseTo(0, 2);
+  });
+
+  it('penalises dated withdrawals before the retirement age', () => {
+    const rows = projectSrsAccount(
+      { ...account, earlyWithdrawals: [{ id: 1, year: 2030, month: 6, amount: 10000 }] },
+      { currentAge: 60, startYear: 2030 }
+    );
+
+    expect(rows[0]).toMatchObject({ withdrawal: 10000, taxable: 10000, penalty: 500, balance: 105300 });
+    expect(projectSrsAccount(account, { currentAge: null })).toEqual([]);
+  });
+});
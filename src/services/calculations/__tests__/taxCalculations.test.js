@@ -0,0 +1,207 @@
+import {
+  TAX_PAYMENT_MODE,
+  TAX_RELIEF_TYPES,
+  getTaxRules,
+  calculateProgressiveTax,
+  calculatePersonalIncomeTax,
+  calculateYearOfAssessmentTax,
+  calculateNonResidentTax,
+  scheduleTaxPayments
+} from '../taxCalculations';
+
+describe('Tax Calculations', () => {
+  describe('calculateYearOfAssessmentTax', () => {
+    it('should tax salary and bonuses after CPF and earned income relief', () => {
+      // $6,000 x 12 + $6,000 bonus, $14,400 employee CPF, $1,000 earned income relief
+      const result = calculateYearOfAssessmentTax(2024, { employmentIncome: 78000, employeeCpf: 14400 });
+
+      expect(result.incomeYear).toBe(2024);
+      expect(result.yearOfAssessment).toBe(2025);
+      expect(result.chargeableIncome).toBe(62600);
+      // $550 on the first $40,000, then 7% on $22,600, less the YA 2025 rebate (60%, capped at $200)
+      expect(result.taxBeforeRebate).toBe(2132);
+      expect(result.rebateAmount).toBe(200);
+      expect(result.finalTax).toBe(1932);
+    });
+
+    it('should apply configured reliefs', () => {
+      const result = calculateYearOfAssessmentTax(
+        2024,
+        { employmentIncome: 78000, employeeCpf: 14400 },
+        { reliefs: { [TAX_RELIEF_TYPES.PARENT]: 9000 } }
+      );
+
+      expect(result.chargeableIncome).toBe(53600);
+      expect(result.taxBeforeRebate).toBe(1502);
+      expect(result.finalTax).toBe(1302);
+    });
+
+    it('should not modify the reliefs passed in', () => {
+      const reliefs = { [TAX_RELIEF_TYPES.COURSE_FEES]: 2000 };
+      calculateYearOfAssessmentTax(2024, { employmentIncome: 50000, employeeCpf: 10000 }, { reliefs });
+
+      expect(reliefs).toEqual({ [TAX_RELIEF_TYPES.COURSE_FEES]: 2000 });
+    });
+
+    it('should claim SRS contributions up to the cap for the account holder', () => {
+      const result = calculateYearOfAssessmentTax(2024, { employmentIncome: 78000, employeeCpf: 14400, srsContributions: 15300 });
+
+      expect(result.reliefBreakdown[TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]).toBe(15300);
+      expect(result.chargeableIncome).toBe(47300);
+      expect(result.finalTax).toBe(861);
+
+      const income = { employmentIncome: 200000, employeeCpf: 0, srsContributions: 35700 };
+      expect(calculateYearOfAssessmentTax(2024, income).chargeableIncome).toBe(183700);
+      expect(calculateYearOfAssessmentTax(2024, income, { srsCitizenship: 'foreigner' }).chargeableIncome).toBe(163300);
+    });
+
+    it('should tax the taxable part of SRS withdrawals', () => {
+      // $40,000 withdrawn at retirement, half taxable, stays under the $20,000 zero-rate band after relief
+      const result = calculateYearOfAssessmentTax(2030, { employmentIncome: 0, employeeCpf: 0, srsTaxableWithdrawals: 20000 });
+
+      expect(result.assessableIncome).toBe(20000);
+      expect(result.finalTax).toBe(0);
+    });
+
+    it('should claim CPF cash top-ups up to each year\'s caps', () => {
+      const income = { employmentIncome: 78000, employeeCpf: 14400, cpfTopUps: { self: 10000, family: 3000, mediSave: 2000 } };
+      const result = calculateYearOfAssessmentTax(2024, income);
+
+      expect(result.reliefBreakdown[TAX_RELIEF_TYPES.CPF_CASH_TOPUP]).toBe(8000);
+      expect(result.reliefBreakdown[TAX_RELIEF_TYPES.CPF_CASH_TOPUP_FAMILY]).toBe(3000);
+      expect(result.reliefBreakdown[TAX_RELIEF_TYPES.MEDISAVE_VOLUNTARY]).toBe(2000);
+      expect(result.chargeableIncome).toBe(49600);
+
+      // Top-ups made before 2022 were capped at $7,000
+      expect(calculateYearOfAssessmentTax(2021, income).reliefBreakdown[TAX_RELIEF_TYPES.CPF_CASH_TOPUP]).toBe(7000);
+
+      // Claims entered by hand share the cap with scheduled top-ups
+      const claimed = calculateYearOfAssessmentTax(
+        2024,
+        { employmentIncome: 78000, employeeCpf: 14400, cpfTopUps: { self: 5000 } },
+        { reliefs: { [TAX_RELIEF_TYPES.CPF_CASH_TOPUP]: 5000 } }
+      );
+      expect(claimed.reliefBreakdown[TAX_RELIEF_TYPES.CPF_CASH_TOPUP]).toBe(8000);
+    });
+
+    it('should return zero tax for a year without income', () => {
+      const result = calculateYearOfAssessmentTax(2024, { employmentIncome: 0, employeeCpf: 0 });
+
+      expect(result.finalTax).toBe(0);
+      expect(result.effectiveRate).toBe(0);
+    });
+  });
+
+  describe('tax rules by Year of Assessment', () => {
+    // Tax on chargeable income from the IRAS resident tax rate tables
+    it('should match the IRAS rate tables before and after the YA 2024 top rates', () => {
+      expect(calculateProgressiveTax(40000, getTaxRules(2023)).totalTax).toBe(550);
+      expect(calculateProgressiveTax(80000, getTaxRules(2023)).totalTax).toBe(3350);
+      expect(calculateProgressiveTax(320000, getTaxRules(2023)).totalTax).toBe(44550);
+      expect(calculateProgressiveTax(1000000, getTaxRules(2023)).totalTax).toBe(194150);
+
+      expect(calculateProgressiveTax(320000, getTaxRules(2024)).totalTax).toBe(44550);
+      expect(calculateProgressiveTax(500000, getTaxRules(2024)).totalTax).toBe(84150);
+      expect(calculateProgressiveTax(1000000, getTaxRules(2024)).totalTax).toBe(199150);
+      expect(calculateProgressiveTax(1200000, getTaxRules(2025)).marginalRate).toBe(24);
+    });
+
+    it('should apply each YA\'s one-off rebate', () => {
+      const income = { yearOfAssessment: 2023, reliefs: {} };
+      // $81,000 less $1,000 earned income relief: $3,350 tax
+      expect(calculatePersonalIncomeTax(81000, income).finalTax).toBe(3350);
+      expect(calculatePersonalIncomeTax(81000, { ...income, yearOfAssessment: 2020 }).finalTax).toBe(2850);
+      // YA 2024: 50% of $200 tax on $30,000 chargeable income
+      expect(calculatePersonalIncomeTax(31000, { ...income, yearOfAssessment: 2024 }).finalTax).toBe(100);
+      expect(calculatePersonalIncomeTax(81000, { ...income, yearOfAssessment: 2025 }).finalTax).toBe(3150);
+      // No rebate has been announced beyond the schedule; a given rebate replaces the YA's
+      expect(calculatePersonalIncomeTax(81000, { ...income, yearOfAssessment: 2030 }).finalTax).toBe(3350);
+      expect(calculatePersonalIncomeTax(81000, { ...income, yearOfAssessment: 2025, rebate: 10 }).finalTax).toBe(3015);
+    });
+
+    it('should cap total reliefs at $80,000 and drop lapsed reliefs', () => {
+      const reliefs = {
+        cpfContributions: 20400,
+        [TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]: 15300,
+        [TAX_RELIEF_TYPES.HANDICAPPED_PARENT]: 14000,
+        [TAX_RELIEF_TYPES.PARENT]: 9000,
+        [TAX_RELIEF_TYPES.HANDICAPPED_CHILD]: 7500,
+        [TAX_RELIEF_TYPES.HANDICAPPED_SPOUSE]: 5500,
+        [TAX_RELIEF_TYPES.LIFE_INSURANCE]: 5000,
+        [TAX_RELIEF_TYPES.COURSE_FEES]: 5500
+      };
+
+      const ya2025 = calculatePersonalIncomeTax(300000, { yearOfAssessment: 2025, reliefs: { ...reliefs } });
+      expect(ya2025.totalReliefs).toBe(80000);
+      expect(ya2025.reliefCapApplied).toBe(true);
+      expect(ya2025.chargeableIncome).toBe(220000);
+
+      // Course fees relief lapses from YA 2026, and foreign domestic worker levy relief from YA 2025
+      const ya2026 = calculatePersonalIncomeTax(300000, { yearOfAssessment: 2026, reliefs: { ...reliefs } });
+      expect(ya2026.reliefBreakdown[TAX_RELIEF_TYPES.COURSE_FEES]).toBeUndefined();
+      expect(ya2026.totalReliefs).toBe(77700);
+      expect(getTaxRules(2024).reliefCaps[TAX_RELIEF_TYPES.FOREIGN_DOMESTIC_WORKER]).toBe(9600);
+      expect(getTaxRules(2025).reliefCaps[TAX_RELIEF_TYPES.FOREIGN_DOMESTIC_WORKER]).toBeNull();
+    });
+
+    it('should require a Year of Assessment', () => {
+      expect(() => getTaxRules()).toThrow('Year of Assessment');
+      expect(() => calculateProgressiveTax(50000)).toThrow('Year of Assessment');
+      expect(() => calculatePersonalIncomeTax(81000, { reliefs: {} })).toThrow('Year of Assessment');
+      expect(() => calculateNonResidentTax(81000, { employmentPeriodDays: 200 })).toThrow('Year of Assessment');
+    });
+
+    it('should tax non-residents at the higher of 15% and the YA\'s resident rates', () => {
+      const flatRate = calculateNonResidentTax(81000, { yearOfAssessment: 2025 });
+      expect(flatRate.finalTax).toBe(12150);
+      expect(flatRate.taxMethod).toBe('15% Flat Rate');
+      expect(flatRate.employmentPeriodDays).toBe(365);
+
+      // $1,000,000 chargeable income after earned income relief
+      const ya2023 = calculateNonResidentTax(1001000, { yearOfAssessment: 2023, employmentPeriodDays: 120 });
+      const ya2024 = calculateNonResidentTax(1001000, { yearOfAssessment: 2024, employmentPeriodDays: 120 });
+      expect(ya2023.finalTax).toBe(194150);
+      expect(ya2024.finalTax).toBe(199150);
+      expect(ya2024.taxMethod).toBe('Progressive Rates');
+      expect(ya2024.employmentPeriodDays).toBe(120);
+    });
+
+    it('should assess each income year under the following YA\'s rules', () => {
+      const income = { employmentIncome: 1100000, employeeCpf: 20400 };
+
+      const ya2023 = calculateYearOfAssessmentTax(2022, income);
+      const ya2024 = calculateYearOfAssessmentTax(2023, income);
+
+      expect(ya2023.yearOfAssessment).toBe(2023);
+      expect(ya2023.marginalRate).toBe(22);
+      expect(ya2024.marginalRate).toBe(24);
+      expect(ya2024.taxBeforeRebate).toBeGreaterThan(ya2023.taxBeforeRebate);
+    });
+  });
+
+  describe('scheduleTaxPayments', () => {
+    it('should bill a lump sum in the payment month of the YA', () => {
+      expect(scheduleTaxPayments(2132, 2025, TAX_PAYMENT_MODE.LUMP_SUM, 5)).toEqual([
+        { year: 2025, month: 5, amount: 2132, instalment: 1 }
+      ]);
+    });
+
+    it('should spread GIRO over 12 instalments into the next year', () => {
+      const payments = scheduleTaxPayments(1000, 2025, TAX_PAYMENT_MODE.GIRO, 5);
+
+      expect(payments).toHaveLength(12);
+      expect(payments[0]).toMatchObject({ year: 2025, month: 5 });
+      expect(payments[7]).toMatchObject({ year: 2025, month: 12 });
+      expect(payments[8]).toMatchObject({ year: 2026, month: 1 });
+      expect(payments[11]).toMatchObject({ year: 2026, month: 4 });
+      // Rounding difference goes into the last instalment
+      expect(payments[0].amount).toBe(83.33);
+      expect(payments[11].amount).toBe(83.37);
+      expect(payments.reduce((sum, payment) => sum + payment.amount, 0)).toBeCloseTo(1000, 2);
+    });
+
+    it('should not schedule anything when no tax is payable', () => {
+      expect(scheduleTaxPayments(0, 2025, TAX_PAYMENT_MODE.GIRO)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import {
+  getOrdinaryWageSubjectToCpf,
+  calculateAdditionalWageCeiling,
+  calculateAdditionalWageCpf,
+  calculateCpfContributions,
+  EMPLOYEE_TYPE
+} from '../cpf-utilities';
+
+describe('CPF Additional Wage Tests', () => {
+  it('should cap Ordinary Wages at the OW ceiling', () => {
+    expect(getOrdinaryWageSubjectToCpf(4500)).toBe(4500);
+    expect(getOrdinaryWageSubjectToCpf(9000)).toBe(7400);
+  });
+
+  it('should derive the AW ceiling from the year\'s OW', () => {
+    expect(calculateAdditionalWageCeiling(72000)).toBe(30000);
+    expect(calculateAdditionalWageCeiling(48000)).toBe(54000);
+    expect(calculateAdditionalWageCeiling(120000)).toBe(0);
+  });
+
+  it('should apply CPF to the whole bonus within the ceiling', () => {
+    const result = calculateAdditionalWageCpf(10000, [0.2, 0.17], 60000);
+
+    expect(result.additionalWageSubjectToCpf).toBe(10000);
+    expect(result.employeeContribution).toBe(2000);
+    expect(result.employerContribution).toBe(1700);
+    expect(result.remainingCeiling).toBe(32000);
+  });
+
+  it('should share the ceiling across bonuses in the same year', () => {
+    // OW of $72,000 leaves a $30,000 ceiling; $25,000 was already used in February
+    const result = calculateAdditionalWageCpf(12000, [0.2, 0.17], 72000, 25000);
+
+    expect(result.additionalWageSubjectToCpf).toBe(5000);
+    expect(result.employeeContribution).toBe(1000);
+    expect(result.remainingCeiling).toBe(0);
+  });
+
+  it('should keep calculateCpfContributions consistent with the AW ceiling', () => {
+    const result = calculateCpfContributions(0, EMPLOYEE_TYPE.SINGAPOREAN, 30, 40000, 72000);
+
+    expect(result.employeeContribution).toBe(6000);
+    expect(result.employerContribution).toBe(5100);
+  });
+});
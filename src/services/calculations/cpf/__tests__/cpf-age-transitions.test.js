@@ -17,8 +17,8 @@ describe('CPF Age Transition Tests', () => {
       expect(age55[1]).toBe(0.17);
 
       // Age 56 should be in 55_to_60 bracket (lower rates)
-      expect(age56[0]).toBe(0.15); // Reduced to 15%
-      expect(age56[1]).toBe(0.15); // Reduced to 15%
+      expect(age56[0]).toBe(0.17); // Reduced to 17%
+      expect(age56[1]).toBe(0.155); // Reduced to 15.5%
     });
 
     it('should handle age 60 transition correctly', () => {
@@ -26,12 +26,12 @@ describe('CPF Age Transition Tests', () => {
       const age60 = getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 60);
       const age61 = getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 61);
 
-      expect(age59[0]).toBe(0.15);
-      expect(age60[0]).toBe(0.15);
+      expect(age59[0]).toBe(0.17);
+      expect(age60[0]).toBe(0.17);
 
       // Age 61 should be in 60_to_65 bracket
-      expect(age61[0]).toBe(0.105); // Further reduced
-      expect(age61[1]).toBe(0.095);
+      expect(age61[0]).toBe(0.115); // Further reduced
+      expect(age61[1]).toBe(0.12);
     });
 
     it('should handle age 65 transition correctly', () => {
@@ -39,12 +39,12 @@ describe('CPF Age Transition Tests', () => {
       const age65 = getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 65);
       const age66 = getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 66);
 
-      expect(age64[0]).toBe(0.105);
-      expect(age65[0]).toBe(0.105);
+      expect(age64[0]).toBe(0.115);
+      expect(age65[0]).toBe(0.115);
 
       // Age 66 should be in 65_to_70 bracket
       expect(age66[0]).toBe(0.075);
-      expect(age66[1]).toBe(0.075);
+      expect(age66[1]).toBe(0.09);
     });
 
     it('should handle age 70 transition correctly', () => {
@@ -57,7 +57,7 @@ describe('CPF Age Transition Tests', () => {
 
       // Age 71 should be in above_70 bracket
       expect(age71[0]).toBe(0.05); // Minimum
-      expect(age71[1]).toBe(0.05);
+      expect(age71[1]).toBe(0.075);
     });
   });
 
@@ -123,8 +123,8 @@ describe('CPF Age Transition Tests', () => {
 
       // Should see rate decreases at key ages
       expect(progression[0].empRate).toBe(0.20); // Age 54
-      expect(progression[2].empRate).toBe(0.15); // Age 56
-      expect(progression[7].empRate).toBe(0.105); // Age 61
+      expect(progression[2].empRate).toBe(0.17); // Age 56
+      expect(progression[7].empRate).toBe(0.115); // Age 61
       expect(progression[12].empRate).toBe(0.075); // Age 66
       expect(progression[17].empRate).toBe(0.05); // Age 71
     });
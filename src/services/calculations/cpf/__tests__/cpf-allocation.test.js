@@ -0,0 +1,142 @@
+import {
+  CPF_ACCOUNT,
+  BASIC_HEALTHCARE_SUM,
+  RETIREMENT_SUMS,
+  createRetirementAccount,
+  applyMediSaveOverflow,
+  stepCpfAccounts,
+  projectCpfGrowth
+} from '../cpf-allocation';
+
+const total = (balances) =>
+  balances.OA + balances.SA + balances.MA + balances.RA;
+
+describe('CPF Per-Account Projection', () => {
+  describe('createRetirementAccount', () => {
+    it('should move SA first, then OA, up to the Full Retirement Sum', () => {
+      const { balances, transferred } = createRetirementAccount({
+        OA: 200000,
+        SA: 150000,
+        MA: 60000,
+        RA: 0
+      });
+
+      expect(balances.RA).toBe(RETIREMENT_SUMS.FULL);
+      expect(transferred.fromSA).toBe(150000);
+      expect(transferred.fromOA).toBe(RETIREMENT_SUMS.FULL - 150000);
+      expect(balances.SA).toBe(0);
+      expect(balances.OA).toBe(200000 - (RETIREMENT_SUMS.FULL - 150000));
+      expect(balances.MA).toBe(60000);
+    });
+
+    it('should move SA above the retirement sum to the OA', () => {
+      const { balances, transferred } = createRetirementAccount({
+        OA: 10000,
+        SA: 250000,
+        MA: 0,
+        RA: 0
+      });
+
+      expect(balances.RA).toBe(RETIREMENT_SUMS.FULL);
+      expect(transferred.saToOA).toBe(250000 - RETIREMENT_SUMS.FULL);
+      expect(balances.OA).toBe(10000 + 250000 - RETIREMENT_SUMS.FULL);
+      expect(total(balances)).toBe(260000);
+    });
+  });
+
+  describe('applyMediSaveOverflow', () => {
+    it('should send MediSave above the BHS to SA before 55', () => {
+      const { balances, overflow } = applyMediSaveOverflow(
+        { OA: 0, SA: 1000, MA: BASIC_HEALTHCARE_SUM + 500, RA: 0 },
+        40
+      );
+
+      expect(overflow).toBe(500);
+      expect(balances.MA).toBe(BASIC_HEALTHCARE_SUM);
+      expect(balances.SA).toBe(1500);
+    });
+
+    it('should send MediSave above the BHS to RA from 55', () => {
+      const { balances } = applyMediSaveOverflow(
+        { OA: 0, SA: 0, MA: BASIC_HEALTHCARE_SUM + 500, RA: 1000 },
+        56
+      );
+
+      expect(balances.RA).toBe(1500);
+    });
+
+    it('should leave balances below the BHS untouched', () => {
+      const { balances, overflow } = applyMediSaveOverflow({ OA: 0, SA: 0, MA: 1000, RA: 0 }, 30);
+
+      expect(overflow).toBe(0);
+      expect(balances.MA).toBe(1000);
+    });
+  });
+
+  describe('stepCpfAccounts', () => {
+    it('should allocate contributions and credit interest per account', () => {
+      const step = stepCpfAccounts({ OA: 0, SA: 0, MA: 0, RA: 0 }, 1000, 30);
+
+      expect(step.balances.OA).toBeCloseTo(step.allocation[CPF_ACCOUNT.ORDINARY] + step.interest.OA.interest, 2);
+      expect(step.balances.SA).toBeCloseTo(step.allocation[CPF_ACCOUNT.SPECIAL] + step.interest.SA.interest, 2);
+      expect(step.balances.MA).toBeCloseTo(step.allocation[CPF_ACCOUNT.MEDISAVE] + step.interest.MA.interest, 2);
+      expect(step.balances.RA).toBe(0);
+      expect(step.yearToDateMediSaveContribution).toBe(step.allocation[CPF_ACCOUNT.MEDISAVE]);
+    });
+
+    it('should create the Retirement Account at 55', () => {
+      const step = stepCpfAccounts({ OA: 100000, SA: 80000, MA: 50000, RA: 0 }, 0, 55);
+
+      expect(step.retirementAccountCreated).toBe(true);
+      expect(step.balances.SA).toBe(0);
+      // SA and OA together fall short of the FRS, so both are fully transferred
+      expect(step.balances.OA).toBe(0);
+      expect(step.balances.RA).toBeGreaterThan(180000);
+    });
+
+    it('should create the Retirement Account at 55 with an empty SA', () => {
+      const step = stepCpfAccounts({ OA: 250000, SA: 0, MA: 50000, RA: 0 }, 0, 55);
+
+      expect(step.retirementAccountCreated).toBe(true);
+      expect(step.retirementAccountOpened).toBe(true);
+      // The FRS is set aside from the OA
+      expect(step.balances.RA).toBeGreaterThan(RETIREMENT_SUMS.FULL);
+      expect(step.balances.OA).toBeLessThan(250000 - RETIREMENT_SUMS.FULL + 1000);
+
+      // Later months leave the OA alone
+      const next = stepCpfAccounts(step.balances, 0, 55, 0, undefined, step.retirementAccountOpened);
+      expect(next.retirementAccountCreated).toBe(false);
+      expect(next.balances.OA).toBeGreaterThan(step.balances.OA);
+    });
+
+    it('should credit the SA share of contributions to the RA after 55', () => {
+      const step = stepCpfAccounts({ OA: 0, SA: 0, MA: 0, RA: 100000 }, 1000, 57, 0, undefined, true);
+
+      expect(step.retirementAccountCreated).toBe(false);
+      expect(step.balances.SA).toBe(0);
+      expect(step.balances.RA).toBeGreaterThan(100000 + step.allocation[CPF_ACCOUNT.SPECIAL]);
+    });
+
+    it('should not grow MediSave beyond the BHS', () => {
+      const step = stepCpfAccounts({ OA: 0, SA: 0, MA: BASIC_HEALTHCARE_SUM, RA: 0 }, 1000, 40);
+
+      expect(step.balances.MA).toBe(BASIC_HEALTHCARE_SUM);
+      expect(step.mediSaveOverflow).toBeGreaterThan(0);
+    });
+  });
+
+  describe('projectCpfGrowth', () => {
+    it('should open the Retirement Account when the member turns 55', () => {
+      const projections = projectCpfGrowth({ OA: 50000, SA: 40000, MA: 30000, RA: 0 }, 54, 2000, 24);
+
+      const before = projections[11];
+      const after = projections[12];
+
+      expect(before.age).toBe(54);
+      expect(before.balances.RA).toBe(0);
+      expect(after.age).toBe(55);
+      expect(after.balances.SA).toBe(0);
+      expect(after.balances.RA).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import {
+  VALUATION_LIMIT_STATUS,
+  validateCpfHousingUsage,
+  createHousingLedger,
+  withdrawForHousing,
+  accrueHousingInterest,
+  getValuationLimitStatus,
+  calculateHousingRefund
+} from '../cpf-housing';
+
+describe('CPF Housing Usage Tests', () => {
+  it('should validate OA already used for a home', () => {
+    expect(() => validateCpfHousingUsage({ principalWithdrawn: 100000, accruedInterest: 5000, valuationLimit: 500000 })).not.toThrow();
+    expect(() => validateCpfHousingUsage({ principalWithdrawn: -1 })).toThrow('negative');
+    expect(() => validateCpfHousingUsage({ principalWithdrawn: 0, valuationLimit: 0 })).toThrow('more than 0');
+  });
+
+  it('should stop OA use at 120% of the Valuation Limit and flag usage above the VL', () => {
+    const ledger = createHousingLedger({ valuationLimit: 500000, principalWithdrawn: 450000 });
+    expect(ledger.withdrawalLimit).toBe(600000);
+    expect(getValuationLimitStatus(ledger)).toBe(VALUATION_LIMIT_STATUS.WITHIN);
+
+    const aboveLimit = withdrawForHousing(ledger, 100000);
+    expect(aboveLimit.withdrawn).toBe(100000);
+    expect(getValuationLimitStatus(aboveLimit.ledger)).toBe(VALUATION_LIMIT_STATUS.ABOVE_VALUATION_LIMIT);
+
+    const capped = withdrawForHousing(aboveLimit.ledger, 80000);
+    expect(capped.withdrawn).toBe(50000);
+    expect(capped.ledger.principalWithdrawn).toBe(600000);
+    expect(getValuationLimitStatus(capped.ledger)).toBe(VALUATION_LIMIT_STATUS.WITHDRAWAL_LIMIT_REACHED);
+
+    // Without a Valuation Limit every withdrawal is recorded
+    expect(withdrawForHousing(createHousingLedger(), 1000000).withdrawn).toBe(1000000);
+  });
+
+  it('should accrue 2.5% a year monthly and compound it in December', () => {
+    let ledger = createHousingLedger({ principalWithdrawn: 120000 });
+    for (let month = 1; month <= 11; month++) {
+      ledger = accrueHousingInterest(ledger, month);
+    }
+    expect(ledger.accruedInterest).toBe(0);
+    expect(ledger.interestThisYear).toBeCloseTo(2750, 2);
+
+    ledger = accrueHousingInterest(ledger, 12);
+    expect(ledger.accruedInterest).toBeCloseTo(3000, 2);
+    expect(ledger.interestThisYear).toBe(0);
+
+    // Interest then earns interest
+    expect(accrueHousingInterest(ledger, 1).interestThisYear).toBeCloseTo(123000 * 0.025 / 12, 2);
+  });
+
+  it('should refund the principal and accrued interest, capped at the sale price less the loan', () => {
+    const ledger = { ...createHousingLedger({ principalWithdrawn: 120000, accruedInterest: 3000 }), interestThisYear: 500 };
+
+    expect(calculateHousingRefund(ledger)).toEqual({
+      principalWithdrawn: 120000,
+      accruedInterest: 3500,
+      refundDue: 123500,
+      refund: 123500,
+      cashProceeds: null
+    });
+    expect(calculateHousingRefund(ledger, { salePrice: 700000, outstandingLoan: 300000 })).toMatchObject({
+      refund: 123500,
+      cashProceeds: 276500
+    });
+    expect(calculateHousingRefund(ledger, { salePrice: 400000, outstandingLoan: 300000 })).toMatchObject({
+      refundDue: 123500,
+      refund: 100000,
+      cashProceeds: 0
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  CPF_POLICY_SCHEDULE,
+  DEFAULT_CPF_POLICY,
+  EMPLOYEE_TYPE,
+  CPF_ACCOUNT,
+  getCpfPolicy
+} from '../cpf-policy';
+import { getCpfRates, getOrdinaryWageSubjectToCpf, calculateAdditionalWageCpf } from '../cpf-utilities';
+import {
+  allocateCpfContributions,
+  stepCpfAccounts,
+  calculateTieredCpfInterest,
+  calculateRetirementAdequacy
+} from '../cpf-allocation';
+
+describe('CPF Policy Tests', () => {
+  it('should use the rules in force for each month', () => {
+    expect(getCpfPolicy(2025, 6).ordinaryWageCeiling).toBe(7400);
+    expect(getCpfPolicy(2025, 12).ordinaryWageCeiling).toBe(7400);
+    expect(getCpfPolicy(2026, 1).ordinaryWageCeiling).toBe(8000);
+
+    // Later entries only change what they list
+    expect(getCpfPolicy(2026, 1).annualWageCeiling).toBe(DEFAULT_CPF_POLICY.annualWageCeiling);
+    expect(getCpfPolicy(2026, 1).interestFloors).toBe(DEFAULT_CPF_POLICY.interestFloors);
+  });
+
+  it('should hold the announced 2025 rules', () => {
+    const policy = getCpfPolicy(2025, 1);
+
+    expect(policy.basicHealthcareSum).toBe(75500);
+    expect(policy.retirementSums).toEqual({ BASIC: 106500, FULL: 213000, ENHANCED: 426000 });
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 58, policy)).toEqual([0.17, 0.155]);
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 62, policy)).toEqual([0.115, 0.12]);
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 67, policy)).toEqual([0.075, 0.09]);
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 72, policy)).toEqual([0.05, 0.075]);
+  });
+
+  it('should hold the announced 2026 rules', () => {
+    const policy = getCpfPolicy(2026, 1);
+
+    expect(policy.basicHealthcareSum).toBe(79000);
+    expect(policy.retirementSums).toEqual({ BASIC: 110200, FULL: 220400, ENHANCED: 440800 });
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 58, policy)).toEqual([0.18, 0.16]);
+    expect(getCpfRates(EMPLOYEE_TYPE.PR_THIRD_YEAR_ONWARDS, 62, policy)).toEqual([0.125, 0.125]);
+    // Rates above 65 are unchanged
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 67, policy)).toEqual([0.075, 0.09]);
+    expect(policy.escalatedYears).toBe(0);
+
+    // Allocation ratios for each bracket add up to the whole contribution
+    Object.values(policy.allocationRates).forEach(ratios => {
+      expect(Object.values(ratios).reduce((sum, ratio) => sum + ratio, 0)).toBeCloseTo(1, 3);
+    });
+  });
+
+  it('should use the first entry for months before it', () => {
+    const policy = getCpfPolicy(2019, 3);
+
+    expect(policy.ordinaryWageCeiling).toBe(7400);
+    expect(policy.retirementSums).toEqual(DEFAULT_CPF_POLICY.retirementSums);
+    expect(policy.escalatedYears).toBe(0);
+  });
+
+  it('should escalate dollar amounts after the last scheduled year', () => {
+    const lastYear = CPF_POLICY_SCHEDULE[CPF_POLICY_SCHEDULE.length - 1].effectiveFrom.year;
+    const policy = getCpfPolicy(lastYear + 2, 7, { escalationRate: 3 });
+
+    expect(lastYear).toBe(2026);
+    expect(getCpfPolicy(lastYear, 12).retirementSums.FULL).toBe(220400);
+    expect(policy.escalatedYears).toBe(2);
+    expect(policy.ordinaryWageCeiling).toBe(Math.round(8000 * 1.03 * 1.03));
+    expect(policy.basicHealthcareSum).toBe(Math.round(79000 * 1.0609));
+    expect(policy.retirementSums.FULL).toBe(Math.round(220400 * 1.0609));
+    expect(policy.mediSaveContributionCeilings['35_and_below']).toBe(Math.round(8280 * 1.0609));
+
+    // Rates and the extra-interest tiers stay as scheduled
+    expect(policy.contributionRates).toBe(getCpfPolicy(lastYear, 1).contributionRates);
+    expect(policy.interestFloors).toBe(DEFAULT_CPF_POLICY.interestFloors);
+    expect(policy.extraInterest.tier2Limit).toBe(60000);
+  });
+
+  it('should hold the last scheduled amounts when escalation is off', () => {
+    const policy = getCpfPolicy(2060, 1, { escalationRate: 0 });
+
+    expect(policy.ordinaryWageCeiling).toBe(8000);
+    expect(policy.retirementSums.FULL).toBe(220400);
+    expect(policy.escalatedYears).toBe(0);
+  });
+
+  it('should apply a month\'s policy to contributions and the AW ceiling', () => {
+    const policy2026 = getCpfPolicy(2026, 3);
+
+    expect(getOrdinaryWageSubjectToCpf(9000, policy2026)).toBe(8000);
+    expect(getCpfRates(EMPLOYEE_TYPE.SINGAPOREAN, 30, policy2026)).toEqual([0.2, 0.17]);
+    expect(calculateAdditionalWageCpf(50000, [0.2, 0.17], 96000, 0, policy2026).additionalWageSubjectToCpf).toBe(6000);
+  });
+
+  it('should take the BHS, interest and retirement sums from the policy', () => {
+    const policy = {
+      ...DEFAULT_CPF_POLICY,
+      basicHealthcareSum: 80000,
+      retirementSums: { BASIC: 120000, FULL: 240000, ENHANCED: 480000 },
+      interestFloors: { ...DEFAULT_CPF_POLICY.interestFloors, [CPF_ACCOUNT.ORDINARY]: 0.03 }
+    };
+
+    // MediSave below the higher BHS keeps its share
+    const allocation = allocateCpfContributions(1000, 40, 76000, 0, policy);
+    expect(allocation.mediSaveStatus.exceededBHS).toBe(false);
+    expect(allocateCpfContributions(1000, 40, 76000).mediSaveStatus.exceededBHS).toBe(true);
+
+    // The RA is created up to the policy's FRS
+    const step = stepCpfAccounts({ OA: 200000, SA: 100000, MA: 0, RA: 0 }, 0, 55, 0, policy);
+    expect(step.retirementAccountCreated).toBe(true);
+    expect(step.balances.RA).toBeGreaterThan(240000);
+    expect(step.balances.RA).toBeLessThan(241000);
+
+    // OA above the extra-interest tiers earns the policy's floor rate
+    const interest = calculateTieredCpfInterest({ OA: 100000 }, 30, 12, policy);
+    expect(interest.OA.interest).toBeCloseTo(30000 * 0.04 + 30000 * 0.04 + 40000 * 0.03, 2);
+
+    expect(calculateRetirementAdequacy({ RA: 230000 }, 55, 65, policy).retirementLevel).toBe('Basic Retirement Sum');
+    expect(calculateRetirementAdequacy({ RA: 230000 }, 55, 65).retirementLevel).toBe('Full Retirement Sum');
+  });
+});
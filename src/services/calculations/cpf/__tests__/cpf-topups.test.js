@@ -0,0 +1,94 @@
+import { CPF_ACCOUNT, getCpfPolicy } from '../cpf-policy';
+import {
+  CPF_TOPUP_RECIPIENT,
+  CPF_TOPUP_TARGET,
+  validateCpfTopUp,
+  getCpfTopUpsForMonth,
+  getCpfTopUpRoom,
+  optimiseCpfTopUps
+} from '../cpf-topups';
+
+const topUp = { account: CPF_ACCOUNT.SPECIAL, amount: 8000, month: 12, year: 2026 };
+
+describe('CPF Top-up Tests', () => {
+  it('should validate scheduled top-ups', () => {
+    expect(() => validateCpfTopUp(topUp)).not.toThrow();
+    expect(() => validateCpfTopUp({ ...topUp, account: CPF_ACCOUNT.ORDINARY })).toThrow('SA, RA or MediSave');
+    expect(() => validateCpfTopUp({ ...topUp, account: CPF_ACCOUNT.MEDISAVE, recipient: CPF_TOPUP_RECIPIENT.FAMILY })).toThrow('family');
+    expect(() => validateCpfTopUp({ ...topUp, amount: 0 })).toThrow('more than 0');
+    expect(() => validateCpfTopUp({ ...topUp, month: 13 })).toThrow('month and year');
+    expect(() => validateCpfTopUp({ ...topUp, recurring: true, untilYear: 2025 })).toThrow('before the first');
+  });
+
+  it('should repeat recurring top-ups in their month until the last year', () => {
+    const topUps = [
+      { ...topUp, id: 1 },
+      { ...topUp, id: 2, account: CPF_ACCOUNT.MEDISAVE, amount: '2000', recurring: true, untilYear: 2028 }
+    ];
+
+    expect(getCpfTopUpsForMonth(topUps, 2026, 12).map(due => due.id)).toEqual([1, 2]);
+    expect(getCpfTopUpsForMonth(topUps, 2026, 11)).toEqual([]);
+    expect(getCpfTopUpsForMonth(topUps, 2028, 12)).toMatchObject([{ id: 2, amount: 2000, recipient: CPF_TOPUP_RECIPIENT.SELF }]);
+    expect(getCpfTopUpsForMonth(topUps, 2029, 12)).toEqual([]);
+  });
+
+  it('should cap top-ups at the FRS, the ERS from 55 and the BHS and annual limit for MediSave', () => {
+    const policy = getCpfPolicy(2026, 1);
+    const balances = { SA: 200000, RA: 300000, MA: 60000 };
+
+    expect(getCpfTopUpRoom(CPF_ACCOUNT.SPECIAL, balances, 40, policy)).toEqual({ account: CPF_ACCOUNT.SPECIAL, room: 20400 });
+    expect(getCpfTopUpRoom(CPF_ACCOUNT.SPECIAL, balances, 56, policy)).toEqual({ account: CPF_ACCOUNT.RETIREMENT, room: 140800 });
+    expect(getCpfTopUpRoom(CPF_ACCOUNT.MEDISAVE, balances, 40, policy).room).toBe(19000);
+    expect(getCpfTopUpRoom(CPF_ACCOUNT.MEDISAVE, balances, 40, policy, 30000).room).toBe(7740);
+  });
+
+  it('should spread top-ups within the relief cap when there is time to reach the FRS', () => {
+    const plan = optimiseCpfTopUps({
+      currentAge: 45,
+      startYear: 2026,
+      balances: { SA: 100000 },
+      marginalTaxRate: 11.5,
+      interestRate: 0.04,
+      escalationRate: 0
+    });
+
+    expect(plan.targetAmount).toBe(220400);
+    expect(plan.projectedWithoutTopUps).toBeCloseTo(100000 * Math.pow(1.04, 10), 0);
+    expect(plan.reachesTarget).toBe(true);
+    expect(plan.projectedWithTopUps).toBeCloseTo(220400, 0);
+    expect(plan.years.every(row => row.account === CPF_ACCOUNT.SPECIAL && row.topUp <= 8000)).toBe(true);
+    expect(plan.totalRelief).toBeCloseTo(plan.totalTopUps, 2);
+    expect(plan.totalTaxSaved).toBeCloseTo(plan.totalRelief * 0.115, 2);
+  });
+
+  it('should top up above the relief cap only when the years left cannot reach the target', () => {
+    const plan = optimiseCpfTopUps({
+      currentAge: 53,
+      startYear: 2026,
+      balances: { SA: 100000 },
+      target: CPF_TOPUP_TARGET.ENHANCED,
+      marginalTaxRate: 15,
+      interestRate: 0.04,
+      escalationRate: 0
+    });
+
+    expect(plan.years.map(row => [row.age, row.account])).toEqual([
+      [53, CPF_ACCOUNT.SPECIAL],
+      [54, CPF_ACCOUNT.SPECIAL],
+      [55, CPF_ACCOUNT.RETIREMENT]
+    ]);
+    expect(plan.years[0].topUp).toBeGreaterThan(8000);
+    expect(plan.years[0].relief).toBe(8000);
+    expect(plan.years[1].topUp).toBeCloseTo(8000, 2);
+    expect(plan.years[2].topUp).toBeCloseTo(440800 - 220400, 0);
+    expect(plan.projectedWithTopUps).toBeCloseTo(440800, 0);
+    expect(plan.totalTaxSaved).toBeCloseTo(24000 * 0.15, 2);
+  });
+
+  it('should suggest nothing when the target is already reached', () => {
+    const plan = optimiseCpfTopUps({ currentAge: 58, startYear: 2026, balances: { RA: 230000 }, escalationRate: 0 });
+
+    expect(plan.years).toEqual([]);
+    expect(plan.reachesTarget).toBe(true);
+  });
+});
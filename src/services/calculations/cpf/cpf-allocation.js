@@ -7,92 +7,34 @@
  * References:
  * - CPF allocation rates by age: https://www.cpf.gov.sg/member/infohub/educational-resources/cpf-allocation-rates
  * - CPF interest rates: https://www.cpf.gov.sg/member/infohub/cpf-interest-rates
- * - As of 2025, CPF Board guidelines
+ *
+ * Rates, ceilings and sums come from a CPF policy (see cpf-policy.js); calls without
+ * one use DEFAULT_CPF_POLICY.
  */
 
-/**
- * CPF Account Types
- */
-export const CPF_ACCOUNT = {
-  ORDINARY: 'OA', // Ordinary Account
-  SPECIAL: 'SA', // Special Account
-  MEDISAVE: 'MA', // MediSave Account
-  RETIREMENT: 'RA' // Retirement Account (post-55)
-};
+import { CPF_ACCOUNT, DEFAULT_CPF_POLICY } from './cpf-policy';
+
+export { CPF_ACCOUNT };
 
 /**
- * CPF Allocation rates by age for Singaporeans/PRs (3rd year onwards)
- * Format: { OA: %, SA: %, MA: % }
- * Employee + Employer contributions combined
- *
- * Reference: CPF Board 2025 allocation rates
+ * Basic Healthcare Sum (BHS) - MediSave minimum sum requirement, from DEFAULT_CPF_POLICY.
+ * Use getCpfPolicy for the BHS in force in a given month.
  */
-const ALLOCATION_RATES = {
-  '35_and_below': {
-    [CPF_ACCOUNT.ORDINARY]: 0.6216, // 23% of 37%
-    [CPF_ACCOUNT.SPECIAL]: 0.1622, // 6% of 37%
-    [CPF_ACCOUNT.MEDISAVE]: 0.2162 // 8% of 37%
-  },
-  '35_to_45': {
-    [CPF_ACCOUNT.ORDINARY]: 0.5676, // 21% of 37%
-    [CPF_ACCOUNT.SPECIAL]: 0.1622, // 6% of 37%
-    [CPF_ACCOUNT.MEDISAVE]: 0.2703 // 10% of 37%
-  },
-  '45_to_50': {
-    [CPF_ACCOUNT.ORDINARY]: 0.5135, // 19% of 37%
-    [CPF_ACCOUNT.SPECIAL]: 0.1622, // 6% of 37%
-    [CPF_ACCOUNT.MEDISAVE]: 0.3243 // 12% of 37%
-  },
-  '50_to_55': {
-    [CPF_ACCOUNT.ORDINARY]: 0.4054, // 15% of 37%
-    [CPF_ACCOUNT.SPECIAL]: 0.2162, // 8% of 37%
-    [CPF_ACCOUNT.MEDISAVE]: 0.3784 // 14% of 37%
-  },
-  '55_to_60': {
-    [CPF_ACCOUNT.ORDINARY]: 0.4, // 12% of 30%
-    [CPF_ACCOUNT.SPECIAL]: 0.1167, // 3.5% of 30%
-    [CPF_ACCOUNT.MEDISAVE]: 0.4833 // 14.5% of 30%
-  },
-  '60_to_65': {
-    [CPF_ACCOUNT.ORDINARY]: 0.3, // 6% of 20%
-    [CPF_ACCOUNT.SPECIAL]: 0.175, // 3.5% of 20%
-    [CPF_ACCOUNT.MEDISAVE]: 0.525 // 10.5% of 20%
-  },
-  '65_to_70': {
-    [CPF_ACCOUNT.ORDINARY]: 0.2667, // 4% of 15%
-    [CPF_ACCOUNT.SPECIAL]: 0.2333, // 3.5% of 15%
-    [CPF_ACCOUNT.MEDISAVE]: 0.5 // 7.5% of 15%
-  },
-  'above_70': {
-    [CPF_ACCOUNT.ORDINARY]: 0.4, // 4% of 10%
-    [CPF_ACCOUNT.SPECIAL]: 0.1, // 1% of 10%
-    [CPF_ACCOUNT.MEDISAVE]: 0.5 // 5% of 10%
-  }
-};
+export const BASIC_HEALTHCARE_SUM = DEFAULT_CPF_POLICY.basicHealthcareSum;
 
 /**
- * MediSave contribution ceiling by age
- * Maximum amount that can be contributed to MediSave per year
+ * Retirement sums (BRS/FRS/ERS) from DEFAULT_CPF_POLICY
+ * The Retirement Account is topped up from SA, then OA, up to the Full Retirement Sum
  */
-const MEDISAVE_CONTRIBUTION_CEILING = {
-  '35_and_below': 8280, // Annual ceiling
-  '35_to_45': 10890,
-  '45_to_50': 13080,
-  '50_to_55': 15240,
-  '55_to_60': 15240,
-  '60_to_65': 11070,
-  '65_to_70': 7920,
-  'above_70': 5280
-};
+export const RETIREMENT_SUMS = DEFAULT_CPF_POLICY.retirementSums;
 
 /**
- * Basic Healthcare Sum (BHS) - MediSave minimum sum requirement
- * Updated annually by CPF Board
+ * Age at which the Retirement Account is created (and the SA closed)
  */
-const BASIC_HEALTHCARE_SUM = 71500; // 2025 BHS
+export const RETIREMENT_ACCOUNT_AGE = 55;
 
 /**
- * CPF Interest Rate Tiers
+ * CPF base interest rates (the interest floors of DEFAULT_CPF_POLICY)
  * First $60k earns extra interest on OA+SA combined
  * First $30k of the $60k earns additional 1% extra
  *
@@ -106,12 +48,7 @@ const BASIC_HEALTHCARE_SUM = 71500; // 2025 BHS
  * - First $30k: Additional 2% (total 4.5% on OA, 6% on SA/MA/RA)
  * - Next $30k: Additional 1% (total 3.5% on OA, 5% on SA/MA/RA)
  */
-export const CPF_BASE_INTEREST_RATES = {
-  [CPF_ACCOUNT.ORDINARY]: 0.025, // 2.5%
-  [CPF_ACCOUNT.SPECIAL]: 0.04, // 4%
-  [CPF_ACCOUNT.MEDISAVE]: 0.04, // 4%
-  [CPF_ACCOUNT.RETIREMENT]: 0.04 // 4%
-};
+export const CPF_BASE_INTEREST_RATES = DEFAULT_CPF_POLICY.interestFloors;
 
 /**
  * Get age bracket for CPF allocation
@@ -137,17 +74,20 @@ export const getAllocationAgeBracket = (age) => {
  * @param {number} age - Member's age
  * @param {number} currentMediSaveBalance - Current MediSave balance (optional)
  * @param {number} yearToDateMediSaveContribution - YTD MediSave contribution (optional)
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
  * @returns {Object} Allocation breakdown by account
  */
 export const allocateCpfContributions = (
   totalContribution,
   age,
   currentMediSaveBalance = 0,
-  yearToDateMediSaveContribution = 0
+  yearToDateMediSaveContribution = 0,
+  policy = DEFAULT_CPF_POLICY
 ) => {
   const ageBracket = getAllocationAgeBracket(age);
-  const rates = ALLOCATION_RATES[ageBracket];
-  const mediSaveCeiling = MEDISAVE_CONTRIBUTION_CEILING[ageBracket];
+  const rates = policy.allocationRates[ageBracket];
+  const mediSaveCeiling = policy.mediSaveContributionCeilings[ageBracket];
+  const basicHealthcareSum = policy.basicHealthcareSum;
 
   // Calculate base allocations
   let oaAllocation = totalContribution * rates[CPF_ACCOUNT.ORDINARY];
@@ -161,11 +101,11 @@ export const allocateCpfContributions = (
 
   // Check BHS cap (excess goes to SA, then OA)
   let excessFromBHS = 0;
-  if (currentMediSaveBalance >= BASIC_HEALTHCARE_SUM) {
+  if (currentMediSaveBalance >= basicHealthcareSum) {
     excessFromBHS = actualMaContribution;
     maAllocation = 0;
-  } else if (currentMediSaveBalance + actualMaContribution > BASIC_HEALTHCARE_SUM) {
-    excessFromBHS = currentMediSaveBalance + actualMaContribution - BASIC_HEALTHCARE_SUM;
+  } else if (currentMediSaveBalance + actualMaContribution > basicHealthcareSum) {
+    excessFromBHS = currentMediSaveBalance + actualMaContribution - basicHealthcareSum;
     maAllocation = actualMaContribution - excessFromBHS;
   } else {
     maAllocation = actualMaContribution;
@@ -211,9 +151,10 @@ export const allocateCpfContributions = (
  * @param {Object} balances - Object with OA, SA, MA, RA balances
  * @param {number} age - Member's age
  * @param {number} months - Number of months to calculate interest for (default 1)
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
  * @returns {Object} Interest earned by account and total
  */
-export const calculateTieredCpfInterest = (balances, age, months = 1) => {
+export const calculateTieredCpfInterest = (balances, age, months = 1, policy = DEFAULT_CPF_POLICY) => {
   const { OA = 0, SA = 0, MA = 0, RA = 0 } = balances;
 
   // Calculate combined balance eligible for extra interest
@@ -226,11 +167,10 @@ export const calculateTieredCpfInterest = (balances, age, months = 1) => {
   // Tier 2: Next $30k of combined balance (extra 1%)
   // Remaining: Base interest only
 
-  const tier1Limit = 30000;
-  const tier2Limit = 60000;
+  const { tier1Limit, tier2Limit, tier1Rate, tier1RateFrom55, tier2Rate } = policy.extraInterest;
 
-  const tier1ExtraRate = isEligibleForExtraInterest ? 0.02 : 0.01;
-  const tier2ExtraRate = 0.01;
+  const tier1ExtraRate = isEligibleForExtraInterest ? tier1RateFrom55 : tier1Rate;
+  const tier2ExtraRate = tier2Rate;
 
   // Calculate how much of each account benefits from extra interest
   // Priority: SA/MA/RA first, then OA
@@ -273,10 +213,11 @@ export const calculateTieredCpfInterest = (balances, age, months = 1) => {
   };
 
   // Calculate interest for each account (SA/MA/RA get priority for extra interest)
-  const saInterest = calculateAccountInterest(SA, CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.SPECIAL]);
-  const maInterest = calculateAccountInterest(MA, CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.MEDISAVE]);
-  const raInterest = calculateAccountInterest(RA, CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.RETIREMENT]);
-  const oaInterest = calculateAccountInterest(OA, CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.ORDINARY]);
+  const baseRates = policy.interestFloors;
+  const saInterest = calculateAccountInterest(SA, baseRates[CPF_ACCOUNT.SPECIAL]);
+  const maInterest = calculateAccountInterest(MA, baseRates[CPF_ACCOUNT.MEDISAVE]);
+  const raInterest = calculateAccountInterest(RA, baseRates[CPF_ACCOUNT.RETIREMENT]);
+  const oaInterest = calculateAccountInterest(OA, baseRates[CPF_ACCOUNT.ORDINARY]);
 
   const totalInterest = saInterest.total + maInterest.total + raInterest.total + oaInterest.total;
 
@@ -309,6 +250,134 @@ export const calculateTieredCpfInterest = (balances, age, months = 1) => {
   };
 };
 
+/**
+ * Create the Retirement Account at 55
+ * Savings move from SA first, then OA, up to the retirement sum. The SA is then
+ * closed and any SA savings above the retirement sum go to the OA.
+ *
+ * @param {Object} balances - Balances { OA, SA, MA, RA }
+ * @param {number} retirementSum - Amount to set aside in the RA (default FRS)
+ * @returns {Object} New balances and the amounts transferred
+ */
+export const createRetirementAccount = (balances, retirementSum = RETIREMENT_SUMS.FULL) => {
+  const { OA = 0, SA = 0, MA = 0, RA = 0 } = balances;
+
+  const roomInRA = Math.max(0, retirementSum - RA);
+  const fromSA = Math.min(SA, roomInRA);
+  const fromOA = Math.min(OA, roomInRA - fromSA);
+  const remainingSA = SA - fromSA;
+
+  return {
+    balances: {
+      [CPF_ACCOUNT.ORDINARY]: OA - fromOA + remainingSA,
+      [CPF_ACCOUNT.SPECIAL]: 0,
+      [CPF_ACCOUNT.MEDISAVE]: MA,
+      [CPF_ACCOUNT.RETIREMENT]: RA + fromSA + fromOA
+    },
+    transferred: {
+      fromSA: Math.round(fromSA * 100) / 100,
+      fromOA: Math.round(fromOA * 100) / 100,
+      saToOA: Math.round(remainingSA * 100) / 100
+    }
+  };
+};
+
+/**
+ * Move MediSave savings above the Basic Healthcare Sum to the SA (below 55)
+ * or the RA (55 and above)
+ *
+ * @param {Object} balances - Balances { OA, SA, MA, RA }
+ * @param {number} age - Member's age
+ * @param {number} basicHealthcareSum - BHS cap (default current BHS)
+ * @returns {Object} New balances and the overflow amount
+ */
+export const applyMediSaveOverflow = (balances, age, basicHealthcareSum = BASIC_HEALTHCARE_SUM) => {
+  const overflow = Math.max(0, (balances[CPF_ACCOUNT.MEDISAVE] || 0) - basicHealthcareSum);
+  if (overflow === 0) {
+    return { balances: { ...balances }, overflow: 0 };
+  }
+
+  const target = age >= RETIREMENT_ACCOUNT_AGE ? CPF_ACCOUNT.RETIREMENT : CPF_ACCOUNT.SPECIAL;
+
+  return {
+    balances: {
+      ...balances,
+      [CPF_ACCOUNT.MEDISAVE]: basicHealthcareSum,
+      [target]: (balances[target] || 0) + overflow
+    },
+    overflow: Math.round(overflow * 100) / 100
+  };
+};
+
+/**
+ * Advance CPF account balances by one month
+ * Allocates the month's contribution, creates the RA at 55, credits tiered
+ * interest and moves any MediSave above the BHS to SA/RA.
+ *
+ * @param {Object} balances - Balances at the start of the month { OA, SA, MA, RA }
+ * @param {number} totalContribution - Employee + employer contribution for the month
+ * @param {number} age - Member's age this month
+ * @param {number} yearToDateMediSaveContribution - MediSave contributions so far this year
+ * @param {Object} policy - CPF policy for the month (default DEFAULT_CPF_POLICY)
+ * @param {boolean} retirementAccountOpened - Whether the RA was already created (carry retirementAccountOpened from the last step)
+ * @returns {Object} { balances, allocation, interest, retirementAccountCreated, retirementAccountOpened, mediSaveOverflow, yearToDateMediSaveContribution }
+ */
+export const stepCpfAccounts = (
+  balances,
+  totalContribution,
+  age,
+  yearToDateMediSaveContribution = 0,
+  policy = DEFAULT_CPF_POLICY,
+  retirementAccountOpened = false
+) => {
+  let current = {
+    [CPF_ACCOUNT.ORDINARY]: balances[CPF_ACCOUNT.ORDINARY] || 0,
+    [CPF_ACCOUNT.SPECIAL]: balances[CPF_ACCOUNT.SPECIAL] || 0,
+    [CPF_ACCOUNT.MEDISAVE]: balances[CPF_ACCOUNT.MEDISAVE] || 0,
+    [CPF_ACCOUNT.RETIREMENT]: balances[CPF_ACCOUNT.RETIREMENT] || 0
+  };
+
+  // The RA is created once, the first month the member is 55, even with an empty SA: the SA closes
+  // and SA then OA savings are set aside up to the FRS
+  const retirementAccountCreated = !retirementAccountOpened && age >= RETIREMENT_ACCOUNT_AGE;
+  if (retirementAccountCreated) {
+    current = createRetirementAccount(current, policy.retirementSums.FULL).balances;
+  }
+
+  const allocation = allocateCpfContributions(
+    totalContribution,
+    age,
+    current[CPF_ACCOUNT.MEDISAVE],
+    yearToDateMediSaveContribution,
+    policy
+  );
+
+  // From 55 the SA share of contributions is credited to the RA
+  const specialTarget = age >= RETIREMENT_ACCOUNT_AGE ? CPF_ACCOUNT.RETIREMENT : CPF_ACCOUNT.SPECIAL;
+  current[CPF_ACCOUNT.ORDINARY] += allocation[CPF_ACCOUNT.ORDINARY];
+  current[specialTarget] += allocation[CPF_ACCOUNT.SPECIAL];
+  current[CPF_ACCOUNT.MEDISAVE] += allocation[CPF_ACCOUNT.MEDISAVE];
+
+  const interest = calculateTieredCpfInterest(current, age, 1, policy);
+  current[CPF_ACCOUNT.ORDINARY] += interest[CPF_ACCOUNT.ORDINARY].interest;
+  current[CPF_ACCOUNT.SPECIAL] += interest[CPF_ACCOUNT.SPECIAL].interest;
+  current[CPF_ACCOUNT.MEDISAVE] += interest[CPF_ACCOUNT.MEDISAVE].interest;
+  current[CPF_ACCOUNT.RETIREMENT] += interest[CPF_ACCOUNT.RETIREMENT].interest;
+
+  // MediSave interest can push the balance over the BHS
+  const overflow = applyMediSaveOverflow(current, age, policy.basicHealthcareSum);
+
+  return {
+    balances: overflow.balances,
+    allocation,
+    interest,
+    retirementAccountCreated,
+    retirementAccountOpened: retirementAccountOpened || retirementAccountCreated,
+    mediSaveOverflow: overflow.overflow,
+    yearToDateMediSaveContribution: yearToDateMediSaveContribution + allocation[CPF_ACCOUNT.MEDISAVE]
+  };
+};
+
 /**
  * Project CPF balances over time with contributions and interest
  *
@@ -316,13 +385,16 @@ export const calculateTieredCpfInterest = (balances, age, months = 1) => {
  * @param {number} age - Current age
  * @param {number} monthlyContribution - Monthly total CPF contribution
  * @param {number} projectionMonths - Number of months to project
+ * @param {Object} policy - CPF policy applied throughout (default DEFAULT_CPF_POLICY)
  * @returns {Array} Array of monthly balance projections
  */
-export const projectCpfGrowth = (initialBalances, age, monthlyContribution, projectionMonths) => {
+export const projectCpfGrowth = (initialBalances, age, monthlyContribution, projectionMonths, policy = DEFAULT_CPF_POLICY) => {
   const projections = [];
   let currentBalances = { ...initialBalances };
   let yearToDateMA = 0;
   let currentAge = age;
+  // Members with RA savings already had their RA created at 55
+  let retirementAccountOpened = (initialBalances[CPF_ACCOUNT.RETIREMENT] || 0) > 0;
 
   for (let month = 1; month <= projectionMonths; month++) {
     // Update age annually
@@ -331,43 +403,26 @@ export const projectCpfGrowth = (initialBalances, age, monthlyContribution, proj
       yearToDateMA = 0; // Reset YTD MediSave counter
     }
 
-    // Allocate monthly contribution
-    const allocation = allocateCpfContributions(
-      monthlyContribution,
-      currentAge,
-      currentBalances.MA || 0,
-      yearToDateMA
-    );
-
-    yearToDateMA += allocation[CPF_ACCOUNT.MEDISAVE];
-
-    // Update balances with contributions
-    currentBalances.OA = (currentBalances.OA || 0) + allocation[CPF_ACCOUNT.ORDINARY];
-    currentBalances.SA = (currentBalances.SA || 0) + allocation[CPF_ACCOUNT.SPECIAL];
-    currentBalances.MA = (currentBalances.MA || 0) + allocation[CPF_ACCOUNT.MEDISAVE];
-
-    // Calculate and add interest
-    const interest = calculateTieredCpfInterest(currentBalances, currentAge, 1);
-    currentBalances.OA += interest[CPF_ACCOUNT.ORDINARY].interest;
-    currentBalances.SA += interest[CPF_ACCOUNT.SPECIAL].interest;
-    currentBalances.MA += interest[CPF_ACCOUNT.MEDISAVE].interest;
-    currentBalances.RA = (currentBalances.RA || 0) + interest[CPF_ACCOUNT.RETIREMENT].interest;
+    const step = stepCpfAccounts(currentBalances, monthlyContribution, currentAge, yearToDateMA, policy, retirementAccountOpened);
+    currentBalances = step.balances;
+    yearToDateMA = step.yearToDateMediSaveContribution;
+    retirementAccountOpened = step.retirementAccountOpened;
 
-    const totalBalance = (currentBalances.OA || 0) + (currentBalances.SA || 0) +
-                        (currentBalances.MA || 0) + (currentBalances.RA || 0);
+    const totalBalance = currentBalances.OA + currentBalances.SA +
+                        currentBalances.MA + currentBalances.RA;
 
     projections.push({
       month,
       age: currentAge,
       balances: {
-        [CPF_ACCOUNT.ORDINARY]: Math.round((currentBalances.OA || 0) * 100) / 100,
-        [CPF_ACCOUNT.SPECIAL]: Math.round((currentBalances.SA || 0) * 100) / 100,
-        [CPF_ACCOUNT.MEDISAVE]: Math.round((currentBalances.MA || 0) * 100) / 100,
-        [CPF_ACCOUNT.RETIREMENT]: Math.round((currentBalances.RA || 0) * 100) / 100,
+        [CPF_ACCOUNT.ORDINARY]: Math.round(currentBalances.OA * 100) / 100,
+        [CPF_ACCOUNT.SPECIAL]: Math.round(currentBalances.SA * 100) / 100,
+        [CPF_ACCOUNT.MEDISAVE]: Math.round(currentBalances.MA * 100) / 100,
+        [CPF_ACCOUNT.RETIREMENT]: Math.round(currentBalances.RA * 100) / 100,
         total: Math.round(totalBalance * 100) / 100
       },
-      contributions: allocation,
-      interest: interest
+      contributions: step.allocation,
+      interest: step.interest
     });
   }
 
@@ -380,13 +435,14 @@ export const projectCpfGrowth = (initialBalances, age, monthlyContribution, proj
  * @param {Object} currentBalances - Current CPF balances
  * @param {number} age - Current age
  * @param {number} targetAge - Target retirement age (default 65)
+ * @param {Object} policy - CPF policy whose retirement sums apply, e.g. for the year the
+ *   member turns 55 (default DEFAULT_CPF_POLICY)
  * @returns {Object} Retirement adequacy analysis
  */
-export const calculateRetirementAdequacy = (currentBalances, age, targetAge = 65) => {
-  // Full Retirement Sum (FRS) for 2025 - updated annually
-  const FULL_RETIREMENT_SUM = 213000;
-  const BASIC_RETIREMENT_SUM = 106500; // 50% of FRS
-  const ENHANCED_RETIREMENT_SUM = 319500; // 150% of FRS
+export const calculateRetirementAdequacy = (currentBalances, age, targetAge = 65, policy = DEFAULT_CPF_POLICY) => {
+  const FULL_RETIREMENT_SUM = policy.retirementSums.FULL;
+  const BASIC_RETIREMENT_SUM = policy.retirementSums.BASIC;
+  const ENHANCED_RETIREMENT_SUM = policy.retirementSums.ENHANCED;
 
   const totalCpf = (currentBalances.OA || 0) + (currentBalances.SA || 0) +
                    (currentBalances.MA || 0) + (currentBalances.RA || 0);
@@ -0,0 +1,169 @@
+/**
+ * CPF Housing Usage
+ *
+ * A ledger of CPF OA savings used for a property: the down payment and stamp duty at purchase
+ * and mortgage instalments paid from the OA. When the property is sold, the principal used plus
+ * the interest it would have earned in the OA (accrued interest) is refunded to the OA.
+ *
+ * - Accrued interest is at the OA rate of 2.5% a year on the principal and the accrued interest
+ *   so far, calculated monthly and compounded at the end of each year
+ * - The Valuation Limit (VL) is the lower of the price and the valuation at purchase. OA used
+ *   above it needs the Basic Retirement Sum set aside, and no OA can be used above the
+ *   Withdrawal Limit of 120% of the VL
+ * - On a sale at a loss, the refund is capped at what is left of the price after the loan
+ *
+ * References:
+ * - https://www.cpf.gov.sg/member/home-ownership/using-your-cpf-to-buy-a-home
+ * - https://www.cpf.gov.sg/member/home-ownership/selling-your-property
+ */
+
+import { createFinancialError, safeParseNumber } from '../../../utils/errors/ErrorUtils';
+
+/**
+ * Rate of accrued interest on OA used for housing (the OA base rate)
+ */
+export const CPF_HOUSING_ACCRUED_INTEREST_RATE = 0.025;
+
+/**
+ * OA use is stopped at this share (%) of the Valuation Limit
+ */
+export const WITHDRAWAL_LIMIT_PERCENTAGE = 120;
+
+/**
+ * Where a property's OA usage stands against its Valuation Limit
+ */
+export const VALUATION_LIMIT_STATUS = {
+  WITHIN: 'within',
+  ABOVE_VALUATION_LIMIT: 'above_valuation_limit',
+  WITHDRAWAL_LIMIT_REACHED: 'withdrawal_limit_reached'
+};
+
+/**
+ * Display labels for each Valuation Limit status
+ */
+export const VALUATION_LIMIT_STATUS_LABELS = {
+  [VALUATION_LIMIT_STATUS.WITHIN]: 'Within the Valuation Limit',
+  [VALUATION_LIMIT_STATUS.ABOVE_VALUATION_LIMIT]: 'Above the Valuation Limit: the BRS must be set aside',
+  [VALUATION_LIMIT_STATUS.WITHDRAWAL_LIMIT_REACHED]: 'Withdrawal Limit (120% of VL) reached: instalments are paid in cash'
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate OA usage already recorded for a home owned before the projection starts
+ *
+ * @param {Object} usage - { principalWithdrawn, accruedInterest, valuationLimit }
+ * @throws {Error} invalid_cpf_housing
+ */
+export const validateCpfHousingUsage = (usage) => {
+  if (['principalWithdrawn', 'accruedInterest'].some(field => safeParseNumber(usage?.[field]) < 0)) {
+    throw createFinancialError('OA used and accrued interest cannot be negative', 'invalid_cpf_housing');
+  }
+  if (!isBlank(usage?.valuationLimit) && !(safeParseNumber(usage.valuationLimit) > 0)) {
+    throw createFinancialError('Valuation Limit must be more than 0', 'invalid_cpf_housing');
+  }
+};
+
+/**
+ * Open a housing ledger
+ *
+ * @param {Object} params
+ * @param {string} params.name - Property name
+ * @param {number|null} params.valuationLimit - Lower of price and valuation; null when unknown (no limit)
+ * @param {number} params.principalWithdrawn - OA already used
+ * @param {number} params.accruedInterest - Accrued interest already compounded
+ * @returns {Object} { name, valuationLimit, withdrawalLimit, principalWithdrawn, accruedInterest, interestThisYear }
+ */
+export const createHousingLedger = ({ name = 'Home', valuationLimit = null, principalWithdrawn = 0, accruedInterest = 0 } = {}) => {
+  const limit = isBlank(valuationLimit) || !(safeParseNumber(valuationLimit) > 0) ? null : safeParseNumber(valuationLimit);
+  return {
+    name,
+    valuationLimit: limit,
+    withdrawalLimit: limit === null ? null : limit * WITHDRAWAL_LIMIT_PERCENTAGE / 100,
+    principalWithdrawn: Math.max(0, safeParseNumber(principalWithdrawn)),
+    accruedInterest: Math.max(0, safeParseNumber(accruedInterest)),
+    interestThisYear: 0
+  };
+};
+
+/**
+ * OA that can still be used for a property before the Withdrawal Limit
+ *
+ * @param {Object} ledger - Housing ledger
+ * @returns {number} Room left (Infinity without a Valuation Limit)
+ */
+export const getHousingWithdrawalRoom = (ledger) =>
+  ledger.withdrawalLimit === null ? Infinity : Math.max(0, ledger.withdrawalLimit - ledger.principalWithdrawn);
+
+/**
+ * Use OA for a property, up to its Withdrawal Limit
+ *
+ * @param {Object} ledger - Housing ledger
+ * @param {number} amount - OA wanted
+ * @returns {Object} { ledger, withdrawn }
+ */
+export const withdrawForHousing = (ledger, amount) => {
+  const withdrawn = Math.max(0, Math.min(safeParseNumber(amount), getHousingWithdrawalRoom(ledger)));
+  return {
+    ledger: withdrawn > 0 ? { ...ledger, principalWithdrawn: ledger.principalWithdrawn + withdrawn } : ledger,
+    withdrawn
+  };
+};
+
+/**
+ * Accrue a month's interest on a housing ledger, compounding it in December
+ *
+ * @param {Object} ledger - Housing ledger
+ * @param {number} month - Month (1-12)
+ * @returns {Object} Ledger after the month
+ */
+export const accrueHousingInterest = (ledger, month) => {
+  const interest = (ledger.principalWithdrawn + ledger.accruedInterest) * CPF_HOUSING_ACCRUED_INTEREST_RATE / 12;
+  const interestThisYear = ledger.interestThisYear + interest;
+
+  return month === 12
+    ? { ...ledger, accruedInterest: ledger.accruedInterest + interestThisYear, interestThisYear: 0 }
+    : { ...ledger, interestThisYear };
+};
+
+/**
+ * Where OA usage stands against the Valuation Limit
+ *
+ * @param {Object} ledger - Housing ledger
+ * @returns {string} VALUATION_LIMIT_STATUS value
+ */
+export const getValuationLimitStatus = (ledger) => {
+  if (ledger.valuationLimit === null || ledger.principalWithdrawn < ledger.valuationLimit) {
+    return VALUATION_LIMIT_STATUS.WITHIN;
+  }
+  return ledger.principalWithdrawn < ledger.withdrawalLimit
+    ? VALUATION_LIMIT_STATUS.ABOVE_VALUATION_LIMIT
+    : VALUATION_LIMIT_STATUS.WITHDRAWAL_LIMIT_REACHED;
+};
+
+/**
+ * OA refund due if a property is sold
+ *
+ * @param {Object} ledger - Housing ledger
+ * @param {Object} sale - { salePrice, outstandingLoan }; without a price the full refund is due
+ * @returns {Object} { principalWithdrawn, accruedInterest, refundDue, refund, cashProceeds }
+ * refund is refundDue capped at the price less the loan; cashProceeds is what is left after both
+ */
+export const calculateHousingRefund = (ledger, { salePrice, outstandingLoan = 0 } = {}) => {
+  const accruedInterest = ledger.accruedInterest + ledger.interestThisYear;
+  const refundDue = ledger.principalWithdrawn + accruedInterest;
+
+  if (isBlank(salePrice)) {
+    return { principalWithdrawn: ledger.principalWithdrawn, accruedInterest, refundDue, refund: refundDue, cashProceeds: null };
+  }
+
+  const afterLoan = Math.max(0, safeParseNumber(salePrice) - safeParseNumber(outstandingLoan));
+  const refund = Math.min(refundDue, afterLoan);
+  return {
+    principalWithdrawn: ledger.principalWithdrawn,
+    accruedInterest,
+    refundDue,
+    refund,
+    cashProceeds: afterLoan - refund
+  };
+};
@@ -0,0 +1,264 @@
+/**
+ * CPF Policy Registry
+ *
+ * CPF rules change over time: contribution rates, allocation ratios, wage ceilings, the
+ * Basic Healthcare Sum, retirement sums and interest floors. CPF_POLICY_SCHEDULE lists them
+ * by the month they take effect. The first entry is a complete set of rules. Later entries
+ * only list what changed.
+ *
+ * getCpfPolicy(year, month) merges every entry in force by that month. Months before the
+ * first entry use its rules. After the last scheduled year, the dollar amounts (ceilings, BHS
+ * and retirement sums) rise by an annual escalation rate, so long projections don't keep
+ * today's caps forever. Rates and the extra-interest tiers are not escalated.
+ *
+ * References:
+ * - Contribution rates: https://www.cpf.gov.sg/employer/employer-obligations/how-much-cpf-contributions-to-pay
+ * - Allocation rates: https://www.cpf.gov.sg/member/infohub/educational-resources/cpf-allocation-rates
+ * - Interest rates: https://www.cpf.gov.sg/member/infohub/cpf-interest-rates
+ */
+
+/**
+ * Supported employee types for CPF calculations
+ */
+export const EMPLOYEE_TYPE = {
+  SINGAPOREAN: 'singaporean',
+  PR_FIRST_YEAR: 'pr_first_year',
+  PR_SECOND_YEAR: 'pr_second_year',
+  PR_THIRD_YEAR_ONWARDS: 'pr_third_year_onwards',
+};
+
+/**
+ * CPF Account Types
+ */
+export const CPF_ACCOUNT = {
+  ORDINARY: 'OA', // Ordinary Account
+  SPECIAL: 'SA', // Special Account
+  MEDISAVE: 'MA', // MediSave Account
+  RETIREMENT: 'RA' // Retirement Account (post-55)
+};
+
+/**
+ * Default yearly rise (%) of CPF dollar amounts after the last scheduled year.
+ * The Full Retirement Sum has risen 3.5% a year for recent cohorts.
+ */
+export const DEFAULT_CPF_POLICY_ESCALATION_RATE = 3.5;
+
+// Policy fields holding dollar amounts, which rise with the escalation rate
+const ESCALATED_FIELDS = [
+  'ordinaryWageCeiling',
+  'annualWageCeiling',
+  'annualContributionLimit',
+  'mediSaveContributionCeilings',
+  'basicHealthcareSum',
+  'retirementSums'
+];
+
+// Contribution rates from January 2025, [employeeRate, employerRate]
+const CONTRIBUTION_RATES_2025 = {
+  [EMPLOYEE_TYPE.SINGAPOREAN]: {
+    '55_and_below': [0.20, 0.17],
+    '55_to_60': [0.17, 0.155],
+    '60_to_65': [0.115, 0.12],
+    '65_to_70': [0.075, 0.09],
+    'above_70': [0.05, 0.075],
+  },
+  [EMPLOYEE_TYPE.PR_FIRST_YEAR]: {
+    '55_and_below': [0.05, 0.15],
+    '55_to_60': [0.05, 0.15],
+    '60_to_65': [0.05, 0.085],
+    '65_to_70': [0.05, 0.065],
+    'above_70': [0.05, 0.045],
+  },
+  [EMPLOYEE_TYPE.PR_SECOND_YEAR]: {
+    '55_and_below': [0.15, 0.15],
+    '55_to_60': [0.15, 0.15],
+    '60_to_65': [0.085, 0.085],
+    '65_to_70': [0.06, 0.065],
+    'above_70': [0.05, 0.045],
+  },
+  [EMPLOYEE_TYPE.PR_THIRD_YEAR_ONWARDS]: {
+    '55_and_below': [0.20, 0.17],
+    '55_to_60': [0.17, 0.155],
+    '60_to_65': [0.115, 0.12],
+    '65_to_70': [0.075, 0.09],
+    'above_70': [0.05, 0.075],
+  },
+};
+
+// Allocation rates from January 2025: employee + employer contributions combined, for
+// Singaporeans/PRs (3rd year onwards)
+const ALLOCATION_RATES_2025 = {
+  '35_and_below': {
+    [CPF_ACCOUNT.ORDINARY]: 0.6216, // 23% of 37%
+    [CPF_ACCOUNT.SPECIAL]: 0.1622, // 6% of 37%
+    [CPF_ACCOUNT.MEDISAVE]: 0.2162 // 8% of 37%
+  },
+  '35_to_45': {
+    [CPF_ACCOUNT.ORDINARY]: 0.5676, // 21% of 37%
+    [CPF_ACCOUNT.SPECIAL]: 0.1892, // 7% of 37%
+    [CPF_ACCOUNT.MEDISAVE]: 0.2432 // 9% of 37%
+  },
+  '45_to_50': {
+    [CPF_ACCOUNT.ORDINARY]: 0.5135, // 19% of 37%
+    [CPF_ACCOUNT.SPECIAL]: 0.2162, // 8% of 37%
+    [CPF_ACCOUNT.MEDISAVE]: 0.2703 // 10% of 37%
+  },
+  '50_to_55': {
+    [CPF_ACCOUNT.ORDINARY]: 0.4054, // 15% of 37%
+    [CPF_ACCOUNT.SPECIAL]: 0.3108, // 11.5% of 37%
+    [CPF_ACCOUNT.MEDISAVE]: 0.2838 // 10.5% of 37%
+  },
+  '55_to_60': {
+    [CPF_ACCOUNT.ORDINARY]: 0.3692, // 12% of 32.5%
+    [CPF_ACCOUNT.SPECIAL]: 0.3077, // 10% of 32.5% (to the RA)
+    [CPF_ACCOUNT.MEDISAVE]: 0.3231 // 10.5% of 32.5%
+  },
+  '60_to_65': {
+    [CPF_ACCOUNT.ORDINARY]: 0.1489, // 3.5% of 23.5%
+    [CPF_ACCOUNT.SPECIAL]: 0.4043, // 9.5% of 23.5% (to the RA)
+    [CPF_ACCOUNT.MEDISAVE]: 0.4468 // 10.5% of 23.5%
+  },
+  '65_to_70': {
+    [CPF_ACCOUNT.ORDINARY]: 0.0606, // 1% of 16.5%
+    [CPF_ACCOUNT.SPECIAL]: 0.303, // 5% of 16.5% (to the RA)
+    [CPF_ACCOUNT.MEDISAVE]: 0.6364 // 10.5% of 16.5%
+  },
+  'above_70': {
+    [CPF_ACCOUNT.ORDINARY]: 0.08, // 1% of 12.5%
+    [CPF_ACCOUNT.SPECIAL]: 0.08, // 1% of 12.5% (to the RA)
+    [CPF_ACCOUNT.MEDISAVE]: 0.84 // 10.5% of 12.5%
+  }
+};
+
+/**
+ * CPF rules by effective month, oldest first
+ *
+ * - contributionRates: per employee type and age bracket, [employeeRate, employerRate]
+ * - ordinaryWageCeiling: monthly OW subject to CPF
+ * - annualWageCeiling: yearly cap on OW + AW subject to CPF
+ * - annualContributionLimit: yearly cap on mandatory and voluntary contributions (37% of the annual wage ceiling)
+ * - allocationRates: share of each contribution per account, by allocation age bracket
+ * - mediSaveContributionCeilings: yearly MediSave contribution cap, by allocation age bracket
+ * - basicHealthcareSum: MediSave cap; savings above it overflow to SA/RA
+ * - retirementSums: BRS/FRS/ERS for members turning 55
+ * - interestFloors: base interest per account
+ * - extraInterest: extra interest on the first $60k, and the first $30k from 55
+ */
+export const CPF_POLICY_SCHEDULE = [
+  {
+    effectiveFrom: { year: 2025, month: 1 },
+    contributionRates: CONTRIBUTION_RATES_2025,
+    ordinaryWageCeiling: 7400,
+    annualWageCeiling: 102000,
+    annualContributionLimit: 37740,
+    allocationRates: ALLOCATION_RATES_2025,
+    mediSaveContributionCeilings: {
+      '35_and_below': 8280,
+      '35_to_45': 10890,
+      '45_to_50': 13080,
+      '50_to_55': 15240,
+      '55_to_60': 15240,
+      '60_to_65': 11070,
+      '65_to_70': 7920,
+      'above_70': 5280
+    },
+    basicHealthcareSum: 75500,
+    retirementSums: {
+      BASIC: 106500,
+      FULL: 213000, // FRS = 2 x BRS
+      ENHANCED: 426000 // ERS = 4 x BRS from 2025
+    },
+    interestFloors: {
+      [CPF_ACCOUNT.ORDINARY]: 0.025,
+      [CPF_ACCOUNT.SPECIAL]: 0.04,
+      [CPF_ACCOUNT.MEDISAVE]: 0.04,
+      [CPF_ACCOUNT.RETIREMENT]: 0.04
+    },
+    extraInterest: {
+      tier1Limit: 30000, // First $30k: extra 1%, or 2% from 55
+      tier2Limit: 60000, // Next $30k: extra 1%
+      tier1Rate: 0.01,
+      tier1RateFrom55: 0.02,
+      tier2Rate: 0.01
+    }
+  },
+  {
+    // Last step of the OW ceiling increase announced in Budget 2023, the 2026 retirement sums and
+    // BHS, and the next step up in senior contribution rates (Budget 2024)
+    effectiveFrom: { year: 2026, month: 1 },
+    ordinaryWageCeiling: 8000,
+    contributionRates: {
+      ...CONTRIBUTION_RATES_2025,
+      [EMPLOYEE_TYPE.SINGAPOREAN]: {
+        ...CONTRIBUTION_RATES_2025[EMPLOYEE_TYPE.SINGAPOREAN],
+        '55_to_60': [0.18, 0.16],
+        '60_to_65': [0.125, 0.125]
+      },
+      [EMPLOYEE_TYPE.PR_THIRD_YEAR_ONWARDS]: {
+        ...CONTRIBUTION_RATES_2025[EMPLOYEE_TYPE.PR_THIRD_YEAR_ONWARDS],
+        '55_to_60': [0.18, 0.16],
+        '60_to_65': [0.125, 0.125]
+      }
+    },
+    allocationRates: {
+      ...ALLOCATION_RATES_2025,
+      '55_to_60': {
+        [CPF_ACCOUNT.ORDINARY]: 0.3529, // 12% of 34%
+        [CPF_ACCOUNT.SPECIAL]: 0.3382, // 11.5% of 34% (to the RA)
+        [CPF_ACCOUNT.MEDISAVE]: 0.3089 // 10.5% of 34%
+      },
+      '60_to_65': {
+        [CPF_ACCOUNT.ORDINARY]: 0.14, // 3.5% of 25%
+        [CPF_ACCOUNT.SPECIAL]: 0.44, // 11% of 25% (to the RA)
+        [CPF_ACCOUNT.MEDISAVE]: 0.42 // 10.5% of 25%
+      }
+    },
+    basicHealthcareSum: 79000,
+    retirementSums: {
+      BASIC: 110200,
+      FULL: 220400,
+      ENHANCED: 440800
+    }
+  }
+];
+
+/**
+ * Rules used when a calculation is not given a month: the first scheduled entry
+ */
+export const DEFAULT_CPF_POLICY = CPF_POLICY_SCHEDULE[0];
+
+const toMonthIndex = ({ year, month }) => year * 12 + (month - 1);
+
+const escalateAmount = (value, factor) =>
+  typeof value === 'number'
+    ? Math.round(value * factor)
+    : Object.fromEntries(Object.entries(value).map(([key, amount]) => [key, Math.round(amount * factor)]));
+
+/**
+ * CPF rules in force in a month
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12, default January)
+ * @param {Object} options - { escalationRate }: yearly rise (%) of dollar amounts after the last scheduled year
+ * @returns {Object} Policy with every field of a schedule entry, plus escalatedYears
+ */
+export const getCpfPolicy = (year, month = 1, { escalationRate = DEFAULT_CPF_POLICY_ESCALATION_RATE } = {}) => {
+  const index = toMonthIndex({ year, month });
+  const policy = CPF_POLICY_SCHEDULE
+    .filter((entry, position) => position === 0 || toMonthIndex(entry.effectiveFrom) <= index)
+    .reduce((merged, entry) => ({ ...merged, ...entry }), {});
+
+  const lastScheduledYear = CPF_POLICY_SCHEDULE[CPF_POLICY_SCHEDULE.length - 1].effectiveFrom.year;
+  const escalatedYears = Math.max(0, year - lastScheduledYear);
+  const rate = Number(escalationRate) || 0;
+
+  if (escalatedYears === 0 || rate === 0) {
+    return { ...policy, escalatedYears: 0 };
+  }
+
+  const factor = Math.pow(1 + rate / 100, escalatedYears);
+  return ESCALATED_FIELDS.reduce(
+    (escalated, field) => ({ ...escalated, [field]: escalateAmount(policy[field], factor) }),
+    { ...policy, escalatedYears }
+  );
+};
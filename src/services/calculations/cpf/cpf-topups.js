@@ -0,0 +1,257 @@
+/**
+ * CPF Voluntary Top-ups
+ *
+ * financialData.cpfTopUps lists scheduled cash top-ups:
+ *
+ * { id, account, recipient, amount, month, year, recurring, untilYear, description }
+ *
+ * - account: SA (the RA from 55) under the Retirement Sum Topping-Up Scheme (RSTU), or MA for
+ *   voluntary MediSave contributions
+ * - recipient: self, or family for RSTU top-ups to a family member's SA/RA (the cash leaves the household)
+ * - recurring top-ups repeat every year in `month` until untilYear (or for good)
+ *
+ * Own SA top-ups are capped at the current FRS and RA top-ups at the current ERS. MediSave top-ups
+ * are capped at the room below the Basic Healthcare Sum and what is left of the CPF Annual Limit
+ * after mandatory contributions. Top-ups are a tax relief in the following Year of Assessment:
+ * up to $8,000 for own top-ups and $8,000 for family ones, and MediSave top-ups in full.
+ *
+ * optimiseCpfTopUps suggests yearly own top-ups that reach a retirement sum by 55 while claiming
+ * as much relief as possible.
+ *
+ * References:
+ * - https://www.cpf.gov.sg/member/growing-your-savings/saving-more-with-cpf/top-up-to-enjoy-higher-retirement-payouts
+ * - https://www.iras.gov.sg/taxes/individual-income-tax/basics-of-individual-income-tax/tax-reliefs-rebates-and-deductions/tax-reliefs/cpf-cash-top-up-relief
+ */
+
+import { createFinancialError, safeParseNumber } from '../../../utils/errors/ErrorUtils';
+import { CPF_ACCOUNT, DEFAULT_CPF_POLICY_ESCALATION_RATE, getCpfPolicy } from './cpf-policy';
+import { RETIREMENT_ACCOUNT_AGE } from './cpf-allocation';
+import { getTaxRules, TAX_RELIEF_TYPES } from '../taxCalculations';
+
+/**
+ * Whose CPF account a top-up goes to
+ */
+export const CPF_TOPUP_RECIPIENT = {
+  SELF: 'self',
+  FAMILY: 'family'
+};
+
+/**
+ * Accounts that can be topped up in cash (SA top-ups go to the RA from 55)
+ */
+export const CPF_TOPUP_ACCOUNTS = [CPF_ACCOUNT.SPECIAL, CPF_ACCOUNT.RETIREMENT, CPF_ACCOUNT.MEDISAVE];
+
+/**
+ * Retirement sums a top-up plan can aim for
+ */
+export const CPF_TOPUP_TARGET = {
+  FULL: 'FULL',
+  ENHANCED: 'ENHANCED'
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate a scheduled top-up before saving
+ *
+ * @param {Object} topUp - Scheduled top-up
+ * @throws {Error} invalid_cpf_topup
+ */
+export const validateCpfTopUp = (topUp) => {
+  if (!CPF_TOPUP_ACCOUNTS.includes(topUp?.account)) {
+    throw createFinancialError('Top-ups go to the SA, RA or MediSave Account', 'invalid_cpf_topup');
+  }
+  if (topUp.recipient === CPF_TOPUP_RECIPIENT.FAMILY && topUp.account === CPF_ACCOUNT.MEDISAVE) {
+    throw createFinancialError('Only SA/RA top-ups for family members are modelled', 'invalid_cpf_topup');
+  }
+  if (!isBlank(topUp.recipient) && !Object.values(CPF_TOPUP_RECIPIENT).includes(topUp.recipient)) {
+    throw createFinancialError(`Unknown top-up recipient "${topUp.recipient}"`, 'invalid_cpf_topup');
+  }
+  if (!(safeParseNumber(topUp.amount) > 0)) {
+    throw createFinancialError('Top-up amount must be more than 0', 'invalid_cpf_topup');
+  }
+  if (!(Number(topUp.month) >= 1 && Number(topUp.month) <= 12) || !Number.isInteger(Number(topUp.year))) {
+    throw createFinancialError('Top-up month and year are required', 'invalid_cpf_topup');
+  }
+  if (!isBlank(topUp.untilYear) && !(Number(topUp.untilYear) >= Number(topUp.year))) {
+    throw createFinancialError('The last top-up year cannot be before the first', 'invalid_cpf_topup');
+  }
+};
+
+/**
+ * Scheduled top-ups with numeric fields and a recipient. Invalid entries are dropped.
+ *
+ * @param {Array<Object>} topUps - financialData.cpfTopUps
+ * @returns {Array<Object>} Normalised top-ups; untilYear is null when recurring for good
+ */
+export const normalizeCpfTopUps = (topUps) =>
+  (Array.isArray(topUps) ? topUps : [])
+    .filter(topUp => topUp && CPF_TOPUP_ACCOUNTS.includes(topUp.account) &&
+      Number(topUp.month) >= 1 && Number(topUp.month) <= 12 && Number(topUp.year) > 0)
+    .map(topUp => ({
+      ...topUp,
+      recipient: topUp.recipient === CPF_TOPUP_RECIPIENT.FAMILY && topUp.account !== CPF_ACCOUNT.MEDISAVE
+        ? CPF_TOPUP_RECIPIENT.FAMILY
+        : CPF_TOPUP_RECIPIENT.SELF,
+      amount: Math.max(0, safeParseNumber(topUp.amount)),
+      month: Number(topUp.month),
+      year: Number(topUp.year),
+      recurring: Boolean(topUp.recurring),
+      untilYear: isBlank(topUp.untilYear) ? null : Number(topUp.untilYear)
+    }));
+
+/**
+ * Top-ups due in a month
+ *
+ * @param {Array<Object>} topUps - Scheduled top-ups (normalised or not)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Array<Object>} Normalised top-ups paid this month
+ */
+export const getCpfTopUpsForMonth = (topUps, year, month) =>
+  normalizeCpfTopUps(topUps).filter(topUp =>
+    topUp.month === month && (
+      topUp.recurring
+        ? year >= topUp.year && (topUp.untilYear === null || year <= topUp.untilYear)
+        : year === topUp.year
+    )
+  );
+
+/**
+ * Room left for own cash top-ups to an account
+ *
+ * @param {string} account - CPF_ACCOUNT value; SA top-ups go to the RA from 55
+ * @param {Object} balances - Balances { OA, SA, MA, RA }
+ * @param {number} age - Member's age
+ * @param {Object} policy - CPF policy for the month
+ * @param {number} contributionsYearToDate - Mandatory and voluntary contributions so far this year (MediSave only)
+ * @returns {Object} { account: account credited, room }
+ */
+export const getCpfTopUpRoom = (account, balances, age, policy, contributionsYearToDate = 0) => {
+  if (account === CPF_ACCOUNT.MEDISAVE) {
+    const belowBhs = policy.basicHealthcareSum - (balances[CPF_ACCOUNT.MEDISAVE] || 0);
+    const annualLimitLeft = policy.annualContributionLimit - contributionsYearToDate;
+    return { account, room: Math.max(0, Math.min(belowBhs, annualLimitLeft)) };
+  }
+  if (age >= RETIREMENT_ACCOUNT_AGE) {
+    return {
+      account: CPF_ACCOUNT.RETIREMENT,
+      room: Math.max(0, policy.retirementSums.ENHANCED - (balances[CPF_ACCOUNT.RETIREMENT] || 0))
+    };
+  }
+  return {
+    account: CPF_ACCOUNT.SPECIAL,
+    room: Math.max(0, policy.retirementSums.FULL - (balances[CPF_ACCOUNT.SPECIAL] || 0))
+  };
+};
+
+// SA/RA balance at the start of the year the member turns 55, with no further top-ups
+const growToRetirementAccountAge = (balance, age, annualSaContribution, interestRate) => {
+  let projected = balance;
+  for (let year = age; year < RETIREMENT_ACCOUNT_AGE; year++) {
+    projected = projected * (1 + interestRate) + annualSaContribution;
+  }
+  return projected;
+};
+
+/**
+ * Suggest yearly own SA/RA top-ups that reach a retirement sum by 55 and claim the most tax relief
+ *
+ * Each year tops up what is still needed, up to the year's relief cap, so the top-ups are spread
+ * over as many years as possible. Only when the relief caps of the years left cannot close the gap
+ * does a year top up more, and then as early as possible so it earns interest for longest. Before 55
+ * the SA is topped up towards the FRS (the most it can take); an ERS target is completed with an RA
+ * top-up in the year the member turns 55.
+ *
+ * @param {Object} params
+ * @param {number} params.currentAge - Member's age this year
+ * @param {number} params.startYear - First year of the plan (default this year)
+ * @param {Object} params.balances - Balances { SA, RA }
+ * @param {number} params.annualSaContribution - Mandatory contributions credited to the SA each year
+ * @param {string} params.target - CPF_TOPUP_TARGET value (default FULL)
+ * @param {number} params.marginalTaxRate - Marginal tax rate (%) the relief saves
+ * @param {number} params.interestRate - Yearly SA/RA interest (default the SA floor rate)
+ * @param {number} params.escalationRate - Yearly rise (%) of retirement sums after the last scheduled year
+ * @returns {Object} {
+ *   targetAmount, projectedWithoutTopUps, projectedWithTopUps, reachesTarget,
+ *   years: [{ year, age, account, topUp, relief, taxSaved }], totalTopUps, totalRelief, totalTaxSaved
+ * }
+ */
+export const optimiseCpfTopUps = ({
+  currentAge,
+  startYear = new Date().getFullYear(),
+  balances = {},
+  annualSaContribution = 0,
+  target = CPF_TOPUP_TARGET.FULL,
+  marginalTaxRate = 0,
+  interestRate = getCpfPolicy(startYear).interestFloors[CPF_ACCOUNT.SPECIAL],
+  escalationRate = DEFAULT_CPF_POLICY_ESCALATION_RATE
+}) => {
+  const yearAt55 = startYear + Math.max(0, RETIREMENT_ACCOUNT_AGE - currentAge);
+  const policyAt55 = getCpfPolicy(yearAt55, 1, { escalationRate });
+  const targetAmount = policyAt55.retirementSums[target] || policyAt55.retirementSums.FULL;
+  const fullRetirementSumAt55 = policyAt55.retirementSums.FULL;
+  const reliefCapFor = (year) => getTaxRules(year + 1).reliefCaps[TAX_RELIEF_TYPES.CPF_CASH_TOPUP] || 0;
+  const contribution = safeParseNumber(annualSaContribution);
+
+  const years = [];
+  const addYear = (year, age, account, topUp) => {
+    const relief = Math.min(topUp, reliefCapFor(year));
+    years.push({ year, age, account, topUp, relief, taxSaved: relief * marginalTaxRate / 100 });
+  };
+
+  // Before 55: SA top-ups towards the FRS. The SA feeds the RA up to the FRS at 55
+  let balance = safeParseNumber(balances[CPF_ACCOUNT.SPECIAL]);
+  const saTarget = Math.min(targetAmount, fullRetirementSumAt55);
+  const projectedWithoutTopUps = currentAge < RETIREMENT_ACCOUNT_AGE
+    ? Math.min(growToRetirementAccountAge(balance, currentAge, contribution, interestRate), fullRetirementSumAt55)
+    : safeParseNumber(balances[CPF_ACCOUNT.RETIREMENT]);
+
+  for (let age = currentAge; age < RETIREMENT_ACCOUNT_AGE; age++) {
+    const year = startYear + (age - currentAge);
+    const growth = Math.pow(1 + interestRate, RETIREMENT_ACCOUNT_AGE - age);
+    const shortfall = saTarget - growToRetirementAccountAge(balance, age, contribution, interestRate);
+
+    // Relief-capped top-ups the years after this one can still make, valued at 55
+    let laterCapacity = 0;
+    for (let later = age + 1; later < RETIREMENT_ACCOUNT_AGE; later++) {
+      laterCapacity += reliefCapFor(startYear + (later - currentAge)) * Math.pow(1 + interestRate, RETIREMENT_ACCOUNT_AGE - later);
+    }
+
+    const needed = shortfall > 0
+      ? Math.max(Math.min(shortfall / growth, reliefCapFor(year)), (shortfall - laterCapacity) / growth)
+      : 0;
+    const room = Math.max(0, getCpfPolicy(year, 1, { escalationRate }).retirementSums.FULL - balance);
+    const topUp = Math.min(needed, room);
+    if (topUp > 0) {
+      addYear(year, age, CPF_ACCOUNT.SPECIAL, topUp);
+    }
+    balance = (balance + topUp) * (1 + interestRate) + contribution;
+  }
+
+  // At 55: the RA holds the SA up to the FRS; top it up to the target, up to the ERS
+  let retirementBalance = currentAge < RETIREMENT_ACCOUNT_AGE
+    ? Math.min(balance, fullRetirementSumAt55)
+    : safeParseNumber(balances[CPF_ACCOUNT.RETIREMENT]);
+  const retirementAge = Math.max(currentAge, RETIREMENT_ACCOUNT_AGE);
+  const retirementYear = startYear + (retirementAge - currentAge);
+  const ersRoom = getCpfPolicy(retirementYear, 1, { escalationRate }).retirementSums.ENHANCED - retirementBalance;
+  const retirementTopUp = Math.max(0, Math.min(targetAmount - retirementBalance, ersRoom));
+  if (retirementTopUp > 0) {
+    addYear(retirementYear, retirementAge, CPF_ACCOUNT.RETIREMENT, retirementTopUp);
+    retirementBalance += retirementTopUp;
+  }
+
+  const sum = (field) => years.reduce((total, row) => total + row[field], 0);
+
+  return {
+    targetAmount,
+    projectedWithoutTopUps,
+    projectedWithTopUps: retirementBalance,
+    reachesTarget: retirementBalance >= targetAmount - 0.01,
+    years,
+    totalTopUps: sum('topUp'),
+    totalRelief: sum('relief'),
+    totalTaxSaved: sum('taxSaved')
+  };
+};
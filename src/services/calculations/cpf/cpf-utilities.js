@@ -2,70 +2,64 @@
  * CPF Calculation Utilities
  * 
  * This module provides utilities for calculating CPF contributions based on
- * Singapore's CPF contribution rates as of 2025.
+ * Singapore's CPF contribution rates. Rates and ceilings come from a CPF policy
+ * (see cpf-policy.js); calls without one use DEFAULT_CPF_POLICY.
  */
 
-/**
- * Supported employee types for CPF calculations
- */
-export const EMPLOYEE_TYPE = {
-  SINGAPOREAN: 'singaporean',
-  PR_FIRST_YEAR: 'pr_first_year',
-  PR_SECOND_YEAR: 'pr_second_year',
-  PR_THIRD_YEAR_ONWARDS: 'pr_third_year_onwards',
-};
+import { EMPLOYEE_TYPE, DEFAULT_CPF_POLICY } from './cpf-policy';
 
-/**
- * CPF contribution rates for Singaporean Citizens based on age
- * 
- * Format: [employeeContributionRate, employerContributionRate]
- */
-const CITIZEN_RATES = {
-  '55_and_below': [0.20, 0.17],
-  '55_to_60': [0.15, 0.15],
-  '60_to_65': [0.105, 0.095],
-  '65_to_70': [0.075, 0.075],
-  'above_70': [0.05, 0.05],
-};
+export { EMPLOYEE_TYPE };
 
 /**
- * CPF contribution rates for 1st year Permanent Residents
+ * Ordinary Wage subject to CPF for one month
+ *
+ * @param {number} salary - Monthly salary
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
+ * @returns {number} Salary capped at the OW ceiling
  */
-const PR_FIRST_YEAR_RATES = {
-  '55_and_below': [0.05, 0.15],
-  '55_to_60': [0.05, 0.15],
-  '60_to_65': [0.05, 0.085],
-  '65_to_70': [0.05, 0.065],
-  'above_70': [0.05, 0.045],
-};
+export const getOrdinaryWageSubjectToCpf = (salary, policy = DEFAULT_CPF_POLICY) =>
+  Math.max(0, Math.min(salary, policy.ordinaryWageCeiling));
 
 /**
- * CPF contribution rates for 2nd year Permanent Residents
+ * Additional Wage ceiling for a calendar year: the annual wage ceiling (102,000) less the
+ * year's total OW subject to CPF
+ *
+ * @param {number} totalOrdinaryWageForYear - Total OW subject to CPF for the year
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
+ * @returns {number} Additional Wage ceiling for the year
  */
-const PR_SECOND_YEAR_RATES = {
-  '55_and_below': [0.15, 0.15],
-  '55_to_60': [0.15, 0.15],
-  '60_to_65': [0.085, 0.085],
-  '65_to_70': [0.06, 0.065],
-  'above_70': [0.05, 0.045],
-};
+export const calculateAdditionalWageCeiling = (totalOrdinaryWageForYear, policy = DEFAULT_CPF_POLICY) =>
+  Math.max(0, policy.annualWageCeiling - totalOrdinaryWageForYear);
 
 /**
- * CPF contribution rates for 3rd year onwards Permanent Residents
+ * Calculate CPF on an Additional Wage (e.g. bonus) within the year's AW ceiling
+ *
+ * @param {number} additionalWage - Additional wage paid this month
+ * @param {Array} rates - [employeeContributionRate, employerContributionRate]
+ * @param {number} totalOrdinaryWageForYear - Total OW subject to CPF for the year
+ * @param {number} additionalWageYearToDate - AW already subject to CPF earlier in the year
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
+ * @returns {Object} AW subject to CPF, employee and employer contributions, and the ceiling left
  */
-const PR_THIRD_YEAR_ONWARDS_RATES = {
-  '55_and_below': [0.20, 0.17],
-  '55_to_60': [0.15, 0.15],
-  '60_to_65': [0.095, 0.095],
-  '65_to_70': [0.075, 0.075],
-  'above_70': [0.05, 0.05],
-};
+export const calculateAdditionalWageCpf = (
+  additionalWage,
+  [employeeRate, employerRate],
+  totalOrdinaryWageForYear,
+  additionalWageYearToDate = 0,
+  policy = DEFAULT_CPF_POLICY
+) => {
+  const ceiling = calculateAdditionalWageCeiling(totalOrdinaryWageForYear, policy);
+  const remainingCeiling = Math.max(0, ceiling - additionalWageYearToDate);
+  const additionalWageSubjectToCpf = Math.min(Math.max(0, additionalWage), remainingCeiling);
 
-/**
- * CPF salary ceiling constants
- */
-const OW_CEILING = 6000; // Ordinary Wage Ceiling
-const AW_CEILING = 102000; // Additional Wage Ceiling
+  return {
+    additionalWageSubjectToCpf,
+    employeeContribution: Math.round(additionalWageSubjectToCpf * employeeRate * 100) / 100,
+    employerContribution: Math.round(additionalWageSubjectToCpf * employerRate * 100) / 100,
+    ceiling,
+    remainingCeiling: remainingCeiling - additionalWageSubjectToCpf
+  };
+};
 
 /**
  * Get age bracket for CPF contribution rates
@@ -86,23 +80,16 @@ export const getAgeBracket = (age) => {
  * 
  * @param {string} employeeType - Type of employee (from EMPLOYEE_TYPE)
  * @param {number} age - Employee's age
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
  * @returns {Array} [employeeContributionRate, employerContributionRate]
  */
-export const getCpfRates = (employeeType, age) => {
-  const ageBracket = getAgeBracket(age);
-  
-  switch (employeeType) {
-    case EMPLOYEE_TYPE.SINGAPOREAN:
-      return CITIZEN_RATES[ageBracket];
-    case EMPLOYEE_TYPE.PR_FIRST_YEAR:
-      return PR_FIRST_YEAR_RATES[ageBracket];
-    case EMPLOYEE_TYPE.PR_SECOND_YEAR:
-      return PR_SECOND_YEAR_RATES[ageBracket];
-    case EMPLOYEE_TYPE.PR_THIRD_YEAR_ONWARDS:
-      return PR_THIRD_YEAR_ONWARDS_RATES[ageBracket];
-    default:
-      throw new Error(`Invalid employee type: ${employeeType}`);
+export const getCpfRates = (employeeType, age, policy = DEFAULT_CPF_POLICY) => {
+  const rates = policy.contributionRates[employeeType];
+  if (!rates) {
+    throw new Error(`Invalid employee type: ${employeeType}`);
   }
+
+  return rates[getAgeBracket(age)];
 };
 
 /**
@@ -113,6 +100,7 @@ export const getCpfRates = (employeeType, age) => {
  * @param {number} age - Employee's age
  * @param {number} additionalWage - Additional wage for the year (e.g., bonus)
  * @param {number} totalOrdinaryWageForYear - Total ordinary wage for the year so far
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
  * @returns {Object} Object containing employee and employer contributions
  */
 export const calculateCpfContributions = (
@@ -120,14 +108,15 @@ export const calculateCpfContributions = (
   employeeType = EMPLOYEE_TYPE.SINGAPOREAN,
   age = 30,
   additionalWage = 0,
-  totalOrdinaryWageForYear = 0
+  totalOrdinaryWageForYear = 0,
+  policy = DEFAULT_CPF_POLICY
 ) => {
   try {
     // Get applicable rates
-    const [employeeRate, employerRate] = getCpfRates(employeeType, age);
+    const [employeeRate, employerRate] = getCpfRates(employeeType, age, policy);
     
     // Apply wage ceiling for ordinary wage (monthly salary)
-    const cappedSalary = Math.min(salary, OW_CEILING);
+    const cappedSalary = Math.min(salary, policy.ordinaryWageCeiling);
     
     // Calculate ordinary wage contributions
     const employeeContribution = Math.round(cappedSalary * employeeRate * 100) / 100;
@@ -138,14 +127,17 @@ export const calculateCpfContributions = (
     let additionalEmployerContribution = 0;
     
     if (additionalWage > 0) {
-      // Calculate remaining allowable additional wage for CPF
+      // Calculate additional wage contributions within the remaining AW ceiling
       const yearToDateOW = totalOrdinaryWageForYear || (cappedSalary * 12);
-      const remainingAWCeiling = Math.max(0, AW_CEILING - yearToDateOW);
-      const cappedAdditionalWage = Math.min(additionalWage, remainingAWCeiling);
-      
-      // Calculate additional wage contributions
-      additionalEmployeeContribution = Math.round(cappedAdditionalWage * employeeRate * 100) / 100;
-      additionalEmployerContribution = Math.round(cappedAdditionalWage * employerRate * 100) / 100;
+      const additionalWageCpf = calculateAdditionalWageCpf(
+        additionalWage,
+        [employeeRate, employerRate],
+        yearToDateOW,
+        0,
+        policy
+      );
+      additionalEmployeeContribution = additionalWageCpf.employeeContribution;
+      additionalEmployerContribution = additionalWageCpf.employerContribution;
     }
     
     // Total contributions
@@ -189,19 +181,24 @@ export const calculateCpfContributions = (
  * @param {string} employeeType - Type of employee (from EMPLOYEE_TYPE)
  * @param {number} age - Employee's age
  * @param {number} bonusMonths - Number of months for bonus
+ * @param {Object} policy - CPF policy (default DEFAULT_CPF_POLICY)
  * @returns {Object} Object containing yearly CPF contribution totals
  */
 export const estimateYearlyCpfContributions = (
   monthlySalary,
   employeeType = EMPLOYEE_TYPE.SINGAPOREAN,
   age = 30,
-  bonusMonths = 0
+  bonusMonths = 0,
+  policy = DEFAULT_CPF_POLICY
 ) => {
   // Calculate monthly CPF contribution
   const monthlyContribution = calculateCpfContributions(
     monthlySalary, 
     employeeType, 
-    age
+    age,
+    0,
+    0,
+    policy
   );
   
   // Calculate bonus contribution (if applicable)
@@ -209,14 +206,15 @@ export const estimateYearlyCpfContributions = (
   
   if (bonusMonths > 0) {
     const bonusSalary = monthlySalary * bonusMonths;
-    const yearToDateOW = Math.min(monthlySalary, OW_CEILING) * 12;
+    const yearToDateOW = getOrdinaryWageSubjectToCpf(monthlySalary, policy) * 12;
     
     bonusContribution = calculateCpfContributions(
       0, // No ordinary wage
       employeeType,
       age,
       bonusSalary,
-      yearToDateOW
+      yearToDateOW,
+      policy
     );
   }
   
@@ -7,5 +7,41 @@ export {
   calculateCpfContributions,
   estimateYearlyCpfContributions,
   getAgeBracket,
-  getCpfRates
+  getCpfRates,
+  getOrdinaryWageSubjectToCpf,
+  calculateAdditionalWageCeiling,
+  calculateAdditionalWageCpf
 } from './cpf-utilities';
+
+export {
+  CPF_POLICY_SCHEDULE,
+  DEFAULT_CPF_POLICY,
+  DEFAULT_CPF_POLICY_ESCALATION_RATE,
+  getCpfPolicy
+} from './cpf-policy';
+
+
+export {
+  CPF_TOPUP_RECIPIENT,
+  CPF_TOPUP_ACCOUNTS,
+  CPF_TOPUP_TARGET,
+  validateCpfTopUp,
+  normalizeCpfTopUps,
+  getCpfTopUpsForMonth,
+  getCpfTopUpRoom,
+  optimiseCpfTopUps
+} from './cpf-topups';
+
+export {
+  CPF_HOUSING_ACCRUED_INTEREST_RATE,
+  WITHDRAWAL_LIMIT_PERCENTAGE,
+  VALUATION_LIMIT_STATUS,
+  VALUATION_LIMIT_STATUS_LABELS,
+  validateCpfHousingUsage,
+  createHousingLedger,
+  getHousingWithdrawalRoom,
+  withdrawForHousing,
+  accrueHousingInterest,
+  getValuationLimitStatus,
+  calculateHousingRefund
+} from './cpf-housing';
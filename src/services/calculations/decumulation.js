@@ -0,0 +1,403 @@
+/**
+ * Retirement Decumulation
+ *
+ * Simulates retirement month by month from the balances at retirement: CPF LIFE payouts from
+ * 65 (or deferred up to 70), withdrawals from cash and investments under a chosen strategy, and
+ * expenses that grow with inflation. It extends calculateWithdrawalSustainability (one balance,
+ * fixed withdrawal) with two buckets, withdrawal strategies, CPF LIFE and Monte Carlo paths, and
+ * reports the age savings run out and how likely that is.
+ *
+ * References:
+ * - CPF LIFE plans (Standard, Basic, Escalating) and deferral to 70
+ * - Bengen (1994) 4% rule; Guyton-Klinger (2006) withdrawal guardrails
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { calculateInflationAdjusted, SINGAPORE_INFLATION_RATES } from './inflationCalculations';
+import { CPF_ACCOUNT, CPF_BASE_INTEREST_RATES } from './cpf/cpf-allocation';
+import {
+  DEFAULT_MONTE_CARLO_SETTINGS,
+  createSeededRandom,
+  createNormalSampler,
+  createRateSampler,
+  aggregatePercentileBands,
+  calculatePercentile
+} from './monteCarlo';
+
+/**
+ * CPF LIFE plans
+ */
+export const CPF_LIFE_PLAN = {
+  STANDARD: 'standard',
+  BASIC: 'basic',
+  ESCALATING: 'escalating'
+};
+
+/**
+ * Display labels for each plan
+ */
+export const CPF_LIFE_PLAN_LABELS = {
+  [CPF_LIFE_PLAN.STANDARD]: 'Standard',
+  [CPF_LIFE_PLAN.BASIC]: 'Basic',
+  [CPF_LIFE_PLAN.ESCALATING]: 'Escalating'
+};
+
+/**
+ * Approximate monthly payout at 65 for every $100,000 in the Retirement Account at 65,
+ * in line with the CPF LIFE Estimator for members with the Full Retirement Sum
+ */
+export const CPF_LIFE_PAYOUT_PER_100K = {
+  [CPF_LIFE_PLAN.STANDARD]: 540,
+  [CPF_LIFE_PLAN.BASIC]: 500,
+  [CPF_LIFE_PLAN.ESCALATING]: 430
+};
+
+/**
+ * Escalating plan payouts rise 2% a year
+ */
+export const CPF_LIFE_ESCALATION_RATE = 2;
+
+/**
+ * Earliest and latest age CPF LIFE payouts can start
+ */
+export const CPF_LIFE_PAYOUT_AGE = {
+  EARLIEST: 65,
+  LATEST: 70
+};
+
+/**
+ * Increase in payouts for each year they are deferred past 65
+ */
+export const CPF_LIFE_DEFERRAL_INCREASE = 7;
+
+/**
+ * Withdrawal strategies
+ * Fixed: a set monthly amount, raised with inflation each year
+ * Four percent: 4% (or the given rate) of savings at retirement, raised with inflation each year
+ * Guardrails: as the 4% rule, but cut 10% when the withdrawal rate rises 20% above the starting
+ * rate and raised 10% when it falls 20% below; no inflation raise after a losing year
+ */
+export const WITHDRAWAL_STRATEGY = {
+  FIXED: 'fixed',
+  FOUR_PERCENT: 'four_percent',
+  GUARDRAILS: 'guardrails'
+};
+
+/**
+ * Display labels for each strategy
+ */
+export const WITHDRAWAL_STRATEGY_LABELS = {
+  [WITHDRAWAL_STRATEGY.FIXED]: 'Fixed amount',
+  [WITHDRAWAL_STRATEGY.FOUR_PERCENT]: '4% rule',
+  [WITHDRAWAL_STRATEGY.GUARDRAILS]: 'Guardrails'
+};
+
+/**
+ * Guardrail thresholds and adjustments (%)
+ */
+export const GUARDRAILS = {
+  threshold: 20,
+  adjustment: 10
+};
+
+/**
+ * Default assumptions
+ */
+export const DEFAULT_DECUMULATION_SETTINGS = {
+  lifeExpectancy: 95,
+  cpfLifePlan: CPF_LIFE_PLAN.STANDARD,
+  cpfLifeStartAge: CPF_LIFE_PAYOUT_AGE.EARLIEST,
+  strategy: WITHDRAWAL_STRATEGY.FOUR_PERCENT,
+  withdrawalRate: 4,
+  investmentReturn: 5,
+  cashReturn: 1.5,
+  inflationRate: SINGAPORE_INFLATION_RATES.OVERALL * 100,
+  otherMonthlyIncome: 0
+};
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Monthly expenses at retirement, grown from today's expenses with inflation
+ *
+ * @param {number} monthlyExpensesToday - Monthly expenses in today's dollars
+ * @param {number} inflationRate - Annual inflation (%)
+ * @param {number} yearsToRetirement - Years until retirement
+ * @returns {number} Monthly expenses at retirement
+ */
+export const getExpensesAtRetirement = (monthlyExpensesToday, inflationRate, yearsToRetirement) =>
+  calculateInflationAdjusted(monthlyExpensesToday, inflationRate, Math.max(0, yearsToRetirement)).futureNominalValue;
+
+/**
+ * Estimated first-year monthly CPF LIFE payout
+ * The RA is grown at its base interest rate (or discounted, if retiring after 65) to 65. Deferring
+ * payouts adds CPF_LIFE_DEFERRAL_INCREASE for each year after 65.
+ *
+ * @param {number} raBalance - Retirement Account balance at retirement
+ * @param {string} plan - CPF_LIFE_PLAN
+ * @param {number} retirementAge - Age the RA balance is at
+ * @param {number} startAge - Age payouts start (65-70)
+ * @returns {number} Monthly payout in the first payout year
+ */
+export const estimateCpfLifePayout = (raBalance, plan, retirementAge, startAge) => {
+  if (!raBalance || raBalance <= 0) return 0;
+
+  const raAt65 = raBalance * Math.pow(1 + CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.RETIREMENT], CPF_LIFE_PAYOUT_AGE.EARLIEST - retirementAge);
+  const deferralYears = Math.max(0, startAge - CPF_LIFE_PAYOUT_AGE.EARLIEST);
+
+  return roundToCents(
+    raAt65 / 100000 * CPF_LIFE_PAYOUT_PER_100K[plan] * Math.pow(1 + CPF_LIFE_DEFERRAL_INCREASE / 100, deferralYears)
+  );
+};
+
+/**
+ * Validate simulator parameters
+ *
+ * @param {Object} params - Simulator parameters
+ * @throws {Error} FinancialError with code 'invalid_decumulation'
+ */
+export const validateDecumulationParams = (params) => {
+  const { retirementAge, lifeExpectancy, cpfLifeStartAge, cpfLifePlan, strategy } = params;
+
+  if (!Number.isInteger(retirementAge) || retirementAge < 40 || retirementAge > 80) {
+    throw createFinancialError('Retirement age must be between 40 and 80', 'invalid_decumulation');
+  }
+  if (!Number.isInteger(lifeExpectancy) || lifeExpectancy <= retirementAge || lifeExpectancy > 110) {
+    throw createFinancialError('Life expectancy must be after retirement and at most 110', 'invalid_decumulation');
+  }
+  if (!Number.isInteger(cpfLifeStartAge) || cpfLifeStartAge < CPF_LIFE_PAYOUT_AGE.EARLIEST ||
+    cpfLifeStartAge > CPF_LIFE_PAYOUT_AGE.LATEST) {
+    throw createFinancialError('CPF LIFE payouts start between 65 and 70', 'invalid_decumulation');
+  }
+  if (!Object.values(CPF_LIFE_PLAN).includes(cpfLifePlan)) {
+    throw createFinancialError('CPF LIFE plan is not supported', 'invalid_decumulation');
+  }
+  if (!Object.values(WITHDRAWAL_STRATEGY).includes(strategy)) {
+    throw createFinancialError('Withdrawal strategy is not supported', 'invalid_decumulation');
+  }
+  ['cash', 'investments', 'raBalance', 'monthlyExpenses'].forEach((field) => {
+    const value = params[field];
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      throw createFinancialError(`${field} must be zero or more`, 'invalid_decumulation');
+    }
+  });
+};
+
+/**
+ * Next year's annual withdrawal under a strategy
+ */
+const getNextWithdrawal = (strategy, previous, context) => {
+  const { inflation, portfolio, initialRate, yearReturn } = context;
+
+  if (strategy !== WITHDRAWAL_STRATEGY.GUARDRAILS) {
+    return previous * (1 + inflation);
+  }
+
+  // Guyton-Klinger: skip the inflation raise after a losing year, then apply the guardrails
+  let withdrawal = yearReturn < 0 ? previous : previous * (1 + inflation);
+  if (portfolio > 0) {
+    const currentRate = withdrawal / portfolio;
+    if (currentRate > initialRate * (1 + GUARDRAILS.threshold / 100)) {
+      withdrawal *= 1 - GUARDRAILS.adjustment / 100;
+    } else if (currentRate < initialRate * (1 - GUARDRAILS.threshold / 100)) {
+      withdrawal *= 1 + GUARDRAILS.adjustment / 100;
+    }
+  }
+  return withdrawal;
+};
+
+/**
+ * Simulate one retirement path
+ * Withdrawals come out of cash first, then investments. Spending is the withdrawal plus CPF LIFE
+ * and other income; the shortfall is how far that falls below inflated expenses.
+ *
+ * @param {Object} params - Simulator parameters
+ * @param {number} params.retirementAge - Age at retirement (start of the simulation)
+ * @param {number} params.cash - Cash at retirement
+ * @param {number} params.investments - Investments at retirement
+ * @param {number} params.raBalance - CPF Retirement Account at retirement
+ * @param {number} params.monthlyExpenses - Monthly expenses at retirement
+ * @param {number} [params.lifeExpectancy=95] - Age the simulation ends
+ * @param {string} [params.cpfLifePlan='standard'] - CPF_LIFE_PLAN
+ * @param {number} [params.cpfLifeStartAge=65] - Age payouts start (65-70)
+ * @param {string} [params.strategy='four_percent'] - WITHDRAWAL_STRATEGY
+ * @param {number} [params.withdrawalRate=4] - Starting withdrawal rate (%) for the 4% rule and guardrails
+ * @param {number} [params.monthlyWithdrawal] - Fixed strategy amount; defaults to expenses less CPF LIFE and other income
+ * @param {number} [params.investmentReturn=5] - Annual investment return (%)
+ * @param {number} [params.cashReturn=1.5] - Annual cash return (%)
+ * @param {number} [params.inflationRate=2.3] - Annual inflation (%)
+ * @param {number} [params.otherMonthlyIncome=0] - Other income, e.g. rent or an annuity
+ * @param {Function} [sampleRates] - Monte Carlo sampler returning { annualInvestmentReturn, annualExpenseIncrease } per month
+ * @returns {Object} { rows, depletionAge, cpfLifePayout, initialMonthlyWithdrawal, finalSavings, totalShortfall }
+ */
+export const simulateDecumulation = (params, sampleRates = null) => {
+  const settings = { ...DEFAULT_DECUMULATION_SETTINGS, ...params };
+  validateDecumulationParams(settings);
+
+  const {
+    retirementAge,
+    lifeExpectancy,
+    cpfLifePlan,
+    cpfLifeStartAge,
+    strategy,
+    withdrawalRate,
+    investmentReturn,
+    cashReturn,
+    inflationRate,
+    otherMonthlyIncome
+  } = settings;
+
+  const cpfLifePayout = estimateCpfLifePayout(settings.raBalance, cpfLifePlan, retirementAge, cpfLifeStartAge);
+  const initialSavings = settings.cash + settings.investments;
+  const initialMonthlyWithdrawal = strategy === WITHDRAWAL_STRATEGY.FIXED
+    ? (typeof settings.monthlyWithdrawal === 'number'
+      ? settings.monthlyWithdrawal
+      : Math.max(0, settings.monthlyExpenses - (retirementAge >= cpfLifeStartAge ? cpfLifePayout : 0) - otherMonthlyIncome))
+    : initialSavings * withdrawalRate / 100 / 12;
+  const initialRate = initialSavings > 0 ? initialMonthlyWithdrawal * 12 / initialSavings : 0;
+  const monthlyCashReturn = Math.pow(1 + cashReturn / 100, 1 / 12) - 1;
+
+  let cash = settings.cash;
+  let investments = settings.investments;
+  let monthlyExpenses = settings.monthlyExpenses;
+  let annualWithdrawal = initialMonthlyWithdrawal * 12;
+  let depletionAge = null;
+  let totalShortfall = 0;
+  const rows = [];
+
+  for (let age = retirementAge; age < lifeExpectancy; age++) {
+    const savingsAtYearStart = cash + investments;
+    let yearInflation = 1;
+
+    if (age > retirementAge) {
+      const previous = rows[rows.length - 1];
+      annualWithdrawal = getNextWithdrawal(strategy, annualWithdrawal, {
+        inflation: previous.inflation / 100,
+        portfolio: savingsAtYearStart,
+        initialRate,
+        yearReturn: previous.investmentReturn
+      });
+    }
+
+    const year = {
+      age,
+      expenses: 0,
+      withdrawal: 0,
+      cpfLifePayout: 0,
+      otherIncome: 0,
+      shortfall: 0,
+      investmentReturn: 0
+    };
+
+    for (let month = 0; month < 12; month++) {
+      const rates = sampleRates ? sampleRates() : null;
+      const annualReturn = rates ? rates.annualInvestmentReturn : investmentReturn;
+      const annualInflation = rates ? rates.annualExpenseIncrease : inflationRate;
+      const monthlyInflation = Math.pow(1 + Math.max(-99, annualInflation) / 100, 1 / 12);
+
+      if (age > retirementAge || month > 0) {
+        monthlyExpenses *= monthlyInflation;
+      }
+      yearInflation *= monthlyInflation;
+
+      const cashGrowth = Math.max(0, cash) * monthlyCashReturn;
+      const investmentGrowth = investments * (Math.pow(1 + Math.max(-99, annualReturn) / 100, 1 / 12) - 1);
+      cash += cashGrowth;
+      investments += investmentGrowth;
+      year.investmentReturn += investmentGrowth;
+
+      // Withdraw from cash, then investments
+      const wanted = annualWithdrawal / 12;
+      const fromCash = Math.min(wanted, Math.max(0, cash));
+      const fromInvestments = Math.min(wanted - fromCash, Math.max(0, investments));
+      cash -= fromCash;
+      investments -= fromInvestments;
+      const withdrawn = fromCash + fromInvestments;
+
+      if (depletionAge === null && wanted > 0 && withdrawn < wanted - 0.005) {
+        depletionAge = Math.round((age + month / 12) * 10) / 10;
+      }
+
+      const yearsOfPayouts = age - cpfLifeStartAge;
+      const payout = yearsOfPayouts >= 0
+        ? cpfLifePayout * (cpfLifePlan === CPF_LIFE_PLAN.ESCALATING
+          ? Math.pow(1 + CPF_LIFE_ESCALATION_RATE / 100, yearsOfPayouts)
+          : 1)
+        : 0;
+      const shortfall = Math.max(0, monthlyExpenses - withdrawn - payout - otherMonthlyIncome);
+
+      year.expenses += monthlyExpenses;
+      year.withdrawal += withdrawn;
+      year.cpfLifePayout += payout;
+      year.otherIncome += otherMonthlyIncome;
+      year.shortfall += shortfall;
+      totalShortfall += shortfall;
+    }
+
+    rows.push({
+      age,
+      expenses: roundToCents(year.expenses),
+      withdrawal: roundToCents(year.withdrawal),
+      cpfLifePayout: roundToCents(year.cpfLifePayout),
+      otherIncome: roundToCents(year.otherIncome),
+      shortfall: roundToCents(year.shortfall),
+      cash: roundToCents(cash),
+      investments: roundToCents(investments),
+      savings: roundToCents(cash + investments),
+      inflation: Math.round((yearInflation - 1) * 10000) / 100,
+      investmentReturn: roundToCents(year.investmentReturn)
+    });
+  }
+
+  return {
+    rows,
+    depletionAge,
+    cpfLifePayout,
+    initialMonthlyWithdrawal: roundToCents(initialMonthlyWithdrawal),
+    finalSavings: rows.length > 0 ? rows[rows.length - 1].savings : initialSavings,
+    totalShortfall: roundToCents(totalShortfall)
+  };
+};
+
+/**
+ * Run the simulator over randomised returns and inflation
+ *
+ * @param {Object} params - Simulator parameters (see simulateDecumulation)
+ * @param {Object} [options] - Monte Carlo options (see DEFAULT_MONTE_CARLO_SETTINGS)
+ * @returns {Object} { iterations, probabilityOfDepletion, depletionAge: { p10, p50, p90 }, bands }
+ * depletionAge percentiles are over the paths that run out, or null if none do
+ */
+export const runDecumulationMonteCarlo = (params, options = {}) => {
+  const settings = { ...DEFAULT_DECUMULATION_SETTINGS, ...params };
+  const monteCarlo = { ...DEFAULT_MONTE_CARLO_SETTINGS, ...options };
+  const normal = createNormalSampler(createSeededRandom(monteCarlo.seed));
+  const sampleRates = createRateSampler(
+    { annualInvestmentReturn: settings.investmentReturn, annualExpenseIncrease: settings.inflationRate },
+    monteCarlo,
+    normal
+  );
+
+  const paths = [];
+  const depletionAges = [];
+  for (let i = 0; i < Math.max(1, monteCarlo.iterations); i++) {
+    const result = simulateDecumulation(settings, sampleRates);
+    paths.push(result.rows.map(row => ({ date: row.age, savings: row.savings })));
+    if (result.depletionAge !== null) {
+      depletionAges.push(result.depletionAge);
+    }
+  }
+
+  const sortedAges = depletionAges.sort((a, b) => a - b);
+  return {
+    iterations: paths.length,
+    probabilityOfDepletion: Math.round((depletionAges.length / paths.length) * 10000) / 100,
+    depletionAge: sortedAges.length > 0
+      ? monteCarlo.percentiles.reduce((result, percentile) => ({
+        ...result,
+        [`p${percentile}`]: Math.round(calculatePercentile(sortedAges, percentile) * 10) / 10
+      }), {})
+      : null,
+    bands: aggregatePercentileBands(paths, ['savings'], monteCarlo.percentiles)
+      .map(band => ({ age: band.date, savings: band.savings }))
+  };
+};
@@ -0,0 +1,188 @@
+/**
+ * Projection Goal Utilities
+ *
+ * This module evaluates a list of financial goals against a month-by-month
+ * projection: when each goal is reached, how far off it is at its deadline
+ * and the extra monthly saving needed to close the gap.
+ *
+ * A goal applies to one balance in the projection rows:
+ * - cash: liquid cash savings (cashSavings)
+ * - cpfOA: CPF Ordinary Account (cpfOaBalance)
+ * - netWorth: cash + CPF (totalNetWorth)
+ */
+
+import { calculateGoalSavings } from './investmentCalculations';
+import { CPF_ACCOUNT, CPF_BASE_INTEREST_RATES } from './cpf/cpf-allocation';
+
+/**
+ * Balance types a goal can be measured against
+ */
+export const GOAL_BALANCE_TYPE = {
+  CASH: 'cash',
+  CPF_OA: 'cpfOA',
+  NET_WORTH: 'netWorth'
+};
+
+/**
+ * Projection row field for each balance type
+ */
+export const GOAL_BALANCE_FIELDS = {
+  [GOAL_BALANCE_TYPE.CASH]: 'cashSavings',
+  [GOAL_BALANCE_TYPE.CPF_OA]: 'cpfOaBalance',
+  [GOAL_BALANCE_TYPE.NET_WORTH]: 'totalNetWorth'
+};
+
+/**
+ * Display labels for each balance type
+ */
+export const GOAL_BALANCE_LABELS = {
+  [GOAL_BALANCE_TYPE.CASH]: 'Cash savings',
+  [GOAL_BALANCE_TYPE.CPF_OA]: 'CPF Ordinary Account',
+  [GOAL_BALANCE_TYPE.NET_WORTH]: 'Net worth'
+};
+
+/**
+ * Goal used when none are configured (the original $100k cash milestone)
+ */
+export const DEFAULT_PROJECTION_GOALS = [
+  {
+    id: 'savings-goal',
+    name: 'Savings Goal',
+    targetAmount: 100000,
+    balanceType: GOAL_BALANCE_TYPE.CASH,
+    deadline: null,
+    priority: 1
+  }
+];
+
+/**
+ * Normalise goal input, dropping invalid entries and sorting by priority
+ * Priority 1 is the most important; ties are broken by deadline, then target
+ *
+ * @param {Array<Object>} goals - Raw goals ({ id, name, targetAmount, balanceType, deadline: { month, year }, priority })
+ * @returns {Array<Object>} Clean goals sorted by priority
+ */
+export const normalizeGoals = (goals) => {
+  if (!Array.isArray(goals)) return [];
+
+  const deadlineKey = (goal) =>
+    goal.deadline ? goal.deadline.year * 12 + goal.deadline.month : Infinity;
+
+  return goals
+    .filter((goal) => goal && Number(goal.targetAmount) > 0)
+    .map((goal, index) => {
+      const deadline = goal.deadline && Number(goal.deadline.month) && Number(goal.deadline.year)
+        ? { month: Number(goal.deadline.month), year: Number(goal.deadline.year) }
+        : null;
+
+      return {
+        id: goal.id !== undefined ? goal.id : `goal-${index + 1}`,
+        name: goal.name || `Goal ${index + 1}`,
+        targetAmount: Number(goal.targetAmount),
+        balanceType: GOAL_BALANCE_FIELDS[goal.balanceType] ? goal.balanceType : GOAL_BALANCE_TYPE.CASH,
+        deadline,
+        priority: Number(goal.priority) > 0 ? Number(goal.priority) : index + 1
+      };
+    })
+    .sort((a, b) =>
+      a.priority - b.priority ||
+      deadlineKey(a) - deadlineKey(b) ||
+      a.targetAmount - b.targetAmount
+    );
+};
+
+/**
+ * Convert a { month, year } deadline into a zero-based projection month index
+ *
+ * @param {Object} deadline - Deadline { month (1-12), year }
+ * @param {number} startMonth - Projection start month (1-12)
+ * @param {number} startYear - Projection start year
+ * @returns {number|null} Month index (may be negative if already past), or null without a deadline
+ */
+export const getDeadlineIndex = (deadline, startMonth, startYear) => {
+  if (!deadline) return null;
+  return (deadline.year - startYear) * 12 + (deadline.month - startMonth);
+};
+
+/**
+ * Evaluate goals against a projection
+ *
+ * @param {Array<Object>} projection - Month rows from useProjection
+ * @param {Array<Object>} goals - Goals (see normalizeGoals)
+ * @param {Object} options - Evaluation options
+ * @param {number} options.projectionStartMonth - Start month of the projection (1-12)
+ * @param {number} options.projectionStartYear - Start year of the projection
+ * @param {Object} options.startingBalances - Current balances keyed by balance type, on the same basis as the
+ *   row fields (cash savings and the OA exclude money earmarked for savings goals)
+ * @param {number} options.annualInvestmentReturn - Expected return on cash/net worth (percentage)
+ * @returns {Array<Object>} One result per goal, sorted by priority
+ */
+export const evaluateGoals = (projection, goals, options = {}) => {
+  if (!Array.isArray(projection) || projection.length === 0) return [];
+
+  const {
+    projectionStartMonth,
+    projectionStartYear,
+    startingBalances = {},
+    annualInvestmentReturn = 4.0
+  } = options;
+
+  const lastIndex = projection.length - 1;
+
+  return normalizeGoals(goals).map((goal) => {
+    const field = GOAL_BALANCE_FIELDS[goal.balanceType];
+    const currentBalance = startingBalances[goal.balanceType] !== undefined
+      ? startingBalances[goal.balanceType]
+      : projection[0][field] || 0;
+
+    // First month in which the projected balance reaches the target
+    const reachedIndex = projection.findIndex((row) => (row[field] || 0) >= goal.targetAmount);
+    const reachedMonth = reachedIndex === -1 ? null : projection[reachedIndex];
+    const alreadyReached = currentBalance >= goal.targetAmount;
+
+    // Shortfall is measured at the deadline (or the last projected month if it lies beyond the horizon)
+    const deadlineIndex = getDeadlineIndex(goal.deadline, projectionStartMonth, projectionStartYear);
+    let balanceAtDeadline = null;
+    let shortfallAtDeadline = 0;
+    let monthlyShortfall = 0;
+    let onTrack = alreadyReached || reachedIndex !== -1;
+
+    if (deadlineIndex !== null) {
+      const checkIndex = Math.min(Math.max(deadlineIndex, 0), lastIndex);
+      balanceAtDeadline = deadlineIndex < 0 ? currentBalance : projection[checkIndex][field] || 0;
+      shortfallAtDeadline = Math.max(0, goal.targetAmount - balanceAtDeadline);
+      onTrack = alreadyReached || (reachedIndex !== -1 && reachedIndex <= deadlineIndex);
+
+      if (shortfallAtDeadline > 0) {
+        // Extra saving per month, from now until the deadline, that closes the gap
+        const monthsToDeadline = Math.max(1, checkIndex + 1);
+        const annualReturn = goal.balanceType === GOAL_BALANCE_TYPE.CPF_OA
+          ? CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.ORDINARY] * 100
+          : annualInvestmentReturn;
+
+        // calculateGoalSavings divides by the growth factor, so spread evenly when there is no return
+        monthlyShortfall = annualReturn > 0
+          ? calculateGoalSavings(shortfallAtDeadline, 0, monthsToDeadline / 12, annualReturn).requiredMonthly
+          : Math.round((shortfallAtDeadline / monthsToDeadline) * 100) / 100;
+      }
+    }
+
+    return {
+      ...goal,
+      field,
+      currentBalance: Math.round(currentBalance * 100) / 100,
+      progress: Math.min(100, Math.round((currentBalance / goal.targetAmount) * 100)),
+      reachedIndex: reachedIndex === -1 ? null : reachedIndex,
+      reachedMonth,
+      reachedDate: reachedMonth ? reachedMonth.date : null,
+      monthsToReach: reachedIndex === -1 ? null : reachedIndex,
+      complete: alreadyReached,
+      deadlineIndex,
+      deadlineBeyondProjection: deadlineIndex !== null && deadlineIndex > lastIndex,
+      balanceAtDeadline: balanceAtDeadline === null ? null : Math.round(balanceAtDeadline * 100) / 100,
+      shortfallAtDeadline: Math.round(shortfallAtDeadline * 100) / 100,
+      monthlyShortfall,
+      onTrack
+    };
+  });
+};
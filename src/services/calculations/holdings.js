@@ -0,0 +1,209 @@
+/**
+ * Investment Holdings
+ *
+ * Liquid savings held across asset classes, each with a balance and a share of monthly
+ * savings. The projection grows every holding at its own expected return instead of one
+ * rate for all liquid cash. Holdings are stored in `financialData.portfolio` as
+ * { holdings: [{ assetClass, balance, contributionPercentage, annualReturn }], targetAllocation: { [assetClass]: percentage } }.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { ASSET_CLASSES } from './investmentCalculations';
+
+/**
+ * Asset classes that can be held, keyed as in ASSET_CLASSES
+ */
+export const HOLDING_CLASSES = [
+  'CASH',
+  'SINGAPORE_BONDS',
+  'SINGAPORE_EQUITIES',
+  'GLOBAL_EQUITIES',
+  'SINGAPORE_REITS',
+  'ROBO_ADVISOR'
+];
+
+/**
+ * Display labels for each holding
+ */
+export const HOLDING_LABELS = {
+  CASH: 'Cash',
+  SINGAPORE_BONDS: 'SGS Bonds / T-bills',
+  SINGAPORE_EQUITIES: 'STI ETF',
+  GLOBAL_EQUITIES: 'Global Equities',
+  SINGAPORE_REITS: 'REITs',
+  ROBO_ADVISOR: 'Robo-Advisor'
+};
+
+/**
+ * Order holdings are sold in to cover spending that cash can't, most liquid first
+ */
+export const WITHDRAWAL_ORDER = [
+  'CASH',
+  'SINGAPORE_BONDS',
+  'ROBO_ADVISOR',
+  'SINGAPORE_REITS',
+  'SINGAPORE_EQUITIES',
+  'GLOBAL_EQUITIES'
+];
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Expected annual return (%) of a holding: its own override, otherwise the asset class default
+ *
+ * @param {Object} holding - Holding
+ * @returns {number} Annual return (%)
+ */
+export const getHoldingReturn = (holding) =>
+  typeof holding.annualReturn === 'number'
+    ? holding.annualReturn
+    : Math.round(ASSET_CLASSES[holding.assetClass].expectedReturn * 10000) / 100;
+
+/**
+ * Validate holdings before saving them
+ *
+ * @param {Array} holdings - Holdings
+ * @throws {Error} FinancialError with code 'invalid_holdings'
+ */
+export const validateHoldings = (holdings) => {
+  if (!Array.isArray(holdings)) {
+    throw createFinancialError('Holdings must be a list', 'invalid_holdings');
+  }
+
+  holdings.forEach((holding) => {
+    if (!holding || !HOLDING_CLASSES.includes(holding.assetClass)) {
+      throw createFinancialError('Asset class is not supported', 'invalid_holdings');
+    }
+    if (typeof holding.balance !== 'number' || isNaN(holding.balance) || holding.balance < 0) {
+      throw createFinancialError(`${HOLDING_LABELS[holding.assetClass]} balance must be zero or more`, 'invalid_holdings');
+    }
+    if (typeof holding.contributionPercentage !== 'number' || isNaN(holding.contributionPercentage) ||
+      holding.contributionPercentage < 0 || holding.contributionPercentage > 100) {
+      throw createFinancialError(`${HOLDING_LABELS[holding.assetClass]} contribution must be between 0% and 100%`, 'invalid_holdings');
+    }
+  });
+
+  const totalContribution = holdings.reduce((sum, holding) => sum + holding.contributionPercentage, 0);
+  if (totalContribution !== 0 && Math.abs(totalContribution - 100) > 0.01) {
+    throw createFinancialError('Monthly contributions must add up to 100%', 'invalid_holdings');
+  }
+};
+
+/**
+ * Prepare holdings for the projection
+ * With no contribution split, all savings go to cash.
+ *
+ * @param {Array} holdings - Holdings
+ * @returns {Object} { annualReturns, split, openingBalances } keyed by asset class
+ */
+export const createHoldingsModel = (holdings) => {
+  const valid = holdings.filter(holding => holding && HOLDING_CLASSES.includes(holding.assetClass));
+  const totalContribution = valid.reduce((sum, holding) => sum + (holding.contributionPercentage || 0), 0);
+
+  return valid.reduce((model, holding) => {
+    const { assetClass } = holding;
+    return {
+      annualReturns: { ...model.annualReturns, [assetClass]: getHoldingReturn(holding) },
+      split: totalContribution > 0
+        ? { ...model.split, [assetClass]: (model.split[assetClass] || 0) + (holding.contributionPercentage || 0) / totalContribution }
+        : model.split,
+      openingBalances: { ...model.openingBalances, [assetClass]: (model.openingBalances[assetClass] || 0) + (holding.balance || 0) }
+    };
+  }, {
+    annualReturns: { CASH: getHoldingReturn({ assetClass: 'CASH' }) },
+    split: totalContribution > 0 ? {} : { CASH: 1 },
+    openingBalances: { CASH: 0 }
+  });
+};
+
+/**
+ * Total of holding balances
+ *
+ * @param {Object} balances - Balances keyed by asset class
+ * @returns {number} Total
+ */
+export const sumHoldings = (balances) =>
+  Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+
+/**
+ * Opening balances for a projection starting from a liquid savings total
+ * Cash absorbs any difference between the total and the recorded holdings, e.g. after
+ * savings are re-baselined from a monthly close.
+ *
+ * @param {Object} model - From createHoldingsModel
+ * @param {number} liquidCash - Liquid savings the projection starts from
+ * @returns {Object} Balances keyed by asset class
+ */
+export const openHoldingBalances = (model, liquidCash) => {
+  const balances = { ...model.openingBalances };
+  balances.CASH += liquidCash - sumHoldings(model.openingBalances);
+  return balances;
+};
+
+/**
+ * Grow each holding by a month of its expected return
+ *
+ * @param {Object} balances - Balances keyed by asset class
+ * @param {Object} model - From createHoldingsModel
+ * @param {number} [returnAdjustment=0] - Percentage points added to every non-cash return (Monte Carlo)
+ * @returns {Object} { balances, totalReturn }
+ */
+export const growHoldings = (balances, model, returnAdjustment = 0) =>
+  Object.keys(balances).reduce((result, assetClass) => {
+    const annualReturn = model.annualReturns[assetClass] + (assetClass === 'CASH' ? 0 : returnAdjustment);
+    const monthlyReturn = Math.pow(1 + Math.max(-99, annualReturn) / 100, 1 / 12) - 1;
+    const growth = balances[assetClass] * monthlyReturn;
+
+    return {
+      balances: { ...result.balances, [assetClass]: balances[assetClass] + growth },
+      totalReturn: result.totalReturn + growth
+    };
+  }, { balances: {}, totalReturn: 0 });
+
+/**
+ * Apply a month's net cash flow to the holdings
+ * Savings are split by the contribution percentages. Spending comes out of cash, then the other
+ * holdings in WITHDRAWAL_ORDER; if everything is used up, cash goes negative.
+ *
+ * @param {Object} balances - Balances keyed by asset class
+ * @param {number} amount - Net cash flow (negative for spending)
+ * @param {Object} model - From createHoldingsModel
+ * @returns {Object} Updated balances
+ */
+export const applyHoldingsCashFlow = (balances, amount, model) => {
+  const updated = { ...balances };
+
+  if (amount >= 0) {
+    Object.keys(model.split).forEach((assetClass) => {
+      updated[assetClass] = (updated[assetClass] || 0) + amount * model.split[assetClass];
+    });
+    return updated;
+  }
+
+  let remaining = -amount;
+  WITHDRAWAL_ORDER.forEach((assetClass) => {
+    const available = Math.max(0, updated[assetClass] || 0);
+    const withdrawal = Math.min(available, remaining);
+    if (withdrawal > 0) {
+      updated[assetClass] -= withdrawal;
+      remaining -= withdrawal;
+    }
+  });
+  if (remaining > 0) {
+    updated.CASH -= remaining;
+  }
+
+  return updated;
+};
+
+/**
+ * Holdings as { assetClass: value }, the shape calculateRebalancing takes
+ *
+ * @param {Array} holdings - Holdings
+ * @returns {Object} Values keyed by asset class
+ */
+export const holdingsToPortfolio = (holdings = []) =>
+  (Array.isArray(holdings) ? holdings : []).reduce((portfolio, holding) => ({
+    ...portfolio,
+    [holding.assetClass]: roundToCents((portfolio[holding.assetClass] || 0) + (holding.balance || 0))
+  }), {});
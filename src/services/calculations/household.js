@@ -0,0 +1,267 @@
+/**
+ * Household
+ *
+ * The saved personalInfo, income and yearlyBonuses describe the primary member. Other members
+ * live in financialData.household.members with the same fields:
+ *
+ * { id, name, personalInfo: { birthday, currentSavings, currentCpfBalance, cpfAccounts },
+ *   income: { currentSalary, employeeType, salaryDay, salaryAdjustments }, yearlyBonuses }
+ *
+ * Expenses, yearly expenses, upcoming spending and loans are shared unless `owner` names a
+ * member. Shared items are split by their own `split` ({ [memberId]: percent }), or else the
+ * household's defaultSplit, or else evenly. Each member is projected on their own data, with
+ * their age-based CPF rates, and the projections are added up for the household. Holdings and
+ * savings goals stay with the primary member.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { getBaseSalaryForMonth } from './salaryTimeline';
+
+/**
+ * Id of the member described by personalInfo and income
+ */
+export const PRIMARY_MEMBER_ID = 'primary';
+
+/**
+ * Owner of an item split between the members
+ */
+export const SHARED_OWNER = 'shared';
+
+/**
+ * Lists whose items are assigned to members, and the amount fields that are split
+ */
+export const SPLIT_FIELDS = {
+  expenses: ['amount'],
+  yearlyExpenses: ['amount'],
+  upcomingSpending: ['amount'],
+  loans: ['principal', 'monthlyPayment']
+};
+
+// Projection fields that describe the month rather than an amount, so they aren't added up
+const NON_ADDITIVE_FIELDS = ['month', 'year', 'monthIndex', 'projectionMonth', 'additionalWageCeiling'];
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether the data has members besides the primary one
+ *
+ * @param {Object} financialData - Financial data
+ * @returns {boolean} True in household mode
+ */
+export const isHouseholdMode = (financialData) =>
+  Array.isArray(financialData?.household?.members) && financialData.household.members.length > 0;
+
+/**
+ * Every member, the primary one first
+ *
+ * @param {Object} financialData - Financial data
+ * @returns {Array<Object>} [{ id, name, personalInfo, income, yearlyBonuses }]
+ */
+export const getHouseholdMembers = (financialData) => [
+  {
+    id: PRIMARY_MEMBER_ID,
+    name: financialData?.household?.primaryName || 'You',
+    personalInfo: financialData?.personalInfo || {},
+    income: financialData?.income || {},
+    yearlyBonuses: Array.isArray(financialData?.yearlyBonuses) ? financialData.yearlyBonuses : []
+  },
+  ...(isHouseholdMode(financialData) ? financialData.household.members : [])
+];
+
+/**
+ * Validate a household member before saving
+ *
+ * @param {Object} member - Member
+ * @throws {Error} invalid_household_member
+ */
+export const validateHouseholdMember = (member) => {
+  if (!member || typeof member.name !== 'string' || member.name.trim() === '') {
+    throw createFinancialError('Member name is required', 'invalid_household_member');
+  }
+  const birthday = member.personalInfo?.birthday;
+  if (!birthday || !(birthday.month >= 1 && birthday.month <= 12) || !(birthday.year > 1900)) {
+    throw createFinancialError('Birthday month and year are required', 'invalid_household_member');
+  }
+  if (!(member.income?.currentSalary >= 0)) {
+    throw createFinancialError('Salary cannot be negative', 'invalid_household_member');
+  }
+  if (member.personalInfo.currentSavings < 0 || member.personalInfo.currentCpfBalance < 0) {
+    throw createFinancialError('Balances cannot be negative', 'invalid_household_member');
+  }
+};
+
+/**
+ * Validate split percentages: every value between 0 and 100, adding up to 100
+ *
+ * @param {Object} split - { [memberId]: percent }
+ * @throws {Error} invalid_split
+ */
+export const validateSplit = (split) => {
+  const percentages = Object.values(split || {});
+  if (percentages.some(percent => !(percent >= 0 && percent <= 100))) {
+    throw createFinancialError('Each share must be between 0% and 100%', 'invalid_split');
+  }
+  const total = percentages.reduce((sum, percent) => sum + percent, 0);
+  if (Math.abs(total - 100) > 0.01) {
+    throw createFinancialError(`Shares must add up to 100% (they add up to ${roundToCents(total)}%)`, 'invalid_split');
+  }
+};
+
+/**
+ * Each member's share (0-1) of an item
+ *
+ * @param {Object} financialData - Financial data
+ * @param {Object} item - Expense, yearly expense, upcoming spending or loan
+ * @returns {Object} { [memberId]: share } for every member
+ */
+export const getItemShares = (financialData, item) => {
+  const memberIds = getHouseholdMembers(financialData).map(member => member.id);
+
+  // Personal items belong to their owner; an unknown owner (a removed member) counts as shared
+  if (item && item.owner && item.owner !== SHARED_OWNER && memberIds.includes(item.owner)) {
+    return memberIds.reduce((shares, id) => ({ ...shares, [id]: id === item.owner ? 1 : 0 }), {});
+  }
+
+  const split = [item?.split, financialData?.household?.defaultSplit].find(candidate => {
+    if (!candidate) return false;
+    const total = memberIds.reduce((sum, id) => sum + (Number(candidate[id]) || 0), 0);
+    return total > 0;
+  });
+  if (!split) {
+    return memberIds.reduce((shares, id) => ({ ...shares, [id]: 1 / memberIds.length }), {});
+  }
+
+  const total = memberIds.reduce((sum, id) => sum + (Number(split[id]) || 0), 0);
+  return memberIds.reduce((shares, id) => ({ ...shares, [id]: (Number(split[id]) || 0) / total }), {});
+};
+
+// A member's part of an assigned list: amounts scaled by their share, items they don't pay dropped
+const getMemberItems = (financialData, field, memberId) =>
+  (Array.isArray(financialData[field]) ? financialData[field] : []).reduce((items, item) => {
+    const share = getItemShares(financialData, item)[memberId] || 0;
+    if (share === 0) return items;
+    const scaled = SPLIT_FIELDS[field].reduce((result, key) => (
+      typeof result[key] === 'number' ? { ...result, [key]: roundToCents(result[key] * share) } : result
+    ), { ...item });
+    return [...items, scaled];
+  }, []);
+
+/**
+ * Single-person financial data for one member: their own income, CPF and bonuses, and their
+ * share of expenses, spending and loans. Useful as useFinancialCalculations(scenarioData).
+ *
+ * @param {Object} financialData - Financial data
+ * @param {string} memberId - Member id
+ * @returns {Object} Financial data for the member, without the household
+ * @throws {Error} invalid_household_member if there is no such member
+ */
+export const getMemberFinancialData = (financialData, memberId) => {
+  const member = getHouseholdMembers(financialData).find(candidate => candidate.id === memberId);
+  if (!member) {
+    throw createFinancialError('Household member not found', 'invalid_household_member');
+  }
+
+  const { household, ...data } = financialData;
+  const splitLists = Object.keys(SPLIT_FIELDS).reduce((lists, field) => ({
+    ...lists,
+    [field]: getMemberItems(financialData, field, memberId)
+  }), {});
+
+  if (memberId === PRIMARY_MEMBER_ID) {
+    return { ...data, ...splitLists };
+  }
+
+  return {
+    ...data,
+    ...splitLists,
+    personalInfo: member.personalInfo,
+    income: member.income,
+    yearlyBonuses: Array.isArray(member.yearlyBonuses) ? member.yearlyBonuses : [],
+    portfolio: { holdings: [], targetAllocation: {} },
+    goals: []
+  };
+};
+
+/**
+ * Add up the members' projections month by month. Amounts are summed, flags are true when any
+ * member's is, item lists are joined, and anything else (such as goal balances) comes from the
+ * first projection.
+ *
+ * @param {Array<Array<Object>>} projections - useProjection months per member, primary first
+ * @returns {Array<Object>} Household projection, as long as the shortest one
+ */
+export const combineProjections = (projections) => {
+  const valid = (projections || []).filter(Array.isArray);
+  if (valid.length === 0) return [];
+  const length = Math.min(...valid.map(projection => projection.length));
+
+  return Array.from({ length }, (_, index) => {
+    const rows = valid.map(projection => projection[index]);
+    return Object.keys(rows[0]).reduce((combined, key) => {
+      const values = rows.map(row => row[key]);
+      if (NON_ADDITIVE_FIELDS.includes(key)) {
+        combined[key] = values[0];
+      } else if (values.every(value => typeof value === 'number')) {
+        combined[key] = values.reduce((sum, value) => sum + value, 0);
+      } else if (values.every(value => typeof value === 'boolean')) {
+        combined[key] = values.some(Boolean);
+      } else if (values.every(Array.isArray)) {
+        combined[key] = values.flat();
+      } else {
+        combined[key] = values[0];
+      }
+      return combined;
+    }, {});
+  });
+};
+
+/**
+ * Combined gross monthly salary of every member, e.g. for housing loan servicing ratios
+ *
+ * @param {Object} financialData - Financial data
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Household gross monthly income
+ */
+export const getHouseholdIncome = (financialData, year, month) =>
+  roundToCents(getHouseholdMembers(financialData)
+    .reduce((total, member) => total + getBaseSalaryForMonth(member.income, year, month), 0));
+
+/**
+ * Remove a member: their personal items become shared and their shares are dropped
+ *
+ * @param {Object} financialData - Financial data
+ * @param {string} memberId - Member to remove (not the primary member)
+ * @returns {Object} Updated financial data
+ */
+export const removeMemberFromData = (financialData, memberId) => {
+  const withoutMember = (split) => {
+    if (!split || !(memberId in split)) return split;
+    const { [memberId]: _removed, ...rest } = split;
+    return rest;
+  };
+  const household = financialData.household || {};
+
+  return Object.keys(SPLIT_FIELDS).reduce((data, field) => (
+    Array.isArray(data[field])
+      ? {
+          ...data,
+          [field]: data[field].map(item => {
+            if (item.owner !== memberId && !(item.split && memberId in item.split)) return item;
+            return {
+              ...item,
+              ...(item.owner === memberId ? { owner: SHARED_OWNER } : {}),
+              ...(item.split ? { split: withoutMember(item.split) } : {})
+            };
+          })
+        }
+      : data
+  ), {
+    ...financialData,
+    household: {
+      ...household,
+      members: (household.members || []).filter(member => member.id !== memberId),
+      defaultSplit: withoutMember(household.defaultSplit)
+    }
+  });
+};
@@ -278,6 +278,7 @@ export const calculateDollarCostAveraging = (
 
 /**
  * Calculate investment rebalancing recommendations
+ * Asset classes held but missing from the target are treated as a 0% target and sold.
  *
  * @param {Object} currentPortfolio - Current portfolio allocations {assetClass: value}
  * @param {Object} targetAllocations - Target allocations {assetClass: percentage}
@@ -289,10 +290,14 @@ export const calculateRebalancing = (currentPortfolio, targetAllocations) => {
   const recommendations = [];
   let totalRebalanceAmount = 0;
 
-  Object.keys(targetAllocations).forEach((assetClass) => {
+  const assetClasses = totalValue > 0
+    ? Array.from(new Set([...Object.keys(targetAllocations), ...Object.keys(currentPortfolio)]))
+    : [];
+
+  assetClasses.forEach((assetClass) => {
     const currentValue = currentPortfolio[assetClass] || 0;
     const currentPercentage = (currentValue / totalValue) * 100;
-    const targetPercentage = targetAllocations[assetClass];
+    const targetPercentage = targetAllocations[assetClass] || 0;
     const targetValue = (targetPercentage / 100) * totalValue;
     const difference = targetValue - currentValue;
     const percentageDiff = currentPercentage - targetPercentage;
@@ -0,0 +1,289 @@
+/**
+ * Loan Amortisation
+ *
+ * Builds month-by-month repayment schedules for mortgages (HDB and bank), car loans,
+ * study loans and credit lines. Schedules feed the projection as monthly outflows and
+ * the outstanding balance counts against net worth.
+ *
+ * A loan is disbursed in its start month and the first instalment is paid the month after.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Supported loan types
+ */
+export const LOAN_TYPE = {
+  HDB_MORTGAGE: 'hdb_mortgage',
+  BANK_MORTGAGE: 'bank_mortgage',
+  CAR: 'car',
+  STUDY: 'study',
+  CREDIT_LINE: 'credit_line'
+};
+
+/**
+ * Display labels for each loan type
+ */
+export const LOAN_TYPE_LABELS = {
+  [LOAN_TYPE.HDB_MORTGAGE]: 'HDB Mortgage',
+  [LOAN_TYPE.BANK_MORTGAGE]: 'Bank Mortgage',
+  [LOAN_TYPE.CAR]: 'Car Loan',
+  [LOAN_TYPE.STUDY]: 'Study Loan',
+  [LOAN_TYPE.CREDIT_LINE]: 'Credit Line'
+};
+
+/**
+ * How interest is charged
+ * Reducing balance: interest on the outstanding balance (mortgages, study loans)
+ * Flat: interest on the original principal for the whole term (typical for car loans)
+ */
+export const INTEREST_METHOD = {
+  REDUCING: 'reducing',
+  FLAT: 'flat'
+};
+
+/**
+ * Where instalments are paid from
+ */
+export const LOAN_PAYMENT_SOURCE = {
+  CASH: 'cash',
+  CPF_OA: 'cpf_oa'
+};
+
+/**
+ * HDB concessionary loan rate: 0.1% above the CPF OA interest rate
+ */
+export const HDB_CONCESSIONARY_RATE = 2.6;
+
+/**
+ * Longest schedule generated, so credit lines whose payment doesn't cover interest still end
+ */
+export const MAX_SCHEDULE_MONTHS = 600;
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+const toMonthKey = (year, month) => year * 12 + (month - 1);
+
+const fromMonthKey = (key) => ({ year: Math.floor(key / 12), month: (key % 12) + 1 });
+
+/**
+ * Level monthly instalment that repays a balance over a term (annuity formula)
+ *
+ * @param {number} principal - Amount borrowed
+ * @param {number} annualRate - Annual interest rate (%)
+ * @param {number} termMonths - Number of monthly instalments
+ * @returns {number} Monthly instalment
+ */
+export const calculateMonthlyInstalment = (principal, annualRate, termMonths) => {
+  if (principal <= 0 || termMonths <= 0) return 0;
+
+  const monthlyRate = annualRate / 100 / 12;
+  if (monthlyRate === 0) {
+    return roundToCents(principal / termMonths);
+  }
+
+  return roundToCents(principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths)));
+};
+
+/**
+ * Validate a loan before saving it
+ *
+ * @param {Object} loan - Loan definition
+ * @throws {Error} FinancialError with code 'invalid_loan'
+ */
+export const validateLoan = (loan) => {
+  if (!loan || !Object.values(LOAN_TYPE).includes(loan.type)) {
+    throw createFinancialError('Loan type is not supported', 'invalid_loan');
+  }
+  if (typeof loan.principal !== 'number' || isNaN(loan.principal) || loan.principal <= 0) {
+    throw createFinancialError('Loan amount must be greater than zero', 'invalid_loan');
+  }
+  if (typeof loan.annualRate !== 'number' || isNaN(loan.annualRate) || loan.annualRate < 0) {
+    throw createFinancialError('Interest rate must be zero or more', 'invalid_loan');
+  }
+  if (!Number.isInteger(loan.startYear) || !Number.isInteger(loan.startMonth) ||
+    loan.startMonth < 1 || loan.startMonth > 12) {
+    throw createFinancialError('Loan needs a valid start month and year', 'invalid_loan');
+  }
+
+  if (loan.type === LOAN_TYPE.CREDIT_LINE) {
+    if (typeof loan.monthlyPayment !== 'number' || isNaN(loan.monthlyPayment) || loan.monthlyPayment <= 0) {
+      throw createFinancialError('Credit lines need a monthly payment', 'invalid_loan');
+    }
+  } else if (!Number.isInteger(loan.termMonths) || loan.termMonths <= 0) {
+    throw createFinancialError('Loan term must be a whole number of months', 'invalid_loan');
+  }
+
+  (loan.rateResets || []).forEach((reset) => {
+    if (!Number.isInteger(reset.year) || !Number.isInteger(reset.month) ||
+      typeof reset.annualRate !== 'number' || isNaN(reset.annualRate) || reset.annualRate < 0) {
+      throw createFinancialError('Rate resets need a month, year and rate', 'invalid_loan');
+    }
+  });
+};
+
+/**
+ * Rate in force for a month, after any floating-rate resets up to that month
+ */
+const getRateForMonth = (loan, sortedResets, monthKey) => {
+  let rate = loan.annualRate;
+  sortedResets.forEach((reset) => {
+    if (toMonthKey(reset.year, reset.month) <= monthKey) {
+      rate = reset.annualRate;
+    }
+  });
+  return rate;
+};
+
+/**
+ * Generate the repayment schedule of a loan
+ * On a reducing-balance loan, a rate reset re-amortises the outstanding balance over the
+ * remaining term, the way floating-rate mortgages reprice. Credit lines have no term: the
+ * fixed monthly payment is applied until the balance is cleared.
+ *
+ * @param {Object} loan - Loan definition
+ * @returns {Array} Rows { period, year, month, annualRate, payment, interest, principal, balance }
+ */
+export const generateAmortisationSchedule = (loan) => {
+  validateLoan(loan);
+
+  const schedule = [];
+  const startKey = toMonthKey(loan.startYear, loan.startMonth);
+  const sortedResets = [...(loan.rateResets || [])].sort(
+    (a, b) => toMonthKey(a.year, a.month) - toMonthKey(b.year, b.month)
+  );
+  const isCreditLine = loan.type === LOAN_TYPE.CREDIT_LINE;
+  const isFlat = !isCreditLine && loan.interestMethod === INTEREST_METHOD.FLAT;
+  const termMonths = isCreditLine ? MAX_SCHEDULE_MONTHS : loan.termMonths;
+
+  let balance = loan.principal;
+  let currentRate = null;
+  let instalment = 0;
+
+  for (let period = 1; period <= termMonths && balance > 0.005; period++) {
+    const monthKey = startKey + period;
+    const annualRate = getRateForMonth(loan, sortedResets, monthKey);
+    const monthlyRate = annualRate / 100 / 12;
+
+    let interest;
+    let payment;
+    if (isFlat) {
+      interest = roundToCents(loan.principal * monthlyRate);
+      payment = roundToCents(loan.principal / loan.termMonths + interest);
+    } else {
+      interest = roundToCents(balance * monthlyRate);
+      if (isCreditLine) {
+        payment = loan.monthlyPayment;
+      } else {
+        // Reprice when the rate changes (including the first instalment)
+        if (annualRate !== currentRate) {
+          instalment = calculateMonthlyInstalment(balance, annualRate, termMonths - period + 1);
+          currentRate = annualRate;
+        }
+        payment = instalment;
+      }
+    }
+
+    // The last instalment clears whatever is left
+    const isFinal = !isCreditLine && period === termMonths;
+    if (isFinal || payment > balance + interest) {
+      payment = roundToCents(balance + interest);
+    }
+
+    const principal = roundToCents(payment - interest);
+    balance = roundToCents(balance - principal);
+    const { year, month } = fromMonthKey(monthKey);
+
+    schedule.push({ period, year, month, annualRate, payment, interest, principal, balance });
+  }
+
+  return schedule;
+};
+
+/**
+ * Payment and outstanding balance of a loan in a given month
+ *
+ * @param {Object} loan - Loan definition
+ * @param {Array} schedule - Schedule from generateAmortisationSchedule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Object} { payment, interest, balance } for that month (balance at month end)
+ */
+export const getLoanPositionForMonth = (loan, schedule, year, month) => {
+  const offset = toMonthKey(year, month) - toMonthKey(loan.startYear, loan.startMonth);
+
+  if (offset < 0) {
+    return { payment: 0, interest: 0, balance: 0 };
+  }
+  if (offset === 0) {
+    return { payment: 0, interest: 0, balance: loan.principal };
+  }
+
+  const row = schedule[offset - 1];
+  if (!row) {
+    // Repaid, or a credit line still open after the longest schedule
+    const lastRow = schedule[schedule.length - 1];
+    return { payment: 0, interest: 0, balance: lastRow ? lastRow.balance : 0 };
+  }
+
+  return { payment: row.payment, interest: row.interest, balance: row.balance };
+};
+
+/**
+ * Build schedules for a list of loans, skipping any that are invalid
+ *
+ * @param {Array} loans - Loan definitions
+ * @returns {Array} [{ loan, schedule }]
+ */
+export const buildLoanSchedules = (loans = []) =>
+  (Array.isArray(loans) ? loans : []).reduce((result, loan) => {
+    try {
+      result.push({ loan, schedule: generateAmortisationSchedule(loan) });
+    } catch (error) {
+      console.warn(`Skipping loan "${loan && loan.name}": ${error.message}`);
+    }
+    return result;
+  }, []);
+
+/**
+ * Total loan payments and balances in a month
+ *
+ * @param {Array} loanSchedules - From buildLoanSchedules
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Object} { payment, cashPayment, cpfOaPayment, interest, balance }
+ * cpfOaPayment is what loans paid from CPF OA are due; the caller limits it to the OA balance
+ */
+export const summarizeLoansForMonth = (loanSchedules, year, month) =>
+  loanSchedules.reduce((totals, { loan, schedule }) => {
+    const position = getLoanPositionForMonth(loan, schedule, year, month);
+    const fromCpf = loan.paymentSource === LOAN_PAYMENT_SOURCE.CPF_OA;
+
+    return {
+      payment: roundToCents(totals.payment + position.payment),
+      cashPayment: roundToCents(totals.cashPayment + (fromCpf ? 0 : position.payment)),
+      cpfOaPayment: roundToCents(totals.cpfOaPayment + (fromCpf ? position.payment : 0)),
+      interest: roundToCents(totals.interest + position.interest),
+      balance: roundToCents(totals.balance + position.balance)
+    };
+  }, { payment: 0, cashPayment: 0, cpfOaPayment: 0, interest: 0, balance: 0 });
+
+/**
+ * Headline figures for a loan
+ *
+ * @param {Object} loan - Loan definition
+ * @returns {Object} { monthlyInstalment, totalInterest, totalPaid, endDate, repaid }
+ * repaid is false when a credit line's payment never clears the balance
+ */
+export const summarizeLoan = (loan) => {
+  const schedule = generateAmortisationSchedule(loan);
+  const lastRow = schedule[schedule.length - 1];
+
+  return {
+    monthlyInstalment: schedule.length > 0 ? schedule[0].payment : 0,
+    totalInterest: roundToCents(schedule.reduce((total, row) => total + row.interest, 0)),
+    totalPaid: roundToCents(schedule.reduce((total, row) => total + row.payment, 0)),
+    endDate: lastRow ? { year: lastRow.year, month: lastRow.month } : null,
+    repaid: !lastRow || lastRow.balance <= 0
+  };
+};
@@ -0,0 +1,243 @@
+/**
+ * Monte Carlo Simulation Utilities
+ *
+ * This module provides the building blocks for stochastic projections:
+ * a seedable pseudo-random number generator, normally distributed rate
+ * sampling and percentile aggregation across simulated paths.
+ *
+ * References:
+ * - Mulberry32 PRNG (public domain, 32-bit state)
+ * - Box-Muller transform for normal variates
+ * - Nearest-rank percentile with linear interpolation
+ */
+
+/**
+ * Default volatility assumptions (annual standard deviation, in percentage points)
+ */
+export const DEFAULT_MONTE_CARLO_SETTINGS = {
+  iterations: 1000,
+  seed: 42,
+  investmentReturnVolatility: 10, // Balanced portfolio, see ASSET_CLASSES.ROBO_ADVISOR
+  salaryGrowthVolatility: 2,
+  inflationVolatility: 1,
+  percentiles: [10, 50, 90]
+};
+
+/**
+ * Create a seeded pseudo-random number generator (Mulberry32)
+ * The same seed always produces the same sequence, which keeps tests reproducible
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed = DEFAULT_MONTE_CARLO_SETTINGS.seed) => {
+  let state = (Number(seed) || 0) >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Create a standard normal sampler using the Box-Muller transform
+ *
+ * @param {Function} random - Uniform generator from createSeededRandom
+ * @returns {Function} Generator returning standard normal variates
+ */
+export const createNormalSampler = (random) => {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    // Avoid log(0)
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+
+    const magnitude = Math.sqrt(-2 * Math.log(u));
+    spare = magnitude * Math.sin(2 * Math.PI * v);
+    return magnitude * Math.cos(2 * Math.PI * v);
+  };
+};
+
+/**
+ * Create a sampler of annual rates for one simulated month
+ * Monthly shocks are scaled so that twelve of them have the requested annual volatility
+ *
+ * @param {Object} baseRates - Expected annual rates as percentages
+ * @param {number} baseRates.annualInvestmentReturn - Expected investment return
+ * @param {number} baseRates.annualSalaryIncrease - Expected salary growth
+ * @param {number} baseRates.annualExpenseIncrease - Expected inflation of expenses
+ * @param {Object} volatility - Annual volatility in percentage points
+ * @param {Function} normal - Standard normal sampler
+ * @returns {Function} Sampler returning { annualInvestmentReturn, annualSalaryIncrease, annualExpenseIncrease }
+ */
+export const createRateSampler = (baseRates, volatility, normal) => {
+  const {
+    annualInvestmentReturn = 4.0,
+    annualSalaryIncrease = 3.0,
+    annualExpenseIncrease = 2.0
+  } = baseRates;
+
+  const {
+    investmentReturnVolatility = DEFAULT_MONTE_CARLO_SETTINGS.investmentReturnVolatility,
+    salaryGrowthVolatility = DEFAULT_MONTE_CARLO_SETTINGS.salaryGrowthVolatility,
+    inflationVolatility = DEFAULT_MONTE_CARLO_SETTINGS.inflationVolatility
+  } = volatility;
+
+  const monthlyScale = Math.sqrt(12);
+
+  return () => ({
+    // Returns are floored at -99% so a single month can never wipe out more than the balance
+    annualInvestmentReturn: Math.max(-99, annualInvestmentReturn + normal() * investmentReturnVolatility * monthlyScale),
+    annualSalaryIncrease: Math.max(-99, annualSalaryIncrease + normal() * salaryGrowthVolatility * monthlyScale),
+    annualExpenseIncrease: Math.max(-99, annualExpenseIncrease + normal() * inflationVolatility * monthlyScale)
+  });
+};
+
+/**
+ * Calculate a percentile from a sorted array using linear interpolation
+ *
+ * @param {Array<number>} sortedValues - Values sorted ascending
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} Interpolated percentile value
+ */
+export const calculatePercentile = (sortedValues, percentile) => {
+  if (!Array.isArray(sortedValues) || sortedValues.length === 0) return 0;
+  if (sortedValues.length === 1) return sortedValues[0];
+
+  const rank = (Math.min(100, Math.max(0, percentile)) / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const weight = rank - lower;
+
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+};
+
+/**
+ * Aggregate simulated paths into percentile bands per month
+ *
+ * @param {Array<Array<Object>>} paths - Simulated projection paths (arrays of month rows)
+ * @param {Array<string>} fields - Row fields to aggregate (e.g. 'cashSavings')
+ * @param {Array<number>} percentiles - Percentiles to report (default P10/P50/P90)
+ * @returns {Array<Object>} One entry per month: { month, date, [field]: { p10, p50, p90 } }
+ */
+export const aggregatePercentileBands = (
+  paths,
+  fields,
+  percentiles = DEFAULT_MONTE_CARLO_SETTINGS.percentiles
+) => {
+  if (!Array.isArray(paths) || paths.length === 0) return [];
+
+  const months = Math.max(...paths.map((path) => path.length));
+  const bands = [];
+
+  for (let month = 0; month < months; month++) {
+    const rows = paths.map((path) => path[month]).filter(Boolean);
+    const band = {
+      month: month + 1,
+      date: rows[0]?.date
+    };
+
+    fields.forEach((field) => {
+      const sorted = rows.map((row) => row[field] || 0).sort((a, b) => a - b);
+      band[field] = percentiles.reduce((result, percentile) => {
+        result[`p${percentile}`] = Math.round(calculatePercentile(sorted, percentile) * 100) / 100;
+        return result;
+      }, {});
+    });
+
+    bands.push(band);
+  }
+
+  return bands;
+};
+
+/**
+ * Find the first month index in which a path reaches a target on a given field
+ *
+ * @param {Array<Object>} path - Projection path
+ * @param {string} field - Row field to compare
+ * @param {number} target - Target amount
+ * @returns {number|null} Zero-based month index, or null if never reached
+ */
+export const findFirstMonthReaching = (path, field, target) => {
+  const index = path.findIndex((row) => (row[field] || 0) >= target);
+  return index === -1 ? null : index;
+};
+
+/**
+ * Calculate the share of paths that reach a target on or before a month index
+ *
+ * @param {Array<number|null>} hitMonths - First-hit month index per path (null if never)
+ * @param {number} byMonthIndex - Zero-based month index deadline
+ * @returns {number} Probability as a percentage (0-100)
+ */
+export const calculateProbabilityByMonth = (hitMonths, byMonthIndex) => {
+  if (!Array.isArray(hitMonths) || hitMonths.length === 0) return 0;
+
+  const hits = hitMonths.filter((month) => month !== null && month <= byMonthIndex).length;
+  return Math.round((hits / hitMonths.length) * 10000) / 100;
+};
+
+/**
+ * Run a Monte Carlo simulation over a path generator
+ * The caller supplies runPath, which receives a per-month rate sampler and
+ * returns one projection path; this keeps the month-by-month model in one place.
+ *
+ * @param {Function} runPath - (sampleRates) => Array of month rows
+ * @param {Object} baseRates - Expected annual rates (see createRateSampler)
+ * @param {Object} options - Simulation options (see DEFAULT_MONTE_CARLO_SETTINGS)
+ * @param {Array<string>} options.fields - Row fields to aggregate into bands
+ * @param {string} options.goalField - Row field the savings goal applies to
+ * @param {number} options.goalAmount - Savings goal target
+ * @returns {Object} Percentile bands and per-path goal hit months
+ */
+export const runMonteCarloSimulation = (runPath, baseRates, options = {}) => {
+  const settings = { ...DEFAULT_MONTE_CARLO_SETTINGS, ...options };
+  const {
+    iterations,
+    seed,
+    percentiles,
+    fields = ['cashSavings', 'cpfBalance', 'totalNetWorth'],
+    goalField = 'cashSavings',
+    goalAmount = null
+  } = settings;
+
+  const random = createSeededRandom(seed);
+  const normal = createNormalSampler(random);
+  const sampleRates = createRateSampler(baseRates, settings, normal);
+
+  const paths = [];
+  const goalHitMonths = [];
+
+  for (let i = 0; i < Math.max(1, iterations); i++) {
+    const path = runPath(sampleRates) || [];
+
+    if (goalAmount !== null && goalAmount !== undefined) {
+      goalHitMonths.push(findFirstMonthReaching(path, goalField, goalAmount));
+    }
+
+    // Keep only the aggregated fields so thousands of paths stay cheap to hold in memory
+    paths.push(path.map((row) => fields.reduce((slim, field) => {
+      slim[field] = row[field];
+      return slim;
+    }, { date: row.date })));
+  }
+
+  return {
+    iterations: paths.length,
+    seed,
+    bands: aggregatePercentileBands(paths, fields, percentiles),
+    goalHitMonths
+  };
+};
@@ -0,0 +1,202 @@
+/**
+ * Net Worth History
+ *
+ * Net worth is tracked as dated snapshots of every asset and liability category.
+ * Snapshots are stored in `financialData.netWorthSnapshots` as
+ * { id, date: 'YYYY-MM-DD', assets: { [key]: amount }, liabilities: { [key]: amount }, notes }.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { LOAN_TYPE, buildLoanSchedules, getLoanPositionForMonth } from './loans';
+
+/**
+ * Asset categories recorded in each snapshot
+ */
+export const ASSET_CATEGORIES = [
+  { key: 'cash', name: 'Cash', color: '#0088FE' },
+  { key: 'cpf', name: 'CPF', color: '#00C49F' },
+  { key: 'investments', name: 'Investments', color: '#FFBB28' },
+  { key: 'property', name: 'Property', color: '#8884D8' },
+  { key: 'vehicle', name: 'Vehicle', color: '#82CA9D' },
+  { key: 'otherAssets', name: 'Other Assets', color: '#FF8042' }
+];
+
+/**
+ * Liability categories recorded in each snapshot
+ */
+export const LIABILITY_CATEGORIES = [
+  { key: 'mortgage', name: 'Mortgage', color: '#CC0000' },
+  { key: 'carLoan', name: 'Car Loan', color: '#E74C3C' },
+  { key: 'studyLoan', name: 'Study Loan', color: '#F1948A' },
+  { key: 'creditCards', name: 'Credit Cards', color: '#922B21' },
+  { key: 'otherDebts', name: 'Other Debts', color: '#7B241C' }
+];
+
+/**
+ * Liability category that each loan type's outstanding balance is recorded under
+ */
+export const LOAN_LIABILITY_CATEGORY = {
+  [LOAN_TYPE.HDB_MORTGAGE]: 'mortgage',
+  [LOAN_TYPE.BANK_MORTGAGE]: 'mortgage',
+  [LOAN_TYPE.CAR]: 'carLoan',
+  [LOAN_TYPE.STUDY]: 'studyLoan',
+  [LOAN_TYPE.CREDIT_LINE]: 'otherDebts'
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+const sumCategories = (values = {}, categories) =>
+  roundToCents(categories.reduce((total, category) => total + (parseFloat(values[category.key]) || 0), 0));
+
+/**
+ * Month index (year * 12 + month) of a snapshot date, used to find comparison snapshots
+ */
+const toMonthIndex = (date) => {
+  const [, year, month] = DATE_PATTERN.exec(date);
+  return parseInt(year, 10) * 12 + parseInt(month, 10) - 1;
+};
+
+/**
+ * Total assets, liabilities and net worth of a snapshot
+ *
+ * @param {Object} snapshot - Snapshot with assets and liabilities by category key
+ * @returns {Object} { totalAssets, totalLiabilities, netWorth }
+ */
+export const calculateSnapshotTotals = (snapshot) => {
+  const totalAssets = sumCategories(snapshot.assets, ASSET_CATEGORIES);
+  const totalLiabilities = sumCategories(snapshot.liabilities, LIABILITY_CATEGORIES);
+
+  return {
+    totalAssets,
+    totalLiabilities,
+    netWorth: roundToCents(totalAssets - totalLiabilities)
+  };
+};
+
+/**
+ * Validate a snapshot before saving it
+ *
+ * @param {Object} snapshot - Snapshot to validate
+ * @throws {Error} FinancialError with code 'invalid_snapshot'
+ */
+export const validateNetWorthSnapshot = (snapshot) => {
+  if (!snapshot || typeof snapshot.date !== 'string' || !DATE_PATTERN.test(snapshot.date) ||
+    isNaN(new Date(snapshot.date).getTime())) {
+    throw createFinancialError('A net worth snapshot needs a valid date', 'invalid_snapshot');
+  }
+
+  [
+    [snapshot.assets, ASSET_CATEGORIES],
+    [snapshot.liabilities, LIABILITY_CATEGORIES]
+  ].forEach(([values, categories]) => {
+    categories.forEach((category) => {
+      const value = values ? values[category.key] : undefined;
+      if (value !== undefined && value !== null && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+        throw createFinancialError(`${category.name} must be a non-negative number`, 'invalid_snapshot');
+      }
+    });
+  });
+};
+
+/**
+ * Change in net worth from a reference snapshot
+ */
+const calculateChange = (entry, reference) => {
+  if (!reference) return null;
+
+  const amount = roundToCents(entry.netWorth - reference.netWorth);
+  return {
+    amount,
+    percentage: reference.netWorth !== 0 ? Math.round((amount / Math.abs(reference.netWorth)) * 1000) / 10 : null,
+    fromDate: reference.date
+  };
+};
+
+/**
+ * Latest entry dated in or before the given month
+ */
+const findLatestOnOrBefore = (entries, monthIndex) => {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].monthIndex <= monthIndex) return entries[i];
+  }
+  return null;
+};
+
+/**
+ * Build the net worth history, oldest first
+ * Month-over-month change compares with the latest snapshot in or before the previous
+ * calendar month, year-over-year with the latest in or before the same month last year,
+ * so irregular snapshot dates still compare sensibly.
+ *
+ * @param {Array} snapshots - Stored snapshots
+ * @returns {Array} Snapshots with totals, `monthOverMonth` and `yearOverYear` ({ amount, percentage, fromDate } or null)
+ */
+export const buildNetWorthHistory = (snapshots = []) => {
+  const entries = (Array.isArray(snapshots) ? snapshots : [])
+    .filter(snapshot => snapshot && typeof snapshot.date === 'string' && DATE_PATTERN.test(snapshot.date))
+    .map(snapshot => ({
+      ...snapshot,
+      ...calculateSnapshotTotals(snapshot),
+      monthIndex: toMonthIndex(snapshot.date)
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return entries.map((entry, index) => {
+    const earlier = entries.slice(0, index);
+    return {
+      ...entry,
+      monthOverMonth: calculateChange(entry, findLatestOnOrBefore(earlier, entry.monthIndex - 1)),
+      yearOverYear: calculateChange(entry, findLatestOnOrBefore(earlier, entry.monthIndex - 12))
+    };
+  });
+};
+
+/**
+ * Outstanding loan balances at a date, by liability category
+ *
+ * @param {Array} loans - Loan definitions
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} Balances keyed by liability category
+ */
+export const getLoanLiabilities = (loans, date) => {
+  const [, year, month] = DATE_PATTERN.exec(date);
+
+  return buildLoanSchedules(loans).reduce((liabilities, { loan, schedule }) => {
+    const category = LOAN_LIABILITY_CATEGORY[loan.type];
+    const { balance } = getLoanPositionForMonth(loan, schedule, parseInt(year, 10), parseInt(month, 10));
+    return {
+      ...liabilities,
+      [category]: roundToCents((liabilities[category] || 0) + balance)
+    };
+  }, {});
+};
+
+/**
+ * Starting values for a new snapshot: the latest snapshot's values, with cash and CPF
+ * taken from the current profile and loan balances from the loan schedules
+ *
+ * @param {Object} financialData - Financial data
+ * @param {string} date - Snapshot date (YYYY-MM-DD)
+ * @returns {Object} Snapshot without id
+ */
+export const createSnapshotDraft = (financialData, date = new Date().toISOString().split('T')[0]) => {
+  const history = buildNetWorthHistory(financialData.netWorthSnapshots);
+  const latest = history.length > 0 ? history[history.length - 1] : null;
+  const personalInfo = financialData.personalInfo || {};
+
+  return {
+    date,
+    assets: {
+      ...(latest ? latest.assets : {}),
+      cash: parseFloat(personalInfo.currentSavings) || 0,
+      cpf: parseFloat(personalInfo.currentCpfBalance) || 0
+    },
+    liabilities: {
+      ...(latest ? latest.liabilities : {}),
+      ...getLoanLiabilities(financialData.loans, date)
+    },
+    notes: ''
+  };
+};
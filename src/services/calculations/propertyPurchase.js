@@ -0,0 +1,277 @@
+/**
+ * Property Purchase
+ *
+ * Plans a home purchase in Singapore: Buyer's Stamp Duty on the progressive tiers, the
+ * down payment split between cash and CPF OA, and the housing loan. The plan is injected
+ * into the projection as a one-off outlay in the purchase month plus a mortgage.
+ *
+ * References:
+ * - IRAS Buyer's Stamp Duty rates for residential property (from 15 Feb 2023)
+ * - HDB and MAS loan-to-value limits (75% for both HDB and bank loans from 20 Aug 2024)
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import {
+  LOAN_TYPE,
+  INTEREST_METHOD,
+  LOAN_PAYMENT_SOURCE,
+  HDB_CONCESSIONARY_RATE,
+  calculateMonthlyInstalment
+} from './loans';
+
+/**
+ * Property types
+ */
+export const PROPERTY_TYPE = {
+  HDB: 'hdb',
+  PRIVATE: 'private'
+};
+
+/**
+ * Where the housing loan comes from
+ */
+export const HOUSING_LOAN_SOURCE = {
+  HDB_CONCESSIONARY: 'hdb_concessionary',
+  BANK: 'bank'
+};
+
+/**
+ * Residential Buyer's Stamp Duty tiers: each rate applies to the slice of the price up to `upTo`
+ */
+export const BSD_TIERS = [
+  { upTo: 180000, rate: 1 },
+  { upTo: 360000, rate: 2 },
+  { upTo: 1000000, rate: 3 },
+  { upTo: 1500000, rate: 4 },
+  { upTo: 3000000, rate: 5 },
+  { upTo: Infinity, rate: 6 }
+];
+
+/**
+ * Maximum loan-to-value (%) by loan source
+ */
+export const MAX_LTV = {
+  [HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY]: 75,
+  [HOUSING_LOAN_SOURCE.BANK]: 75
+};
+
+/**
+ * Share of the price a bank loan requires in cash; the rest of the down payment can come from CPF OA
+ */
+export const BANK_LOAN_MIN_CASH_PERCENTAGE = 5;
+
+/**
+ * Default bank mortgage rate (%) when none is given
+ */
+export const DEFAULT_BANK_RATE = 3;
+
+/**
+ * Mortgage Servicing Ratio limit (%), applies to HDB flats
+ */
+export const MSR_LIMIT = 30;
+
+/**
+ * Total Debt Servicing Ratio limit (%)
+ */
+export const TDSR_LIMIT = 55;
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Buyer's Stamp Duty on a residential purchase
+ *
+ * @param {number} price - Purchase price (or market value, if higher)
+ * @returns {number} Stamp duty
+ */
+export const calculateBuyerStampDuty = (price) => {
+  if (!price || price <= 0) return 0;
+
+  let lowerBound = 0;
+  const duty = BSD_TIERS.reduce((total, tier) => {
+    const slice = Math.max(0, Math.min(price, tier.upTo) - lowerBound);
+    lowerBound = tier.upTo;
+    return total + slice * (tier.rate / 100);
+  }, 0);
+
+  return roundToCents(duty);
+};
+
+/**
+ * Validate purchase parameters
+ *
+ * @param {Object} params - Purchase parameters
+ * @throws {Error} FinancialError with code 'invalid_property_purchase'
+ */
+export const validatePropertyPurchase = (params) => {
+  if (!params || typeof params.price !== 'number' || isNaN(params.price) || params.price <= 0) {
+    throw createFinancialError('Property price must be greater than zero', 'invalid_property_purchase');
+  }
+  if (!Object.values(PROPERTY_TYPE).includes(params.propertyType)) {
+    throw createFinancialError('Property type is not supported', 'invalid_property_purchase');
+  }
+  if (!Object.values(HOUSING_LOAN_SOURCE).includes(params.loanSource)) {
+    throw createFinancialError('Loan source is not supported', 'invalid_property_purchase');
+  }
+  if (params.propertyType === PROPERTY_TYPE.PRIVATE && params.loanSource === HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY) {
+    throw createFinancialError('HDB concessionary loans are only available for HDB flats', 'invalid_property_purchase');
+  }
+  if (!Number.isInteger(params.purchaseYear) || !Number.isInteger(params.purchaseMonth) ||
+    params.purchaseMonth < 1 || params.purchaseMonth > 12) {
+    throw createFinancialError('Purchase needs a valid month and year', 'invalid_property_purchase');
+  }
+  if (!Number.isInteger(params.loanTermYears) || params.loanTermYears <= 0) {
+    throw createFinancialError('Loan tenure must be a whole number of years', 'invalid_property_purchase');
+  }
+};
+
+/**
+ * Plan a property purchase
+ * CPF OA pays the down payment above the cash minimum and the stamp duty, up to the OA balance
+ * at purchase less any amount kept aside; cash pays the rest and other costs.
+ *
+ * @param {Object} params - Purchase parameters
+ * @param {number} params.purchaseYear - Year of purchase
+ * @param {number} params.purchaseMonth - Month of purchase (1-12)
+ * @param {number} params.price - Purchase price
+ * @param {string} params.propertyType - PROPERTY_TYPE
+ * @param {string} params.loanSource - HOUSING_LOAN_SOURCE
+ * @param {number} params.loanTermYears - Loan tenure in years
+ * @param {number} [params.interestRate] - Annual rate (%); defaults to the concessionary or bank rate
+ * @param {number} [params.ltvPercentage] - Loan-to-value (%), capped at the limit for the loan source
+ * @param {number} [params.otherCosts=0] - Legal and valuation fees, paid in cash
+ * @param {number} [params.oaToKeep=0] - CPF OA to leave untouched
+ * @param {number} [params.annualAppreciation=0] - Expected property appreciation (%)
+ * @param {Object} balances - Balances just before the purchase
+ * @param {number} balances.cpfOaBalance - CPF OA balance
+ * @param {number} [balances.cash] - Cash savings, to flag a shortfall
+ * @returns {Object} Purchase plan with stampDuty, downPayment, cpfOaUsed, cashUpfront, loan and monthlyInstalment
+ */
+export const planPropertyPurchase = (params, balances = {}) => {
+  validatePropertyPurchase(params);
+
+  const {
+    purchaseYear,
+    purchaseMonth,
+    price,
+    propertyType,
+    loanSource,
+    loanTermYears,
+    otherCosts = 0,
+    oaToKeep = 0,
+    annualAppreciation = 0
+  } = params;
+  const isHdbLoan = loanSource === HOUSING_LOAN_SOURCE.HDB_CONCESSIONARY;
+  const interestRate = typeof params.interestRate === 'number'
+    ? params.interestRate
+    : (isHdbLoan ? HDB_CONCESSIONARY_RATE : DEFAULT_BANK_RATE);
+  const ltvPercentage = Math.min(
+    MAX_LTV[loanSource],
+    Math.max(0, typeof params.ltvPercentage === 'number' ? params.ltvPercentage : MAX_LTV[loanSource])
+  );
+
+  const loanAmount = roundToCents(price * ltvPercentage / 100);
+  const downPayment = roundToCents(price - loanAmount);
+  const minimumCash = isHdbLoan ? 0 : roundToCents(price * BANK_LOAN_MIN_CASH_PERCENTAGE / 100);
+  const stampDuty = calculateBuyerStampDuty(price);
+
+  const oaAvailable = Math.max(0, (balances.cpfOaBalance || 0) - oaToKeep);
+  const cpfEligible = Math.max(0, downPayment - minimumCash) + stampDuty;
+  const cpfOaUsed = roundToCents(Math.min(oaAvailable, cpfEligible));
+  const cashUpfront = roundToCents(downPayment + stampDuty + otherCosts - cpfOaUsed);
+
+  const termMonths = loanTermYears * 12;
+  const loan = loanAmount > 0 ? {
+    name: `${propertyType === PROPERTY_TYPE.HDB ? 'HDB flat' : 'Private property'} mortgage`,
+    type: isHdbLoan ? LOAN_TYPE.HDB_MORTGAGE : LOAN_TYPE.BANK_MORTGAGE,
+    principal: loanAmount,
+    annualRate: interestRate,
+    termMonths,
+    startYear: purchaseYear,
+    startMonth: purchaseMonth,
+    interestMethod: INTEREST_METHOD.REDUCING,
+    paymentSource: LOAN_PAYMENT_SOURCE.CPF_OA,
+    rateResets: []
+  } : null;
+
+  return {
+    purchaseYear,
+    purchaseMonth,
+    price,
+    propertyType,
+    loanSource,
+    ltvPercentage,
+    loanAmount,
+    downPayment,
+    minimumCash,
+    stampDuty,
+    otherCosts: roundToCents(otherCosts),
+    totalUpfront: roundToCents(downPayment + stampDuty + otherCosts),
+    cpfOaUsed,
+    cashUpfront,
+    cashShortfall: typeof balances.cash === 'number' ? roundToCents(Math.max(0, cashUpfront - balances.cash)) : 0,
+    loan,
+    monthlyInstalment: loan ? calculateMonthlyInstalment(loanAmount, interestRate, termMonths) : 0,
+    annualAppreciation
+  };
+};
+
+/**
+ * Mortgage and total debt servicing ratios for a plan
+ *
+ * @param {Object} plan - From planPropertyPurchase
+ * @param {number} grossMonthlyIncome - Gross monthly income
+ * @param {number} [otherDebtPayments=0] - Other monthly debt repayments
+ * @returns {Object} { msr, passesMsr, tdsr, passesTdsr } - passesMsr is null when MSR doesn't apply
+ */
+export const assessServicingRatios = (plan, grossMonthlyIncome, otherDebtPayments = 0) => {
+  if (!grossMonthlyIncome || grossMonthlyIncome <= 0) {
+    return { msr: null, passesMsr: null, tdsr: null, passesTdsr: null };
+  }
+
+  const msr = roundToCents(plan.monthlyInstalment / grossMonthlyIncome * 100);
+  const tdsr = roundToCents((plan.monthlyInstalment + otherDebtPayments) / grossMonthlyIncome * 100);
+
+  return {
+    msr,
+    passesMsr: plan.propertyType === PROPERTY_TYPE.HDB ? msr <= MSR_LIMIT : null,
+    tdsr,
+    passesTdsr: tdsr <= TDSR_LIMIT
+  };
+};
+
+/**
+ * Projection setting for a plan: the one-off outlays and the property value to track
+ *
+ * @param {Object} plan - From planPropertyPurchase
+ * @returns {Object} { year, month, price, cashOutlay, cpfOaOutlay, annualAppreciation }
+ */
+export const toProjectionPurchase = (plan) => ({
+  year: plan.purchaseYear,
+  month: plan.purchaseMonth,
+  price: plan.price,
+  cashOutlay: plan.cashUpfront,
+  cpfOaOutlay: plan.cpfOaUsed,
+  annualAppreciation: plan.annualAppreciation
+});
+
+/**
+ * Cash and CPF OA balances going into a month, from a projection
+ * Uses the previous month's closing balances, or the first row's if the purchase is in the first month.
+ *
+ * @param {Array} projection - Projection rows
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Object|null} { cash, cpfOaBalance } or null if the month is outside the projection
+ */
+export const getBalancesBeforeMonth = (projection, year, month) => {
+  if (!Array.isArray(projection)) return null;
+
+  const index = projection.findIndex(row => row.year === year && row.monthIndex === month);
+  if (index === -1) return null;
+
+  const row = projection[Math.max(0, index - 1)];
+  return {
+    cash: row.cashSavings || 0,
+    cpfOaBalance: row.cpfOaBalance || 0
+  };
+};
@@ -0,0 +1,185 @@
+/**
+ * Actuals vs Projection Reconciliation
+ *
+ * A monthly "close" records the actual cash and CPF balances and spend at the end of
+ * a month. Each close is compared with what the projection predicted for that month,
+ * taken from a saved projection baseline so later re-baselining doesn't rewrite history.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Number of projected months kept in a baseline
+ */
+export const BASELINE_MONTHS = 60;
+
+/**
+ * Where a close's predicted values came from
+ */
+export const PREDICTION_SOURCE = {
+  BASELINE: 'baseline',
+  PROJECTION: 'projection'
+};
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Predicted spend for a projection month: regular, yearly and one-off expenses
+ */
+const getProjectedSpend = (row) =>
+  (row.monthlyExpenses || 0) + (row.yearlyExpenseAmount || 0) + (row.upcomingSpendingAmount || 0);
+
+/**
+ * Keep the fields of a projection row needed for reconciliation
+ */
+const toPredictedMonth = (row) => ({
+  year: row.year,
+  month: row.monthIndex,
+  cashSavings: roundToCents(row.cashSavings || 0),
+  cpfBalance: roundToCents(row.cpfBalance || 0),
+  totalNetWorth: roundToCents(row.totalNetWorth || 0),
+  loanBalance: roundToCents(row.loanBalance || 0),
+  spend: roundToCents(getProjectedSpend(row))
+});
+
+/**
+ * Snapshot the first months of a projection as the baseline to reconcile against
+ *
+ * @param {Array} projection - Rows from useProjection (with year and monthIndex)
+ * @param {number} months - Months to keep
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object|null} Baseline { createdAt, rows } or null without a projection
+ */
+export const createProjectionBaseline = (
+  projection,
+  months = BASELINE_MONTHS,
+  createdAt = new Date().toISOString()
+) => {
+  if (!Array.isArray(projection) || projection.length === 0) return null;
+
+  return {
+    createdAt,
+    rows: projection.slice(0, months).map(toPredictedMonth)
+  };
+};
+
+/**
+ * Find the predicted values for a month, preferring the saved baseline
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {Object} baseline - Saved baseline (optional)
+ * @param {Array} projection - Live projection rows (optional)
+ * @returns {Object|null} { predicted, source } or null if no prediction covers the month
+ */
+export const findPredictedMonth = (year, month, baseline = null, projection = []) => {
+  const baselineRow = baseline && Array.isArray(baseline.rows)
+    ? baseline.rows.find(row => row.year === year && row.month === month)
+    : null;
+  if (baselineRow) {
+    return { predicted: baselineRow, source: PREDICTION_SOURCE.BASELINE };
+  }
+
+  const projectionRow = Array.isArray(projection)
+    ? projection.find(row => row.year === year && row.monthIndex === month)
+    : null;
+  if (projectionRow) {
+    return { predicted: toPredictedMonth(projectionRow), source: PREDICTION_SOURCE.PROJECTION };
+  }
+
+  return null;
+};
+
+/**
+ * Validate a monthly close before saving it
+ *
+ * @param {Object} close - { year, month, cashBalance, cpfBalance, actualSpend }
+ * @throws {Error} FinancialError with code 'invalid_close'
+ */
+export const validateMonthlyClose = (close) => {
+  if (!close || !Number.isInteger(close.year) || !Number.isInteger(close.month) || close.month < 1 || close.month > 12) {
+    throw createFinancialError('A monthly close needs a valid month and year', 'invalid_close');
+  }
+
+  ['cashBalance', 'cpfBalance', 'actualSpend'].forEach((field) => {
+    const value = close[field];
+    if (value !== null && value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+      throw createFinancialError(`${field} must be a non-negative number`, 'invalid_close');
+    }
+  });
+};
+
+/**
+ * Compare one actual figure with its prediction
+ */
+const compareValue = (actual, predicted) => {
+  if (actual === null || actual === undefined || predicted === null || predicted === undefined) {
+    return { actual: actual ?? null, predicted: predicted ?? null, variance: null, variancePercent: null };
+  }
+
+  const variance = roundToCents(actual - predicted);
+  return {
+    actual,
+    predicted,
+    variance,
+    variancePercent: predicted !== 0 ? Math.round((variance / Math.abs(predicted)) * 1000) / 10 : null
+  };
+};
+
+/**
+ * Calculate the variance of a close against its predicted month
+ * Positive variance means the actual figure is higher than predicted
+ * Closes don't record loans, so actual net worth deducts the scheduled loan balance
+ *
+ * @param {Object} close - Monthly close
+ * @param {Object} predicted - Predicted month (close.predicted when omitted)
+ * @returns {Object} { cash, cpf, netWorth, spend } comparisons
+ */
+export const calculateCloseVariance = (close, predicted = close.predicted) => {
+  const hasBalances = close.cashBalance !== null && close.cashBalance !== undefined &&
+    close.cpfBalance !== null && close.cpfBalance !== undefined;
+  const loanBalance = (predicted && predicted.loanBalance) || 0;
+  const actualNetWorth = hasBalances ? roundToCents(close.cashBalance + close.cpfBalance - loanBalance) : null;
+
+  return {
+    cash: compareValue(close.cashBalance, predicted ? predicted.cashSavings : null),
+    cpf: compareValue(close.cpfBalance, predicted ? predicted.cpfBalance : null),
+    netWorth: compareValue(actualNetWorth, predicted ? predicted.totalNetWorth : null),
+    spend: compareValue(close.actualSpend, predicted ? predicted.spend : null)
+  };
+};
+
+/**
+ * Build the reconciliation ledger, newest month first
+ *
+ * @param {Array} closes - Monthly closes
+ * @returns {Array} Closes with `key` ('YYYY-MM') and `variance`
+ */
+export const buildReconciliationLedger = (closes = []) =>
+  (Array.isArray(closes) ? closes : [])
+    .map(close => ({
+      ...close,
+      key: `${close.year}-${String(close.month).padStart(2, '0')}`,
+      variance: calculateCloseVariance(close)
+    }))
+    .sort((a, b) => b.key.localeCompare(a.key));
+
+/**
+ * Values to re-baseline the projection from a close
+ *
+ * @param {Object} close - Monthly close with actual balances
+ * @returns {Object} personalInfo updates { currentSavings, currentCpfBalance, cpfAccounts }
+ * cpfAccounts is null when the close has no account split, so the old split isn't reused
+ */
+export const getRebaselineValues = (close) => {
+  if (!close || close.cashBalance === null || close.cashBalance === undefined ||
+    close.cpfBalance === null || close.cpfBalance === undefined) {
+    throw createFinancialError('Re-baselining needs actual cash and CPF balances', 'invalid_close');
+  }
+
+  return {
+    currentSavings: close.cashBalance,
+    currentCpfBalance: close.cpfBalance,
+    cpfAccounts: close.cpfAccounts || null
+  };
+};
@@ -0,0 +1,190 @@
+/**
+ * Salary Timeline
+ *
+ * income.salaryAdjustments is a dated list of salary events, each starting in a month:
+ *
+ * { id, type, month, year, newSalary, months, percentage, severance, monthlyExpenses, description }
+ *
+ * - raise: the salary becomes newSalary (entries without a type are raises)
+ * - job_change: no pay for `months` (the gap, may be 0), then the new job pays newSalary
+ * - unpaid_leave: no pay for `months`
+ * - part_time: paid `percentage`% of the salary for `months` (for good when months is 0)
+ * - job_loss: severance paid in the month, no pay for `months`, then newSalary (or the old salary)
+ * - career_break: no pay for `months`, with monthlyExpenses replacing the usual expenses if set
+ *
+ * A new salary keeps growing at the projection's annual salary increase. Pay cuts apply on top
+ * of it, so the salary a break pauses is the one paid when it ends.
+ */
+
+import { createFinancialError, safeParseNumber } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Salary event types
+ */
+export const SALARY_EVENT_TYPE = {
+  RAISE: 'raise',
+  JOB_CHANGE: 'job_change',
+  UNPAID_LEAVE: 'unpaid_leave',
+  PART_TIME: 'part_time',
+  JOB_LOSS: 'job_loss',
+  CAREER_BREAK: 'career_break'
+};
+
+/**
+ * Display names for salary event types
+ */
+export const SALARY_EVENT_TYPE_LABELS = {
+  [SALARY_EVENT_TYPE.RAISE]: 'Raise / new salary',
+  [SALARY_EVENT_TYPE.JOB_CHANGE]: 'Job change',
+  [SALARY_EVENT_TYPE.UNPAID_LEAVE]: 'Unpaid leave',
+  [SALARY_EVENT_TYPE.PART_TIME]: 'Part-time',
+  [SALARY_EVENT_TYPE.JOB_LOSS]: 'Job loss',
+  [SALARY_EVENT_TYPE.CAREER_BREAK]: 'Career break'
+};
+
+// Event types that need a new salary, and those that need at least one month without pay
+const NEW_SALARY_TYPES = [SALARY_EVENT_TYPE.RAISE, SALARY_EVENT_TYPE.JOB_CHANGE];
+const UNPAID_TYPES = [SALARY_EVENT_TYPE.UNPAID_LEAVE, SALARY_EVENT_TYPE.JOB_LOSS, SALARY_EVENT_TYPE.CAREER_BREAK];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toMonthIndex = (year, month) => year * 12 + (month - 1);
+
+/**
+ * Validate a salary event before saving
+ *
+ * @param {Object} event - Salary event
+ * @throws {Error} invalid_salary_event
+ */
+export const validateSalaryEvent = (event) => {
+  const type = event?.type || SALARY_EVENT_TYPE.RAISE;
+  if (!Object.values(SALARY_EVENT_TYPE).includes(type)) {
+    throw createFinancialError(`Unknown salary event type "${type}"`, 'invalid_salary_event');
+  }
+  if (!(Number(event.month) >= 1 && Number(event.month) <= 12) || !Number.isInteger(Number(event.year))) {
+    throw createFinancialError('Salary event month and year are required', 'invalid_salary_event');
+  }
+  if (NEW_SALARY_TYPES.includes(type) && !(Number(event.newSalary) >= 0 && !isBlank(event.newSalary))) {
+    throw createFinancialError('A new salary is required', 'invalid_salary_event');
+  }
+  if (!isBlank(event.newSalary) && !(Number(event.newSalary) >= 0)) {
+    throw createFinancialError('Salary cannot be negative', 'invalid_salary_event');
+  }
+  if (!isBlank(event.months) && !(Number.isInteger(Number(event.months)) && Number(event.months) >= 0)) {
+    throw createFinancialError('Months must be a whole number', 'invalid_salary_event');
+  }
+  if (UNPAID_TYPES.includes(type) && !(Number(event.months) >= 1)) {
+    throw createFinancialError('Enter how many months without pay', 'invalid_salary_event');
+  }
+  if (type === SALARY_EVENT_TYPE.PART_TIME && !(Number(event.percentage) > 0 && Number(event.percentage) < 100)) {
+    throw createFinancialError('Part-time pay must be between 0% and 100% of the salary', 'invalid_salary_event');
+  }
+  if (safeParseNumber(event.severance) < 0 || (!isBlank(event.monthlyExpenses) && !(Number(event.monthlyExpenses) >= 0))) {
+    throw createFinancialError('Amounts cannot be negative', 'invalid_salary_event');
+  }
+};
+
+/**
+ * Salary events with a type and numeric fields, oldest first. Events without a valid month
+ * are dropped.
+ *
+ * @param {Array<Object>} events - income.salaryAdjustments
+ * @returns {Array<Object>} Normalised events; newSalary and monthlyExpenses are null when not set
+ */
+export const normalizeSalaryEvents = (events) =>
+  (Array.isArray(events) ? events : [])
+    .filter(event => event && Number(event.month) >= 1 && Number(event.month) <= 12 && Number(event.year) > 0)
+    .map(event => ({
+      ...event,
+      type: Object.values(SALARY_EVENT_TYPE).includes(event.type) ? event.type : SALARY_EVENT_TYPE.RAISE,
+      month: Number(event.month),
+      year: Number(event.year),
+      newSalary: isBlank(event.newSalary) ? null : safeParseNumber(event.newSalary),
+      months: Math.max(0, Math.round(safeParseNumber(event.months))),
+      percentage: safeParseNumber(event.percentage, 100),
+      severance: Math.max(0, safeParseNumber(event.severance)),
+      monthlyExpenses: isBlank(event.monthlyExpenses) ? null : safeParseNumber(event.monthlyExpenses)
+    }))
+    .sort((a, b) => toMonthIndex(a.year, a.month) - toMonthIndex(b.year, b.month));
+
+// What an event does, in absolute month indexes: a new salary from salaryFrom, a pay factor
+// over [payFrom, payUntil), expenses replaced over the same months, and a one-off severance
+const getEventEffects = (event) => {
+  const start = toMonthIndex(event.year, event.month);
+  const end = start + event.months;
+
+  switch (event.type) {
+    case SALARY_EVENT_TYPE.JOB_CHANGE:
+      return { salaryFrom: end, newSalary: event.newSalary, payFrom: start, payUntil: end, payFactor: 0 };
+    case SALARY_EVENT_TYPE.UNPAID_LEAVE:
+      return { payFrom: start, payUntil: end, payFactor: 0 };
+    case SALARY_EVENT_TYPE.PART_TIME:
+      return { payFrom: start, payUntil: event.months > 0 ? end : Infinity, payFactor: event.percentage / 100 };
+    case SALARY_EVENT_TYPE.JOB_LOSS:
+      return {
+        ...(event.newSalary !== null ? { salaryFrom: end, newSalary: event.newSalary } : {}),
+        payFrom: start,
+        payUntil: end,
+        payFactor: 0,
+        severance: event.severance
+      };
+    case SALARY_EVENT_TYPE.CAREER_BREAK:
+      return { payFrom: start, payUntil: end, payFactor: 0, monthlyExpenses: event.monthlyExpenses };
+    default:
+      return { salaryFrom: start, newSalary: event.newSalary };
+  }
+};
+
+/**
+ * How the salary timeline affects one month
+ *
+ * @param {Array<Object>} events - Salary events (normalised or not)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {Object} {
+ *   newSalary: salary that takes effect this month, or null,
+ *   payFactor: share of the salary paid (the lowest when periods overlap),
+ *   severance: lump sum paid this month,
+ *   monthlyExpenses: expenses replacing the usual ones, or null,
+ *   events: events starting this month
+ * }
+ */
+export const getSalaryEventsForMonth = (events, year, month) => {
+  const index = toMonthIndex(year, month);
+  const normalized = normalizeSalaryEvents(events);
+
+  return normalized.reduce((result, event) => {
+    const effects = getEventEffects(event);
+    const inPayPeriod = effects.payFactor !== undefined && index >= effects.payFrom && index < effects.payUntil;
+
+    return {
+      newSalary: effects.salaryFrom === index && effects.newSalary !== null ? effects.newSalary : result.newSalary,
+      payFactor: inPayPeriod ? Math.min(result.payFactor, effects.payFactor) : result.payFactor,
+      severance: result.severance + (effects.severance && effects.payFrom === index ? effects.severance : 0),
+      monthlyExpenses: inPayPeriod && effects.monthlyExpenses !== undefined && effects.monthlyExpenses !== null
+        ? effects.monthlyExpenses
+        : result.monthlyExpenses,
+      events: toMonthIndex(event.year, event.month) === index ? [...result.events, event] : result.events
+    };
+  }, { newSalary: null, payFactor: 1, severance: 0, monthlyExpenses: null, events: [] });
+};
+
+/**
+ * Full-time salary in force in a month: the latest new salary on or before it, else currentSalary.
+ * Ignores annual growth and pay cuts (leave, part-time, breaks).
+ *
+ * @param {Object} income - Income with currentSalary and salaryAdjustments
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Monthly salary
+ */
+export const getBaseSalaryForMonth = (income, year, month) => {
+  const index = toMonthIndex(year, month);
+  const latest = normalizeSalaryEvents(income?.salaryAdjustments)
+    .map(getEventEffects)
+    .filter(effects => effects.salaryFrom !== undefined && effects.newSalary !== null && effects.salaryFrom <= index)
+    .sort((a, b) => a.salaryFrom - b.salaryFrom)
+    .pop();
+
+  return latest ? latest.newSalary : safeParseNumber(income?.currentSalary);
+};
@@ -0,0 +1,247 @@
+/**
+ * Savings Goals
+ *
+ * Goals the user saves towards with a fixed monthly contribution, stored in `financialData.goals` as
+ * { id, name, category, priority, targetAmount, currentAmount, deadline: { month, year }, fundingSource,
+ * monthlyContribution, annualReturn }. Each goal is funded from one source:
+ * - cash: money earmarked out of liquid savings
+ * - cpf_oa: money earmarked in the CPF Ordinary Account
+ * - sub_account: a separate account (e.g. a high-yield savings account) that is not part of liquid savings
+ *
+ * The projection moves each month's contribution from its source into the goal until the target is reached.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { calculateGoalSavings, ASSET_CLASSES } from './investmentCalculations';
+import { CPF_ACCOUNT, CPF_BASE_INTEREST_RATES } from './cpf/cpf-allocation';
+import { getDeadlineIndex } from './goalProjection';
+
+/**
+ * Where a goal's contributions come from
+ */
+export const GOAL_FUNDING_SOURCE = {
+  CASH: 'cash',
+  CPF_OA: 'cpf_oa',
+  SUB_ACCOUNT: 'sub_account'
+};
+
+/**
+ * Display labels for each funding source
+ */
+export const GOAL_FUNDING_LABELS = {
+  [GOAL_FUNDING_SOURCE.CASH]: 'Earmarked cash',
+  [GOAL_FUNDING_SOURCE.CPF_OA]: 'CPF OA',
+  [GOAL_FUNDING_SOURCE.SUB_ACCOUNT]: 'Dedicated sub-account'
+};
+
+/**
+ * Goal categories
+ */
+export const GOAL_CATEGORIES = {
+  savings: 'Savings',
+  investment: 'Investment',
+  purchase: 'Major Purchase',
+  other: 'Other'
+};
+
+/**
+ * Goal priorities, most important first
+ */
+export const GOAL_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Goal status against its deadline
+ */
+export const GOAL_STATUS = {
+  COMPLETE: 'complete',
+  ON_TRACK: 'on_track',
+  OFF_TRACK: 'off_track'
+};
+
+/**
+ * Colours assigned to goals in display order
+ */
+export const GOAL_COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D', '#D0ED57', '#FF6699'];
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Default annual return (%) for a funding source: the OA rate for CPF OA, the savings account rate otherwise
+ *
+ * @param {string} fundingSource - Funding source
+ * @returns {number} Annual return (%)
+ */
+export const getDefaultGoalReturn = (fundingSource) =>
+  fundingSource === GOAL_FUNDING_SOURCE.CPF_OA
+    ? CPF_BASE_INTEREST_RATES[CPF_ACCOUNT.ORDINARY] * 100
+    : ASSET_CLASSES.CASH.expectedReturn * 100;
+
+/**
+ * Validate a goal before saving it
+ *
+ * @param {Object} goal - Goal
+ * @throws {Error} FinancialError with code 'invalid_goal'
+ */
+export const validateSavingsGoal = (goal) => {
+  if (!goal || typeof goal.name !== 'string' || !goal.name.trim()) {
+    throw createFinancialError('Goal name is required', 'invalid_goal');
+  }
+  if (typeof goal.targetAmount !== 'number' || isNaN(goal.targetAmount) || goal.targetAmount <= 0) {
+    throw createFinancialError('Target amount must be greater than zero', 'invalid_goal');
+  }
+  if (typeof goal.currentAmount !== 'number' || isNaN(goal.currentAmount) || goal.currentAmount < 0) {
+    throw createFinancialError('Current amount must be zero or more', 'invalid_goal');
+  }
+  if (typeof goal.monthlyContribution !== 'number' || isNaN(goal.monthlyContribution) || goal.monthlyContribution < 0) {
+    throw createFinancialError('Monthly contribution must be zero or more', 'invalid_goal');
+  }
+  if (!Object.values(GOAL_FUNDING_SOURCE).includes(goal.fundingSource)) {
+    throw createFinancialError('Funding source is not supported', 'invalid_goal');
+  }
+  if (goal.deadline && (!Number.isInteger(goal.deadline.month) || goal.deadline.month < 1 ||
+    goal.deadline.month > 12 || !Number.isInteger(goal.deadline.year))) {
+    throw createFinancialError('Target date must be a valid month and year', 'invalid_goal');
+  }
+};
+
+/**
+ * Normalise stored goals, filling defaults and sorting by priority, then deadline
+ * Each goal gets a colour from its position.
+ *
+ * @param {Array} goals - Stored goals
+ * @returns {Array} Goals
+ */
+export const normalizeSavingsGoals = (goals) => {
+  if (!Array.isArray(goals)) return [];
+
+  const deadlineKey = (goal) => (goal.deadline ? goal.deadline.year * 12 + goal.deadline.month : Infinity);
+
+  return goals
+    .filter((goal) => goal && Number(goal.targetAmount) > 0)
+    .map((goal, index) => {
+      const fundingSource = Object.values(GOAL_FUNDING_SOURCE).includes(goal.fundingSource)
+        ? goal.fundingSource
+        : GOAL_FUNDING_SOURCE.CASH;
+
+      return {
+        ...goal,
+        id: goal.id !== undefined ? goal.id : `goal-${index + 1}`,
+        name: goal.name || `Goal ${index + 1}`,
+        category: GOAL_CATEGORIES[goal.category] ? goal.category : 'savings',
+        priority: GOAL_PRIORITIES.includes(goal.priority) ? goal.priority : 'medium',
+        targetAmount: Number(goal.targetAmount),
+        currentAmount: Math.max(0, Number(goal.currentAmount) || 0),
+        monthlyContribution: Math.max(0, Number(goal.monthlyContribution) || 0),
+        fundingSource,
+        annualReturn: typeof goal.annualReturn === 'number' ? goal.annualReturn : getDefaultGoalReturn(fundingSource),
+        deadline: goal.deadline && Number(goal.deadline.month) && Number(goal.deadline.year)
+          ? { month: Number(goal.deadline.month), year: Number(goal.deadline.year) }
+          : null
+      };
+    })
+    .sort((a, b) =>
+      GOAL_PRIORITIES.indexOf(a.priority) - GOAL_PRIORITIES.indexOf(b.priority) ||
+      deadlineKey(a) - deadlineKey(b)
+    )
+    .map((goal, index) => ({ ...goal, color: GOAL_COLORS[index % GOAL_COLORS.length] }));
+};
+
+/**
+ * Amount already set aside for goals from one funding source
+ *
+ * @param {Array} goals - Goals (see normalizeSavingsGoals)
+ * @param {string} fundingSource - Funding source
+ * @returns {number} Total current amount
+ */
+export const sumGoalBalancesBySource = (goals, fundingSource) =>
+  goals
+    .filter((goal) => goal.fundingSource === fundingSource)
+    .reduce((sum, goal) => sum + goal.currentAmount, 0);
+
+/**
+ * Advance goal balances by one month: grow each at its return, then contribute until the target is reached
+ * CPF OA contributions are limited to the OA balance available.
+ *
+ * @param {Object} balances - Goal balances keyed by goal id
+ * @param {Array} goals - Goals (see normalizeSavingsGoals)
+ * @param {number} availableOa - CPF OA balance that contributions can use
+ * @returns {Object} { balances, contributions: { cash, cpfOa, subAccount }, growth }
+ */
+export const stepSavingsGoals = (balances, goals, availableOa) => {
+  let remainingOa = Math.max(0, availableOa);
+
+  return goals.reduce((result, goal) => {
+    const balance = balances[goal.id] || 0;
+    const growth = balance * (Math.pow(1 + goal.annualReturn / 100, 1 / 12) - 1);
+    let contribution = Math.min(goal.monthlyContribution, Math.max(0, goal.targetAmount - balance - growth));
+
+    if (goal.fundingSource === GOAL_FUNDING_SOURCE.CPF_OA) {
+      contribution = Math.min(contribution, remainingOa);
+      remainingOa -= contribution;
+    }
+
+    const key = goal.fundingSource === GOAL_FUNDING_SOURCE.CPF_OA
+      ? 'cpfOa'
+      : goal.fundingSource === GOAL_FUNDING_SOURCE.SUB_ACCOUNT ? 'subAccount' : 'cash';
+
+    return {
+      balances: { ...result.balances, [goal.id]: balance + growth + contribution },
+      contributions: { ...result.contributions, [key]: result.contributions[key] + contribution },
+      growth: result.growth + growth
+    };
+  }, { balances: {}, contributions: { cash: 0, cpfOa: 0, subAccount: 0 }, growth: 0 });
+};
+
+/**
+ * Evaluate goals against a projection that tracked their balances (row.goalBalances)
+ *
+ * @param {Array} projection - Month rows from useProjection
+ * @param {Array} goals - Goals (see normalizeSavingsGoals)
+ * @param {Object} options - { projectionStartMonth, projectionStartYear }
+ * @returns {Array} One result per goal with completion date, required contribution and status
+ */
+export const evaluateSavingsGoals = (projection, goals, options = {}) => {
+  const rows = Array.isArray(projection) ? projection : [];
+  const { projectionStartMonth, projectionStartYear } = options;
+
+  return normalizeSavingsGoals(goals).map((goal) => {
+    const complete = goal.currentAmount >= goal.targetAmount;
+    const completionIndex = complete
+      ? 0
+      : rows.findIndex((row) => row.goalBalances && (row.goalBalances[goal.id] || 0) >= goal.targetAmount - 0.005);
+    const completionRow = completionIndex > -1 && !complete ? rows[completionIndex] : null;
+
+    // Monthly contribution needed to finish by the deadline, at the goal's return
+    const deadlineIndex = getDeadlineIndex(goal.deadline, projectionStartMonth, projectionStartYear);
+    let requiredMonthly = null;
+    if (deadlineIndex !== null && !complete) {
+      const months = Math.max(1, deadlineIndex + 1);
+      const remaining = goal.targetAmount - goal.currentAmount;
+      requiredMonthly = goal.annualReturn > 0
+        ? calculateGoalSavings(goal.targetAmount, goal.currentAmount, months / 12, goal.annualReturn).requiredMonthly
+        : roundToCents(remaining / months);
+    }
+
+    let status;
+    if (complete) {
+      status = GOAL_STATUS.COMPLETE;
+    } else if (deadlineIndex !== null) {
+      status = deadlineIndex >= 0 && goal.monthlyContribution >= requiredMonthly - 0.01
+        ? GOAL_STATUS.ON_TRACK
+        : GOAL_STATUS.OFF_TRACK;
+    } else {
+      status = completionIndex > -1 ? GOAL_STATUS.ON_TRACK : GOAL_STATUS.OFF_TRACK;
+    }
+
+    return {
+      ...goal,
+      progress: Math.min(100, Math.round((goal.currentAmount / goal.targetAmount) * 100)),
+      completionIndex: completionIndex > -1 ? completionIndex : null,
+      completionDate: completionRow ? completionRow.date : null,
+      deadlineIndex,
+      requiredMonthly,
+      status,
+      onTrack: status !== GOAL_STATUS.OFF_TRACK
+    };
+  });
+};
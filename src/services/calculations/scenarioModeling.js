@@ -6,12 +6,14 @@
  *
  * References:
  * - Financial planning best practices
- * - Singapore-specific scenarios (job loss, emergency fund, housing)
+ * - Singapore-specific scenarios (emergency fund, housing)
+ * - Job loss and career breaks are salary timeline events (salaryTimeline.js), applied by the projection
  * - Monte Carlo simulations for uncertainty
  */
 
 import { calculateTieredCpfInterest } from './cpf/cpf-allocation';
 import { calculateRealReturn } from './inflationCalculations';
+import { calculateBuyerStampDuty } from './propertyPurchase';
 
 /**
  * Helper: Calculate monthly mortgage payment
@@ -73,67 +75,12 @@ export const analyzeEmergencyFund = (financialData, targetMonths = 6) => {
   };
 };
 
-/**
- * Job Loss Impact Scenario
- *
- * @param {Object} financialData - Current financial situation
- * @param {number} unemploymentMonths - Expected months of unemployment
- * @param {number} severancePayment - One-time severance payment (optional)
- * @returns {Object} Job loss impact analysis
- */
-export const simulateJobLoss = (financialData, unemploymentMonths, severancePayment = 0) => {
-  const {
-    liquidCash,
-    monthlyExpenses,
-    cpfBalance = 0
-  } = financialData;
-
-  const totalMonthlyBurn = monthlyExpenses;
-  const totalFundsAvailable = liquidCash + severancePayment;
-  const totalExpectedExpenses = totalMonthlyBurn * unemploymentMonths;
-
-  const cashAfterUnemployment = totalFundsAvailable - totalExpectedExpenses;
-  const monthsUntilBroke = totalMonthlyBurn > 0 ? totalFundsAvailable / totalMonthlyBurn : Infinity;
-
-  const needsEmergencyAction = monthsUntilBroke < unemploymentMonths;
-
-  // Calculate CPF OA withdrawal option (if age >= 55)
-  const cpfAvailable = cpfBalance * 0.6; // Assume 60% in OA/SA accessible
-
-  return {
-    scenario: {
-      unemploymentMonths,
-      severancePayment: Math.round(severancePayment * 100) / 100,
-      monthlyBurnRate: Math.round(totalMonthlyBurn * 100) / 100
-    },
-    analysis: {
-      currentLiquidCash: Math.round(liquidCash * 100) / 100,
-      totalFundsAvailable: Math.round(totalFundsAvailable * 100) / 100,
-      totalExpectedExpenses: Math.round(totalExpectedExpenses * 100) / 100,
-      cashAfterUnemployment: Math.round(cashAfterUnemployment * 100) / 100,
-      monthsUntilBroke: monthsUntilBroke === Infinity ? 'More than projection period' :
-        Math.round(monthsUntilBroke * 10) / 10,
-      needsEmergencyAction,
-      cpfFallback: Math.round(cpfAvailable * 100) / 100
-    },
-    recommendations: needsEmergencyAction ? [
-      'Reduce non-essential expenses immediately',
-      'Consider part-time or freelance work',
-      'Access insurance claims if applicable',
-      'Review unemployment benefits eligibility'
-    ] : [
-      'Current emergency fund is adequate',
-      'Continue building emergency reserves',
-      'Review insurance coverage'
-    ]
-  };
-};
-
 /**
  * Housing Affordability Scenario
  *
  * @param {Object} housingParams - Housing purchase parameters
  * @param {Object} financialData - Current financial situation
+ * @param {number} [financialData.cpfOaBalance] - CPF OA balance; when omitted, 60% of cpfBalance is assumed to be in OA
  * @returns {Object} Housing affordability analysis
  */
 export const analyzeHousingAffordability = (housingParams, financialData) => {
@@ -148,7 +95,8 @@ export const analyzeHousingAffordability = (housingParams, financialData) => {
     monthlyIncome,
     monthlyExpenses,
     liquidCash,
-    cpfBalance = 0
+    cpfBalance = 0,
+    cpfOaBalance
   } = financialData;
 
   const downPayment = propertyPrice * (downPaymentPercentage / 100);
@@ -164,7 +112,7 @@ export const analyzeHousingAffordability = (housingParams, financialData) => {
   const passesMSR = msr <= 30;
 
   // Check if can afford down payment
-  const cpfOAAvailable = cpfBalance * 0.6; // Assume 60% in OA
+  const cpfOAAvailable = typeof cpfOaBalance === 'number' ? cpfOaBalance : cpfBalance * 0.6; // Assume 60% in OA if unknown
   const totalFundsForDownPayment = liquidCash + cpfOAAvailable;
   const canAffordDownPayment = totalFundsForDownPayment >= downPayment;
 
@@ -172,8 +120,8 @@ export const analyzeHousingAffordability = (housingParams, financialData) => {
   const monthlyNetCashFlow = monthlyIncome - monthlyExpenses - monthlyLoanPayment;
   const annualNetCashFlow = monthlyNetCashFlow * 12;
 
-  // Stamp duty and other costs (rough estimate)
-  const buyerStampDuty = propertyPrice * 0.03; // Simplified 3%
+  // Buyer's Stamp Duty on the progressive tiers; other costs are a rough estimate
+  const buyerStampDuty = calculateBuyerStampDuty(propertyPrice);
   const additionalCosts = propertyPrice * 0.05; // Legal, valuation, etc.
   const totalUpfrontCosts = downPayment + buyerStampDuty + additionalCosts;
 
@@ -369,59 +317,6 @@ export const simulateSalaryIncrease = (currentData, salaryIncreasePercentage, ye
   };
 };
 
-/**
- * Career Break Impact Scenario
- *
- * @param {Object} currentData - Current financial data
- * @param {number} breakMonths - Length of career break in months
- * @param {number} monthlyExpensesDuringBreak - Expenses during break period
- * @returns {Object} Career break impact analysis
- */
-export const simulateCareerBreak = (currentData, breakMonths, monthlyExpensesDuringBreak) => {
-  const {
-    liquidCash,
-    currentSalary = 0,
-    cpfBalance = 0
-  } = currentData;
-
-  const totalExpensesDuringBreak = monthlyExpensesDuringBreak * breakMonths;
-  const lostIncome = currentSalary * breakMonths;
-  const lostCpfContributions = currentSalary * 0.37 * breakMonths; // 37% total CPF
-
-  const cashAfterBreak = liquidCash - totalExpensesDuringBreak;
-  const canAffordBreak = cashAfterBreak >= 0;
-
-  // Opportunity cost
-  const assumedInvestmentReturn = 0.04;
-  const monthlyRate = Math.pow(1 + assumedInvestmentReturn, 1/12) - 1;
-  const opportunityCostInvestment = lostIncome * ((Math.pow(1 + monthlyRate, breakMonths) - 1) / monthlyRate);
-
-  return {
-    careerBreak: {
-      durationMonths: breakMonths,
-      monthlyExpenses: Math.round(monthlyExpensesDuringBreak * 100) / 100,
-      totalExpenses: Math.round(totalExpensesDuringBreak * 100) / 100
-    },
-    impact: {
-      currentCash: Math.round(liquidCash * 100) / 100,
-      cashAfterBreak: Math.round(cashAfterBreak * 100) / 100,
-      lostIncome: Math.round(lostIncome * 100) / 100,
-      lostCpfContributions: Math.round(lostCpfContributions * 100) / 100,
-      opportunityCost: Math.round(opportunityCostInvestment * 100) / 100,
-      totalImpact: Math.round((totalExpensesDuringBreak + lostIncome + lostCpfContributions) * 100) / 100
-    },
-    feasibility: {
-      canAffordBreak,
-      cashBuffer: canAffordBreak ? Math.round(cashAfterBreak * 100) / 100 : 0,
-      monthsOfBufferRemaining: canAffordBreak && monthlyExpensesDuringBreak > 0 ?
-        Math.round((cashAfterBreak / monthlyExpensesDuringBreak) * 10) / 10 : 0,
-      recommendation: canAffordBreak ?
-        'Career break is financially feasible' :
-        `Need additional ${Math.round(Math.abs(cashAfterBreak))} to afford career break`
-    }
-  };
-};
-
 /**
  * Compare multiple financial scenarios
  *
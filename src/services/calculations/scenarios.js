@@ -0,0 +1,222 @@
+/**
+ * Named Scenarios
+ *
+ * A scenario ("Job change 2027", "Buy condo") stores only what differs from the base plan:
+ *
+ * { id, name, description, overrides, createdAt }
+ *
+ * overrides is a partial financialData. Objects such as income are merged key by key, and lists
+ * such as expenses replace the base list. Scenarios live in financialData.scenarios, so they
+ * are saved and synced with the rest of the data.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { isEqualValue } from '../sync/syncEngine';
+
+/**
+ * Fields a scenario can't override
+ */
+export const SCENARIO_PROTECTED_FIELDS = ['scenarios', 'schemaVersion'];
+
+/**
+ * Id the base plan uses in comparisons
+ */
+export const BASE_SCENARIO_ID = 'base';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const roundToCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Apply overrides on top of data: objects merge recursively, anything else is replaced
+ *
+ * @param {Object} base - Base financial data
+ * @param {Object} [overrides={}] - Partial financial data
+ * @returns {Object} Data with the overrides applied
+ */
+export const applyScenarioOverrides = (base, overrides = {}) =>
+  Object.entries(overrides).reduce((result, [key, value]) => ({
+    ...result,
+    [key]: isPlainObject(value) && isPlainObject(result[key])
+      ? applyScenarioOverrides(result[key], value)
+      : value
+  }), { ...base });
+
+/**
+ * The smallest overrides that turn base into edited
+ *
+ * @param {Object} base - Base financial data
+ * @param {Object} edited - Edited copy of the data
+ * @returns {Object} Overrides
+ */
+export const createScenarioOverrides = (base, edited) =>
+  Object.keys(edited).reduce((overrides, key) => {
+    if (SCENARIO_PROTECTED_FIELDS.includes(key) || isEqualValue(base[key], edited[key])) {
+      return overrides;
+    }
+    const value = isPlainObject(base[key]) && isPlainObject(edited[key])
+      ? createScenarioOverrides(base[key], edited[key])
+      : edited[key];
+    return { ...overrides, [key]: value };
+  }, {});
+
+/**
+ * Validate a scenario before saving
+ *
+ * @param {Object} scenario - Scenario
+ * @throws {Error} invalid_scenario
+ */
+export const validateScenario = (scenario) => {
+  if (!scenario || typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+    throw createFinancialError('Scenario name is required', 'invalid_scenario');
+  }
+  if (scenario.name.trim().toLowerCase() === BASE_SCENARIO_ID) {
+    throw createFinancialError('"Base" is the name of the base plan', 'invalid_scenario');
+  }
+  if (!isPlainObject(scenario.overrides)) {
+    throw createFinancialError('Scenario overrides must be an object', 'invalid_scenario');
+  }
+  const protectedField = SCENARIO_PROTECTED_FIELDS.find(field => field in scenario.overrides);
+  if (protectedField) {
+    throw createFinancialError(`Scenarios can't override ${protectedField}`, 'invalid_scenario');
+  }
+};
+
+/**
+ * The financial data a scenario projects: the base plan with its overrides
+ *
+ * @param {Object} financialData - Financial data including the scenarios
+ * @param {Object} scenario - Scenario
+ * @returns {Object} Scenario data, without the scenario list
+ */
+export const getScenarioData = (financialData, scenario) => {
+  const { scenarios, ...base } = financialData;
+  return applyScenarioOverrides(base, scenario ? scenario.overrides : {});
+};
+
+/**
+ * Make a scenario the base plan. The previous base is kept as a scenario so it can be compared
+ * or promoted back; the other scenarios keep their overrides, now on top of the new base.
+ *
+ * @param {Object} financialData - Financial data including the scenarios
+ * @param {*} scenarioId - Scenario to promote
+ * @param {string} [promotedAt=now] - ISO time, recorded on the previous base
+ * @returns {Object} New financial data
+ * @throws {Error} invalid_scenario if there is no such scenario
+ */
+export const promoteScenario = (financialData, scenarioId, promotedAt = new Date().toISOString()) => {
+  const scenarios = Array.isArray(financialData.scenarios) ? financialData.scenarios : [];
+  const promoted = scenarios.find(scenario => scenario.id === scenarioId);
+  if (!promoted) {
+    throw createFinancialError('Scenario not found', 'invalid_scenario');
+  }
+
+  const { scenarios: _scenarios, ...oldBase } = financialData;
+  const newBase = getScenarioData(financialData, promoted);
+  const previousBase = {
+    id: `${promoted.id}-previous`,
+    name: `Before ${promoted.name}`,
+    description: `The base plan before "${promoted.name}" replaced it`,
+    overrides: createScenarioOverrides(newBase, oldBase),
+    createdAt: promotedAt
+  };
+
+  return {
+    ...newBase,
+    scenarios: [...scenarios.filter(scenario => scenario.id !== scenarioId), previousBase]
+  };
+};
+
+/**
+ * Headline results of a scenario's projection
+ *
+ * @param {Array<Object>} projection - useProjection months
+ * @param {Object} [goals={}] - { savingsGoalResults, goalResults } from useFinancialCalculations
+ * @returns {Object} { finalNetWorth, finalDate, minimumCash, minimumCashDate, goals: [{ key, name, index, date }] }
+ */
+export const summarizeScenarioProjection = (projection, { savingsGoalResults = [], goalResults = [] } = {}) => {
+  if (!Array.isArray(projection) || projection.length === 0) {
+    return { finalNetWorth: 0, finalDate: null, minimumCash: 0, minimumCashDate: null, goals: [] };
+  }
+
+  const finalRow = projection[projection.length - 1];
+  const minimumRow = projection.reduce(
+    (lowest, row) => ((row.cashSavings || 0) < (lowest.cashSavings || 0) ? row : lowest),
+    projection[0]
+  );
+
+  return {
+    finalNetWorth: roundToCents(finalRow.totalNetWorth || 0),
+    finalDate: finalRow.date,
+    minimumCash: roundToCents(minimumRow.cashSavings || 0),
+    minimumCashDate: minimumRow.date,
+    goals: [
+      ...(savingsGoalResults || []).map(goal => ({
+        key: `savings-${goal.id}`,
+        name: goal.name,
+        index: goal.completionIndex,
+        date: goal.completionDate
+      })),
+      ...(goalResults || []).map(goal => ({
+        key: `projection-${goal.id}`,
+        name: goal.name,
+        index: goal.reachedIndex,
+        date: goal.reachedDate
+      }))
+    ]
+  };
+};
+
+/**
+ * Compare scenario summaries with the first one (the base plan)
+ *
+ * @param {Array<Object>} summaries - [{ id, name, ...summarizeScenarioProjection }], base first
+ * @returns {Array<Object>} Rows with netWorthChange, minimumCashChange and, per goal, monthsLater
+ * (negative when reached sooner; null when one side never reaches it)
+ */
+export const compareScenarioSummaries = (summaries) => {
+  if (!Array.isArray(summaries) || summaries.length === 0) return [];
+  const [base] = summaries;
+  const baseGoals = new Map(base.goals.map(goal => [goal.key, goal]));
+
+  return summaries.map(summary => ({
+    ...summary,
+    netWorthChange: roundToCents(summary.finalNetWorth - base.finalNetWorth),
+    minimumCashChange: roundToCents(summary.minimumCash - base.minimumCash),
+    goals: summary.goals.map(goal => {
+      const baseGoal = baseGoals.get(goal.key);
+      const comparable = baseGoal && baseGoal.index !== null && baseGoal.index !== undefined &&
+        goal.index !== null && goal.index !== undefined;
+      return { ...goal, monthsLater: comparable ? goal.index - baseGoal.index : null };
+    })
+  }));
+};
+
+/**
+ * Chart rows with one value per scenario: [{ date, [scenarioId]: value }]
+ *
+ * @param {Array<Object>} series - [{ id, projection }]
+ * @param {string} [field='totalNetWorth'] - Projection field to chart
+ * @param {number} [step=12] - Months between points (the last month is always included)
+ * @returns {Array<Object>} Chart rows
+ */
+export const buildScenarioChartData = (series, field = 'totalNetWorth', step = 12) => {
+  const length = Math.max(0, ...series.map(({ projection }) => (projection ? projection.length : 0)));
+  const rows = [];
+
+  for (let index = 0; index < length; index += step) {
+    rows.push(index);
+  }
+  if (length > 0 && rows[rows.length - 1] !== length - 1) {
+    rows.push(length - 1);
+  }
+
+  return rows.map(index => series.reduce((row, { id, projection }) => {
+    const month = projection && projection[index];
+    if (month) {
+      row.date = row.date || month.date;
+      row[id] = roundToCents(month[field] || 0);
+    }
+    return row;
+  }, {}));
+};
@@ -0,0 +1,305 @@
+/**
+ * Supplementary Retirement Scheme (SRS)
+ *
+ * financialData.srs is the user's SRS account:
+ *
+ * { balance, citizenship, annualContribution, contributionMonth, annualReturn, openedYear, openedMonth,
+ *   withdrawalStartAge, earlyWithdrawals: [{ id, year, month, amount, description }] }
+ *
+ * - Contributions are capped each year by citizenship and are a tax relief in the following
+ *   Year of Assessment
+ * - The balance is invested inside the account and grows at annualReturn
+ * - Withdrawals from the statutory retirement age in force when the account was opened are
+ *   penalty-free, and only 50% of each is taxable. They can be spread over 10 years from the
+ *   first one; whatever is left at the end of the 10th year is deemed withdrawn then. No
+ *   contributions can be made after the first penalty-free withdrawal
+ * - Earlier withdrawals are fully taxable and the bank deducts a 5% penalty
+ *
+ * References:
+ * - https://www.iras.gov.sg/taxes/individual-income-tax/basics-of-individual-income-tax/special-tax-schemes/srs-contributions
+ * - https://www.iras.gov.sg/taxes/individual-income-tax/basics-of-individual-income-tax/special-tax-schemes/srs-withdrawals
+ */
+
+import { createFinancialError, safeParseNumber } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Account holder types with different contribution caps
+ */
+export const SRS_CITIZENSHIP = {
+  CITIZEN_PR: 'citizen_pr',
+  FOREIGNER: 'foreigner'
+};
+
+/**
+ * Display names for account holder types
+ */
+export const SRS_CITIZENSHIP_LABELS = {
+  [SRS_CITIZENSHIP.CITIZEN_PR]: 'Singapore Citizen / PR',
+  [SRS_CITIZENSHIP.FOREIGNER]: 'Foreigner'
+};
+
+/**
+ * Yearly contribution cap by account holder type
+ */
+export const SRS_CONTRIBUTION_CAPS = {
+  [SRS_CITIZENSHIP.CITIZEN_PR]: 15300,
+  [SRS_CITIZENSHIP.FOREIGNER]: 35700
+};
+
+/**
+ * Share of a penalty-free withdrawal that is taxable
+ */
+export const SRS_TAXABLE_SHARE = 0.5;
+
+/**
+ * Penalty on withdrawals before the statutory retirement age
+ */
+export const SRS_EARLY_WITHDRAWAL_PENALTY = 0.05;
+
+/**
+ * Years over which penalty-free withdrawals can be spread
+ */
+export const SRS_WITHDRAWAL_YEARS = 10;
+
+/**
+ * Statutory retirement age by the month it took effect, oldest first (62 before July 2022)
+ */
+export const STATUTORY_RETIREMENT_AGE_SCHEDULE = [
+  { effectiveFrom: { year: 2022, month: 7 }, age: 63 },
+  { effectiveFrom: { year: 2026, month: 7 }, age: 64 }
+];
+
+const EARLIEST_STATUTORY_RETIREMENT_AGE = 62;
+
+/**
+ * Account used when the user has not set one up
+ */
+export const DEFAULT_SRS_ACCOUNT = {
+  balance: 0,
+  citizenship: SRS_CITIZENSHIP.CITIZEN_PR,
+  annualContribution: 0,
+  contributionMonth: 12, // Contributions are usually made in December to claim relief for the year
+  annualReturn: 4,
+  openedYear: null, // Year of the first contribution; today when not set
+  openedMonth: 1,
+  withdrawalStartAge: null, // Age of the first penalty-free withdrawal; the statutory retirement age when not set
+  earlyWithdrawals: []
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toMonthIndex = (year, month) => year * 12 + (month - 1);
+
+/**
+ * Statutory retirement age in force in a month. SRS withdrawals are penalty-free from the
+ * age in force when the account holder first contributed.
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12, default January)
+ * @returns {number} Statutory retirement age
+ */
+export const getStatutoryRetirementAge = (year, month = 1) => {
+  const index = toMonthIndex(year, month);
+  return STATUTORY_RETIREMENT_AGE_SCHEDULE.reduce(
+    (age, entry) => (toMonthIndex(entry.effectiveFrom.year, entry.effectiveFrom.month) <= index ? entry.age : age),
+    EARLIEST_STATUTORY_RETIREMENT_AGE
+  );
+};
+
+/**
+ * Yearly contribution cap for an account holder type (citizens and PRs when unknown)
+ *
+ * @param {string} citizenship - SRS_CITIZENSHIP value
+ * @returns {number} Cap
+ */
+export const getSrsContributionCap = (citizenship) =>
+  SRS_CONTRIBUTION_CAPS[citizenship] || SRS_CONTRIBUTION_CAPS[SRS_CITIZENSHIP.CITIZEN_PR];
+
+/**
+ * Validate an SRS account before saving
+ *
+ * @param {Object} account - SRS account
+ * @throws {Error} invalid_srs
+ */
+export const validateSrsAccount = (account) => {
+  const citizenship = account?.citizenship || SRS_CITIZENSHIP.CITIZEN_PR;
+  if (!Object.values(SRS_CITIZENSHIP).includes(citizenship)) {
+    throw createFinancialError(`Unknown SRS account holder type "${citizenship}"`, 'invalid_srs');
+  }
+  if (['balance', 'annualContribution', 'annualReturn'].some(field => safeParseNumber(account[field]) < 0)) {
+    throw createFinancialError('SRS amounts cannot be negative', 'invalid_srs');
+  }
+  const cap = getSrsContributionCap(citizenship);
+  if (safeParseNumber(account.annualContribution) > cap) {
+    throw createFinancialError(`SRS contributions are capped at $${cap.toLocaleString()} a year`, 'invalid_srs');
+  }
+  if (!isBlank(account.contributionMonth) && !(Number(account.contributionMonth) >= 1 && Number(account.contributionMonth) <= 12)) {
+    throw createFinancialError('Contribution month must be between 1 and 12', 'invalid_srs');
+  }
+  if (!isBlank(account.openedYear) && !Number.isInteger(Number(account.openedYear))) {
+    throw createFinancialError('Year of first contribution must be a year', 'invalid_srs');
+  }
+
+  const { retirementAge } = normalizeSrsAccount(account);
+  if (!isBlank(account.withdrawalStartAge) && Number(account.withdrawalStartAge) < retirementAge) {
+    throw createFinancialError(
+      `Penalty-free withdrawals start from the statutory retirement age (${retirementAge})`,
+      'invalid_srs'
+    );
+  }
+  (Array.isArray(account.earlyWithdrawals) ? account.earlyWithdrawals : []).forEach(validateSrsWithdrawal);
+};
+
+/**
+ * Validate a dated SRS withdrawal before saving
+ *
+ * @param {Object} withdrawal - { year, month, amount }
+ * @throws {Error} invalid_srs
+ */
+export const validateSrsWithdrawal = (withdrawal) => {
+  if (!(Number(withdrawal?.month) >= 1 && Number(withdrawal.month) <= 12) || !Number.isInteger(Number(withdrawal.year))) {
+    throw createFinancialError('SRS withdrawal month and year are required', 'invalid_srs');
+  }
+  if (!(safeParseNumber(withdrawal.amount) > 0)) {
+    throw createFinancialError('SRS withdrawal amount must be more than 0', 'invalid_srs');
+  }
+};
+
+/**
+ * SRS account with numeric fields, the contribution capped and the retirement age resolved
+ *
+ * @param {Object} account - financialData.srs (may be missing)
+ * @param {Date} today - Date used when the account has no opening year
+ * @returns {Object} Account with retirementAge (penalty-free from) and withdrawalStartAge set
+ */
+export const normalizeSrsAccount = (account, today = new Date()) => {
+  const merged = { ...DEFAULT_SRS_ACCOUNT, ...(account || {}) };
+  const citizenship = Object.values(SRS_CITIZENSHIP).includes(merged.citizenship)
+    ? merged.citizenship
+    : SRS_CITIZENSHIP.CITIZEN_PR;
+  const openedYear = isBlank(merged.openedYear) ? today.getFullYear() : Number(merged.openedYear);
+  const openedMonth = isBlank(merged.openedYear) ? today.getMonth() + 1 : safeParseNumber(merged.openedMonth, 1);
+  const retirementAge = getStatutoryRetirementAge(openedYear, openedMonth);
+  const contributionMonth = Math.round(safeParseNumber(merged.contributionMonth, DEFAULT_SRS_ACCOUNT.contributionMonth));
+
+  return {
+    ...merged,
+    citizenship,
+    balance: Math.max(0, safeParseNumber(merged.balance)),
+    annualContribution: Math.min(Math.max(0, safeParseNumber(merged.annualContribution)), getSrsContributionCap(citizenship)),
+    contributionMonth: contributionMonth >= 1 && contributionMonth <= 12 ? contributionMonth : DEFAULT_SRS_ACCOUNT.contributionMonth,
+    annualReturn: safeParseNumber(merged.annualReturn, DEFAULT_SRS_ACCOUNT.annualReturn),
+    openedYear,
+    openedMonth,
+    retirementAge,
+    withdrawalStartAge: Math.max(retirementAge, safeParseNumber(merged.withdrawalStartAge, retirementAge)),
+    earlyWithdrawals: (Array.isArray(merged.earlyWithdrawals) ? merged.earlyWithdrawals : [])
+      .filter(withdrawal => withdrawal && Number(withdrawal.month) >= 1 && Number(withdrawal.month) <= 12 && Number(withdrawal.year) > 0)
+      .map(withdrawal => ({
+        ...withdrawal,
+        year: Number(withdrawal.year),
+        month: Number(withdrawal.month),
+        amount: Math.max(0, safeParseNumber(withdrawal.amount))
+      }))
+      .sort((a, b) => toMonthIndex(a.year, a.month) - toMonthIndex(b.year, b.month))
+  };
+};
+
+/**
+ * Tax treatment of one withdrawal
+ *
+ * @param {number} amount - Amount withdrawn
+ * @param {boolean} penaltyFree - Whether it is made from the statutory retirement age
+ * @returns {Object} { amount, taxable, penalty, received }
+ */
+export const calculateSrsWithdrawal = (amount, penaltyFree) => {
+  const withdrawn = Math.max(0, safeParseNumber(amount));
+  const taxable = penaltyFree ? withdrawn * SRS_TAXABLE_SHARE : withdrawn;
+  const penalty = penaltyFree ? 0 : withdrawn * SRS_EARLY_WITHDRAWAL_PENALTY;
+
+  return { amount: withdrawn, taxable, penalty, received: withdrawn - penalty };
+};
+
+/**
+ * Penalty-free withdrawal for the next year of the 10-year window: the balance spread evenly
+ * over the years left, and everything left in the last year (the deemed withdrawal)
+ *
+ * @param {number} balance - Balance before the withdrawal
+ * @param {number} withdrawalsTaken - Penalty-free withdrawal years already taken
+ * @returns {number} Amount to withdraw
+ */
+export const getSrsWithdrawalAmount = (balance, withdrawalsTaken) => {
+  const yearsLeft = SRS_WITHDRAWAL_YEARS - withdrawalsTaken;
+  if (!(balance > 0)) return 0;
+  return yearsLeft <= 1 ? balance : balance / yearsLeft;
+};
+
+/**
+ * Total of the dated withdrawals in a month
+ *
+ * @param {Object} account - Normalised SRS account
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Amount withdrawn
+ */
+export const getSrsWithdrawalsForMonth = (account, year, month) =>
+  account.earlyWithdrawals
+    .filter(withdrawal => withdrawal.year === year && withdrawal.month === month)
+    .reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
+
+/**
+ * Year-by-year SRS plan from today until the account is emptied: contributions until the first
+ * penalty-free withdrawal, then 10 yearly withdrawals. Dated withdrawals are taken at the start
+ * of their year, penalty-free ones at the start of each year from withdrawalStartAge, and
+ * contributions at the end of the year.
+ *
+ * @param {Object} account - financialData.srs
+ * @param {Object} options - { currentAge, startYear (default this year) }
+ * @returns {Array<Object>} Rows { year, age, contribution, withdrawal, taxable, penalty, growth, balance }
+ */
+export const projectSrsAccount = (account, { currentAge, startYear = new Date().getFullYear() } = {}) => {
+  if (currentAge === null || currentAge === undefined) return [];
+
+  const srs = normalizeSrsAccount(account);
+  const annualReturn = srs.annualReturn / 100;
+  const rows = [];
+  let balance = srs.balance;
+  let withdrawalsTaken = Math.min(SRS_WITHDRAWAL_YEARS, Math.max(0, currentAge - srs.withdrawalStartAge));
+
+  for (let age = currentAge; withdrawalsTaken < SRS_WITHDRAWAL_YEARS; age++) {
+    const year = startYear + (age - currentAge);
+    const penaltyFree = age >= srs.withdrawalStartAge;
+
+    const dated = calculateSrsWithdrawal(
+      Math.min(balance, srs.earlyWithdrawals.filter(withdrawal => withdrawal.year === year)
+        .reduce((sum, withdrawal) => sum + withdrawal.amount, 0)),
+      age >= srs.retirementAge
+    );
+    balance -= dated.amount;
+
+    let scheduled = 0;
+    if (penaltyFree) {
+      scheduled = getSrsWithdrawalAmount(balance, withdrawalsTaken);
+      withdrawalsTaken += 1;
+      balance -= scheduled;
+    }
+
+    const growth = balance * annualReturn;
+    const contribution = penaltyFree ? 0 : srs.annualContribution;
+    balance += growth + contribution;
+
+    const scheduledTax = calculateSrsWithdrawal(scheduled, true);
+    rows.push({
+      year,
+      age,
+      contribution,
+      withdrawal: dated.amount + scheduled,
+      taxable: dated.taxable + scheduledTax.taxable,
+      penalty: dated.penalty,
+      growth,
+      balance
+    });
+  }
+
+  return rows;
+};
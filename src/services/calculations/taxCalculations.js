@@ -2,19 +2,22 @@
  * Singapore Tax Calculation Utilities
  *
  * This module provides utilities for calculating Singapore personal income tax
- * based on IRAS tax rates and reliefs for Year of Assessment (YA) 2025.
+ * based on IRAS tax rates and reliefs. Rules are versioned by Year of Assessment (YA):
+ * TAX_RULES_SCHEDULE holds the brackets, relief caps and overall relief cap from each YA,
+ * and TAX_REBATES_BY_YA the one-off rebates announced for single YAs.
  *
  * References:
  * - IRAS Personal Income Tax Rates: https://www.iras.gov.sg/taxes/individual-income-tax/basics-of-individual-income-tax/tax-residency-and-tax-rates/individual-income-tax-rates
  * - Tax reliefs: https://www.iras.gov.sg/taxes/individual-income-tax/basics-of-individual-income-tax/tax-reliefs-rebates-and-deductions
- * - Updated for YA 2025
  */
 
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import { SRS_CITIZENSHIP, getSrsContributionCap } from './srs';
+
 /**
- * Singapore Personal Income Tax Brackets for YA 2025
- * Progressive tax system with rates from 0% to 24%
+ * Resident tax brackets from YA 2017, topping out at 22% above $320,000
  */
-const TAX_BRACKETS = [
+const TAX_BRACKETS_YA2017 = [
   { min: 0, max: 20000, rate: 0 },
   { min: 20000, max: 30000, rate: 0.02 },
   { min: 30000, max: 40000, rate: 0.035 },
@@ -25,13 +28,21 @@ const TAX_BRACKETS = [
   { min: 200000, max: 240000, rate: 0.19 },
   { min: 240000, max: 280000, rate: 0.195 },
   { min: 280000, max: 320000, rate: 0.20 },
+  { min: 320000, max: Infinity, rate: 0.22 }
+];
+
+/**
+ * Resident tax brackets from YA 2024: 23% above $500,000 and 24% above $1,000,000
+ */
+const TAX_BRACKETS_YA2024 = [
+  ...TAX_BRACKETS_YA2017.slice(0, -1),
   { min: 320000, max: 500000, rate: 0.22 },
   { min: 500000, max: 1000000, rate: 0.23 },
   { min: 1000000, max: Infinity, rate: 0.24 }
 ];
 
 /**
- * Tax Relief Types and Maximum Caps (YA 2025)
+ * Tax Relief Types and Maximum Caps
  */
 export const TAX_RELIEF_TYPES = {
   EARNED_INCOME: 'earned_income', // Automatic relief
@@ -46,30 +57,116 @@ export const TAX_RELIEF_TYPES = {
   NSman_SELF: 'nsman_self', // $3,000 (Active), $1,500 (Key Appointment Holder)
   NSman_WIFE: 'nsman_wife', // $750
   LIFE_INSURANCE: 'life_insurance', // Capped at $5,000 - $7,000
-  COURSE_FEES: 'course_fees', // Capped at $5,500
-  SUPPLEMENTARY_RETIREMENT: 'supplementary_retirement', // SRS - capped at $15,300
-  FOREIGN_DOMESTIC_WORKER: 'foreign_domestic_worker' // Twice levy, max $9,600
+  COURSE_FEES: 'course_fees', // Capped at $5,500, lapses from YA 2026
+  SUPPLEMENTARY_RETIREMENT: 'supplementary_retirement', // SRS - capped at $15,300, $35,700 for foreigners
+  CPF_CASH_TOPUP: 'cpf_cash_topup', // Cash top-ups to own SA/RA - $7,000, $8,000 from YA 2023
+  CPF_CASH_TOPUP_FAMILY: 'cpf_cash_topup_family', // Cash top-ups to family members' SA/RA - $7,000, $8,000 from YA 2023
+  MEDISAVE_VOLUNTARY: 'medisave_voluntary', // Voluntary MediSave contributions, within the CPF Annual Limit
+  FOREIGN_DOMESTIC_WORKER: 'foreign_domestic_worker' // Twice levy, max $9,600, lapses from YA 2025
+};
+
+/**
+ * Tax rules by Year of Assessment, oldest first. Each entry applies from its YA until the
+ * next one changes it, and lists only what changed. Relief caps are merged by relief type;
+ * a null cap means the relief has lapsed and claims for it are ignored.
+ *
+ * - brackets: resident progressive rates on chargeable income
+ * - reliefCaps: maximum claim per relief type
+ * - totalReliefCap: overall cap on personal reliefs (donations are deductions, not reliefs)
+ */
+export const TAX_RULES_SCHEDULE = [
+  {
+    fromYearOfAssessment: 2018,
+    brackets: TAX_BRACKETS_YA2017,
+    reliefCaps: {
+      [TAX_RELIEF_TYPES.EARNED_INCOME]: 1000, // Automatic for all (below 55)
+      [TAX_RELIEF_TYPES.CPF]: 20400, // Employee CPF on the $102,000 annual wage ceiling (20%)
+      [TAX_RELIEF_TYPES.SPOUSE]: 2000,
+      [TAX_RELIEF_TYPES.HANDICAPPED_SPOUSE]: 5500,
+      [TAX_RELIEF_TYPES.QUALIFYING_CHILD]: 4000,
+      [TAX_RELIEF_TYPES.HANDICAPPED_CHILD]: 7500,
+      [TAX_RELIEF_TYPES.PARENT]: 9000,
+      [TAX_RELIEF_TYPES.HANDICAPPED_PARENT]: 14000,
+      [TAX_RELIEF_TYPES.GRANDPARENT_CAREGIVER]: 3000,
+      [TAX_RELIEF_TYPES.NSman_SELF]: 3000,
+      [TAX_RELIEF_TYPES.NSman_WIFE]: 750,
+      [TAX_RELIEF_TYPES.LIFE_INSURANCE]: 5000,
+      [TAX_RELIEF_TYPES.COURSE_FEES]: 5500,
+      [TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]: 15300,
+      [TAX_RELIEF_TYPES.CPF_CASH_TOPUP]: 7000,
+      [TAX_RELIEF_TYPES.CPF_CASH_TOPUP_FAMILY]: 7000,
+      [TAX_RELIEF_TYPES.FOREIGN_DOMESTIC_WORKER]: 9600
+    },
+    totalReliefCap: 80000
+  },
+  {
+    // Top-ups from 1 January 2022
+    fromYearOfAssessment: 2023,
+    reliefCaps: {
+      [TAX_RELIEF_TYPES.CPF_CASH_TOPUP]: 8000,
+      [TAX_RELIEF_TYPES.CPF_CASH_TOPUP_FAMILY]: 8000
+    }
+  },
+  {
+    fromYearOfAssessment: 2024,
+    brackets: TAX_BRACKETS_YA2024
+  },
+  {
+    fromYearOfAssessment: 2025,
+    reliefCaps: { [TAX_RELIEF_TYPES.FOREIGN_DOMESTIC_WORKER]: null }
+  },
+  {
+    fromYearOfAssessment: 2026,
+    reliefCaps: { [TAX_RELIEF_TYPES.COURSE_FEES]: null }
+  }
+];
+
+/**
+ * One-off personal income tax rebates announced in Budgets: rate (%) of the tax, capped
+ */
+export const TAX_REBATES_BY_YA = {
+  2018: { rate: 20, cap: 500 },
+  2020: { rate: 25, cap: 500 },
+  2024: { rate: 50, cap: 200 },
+  2025: { rate: 60, cap: 200 }
+};
+
+// Every calculation is under a YA's rules; there is no default YA to fall back on
+const requireTaxRules = (rules) => {
+  if (!rules || !Array.isArray(rules.brackets) || !rules.reliefCaps) {
+    throw createFinancialError('Tax rules for a Year of Assessment are required', 'missing_year_of_assessment');
+  }
+  return rules;
 };
 
 /**
- * Tax relief caps and defaults
+ * Tax rules for a Year of Assessment. YAs before the first entry use it; YAs after the
+ * last use its rules with no one-off rebate.
+ *
+ * @param {number} yearOfAssessment - Year of Assessment
+ * @returns {Object} { yearOfAssessment, brackets, reliefCaps, totalReliefCap, rebate: { rate, cap } | null }
+ * @throws {Error} missing_year_of_assessment
  */
-const TAX_RELIEF_CAPS = {
-  [TAX_RELIEF_TYPES.EARNED_INCOME]: 1000, // Automatic for all
-  [TAX_RELIEF_TYPES.CPF]: 37740, // 20% + 17% of $6,000 * 12 = $6,660 (actual max based on salary cap)
-  [TAX_RELIEF_TYPES.SPOUSE]: 2000,
-  [TAX_RELIEF_TYPES.HANDICAPPED_SPOUSE]: 5500,
-  [TAX_RELIEF_TYPES.QUALIFYING_CHILD]: 4000,
-  [TAX_RELIEF_TYPES.HANDICAPPED_CHILD]: 7500,
-  [TAX_RELIEF_TYPES.PARENT]: 9000,
-  [TAX_RELIEF_TYPES.HANDICAPPED_PARENT]: 14000,
-  [TAX_RELIEF_TYPES.GRANDPARENT_CAREGIVER]: 3000,
-  [TAX_RELIEF_TYPES.NSman_SELF]: 3000,
-  [TAX_RELIEF_TYPES.NSman_WIFE]: 750,
-  [TAX_RELIEF_TYPES.LIFE_INSURANCE]: 5000,
-  [TAX_RELIEF_TYPES.COURSE_FEES]: 5500,
-  [TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]: 15300,
-  [TAX_RELIEF_TYPES.FOREIGN_DOMESTIC_WORKER]: 9600
+export const getTaxRules = (yearOfAssessment) => {
+  if (!Number.isInteger(yearOfAssessment)) {
+    throw createFinancialError('A Year of Assessment is required for tax rules', 'missing_year_of_assessment');
+  }
+
+  const rules = TAX_RULES_SCHEDULE
+    .filter((entry, position) => position === 0 || entry.fromYearOfAssessment <= yearOfAssessment)
+    .reduce((merged, entry) => ({
+      ...merged,
+      ...entry,
+      reliefCaps: { ...merged.reliefCaps, ...entry.reliefCaps }
+    }), { reliefCaps: {} });
+
+  return {
+    yearOfAssessment,
+    brackets: rules.brackets,
+    reliefCaps: rules.reliefCaps,
+    totalReliefCap: rules.totalReliefCap,
+    rebate: TAX_REBATES_BY_YA[yearOfAssessment] || null
+  };
 };
 
 /**
@@ -77,10 +174,11 @@ const TAX_RELIEF_CAPS = {
  * All tax residents get automatic $1,000 relief
  *
  * @param {number} assessableIncome - Assessable income
+ * @param {Object} rules - Tax rules from getTaxRules for the Year of Assessment
  * @returns {number} Earned income relief amount
  */
-export const calculateEarnedIncomeRelief = (assessableIncome) => {
-  return TAX_RELIEF_CAPS[TAX_RELIEF_TYPES.EARNED_INCOME];
+export const calculateEarnedIncomeRelief = (assessableIncome, rules) => {
+  return requireTaxRules(rules).reliefCaps[TAX_RELIEF_TYPES.EARNED_INCOME];
 };
 
 /**
@@ -89,33 +187,39 @@ export const calculateEarnedIncomeRelief = (assessableIncome) => {
  *
  * @param {number} employeeContribution - Employee CPF contribution for the year
  * @param {number} employerContribution - Employer CPF contribution for the year (optional)
+ * @param {Object} rules - Tax rules from getTaxRules for the Year of Assessment
  * @returns {number} CPF relief amount
  */
-export const calculateCpfRelief = (employeeContribution, employerContribution = 0) => {
+export const calculateCpfRelief = (employeeContribution, employerContribution = 0, rules) => {
+  requireTaxRules(rules);
   // Only employee's mandatory CPF contributions are automatically included as relief
   // Employer contributions don't count toward personal income tax relief
   const totalRelief = employeeContribution;
-  return Math.min(totalRelief, TAX_RELIEF_CAPS[TAX_RELIEF_TYPES.CPF]);
+  return Math.min(totalRelief, rules.reliefCaps[TAX_RELIEF_TYPES.CPF]);
 };
 
 /**
  * Calculate total tax reliefs based on provided relief claims
+ * Each claim is capped for its type, lapsed reliefs are ignored and the total is
+ * capped at the YA's overall relief cap.
  *
  * @param {Object} reliefs - Object containing relief types and amounts
- * @returns {Object} Total relief amount and breakdown
+ * @param {Object} rules - Tax rules from getTaxRules for the Year of Assessment
+ * @returns {Object} Total relief amount, breakdown and whether the overall cap applied
  */
-export const calculateTotalReliefs = (reliefs = {}) => {
+export const calculateTotalReliefs = (reliefs = {}, rules) => {
+  requireTaxRules(rules);
   let totalRelief = 0;
   const breakdown = {};
 
   // Earned income relief (automatic)
-  const earnedIncomeRelief = calculateEarnedIncomeRelief(reliefs.assessableIncome || 0);
+  const earnedIncomeRelief = calculateEarnedIncomeRelief(reliefs.assessableIncome || 0, rules);
   breakdown[TAX_RELIEF_TYPES.EARNED_INCOME] = earnedIncomeRelief;
   totalRelief += earnedIncomeRelief;
 
   // CPF relief (automatic based on contributions)
   if (reliefs.cpfContributions) {
-    const cpfRelief = calculateCpfRelief(reliefs.cpfContributions);
+    const cpfRelief = calculateCpfRelief(reliefs.cpfContributions, 0, rules);
     breakdown[TAX_RELIEF_TYPES.CPF] = cpfRelief;
     totalRelief += cpfRelief;
   }
@@ -129,16 +233,24 @@ export const calculateTotalReliefs = (reliefs = {}) => {
       return;
     }
 
+    // Skip reliefs that have lapsed for this YA
+    if (rules.reliefCaps[reliefType] === null) {
+      return;
+    }
+
     if (reliefs[reliefType] !== undefined && reliefs[reliefType] > 0) {
-      const cappedAmount = Math.min(reliefs[reliefType], TAX_RELIEF_CAPS[reliefType] || Infinity);
+      const cappedAmount = Math.min(reliefs[reliefType], rules.reliefCaps[reliefType] || Infinity);
       breakdown[reliefType] = cappedAmount;
       totalRelief += cappedAmount;
     }
   });
 
+  const reliefCapApplied = totalRelief > rules.totalReliefCap;
+
   return {
-    totalRelief: Math.round(totalRelief * 100) / 100,
-    breakdown
+    totalRelief: Math.round(Math.min(totalRelief, rules.totalReliefCap) * 100) / 100,
+    breakdown,
+    reliefCapApplied
   };
 };
 
@@ -146,9 +258,12 @@ export const calculateTotalReliefs = (reliefs = {}) => {
  * Calculate tax based on progressive tax brackets
  *
  * @param {number} chargeableIncome - Chargeable income (after reliefs)
+ * @param {Object} rules - Tax rules from getTaxRules for the Year of Assessment
  * @returns {Object} Tax amount and breakdown by bracket
  */
-export const calculateProgressiveTax = (chargeableIncome) => {
+export const calculateProgressiveTax = (chargeableIncome, rules) => {
+  const brackets = requireTaxRules(rules).brackets;
+
   if (chargeableIncome <= 0) {
     return {
       totalTax: 0,
@@ -162,7 +277,7 @@ export const calculateProgressiveTax = (chargeableIncome) => {
   const breakdown = [];
   let remainingIncome = chargeableIncome;
 
-  for (const bracket of TAX_BRACKETS) {
+  for (const bracket of brackets) {
     if (remainingIncome <= 0) break;
 
     const taxableInBracket = Math.min(
@@ -188,10 +303,10 @@ export const calculateProgressiveTax = (chargeableIncome) => {
 
   // Calculate effective and marginal tax rates
   const effectiveRate = (totalTax / chargeableIncome) * 100;
-  const marginalBracket = TAX_BRACKETS.find(
+  const marginalBracket = brackets.find(
     (b) => chargeableIncome > b.min && chargeableIncome <= b.max
   );
-  const marginalRate = marginalBracket ? marginalBracket.rate * 100 : TAX_BRACKETS[TAX_BRACKETS.length - 1].rate * 100;
+  const marginalRate = marginalBracket ? marginalBracket.rate * 100 : brackets[brackets.length - 1].rate * 100;
 
   return {
     totalTax: Math.round(totalTax * 100) / 100,
@@ -206,20 +321,49 @@ export const calculateProgressiveTax = (chargeableIncome) => {
  *
  * @param {number} grossIncome - Total gross annual income
  * @param {Object} options - Tax calculation options
+ * @param {number} options.yearOfAssessment - Year of Assessment whose rules apply (required)
  * @param {Object} options.reliefs - Tax reliefs to claim
  * @param {number} options.donations - Qualifying donations (2.5x tax deduction)
- * @param {number} options.rebate - Tax rebate percentage (government may provide rebates)
+ * @param {number} options.rebate - Tax rebate percentage; replaces the YA's one-off rebate when above 0
+ * @param {number} options.srsContributions - SRS contributions made in the income year, added to the SRS relief
+ * @param {string} options.srsCitizenship - SRS_CITIZENSHIP value; foreigners can claim up to their higher cap
  * @returns {Object} Complete tax calculation breakdown
+ * @throws {Error} missing_year_of_assessment
  */
 export const calculatePersonalIncomeTax = (grossIncome, options = {}) => {
-  const { reliefs = {}, donations = 0, rebate = 0 } = options;
+  const {
+    yearOfAssessment,
+    donations = 0,
+    rebate = 0,
+    srsContributions = 0,
+    srsCitizenship = SRS_CITIZENSHIP.CITIZEN_PR
+  } = options;
+  const yearRules = getTaxRules(yearOfAssessment);
+
+  // SRS relief is capped at the account holder's contribution cap
+  const rules = srsCitizenship === SRS_CITIZENSHIP.CITIZEN_PR
+    ? yearRules
+    : {
+      ...yearRules,
+      reliefCaps: {
+        ...yearRules.reliefCaps,
+        [TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]: getSrsContributionCap(srsCitizenship)
+      }
+    };
+  const reliefs = srsContributions > 0
+    ? {
+      ...options.reliefs,
+      [TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT]:
+        ((options.reliefs || {})[TAX_RELIEF_TYPES.SUPPLEMENTARY_RETIREMENT] || 0) + srsContributions
+    }
+    : options.reliefs || {};
 
   // Step 1: Calculate assessable income (gross income for employment)
   const assessableIncome = grossIncome;
 
   // Step 2: Calculate total reliefs
   reliefs.assessableIncome = assessableIncome;
-  const totalReliefs = calculateTotalReliefs(reliefs);
+  const totalReliefs = calculateTotalReliefs(reliefs, rules);
 
   // Step 3: Calculate qualifying donations deduction (2.5x tax deduction)
   const donationsDeduction = donations * 2.5;
@@ -228,20 +372,27 @@ export const calculatePersonalIncomeTax = (grossIncome, options = {}) => {
   const chargeableIncome = Math.max(0, assessableIncome - totalReliefs.totalRelief - donationsDeduction);
 
   // Step 5: Calculate tax on chargeable income
-  const taxCalculation = calculateProgressiveTax(chargeableIncome);
-
-  // Step 6: Apply tax rebate if any
-  const rebateAmount = rebate > 0 ? Math.min(taxCalculation.totalTax * (rebate / 100), taxCalculation.totalTax) : 0;
+  const taxCalculation = calculateProgressiveTax(chargeableIncome, rules);
+
+  // Step 6: Apply the rebate given, otherwise the YA's one-off rebate (capped)
+  let rebateAmount = 0;
+  if (rebate > 0) {
+    rebateAmount = Math.min(taxCalculation.totalTax * (rebate / 100), taxCalculation.totalTax);
+  } else if (rules.rebate) {
+    rebateAmount = Math.min(taxCalculation.totalTax * (rules.rebate.rate / 100), rules.rebate.cap);
+  }
   const finalTax = Math.max(0, taxCalculation.totalTax - rebateAmount);
 
   // Calculate take-home after tax
   const takeHomeIncome = grossIncome - finalTax;
 
   return {
+    yearOfAssessment,
     grossIncome: Math.round(grossIncome * 100) / 100,
     assessableIncome: Math.round(assessableIncome * 100) / 100,
     totalReliefs: totalReliefs.totalRelief,
     reliefBreakdown: totalReliefs.breakdown,
+    reliefCapApplied: totalReliefs.reliefCapApplied,
     donationsDeduction: Math.round(donationsDeduction * 100) / 100,
     chargeableIncome: Math.round(chargeableIncome * 100) / 100,
     taxBeforeRebate: taxCalculation.totalTax,
@@ -258,7 +409,7 @@ export const calculatePersonalIncomeTax = (grossIncome, options = {}) => {
  * Calculate monthly tax payable (for budgeting purposes)
  *
  * @param {number} monthlyGrossIncome - Monthly gross income
- * @param {Object} options - Tax calculation options (annualized)
+ * @param {Object} options - Tax calculation options (annualized), including yearOfAssessment
  * @returns {Object} Monthly tax estimate
  */
 export const calculateMonthlyTax = (monthlyGrossIncome, options = {}) => {
@@ -285,7 +436,7 @@ export const calculateMonthlyTax = (monthlyGrossIncome, options = {}) => {
  *
  * @param {number} currentAnnualIncome - Current annual income
  * @param {number} additionalIncome - Additional income (bonus, etc.)
- * @param {Object} options - Tax calculation options
+ * @param {Object} options - Tax calculation options, including yearOfAssessment
  * @returns {Object} Tax impact analysis
  */
 export const calculateBonusTaxImpact = (currentAnnualIncome, additionalIncome, options = {}) => {
@@ -329,15 +480,19 @@ export const compareTaxScenarios = (grossIncome, scenarios) => {
  * Non-residents are taxed at 15% or progressive rates, whichever is higher
  *
  * @param {number} grossIncome - Gross annual income
- * @param {number} employmentPeriodDays - Number of days worked in Singapore
+ * @param {Object} options - Tax calculation options
+ * @param {number} options.yearOfAssessment - Year of Assessment whose resident rates apply (required)
+ * @param {number} options.employmentPeriodDays - Number of days worked in Singapore
  * @returns {Object} Non-resident tax calculation
+ * @throws {Error} missing_year_of_assessment
  */
-export const calculateNonResidentTax = (grossIncome, employmentPeriodDays = 365) => {
+export const calculateNonResidentTax = (grossIncome, options = {}) => {
+  const { yearOfAssessment, employmentPeriodDays = 365 } = options;
   // Non-resident tax rate is 15% or progressive rates (whichever is higher)
   const flatRateTax = grossIncome * 0.15;
 
   // Calculate progressive tax (no reliefs for non-residents except earned income relief)
-  const progressiveTax = calculateProgressiveTax(grossIncome - 1000);
+  const progressiveTax = calculateProgressiveTax(grossIncome - 1000, getTaxRules(yearOfAssessment));
 
   const finalTax = Math.max(flatRateTax, progressiveTax.totalTax);
   const effectiveRate = (finalTax / grossIncome) * 100;
@@ -349,6 +504,111 @@ export const calculateNonResidentTax = (grossIncome, employmentPeriodDays = 365)
     finalTax: Math.round(finalTax * 100) / 100,
     effectiveRate: Math.round(effectiveRate * 100) / 100,
     taxMethod: finalTax === flatRateTax ? '15% Flat Rate' : 'Progressive Rates',
-    employmentPeriodDays
+    employmentPeriodDays,
+    yearOfAssessment
+  };
+};
+/**
+ * How the Notice of Assessment is paid
+ */
+export const TAX_PAYMENT_MODE = {
+  LUMP_SUM: 'lump_sum', // One payment about a month after the NOA
+  GIRO: 'giro' // 12 interest-free monthly instalments
+};
+
+/**
+ * Default month (1-12) of the Year of Assessment in which payment starts.
+ * NOAs for employees are mostly issued from April, with payment due a month later
+ * and GIRO deductions starting in May.
+ */
+export const DEFAULT_TAX_PAYMENT_MONTH = 5;
+
+/**
+ * Calculate tax for one Year of Assessment from the previous calendar year's employment income
+ *
+ * @param {number} incomeYear - Calendar year the income was earned in
+ * @param {Object} income - Income for that year
+ * @param {number} income.employmentIncome - Salary plus bonuses
+ * @param {number} income.employeeCpf - Employee CPF contributions (CPF relief)
+ * @param {number} income.srsContributions - SRS contributions (SRS relief)
+ * @param {number} income.srsTaxableWithdrawals - Taxable part of SRS withdrawals
+ * @param {Object} income.cpfTopUps - Cash top-ups { self, family, mediSave } (top-up and MediSave reliefs)
+ * @param {Object} options - Reliefs, donations, rebate and srsCitizenship as in calculatePersonalIncomeTax
+ * @returns {Object} Tax calculation under the following YA's rules, tagged with the Year of Assessment
+ */
+export const calculateYearOfAssessmentTax = (incomeYear, income, options = {}) => {
+  const {
+    employmentIncome = 0,
+    employeeCpf = 0,
+    srsContributions = 0,
+    srsTaxableWithdrawals = 0,
+    cpfTopUps = {}
+  } = income;
+  const { reliefs = {}, donations = 0, rebate = 0, srsCitizenship } = options;
+  const assessableIncome = employmentIncome + srsTaxableWithdrawals;
+
+  // Top-ups made in the year add to any top-up reliefs claimed by hand
+  const topUpReliefs = [
+    [TAX_RELIEF_TYPES.CPF_CASH_TOPUP, cpfTopUps.self],
+    [TAX_RELIEF_TYPES.CPF_CASH_TOPUP_FAMILY, cpfTopUps.family],
+    [TAX_RELIEF_TYPES.MEDISAVE_VOLUNTARY, cpfTopUps.mediSave]
+  ].reduce((claimed, [reliefType, amount]) => (
+    amount > 0 ? { ...claimed, [reliefType]: (claimed[reliefType] || 0) + amount } : claimed
+  ), reliefs);
+
+  const result = calculatePersonalIncomeTax(assessableIncome, {
+    yearOfAssessment: incomeYear + 1,
+    reliefs: { ...topUpReliefs, cpfContributions: employeeCpf },
+    donations,
+    rebate,
+    srsContributions,
+    srsCitizenship
+  });
+
+  return {
+    ...result,
+    // No income means no tax, and avoids a NaN effective rate
+    effectiveRate: assessableIncome > 0 ? result.effectiveRate : 0,
+    incomeYear,
+    yearOfAssessment: incomeYear + 1
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Spread a Year of Assessment's tax into monthly payments
+ *
+ * @param {number} amount - Tax payable for the YA
+ * @param {number} yearOfAssessment - Year of Assessment
+ * @param {string} mode - TAX_PAYMENT_MODE value
+ * @param {number} startMonth - Month (1-12) of the YA when payment starts
+ * @returns {Array<Object>} Payments [{ year, month, amount, instalment }]
+ */
+export const scheduleTaxPayments = (
+  amount,
+  yearOfAssessment,
+  mode = TAX_PAYMENT_MODE.LUMP_SUM,
+  startMonth = DEFAULT_TAX_PAYMENT_MONTH
+) => {
+  if (!(amount > 0)) return [];
+
+  const instalments = mode === TAX_PAYMENT_MODE.GIRO ? 12 : 1;
+  const regularAmount = Math.floor((amount / instalments) * 100) / 100;
+  const payments = [];
+
+  for (let i = 0; i < instalments; i++) {
+    const monthsFromStart = startMonth - 1 + i;
+    // The last instalment absorbs the rounding difference
+    const instalmentAmount = i === instalments - 1
+      ? Math.round((amount - regularAmount * (instalments - 1)) * 100) / 100
+      : regularAmount;
+
+    payments.push({
+      year: yearOfAssessment + Math.floor(monthsFromStart / 12),
+      month: (monthsFromStart % 12) + 1,
+      amount: instalmentAmount,
+      instalment: i + 1
+    });
+  }
+
+  return payments;
+};
@@ -0,0 +1,158 @@
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  DIFF_CHANGE,
+  createJsonExport,
+  parseJsonExport,
+  diffFinancialData,
+  prepareImport,
+  flattenProjectionRow,
+  buildExportSheets,
+  toCsv,
+  getExportFileName
+} from '../dataExport';
+import { CURRENT_SCHEMA_VERSION } from '../../migrations/schemaMigrations';
+
+const defaults = {
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  personalInfo: { birthday: { month: 9, year: 1996 }, currentSavings: 11000, currentCpfBalance: 15000 },
+  income: { currentSalary: 4800, employeeType: 'singaporean', salaryDay: 25 },
+  expenses: [{ id: 1, name: 'Rental', amount: 700, dueDay: 1 }],
+  yearlyBonuses: [],
+  yearlyExpenses: [],
+  upcomingSpending: [],
+  projectionSettings: { rowsToDisplay: 36, enableIntraMonthAnalysis: true, minimumCashBuffer: 1000 }
+};
+
+const current = {
+  ...defaults,
+  expenses: [
+    { id: 1, name: 'Rental', amount: 700, dueDay: 1 },
+    { id: 2, name: 'Food', amount: 600, dueDay: 15 }
+  ],
+  loans: []
+};
+
+describe('createJsonExport and parseJsonExport', () => {
+  it('round-trips the complete data in a versioned envelope', () => {
+    const text = createJsonExport(current, '2025-03-31T10:00:00.000Z');
+    const envelope = JSON.parse(text);
+
+    expect(envelope).toMatchObject({
+      format: EXPORT_FORMAT,
+      exportVersion: EXPORT_VERSION,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      exportedAt: '2025-03-31T10:00:00.000Z'
+    });
+    expect(parseJsonExport(text)).toEqual({ financialData: current, exportedAt: '2025-03-31T10:00:00.000Z' });
+  });
+
+  it('accepts bare financial data and rejects anything else', () => {
+    expect(parseJsonExport(JSON.stringify({ personalInfo: {} })).financialData).toEqual({ personalInfo: {} });
+    expect(() => parseJsonExport('{not json')).toThrow('not valid JSON');
+    expect(() => parseJsonExport('[1, 2]')).toThrow('does not contain financial data');
+    expect(() => parseJsonExport(JSON.stringify({ format: EXPORT_FORMAT, exportVersion: EXPORT_VERSION + 1, financialData: {} })))
+      .toThrow('newer version');
+  });
+});
+
+describe('diffFinancialData', () => {
+  it('lists added, removed and changed fields with what changed inside them', () => {
+    const incoming = {
+      ...current,
+      income: { ...current.income, currentSalary: 5200 },
+      expenses: [
+        { id: 1, name: 'Rental', amount: 900, dueDay: 1 },
+        { id: 3, name: 'Gym', amount: 80, dueDay: 5 }
+      ],
+      goals: [{ id: 1 }]
+    };
+    delete incoming.loans;
+
+    expect(diffFinancialData(current, incoming)).toEqual([
+      { field: 'income', change: DIFF_CHANGE.CHANGED, current: '3 settings', incoming: '3 settings', details: ['currentSalary: 4800 → 5200'] },
+      { field: 'expenses', change: DIFF_CHANGE.CHANGED, current: '2 items', incoming: '2 items', details: ['1 added', '1 removed', '1 edited'] },
+      { field: 'loans', change: DIFF_CHANGE.REMOVED, current: '0 items', incoming: 'none', details: [] },
+      { field: 'goals', change: DIFF_CHANGE.ADDED, current: 'none', incoming: '1 item', details: [] }
+    ]);
+  });
+});
+
+describe('prepareImport', () => {
+  it('migrates an older export and compares it with the current data', () => {
+    const oldExport = JSON.stringify({
+      personalInfo: { birthday: 'March 1990', currentSavings: 20000 },
+      income: { currentSalary: 6000 },
+      expenses: { rental: 1200 }
+    });
+
+    const result = prepareImport(oldExport, current, defaults);
+
+    expect(result.fromVersion).toBe(1);
+    expect(result.migrated).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(result.data.expenses).toEqual([{ id: 1, name: 'Rental', amount: 1200, dueDay: 1 }]);
+    expect(result.diff.map(entry => entry.field)).toEqual(expect.arrayContaining(['personalInfo', 'income', 'expenses', 'loans']));
+  });
+
+  it('reports validation errors without applying anything', () => {
+    const invalid = createJsonExport({ ...current, income: { currentSalary: -1 }, loans: 'none' });
+    expect(prepareImport(invalid, current, defaults).errors).toEqual([
+      'Monthly salary cannot be negative',
+      'loans must be a list'
+    ]);
+  });
+
+  it('refuses exports from a newer schema', () => {
+    const newer = createJsonExport({ ...current, schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+    expect(() => prepareImport(newer, current, defaults)).toThrow('newer version of the app');
+  });
+});
+
+describe('buildExportSheets', () => {
+  it('builds the list sheets and a flattened projection sheet', () => {
+    const projection = [
+      { date: 'Jan 2025', cashSavings: 1000, isBonus: false, goalBalances: {}, upcomingSpendingItems: [] },
+      { date: 'Feb 2025', cashSavings: 2000, isBonus: true, goalBalances: { 7: 500 }, upcomingSpendingItems: [{ id: 1 }] }
+    ];
+
+    const sheets = buildExportSheets(current, projection);
+
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Expenses', 'Bonuses', 'Yearly Expenses', 'Upcoming Spending', 'Projection']);
+    expect(sheets[0].rows).toHaveLength(2);
+    expect(sheets[4].columns.map(column => column.key)).toEqual(['date', 'cashSavings', 'isBonus', 'goalBalances.7']);
+    expect(sheets[4].rows[1]).toEqual({ date: 'Feb 2025', cashSavings: 2000, isBonus: 'Yes', 'goalBalances.7': 500 });
+  });
+
+  it('flattens one level of nested balances', () => {
+    expect(flattenProjectionRow({ cpfAllocation: { ordinary: 0.6, nested: { a: 1 } }, holdingBalances: null }))
+      .toEqual({ 'cpfAllocation.ordinary': 0.6, holdingBalances: null });
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes fields that need it and neutralises formulas', () => {
+    const csv = toCsv({
+      columns: [{ key: 'name', label: 'Name' }, { key: 'amount', label: 'Amount' }],
+      rows: [
+        { name: 'Rent, "main"', amount: 1200 },
+        { name: '=HYPERLINK("x")', amount: -5 },
+        { name: 'Blank' }
+      ]
+    });
+
+    expect(csv.split('\r\n')).toEqual([
+      'Name,Amount',
+      '"Rent, ""main""",1200',
+      '"\'=HYPERLINK(""x"")",-5',
+      'Blank,'
+    ]);
+  });
+});
+
+describe('getExportFileName', () => {
+  it('dates the file and makes the name safe', () => {
+    expect(getExportFileName('Upcoming Spending', 'csv', new Date(2025, 2, 5))).toBe('upcoming-spending-2025-03-05.csv');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+import { createZip, createXlsxWorkbook, toSheetName } from '../xlsxWriter';
+
+// Read the entries of a stored (uncompressed) zip from its central directory
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const endOffset = bytes.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.slice(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries[name] = {
+      crc: view.getUint32(offset + 16, true),
+      content: decoder.decode(bytes.slice(dataStart, dataStart + size))
+    };
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('createZip', () => {
+  it('stores each file with its CRC-32', () => {
+    const entries = readZip(createZip([{ path: 'a.txt', content: 'hello' }, { path: 'dir/b.txt', content: 'héllo' }]));
+
+    expect(entries['a.txt']).toEqual({ crc: 0x3610a686, content: 'hello' });
+    expect(entries['dir/b.txt'].content).toBe('héllo');
+  });
+});
+
+describe('toSheetName', () => {
+  it('removes characters Excel rejects, shortens long names and keeps names unique', () => {
+    expect(toSheetName('Income/Expenses [2025]')).toBe('Income Expenses  2025');
+    expect(toSheetName('A very long sheet name that goes on and on')).toHaveLength(31);
+    expect(toSheetName('Expenses', ['Expenses'])).toBe('Expenses (2)');
+  });
+});
+
+describe('createXlsxWorkbook', () => {
+  it('writes a workbook part and one worksheet per sheet', () => {
+    const entries = readZip(createXlsxWorkbook([
+      {
+        name: 'Expenses',
+        columns: [{ key: 'name', label: 'Name' }, { key: 'amount', label: 'Amount' }],
+        rows: [{ name: 'Rent & <utilities>', amount: 1200.5 }, { name: 'Food' }]
+      },
+      { name: 'Projection', columns: [{ key: 'date', label: 'date' }], rows: [] }
+    ]));
+
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]));
+    expect(entries['xl/workbook.xml'].content).toContain('<sheet name="Expenses" sheetId="1" r:id="rId1"/>');
+
+    const sheet = entries['xl/worksheets/sheet1.xml'].content;
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Name</t></is></c>');
+    expect(sheet).toContain('<t xml:space="preserve">Rent &amp; &lt;utilities&gt;</t>');
+    expect(sheet).toContain('<c r="B2"><v>1200.5</v></c>');
+    expect(sheet).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">Food</t></is></c></row>');
+  });
+});
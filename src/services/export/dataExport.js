@@ -0,0 +1,322 @@
+/**
+ * Data Export and Import
+ *
+ * The JSON export is the complete financialData wrapped in a versioned envelope:
+ *
+ * { format, exportVersion, schemaVersion, exportedAt, financialData }
+ *
+ * Importing runs the schema migrations, so exports from older versions of the app load, and
+ * validates the result. CSV and XLSX exports are spreadsheets for reading the data elsewhere;
+ * only JSON is imported back.
+ */
+
+import { createFinancialError, validateFinancialData } from '../../utils/errors/ErrorUtils';
+import { getSchemaVersion, migrateFinancialData } from '../migrations/schemaMigrations';
+import { isEqualValue } from '../sync/syncEngine';
+
+/**
+ * Identifies files written by this app's export
+ */
+export const EXPORT_FORMAT = 'my-financial-dashboard';
+
+/**
+ * Version of the export envelope (the data inside has its own schemaVersion)
+ */
+export const EXPORT_VERSION = 1;
+
+/**
+ * How a top-level field differs between the current data and an import
+ */
+export const DIFF_CHANGE = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Serialise financialData as a JSON export
+ *
+ * @param {Object} financialData - Complete financial data
+ * @param {string} [exportedAt=now] - ISO time of the export
+ * @returns {string} JSON text
+ */
+export const createJsonExport = (financialData, exportedAt = new Date().toISOString()) =>
+  JSON.stringify({
+    format: EXPORT_FORMAT,
+    exportVersion: EXPORT_VERSION,
+    schemaVersion: getSchemaVersion(financialData),
+    exportedAt,
+    financialData
+  }, null, 2);
+
+/**
+ * Read a JSON export. A bare financialData object (such as a copy of the Firestore document's
+ * financialData) is accepted too.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { financialData, exportedAt }
+ * @throws {Error} invalid_import if the file isn't an export
+ */
+export const parseJsonExport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw createFinancialError('The file is not valid JSON', 'invalid_import');
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw createFinancialError('The file does not contain financial data', 'invalid_import');
+  }
+
+  if (parsed.format === EXPORT_FORMAT) {
+    if (parsed.exportVersion > EXPORT_VERSION) {
+      throw createFinancialError('The file was exported by a newer version of the app', 'invalid_import');
+    }
+    if (!isPlainObject(parsed.financialData)) {
+      throw createFinancialError('The export does not contain financial data', 'invalid_import');
+    }
+    return {
+      // The envelope's schemaVersion stands in if the data itself has none
+      financialData: { schemaVersion: parsed.schemaVersion, ...parsed.financialData },
+      exportedAt: parsed.exportedAt || null
+    };
+  }
+
+  if (!isPlainObject(parsed.personalInfo)) {
+    throw createFinancialError('The file does not contain financial data', 'invalid_import');
+  }
+  return { financialData: parsed, exportedAt: null };
+};
+
+// Short description of a field's value for the import preview
+const summarizeValue = (value) => {
+  if (value === undefined) return 'none';
+  if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  if (isPlainObject(value)) return `${Object.keys(value).length} setting${Object.keys(value).length === 1 ? '' : 's'}`;
+  return String(value);
+};
+
+// Which nested values of an object field differ, e.g. ['currentSalary: 4800 → 5200']
+const describeObjectChanges = (current, incoming) =>
+  [...new Set([...Object.keys(current), ...Object.keys(incoming)])]
+    .filter(key => !isEqualValue(current[key], incoming[key]))
+    .map(key => `${key}: ${summarizeValue(current[key])} → ${summarizeValue(incoming[key])}`);
+
+// Items of a list field that were added, removed or edited, matched by id
+const describeListChanges = (current, incoming) => {
+  const currentById = new Map(current.filter(item => item && item.id !== undefined).map(item => [item.id, item]));
+  const incomingById = new Map(incoming.filter(item => item && item.id !== undefined).map(item => [item.id, item]));
+  if (currentById.size !== current.length || incomingById.size !== incoming.length) {
+    return [];
+  }
+
+  const added = [...incomingById.keys()].filter(id => !currentById.has(id)).length;
+  const removed = [...currentById.keys()].filter(id => !incomingById.has(id)).length;
+  const edited = [...incomingById.keys()]
+    .filter(id => currentById.has(id) && !isEqualValue(currentById.get(id), incomingById.get(id))).length;
+
+  return [
+    added > 0 && `${added} added`,
+    removed > 0 && `${removed} removed`,
+    edited > 0 && `${edited} edited`
+  ].filter(Boolean);
+};
+
+/**
+ * Compare the current data with data about to be imported, field by field
+ *
+ * @param {Object} current - Current financial data
+ * @param {Object} incoming - Data to import
+ * @returns {Array<Object>} [{ field, change, current, incoming, details }] for fields that differ
+ */
+export const diffFinancialData = (current, incoming) =>
+  [...new Set([...Object.keys(current || {}), ...Object.keys(incoming || {})])]
+    .filter(field => !isEqualValue(current[field], incoming[field]))
+    .map(field => {
+      const currentValue = current[field];
+      const incomingValue = incoming[field];
+      let change = DIFF_CHANGE.CHANGED;
+      if (currentValue === undefined) change = DIFF_CHANGE.ADDED;
+      if (incomingValue === undefined) change = DIFF_CHANGE.REMOVED;
+
+      let details = [];
+      if (change === DIFF_CHANGE.CHANGED && isPlainObject(currentValue) && isPlainObject(incomingValue)) {
+        details = describeObjectChanges(currentValue, incomingValue);
+      } else if (change === DIFF_CHANGE.CHANGED && Array.isArray(currentValue) && Array.isArray(incomingValue)) {
+        details = describeListChanges(currentValue, incomingValue);
+      }
+
+      return {
+        field,
+        change,
+        current: summarizeValue(currentValue),
+        incoming: summarizeValue(incomingValue),
+        details
+      };
+    });
+
+/**
+ * Read, migrate and validate an import, and compare it with the current data
+ * Nothing is applied; the caller shows the preview and replaces the data if confirmed.
+ *
+ * @param {string} text - File contents
+ * @param {Object} currentData - Current financial data
+ * @param {Object} defaults - Default financial data, used by the migrations
+ * @returns {Object} { data, exportedAt, fromVersion, migrated, errors, diff }
+ * @throws {Error} invalid_import or unsupported_schema_version
+ */
+export const prepareImport = (text, currentData, defaults) => {
+  const { financialData, exportedAt } = parseJsonExport(text);
+  const migration = migrateFinancialData(financialData, defaults);
+  const validation = validateFinancialData(migration.data);
+
+  return {
+    data: migration.data,
+    exportedAt,
+    fromVersion: migration.fromVersion,
+    migrated: migration.applied.length > 0,
+    errors: validation.errors,
+    diff: diffFinancialData(currentData, migration.data)
+  };
+};
+
+// Fields shared by the list sheets and their column headers
+const LIST_SHEETS = [
+  {
+    field: 'expenses',
+    name: 'Expenses',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'amount', label: 'Monthly Amount' },
+      { key: 'dueDay', label: 'Due Day' }
+    ]
+  },
+  {
+    field: 'yearlyBonuses',
+    name: 'Bonuses',
+    columns: [
+      { key: 'description', label: 'Description' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'month', label: 'Month' },
+      { key: 'year', label: 'Year' }
+    ]
+  },
+  {
+    field: 'yearlyExpenses',
+    name: 'Yearly Expenses',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'month', label: 'Month' },
+      { key: 'startYear', label: 'Start Year' },
+      { key: 'endYear', label: 'End Year' }
+    ]
+  },
+  {
+    field: 'upcomingSpending',
+    name: 'Upcoming Spending',
+    columns: [
+      { key: 'name', label: 'Name' },
+      { key: 'amount', label: 'Amount' },
+      { key: 'day', label: 'Day' },
+      { key: 'month', label: 'Month' },
+      { key: 'year', label: 'Year' },
+      { key: 'description', label: 'Description' }
+    ]
+  }
+];
+
+/**
+ * Flatten a projection month into spreadsheet cells: nested balances such as goalBalances become
+ * goalBalances.<id> columns, and item lists are left out (their descriptions are kept).
+ *
+ * @param {Object} row - useProjection month
+ * @returns {Object} Flat row
+ */
+export const flattenProjectionRow = (row) =>
+  Object.entries(row).reduce((flat, [key, value]) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([subKey, subValue]) => {
+        if (!isPlainObject(subValue) && !Array.isArray(subValue)) {
+          flat[`${key}.${subKey}`] = subValue;
+        }
+      });
+    } else if (typeof value === 'boolean') {
+      flat[key] = value ? 'Yes' : 'No';
+    } else if (!Array.isArray(value)) {
+      flat[key] = value;
+    }
+    return flat;
+  }, {});
+
+/**
+ * Spreadsheet sheets for the CSV and XLSX exports
+ *
+ * @param {Object} financialData - Financial data
+ * @param {Array<Object>} [projection=[]] - useProjection months
+ * @returns {Array<Object>} [{ id, name, columns, rows }]
+ */
+export const buildExportSheets = (financialData, projection = []) => {
+  const listSheets = LIST_SHEETS.map(({ field, name, columns }) => ({
+    id: field,
+    name,
+    columns,
+    rows: Array.isArray(financialData[field]) ? financialData[field] : []
+  }));
+
+  const projectionRows = (projection || []).map(flattenProjectionRow);
+  // Columns in the order they first appear; goal and holding columns can start part-way through
+  const projectionKeys = projectionRows.reduce((keys, row) => {
+    Object.keys(row).forEach(key => keys.add(key));
+    return keys;
+  }, new Set());
+
+  return [
+    ...listSheets,
+    {
+      id: 'projection',
+      name: 'Projection',
+      columns: [...projectionKeys].map(key => ({ key, label: key })),
+      rows: projectionRows
+    }
+  ];
+};
+
+// Quote fields that need it, and stop spreadsheet apps reading text as a formula
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write a sheet as CSV with a header row
+ *
+ * @param {Object} sheet - { columns, rows }
+ * @returns {string} CSV text
+ */
+export const toCsv = ({ columns, rows }) =>
+  [
+    columns.map(column => toCsvField(column.label)).join(','),
+    ...rows.map(row => columns.map(column => toCsvField(row[column.key])).join(','))
+  ].join('\r\n');
+
+/**
+ * File name for an export, e.g. financial-data-2025-03-31.json
+ *
+ * @param {string} name - What is exported
+ * @param {string} extension - File extension
+ * @param {Date} [date=new Date()] - Export date
+ * @returns {string} File name
+ */
+export const getExportFileName = (name, extension, date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.${extension}`;
+};
@@ -0,0 +1,237 @@
+/**
+ * XLSX Writer
+ *
+ * Writes a minimal Office Open XML workbook: one worksheet per sheet, a bold header row,
+ * numbers as numbers and everything else as inline strings. The parts are packed into a zip
+ * without compression, which every spreadsheet app reads, so no zip library is needed.
+ *
+ * Sheet: { name, columns: [{ key, label }], rows: [Object] }
+ */
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// ZIP "stored" (uncompressed) entries, version 2.0
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+const encodeText = (text) => new TextEncoder().encode(text);
+
+let crcTable = null;
+
+// CRC-32 (IEEE) as used by ZIP
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Little-endian header fields: [[size in bytes, value], ...]
+const writeFields = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((sum, [size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  fields.forEach(([size, value]) => {
+    if (size === 2) {
+      view.setUint16(offset, value, true);
+    } else {
+      view.setUint32(offset, value, true);
+    }
+    offset += size;
+  });
+  return bytes;
+};
+
+const concatBytes = (parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+/**
+ * Pack files into an uncompressed ZIP archive
+ *
+ * @param {Array<Object>} files - [{ path, content }] with string content
+ * @returns {Uint8Array} ZIP archive
+ */
+export const createZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ path, content }) => {
+    const name = encodeText(path);
+    const data = encodeText(content);
+    const crc = crc32(data);
+    // Shared by the local and central headers: version, flags, method, time, date, crc, sizes, name length
+    const common = [
+      [2, UTF8_FLAG], [2, 0], [2, 0], [2, 0x21],
+      [4, crc], [4, data.length], [4, data.length], [2, name.length]
+    ];
+
+    const localHeader = writeFields([[4, 0x04034b50], [2, ZIP_VERSION], ...common, [2, 0]]);
+    localParts.push(localHeader, name, data);
+
+    centralParts.push(
+      writeFields([
+        [4, 0x02014b50], [2, ZIP_VERSION], [2, ZIP_VERSION], ...common,
+        [2, 0], [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]
+      ]),
+      name
+    );
+    offset += localHeader.length + name.length + data.length;
+  });
+
+  const central = concatBytes(centralParts);
+  const end = writeFields([
+    [4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length],
+    [4, central.length], [4, offset], [2, 0]
+  ]);
+  return concatBytes([...localParts, central, end]);
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines aren't allowed in XML
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// Column letters for a zero-based index: 0 → A, 26 → AA
+const columnName = (index) => {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+const cellXml = (value, reference, style = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const worksheetXml = ({ columns, rows }) => {
+  const header = `<row r="1">${columns.map((column, index) => cellXml(column.label, `${columnName(index)}1`, 1)).join('')}</row>`;
+  const body = rows.map((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns.map((column, index) => cellXml(row[column.key], `${columnName(index)}${rowNumber}`)).join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${header}${body}</sheetData></worksheet>`;
+};
+
+/**
+ * Sheet name Excel accepts: no []:*?/\ and at most 31 characters, unique in the workbook
+ *
+ * @param {string} name - Requested name
+ * @param {Array<string>} usedNames - Names already in the workbook
+ * @returns {string} Sheet name
+ */
+export const toSheetName = (name, usedNames = []) => {
+  const base = (String(name).replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, MAX_SHEET_NAME_LENGTH);
+  let candidate = base;
+  let suffix = 2;
+  while (usedNames.includes(candidate)) {
+    const tag = ` (${suffix++})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - tag.length) + tag;
+  }
+  return candidate;
+};
+
+/**
+ * Build an .xlsx workbook
+ *
+ * @param {Array<Object>} sheets - Sheets to write, in tab order
+ * @returns {Uint8Array} Workbook file contents
+ */
+export const createXlsxWorkbook = (sheets) => {
+  const names = sheets.reduce((used, sheet) => [...used, toSheetName(sheet.name, used)], []);
+
+  const files = [
+    {
+      path: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, index) =>
+          `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('')
+        + '</Types>'
+    },
+    {
+      path: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      path: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>`
+        + '</workbook>'
+    },
+    {
+      path: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, index) =>
+          `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      // Style 0 is the default; style 1 is the bold header
+      path: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    ...sheets.map((sheet, index) => ({ path: `xl/worksheets/sheet${index + 1}.xml`, content: worksheetXml(sheet) }))
+  ];
+
+  return createZip(files);
+};
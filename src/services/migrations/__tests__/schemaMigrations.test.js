@@ -0,0 +1,177 @@
+import {
+  SCHEMA_VERSION_FIELD,
+  INITIAL_SCHEMA_VERSION,
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  migrateExpenseList,
+  migrateIncomeFields,
+  migratePersonalInfo,
+  migrateProjectionFields,
+  removeGeneratedNetWorthHistory,
+  getSchemaVersion,
+  migrateFinancialData,
+  getMigrationBackupKey
+} from '../schemaMigrations';
+
+const defaults = {
+  personalInfo: { birthday: { month: 9, year: 1996 }, currentSavings: 11000, currentCpfBalance: 15000 },
+  income: { currentSalary: 4800, employeeType: 'singaporean', salaryDay: 25 },
+  expenses: [
+    { id: 1, name: 'Rental', amount: 700, dueDay: 1 },
+    { id: 2, name: 'Food', amount: 600, dueDay: 15 }
+  ],
+  yearlyBonuses: [{ id: 1, year: 2025, month: 12, amount: 5000 }],
+  yearlyExpenses: [],
+  upcomingSpending: [],
+  projectionSettings: { rowsToDisplay: 36, enableIntraMonthAnalysis: true, minimumCashBuffer: 1000 }
+};
+
+// A document as it was saved before any of the migrations
+const legacyDocument = {
+  personalInfo: { birthday: 'March 1990', currentSavings: 20000, employmentStart: 'May 2015', projectionStart: 'Jan 2023' },
+  income: { currentSalary: 6000, futureSalary: 7000, salaryAdjustmentMonth: 6, salaryAdjustmentYear: 2024 },
+  expenses: { rental: 1200, food: 500 },
+  netWorthHistory: [{ date: '2024-01', value: 123 }],
+  assetCategories: [],
+  liabilityCategories: []
+};
+
+describe('migration registry', () => {
+  it('runs in consecutive version order from the initial version', () => {
+    expect(MIGRATIONS.map(migration => migration.version)).toEqual(
+      MIGRATIONS.map((_, index) => INITIAL_SCHEMA_VERSION + index + 1)
+    );
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+});
+
+describe('migrateExpenseList', () => {
+  it('converts the old expense object to a list with due days', () => {
+    expect(migrateExpenseList({ expenses: { rental: 1200, entertainment: 150 } }, defaults).expenses).toEqual([
+      { id: 1, name: 'Rental', amount: 1200, dueDay: 1 },
+      { id: 4, name: 'Entertainment', amount: 150, dueDay: 15 }
+    ]);
+  });
+
+  it('falls back to the default expenses when none can be read and keeps existing due days', () => {
+    expect(migrateExpenseList({ expenses: { other: 'x' } }, defaults).expenses).toEqual(defaults.expenses);
+    expect(migrateExpenseList({ expenses: [{ id: 9, amount: 50, dueDay: 3 }] }, defaults).expenses)
+      .toEqual([{ id: 9, amount: 50, dueDay: 3 }]);
+  });
+
+  it('does not modify its input', () => {
+    const data = { expenses: [{ id: 1, amount: 10 }] };
+    migrateExpenseList(data, defaults);
+    expect(data).toEqual({ expenses: [{ id: 1, amount: 10 }] });
+  });
+});
+
+describe('migrateIncomeFields', () => {
+  it('adds the employee type and salary day and drops the old salary adjustment', () => {
+    expect(migrateIncomeFields({ income: legacyDocument.income }, defaults).income).toEqual({
+      currentSalary: 6000,
+      employeeType: 'singaporean',
+      salaryDay: 25
+    });
+    expect(migrateIncomeFields({ income: { employeeType: 'pr_1st_year', salaryDay: 1 } }, defaults).income)
+      .toEqual({ employeeType: 'pr_1st_year', salaryDay: 1 });
+  });
+});
+
+describe('migratePersonalInfo', () => {
+  it('parses text birthdays, adds the CPF balance and drops the start dates', () => {
+    expect(migratePersonalInfo({ personalInfo: legacyDocument.personalInfo }, defaults).personalInfo).toEqual({
+      birthday: { month: 3, year: 1990 },
+      currentSavings: 20000,
+      currentCpfBalance: 15000
+    });
+  });
+
+  it('uses the default birthday when it is missing or unreadable', () => {
+    expect(migratePersonalInfo({ personalInfo: { birthday: 'sometime' } }, defaults).personalInfo.birthday)
+      .toEqual(defaults.personalInfo.birthday);
+    expect(migratePersonalInfo({ personalInfo: {} }, defaults).personalInfo.birthday)
+      .toEqual(defaults.personalInfo.birthday);
+  });
+});
+
+describe('migrateProjectionFields', () => {
+  it('adds missing lists and fills in missing projection settings', () => {
+    const migrated = migrateProjectionFields({
+      yearlyExpenses: [{ id: 1 }],
+      projectionSettings: { rowsToDisplay: 120 }
+    }, defaults);
+
+    expect(migrated.yearlyBonuses).toEqual(defaults.yearlyBonuses);
+    expect(migrated.yearlyExpenses).toEqual([{ id: 1 }]);
+    expect(migrated.upcomingSpending).toEqual([]);
+    expect(migrated.projectionSettings).toEqual({ rowsToDisplay: 120, enableIntraMonthAnalysis: true, minimumCashBuffer: 1000 });
+  });
+});
+
+describe('removeGeneratedNetWorthHistory', () => {
+  it('drops the placeholder history and categories', () => {
+    expect(removeGeneratedNetWorthHistory({ loans: [], netWorthHistory: [], assetCategories: [] })).toEqual({ loans: [] });
+  });
+});
+
+describe('getSchemaVersion', () => {
+  it('treats documents without a version as the initial version', () => {
+    expect(getSchemaVersion({})).toBe(INITIAL_SCHEMA_VERSION);
+    expect(getSchemaVersion({ [SCHEMA_VERSION_FIELD]: 4 })).toBe(4);
+  });
+});
+
+describe('migrateFinancialData', () => {
+  it('runs every pending migration on a legacy document', () => {
+    const result = migrateFinancialData(legacyDocument, defaults);
+
+    expect(result.fromVersion).toBe(INITIAL_SCHEMA_VERSION);
+    expect(result.toVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(result.applied).toEqual(MIGRATIONS.map(migration => migration.version));
+    expect(result.data).toEqual({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      personalInfo: { birthday: { month: 3, year: 1990 }, currentSavings: 20000, currentCpfBalance: 15000 },
+      income: { currentSalary: 6000, employeeType: 'singaporean', salaryDay: 25 },
+      expenses: [
+        { id: 1, name: 'Rental', amount: 1200, dueDay: 1 },
+        { id: 2, name: 'Food', amount: 500, dueDay: 15 }
+      ],
+      yearlyBonuses: defaults.yearlyBonuses,
+      yearlyExpenses: [],
+      upcomingSpending: [],
+      projectionSettings: defaults.projectionSettings
+    });
+    // The loaded document is left as it was for the backup
+    expect(legacyDocument.expenses).toEqual({ rental: 1200, food: 500 });
+  });
+
+  it('only runs migrations after the document version', () => {
+    const result = migrateFinancialData({ [SCHEMA_VERSION_FIELD]: 5, netWorthHistory: [], loans: [] }, defaults);
+
+    expect(result.applied).toEqual([6]);
+    expect(result.data).toEqual({ [SCHEMA_VERSION_FIELD]: 6, loans: [] });
+  });
+
+  it('leaves current documents alone and starts from the defaults without data', () => {
+    const current = { [SCHEMA_VERSION_FIELD]: CURRENT_SCHEMA_VERSION, loans: [] };
+    expect(migrateFinancialData(current, defaults)).toEqual({
+      data: current,
+      fromVersion: CURRENT_SCHEMA_VERSION,
+      toVersion: CURRENT_SCHEMA_VERSION,
+      applied: []
+    });
+    expect(migrateFinancialData(null, defaults).data).toEqual({ ...defaults, [SCHEMA_VERSION_FIELD]: CURRENT_SCHEMA_VERSION });
+  });
+
+  it('refuses documents from a newer schema', () => {
+    expect(() => migrateFinancialData({ [SCHEMA_VERSION_FIELD]: CURRENT_SCHEMA_VERSION + 1 }, defaults))
+      .toThrow('newer version of the app');
+  });
+});
+
+describe('getMigrationBackupKey', () => {
+  it('keys the backup by record and version', () => {
+    expect(getMigrationBackupKey('financialData:abc', 1)).toBe('financialData:abc:backup-v1');
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Schema Migrations
+ *
+ * financialData carries a schemaVersion. Documents saved before it existed are version 1.
+ * Each migration upgrades a document by one version. It is a pure function of the document and
+ * the app's default data (used to fill in fields that are missing), so steps can be tested alone.
+ *
+ * To change the shape of financialData, append a migration with the next version number and update
+ * the defaults in FinancialContext; never edit a migration that has shipped.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Field holding the schema version in financialData
+ */
+export const SCHEMA_VERSION_FIELD = 'schemaVersion';
+
+/**
+ * Version of documents saved before versioning
+ */
+export const INITIAL_SCHEMA_VERSION = 1;
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Expense amounts were once stored as { rental, food, transportation, entertainment }
+const LEGACY_EXPENSE_FIELDS = [
+  { key: 'rental', id: 1, name: 'Rental' },
+  { key: 'food', id: 2, name: 'Food' },
+  { key: 'transportation', id: 3, name: 'Transportation' },
+  { key: 'entertainment', id: 4, name: 'Entertainment' }
+];
+
+// Copy of an object without the given keys
+const omitKeys = (object, keys) =>
+  Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+
+// "September 1996" → { month: 9, year: 1996 }, or null when it can't be read
+const parseMonthYear = (value) => {
+  const parts = value.split(' ');
+  if (parts.length !== 2) {
+    return null;
+  }
+  const month = MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(parts[0].toLowerCase())) + 1 || 1;
+  const year = parseInt(parts[1], 10);
+  return isNaN(year) ? null : { month, year };
+};
+
+/**
+ * v1 → v2: expenses become a list of { id, name, amount, dueDay }
+ *
+ * @param {Object} data - Version 1 document
+ * @param {Object} defaults - Default financial data
+ * @returns {Object} Version 2 document
+ */
+export const migrateExpenseList = (data, defaults) => {
+  let expenses = data.expenses;
+
+  if (expenses && !Array.isArray(expenses)) {
+    const converted = LEGACY_EXPENSE_FIELDS
+      .filter(({ key }) => typeof expenses[key] === 'number')
+      .map(({ key, id, name }) => ({ id, name, amount: expenses[key] }));
+    expenses = converted.length > 0 ? converted : defaults.expenses;
+  }
+  if (!Array.isArray(expenses)) {
+    return data;
+  }
+
+  return {
+    ...data,
+    expenses: expenses.map((expense, index) => ({
+      ...expense,
+      // Unknown due days default to mid-month
+      dueDay: expense.dueDay !== undefined ? expense.dueDay : (defaults.expenses[index]?.dueDay || 15)
+    }))
+  };
+};
+
+/**
+ * v2 → v3: income gains employeeType and salaryDay, and drops the old one-off salary adjustment
+ *
+ * @param {Object} data - Version 2 document
+ * @param {Object} defaults - Default financial data
+ * @returns {Object} Version 3 document
+ */
+export const migrateIncomeFields = (data, defaults) => {
+  if (!data.income) {
+    return data;
+  }
+
+  const income = omitKeys(data.income, ['futureSalary', 'salaryAdjustmentMonth', 'salaryAdjustmentYear']);
+  return {
+    ...data,
+    income: {
+      ...income,
+      employeeType: income.employeeType !== undefined ? income.employeeType : defaults.income.employeeType,
+      salaryDay: income.salaryDay !== undefined ? income.salaryDay : defaults.income.salaryDay
+    }
+  };
+};
+
+/**
+ * v3 → v4: personal info gains a CPF balance and a { month, year } birthday, and drops the
+ * employment and projection start dates (the projection now starts from today)
+ *
+ * @param {Object} data - Version 3 document
+ * @param {Object} defaults - Default financial data
+ * @returns {Object} Version 4 document
+ */
+export const migratePersonalInfo = (data, defaults) => {
+  if (!data.personalInfo) {
+    return data;
+  }
+
+  const personalInfo = omitKeys(data.personalInfo, ['employmentStart', 'projectionStart']);
+  let birthday = personalInfo.birthday;
+  if (typeof birthday === 'string') {
+    birthday = parseMonthYear(birthday) || defaults.personalInfo.birthday;
+  } else if (!birthday) {
+    birthday = defaults.personalInfo.birthday;
+  }
+
+  return {
+    ...data,
+    personalInfo: {
+      ...personalInfo,
+      birthday,
+      currentCpfBalance: personalInfo.currentCpfBalance !== undefined
+        ? personalInfo.currentCpfBalance
+        : defaults.personalInfo.currentCpfBalance
+    }
+  };
+};
+
+/**
+ * v4 → v5: adds yearly bonuses, yearly expenses, upcoming spending and projection settings
+ *
+ * @param {Object} data - Version 4 document
+ * @param {Object} defaults - Default financial data
+ * @returns {Object} Version 5 document
+ */
+export const migrateProjectionFields = (data, defaults) => ({
+  ...data,
+  yearlyBonuses: data.yearlyBonuses || defaults.yearlyBonuses,
+  yearlyExpenses: data.yearlyExpenses || defaults.yearlyExpenses,
+  upcomingSpending: data.upcomingSpending || defaults.upcomingSpending,
+  projectionSettings: {
+    ...defaults.projectionSettings,
+    ...(data.projectionSettings || {})
+  }
+});
+
+/**
+ * v5 → v6: drops the generated net worth history, replaced by netWorthSnapshots. It was never
+ * reachable from the UI, so it only ever held randomised placeholder values.
+ *
+ * @param {Object} data - Version 5 document
+ * @returns {Object} Version 6 document
+ */
+export const removeGeneratedNetWorthHistory = (data) =>
+  omitKeys(data, ['netWorthHistory', 'assetCategories', 'liabilityCategories']);
+
+/**
+ * Migrations in order; each upgrades a document to its version from the version before
+ */
+export const MIGRATIONS = [
+  { version: 2, description: 'Expenses as a list with due days', migrate: migrateExpenseList },
+  { version: 3, description: 'Employee type and salary day', migrate: migrateIncomeFields },
+  { version: 4, description: 'CPF balance and month/year birthday', migrate: migratePersonalInfo },
+  { version: 5, description: 'Yearly items and projection settings', migrate: migrateProjectionFields },
+  { version: 6, description: 'Remove generated net worth history', migrate: removeGeneratedNetWorthHistory }
+];
+
+/**
+ * Schema version this app reads and writes
+ */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of a document
+ *
+ * @param {Object} data - Financial data
+ * @returns {number} Version, INITIAL_SCHEMA_VERSION for documents saved before versioning
+ */
+export const getSchemaVersion = (data) => {
+  const version = data ? data[SCHEMA_VERSION_FIELD] : undefined;
+  return Number.isInteger(version) ? version : INITIAL_SCHEMA_VERSION;
+};
+
+/**
+ * Run every migration a document is missing
+ *
+ * @param {Object|null} data - Financial data as loaded
+ * @param {Object} defaults - Default financial data (also used when there is no data)
+ * @returns {Object} { data, fromVersion, toVersion, applied } where applied lists the versions migrated to
+ * @throws {Error} unsupported_schema_version if the document is from a newer version of the app
+ */
+export const migrateFinancialData = (data, defaults) => {
+  if (!data) {
+    return {
+      data: { ...defaults, [SCHEMA_VERSION_FIELD]: CURRENT_SCHEMA_VERSION },
+      fromVersion: CURRENT_SCHEMA_VERSION,
+      toVersion: CURRENT_SCHEMA_VERSION,
+      applied: []
+    };
+  }
+
+  const fromVersion = getSchemaVersion(data);
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw createFinancialError(
+      `This data was saved by a newer version of the app (schema ${fromVersion}; this version reads up to ${CURRENT_SCHEMA_VERSION}). Please update the app.`,
+      'unsupported_schema_version'
+    );
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+  const migrated = pending.reduce(
+    (current, migration) => ({ ...migration.migrate(current, defaults), [SCHEMA_VERSION_FIELD]: migration.version }),
+    data
+  );
+
+  return {
+    data: migrated,
+    fromVersion,
+    toVersion: getSchemaVersion(migrated),
+    applied: pending.map(migration => migration.version)
+  };
+};
+
+/**
+ * Local store key for the copy of a document kept from before it was migrated
+ *
+ * @param {string} recordKey - Key of the document's sync record
+ * @param {number} fromVersion - Version the document was migrated from
+ * @returns {string} Backup key
+ */
+export const getMigrationBackupKey = (recordKey, fromVersion) => `${recordKey}:backup-v${fromVersion}`;
@@ -0,0 +1,146 @@
+import {
+  STORAGE_BACKEND,
+  DEFAULT_LOCAL_USER_ID,
+  getStorageConfig,
+  createRestRemote,
+  createStorageAdapter
+} from '../storageAdapters';
+import { createSyncEngine } from '../syncEngine';
+
+// fetch stand-in for a JSON endpoint that enforces If-Match like a real server would
+const createFakeServer = () => {
+  const documents = {};
+  const requests = [];
+
+  const respond = (status, body = null) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    json: async () => body
+  });
+
+  const fetchImpl = async (url, { method, headers, body }) => {
+    requests.push({ url, method, headers });
+    const id = url.split('/').pop();
+    const current = documents[id] || null;
+
+    if (method === 'GET') {
+      return current ? respond(200, current) : respond(404);
+    }
+    if (headers['If-Match'] !== `"${current ? current.version : 0}"`) {
+      return respond(412);
+    }
+    documents[id] = JSON.parse(body);
+    return respond(204);
+  };
+
+  return { documents, requests, fetchImpl };
+};
+
+describe('getStorageConfig', () => {
+  it('defaults to Firestore', () => {
+    expect(getStorageConfig({})).toEqual({
+      backend: STORAGE_BACKEND.FIRESTORE,
+      url: null,
+      token: null,
+      userId: DEFAULT_LOCAL_USER_ID
+    });
+  });
+
+  it('reads the REST endpoint, token and user', () => {
+    expect(getStorageConfig({
+      REACT_APP_STORAGE_BACKEND: 'REST',
+      REACT_APP_STORAGE_URL: 'https://finance.example.com/api/data/',
+      REACT_APP_STORAGE_TOKEN: 'secret',
+      REACT_APP_STORAGE_USER_ID: 'household'
+    })).toEqual({
+      backend: STORAGE_BACKEND.REST,
+      url: 'https://finance.example.com/api/data',
+      token: 'secret',
+      userId: 'household'
+    });
+  });
+
+  it('rejects unknown backends and a REST backend without a URL', () => {
+    expect(() => getStorageConfig({ REACT_APP_STORAGE_BACKEND: 'dropbox' })).toThrow('Unknown storage backend');
+    expect(() => getStorageConfig({ REACT_APP_STORAGE_BACKEND: 'rest' })).toThrow('REACT_APP_STORAGE_URL');
+  });
+});
+
+describe('createRestRemote', () => {
+  it('loads nothing before the first save, then saves with the expected version', async () => {
+    const server = createFakeServer();
+    const remote = createRestRemote({ url: 'https://api.test/data', userId: 'a b', token: 'secret', fetchImpl: server.fetchImpl });
+    const document = { data: { loans: [] }, version: 1, updatedAt: '2025-01-01T00:00:00.000Z', fieldUpdatedAt: {} };
+
+    await expect(remote.load()).resolves.toBeNull();
+    await expect(remote.save(document, 0)).resolves.toEqual({ ok: true });
+    await expect(remote.load()).resolves.toEqual(document);
+
+    expect(server.requests[0].url).toBe('https://api.test/data/a%20b');
+    expect(server.requests[1].headers).toMatchObject({ Authorization: 'Bearer secret', 'If-Match': '"0"' });
+  });
+
+  it('reports a stale write as not ok and throws on server errors', async () => {
+    const server = createFakeServer();
+    const remote = createRestRemote({ url: 'https://api.test/data', userId: 'me', fetchImpl: server.fetchImpl });
+    await remote.save({ data: {}, version: 1 }, 0);
+
+    await expect(remote.save({ data: {}, version: 1 }, 0)).resolves.toEqual({ ok: false });
+
+    const failing = createRestRemote({
+      url: 'https://api.test/data',
+      userId: 'me',
+      fetchImpl: async () => ({ status: 500, ok: false })
+    });
+    await expect(failing.load()).rejects.toThrow('Storage server responded with 500');
+  });
+
+  it('syncs two devices through the endpoint', async () => {
+    const server = createFakeServer();
+    const createDevice = () => createSyncEngine({
+      localStore: createStorageAdapter({ backend: STORAGE_BACKEND.MEMORY }).createLocalStore(),
+      remote: createRestRemote({ url: 'https://api.test/data', userId: 'me', fetchImpl: server.fetchImpl })
+    });
+
+    const laptop = createDevice();
+    await laptop.open({ loans: [], expenses: [] });
+    laptop.recordChange({ loans: [{ id: 1 }], expenses: [] });
+    await laptop.sync();
+
+    const phone = createDevice();
+    await expect(phone.open({})).resolves.toEqual({ loans: [{ id: 1 }], expenses: [] });
+    expect(server.documents.me.version).toBe(1);
+  });
+});
+
+describe('createStorageAdapter', () => {
+  it('only asks for a Firebase sign-in with the Firestore backend', () => {
+    expect(createStorageAdapter({ backend: STORAGE_BACKEND.FIRESTORE }).requiresSignIn).toBe(true);
+    expect(createStorageAdapter({ backend: STORAGE_BACKEND.LOCAL }).requiresSignIn).toBe(false);
+    expect(createStorageAdapter({ backend: STORAGE_BACKEND.REST, url: 'https://api.test' }).requiresSignIn).toBe(false);
+  });
+
+  it('keeps local data on the device without a remote', async () => {
+    const adapter = createStorageAdapter({ backend: STORAGE_BACKEND.LOCAL });
+    await expect(adapter.createRemote('me')).resolves.toBeNull();
+  });
+
+  it('shares one in-memory remote between engines from the same adapter', async () => {
+    const adapter = createStorageAdapter({ backend: STORAGE_BACKEND.MEMORY });
+    const createDevice = async () => createSyncEngine({
+      localStore: adapter.createLocalStore(),
+      remote: await adapter.createRemote('me')
+    });
+
+    const laptop = await createDevice();
+    await laptop.open({ goals: [{ id: 1 }] });
+    await laptop.sync();
+
+    const phone = await createDevice();
+    await expect(phone.open({})).resolves.toEqual({ goals: [{ id: 1 }] });
+  });
+
+  it('rejects unknown backends', () => {
+    expect(() => createStorageAdapter({ backend: 'ftp' })).toThrow('Unknown storage backend');
+  });
+});
@@ -0,0 +1,258 @@
+import {
+  CONFLICT_RESOLUTION,
+  isEqualValue,
+  getChangedFields,
+  mergeFields,
+  getNextUpdatedAt,
+  createSyncEngine
+} from '../syncEngine';
+import { createMemoryStore, createMemoryRemote } from '../stores';
+
+const seed = {
+  personalInfo: { currentSavings: 10000 },
+  expenses: [{ id: 1, name: 'Rental', amount: 700 }],
+  loans: []
+};
+
+// Clock that moves forward a second per call
+const createClock = () => {
+  let tick = 0;
+  return () => new Date(Date.UTC(2025, 0, 1) + 1000 * tick++).toISOString();
+};
+
+const createDevice = (remote, clock = createClock()) =>
+  createSyncEngine({ localStore: createMemoryStore(), remote, now: clock });
+
+describe('isEqualValue', () => {
+  it('compares nested values ignoring key order and undefined keys', () => {
+    expect(isEqualValue({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 })).toBe(true);
+    expect(isEqualValue({ a: 1, b: undefined }, { a: 1 })).toBe(true);
+    expect(isEqualValue([1, 2], [2, 1])).toBe(false);
+    expect(isEqualValue({ a: null }, { a: 0 })).toBe(false);
+  });
+});
+
+describe('getChangedFields', () => {
+  it('lists added, removed and changed top-level fields', () => {
+    expect(getChangedFields({ a: 1, b: 2, c: 3 }, { a: 1, b: 5, d: 4 }).sort()).toEqual(['b', 'c', 'd']);
+  });
+});
+
+describe('mergeFields', () => {
+  it('takes each side its own changes and reports fields both changed differently', () => {
+    const merge = mergeFields({
+      local: { a: 2, b: 1, c: 'mine' },
+      remote: { a: 1, b: 3, c: 'theirs' },
+      localFields: ['a', 'c'],
+      remoteFields: ['b', 'c']
+    });
+
+    expect(merge.data).toEqual({ a: 2, b: 3, c: 'mine' });
+    expect(merge.fromRemote).toEqual(['b']);
+    expect(merge.conflicts).toEqual([{ field: 'c', localValue: 'mine', remoteValue: 'theirs' }]);
+  });
+
+  it('applies resolutions to conflicting fields', () => {
+    const merge = mergeFields({
+      local: { c: 'mine' },
+      remote: { c: 'theirs' },
+      localFields: ['c'],
+      remoteFields: ['c'],
+      resolutions: { c: CONFLICT_RESOLUTION.REMOTE }
+    });
+
+    expect(merge.data).toEqual({ c: 'theirs' });
+    expect(merge.fromRemote).toEqual(['c']);
+    expect(merge.conflicts).toEqual([]);
+  });
+});
+
+describe('getNextUpdatedAt', () => {
+  it('never goes backwards from the previous write', () => {
+    expect(getNextUpdatedAt('2025-01-01T00:00:05.000Z', '2025-01-01T00:00:01.000Z')).toBe('2025-01-01T00:00:05.000Z');
+    expect(getNextUpdatedAt('2025-01-01T00:00:00.000Z', '2025-01-01T00:00:01.000Z')).toBe('2025-01-01T00:00:01.001Z');
+  });
+});
+
+describe('createSyncEngine', () => {
+  it('pushes a new device\'s data and lets a second device start from it', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote);
+    await laptop.open(seed);
+    await expect(laptop.sync()).resolves.toMatchObject({ status: 'synced', pendingChanges: 0 });
+
+    const stored = remote.getDocument();
+    expect(stored.version).toBe(1);
+    expect(stored.data).toEqual(seed);
+    expect(Object.keys(stored.fieldUpdatedAt).sort()).toEqual(['expenses', 'loans', 'personalInfo']);
+
+    const phone = createDevice(remote);
+    await expect(phone.open({})).resolves.toEqual(seed);
+    expect(phone.getRecord().changeLog).toEqual([]);
+  });
+
+  it('keeps the local record between sessions', async () => {
+    const localStore = createMemoryStore();
+    const first = createSyncEngine({ localStore, remote: null });
+    await first.open(seed);
+    first.recordChange({ ...seed, loans: [{ id: 1 }] });
+    await first.flush();
+
+    const second = createSyncEngine({ localStore, remote: null });
+    await expect(second.open({})).resolves.toEqual({ ...seed, loans: [{ id: 1 }] });
+    await expect(second.sync()).resolves.toMatchObject({ status: 'local' });
+  });
+
+  it('keeps offline edits in the change log and syncs them once back online', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote);
+    await laptop.open(seed);
+    await laptop.sync();
+
+    remote.setOnline(false);
+    laptop.recordChange({ ...seed, loans: [{ id: 7, principal: 20000 }] });
+    await expect(laptop.sync()).rejects.toThrow('Network unavailable');
+    expect(laptop.getRecord().changeLog.map(entry => entry.field)).toEqual(['loans']);
+
+    remote.setOnline(true);
+    await laptop.sync();
+    expect(remote.getDocument().data.loans).toEqual([{ id: 7, principal: 20000 }]);
+    expect(remote.getDocument().version).toBe(2);
+    expect(laptop.getRecord().changeLog).toEqual([]);
+  });
+
+  it('merges edits to different fields from two devices', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote);
+    await laptop.open(seed);
+    await laptop.sync();
+    const phone = createDevice(remote);
+    await phone.open({});
+
+    laptop.recordChange({ ...seed, loans: [{ id: 1 }] });
+    phone.recordChange({ ...seed, personalInfo: { currentSavings: 12000 } });
+    await laptop.sync();
+    const result = await phone.sync();
+
+    expect(result.status).toBe('synced');
+    expect(result.applied).toEqual({ loans: [{ id: 1 }] });
+    expect(remote.getDocument().data).toEqual({
+      ...seed,
+      loans: [{ id: 1 }],
+      personalInfo: { currentSavings: 12000 }
+    });
+
+    // The laptop picks up the phone's change on its next sync without pushing anything
+    await expect(laptop.sync()).resolves.toMatchObject({ applied: { personalInfo: { currentSavings: 12000 } } });
+    expect(remote.getDocument().version).toBe(3);
+  });
+
+  it('reports a conflict when both devices change the same field, then applies the chosen side', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote);
+    await laptop.open(seed);
+    await laptop.sync();
+    const phone = createDevice(remote);
+    await phone.open({});
+
+    laptop.recordChange({ ...seed, expenses: [{ id: 1, name: 'Rental', amount: 900 }] });
+    await laptop.sync();
+    phone.recordChange({ ...seed, expenses: [], loans: [{ id: 2 }] });
+
+    const conflict = await phone.sync();
+    expect(conflict.status).toBe('conflict');
+    expect(conflict.conflicts).toEqual([expect.objectContaining({
+      field: 'expenses',
+      localValue: [],
+      remoteValue: [{ id: 1, name: 'Rental', amount: 900 }],
+      remoteUpdatedAt: remote.getDocument().fieldUpdatedAt.expenses
+    })]);
+    expect(conflict.conflicts[0].localChangedAt).not.toBeNull();
+    // Nothing is written while a conflict is open
+    expect(remote.getDocument().version).toBe(2);
+
+    phone.resolveConflict('expenses', CONFLICT_RESOLUTION.REMOTE);
+    const resolved = await phone.sync();
+    expect(resolved.status).toBe('synced');
+    expect(resolved.applied).toEqual({ expenses: [{ id: 1, name: 'Rental', amount: 900 }] });
+    expect(remote.getDocument().data).toEqual({
+      ...seed,
+      expenses: [{ id: 1, name: 'Rental', amount: 900 }],
+      loans: [{ id: 2 }]
+    });
+  });
+
+  it('pushes the local side of a conflict when chosen', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote);
+    await laptop.open(seed);
+    await laptop.sync();
+    const phone = createDevice(remote);
+    await phone.open({});
+
+    laptop.recordChange({ ...seed, loans: [{ id: 1 }] });
+    await laptop.sync();
+    phone.recordChange({ ...seed, loans: [{ id: 2 }] });
+    await phone.sync();
+
+    phone.resolveConflict('loans', CONFLICT_RESOLUTION.LOCAL);
+    await expect(phone.sync()).resolves.toMatchObject({ status: 'synced', applied: {} });
+    expect(remote.getDocument().data.loans).toEqual([{ id: 2 }]);
+    expect(() => phone.resolveConflict('loans', 'both')).toThrow('local or remote');
+  });
+
+  it('re-merges when another device writes between reading and saving', async () => {
+    const remote = createMemoryRemote();
+    const laptop = createDevice(remote);
+    await laptop.open(seed);
+    await laptop.sync();
+    const phone = createDevice(remote);
+    await phone.open({});
+
+    // The phone's first save loses the race to a laptop write
+    let raced = false;
+    const racingRemote = {
+      load: remote.load,
+      save: async (document, expectedVersion) => {
+        if (!raced) {
+          raced = true;
+          laptop.recordChange({ ...seed, loans: [{ id: 1 }] });
+          await laptop.sync();
+        }
+        return remote.save(document, expectedVersion);
+      }
+    };
+    const racingPhone = createSyncEngine({ localStore: createMemoryStore(), remote: racingRemote, now: createClock() });
+    await racingPhone.open({});
+    racingPhone.recordChange({ ...seed, personalInfo: { currentSavings: 15000 } });
+
+    await expect(racingPhone.sync()).resolves.toMatchObject({ status: 'synced', applied: { loans: [{ id: 1 }] } });
+    expect(remote.getDocument().data).toEqual({
+      ...seed,
+      loans: [{ id: 1 }],
+      personalInfo: { currentSavings: 15000 }
+    });
+  });
+
+  it('keeps edits made while a sync is in flight for the next sync', async () => {
+    const remote = createMemoryRemote();
+    let device;
+    const slowRemote = {
+      load: async () => {
+        const document = await remote.load();
+        device.recordChange({ ...seed, loans: [{ id: 1 }], expenses: [] });
+        return document;
+      },
+      save: remote.save
+    };
+    device = createSyncEngine({ localStore: createMemoryStore(), remote: slowRemote, now: createClock() });
+    await device.open(seed);
+    device.recordChange({ ...seed, loans: [{ id: 1 }] });
+
+    const result = await device.sync();
+    expect(result.pendingChanges).toBe(1);
+    expect(device.getRecord().data.expenses).toEqual([]);
+    expect(remote.getDocument().data.expenses).toEqual(seed.expenses);
+    expect(remote.getDocument().data.loans).toEqual([{ id: 1 }]);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Storage Adapters
+ *
+ * A storage adapter decides where the sync engine keeps data: the local store on this device and,
+ * optionally, the remote document it syncs with. The backend is chosen by configuration so the
+ * app can run against Firestore, a self-hosted JSON endpoint, or with no server at all.
+ *
+ * Adapter: { backend, requiresSignIn, createLocalStore(), createRemote(userId) }
+ * - requiresSignIn: whether users sign in with Firebase Authentication first
+ * - createRemote resolves to a remote ({ load, save }, see stores.js) or null for device-only storage
+ *
+ * Backends (REACT_APP_STORAGE_BACKEND):
+ * - firestore (default): the userData/{userId} document in Firestore
+ * - rest: a JSON endpoint at REACT_APP_STORAGE_URL/{userId}
+ * - local: IndexedDB on this device only
+ * - memory: nothing is kept after the page closes (tests and demos)
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+import {
+  createIndexedDbStore,
+  createMemoryRemote,
+  createMemoryStore,
+  isIndexedDbAvailable
+} from './stores';
+
+/**
+ * Supported storage backends
+ */
+export const STORAGE_BACKEND = {
+  FIRESTORE: 'firestore',
+  REST: 'rest',
+  LOCAL: 'local',
+  MEMORY: 'memory'
+};
+
+/**
+ * User id for backends without sign-in
+ */
+export const DEFAULT_LOCAL_USER_ID = 'local';
+
+// HTTP statuses a REST backend uses to reject a write made against an outdated version
+const VERSION_MISMATCH_STATUSES = [409, 412];
+
+/**
+ * Read the storage configuration from environment variables
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} { backend, url, token, userId }
+ */
+export const getStorageConfig = (env = process.env) => {
+  const backend = (env.REACT_APP_STORAGE_BACKEND || STORAGE_BACKEND.FIRESTORE).trim().toLowerCase();
+
+  if (!Object.values(STORAGE_BACKEND).includes(backend)) {
+    throw createFinancialError(
+      `Unknown storage backend "${backend}"; use one of ${Object.values(STORAGE_BACKEND).join(', ')}`,
+      'invalid_storage_config'
+    );
+  }
+  if (backend === STORAGE_BACKEND.REST && !env.REACT_APP_STORAGE_URL) {
+    throw createFinancialError('The rest storage backend needs REACT_APP_STORAGE_URL', 'invalid_storage_config');
+  }
+
+  return {
+    backend,
+    url: env.REACT_APP_STORAGE_URL ? env.REACT_APP_STORAGE_URL.replace(/\/+$/, '') : null,
+    token: env.REACT_APP_STORAGE_TOKEN || null,
+    userId: env.REACT_APP_STORAGE_USER_ID || DEFAULT_LOCAL_USER_ID
+  };
+};
+
+/**
+ * Remote backed by a JSON endpoint
+ *
+ * GET {url}/{userId} returns the document, or 404 when there is none yet.
+ * PUT {url}/{userId} stores it, with If-Match set to the version read; the server answers
+ * 409 or 412 if its document has moved on since.
+ *
+ * @param {Object} options - Remote options
+ * @param {string} options.url - Base URL of the endpoint
+ * @param {string} options.userId - Whose document to use
+ * @param {string|null} [options.token=null] - Bearer token sent with each request
+ * @param {Function} [options.fetchImpl=fetch] - fetch implementation
+ * @returns {Object} Remote
+ */
+export const createRestRemote = ({ url, userId, token = null, fetchImpl = (...args) => fetch(...args) }) => {
+  const documentUrl = `${url}/${encodeURIComponent(userId)}`;
+  const headers = {
+    Accept: 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  };
+
+  const requestFailed = (response) =>
+    createFinancialError(`Storage server responded with ${response.status}`, 'storage_request_failed');
+
+  return {
+    load: async () => {
+      const response = await fetchImpl(documentUrl, { method: 'GET', headers });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw requestFailed(response);
+      }
+      return response.json();
+    },
+    save: async (document, expectedVersion) => {
+      const response = await fetchImpl(documentUrl, {
+        method: 'PUT',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          'If-Match': `"${expectedVersion}"`
+        },
+        body: JSON.stringify(document)
+      });
+      if (VERSION_MISMATCH_STATUSES.includes(response.status)) {
+        return { ok: false };
+      }
+      if (!response.ok) {
+        throw requestFailed(response);
+      }
+      return { ok: true };
+    }
+  };
+};
+
+// IndexedDB where the browser has it, otherwise memory for the session
+const createDeviceStore = () => (isIndexedDbAvailable() ? createIndexedDbStore() : createMemoryStore());
+
+/**
+ * Create the storage adapter for a configuration
+ *
+ * @param {Object} [config=getStorageConfig()] - Storage configuration
+ * @returns {Object} Storage adapter
+ */
+export const createStorageAdapter = (config = getStorageConfig()) => {
+  switch (config.backend) {
+    case STORAGE_BACKEND.FIRESTORE:
+      return {
+        backend: config.backend,
+        requiresSignIn: true,
+        createLocalStore: createDeviceStore,
+        // Loaded on first use so the other backends never initialise Firebase
+        createRemote: async (userId) => {
+          const { createFirestoreRemote } = await import('../../firebase/firebase');
+          return createFirestoreRemote(userId);
+        }
+      };
+    case STORAGE_BACKEND.REST:
+      return {
+        backend: config.backend,
+        requiresSignIn: false,
+        createLocalStore: createDeviceStore,
+        createRemote: async (userId) => createRestRemote({ url: config.url, userId, token: config.token })
+      };
+    case STORAGE_BACKEND.LOCAL:
+      return {
+        backend: config.backend,
+        requiresSignIn: false,
+        createLocalStore: createDeviceStore,
+        createRemote: async () => null
+      };
+    case STORAGE_BACKEND.MEMORY: {
+      // One remote per adapter, so engines created from the same adapter share a document
+      const remote = createMemoryRemote();
+      return {
+        backend: config.backend,
+        requiresSignIn: false,
+        createLocalStore: () => createMemoryStore(),
+        createRemote: async () => remote
+      };
+    }
+    default:
+      throw createFinancialError(`Unknown storage backend "${config.backend}"`, 'invalid_storage_config');
+  }
+};
+
+let configuredAdapter = null;
+
+/**
+ * The adapter for the app's configuration, created once
+ *
+ * @returns {Object} Storage adapter
+ */
+export const getStorageAdapter = () => {
+  if (!configuredAdapter) {
+    configuredAdapter = createStorageAdapter(getStorageConfig());
+  }
+  return configuredAdapter;
+};
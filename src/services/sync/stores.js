@@ -0,0 +1,122 @@
+/**
+ * Sync Stores
+ *
+ * Local stores keep the sync record on the device: { read(key), write(key, value) }.
+ * Remotes hold the shared document: { load(), save(document, expectedVersion) }, where save
+ * resolves to { ok: false } if the remote version is no longer expectedVersion.
+ * The in-memory versions let the sync engine be tested without a browser or Firestore.
+ */
+
+const DB_NAME = 'financial-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+// Stored copies are detached from the caller's objects, as they would be in a real store
+const cloneValue = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Whether IndexedDB is available (it isn't in jsdom or some private browsing modes)
+ *
+ * @returns {boolean}
+ */
+export const isIndexedDbAvailable = () =>
+  typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+
+/**
+ * Local store backed by IndexedDB
+ *
+ * @param {IDBFactory} [indexedDb=window.indexedDB] - IndexedDB factory
+ * @returns {Object} Local store
+ */
+export const createIndexedDbStore = (indexedDb = window.indexedDB) => {
+  let dbPromise = null;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDb.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const runRequest = async (mode, createRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    read: async (key) => {
+      const value = await runRequest('readonly', (store) => store.get(key));
+      return value === undefined ? null : value;
+    },
+    write: (key, value) => runRequest('readwrite', (store) => store.put(value, key)),
+    remove: (key) => runRequest('readwrite', (store) => store.delete(key))
+  };
+};
+
+/**
+ * Local store held in memory
+ *
+ * @param {Object} [initialValues={}] - Values keyed by record key
+ * @returns {Object} Local store
+ */
+export const createMemoryStore = (initialValues = {}) => {
+  const values = new Map(Object.entries(initialValues).map(([key, value]) => [key, cloneValue(value)]));
+
+  return {
+    read: async (key) => (values.has(key) ? cloneValue(values.get(key)) : null),
+    write: async (key, value) => {
+      values.set(key, cloneValue(value));
+    },
+    remove: async (key) => {
+      values.delete(key);
+    }
+  };
+};
+
+/**
+ * Remote document held in memory, shared by every engine given the same instance
+ * setOnline(false) makes load and save fail like a dropped connection.
+ *
+ * @param {Object|null} [initialDocument=null] - { data, version, updatedAt, fieldUpdatedAt }
+ * @returns {Object} Remote
+ */
+export const createMemoryRemote = (initialDocument = null) => {
+  let document = cloneValue(initialDocument);
+  let online = true;
+
+  const checkOnline = () => {
+    if (!online) {
+      throw new Error('Network unavailable');
+    }
+  };
+
+  return {
+    load: async () => {
+      checkOnline();
+      return document ? cloneValue(document) : null;
+    },
+    save: async (nextDocument, expectedVersion) => {
+      checkOnline();
+      if ((document ? document.version : 0) !== expectedVersion) {
+        return { ok: false };
+      }
+      document = cloneValue(nextDocument);
+      return { ok: true };
+    },
+    setOnline: (value) => {
+      online = value;
+    },
+    getDocument: () => cloneValue(document)
+  };
+};
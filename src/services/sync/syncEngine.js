@@ -0,0 +1,364 @@
+/**
+ * Offline-first Sync
+ *
+ * Financial data lives in a local store and is synced with a remote document one top-level field
+ * (personalInfo, expenses, loans, ...) at a time, so edits made offline or on another device are
+ * merged instead of overwriting each other.
+ *
+ * Local record: { data, base, baseVersion, baseUpdatedAt, changeLog, resolutions }
+ * - data: the latest local data
+ * - base: the remote data as of the last sync, the common ancestor for merging
+ * - changeLog: [{ field, changedAt }], fields edited locally since the last sync
+ * - resolutions: { [field]: 'local' | 'remote' }, choices for conflicting fields
+ *
+ * Remote document: { data, version, updatedAt, fieldUpdatedAt: { [field]: updatedAt } }
+ * Writes are conditional on the version read, so a concurrent write forces a fresh merge.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Which side wins a conflicting field
+ */
+export const CONFLICT_RESOLUTION = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+/**
+ * Attempts to write before giving up when the remote keeps changing
+ */
+export const MAX_SYNC_ATTEMPTS = 3;
+
+const DEFAULT_RECORD_KEY = 'financialData';
+
+/**
+ * Deep equality for JSON-like values, ignoring object key order (Firestore doesn't keep it)
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+export const isEqualValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+
+  const keysA = Object.keys(a).filter((key) => a[key] !== undefined);
+  const keysB = Object.keys(b).filter((key) => b[key] !== undefined);
+  return keysA.length === keysB.length && keysA.every((key) => isEqualValue(a[key], b[key]));
+};
+
+/**
+ * Top-level fields whose values differ between two versions of the data
+ *
+ * @param {Object} before - Earlier data
+ * @param {Object} after - Later data
+ * @returns {Array<string>} Changed field names
+ */
+export const getChangedFields = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields].filter((field) => !isEqualValue((before || {})[field], (after || {})[field]));
+};
+
+/**
+ * Three-way merge of local and remote data against their common base, field by field
+ * A field changed on one side takes that side's value. A field changed on both sides to different
+ * values is a conflict unless it has a resolution; conflicting fields keep the local value.
+ *
+ * @param {Object} params - Merge inputs
+ * @param {Object} params.local - Local data
+ * @param {Object} params.remote - Remote data
+ * @param {Array<string>} params.localFields - Fields changed locally since the base
+ * @param {Array<string>} params.remoteFields - Fields changed remotely since the base
+ * @param {Object} params.resolutions - { [field]: 'local' | 'remote' }
+ * @returns {Object} { data, fromRemote, conflicts }
+ */
+export const mergeFields = ({ local, remote, localFields, remoteFields, resolutions = {} }) => {
+  const fields = new Set([...Object.keys(local || {}), ...Object.keys(remote || {})]);
+  const data = {};
+  const fromRemote = [];
+  const conflicts = [];
+
+  fields.forEach((field) => {
+    const localValue = (local || {})[field];
+    const remoteValue = (remote || {})[field];
+    const changedLocally = localFields.includes(field);
+    const changedRemotely = remoteFields.includes(field);
+    let useRemote;
+
+    if (changedLocally && changedRemotely && !isEqualValue(localValue, remoteValue)) {
+      if (resolutions[field] === CONFLICT_RESOLUTION.REMOTE) {
+        useRemote = true;
+      } else if (resolutions[field] === CONFLICT_RESOLUTION.LOCAL) {
+        useRemote = false;
+      } else {
+        conflicts.push({ field, localValue, remoteValue });
+        useRemote = false;
+      }
+    } else {
+      useRemote = !changedLocally && remote !== null;
+    }
+
+    const value = useRemote ? remoteValue : localValue;
+    if (useRemote && changedRemotely) {
+      fromRemote.push(field);
+    }
+    if (value !== undefined) {
+      data[field] = value;
+    }
+  });
+
+  return { data, fromRemote, conflicts };
+};
+
+/**
+ * Next remote updatedAt: now, or just after the previous write if the clock is behind it
+ *
+ * @param {string} now - Current time (ISO)
+ * @param {string|null} previous - Previous updatedAt (ISO)
+ * @returns {string} updatedAt (ISO)
+ */
+export const getNextUpdatedAt = (now, previous) =>
+  previous && Date.parse(now) <= Date.parse(previous)
+    ? new Date(Date.parse(previous) + 1).toISOString()
+    : now;
+
+// Copy only the listed fields from data (missing fields stay missing)
+const pickFields = (data, fields) =>
+  fields.reduce((picked, field) => (
+    data[field] === undefined ? picked : { ...picked, [field]: data[field] }
+  ), {});
+
+// Replace the listed fields of data with those of source, removing fields source doesn't have
+const overlayFields = (data, source, fields) => {
+  const result = { ...data };
+  fields.forEach((field) => {
+    if (source[field] === undefined) {
+      delete result[field];
+    } else {
+      result[field] = source[field];
+    }
+  });
+  return result;
+};
+
+/**
+ * Create a sync engine for one document
+ * Local edits are recorded synchronously in memory and written through to the local store;
+ * sync() merges them with the remote document. Syncs run one at a time.
+ *
+ * @param {Object} options - Engine options
+ * @param {Object} options.localStore - { read(key), write(key, value) }
+ * @param {Object|null} options.remote - { load(), save(document, expectedVersion) }, or null to stay local
+ * @param {string} [options.key='financialData'] - Record key in the local store
+ * @param {Function} [options.now] - Returns the current time as an ISO string
+ * @returns {Object} Sync engine
+ */
+export const createSyncEngine = ({ localStore, remote = null, key = DEFAULT_RECORD_KEY, now = () => new Date().toISOString() }) => {
+  let record = null;
+  let writeChain = Promise.resolve();
+  let syncChain = Promise.resolve();
+
+  const persist = () => {
+    const snapshot = record;
+    writeChain = writeChain
+      .then(() => localStore.write(key, snapshot))
+      .catch((error) => console.error('Error writing local data:', error));
+    return writeChain;
+  };
+
+  const createRecord = (data, remoteDocument = null) => ({
+    data,
+    base: remoteDocument ? remoteDocument.data : null,
+    baseVersion: remoteDocument ? remoteDocument.version : 0,
+    baseUpdatedAt: remoteDocument ? remoteDocument.updatedAt : null,
+    changeLog: remoteDocument ? [] : Object.keys(data).map((field) => ({ field, changedAt: now() })),
+    resolutions: {}
+  });
+
+  /**
+   * Load the local record. Without one, start from the remote document, otherwise from seed
+   *
+   * @param {Object} seed - Data to start from when there is nothing local or remote
+   * @returns {Promise<Object>} Local data
+   */
+  const open = async (seed) => {
+    record = await localStore.read(key);
+    if (record) {
+      return record.data;
+    }
+
+    let remoteDocument = null;
+    if (remote) {
+      try {
+        remoteDocument = await remote.load();
+      } catch (error) {
+        console.warn('Remote unavailable, starting from local data:', error);
+      }
+    }
+
+    record = remoteDocument ? createRecord(remoteDocument.data, remoteDocument) : createRecord(seed);
+    await persist();
+    return record.data;
+  };
+
+  /**
+   * Record the current data, logging each top-level field that changed
+   *
+   * @param {Object} data - Current data
+   * @returns {Array<string>} Changed fields
+   */
+  const recordChange = (data) => {
+    if (!record) {
+      record = createRecord(data);
+      persist();
+      return Object.keys(data);
+    }
+
+    const fields = getChangedFields(record.data, data);
+    if (fields.length === 0) {
+      return fields;
+    }
+
+    const changedAt = now();
+    record = {
+      ...record,
+      data,
+      changeLog: [
+        ...record.changeLog.filter((entry) => !fields.includes(entry.field)),
+        ...fields.map((field) => ({ field, changedAt }))
+      ]
+    };
+    persist();
+    return fields;
+  };
+
+  /**
+   * Choose which side wins a conflicting field; applied on the next sync
+   *
+   * @param {string} field - Conflicting field
+   * @param {string} resolution - 'local' or 'remote'
+   */
+  const resolveConflict = (field, resolution) => {
+    if (!Object.values(CONFLICT_RESOLUTION).includes(resolution)) {
+      throw createFinancialError('Conflicts are resolved with the local or remote value', 'invalid_resolution');
+    }
+    record = { ...record, resolutions: { ...record.resolutions, [field]: resolution } };
+    persist();
+  };
+
+  const runSync = async () => {
+    if (!remote) {
+      return { status: 'local', applied: {}, conflicts: [], pendingChanges: record.changeLog.length };
+    }
+
+    for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt++) {
+      const snapshot = record;
+      const remoteDocument = await remote.load();
+      const base = snapshot.base || {};
+
+      // The remote is unchanged if its updatedAt is the one we last synced with
+      const remoteFields = !remoteDocument || remoteDocument.updatedAt === snapshot.baseUpdatedAt
+        ? []
+        : getChangedFields(base, remoteDocument.data);
+      const localFields = snapshot.changeLog
+        .map((entry) => entry.field)
+        .filter((field) => !snapshot.base || !isEqualValue(snapshot.data[field], base[field]));
+
+      const merge = mergeFields({
+        local: snapshot.data,
+        remote: remoteDocument ? remoteDocument.data : null,
+        localFields,
+        remoteFields,
+        resolutions: snapshot.resolutions
+      });
+
+      // Fields edited while the remote was being read or written keep their newer local value
+      const changedDuringSync = getChangedFields(snapshot.data, record.data);
+      const appliedFields = merge.fromRemote.filter((field) => !changedDuringSync.includes(field));
+      const applied = pickFields(merge.data, appliedFields);
+
+      if (merge.conflicts.length > 0) {
+        const remoteUpdatedAt = remoteDocument.fieldUpdatedAt || {};
+        const conflicts = merge.conflicts.map((conflict) => ({
+          ...conflict,
+          localChangedAt: (snapshot.changeLog.find((entry) => entry.field === conflict.field) || {}).changedAt || null,
+          remoteUpdatedAt: remoteUpdatedAt[conflict.field] || remoteDocument.updatedAt || null
+        }));
+
+        record = { ...record, data: overlayFields(record.data, merge.data, appliedFields) };
+        await persist();
+        return { status: 'conflict', applied, conflicts, pendingChanges: record.changeLog.length };
+      }
+
+      const pushFields = remoteDocument ? getChangedFields(remoteDocument.data, merge.data) : Object.keys(merge.data);
+      let syncedDocument = remoteDocument;
+
+      if (pushFields.length > 0) {
+        const updatedAt = getNextUpdatedAt(now(), remoteDocument ? remoteDocument.updatedAt : null);
+        syncedDocument = {
+          data: merge.data,
+          version: (remoteDocument ? remoteDocument.version : 0) + 1,
+          updatedAt,
+          fieldUpdatedAt: {
+            ...(remoteDocument ? remoteDocument.fieldUpdatedAt : {}),
+            ...pushFields.reduce((times, field) => ({ ...times, [field]: updatedAt }), {})
+          }
+        };
+        const result = await remote.save(syncedDocument, remoteDocument ? remoteDocument.version : 0);
+        if (!result.ok) {
+          continue;
+        }
+      }
+
+      const current = record;
+      const stillChanged = getChangedFields(snapshot.data, current.data);
+      record = {
+        data: overlayFields(merge.data, current.data, stillChanged),
+        base: syncedDocument.data,
+        baseVersion: syncedDocument.version,
+        baseUpdatedAt: syncedDocument.updatedAt,
+        changeLog: current.changeLog.filter((entry) => stillChanged.includes(entry.field)),
+        resolutions: {}
+      };
+      await persist();
+
+      return {
+        status: 'synced',
+        applied: pickFields(merge.data, merge.fromRemote.filter((field) => !stillChanged.includes(field))),
+        conflicts: [],
+        pendingChanges: record.changeLog.length,
+        lastSync: syncedDocument.updatedAt
+      };
+    }
+
+    throw createFinancialError('The server copy kept changing during sync; try again', 'sync_retry_exhausted');
+  };
+
+  /**
+   * Merge local changes with the remote document and write the result back
+   * Resolves to { status: 'synced' | 'conflict' | 'local', applied, conflicts, pendingChanges, lastSync };
+   * `applied` holds the fields taken from the remote, to apply to the displayed data.
+   *
+   * @returns {Promise<Object>} Sync result
+   */
+  const sync = () => {
+    const run = syncChain.then(runSync, runSync);
+    syncChain = run.catch(() => null);
+    return run;
+  };
+
+  return {
+    open,
+    recordChange,
+    resolveConflict,
+    sync,
+    getRecord: () => record,
+    flush: () => writeChain
+  };
+};
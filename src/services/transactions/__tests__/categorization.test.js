@@ -0,0 +1,104 @@
+import {
+  UNCATEGORISED,
+  compileCategoryRules,
+  isValidRulePattern,
+  categorizeTransactions,
+  calculateMonthlySpendByCategory,
+  compareBudgetToActual,
+  mergeTransactions
+} from '../categorization';
+
+const transactions = [
+  { id: 'a', date: '2025-01-03', year: 2025, month: 1, description: 'NTUC FAIRPRICE', amount: -80 },
+  { id: 'b', date: '2025-01-04', year: 2025, month: 1, description: 'GRAB *RIDE', amount: -20 },
+  { id: 'c', date: '2025-01-05', year: 2025, month: 1, description: 'SALARY ACME', amount: 4800 },
+  { id: 'd', date: '2025-01-09', year: 2025, month: 1, description: 'GRAB REFUND', amount: 5 },
+  { id: 'e', date: '2025-01-20', year: 2025, month: 1, description: 'SHOPEE', amount: -35 },
+  { id: 'f', date: '2025-02-01', year: 2025, month: 2, description: 'Cold Storage', amount: -60 }
+];
+
+const rules = [
+  { id: 1, pattern: 'fairprice|cold storage', category: 'Food' },
+  { id: 2, pattern: '^grab', category: 'Transportation' },
+  { id: 3, pattern: 'grab', category: 'Food' }
+];
+
+describe('Transaction Categorisation', () => {
+  describe('compileCategoryRules', () => {
+    it('should skip rules with invalid or missing patterns', () => {
+      const compiled = compileCategoryRules([
+        { id: 1, pattern: '([', category: 'Food' },
+        { id: 2, pattern: '', category: 'Food' },
+        { id: 3, pattern: 'grab', category: 'Transportation' }
+      ]);
+
+      expect(compiled.map(rule => rule.id)).toEqual([3]);
+      expect(isValidRulePattern('([')).toBe(false);
+      expect(isValidRulePattern('grab|gojek')).toBe(true);
+    });
+  });
+
+  describe('categorizeTransactions', () => {
+    it('should apply the first matching rule, ignoring case', () => {
+      const categorized = categorizeTransactions(transactions, rules);
+
+      expect(categorized.find(t => t.id === 'a').category).toBe('Food');
+      expect(categorized.find(t => t.id === 'b').category).toBe('Transportation');
+      expect(categorized.find(t => t.id === 'f').category).toBe('Food');
+      expect(categorized.find(t => t.id === 'e').category).toBe(UNCATEGORISED);
+    });
+
+    it('should keep manual categories over rules', () => {
+      const [categorized] = categorizeTransactions([{ ...transactions[0], manualCategory: 'Entertainment' }], rules);
+
+      expect(categorized.category).toBe('Entertainment');
+    });
+  });
+
+  describe('calculateMonthlySpendByCategory', () => {
+    it('should total debits per category and net off categorised refunds', () => {
+      const months = calculateMonthlySpendByCategory(categorizeTransactions(transactions, rules));
+
+      expect(months.map(month => month.key)).toEqual(['2025-02', '2025-01']);
+      const january = months[1];
+      expect(january.categories).toEqual({
+        Food: 80,
+        Transportation: 15,
+        [UNCATEGORISED]: 35
+      });
+      // Salary is an uncategorised credit and is ignored
+      expect(january.total).toBe(130);
+    });
+  });
+
+  describe('compareBudgetToActual', () => {
+    it('should compare budget entries with actual spend by category name', () => {
+      const [, january] = calculateMonthlySpendByCategory(categorizeTransactions(transactions, rules));
+      const rows = compareBudgetToActual(
+        [
+          { name: 'food', amount: 600 },
+          { name: 'Transportation', amount: 10 },
+          { name: 'Rental', amount: 700 }
+        ],
+        january
+      );
+
+      expect(rows).toEqual([
+        { name: 'food', budget: 600, actual: 80, variance: -520, budgeted: true },
+        { name: 'Transportation', budget: 10, actual: 15, variance: 5, budgeted: true },
+        { name: 'Rental', budget: 700, actual: 0, variance: -700, budgeted: true },
+        { name: UNCATEGORISED, budget: 0, actual: 35, variance: 35, budgeted: false }
+      ]);
+    });
+  });
+
+  describe('mergeTransactions', () => {
+    it('should skip transactions that were already imported', () => {
+      const result = mergeTransactions(transactions.slice(0, 2), transactions.slice(1, 4));
+
+      expect(result.added).toBe(2);
+      expect(result.duplicates).toBe(1);
+      expect(result.transactions.map(t => t.id)).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import {
+  STATEMENT_FORMAT,
+  parseCsvRows,
+  parseStatementDate,
+  parseBankCsv,
+  parseOfx,
+  parseStatement
+} from '../statementParsers';
+
+const DBS_CSV = [
+  'Account Details For:,POSB eSavings Account 123-45678-9',
+  'Statement as at:,31 Jan 2025',
+  '',
+  'Transaction Date,Reference,Debit Amount,Credit Amount,Transaction Ref1,Transaction Ref2,Transaction Ref3',
+  '03 Jan 2025,POS,12.50,,NTUC FAIRPRICE,SINGAPORE,',
+  '05 Jan 2025,ICT,,"4,800.00",SALARY,ACME PTE LTD,',
+  '05 Jan 2025,POS,12.50,,NTUC FAIRPRICE,SINGAPORE,'
+].join('\n');
+
+const OCBC_CSV = [
+  'Account details,360 Account',
+  'Transaction date,Value date,Description,Withdrawals (SGD),Deposits (SGD)',
+  '02/02/2025,02/02/2025,"GRAB *RIDE, SINGAPORE",18.40,',
+  '10/02/2025,10/02/2025,REFUND SHOPEE,,25.00'
+].join('\r\n');
+
+const UOB_CSV = [
+  'Transaction Date,Transaction Description,Withdrawal,Deposit,Available Balance',
+  '15 Mar 2025,SP DIGITAL UTILITIES,120.35,,5000.00',
+  'Total,,120.35,,'
+].join('\n');
+
+const OFX = `OFXHEADER:100
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250407120000[+8:SGT]
+<TRNAMT>-45.20
+<FITID>2025040701
+<NAME>STARBUCKS
+<MEMO>RAFFLES PLACE
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250410
+<TRNAMT>100.00
+<FITID>2025041002
+<NAME>PAYNOW TRANSFER
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+describe('Statement Parsers', () => {
+  describe('parseCsvRows', () => {
+    it('should handle quoted fields with commas and escaped quotes', () => {
+      expect(parseCsvRows('a,"b, c","say ""hi"""\n1,2,3')).toEqual([
+        ['a', 'b, c', 'say "hi"'],
+        ['1', '2', '3']
+      ]);
+    });
+  });
+
+  describe('parseStatementDate', () => {
+    it('should read the date formats used by Singapore banks', () => {
+      expect(parseStatementDate('03 Jan 2025')).toEqual({ year: 2025, month: 1, day: 3 });
+      expect(parseStatementDate('03-Feb-2025')).toEqual({ year: 2025, month: 2, day: 3 });
+      expect(parseStatementDate('04/03/2025')).toEqual({ year: 2025, month: 3, day: 4 });
+      expect(parseStatementDate('2025-03-04')).toEqual({ year: 2025, month: 3, day: 4 });
+      expect(parseStatementDate('20250304120000')).toEqual({ year: 2025, month: 3, day: 4 });
+      expect(parseStatementDate('Total')).toBeNull();
+    });
+  });
+
+  describe('parseBankCsv', () => {
+    it('should parse a DBS export after its account preamble', () => {
+      const { format, transactions } = parseBankCsv(DBS_CSV);
+
+      expect(format).toBe(STATEMENT_FORMAT.DBS);
+      expect(transactions).toHaveLength(3);
+      expect(transactions[0]).toMatchObject({
+        date: '2025-01-03',
+        year: 2025,
+        month: 1,
+        description: 'POS NTUC FAIRPRICE SINGAPORE',
+        amount: -12.5
+      });
+      expect(transactions[1].amount).toBe(4800);
+    });
+
+    it('should keep identical rows as separate transactions', () => {
+      const duplicateRow = '03 Jan 2025,POS,12.50,,NTUC FAIRPRICE,SINGAPORE,';
+      const { transactions } = parseBankCsv(`${DBS_CSV}\n${duplicateRow}`);
+
+      expect(transactions).toHaveLength(4);
+      expect(new Set(transactions.map(transaction => transaction.id)).size).toBe(4);
+    });
+
+    it('should parse OCBC withdrawals and deposits', () => {
+      const { format, transactions } = parseBankCsv(OCBC_CSV);
+
+      expect(format).toBe(STATEMENT_FORMAT.OCBC);
+      expect(transactions[0]).toMatchObject({ date: '2025-02-02', description: 'GRAB *RIDE, SINGAPORE', amount: -18.4 });
+      expect(transactions[1].amount).toBe(25);
+    });
+
+    it('should parse UOB exports and skip summary rows', () => {
+      const { format, transactions, skippedRows } = parseBankCsv(UOB_CSV);
+
+      expect(format).toBe(STATEMENT_FORMAT.UOB);
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0].amount).toBe(-120.35);
+      expect(skippedRows).toBe(1);
+    });
+
+    it('should reject CSV files without a known header', () => {
+      expect(() => parseBankCsv('foo,bar\n1,2')).toThrow('Unrecognised CSV statement');
+    });
+  });
+
+  describe('parseOfx', () => {
+    it('should parse SGML transactions using FITID for ids', () => {
+      const { format, transactions } = parseOfx(OFX);
+
+      expect(format).toBe(STATEMENT_FORMAT.OFX);
+      expect(transactions).toHaveLength(2);
+      expect(transactions[0]).toMatchObject({
+        id: 'ofx:2025040701',
+        date: '2025-04-07',
+        description: 'STARBUCKS RAFFLES PLACE',
+        amount: -45.2
+      });
+      expect(transactions[1].amount).toBe(100);
+    });
+
+    it('should parse XML-style closed tags', () => {
+      const { transactions } = parseOfx(
+        '<OFX><STMTTRN><DTPOSTED>20250501</DTPOSTED><TRNAMT>-9.90</TRNAMT><NAME>NETFLIX</NAME></STMTTRN></OFX>'
+      );
+
+      expect(transactions[0]).toMatchObject({ date: '2025-05-01', description: 'NETFLIX', amount: -9.9 });
+    });
+  });
+
+  describe('parseStatement', () => {
+    it('should choose the parser from the file name or content', () => {
+      expect(parseStatement(OFX, 'statement.qfx').format).toBe(STATEMENT_FORMAT.OFX);
+      expect(parseStatement(OFX, 'download.txt').format).toBe(STATEMENT_FORMAT.OFX);
+      expect(parseStatement(UOB_CSV, 'uob.csv').format).toBe(STATEMENT_FORMAT.UOB);
+    });
+  });
+});
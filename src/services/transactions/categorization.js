@@ -0,0 +1,155 @@
+/**
+ * Transaction Categorisation
+ *
+ * Applies user-defined rules (payee regex → category) to imported transactions and
+ * summarises actual spend per category per month for comparison with the budget.
+ */
+
+/**
+ * Category for transactions that no rule matches
+ */
+export const UNCATEGORISED = 'Uncategorised';
+
+/**
+ * Compile rules into case-insensitive regular expressions, skipping invalid patterns
+ *
+ * @param {Array<Object>} rules - Rules [{ id, pattern, category }] in priority order
+ * @returns {Array<Object>} Rules with a `regex` property
+ */
+export const compileCategoryRules = (rules = []) => {
+  if (!Array.isArray(rules)) return [];
+
+  return rules.reduce((compiled, rule) => {
+    if (!rule || !rule.pattern || !rule.category) return compiled;
+    try {
+      compiled.push({ ...rule, regex: new RegExp(rule.pattern, 'i') });
+    } catch (error) {
+      // An invalid pattern shouldn't stop the other rules from applying
+    }
+    return compiled;
+  }, []);
+};
+
+/**
+ * Check whether a pattern is a valid regular expression
+ *
+ * @param {string} pattern - Regex source
+ * @returns {boolean} True if valid
+ */
+export const isValidRulePattern = (pattern) => {
+  if (!pattern) return false;
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Categorise transactions; the first matching rule wins
+ * Transactions categorised by hand (`manualCategory`) keep their category
+ *
+ * @param {Array<Object>} transactions - Parsed transactions
+ * @param {Array<Object>} rules - Category rules in priority order
+ * @returns {Array<Object>} Transactions with `category` set
+ */
+export const categorizeTransactions = (transactions = [], rules = []) => {
+  const compiledRules = compileCategoryRules(rules);
+
+  return transactions.map((transaction) => {
+    if (transaction.manualCategory) {
+      return { ...transaction, category: transaction.manualCategory };
+    }
+
+    const rule = compiledRules.find(candidate => candidate.regex.test(transaction.description || ''));
+    return { ...transaction, category: rule ? rule.category : UNCATEGORISED };
+  });
+};
+
+/**
+ * Sum actual spend per category for each month
+ * Debits add to spend. Credits reduce spend only when categorised (refunds);
+ * uncategorised credits such as salary are ignored.
+ *
+ * @param {Array<Object>} transactions - Categorised transactions
+ * @returns {Array<Object>} Months, newest first: [{ key: 'YYYY-MM', year, month, categories, total }]
+ */
+export const calculateMonthlySpendByCategory = (transactions = []) => {
+  const months = {};
+
+  transactions.forEach((transaction) => {
+    const category = transaction.category || UNCATEGORISED;
+    if (transaction.amount > 0 && category === UNCATEGORISED) return;
+
+    const key = `${transaction.year}-${String(transaction.month).padStart(2, '0')}`;
+    const monthSummary = months[key] || { key, year: transaction.year, month: transaction.month, categories: {}, total: 0 };
+    const spend = -transaction.amount;
+
+    monthSummary.categories[category] = Math.round(((monthSummary.categories[category] || 0) + spend) * 100) / 100;
+    monthSummary.total = Math.round((monthSummary.total + spend) * 100) / 100;
+    months[key] = monthSummary;
+  });
+
+  return Object.values(months).sort((a, b) => b.key.localeCompare(a.key));
+};
+
+/**
+ * Compare budgeted expenses with one month's actual spend
+ * Categories are matched to budget entries by name, ignoring case
+ *
+ * @param {Array<Object>} expenses - Budget entries [{ name, amount }]
+ * @param {Object} monthSpend - One entry from calculateMonthlySpendByCategory
+ * @returns {Array<Object>} Rows [{ name, budget, actual, variance, budgeted }]; variance > 0 is overspend
+ */
+export const compareBudgetToActual = (expenses = [], monthSpend = null) => {
+  const actuals = { ...(monthSpend ? monthSpend.categories : {}) };
+  const findActual = (name) => {
+    const key = Object.keys(actuals).find(category => category.toLowerCase() === String(name).toLowerCase());
+    if (key === undefined) return 0;
+    const amount = actuals[key];
+    delete actuals[key];
+    return amount;
+  };
+
+  const rows = (Array.isArray(expenses) ? expenses : []).map((expense) => {
+    const budget = Number(expense.amount) || 0;
+    const actual = findActual(expense.name);
+    return {
+      name: expense.name,
+      budget,
+      actual,
+      variance: Math.round((actual - budget) * 100) / 100,
+      budgeted: true
+    };
+  });
+
+  // Spend in categories without a budget entry
+  Object.entries(actuals).forEach(([name, actual]) => {
+    rows.push({ name, budget: 0, actual, variance: actual, budgeted: false });
+  });
+
+  return rows;
+};
+
+/**
+ * Merge newly imported transactions into the existing list, skipping duplicates by id
+ *
+ * @param {Array<Object>} existing - Stored transactions
+ * @param {Array<Object>} incoming - Newly parsed transactions
+ * @returns {Object} { transactions, added, duplicates }
+ */
+export const mergeTransactions = (existing = [], incoming = []) => {
+  const seenIds = new Set(existing.map(transaction => transaction.id));
+  const added = incoming.filter((transaction) => {
+    if (seenIds.has(transaction.id)) return false;
+    seenIds.add(transaction.id);
+    return true;
+  });
+
+  return {
+    transactions: [...existing, ...added].sort((a, b) => a.date.localeCompare(b.date)),
+    added: added.length,
+    duplicates: incoming.length - added.length
+  };
+};
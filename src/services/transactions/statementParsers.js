@@ -0,0 +1,301 @@
+/**
+ * Bank Statement Parsers
+ *
+ * Parses DBS, OCBC and UOB CSV exports and generic OFX/QFX files into a common
+ * transaction shape:
+ *
+ * { id, date: 'YYYY-MM-DD', year, month, description, amount, source }
+ *
+ * `amount` is signed: negative for money out (debits), positive for money in.
+ */
+
+import { createFinancialError } from '../../utils/errors/ErrorUtils';
+
+/**
+ * Supported statement formats
+ */
+export const STATEMENT_FORMAT = {
+  DBS: 'dbs',
+  OCBC: 'ocbc',
+  UOB: 'uob',
+  OFX: 'ofx'
+};
+
+/**
+ * CSV layouts for each bank. Exports start with account details, so the header row
+ * is found by its column names. Column matchers are case-insensitive.
+ */
+const CSV_PROFILES = [
+  {
+    format: STATEMENT_FORMAT.DBS,
+    date: /^transaction date$/,
+    description: [/^reference$/, /^transaction ref ?1$/, /^transaction ref ?2$/, /^transaction ref ?3$/],
+    debit: /^debit amount$/,
+    credit: /^credit amount$/
+  },
+  {
+    format: STATEMENT_FORMAT.OCBC,
+    date: /^transaction date$/,
+    description: [/^description$/],
+    debit: /^withdrawals?( \(sgd\))?$/,
+    credit: /^deposits?( \(sgd\))?$/
+  },
+  {
+    format: STATEMENT_FORMAT.UOB,
+    date: /^transaction date$/,
+    description: [/^transaction description$/, /^description$/],
+    debit: /^withdrawals?$/,
+    credit: /^deposits?$/
+  }
+];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields and escaped quotes
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of trimmed fields
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value !== ''));
+};
+
+/**
+ * Parse the date formats used in bank exports
+ * Supports "03 Jan 2025", "03-Jan-2025", "03/01/2025" (day first), "2025-01-03" and OFX "20250103..."
+ *
+ * @param {string} value - Date text
+ * @returns {Object|null} { year, month, day } or null if unrecognised
+ */
+export const parseStatementDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  let match;
+
+  if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{4})$/))) {
+    const month = MONTH_ABBREVIATIONS.indexOf(match[2].toLowerCase()) + 1;
+    return month > 0 ? { year: Number(match[3]), month, day: Number(match[1]) } : null;
+  }
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return { year: Number(match[3]), month: Number(match[2]), day: Number(match[1]) };
+  }
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  }
+  if ((match = text.match(/^(\d{4})(\d{2})(\d{2})/))) {
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  }
+
+  return null;
+};
+
+/**
+ * Parse an amount such as "1,234.50", "(20.00)" or "-20.00"
+ *
+ * @param {string} value - Amount text
+ * @returns {number} Parsed amount, 0 when blank
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return 0;
+  const text = String(value).trim();
+  if (!text) return 0;
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(number)) return 0;
+
+  return negative ? -number : number;
+};
+
+const toIsoDate = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * Build a transaction, numbering repeats so identical rows in one file keep distinct ids
+ */
+const buildTransaction = (source, date, description, amount, seenKeys, externalId = null) => {
+  const isoDate = toIsoDate(date);
+  const baseKey = externalId || `${isoDate}|${amount.toFixed(2)}|${description.toLowerCase()}`;
+  const occurrence = seenKeys[baseKey] || 0;
+  seenKeys[baseKey] = occurrence + 1;
+
+  return {
+    id: `${source}:${baseKey}${occurrence > 0 ? `#${occurrence}` : ''}`,
+    date: isoDate,
+    year: date.year,
+    month: date.month,
+    description,
+    amount: Math.round(amount * 100) / 100,
+    source
+  };
+};
+
+/**
+ * Find the header row and column indices for a known bank CSV layout
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV rows
+ * @returns {Object|null} { profile, headerIndex, columns } or null
+ */
+const detectCsvLayout = (rows) => {
+  for (let headerIndex = 0; headerIndex < rows.length; headerIndex++) {
+    const headers = rows[headerIndex].map(header => header.toLowerCase());
+    const findColumn = (pattern) => headers.findIndex(header => pattern.test(header));
+
+    for (const profile of CSV_PROFILES) {
+      const columns = {
+        date: findColumn(profile.date),
+        description: profile.description.map(findColumn).filter(index => index >= 0),
+        debit: findColumn(profile.debit),
+        credit: findColumn(profile.credit)
+      };
+
+      if (columns.date >= 0 && columns.description.length > 0 && columns.debit >= 0 && columns.credit >= 0) {
+        return { profile, headerIndex, columns };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a DBS, OCBC or UOB CSV export
+ *
+ * @param {string} text - CSV content
+ * @returns {Object} { format, transactions, skippedRows }
+ */
+export const parseBankCsv = (text) => {
+  const rows = parseCsvRows(text || '');
+  const layout = detectCsvLayout(rows);
+
+  if (!layout) {
+    throw createFinancialError(
+      'Unrecognised CSV statement: expected a DBS, OCBC or UOB export with a transaction header row',
+      'invalid_statement'
+    );
+  }
+
+  const { profile, headerIndex, columns } = layout;
+  const seenKeys = {};
+  const transactions = [];
+  let skippedRows = 0;
+
+  rows.slice(headerIndex + 1).forEach((row) => {
+    const date = parseStatementDate(row[columns.date]);
+    const amount = parseAmount(row[columns.credit]) - parseAmount(row[columns.debit]);
+
+    // Summary and footer rows have no date or no amount
+    if (!date || amount === 0) {
+      skippedRows++;
+      return;
+    }
+
+    const description = columns.description
+      .map(index => row[index])
+      .filter(Boolean)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    transactions.push(buildTransaction(profile.format, date, description, amount, seenKeys));
+  });
+
+  return { format: profile.format, transactions, skippedRows };
+};
+
+/**
+ * Read a tag value from an OFX transaction block (SGML tags may be unclosed)
+ */
+const readOfxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+/**
+ * Parse an OFX or QFX file (SGML or XML flavour)
+ *
+ * @param {string} text - OFX content
+ * @returns {Object} { format, transactions, skippedRows }
+ */
+export const parseOfx = (text) => {
+  const blocks = (text || '').match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi);
+
+  if (!blocks) {
+    throw createFinancialError('No transactions found in OFX file', 'invalid_statement');
+  }
+
+  const seenKeys = {};
+  const transactions = [];
+  let skippedRows = 0;
+
+  blocks.forEach((block) => {
+    const date = parseStatementDate(readOfxTag(block, 'DTPOSTED'));
+    const amount = parseAmount(readOfxTag(block, 'TRNAMT'));
+
+    if (!date || amount === 0) {
+      skippedRows++;
+      return;
+    }
+
+    const description = [readOfxTag(block, 'NAME'), readOfxTag(block, 'MEMO')]
+      .filter(Boolean)
+      .join(' ')
+      .trim();
+    const fitId = readOfxTag(block, 'FITID');
+
+    transactions.push(buildTransaction(STATEMENT_FORMAT.OFX, date, description, amount, seenKeys, fitId || null));
+  });
+
+  return { format: STATEMENT_FORMAT.OFX, transactions, skippedRows };
+};
+
+/**
+ * Parse a statement file, choosing the parser from its name and content
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name, used to recognise .ofx/.qfx
+ * @returns {Object} { format, transactions, skippedRows }
+ */
+export const parseStatement = (text, fileName = '') => {
+  const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text || '');
+  return isOfx ? parseOfx(text) : parseBankCsv(text);
+};
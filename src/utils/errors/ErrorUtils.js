@@ -169,6 +169,21 @@ export const safeDivide = (numerator, denominator, defaultValue = 0) => {
   }
 };
 
+// Top-level fields that hold lists of items
+const FINANCIAL_DATA_LIST_FIELDS = [
+  'expenses',
+  'yearlyBonuses',
+  'yearlyExpenses',
+  'upcomingSpending',
+  'transactions',
+  'categoryRules',
+  'monthlyCloses',
+  'netWorthSnapshots',
+  'loans',
+  'goals',
+  'scenarios'
+];
+
 /**
  * Validates financial data structure for required fields and valid values
  * @param {Object} data - Financial data to validate
@@ -177,7 +192,7 @@ export const safeDivide = (numerator, denominator, defaultValue = 0) => {
 export const validateFinancialData = (data) => {
   const errors = [];
   
-  if (!data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
     return { isValid: false, errors: ['No financial data provided'] };
   }
   
@@ -186,30 +201,41 @@ export const validateFinancialData = (data) => {
     errors.push('Missing personal information');
   }
   
-  if (!data.financialInfo) {
-    errors.push('Missing financial information');
+  if (!data.income) {
+    errors.push('Missing income information');
   }
   
   // Check for critical fields if sections exist
   if (data.personalInfo) {
-    if (data.personalInfo.monthlySalary === undefined) {
+    const birthday = data.personalInfo.birthday;
+    if (!birthday || !(birthday.month >= 1 && birthday.month <= 12) || !Number.isInteger(Number(birthday.year))) {
+      errors.push('Birthday must have a month and year');
+    }
+    if (safeParseNumber(data.personalInfo.currentSavings) < 0) {
+      errors.push('Current savings cannot be negative');
+    }
+  }
+  
+  if (data.income) {
+    if (data.income.currentSalary === undefined) {
       errors.push('Missing monthly salary');
-    } else if (safeParseNumber(data.personalInfo.monthlySalary) < 0) {
+    } else if (safeParseNumber(data.income.currentSalary) < 0) {
       errors.push('Monthly salary cannot be negative');
     }
   }
   
-  if (data.financialInfo) {
-    if (data.financialInfo.monthlyExpenses === undefined) {
-      errors.push('Missing monthly expenses');
-    } else if (safeParseNumber(data.financialInfo.monthlyExpenses) < 0) {
-      errors.push('Monthly expenses cannot be negative');
-    }
-    
-    if (data.financialInfo.liquidCash !== undefined && 
-        safeParseNumber(data.financialInfo.liquidCash) < 0) {
-      errors.push('Liquid cash cannot be negative');
+  FINANCIAL_DATA_LIST_FIELDS.forEach((field) => {
+    if (data[field] !== undefined && !Array.isArray(data[field])) {
+      errors.push(`${field} must be a list`);
     }
+  });
+  
+  if (Array.isArray(data.expenses) && data.expenses.some((expense) => safeParseNumber(expense?.amount) < 0)) {
+    errors.push('Monthly expenses cannot be negative');
+  }
+  
+  if (data.household !== undefined && data.household !== null && !Array.isArray(data.household.members)) {
+    errors.push('household members must be a list');
   }
   
   return {